@@ -1,8 +1,36 @@
-const { app, BrowserWindow, Menu } = require('electron');
+const { app, BrowserWindow, Menu, protocol } = require('electron');
 const path = require('path');
+const fs = require('fs');
 
 let mainWindow;
 
+// Tesseract fetches its language data, and fetch() cannot read file:// URLs,
+// so the packaged app serves build/tesseract/*.traineddata.gz over its own scheme
+protocol.registerSchemesAsPrivileged([
+  { scheme: 'ocr-data', privileges: { standard: true, secure: true, supportFetchAPI: true, corsEnabled: true } }
+]);
+
+function registerOCRDataProtocol() {
+  protocol.handle('ocr-data', async (request) => {
+    const fileName = path.basename(new URL(request.url).pathname);
+    if (!/^[a-z_]+\.traineddata\.gz$/.test(fileName)) {
+      return new Response(null, { status: 404 });
+    }
+
+    try {
+      const data = await fs.promises.readFile(path.join(__dirname, 'build', 'tesseract', fileName));
+      return new Response(data, {
+        headers: {
+          'Content-Type': 'application/gzip',
+          'Access-Control-Allow-Origin': '*'
+        }
+      });
+    } catch (error) {
+      return new Response(null, { status: 404 });
+    }
+  });
+}
+
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 1400,
@@ -15,7 +43,7 @@ function createWindow() {
       nodeIntegration: false,
       contextIsolation: true,
       enableRemoteModule: false,
-      webSecurity: false, // Temporarily disabled to allow Tesseract.js to load language files
+      webSecurity: true,
       preload: path.join(__dirname, 'preload.js')
     },
     show: false // Don't show until ready
@@ -123,6 +151,7 @@ function createMenu() {
 }
 
 app.whenReady().then(() => {
+  registerOCRDataProtocol();
   createWindow();
   createMenu();
 });
@@ -0,0 +1,30 @@
+/**
+ * Copy the Tesseract.js worker, WebAssembly core and language data into public/tesseract
+ * so OCR works offline. Runs after npm install and before each build.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const modules = path.join(root, 'node_modules');
+const target = path.join(root, 'public', 'tesseract');
+
+// Only the LSTM cores are needed; the app always runs Tesseract with OEM.LSTM_ONLY
+const ASSETS = [
+  'tesseract.js/dist/worker.min.js',
+  'tesseract.js-core/tesseract-core-lstm.wasm.js',
+  'tesseract.js-core/tesseract-core-simd-lstm.wasm.js',
+  '@tesseract.js-data/jpn/4.0.0_best_int/jpn.traineddata.gz',
+  '@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz',
+];
+
+fs.mkdirSync(target, { recursive: true });
+
+ASSETS.forEach((asset) => {
+  const source = path.join(modules, asset);
+  if (!fs.existsSync(source)) {
+    console.error(`OCR asset not found: ${asset}. Run npm install first.`);
+    process.exit(1);
+  }
+  fs.copyFileSync(source, path.join(target, path.basename(asset)));
+});
@@ -6,6 +6,10 @@ import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import { Chart as ChartJS, registerables } from 'chart.js';
 import { ja } from 'date-fns/locale';
 import updateService from './services/updateService';
+import storage from './services/storage';
+import recurringService from './services/recurringService';
+import budgetService from './services/budgetService';
+import ocrQueueService from './services/ocrQueueService';
 
 // Import custom theme and components
 import { lightTheme, darkTheme } from './theme/theme';
@@ -16,6 +20,17 @@ import './styles/animations.css';
 import Dashboard from './pages/Dashboard';
 import Registration from './pages/Registration';
 import TransactionList from './pages/TransactionList';
+import Approvals from './pages/Approvals';
+import Reimbursements from './pages/Reimbursements';
+import Budgets from './pages/Budgets';
+import TaxReport from './pages/TaxReport';
+import CashFlow from './pages/CashFlow';
+import Ledger from './pages/Ledger';
+import StatementImport from './pages/StatementImport';
+import ReceiptQueue from './pages/ReceiptQueue';
+import ReceiptArchive from './pages/ReceiptArchive';
+import RecurringTransactions from './pages/RecurringTransactions';
+import AuditHistory from './pages/AuditHistory';
 import TrashManagement from './pages/TrashManagement';
 import Analytics from './pages/Analytics';
 import Settings from './pages/Settings';
@@ -32,7 +47,28 @@ function App() {
     return localStorage.getItem('themeMode') || 'light';
   });
 
-  // Storage is automatically initialized when imported
+  // Open IndexedDB, migrate legacy localStorage data, catch up recurring transactions and check budgets on app start
+  // Receipts still queued for OCR from the last session are read afterwards
+  useEffect(() => {
+    // Run in order, since budgets count the generated transactions, but a failing step doesn't stop the next
+    const startupSteps = [
+      ['running recurring rules', () => recurringService.runDueRules()],
+      ['checking budget alerts', () => budgetService.checkBudgetAlerts()],
+      ['starting the OCR queue', () => ocrQueueService.startOCRQueue()]
+    ];
+
+    storage.ready()
+      .then(async () => {
+        for (const [label, step] of startupSteps) {
+          try {
+            await step();
+          } catch (error) {
+            console.error(`Error ${label} on startup:`, error);
+          }
+        }
+      })
+      .catch(error => console.error('Error preparing storage on startup:', error));
+  }, []);
 
   // Initialize update service on app start
   useEffect(() => {
@@ -95,9 +131,20 @@ function App() {
                 <Route path="/" element={<Dashboard />} />
                 <Route path="/registration" element={<Registration />} />
                 <Route path="/transactions" element={<TransactionList />} />
+                <Route path="/statement-import" element={<StatementImport />} />
+                <Route path="/receipt-queue" element={<ReceiptQueue />} />
+                <Route path="/receipt-archive" element={<ReceiptArchive />} />
+                <Route path="/recurring" element={<RecurringTransactions />} />
+                <Route path="/approvals" element={<Approvals />} />
+                <Route path="/reimbursements" element={<Reimbursements />} />
+                <Route path="/audit" element={<AuditHistory />} />
                 <Route path="/trash" element={<TrashManagement />} />
                 <Route path="/users" element={<Users />} />
                 <Route path="/analytics" element={<Analytics />} />
+                <Route path="/budgets" element={<Budgets />} />
+                <Route path="/tax-report" element={<TaxReport />} />
+                <Route path="/cash-flow" element={<CashFlow />} />
+                <Route path="/ledger" element={<Ledger />} />
                 <Route path="/invoices" element={<Invoices />} />
                 <Route path="/notifications" element={<Notifications />} />
                 <Route path="/settings" element={<Settings />} />
@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Stack,
+  Chip,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { Line } from 'react-chartjs-2';
+import GlassCard, { GlassCardContent } from '../common/GlassCard';
+import BudgetProgress from '../Budget/BudgetProgress';
+import budgetService, { PERIOD_TYPES, BUDGET_LEVEL_COLORS } from '../../services/budgetService';
+import { formatCurrency } from '../../utils/formatters';
+import { toDateString } from '../../utils/recurrence';
+
+// Remaining budget over the period that contains the reference date
+const BudgetBurnDown = ({ referenceDate, currency }) => {
+  const theme = useTheme();
+  // Compared as a string so a new Date object with the same day does not reload
+  const dateString = toDateString(referenceDate instanceof Date && !isNaN(referenceDate) ? referenceDate : new Date());
+  const [budgets, setBudgets] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [burnDown, setBurnDown] = useState(null);
+
+  useEffect(() => {
+    const loadBudgets = async () => {
+      const result = await budgetService.getBudgetOverview(dateString);
+      const data = result.success ? result.data : [];
+      setBudgets(data);
+      setSelectedId(prev => (data.some(budget => budget.id === prev) ? prev : (data[0]?.id ?? '')));
+    };
+    loadBudgets();
+  }, [dateString]);
+
+  useEffect(() => {
+    if (selectedId === '') {
+      setBurnDown(null);
+      return;
+    }
+    const loadBurnDown = async () => {
+      const result = await budgetService.getBurnDown(selectedId, dateString);
+      setBurnDown(result.success ? result.data : null);
+    };
+    loadBurnDown();
+  }, [selectedId, dateString]);
+
+  const chartData = burnDown ? {
+    labels: burnDown.labels,
+    datasets: [
+      {
+        label: '実績残高',
+        data: burnDown.actual,
+        borderColor: theme.palette.primary.main,
+        backgroundColor: 'rgba(102, 126, 234, 0.15)',
+        fill: true,
+        tension: 0.2,
+        pointRadius: 0,
+      },
+      {
+        label: '計画ライン',
+        data: burnDown.ideal,
+        borderColor: theme.palette.text.secondary,
+        borderDash: [6, 4],
+        pointRadius: 0,
+        fill: false,
+      },
+      {
+        label: '着地見込み',
+        data: burnDown.projected,
+        borderColor: theme.palette.warning.main,
+        borderDash: [2, 3],
+        pointRadius: 0,
+        fill: false,
+      },
+    ],
+  } : null;
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: {
+        position: 'top',
+        labels: {
+          color: theme.palette.text.primary,
+          usePointStyle: true,
+          pointStyle: 'line',
+        },
+      },
+      tooltip: {
+        callbacks: {
+          label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y, true, currency)}`,
+        },
+      },
+    },
+    scales: {
+      x: {
+        grid: { display: false },
+        ticks: { color: theme.palette.text.secondary, maxTicksLimit: 12 },
+      },
+      y: {
+        grid: { color: theme.palette.divider },
+        ticks: {
+          color: theme.palette.text.secondary,
+          callback: (value) => formatCurrency(value, true, currency),
+        },
+      },
+    },
+  };
+
+  const status = burnDown?.budget;
+
+  return (
+    <GlassCard>
+      <GlassCardContent>
+        <Box sx={{ display: 'flex', alignItems: { md: 'center' }, flexDirection: { xs: 'column', md: 'row' }, gap: 2, mb: 2 }}>
+          <Box sx={{ flexGrow: 1 }}>
+            <Typography variant="h6" fontWeight="bold">
+              予算バーンダウン
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              期間内の予算残高の推移
+            </Typography>
+          </Box>
+          <FormControl size="small" sx={{ minWidth: 260 }} disabled={budgets.length === 0}>
+            <InputLabel>予算</InputLabel>
+            <Select value={selectedId} label="予算" onChange={(e) => setSelectedId(e.target.value)}>
+              {budgets.map((budget) => (
+                <MenuItem key={budget.id} value={budget.id}>
+                  {budget.scopeLabel}（{PERIOD_TYPES[budget.periodType]}）
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Box>
+
+        {!status ? (
+          <Box sx={{ py: 6, textAlign: 'center' }}>
+            <Typography color="text.secondary">予算が登録されていません</Typography>
+          </Box>
+        ) : (
+          <>
+            <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap sx={{ mb: 2 }}>
+              <Chip label={status.period.label} size="small" variant="outlined" />
+              <Chip
+                label={`消化率 ${Math.floor(status.percent)}%`}
+                color={BUDGET_LEVEL_COLORS[status.level]}
+                size="small"
+              />
+              {status.elapsedRatio > 0 && status.elapsedRatio < 1 && (
+                <Chip
+                  label={`着地見込み ${formatCurrency(status.projected, false, currency)}`}
+                  color={status.projected > status.amount ? 'error' : 'default'}
+                  size="small"
+                  variant="outlined"
+                />
+              )}
+            </Stack>
+            <Box sx={{ mb: 2 }}>
+              <BudgetProgress status={status} />
+            </Box>
+            <Box sx={{ height: 320 }}>
+              <Line data={chartData} options={chartOptions} />
+            </Box>
+          </>
+        )}
+      </GlassCardContent>
+    </GlassCard>
+  );
+};
+
+export default BudgetBurnDown;
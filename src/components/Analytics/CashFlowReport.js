@@ -0,0 +1,115 @@
+import React, { forwardRef } from 'react';
+import { SCENARIOS, FLOW_SOURCES } from '../../services/cashFlowService';
+
+// Plain markup with inline styles so the report prints the same as it previews
+const styles = {
+  page: { background: '#fff', color: '#000', padding: '24px', fontSize: '11px', lineHeight: 1.5 },
+  title: { fontSize: '20px', fontWeight: 'bold', margin: '0 0 4px' },
+  subtitle: { margin: '0 0 16px', color: '#333' },
+  heading: { fontSize: '13px', fontWeight: 'bold', margin: '20px 0 6px' },
+  table: { width: '100%', borderCollapse: 'collapse' },
+  th: { border: '1px solid #333', background: '#f0f0f0', padding: '3px 6px', textAlign: 'left', whiteSpace: 'nowrap' },
+  td: { border: '1px solid #333', padding: '3px 6px' },
+  amount: { border: '1px solid #333', padding: '3px 6px', textAlign: 'right', whiteSpace: 'nowrap' },
+  alert: { border: '2px solid #c00', color: '#c00', padding: '6px 10px', fontWeight: 'bold', marginBottom: '12px' }
+};
+
+const yen = (amount) => `¥${Math.round(Number(amount) || 0).toLocaleString()}`;
+
+const negative = (amount, minimum) => (amount < minimum ? { color: '#c00', fontWeight: 'bold' } : {});
+
+// Printable 資金繰り予測 of one scenario
+const CashFlowReport = forwardRef(({ forecast }, ref) => {
+  if (!forecast) return null;
+
+  const sourceKeys = Object.keys(FLOW_SOURCES).filter(key => forecast.rows.some(row => row.sources[key] !== 0));
+  const { assumptions } = forecast;
+
+  return (
+    <div ref={ref} style={styles.page}>
+      <h1 style={styles.title}>資金繰り予測（{SCENARIOS[forecast.scenario]}）</h1>
+      <p style={styles.subtitle}>
+        {forecast.startDate}〜{forecast.endDate}　開始残高 {yen(forecast.startingBalance)}　最低残高 {yen(forecast.minimumBalance)}
+        <br />
+        前提: 入金 {assumptions.incomeRate}%・平均支出 {assumptions.expenseRate}%・入金遅延 {assumptions.collectionDelayDays}日（平均は過去{forecast.runRateMonths}か月）
+      </p>
+
+      {forecast.shortfallDate && (
+        <div style={styles.alert}>
+          {forecast.shortfallDate} に残高が最低残高を下回る見込みです（最少 {yen(forecast.lowest.balance)}・{forecast.lowest.date}）
+        </div>
+      )}
+
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={styles.th}>月</th>
+            <th style={styles.th}>月初残高</th>
+            {sourceKeys.map(key => <th key={key} style={styles.th}>{FLOW_SOURCES[key].label}</th>)}
+            <th style={styles.th}>収支</th>
+            <th style={styles.th}>月末残高</th>
+            <th style={styles.th}>月中最低</th>
+          </tr>
+        </thead>
+        <tbody>
+          {forecast.rows.map(row => (
+            <tr key={row.month}>
+              <td style={styles.td}>{row.month}</td>
+              <td style={styles.amount}>{yen(row.openingBalance)}</td>
+              {sourceKeys.map(key => <td key={key} style={styles.amount}>{yen(row.sources[key])}</td>)}
+              <td style={styles.amount}>{yen(row.net)}</td>
+              <td style={{ ...styles.amount, ...negative(row.closingBalance, forecast.minimumBalance) }}>{yen(row.closingBalance)}</td>
+              <td style={{ ...styles.amount, ...negative(row.lowestBalance, forecast.minimumBalance) }}>{yen(row.lowestBalance)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h2 style={styles.heading}>カテゴリ別平均支出（過去{forecast.runRateMonths}か月）</h2>
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={styles.th}>カテゴリ</th>
+            <th style={styles.th}>月平均</th>
+            <th style={styles.th}>予測（月額）</th>
+          </tr>
+        </thead>
+        <tbody>
+          {forecast.categories.map(row => (
+            <tr key={String(row.categoryId)}>
+              <td style={styles.td}>{row.name}</td>
+              <td style={styles.amount}>{yen(row.monthlyAverage)}</td>
+              <td style={styles.amount}>{yen(row.projectedMonthly)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h2 style={styles.heading}>予定されている入出金</h2>
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={styles.th}>予定日</th>
+            <th style={styles.th}>区分</th>
+            <th style={styles.th}>内容</th>
+            <th style={styles.th}>金額</th>
+          </tr>
+        </thead>
+        <tbody>
+          {forecast.flows.map((flow, index) => (
+            <tr key={index}>
+              <td style={styles.td}>{flow.date}</td>
+              <td style={styles.td}>{FLOW_SOURCES[flow.source].label}</td>
+              <td style={styles.td}>{flow.label}</td>
+              <td style={styles.amount}>{yen(flow.amount)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+});
+
+CashFlowReport.displayName = 'CashFlowReport';
+
+export default CashFlowReport;
@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  InputAdornment,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+  Alert,
+} from '@mui/material';
+import cashFlowService, { SCENARIOS } from '../../services/cashFlowService';
+
+const SCENARIO_FIELDS = [
+  { key: 'incomeRate', label: '入金見込み', unit: '%', helper: '売掛金・定期収入のうち入金される割合' },
+  { key: 'expenseRate', label: '平均支出', unit: '%', helper: 'カテゴリ別の平均支出に対する割合' },
+  { key: 'collectionDelayDays', label: '入金遅延', unit: '日', helper: '売掛金の入金が支払期限から遅れる日数' }
+];
+
+// Minimum balance, averaging period and the assumptions of each scenario
+const CashFlowScenarioDialog = ({ open, settings, onClose, onSaved }) => {
+  const [form, setForm] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (open && settings) {
+      setForm(JSON.parse(JSON.stringify(settings)));
+      setError('');
+    }
+  }, [open, settings]);
+
+  if (!form) return null;
+
+  const setScenarioField = (scenario, field) => (e) => setForm(prev => ({
+    ...prev,
+    scenarios: { ...prev.scenarios, [scenario]: { ...prev.scenarios[scenario], [field]: e.target.value } }
+  }));
+
+  const handleSave = async () => {
+    const result = await cashFlowService.saveCashFlowSettings(form);
+    if (result.success) {
+      onSaved(result.data);
+    } else {
+      setError(result.error || '保存に失敗しました');
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>予測の前提</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        <Stack direction="row" spacing={2} sx={{ mt: 1, mb: 3 }}>
+          <TextField
+            label="最低残高"
+            type="number"
+            fullWidth
+            value={form.minimumBalance}
+            onChange={(e) => setForm(prev => ({ ...prev, minimumBalance: e.target.value }))}
+            helperText="これを下回る日を警告します"
+            InputProps={{ startAdornment: <InputAdornment position="start">¥</InputAdornment> }}
+          />
+          <TextField
+            label="平均支出の計算期間"
+            type="number"
+            fullWidth
+            value={form.runRateMonths}
+            onChange={(e) => setForm(prev => ({ ...prev, runRateMonths: e.target.value }))}
+            helperText="直近の締まった月数（1〜12）"
+            InputProps={{ endAdornment: <InputAdornment position="end">か月</InputAdornment> }}
+          />
+        </Stack>
+
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell />
+              {Object.entries(SCENARIOS).map(([key, label]) => (
+                <TableCell key={key} align="center">{label}</TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {SCENARIO_FIELDS.map(field => (
+              <TableRow key={field.key}>
+                <TableCell>
+                  <Typography variant="body2">{field.label}</Typography>
+                  <Typography variant="caption" color="text.secondary">{field.helper}</Typography>
+                </TableCell>
+                {Object.keys(SCENARIOS).map(scenario => (
+                  <TableCell key={scenario}>
+                    <TextField
+                      type="number"
+                      size="small"
+                      variant="standard"
+                      value={form.scenarios[scenario][field.key]}
+                      onChange={setScenarioField(scenario, field.key)}
+                      InputProps={{ endAdornment: <InputAdornment position="end">{field.unit}</InputAdornment> }}
+                    />
+                  </TableCell>
+                ))}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>キャンセル</Button>
+        <Button
+          onClick={handleSave}
+          variant="contained"
+          sx={{
+            background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+          }}
+        >
+          保存
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default CashFlowScenarioDialog;
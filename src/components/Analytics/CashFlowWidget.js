@@ -0,0 +1,129 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Button,
+  Chip,
+  Stack,
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { Line } from 'react-chartjs-2';
+import GlassCard, { GlassCardContent } from '../common/GlassCard';
+import cashFlowService from '../../services/cashFlowService';
+import { formatCurrency } from '../../utils/formatters';
+
+// Expected balance over the next months, with the day it falls under the minimum balance
+const CashFlowWidget = ({ months = 6, currency }) => {
+  const theme = useTheme();
+  const navigate = useNavigate();
+  const [forecast, setForecast] = useState(null);
+
+  useEffect(() => {
+    cashFlowService.getCashFlowForecast({ months }).then(result => {
+      setForecast(result.success ? result.data : null);
+    });
+  }, [months]);
+
+  const chartData = forecast ? {
+    labels: forecast.days.map(day => day.date.slice(5).replace('-', '/')),
+    datasets: [
+      {
+        label: '予測残高',
+        data: forecast.days.map(day => day.balance),
+        borderColor: theme.palette.primary.main,
+        backgroundColor: 'rgba(102, 126, 234, 0.1)',
+        fill: true,
+        tension: 0.2,
+        pointRadius: forecast.days.map(day => (day.date === forecast.shortfallDate ? 5 : 0)),
+        pointBackgroundColor: theme.palette.error.main,
+      },
+      {
+        label: '最低残高',
+        data: forecast.days.map(() => forecast.minimumBalance),
+        borderColor: theme.palette.error.main,
+        borderDash: [6, 4],
+        borderWidth: 1,
+        pointRadius: 0,
+        fill: false,
+      },
+    ],
+  } : null;
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        callbacks: {
+          label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y, true, currency)}`,
+        },
+      },
+    },
+    scales: {
+      x: {
+        grid: { display: false },
+        ticks: { color: theme.palette.text.secondary, maxTicksLimit: 6 },
+      },
+      y: {
+        grid: { color: theme.palette.divider },
+        ticks: {
+          color: theme.palette.text.secondary,
+          callback: (value) => formatCurrency(value, true, currency),
+        },
+      },
+    },
+  };
+
+  return (
+    <GlassCard>
+      <GlassCardContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', mb: 2, gap: 1 }}>
+          <Typography variant="h6" fontWeight="bold" sx={{ flexGrow: 1 }}>
+            資金繰り予測（{months}か月）
+          </Typography>
+          {forecast && (forecast.shortfallDate
+            ? <Chip label={`${forecast.shortfallDate} に最低残高割れ`} color="error" size="small" />
+            : <Chip label="最低残高を維持" color="success" size="small" variant="outlined" />)}
+          <Button size="small" onClick={() => navigate('/cash-flow')}>
+            詳細へ
+          </Button>
+        </Box>
+
+        {forecast && (
+          <>
+            <Stack direction="row" spacing={4} sx={{ mb: 2 }}>
+              <Box>
+                <Typography variant="caption" color="text.secondary">現在残高</Typography>
+                <Typography variant="h6" fontWeight="bold">{formatCurrency(forecast.startingBalance, false, currency)}</Typography>
+              </Box>
+              <Box>
+                <Typography variant="caption" color="text.secondary">{forecast.endDate} の予測残高</Typography>
+                <Typography variant="h6" fontWeight="bold">
+                  {formatCurrency(forecast.rows.at(-1)?.closingBalance ?? forecast.startingBalance, false, currency)}
+                </Typography>
+              </Box>
+              <Box>
+                <Typography variant="caption" color="text.secondary">最少残高（{forecast.lowest.date}）</Typography>
+                <Typography
+                  variant="h6"
+                  fontWeight="bold"
+                  color={forecast.lowest.balance < forecast.minimumBalance ? 'error.main' : undefined}
+                >
+                  {formatCurrency(forecast.lowest.balance, false, currency)}
+                </Typography>
+              </Box>
+            </Stack>
+            <Box sx={{ height: 220 }}>
+              <Line data={chartData} options={chartOptions} />
+            </Box>
+          </>
+        )}
+      </GlassCardContent>
+    </GlassCard>
+  );
+};
+
+export default CashFlowWidget;
@@ -44,7 +44,7 @@ ChartJS.register(
   ArcElement
 );
 
-const ExpenseChart = ({ data, period = 'monthly' }) => {
+const ExpenseChart = ({ data, period = 'monthly', currency }) => {
   const theme = useTheme();
   const [chartType, setChartType] = useState('doughnut');
 
@@ -163,7 +163,7 @@ const ExpenseChart = ({ data, period = 'monthly' }) => {
         callbacks: {
           label: function(context) {
             const value = context.parsed.y || context.parsed;
-            return `${context.dataset.label || context.label}: ${formatCurrency(value, true)}`;
+            return `${context.dataset.label || context.label}: ${formatCurrency(value, true, currency)}`;
           },
         },
       },
@@ -177,7 +177,7 @@ const ExpenseChart = ({ data, period = 'monthly' }) => {
         ticks: {
           color: theme.palette.text.secondary,
           callback: function(value) {
-            return formatCurrency(value, true);
+            return formatCurrency(value, true, currency);
           },
         },
       },
@@ -324,7 +324,7 @@ const ExpenseChart = ({ data, period = 'monthly' }) => {
         {/* Summary Stats */}
         <Stack direction="row" spacing={2} sx={{ mb: 3 }}>
           <Chip
-            label={`総支出: ${formatCurrency(getTotalExpense(), true)}`}
+            label={`総支出: ${formatCurrency(getTotalExpense(), true, currency)}`}
             variant="outlined"
             sx={{
               color: 'white',
@@ -333,7 +333,7 @@ const ExpenseChart = ({ data, period = 'monthly' }) => {
             }}
           />
           <Chip
-            label={`最大: ${topCategory.name} ${formatCurrency(topCategory.amount, true)}`}
+            label={`最大: ${topCategory.name} ${formatCurrency(topCategory.amount, true, currency)}`}
             variant="outlined"
             sx={{
               color: 'white',
@@ -411,7 +411,7 @@ const ExpenseChart = ({ data, period = 'monthly' }) => {
                     </Stack>
                     <Stack direction="row" alignItems="center" spacing={2}>
                       <Typography variant="body1" fontWeight="bold">
-                        {formatCurrency(amount, true)}
+                        {formatCurrency(amount, true, currency)}
                       </Typography>
                       <Typography variant="body2" color="text.secondary">
                         ({percentage}%)
@@ -20,7 +20,7 @@ import { motion } from 'framer-motion';
 import GlassCard, { GlassCardContent } from '../common/GlassCard';
 import { formatCurrency, formatPercentage } from '../../utils/formatters';
 
-const FinancialSummary = ({ data, period = 'monthly' }) => {
+const FinancialSummary = ({ data, period = 'monthly', currency }) => {
   const {
     totalIncome = 5500000,
     totalExpense = 3800000,
@@ -58,7 +58,7 @@ const FinancialSummary = ({ data, period = 'monthly' }) => {
     return [
       {
         title: `${period === 'quarterly' ? '四半期' : '月間'}収入`,
-        value: formatCurrency(currentIncome, true),
+        value: formatCurrency(currentIncome, true, currency),
         icon: TrendingUpIcon,
         color: 'success.main',
         gradient: 'linear-gradient(135deg, #11998e 0%, #38ef7d 100%)',
@@ -67,7 +67,7 @@ const FinancialSummary = ({ data, period = 'monthly' }) => {
       },
       {
         title: `${period === 'quarterly' ? '四半期' : '月間'}支出`,
-        value: formatCurrency(currentExpense, true),
+        value: formatCurrency(currentExpense, true, currency),
         icon: TrendingDownIcon,
         color: 'error.main',
         gradient: 'linear-gradient(135deg, #fa709a 0%, #fee140 100%)',
@@ -76,7 +76,7 @@ const FinancialSummary = ({ data, period = 'monthly' }) => {
       },
       {
         title: `${period === 'quarterly' ? '四半期' : '月間'}利益`,
-        value: formatCurrency(currentProfit, true),
+        value: formatCurrency(currentProfit, true, currency),
         icon: AssessmentIcon,
         color: 'primary.main',
         gradient: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
@@ -99,7 +99,7 @@ const FinancialSummary = ({ data, period = 'monthly' }) => {
     return [
       {
         title: '年間総収入',
-        value: formatCurrency(totalIncome, true),
+        value: formatCurrency(totalIncome, true, currency),
         icon: SavingsIcon,
         color: 'success.light',
         progress: 75,
@@ -107,7 +107,7 @@ const FinancialSummary = ({ data, period = 'monthly' }) => {
       },
       {
         title: '年間総支出',
-        value: formatCurrency(totalExpense, true),
+        value: formatCurrency(totalExpense, true, currency),
         icon: CompareArrowsIcon,
         color: 'warning.main',
         progress: 63,
@@ -115,7 +115,7 @@ const FinancialSummary = ({ data, period = 'monthly' }) => {
       },
       {
         title: '年間純利益',
-        value: formatCurrency(profit, true),
+        value: formatCurrency(profit, true, currency),
         icon: AssessmentIcon,
         color: 'primary.main',
         progress: 85,
@@ -123,7 +123,7 @@ const FinancialSummary = ({ data, period = 'monthly' }) => {
       },
       {
         title: '平均取引額',
-        value: formatCurrency(averageTransaction, true),
+        value: formatCurrency(averageTransaction, true, currency),
         icon: AccountBalanceIcon,
         color: 'info.main',
         progress: 45,
@@ -25,7 +25,7 @@ import { Bar, Line } from 'react-chartjs-2';
 import GlassCard, { GlassCardContent } from '../common/GlassCard';
 import { formatCurrency, formatPercentage } from '../../utils/formatters';
 
-const IncomeChart = ({ data, period = 'monthly' }) => {
+const IncomeChart = ({ data, period = 'monthly', currency }) => {
   const theme = useTheme();
   const [chartType, setChartType] = useState('bar');
 
@@ -144,7 +144,7 @@ const IncomeChart = ({ data, period = 'monthly' }) => {
         callbacks: {
           label: function(context) {
             const value = context.parsed.y || context.parsed;
-            return `${context.dataset.label}: ${formatCurrency(value, true)}`;
+            return `${context.dataset.label}: ${formatCurrency(value, true, currency)}`;
           },
         },
       },
@@ -158,7 +158,7 @@ const IncomeChart = ({ data, period = 'monthly' }) => {
         ticks: {
           color: theme.palette.text.secondary,
           callback: function(value) {
-            return formatCurrency(value, true);
+            return formatCurrency(value, true, currency);
           },
         },
       },
@@ -343,7 +343,7 @@ const IncomeChart = ({ data, period = 'monthly' }) => {
           {/* Summary Stats */}
           <Stack direction="row" spacing={2} sx={{ mb: 3 }}>
             <Chip
-              label={`総収入: ${formatCurrency(getTotalIncome(), true)}`}
+              label={`総収入: ${formatCurrency(getTotalIncome(), true, currency)}`}
               variant="outlined"
               sx={{
                 color: 'white',
@@ -352,7 +352,7 @@ const IncomeChart = ({ data, period = 'monthly' }) => {
               }}
             />
             <Chip
-              label={`主要: ${topSource.name} ${formatCurrency(topSource.amount, true)}`}
+              label={`主要: ${topSource.name} ${formatCurrency(topSource.amount, true, currency)}`}
               variant="outlined"
               sx={{
                 color: 'white',
@@ -465,7 +465,7 @@ const IncomeChart = ({ data, period = 'monthly' }) => {
                             fontSize: { xs: '1.25rem', sm: '1.5rem' },
                           }}
                         >
-                          {formatCurrency(amount, true)}
+                          {formatCurrency(amount, true, currency)}
                         </Typography>
                         <Stack direction="row" alignItems="center" spacing={1} flexWrap="wrap">
                           <Chip
@@ -27,8 +27,9 @@ import {
 import { motion } from 'framer-motion';
 import { Bar, Radar } from 'react-chartjs-2';
 import GlassCard, { GlassCardContent } from '../common/GlassCard';
+import { formatCurrency } from '../../utils/formatters';
 
-const UserRanking = ({ data, period = 'monthly' }) => {
+const UserRanking = ({ data, period = 'monthly', currency }) => {
   const [viewType, setViewType] = useState('users');
 
   const {
@@ -219,7 +220,7 @@ const UserRanking = ({ data, period = 'monthly' }) => {
         callbacks: {
           label: function(context) {
             const value = context.parsed.y || context.parsed;
-            return `${context.dataset.label}: ¥${value.toLocaleString()}`;
+            return `${context.dataset.label}: ${formatCurrency(value, false, currency)}`;
           },
         },
       },
@@ -233,7 +234,7 @@ const UserRanking = ({ data, period = 'monthly' }) => {
         ticks: {
           color: 'rgba(255, 255, 255, 0.7)',
           callback: function(value) {
-            return '¥' + value.toLocaleString();
+            return formatCurrency(value, false, currency);
           },
         },
       },
@@ -379,12 +380,17 @@ const UserRanking = ({ data, period = 'monthly' }) => {
                             <Typography variant="body2" color="rgba(255, 255, 255, 0.8)">
                               {user.department} • {user.transactions}件
                             </Typography>
+                            {(user.outstandingReimbursement || 0) > 0 && (
+                              <Typography variant="caption" color="rgba(255, 255, 255, 0.9)">
+                                未精算立替金: {formatCurrency(user.outstandingReimbursement, false, currency)}
+                              </Typography>
+                            )}
                           </Box>
                         </Stack>
                         
                         <Stack alignItems="flex-end" spacing={1}>
                           <Typography variant="h6" fontWeight="bold" color="white">
-                            ¥{user.amount.toLocaleString()}
+                            {formatCurrency(user.amount, false, currency)}
                           </Typography>
                           <Stack direction="row" alignItems="center" spacing={1}>
                             <Chip
@@ -438,14 +444,14 @@ const UserRanking = ({ data, period = 'monthly' }) => {
                                 {dept.name}
                               </Typography>
                               <Typography variant="body2" color="text.secondary">
-                                {dept.userCount}名 • 平均¥{dept.avgAmount.toLocaleString()}
+                                {dept.userCount}名 • 平均{formatCurrency(dept.avgAmount, false, currency)}
                               </Typography>
                             </Box>
                           </Stack>
                           
                           <Stack alignItems="flex-end" spacing={1}>
                             <Typography variant="h6" fontWeight="bold">
-                              ¥{dept.totalAmount.toLocaleString()}
+                              {formatCurrency(dept.totalAmount, false, currency)}
                             </Typography>
                             <Stack direction="row" alignItems="center" spacing={1}>
                               <Chip
@@ -527,6 +533,7 @@ const UserRanking = ({ data, period = 'monthly' }) => {
                           <TableCell>部門</TableCell>
                           <TableCell align="right">支出額</TableCell>
                           <TableCell align="right">取引数</TableCell>
+                          <TableCell align="right">未精算立替金</TableCell>
                           <TableCell align="right">効率</TableCell>
                           <TableCell align="right">前期比</TableCell>
                         </>
@@ -561,8 +568,17 @@ const UserRanking = ({ data, period = 'monthly' }) => {
                             </Stack>
                           </TableCell>
                           <TableCell>{user.department}</TableCell>
-                          <TableCell align="right">¥{user.amount.toLocaleString()}</TableCell>
+                          <TableCell align="right">{formatCurrency(user.amount, false, currency)}</TableCell>
                           <TableCell align="right">{user.transactions}</TableCell>
+                          <TableCell align="right">
+                            <Typography
+                              variant="body2"
+                              color={(user.outstandingReimbursement || 0) > 0 ? 'warning.main' : 'text.secondary'}
+                              fontWeight={(user.outstandingReimbursement || 0) > 0 ? 'bold' : 'normal'}
+                            >
+                              {formatCurrency(user.outstandingReimbursement || 0, false, currency)}
+                            </Typography>
+                          </TableCell>
                           <TableCell align="right">{user.efficiency}%</TableCell>
                           <TableCell align="right">
                             <Chip
@@ -585,9 +601,9 @@ const UserRanking = ({ data, period = 'monthly' }) => {
                               <Typography>{dept.name}</Typography>
                             </Stack>
                           </TableCell>
-                          <TableCell align="right">¥{dept.totalAmount.toLocaleString()}</TableCell>
+                          <TableCell align="right">{formatCurrency(dept.totalAmount, false, currency)}</TableCell>
                           <TableCell align="right">{dept.userCount}名</TableCell>
-                          <TableCell align="right">¥{dept.avgAmount.toLocaleString()}</TableCell>
+                          <TableCell align="right">{formatCurrency(dept.avgAmount, false, currency)}</TableCell>
                           <TableCell align="right">{dept.efficiency}%</TableCell>
                           <TableCell align="right">
                             <Chip
@@ -0,0 +1,129 @@
+import React from 'react';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import { FIELD_LABELS } from '../../services/auditService';
+import { STATUS_LABELS } from '../../services/approvalService';
+import { BATCH_STATUS_LABELS, PAYMENT_METHODS } from '../../services/reimbursementService';
+import { RULE_STATUS_LABELS } from '../../services/recurringService';
+import { PERIOD_TYPES, SCOPE_TYPES } from '../../services/budgetService';
+import { PAYMENT_ACCOUNT_KINDS } from '../../services/paymentAccountService';
+import { TAX_CATEGORIES, TAX_ENTRY_MODES, TAX_ROUNDING_MODES } from '../../utils/consumptionTax';
+import { RECURRENCE_FREQUENCIES, RECURRENCE_END_TYPES } from '../../utils/recurrence';
+import { STATEMENT_FORMATS } from '../../utils/statementParsers';
+import { CURRENCIES } from '../../utils/currency';
+
+const USER_FIELDS = ['userId', 'approvedBy', 'rejectedBy', 'reimbursedBy', 'currentUserId', 'paidBy', 'createdBy'];
+const AMOUNT_FIELDS = ['amount', 'totalAmount', 'netAmount', 'taxAmount', 'openingBalance'];
+const PAYMENT_METHOD_FIELDS = ['reimbursementMethod', 'paymentMethod'];
+const CURRENCY_FIELDS = ['currency', 'baseCurrency', 'quoteCurrency'];
+
+// Status values of every workflow, keyed by stored value
+const STATUS_VALUE_LABELS = { ...RULE_STATUS_LABELS, ...BATCH_STATUS_LABELS, ...STATUS_LABELS };
+
+// Turn a logged value into something readable
+export const formatAuditValue = (field, value, { users = [], categories = [] } = {}) => {
+  if (value === null || value === undefined || value === '') return '—';
+
+  if (USER_FIELDS.includes(field)) {
+    const user = users.find(u => u.id === value);
+    return user ? user.name : `#${value}`;
+  }
+  if (field === 'categoryId' || field === 'parentId') {
+    const category = categories.find(c => c.id === value);
+    return category ? category.name : `#${value}`;
+  }
+  if (AMOUNT_FIELDS.includes(field) && typeof value === 'number') {
+    return `¥${value.toLocaleString()}`;
+  }
+  if (field === 'status' && STATUS_VALUE_LABELS[value]) {
+    return STATUS_VALUE_LABELS[value];
+  }
+  if (field === 'frequency' && RECURRENCE_FREQUENCIES[value]) {
+    return RECURRENCE_FREQUENCIES[value];
+  }
+  if (field === 'endType' && RECURRENCE_END_TYPES[value]) {
+    return RECURRENCE_END_TYPES[value];
+  }
+  if (field === 'periodType' && PERIOD_TYPES[value]) {
+    return PERIOD_TYPES[value];
+  }
+  if (field === 'scopeType' && SCOPE_TYPES[value]) {
+    return SCOPE_TYPES[value];
+  }
+  if (field === 'taxCategory' && TAX_CATEGORIES[value]) {
+    return TAX_CATEGORIES[value].label;
+  }
+  if (field === 'taxEntryMode' && TAX_ENTRY_MODES[value]) {
+    return TAX_ENTRY_MODES[value];
+  }
+  if (field === 'taxRounding' && TAX_ROUNDING_MODES[value]) {
+    return TAX_ROUNDING_MODES[value];
+  }
+  if (field === 'kind' && PAYMENT_ACCOUNT_KINDS[value]) {
+    return PAYMENT_ACCOUNT_KINDS[value];
+  }
+  if (field === 'format' && STATEMENT_FORMATS[value]) {
+    return STATEMENT_FORMATS[value];
+  }
+  if (CURRENCY_FIELDS.includes(field) && CURRENCIES[value]) {
+    return `${value}（${CURRENCIES[value].label}）`;
+  }
+  if (PAYMENT_METHOD_FIELDS.includes(field) && PAYMENT_METHODS[value]) {
+    return PAYMENT_METHODS[value];
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'はい' : 'いいえ';
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.map(item => (typeof item === 'object' ? JSON.stringify(item) : item)).join(', ') : '—';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+};
+
+const AuditChangeTable = ({ changes = [], users = [], categories = [] }) => {
+  if (changes.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        項目の変更はありません
+      </Typography>
+    );
+  }
+
+  return (
+    <Table size="small">
+      <TableHead>
+        <TableRow>
+          <TableCell>項目</TableCell>
+          <TableCell>変更前</TableCell>
+          <TableCell>変更後</TableCell>
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {changes.map((change) => (
+          <TableRow key={change.field}>
+            <TableCell sx={{ whiteSpace: 'nowrap' }}>
+              {FIELD_LABELS[change.field] || change.field}
+            </TableCell>
+            <TableCell sx={{ color: 'error.main', wordBreak: 'break-all' }}>
+              {formatAuditValue(change.field, change.from, { users, categories })}
+            </TableCell>
+            <TableCell sx={{ color: 'success.main', wordBreak: 'break-all' }}>
+              {formatAuditValue(change.field, change.to, { users, categories })}
+            </TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+};
+
+export default AuditChangeTable;
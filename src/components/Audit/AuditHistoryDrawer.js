@@ -0,0 +1,117 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Drawer,
+  Box,
+  Typography,
+  IconButton,
+  Stack,
+  Chip,
+  Divider,
+  CircularProgress,
+  Alert,
+} from '@mui/material';
+import {
+  Close as CloseIcon,
+  History as HistoryIcon,
+} from '@mui/icons-material';
+import AuditChangeTable from './AuditChangeTable';
+import auditService, { ACTION_LABELS, ACTION_COLORS } from '../../services/auditService';
+
+const AuditHistoryDrawer = ({ open, onClose, entityType, entityId, title, users = [], categories = [] }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!open || entityId === undefined || entityId === null) {
+      return;
+    }
+
+    const loadHistory = async () => {
+      setLoading(true);
+      setError('');
+      const result = await auditService.getEntityHistory(entityType, entityId);
+      if (result.success) {
+        setEntries(result.data);
+      } else {
+        setError(result.error || '履歴の読み込みに失敗しました');
+      }
+      setLoading(false);
+    };
+
+    loadHistory();
+  }, [open, entityType, entityId]);
+
+  const getUserName = (userId) => {
+    if (userId === null || userId === undefined) return '不明なユーザー';
+    const user = users.find(u => u.id === userId);
+    return user ? user.name : `#${userId}`;
+  };
+
+  return (
+    <Drawer anchor="right" open={open} onClose={onClose}>
+      <Box sx={{ width: { xs: '100vw', sm: 480 }, p: 3 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+          <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <HistoryIcon />
+            変更履歴
+          </Typography>
+          <IconButton onClick={onClose}>
+            <CloseIcon />
+          </IconButton>
+        </Box>
+        {title && (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {title}
+          </Typography>
+        )}
+
+        {loading && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {error && <Alert severity="error">{error}</Alert>}
+
+        {!loading && !error && entries.length === 0 && (
+          <Typography color="text.secondary" sx={{ textAlign: 'center', py: 4 }}>
+            記録された変更はありません
+          </Typography>
+        )}
+
+        {!loading && entries.length > 0 && (
+          <Stack spacing={2} divider={<Divider />}>
+            {entries.map((entry) => (
+              <Box key={entry.id}>
+                <Stack direction="row" spacing={1} alignItems="center" sx={{ mb: 1 }}>
+                  <Chip
+                    label={ACTION_LABELS[entry.action] || entry.action}
+                    color={ACTION_COLORS[entry.action] || 'default'}
+                    size="small"
+                  />
+                  <Typography variant="body2" fontWeight="bold">
+                    {getUserName(entry.actorId)}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {new Date(entry.timestamp).toLocaleString('ja-JP')}
+                  </Typography>
+                </Stack>
+                {entry.details?.reason && (
+                  <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                    理由: {entry.details.reason}
+                  </Typography>
+                )}
+                {entry.action !== 'delete' && entry.action !== 'purge' && (
+                  <AuditChangeTable changes={entry.changes || []} users={users} categories={categories} />
+                )}
+              </Box>
+            ))}
+          </Stack>
+        )}
+      </Box>
+    </Drawer>
+  );
+};
+
+export default AuditHistoryDrawer;
@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Grid,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  ToggleButton,
+  ToggleButtonGroup,
+  InputAdornment,
+  ListSubheader,
+  Alert,
+} from '@mui/material';
+import { PERIOD_TYPES, SCOPE_TYPES } from '../../services/budgetService';
+
+const emptyForm = () => ({
+  scopeType: 'category',
+  scopeId: '',
+  periodType: 'monthly',
+  amount: '',
+  memo: '',
+});
+
+// Form values for an existing budget
+const formFromBudget = (budget) => ({
+  scopeType: budget.scopeType,
+  scopeId: budget.scopeId ?? '',
+  periodType: budget.periodType,
+  amount: String(budget.amount ?? ''),
+  memo: budget.memo || '',
+});
+
+const BudgetDialog = ({ open, budget = null, categoryHierarchy = [], users = [], onClose, onSave }) => {
+  const [formData, setFormData] = useState(emptyForm);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setFormData(budget ? formFromBudget(budget) : emptyForm());
+      setError('');
+    }
+  }, [open, budget]);
+
+  const handleChange = (field) => (e) => {
+    setFormData(prev => ({ ...prev, [field]: e.target.value }));
+  };
+
+  const departments = [...new Set(users.map(user => user.department))].filter(Boolean).sort();
+
+  const handleSubmit = async () => {
+    const amount = parseFloat(formData.amount);
+    if (formData.scopeId === '' || !(amount > 0)) {
+      setError('対象と0より大きい予算額は必須です。');
+      return;
+    }
+
+    setSaving(true);
+    const result = await onSave({
+      scopeType: formData.scopeType,
+      scopeId: formData.scopeId,
+      periodType: formData.periodType,
+      amount,
+      memo: formData.memo,
+    });
+    setSaving(false);
+    if (result && !result.success) {
+      setError(result.error || '保存に失敗しました');
+    }
+  };
+
+  // Parent categories are listed with their children; a parent budget covers all of them
+  const renderScopeOptions = () => {
+    switch (formData.scopeType) {
+      case 'category':
+        return categoryHierarchy.flatMap((parent) => [
+          <MenuItem key={parent.id} value={parent.id}>
+            {parent.name}{parent.children.length > 0 ? '（配下のカテゴリを含む）' : ''}
+          </MenuItem>,
+          ...parent.children.map((child) => (
+            <MenuItem key={child.id} value={child.id} sx={{ pl: 4 }}>
+              {child.name}
+            </MenuItem>
+          )),
+        ]);
+      case 'department':
+        return departments.length > 0
+          ? departments.map((department) => (
+            <MenuItem key={department} value={department}>{department}</MenuItem>
+          ))
+          : <ListSubheader>部署が登録されたユーザーがいません</ListSubheader>;
+      case 'user':
+        return users.map((user) => (
+          <MenuItem key={user.id} value={user.id}>
+            {user.name}{user.department ? `（${user.department}）` : ''}
+          </MenuItem>
+        ));
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{budget ? '予算の編集' : '予算の追加'}</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        <Grid container spacing={2} sx={{ mt: 0 }}>
+          <Grid item xs={12}>
+            <ToggleButtonGroup
+              value={formData.scopeType}
+              exclusive
+              onChange={(e, value) => value && setFormData(prev => ({ ...prev, scopeType: value, scopeId: '' }))}
+              size="small"
+            >
+              {Object.entries(SCOPE_TYPES).map(([value, label]) => (
+                <ToggleButton key={value} value={value}>
+                  {label}別
+                </ToggleButton>
+              ))}
+            </ToggleButtonGroup>
+          </Grid>
+
+          <Grid item xs={12}>
+            <FormControl fullWidth required>
+              <InputLabel>{SCOPE_TYPES[formData.scopeType]}</InputLabel>
+              <Select
+                value={formData.scopeId}
+                label={SCOPE_TYPES[formData.scopeType]}
+                onChange={handleChange('scopeId')}
+              >
+                {renderScopeOptions()}
+              </Select>
+            </FormControl>
+          </Grid>
+
+          <Grid item xs={12} md={6}>
+            <FormControl fullWidth>
+              <InputLabel>期間</InputLabel>
+              <Select value={formData.periodType} label="期間" onChange={handleChange('periodType')}>
+                {Object.entries(PERIOD_TYPES).map(([value, label]) => (
+                  <MenuItem key={value} value={value}>{label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <TextField
+              label="予算額"
+              type="number"
+              value={formData.amount}
+              onChange={handleChange('amount')}
+              fullWidth
+              required
+              helperText="期間ごとの金額"
+              InputProps={{
+                startAdornment: <InputAdornment position="start">¥</InputAdornment>,
+              }}
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              label="メモ"
+              value={formData.memo}
+              onChange={handleChange('memo')}
+              fullWidth
+            />
+          </Grid>
+        </Grid>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>キャンセル</Button>
+        <Button onClick={handleSubmit} variant="contained" disabled={saving}>
+          {budget ? '更新' : '追加'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default BudgetDialog;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { Box, Typography, LinearProgress, Stack } from '@mui/material';
+import { BUDGET_LEVEL_COLORS } from '../../services/budgetService';
+
+const formatYen = (amount) => `¥${Math.round(Number(amount || 0)).toLocaleString()}`;
+
+// Spending against a budget as a bar; the marker shows how much of the period has passed
+const BudgetProgress = ({ status, showAmounts = true }) => {
+  const color = BUDGET_LEVEL_COLORS[status.level];
+
+  return (
+    <Box>
+      <Box sx={{ position: 'relative' }}>
+        <LinearProgress
+          variant="determinate"
+          value={Math.min(status.percent, 100)}
+          color={color}
+          sx={{ height: 8, borderRadius: 4 }}
+        />
+        {status.elapsedRatio > 0 && status.elapsedRatio < 1 && (
+          <Box
+            title="期間の経過"
+            sx={{
+              position: 'absolute',
+              top: -2,
+              bottom: -2,
+              left: `${status.elapsedRatio * 100}%`,
+              width: 2,
+              bgcolor: 'text.primary',
+              opacity: 0.5,
+            }}
+          />
+        )}
+      </Box>
+      {showAmounts && (
+        <Stack direction="row" justifyContent="space-between" sx={{ mt: 0.5 }}>
+          <Typography variant="caption" color={`${color}.main`} fontWeight="bold">
+            {formatYen(status.actual)}（{Math.floor(status.percent)}%）
+          </Typography>
+          <Typography variant="caption" color="text.secondary">
+            {status.remaining >= 0
+              ? `残り ${formatYen(status.remaining)}`
+              : `${formatYen(-status.remaining)} 超過`}
+            {' / '}
+            {formatYen(status.amount)}
+          </Typography>
+        </Stack>
+      )}
+    </Box>
+  );
+};
+
+export default BudgetProgress;
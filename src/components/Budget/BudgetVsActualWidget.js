@@ -0,0 +1,73 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Button,
+  Chip,
+  Stack,
+} from '@mui/material';
+import { Savings as BudgetIcon } from '@mui/icons-material';
+import GlassCard, { GlassCardContent } from '../common/GlassCard';
+import BudgetProgress from './BudgetProgress';
+import budgetService, { PERIOD_TYPES, SCOPE_TYPES } from '../../services/budgetService';
+
+// Budgets closest to their limit are shown first
+const BudgetVsActualWidget = ({ limit = 6 }) => {
+  const navigate = useNavigate();
+  const [budgets, setBudgets] = useState([]);
+
+  useEffect(() => {
+    const loadBudgets = async () => {
+      const result = await budgetService.getBudgetOverview();
+      setBudgets(result.success ? result.data : []);
+    };
+    loadBudgets();
+  }, []);
+
+  const overCount = budgets.filter(budget => budget.level === 'over').length;
+  const warningCount = budgets.filter(budget => budget.level === 'warning').length;
+
+  return (
+    <GlassCard>
+      <GlassCardContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', mb: 2, gap: 1 }}>
+          <Typography variant="h6" fontWeight="bold" sx={{ flexGrow: 1 }}>
+            予算と実績
+          </Typography>
+          {overCount > 0 && <Chip label={`超過 ${overCount}件`} color="error" size="small" />}
+          {warningCount > 0 && <Chip label={`80%以上 ${warningCount}件`} color="warning" size="small" />}
+          <Button size="small" onClick={() => navigate('/budgets')}>
+            予算管理へ
+          </Button>
+        </Box>
+
+        {budgets.length === 0 ? (
+          <Box sx={{ py: 4, textAlign: 'center' }}>
+            <BudgetIcon sx={{ fontSize: 48, color: 'text.secondary', mb: 1 }} />
+            <Typography color="text.secondary">予算が登録されていません</Typography>
+          </Box>
+        ) : (
+          <Stack spacing={2}>
+            {budgets.slice(0, limit).map((budget) => (
+              <Box key={budget.id}>
+                <Stack direction="row" spacing={1} alignItems="center" sx={{ mb: 0.5 }}>
+                  <Typography variant="body2" fontWeight="medium">
+                    {budget.scopeLabel}
+                  </Typography>
+                  <Chip label={SCOPE_TYPES[budget.scopeType]} size="small" variant="outlined" />
+                  <Typography variant="caption" color="text.secondary">
+                    {PERIOD_TYPES[budget.periodType]}・{budget.period.label}
+                  </Typography>
+                </Stack>
+                <BudgetProgress status={budget} />
+              </Box>
+            ))}
+          </Stack>
+        )}
+      </GlassCardContent>
+    </GlassCard>
+  );
+};
+
+export default BudgetVsActualWidget;
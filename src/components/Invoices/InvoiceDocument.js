@@ -0,0 +1,154 @@
+import React, { forwardRef } from 'react';
+import { BANK_ACCOUNT_TYPES } from '../../services/invoiceService';
+import { TAX_CATEGORIES } from '../../utils/consumptionTax';
+import { formatRegistrationNumber } from '../../utils/invoiceRegistration';
+import { formatDate } from '../../utils/formatters';
+
+// Plain markup with inline styles so the invoice prints the same as it previews
+const styles = {
+  page: { background: '#fff', color: '#000', padding: '24px', fontSize: '12px', lineHeight: 1.6, position: 'relative' },
+  title: { textAlign: 'center', fontSize: '24px', fontWeight: 'bold', letterSpacing: '0.5em', margin: '0 0 24px' },
+  cancelled: { position: 'absolute', top: '24px', left: '24px', border: '2px solid #c00', color: '#c00', padding: '2px 12px', fontWeight: 'bold', fontSize: '16px' },
+  meta: { width: '100%', borderCollapse: 'collapse', marginBottom: '16px' },
+  client: { fontSize: '18px', borderBottom: '1px solid #000', display: 'inline-block', minWidth: '260px', paddingBottom: '2px' },
+  issuer: { position: 'relative', display: 'inline-block', textAlign: 'left', paddingRight: '48px' },
+  logo: { maxHeight: '48px', maxWidth: '180px', display: 'block', marginBottom: '4px' },
+  seal: { position: 'absolute', right: '0', top: '8px', width: '64px', height: '64px', objectFit: 'contain', opacity: 0.85 },
+  total: { fontSize: '20px', fontWeight: 'bold', borderBottom: '2px solid #000', padding: '4px 0', display: 'inline-block', minWidth: '300px' },
+  table: { width: '100%', borderCollapse: 'collapse', marginTop: '16px' },
+  th: { border: '1px solid #333', background: '#f0f0f0', padding: '4px 8px', textAlign: 'left' },
+  td: { border: '1px solid #333', padding: '4px 8px', verticalAlign: 'top' },
+  amount: { border: '1px solid #333', padding: '4px 8px', textAlign: 'right', whiteSpace: 'nowrap' },
+  summary: { borderCollapse: 'collapse', marginLeft: 'auto', marginTop: '8px', minWidth: '300px' },
+  box: { border: '1px solid #333', padding: '8px', marginTop: '16px' }
+};
+
+const yen = (amount) => `¥${Number(amount || 0).toLocaleString()}`;
+
+const rateLabel = (taxCategory) => {
+  const category = TAX_CATEGORIES[taxCategory];
+  if (!category) return '';
+  return category.rate > 0 ? `${category.rate}%` : category.label;
+};
+
+// 適格請求書 of an issued invoice; the issuer block comes from the profile copied at issue time
+const InvoiceDocument = forwardRef(({ invoice, dateFormat = 'YYYY-MM-DD' }, ref) => {
+  if (!invoice) return null;
+
+  const issuer = invoice.issuer || {};
+  const lineItems = invoice.lineItems || [];
+  const hasReduced = lineItems.some(item => item.taxCategory === 'reduced');
+  const bank = [
+    issuer.bankName,
+    issuer.branchName,
+    BANK_ACCOUNT_TYPES[issuer.accountType],
+    issuer.accountNumber
+  ].filter(Boolean).join(' ');
+
+  return (
+    <div ref={ref} style={styles.page}>
+      {invoice.status === 'cancelled' && <div style={styles.cancelled}>取消</div>}
+      <h1 style={styles.title}>請求書</h1>
+
+      <table style={styles.meta}>
+        <tbody>
+          <tr>
+            <td style={{ width: '55%', verticalAlign: 'top' }}>
+              <div style={styles.client}>{invoice.client} {invoice.honorific}</div>
+              {invoice.clientAddress && <div style={{ whiteSpace: 'pre-line', marginTop: '4px' }}>{invoice.clientAddress}</div>}
+            </td>
+            <td style={{ textAlign: 'right', verticalAlign: 'top' }}>
+              <div>請求番号: {invoice.invoiceNumber}</div>
+              <div>請求日: {formatDate(invoice.issueDate, dateFormat)}</div>
+              {issuer.registrationNumber && <div>登録番号: {formatRegistrationNumber(issuer.registrationNumber)}</div>}
+              <div style={{ marginTop: '12px', textAlign: 'right' }}>
+                <div style={styles.issuer}>
+                  {issuer.logo && <img src={issuer.logo} alt="" style={styles.logo} />}
+                  <div style={{ fontSize: '14px', fontWeight: 'bold' }}>{issuer.name}</div>
+                  {issuer.postalCode && <div>〒{issuer.postalCode}</div>}
+                  {issuer.address && <div style={{ whiteSpace: 'pre-line' }}>{issuer.address}</div>}
+                  {issuer.phone && <div>TEL: {issuer.phone}</div>}
+                  {issuer.email && <div>{issuer.email}</div>}
+                  {issuer.seal && <img src={issuer.seal} alt="" style={styles.seal} />}
+                </div>
+              </div>
+            </td>
+          </tr>
+        </tbody>
+      </table>
+
+      <div style={{ marginBottom: '8px' }}>件名: {invoice.title}</div>
+      <div style={{ marginBottom: '8px' }}>下記の通りご請求申し上げます。</div>
+      <div style={styles.total}>ご請求金額（税込）　{yen(invoice.amount)}</div>
+      <div style={{ marginTop: '4px' }}>お支払期限: {formatDate(invoice.dueDate, dateFormat)}</div>
+
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={{ ...styles.th, width: '32px' }}>No.</th>
+            <th style={styles.th}>品目</th>
+            <th style={{ ...styles.th, textAlign: 'right' }}>数量</th>
+            <th style={styles.th}>単位</th>
+            <th style={{ ...styles.th, textAlign: 'right' }}>単価</th>
+            <th style={{ ...styles.th, textAlign: 'right' }}>税率</th>
+            <th style={{ ...styles.th, textAlign: 'right' }}>金額（税抜）</th>
+          </tr>
+        </thead>
+        <tbody>
+          {lineItems.map((item, index) => (
+            <tr key={index}>
+              <td style={styles.td}>{index + 1}</td>
+              <td style={styles.td}>{item.description}{item.taxCategory === 'reduced' ? ' ※' : ''}</td>
+              <td style={styles.amount}>{Number(item.quantity).toLocaleString()}</td>
+              <td style={styles.td}>{item.unit}</td>
+              <td style={styles.amount}>{yen(item.unitPrice)}</td>
+              <td style={styles.amount}>{rateLabel(item.taxCategory)}</td>
+              <td style={styles.amount}>{yen(item.amount)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {hasReduced && <div style={{ fontSize: '11px', marginTop: '4px' }}>※は軽減税率（8%）対象</div>}
+
+      <table style={styles.summary}>
+        <tbody>
+          <tr>
+            <td style={styles.td}>小計（税抜）</td>
+            <td style={styles.amount}>{yen(invoice.netAmount)}</td>
+          </tr>
+          {(invoice.taxBreakdown || []).map(row => (
+            <tr key={row.taxCategory}>
+              <td style={styles.td}>{rateLabel(row.taxCategory)}対象 {yen(row.netAmount)}</td>
+              <td style={styles.amount}>
+                {TAX_CATEGORIES[row.taxCategory]?.rate > 0 ? `消費税 ${yen(row.taxAmount)}` : '—'}
+              </td>
+            </tr>
+          ))}
+          <tr>
+            <td style={{ ...styles.td, fontWeight: 'bold' }}>合計（税込）</td>
+            <td style={{ ...styles.amount, fontWeight: 'bold' }}>{yen(invoice.amount)}</td>
+          </tr>
+        </tbody>
+      </table>
+
+      {bank && (
+        <div style={styles.box}>
+          <div style={{ fontWeight: 'bold' }}>お振込先</div>
+          <div>{bank}</div>
+          {issuer.accountHolder && <div>口座名義: {issuer.accountHolder}</div>}
+        </div>
+      )}
+
+      {invoice.notes && (
+        <div style={styles.box}>
+          <div style={{ fontWeight: 'bold' }}>備考</div>
+          <div style={{ whiteSpace: 'pre-line' }}>{invoice.notes}</div>
+        </div>
+      )}
+    </div>
+  );
+});
+
+InvoiceDocument.displayName = 'InvoiceDocument';
+
+export default InvoiceDocument;
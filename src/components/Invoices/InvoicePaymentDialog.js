@@ -0,0 +1,246 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  MenuItem,
+  Stack,
+  Tab,
+  Tabs,
+  TextField,
+  Typography,
+  Alert,
+} from '@mui/material';
+import {
+  LinkOff as UnlinkIcon,
+  Link as LinkIcon,
+} from '@mui/icons-material';
+import invoiceService from '../../services/invoiceService';
+import categoryService from '../../services/categoryService';
+import userService from '../../services/userService';
+import paymentAccountService from '../../services/paymentAccountService';
+import { toDateString } from '../../utils/recurrence';
+
+const yen = (amount) => `¥${Number(amount || 0).toLocaleString()}`;
+
+/**
+ * Payments of an issued invoice
+ * A payment is recorded as new income, or an income that is already registered (for example
+ * from a bank statement import) is linked to the invoice.
+ */
+const InvoicePaymentDialog = ({ open, invoice, onClose, onChanged }) => {
+  const [mode, setMode] = useState('record');
+  const [form, setForm] = useState({ date: '', amount: '', categoryId: '', paymentAccountId: '', userId: '' });
+  const [categories, setCategories] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [paymentAccounts, setPaymentAccounts] = useState([]);
+  const [candidates, setCandidates] = useState([]);
+  const [error, setError] = useState('');
+
+  const loadCandidates = useCallback(async () => {
+    if (!invoice) return;
+    const result = await invoiceService.getUnlinkedIncome(invoice.client);
+    if (result.success) {
+      setCandidates(result.data);
+    }
+  }, [invoice]);
+
+  useEffect(() => {
+    if (!open || !invoice) return;
+    const load = async () => {
+      const [categoriesResult, usersResult, accountsResult] = await Promise.all([
+        categoryService.getCategoriesByType('income'),
+        userService.getAllUsers(),
+        paymentAccountService.getPaymentAccounts({ activeOnly: true })
+      ]);
+      const incomeCategories = categoriesResult.success ? categoriesResult.data : [];
+      setCategories(incomeCategories);
+      if (usersResult.success) setUsers(usersResult.data);
+      if (accountsResult.success) setPaymentAccounts(accountsResult.data);
+
+      const sales = incomeCategories.find(category => category.name === '売上高');
+      setForm({
+        date: toDateString(new Date()),
+        amount: String(invoiceService.getInvoiceOutstanding(invoice)),
+        categoryId: sales ? sales.id : incomeCategories[0]?.id || '',
+        paymentAccountId: '',
+        userId: ''
+      });
+    };
+    load();
+    loadCandidates();
+    setMode('record');
+    setError('');
+  }, [open, invoice, loadCandidates]);
+
+  if (!invoice) return null;
+
+  const outstanding = invoiceService.getInvoiceOutstanding(invoice);
+  const setField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const handleResult = async (result) => {
+    if (result.success) {
+      setError('');
+      await loadCandidates();
+      onChanged();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleRecord = async () => {
+    handleResult(await invoiceService.recordInvoicePayment(invoice.id, {
+      ...form,
+      amount: Number(form.amount),
+      paymentAccountId: form.paymentAccountId || undefined,
+      userId: form.userId || undefined
+    }));
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>入金 — {invoice.invoiceNumber}</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        <Stack direction="row" spacing={3} sx={{ mb: 2 }}>
+          <Typography variant="body2">請求額 <strong>{yen(invoice.amount)}</strong></Typography>
+          <Typography variant="body2">入金済 <strong>{yen(invoiceService.getInvoicePaidAmount(invoice))}</strong></Typography>
+          <Typography variant="body2" color={outstanding > 0 ? 'error.main' : 'success.main'}>
+            未入金 <strong>{yen(outstanding)}</strong>
+          </Typography>
+        </Stack>
+
+        {(invoice.payments || []).length > 0 && (
+          <List dense sx={{ mb: 2, border: '1px solid', borderColor: 'divider', borderRadius: 1 }}>
+            {invoice.payments.map(payment => (
+              <ListItem
+                key={payment.incomeId}
+                secondaryAction={(
+                  <IconButton
+                    edge="end"
+                    size="small"
+                    title="紐付けを解除"
+                    onClick={async () => handleResult(await invoiceService.unlinkIncomeFromInvoice(invoice.id, payment.incomeId))}
+                  >
+                    <UnlinkIcon fontSize="small" />
+                  </IconButton>
+                )}
+              >
+                <ListItemText primary={`${payment.date}　${yen(payment.amount)}`} secondary={`収入 #${payment.incomeId}`} />
+              </ListItem>
+            ))}
+          </List>
+        )}
+
+        {outstanding > 0 && invoice.status !== 'cancelled' && (
+          <>
+            <Tabs value={mode} onChange={(e, value) => setMode(value)} sx={{ mb: 2 }}>
+              <Tab value="record" label="入金を記録" />
+              <Tab value="link" label="登録済みの収入を紐付け" />
+            </Tabs>
+
+            {mode === 'record' ? (
+              <Stack spacing={2}>
+                <Stack direction="row" spacing={2}>
+                  <TextField
+                    label="入金日"
+                    type="date"
+                    fullWidth
+                    value={form.date}
+                    onChange={setField('date')}
+                    InputLabelProps={{ shrink: true }}
+                  />
+                  <TextField
+                    label="入金額"
+                    type="number"
+                    fullWidth
+                    value={form.amount}
+                    onChange={setField('amount')}
+                    InputProps={{ startAdornment: '¥' }}
+                  />
+                </Stack>
+                <TextField label="カテゴリ" select fullWidth value={form.categoryId} onChange={setField('categoryId')}>
+                  {categories.map(category => (
+                    <MenuItem key={category.id} value={category.id}>{category.name}</MenuItem>
+                  ))}
+                </TextField>
+                <Stack direction="row" spacing={2}>
+                  <TextField label="入金先" select fullWidth value={form.paymentAccountId} onChange={setField('paymentAccountId')}>
+                    <MenuItem value=""><em>既定の口座</em></MenuItem>
+                    {paymentAccounts.map(account => (
+                      <MenuItem key={account.id} value={account.id}>{account.name}</MenuItem>
+                    ))}
+                  </TextField>
+                  <TextField label="担当ユーザー" select fullWidth value={form.userId} onChange={setField('userId')}>
+                    <MenuItem value=""><em>なし</em></MenuItem>
+                    {users.map(user => (
+                      <MenuItem key={user.id} value={user.id}>{user.name}</MenuItem>
+                    ))}
+                  </TextField>
+                </Stack>
+                <Typography variant="caption" color="text.secondary">
+                  収入として登録され、この請求書に紐付きます。消費税は請求書の発行日に計上済みです。
+                </Typography>
+              </Stack>
+            ) : (
+              <Box sx={{ maxHeight: 300, overflowY: 'auto' }}>
+                {candidates.length === 0 ? (
+                  <Typography color="text.secondary" sx={{ py: 2, textAlign: 'center' }}>
+                    紐付けできる収入がありません
+                  </Typography>
+                ) : (
+                  <List dense>
+                    {candidates.map(income => (
+                      <ListItem
+                        key={income.id}
+                        secondaryAction={(
+                          <Button
+                            size="small"
+                            startIcon={<LinkIcon />}
+                            disabled={income.amount > outstanding}
+                            onClick={async () => handleResult(await invoiceService.linkIncomeToInvoice(invoice.id, income.id))}
+                          >
+                            紐付け
+                          </Button>
+                        )}
+                      >
+                        <ListItemText
+                          primary={`${String(income.date).slice(0, 10)}　${yen(income.amount)}`}
+                          secondary={[income.source, income.description].filter(Boolean).join(' / ')}
+                        />
+                      </ListItem>
+                    ))}
+                  </List>
+                )}
+              </Box>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>閉じる</Button>
+        {outstanding > 0 && invoice.status !== 'cancelled' && mode === 'record' && (
+          <Button
+            onClick={handleRecord}
+            variant="contained"
+            sx={{
+              background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+            }}
+          >
+            入金を記録
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default InvoicePaymentDialog;
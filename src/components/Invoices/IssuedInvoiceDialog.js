@@ -0,0 +1,325 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Grid,
+  IconButton,
+  MenuItem,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+  Alert,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+} from '@mui/icons-material';
+import invoiceService, { HONORIFICS } from '../../services/invoiceService';
+import vendorService, { findMatchingVendor } from '../../services/vendorService';
+import CounterpartyPicker from '../common/CounterpartyPicker';
+import { TAX_CATEGORIES, DEFAULT_TAX_CATEGORY } from '../../utils/consumptionTax';
+import { toDateString } from '../../utils/recurrence';
+
+const emptyLine = () => ({ description: '', quantity: 1, unit: '式', unitPrice: '', taxCategory: DEFAULT_TAX_CATEGORY });
+
+const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00`);
+  date.setDate(date.getDate() + days);
+  return toDateString(date);
+};
+
+const yen = (amount) => `¥${Number(amount || 0).toLocaleString()}`;
+
+// Create or edit an invoice we issue to a client
+const IssuedInvoiceDialog = ({ open, invoice, issuer, onClose, onSaved }) => {
+  const [form, setForm] = useState(null);
+  const [vendors, setVendors] = useState([]);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    vendorService.getAllVendors().then(result => {
+      if (result.success) setVendors(result.data);
+    });
+    const today = toDateString(new Date());
+    setForm(invoice ? {
+      client: invoice.client,
+      clientAddress: invoice.clientAddress || '',
+      honorific: invoice.honorific || HONORIFICS[0],
+      title: invoice.title || '',
+      issueDate: invoice.issueDate,
+      dueDate: invoice.dueDate.slice(0, 10),
+      lineItems: invoice.lineItems.map(item => ({ ...item })),
+      notes: invoice.notes || ''
+    } : {
+      client: '',
+      clientAddress: '',
+      honorific: HONORIFICS[0],
+      title: '',
+      issueDate: today,
+      dueDate: addDays(today, Number(issuer?.paymentTermDays) || 0),
+      lineItems: [emptyLine()],
+      notes: issuer?.notes || ''
+    });
+    setError('');
+  }, [open, invoice, issuer]);
+
+  if (!form) return null;
+
+  const totals = invoiceService.calculateInvoiceTotals(
+    form.lineItems.filter(item => String(item.description).trim())
+  );
+
+  const setField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  // Payment terms of the client when it is in the 取引先マスタ, otherwise the issuer's
+  const termDaysFor = (client) => {
+    const known = findMatchingVendor(vendors, client);
+    return Number(known?.paymentTermDays ?? issuer?.paymentTermDays) || 0;
+  };
+
+  // Keep the due date in step with the payment terms until it is changed by hand
+  const followTerms = (prev, next) => (
+    !invoice && next.issueDate && prev.dueDate === addDays(prev.issueDate, termDaysFor(prev.client))
+      ? addDays(next.issueDate, termDaysFor(next.client))
+      : prev.dueDate
+  );
+
+  const handleIssueDateChange = (e) => {
+    const issueDate = e.target.value;
+    setForm(prev => ({ ...prev, issueDate, dueDate: followTerms(prev, { ...prev, issueDate }) }));
+  };
+
+  const handleClientChange = (client, known) => {
+    setForm(prev => ({
+      ...prev,
+      client,
+      clientAddress: known?.address && !prev.clientAddress ? known.address : prev.clientAddress,
+      dueDate: followTerms(prev, { ...prev, client })
+    }));
+  };
+
+  const updateLine = (index, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      lineItems: prev.lineItems.map((item, i) => (i === index ? { ...item, [field]: value } : item))
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    const result = invoice
+      ? await invoiceService.updateIssuedInvoice(invoice.id, form)
+      : await invoiceService.createIssuedInvoice(form);
+    setSaving(false);
+    if (result.success) {
+      onSaved(result.data);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>
+        {invoice ? `請求書 ${invoice.invoiceNumber} を編集` : '請求書を発行'}
+      </DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        <Grid container spacing={2} sx={{ mt: 0 }}>
+          <Grid item xs={12} md={8}>
+            <CounterpartyPicker
+              label="請求先"
+              required
+              value={form.client}
+              vendors={vendors}
+              onChange={handleClientChange}
+            />
+          </Grid>
+          <Grid item xs={12} md={4}>
+            <TextField label="敬称" fullWidth select value={form.honorific} onChange={setField('honorific')}>
+              {HONORIFICS.map(honorific => (
+                <MenuItem key={honorific} value={honorific}>{honorific}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12}>
+            <TextField label="請求先住所" fullWidth multiline value={form.clientAddress} onChange={setField('clientAddress')} />
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <TextField label="件名" fullWidth value={form.title} onChange={setField('title')} helperText="空欄の場合は1行目の品目" />
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <TextField
+              label="請求日"
+              type="date"
+              fullWidth
+              required
+              value={form.issueDate}
+              onChange={handleIssueDateChange}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <TextField
+              label="支払期限"
+              type="date"
+              fullWidth
+              required
+              value={form.dueDate}
+              onChange={setField('dueDate')}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+        </Grid>
+
+        <Typography variant="subtitle2" sx={{ mt: 3, mb: 1 }}>明細（税抜）</Typography>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>品目</TableCell>
+              <TableCell sx={{ width: 90 }}>数量</TableCell>
+              <TableCell sx={{ width: 80 }}>単位</TableCell>
+              <TableCell sx={{ width: 130 }}>単価</TableCell>
+              <TableCell sx={{ width: 110 }}>税率</TableCell>
+              <TableCell align="right" sx={{ width: 110 }}>金額</TableCell>
+              <TableCell sx={{ width: 48 }} />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {form.lineItems.map((item, index) => (
+              <TableRow key={index}>
+                <TableCell>
+                  <TextField
+                    size="small"
+                    fullWidth
+                    variant="standard"
+                    value={item.description}
+                    onChange={(e) => updateLine(index, 'description', e.target.value)}
+                  />
+                </TableCell>
+                <TableCell>
+                  <TextField
+                    size="small"
+                    type="number"
+                    variant="standard"
+                    value={item.quantity}
+                    onChange={(e) => updateLine(index, 'quantity', e.target.value)}
+                  />
+                </TableCell>
+                <TableCell>
+                  <TextField
+                    size="small"
+                    variant="standard"
+                    value={item.unit}
+                    onChange={(e) => updateLine(index, 'unit', e.target.value)}
+                  />
+                </TableCell>
+                <TableCell>
+                  <TextField
+                    size="small"
+                    type="number"
+                    variant="standard"
+                    value={item.unitPrice}
+                    onChange={(e) => updateLine(index, 'unitPrice', e.target.value)}
+                  />
+                </TableCell>
+                <TableCell>
+                  <TextField
+                    size="small"
+                    select
+                    variant="standard"
+                    fullWidth
+                    value={item.taxCategory}
+                    onChange={(e) => updateLine(index, 'taxCategory', e.target.value)}
+                  >
+                    {Object.entries(TAX_CATEGORIES).map(([value, category]) => (
+                      <MenuItem key={value} value={value}>{category.label}</MenuItem>
+                    ))}
+                  </TextField>
+                </TableCell>
+                <TableCell align="right">
+                  {yen(Math.round((Number(item.quantity) || 0) * (Number(item.unitPrice) || 0)))}
+                </TableCell>
+                <TableCell>
+                  <IconButton
+                    size="small"
+                    title="行を削除"
+                    disabled={form.lineItems.length === 1}
+                    onClick={() => setForm(prev => ({ ...prev, lineItems: prev.lineItems.filter((_, i) => i !== index) }))}
+                  >
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+        <Button
+          size="small"
+          startIcon={<AddIcon />}
+          sx={{ mt: 1 }}
+          onClick={() => setForm(prev => ({ ...prev, lineItems: [...prev.lineItems, emptyLine()] }))}
+        >
+          行を追加
+        </Button>
+
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 2 }}>
+          <Stack spacing={0.5} sx={{ minWidth: 260 }}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+              <Typography variant="body2">小計（税抜）</Typography>
+              <Typography variant="body2">{yen(totals.netAmount)}</Typography>
+            </Box>
+            {totals.taxBreakdown.map(row => (
+              <Box key={row.taxCategory} sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                <Typography variant="body2" color="text.secondary">
+                  {TAX_CATEGORIES[row.taxCategory].label}対象 {yen(row.netAmount)}
+                </Typography>
+                <Typography variant="body2" color="text.secondary">消費税 {yen(row.taxAmount)}</Typography>
+              </Box>
+            ))}
+            <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+              <Typography variant="subtitle1" fontWeight="bold">合計（税込）</Typography>
+              <Typography variant="subtitle1" fontWeight="bold">{yen(totals.amount)}</Typography>
+            </Box>
+          </Stack>
+        </Box>
+
+        <TextField
+          label="備考"
+          fullWidth
+          multiline
+          rows={2}
+          sx={{ mt: 2 }}
+          value={form.notes}
+          onChange={setField('notes')}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>キャンセル</Button>
+        <Button
+          onClick={handleSave}
+          variant="contained"
+          disabled={saving}
+          sx={{
+            background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+          }}
+        >
+          {invoice ? '更新' : '発行'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default IssuedInvoiceDialog;
@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import {
+  CompareArrows as MatchIcon,
+  Link as LinkIcon,
+  DoneAll as DoneAllIcon,
+} from '@mui/icons-material';
+import invoiceService from '../../services/invoiceService';
+
+/**
+ * Income records that look like payments of open issued invoices
+ * Each suggestion can be linked on its own; 'high' confidence ones can be linked all at once.
+ */
+const PaymentMatches = ({ refreshKey, formatCurrency, onChanged, onError }) => {
+  const [matches, setMatches] = useState([]);
+
+  useEffect(() => {
+    invoiceService.findPaymentMatches().then(result => {
+      if (result.success) setMatches(result.data);
+    });
+  }, [refreshKey]);
+
+  const handleLink = async (match) => {
+    const result = await invoiceService.linkIncomeToInvoice(match.invoice.id, match.income.id);
+    if (!result.success) {
+      onError(result.error);
+    }
+    onChanged();
+  };
+
+  const handleApplyAll = async () => {
+    const result = await invoiceService.applyPaymentMatches();
+    if (!result.success) {
+      onError(result.error);
+    } else if (result.data.failed > 0) {
+      onError(`${result.data.linked}件を消し込みました。${result.data.failed}件は未入金額を超えるため紐付けできませんでした。`);
+    }
+    onChanged();
+  };
+
+  const highCount = matches.filter(match => match.confidence === 'high').length;
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <MatchIcon />
+          入金の消込候補
+        </Typography>
+        <Button
+          variant="outlined"
+          startIcon={<DoneAllIcon />}
+          disabled={highCount === 0}
+          onClick={handleApplyAll}
+        >
+          確度の高い{highCount}件を消込
+        </Button>
+      </Box>
+
+      {matches.length === 0 ? (
+        <Typography color="text.secondary" sx={{ textAlign: 'center', py: 3 }}>
+          未入金の請求書に一致する収入はありません
+        </Typography>
+      ) : (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>入金日</TableCell>
+                <TableCell>入金元</TableCell>
+                <TableCell align="right">金額</TableCell>
+                <TableCell>請求書</TableCell>
+                <TableCell align="right">未入金額</TableCell>
+                <TableCell>一致した項目</TableCell>
+                <TableCell align="right">操作</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {matches.map(match => (
+                <TableRow key={match.income.id} hover>
+                  <TableCell sx={{ whiteSpace: 'nowrap' }}>{String(match.income.date).slice(0, 10)}</TableCell>
+                  <TableCell>{match.income.source || match.income.description}</TableCell>
+                  <TableCell align="right">{formatCurrency(match.income.amount)}</TableCell>
+                  <TableCell>
+                    {match.invoice.invoiceNumber}
+                    <Typography variant="caption" color="text.secondary" display="block">{match.invoice.client}</Typography>
+                  </TableCell>
+                  <TableCell align="right">{formatCurrency(invoiceService.getInvoiceOutstanding(match.invoice))}</TableCell>
+                  <TableCell>
+                    <Stack direction="row" spacing={0.5} useFlexGap flexWrap="wrap">
+                      <Chip
+                        size="small"
+                        label={match.confidence === 'high' ? '確度高' : '要確認'}
+                        color={match.confidence === 'high' ? 'success' : 'warning'}
+                      />
+                      {match.reasons.map(reason => (
+                        <Chip key={reason} size="small" variant="outlined" label={reason} />
+                      ))}
+                    </Stack>
+                  </TableCell>
+                  <TableCell align="right">
+                    <Button size="small" startIcon={<LinkIcon />} onClick={() => handleLink(match)}>
+                      紐付け
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Box>
+  );
+};
+
+export default PaymentMatches;
@@ -0,0 +1,137 @@
+import React, { useState, useEffect, Fragment } from 'react';
+import {
+  Box,
+  Collapse,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import {
+  KeyboardArrowDown as ExpandIcon,
+  KeyboardArrowUp as CollapseIcon,
+  HourglassBottom as AgingIcon,
+} from '@mui/icons-material';
+import invoiceService, { AGING_BUCKETS } from '../../services/invoiceService';
+import { toDateString } from '../../utils/recurrence';
+
+// Unpaid balances of issued invoices per client, by days past the due date
+const ReceivablesAging = ({ refreshKey, formatCurrency }) => {
+  const [asOfDate, setAsOfDate] = useState(toDateString(new Date()));
+  const [aging, setAging] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+
+  useEffect(() => {
+    if (!asOfDate) return;
+    invoiceService.getReceivablesAging(asOfDate).then(result => {
+      if (result.success) setAging(result.data);
+    });
+  }, [asOfDate, refreshKey]);
+
+  const amountCell = (amount, bucketKey) => (
+    <TableCell
+      align="right"
+      sx={{ color: amount > 0 && bucketKey && bucketKey !== 'current' ? 'error.main' : undefined }}
+    >
+      {amount > 0 ? formatCurrency(amount) : '—'}
+    </TableCell>
+  );
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <AgingIcon />
+          売掛金年齢表
+        </Typography>
+        <TextField
+          label="基準日"
+          type="date"
+          size="small"
+          value={asOfDate}
+          onChange={(e) => setAsOfDate(e.target.value)}
+          InputLabelProps={{ shrink: true }}
+        />
+      </Box>
+
+      {!aging || aging.clients.length === 0 ? (
+        <Typography color="text.secondary" sx={{ textAlign: 'center', py: 3 }}>
+          基準日時点の未入金の請求書はありません
+        </Typography>
+      ) : (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell sx={{ width: 40 }} />
+                <TableCell>請求先</TableCell>
+                {AGING_BUCKETS.map(bucket => (
+                  <TableCell key={bucket.key} align="right">{bucket.label}</TableCell>
+                ))}
+                <TableCell align="right">合計</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {aging.clients.map(row => (
+                <Fragment key={row.client}>
+                  <TableRow hover>
+                    <TableCell>
+                      <IconButton
+                        size="small"
+                        title="請求書を表示"
+                        onClick={() => setExpanded(expanded === row.client ? null : row.client)}
+                      >
+                        {expanded === row.client ? <CollapseIcon fontSize="small" /> : <ExpandIcon fontSize="small" />}
+                      </IconButton>
+                    </TableCell>
+                    <TableCell>{row.client}</TableCell>
+                    {AGING_BUCKETS.map(bucket => (
+                      <Fragment key={bucket.key}>{amountCell(row.buckets[bucket.key], bucket.key)}</Fragment>
+                    ))}
+                    <TableCell align="right" sx={{ fontWeight: 'bold' }}>{formatCurrency(row.total)}</TableCell>
+                  </TableRow>
+                  <TableRow>
+                    <TableCell colSpan={AGING_BUCKETS.length + 3} sx={{ py: 0, borderBottom: expanded === row.client ? undefined : 'none' }}>
+                      <Collapse in={expanded === row.client} unmountOnExit>
+                        <Table size="small" sx={{ my: 1 }}>
+                          <TableBody>
+                            {row.invoices.map(invoice => (
+                              <TableRow key={invoice.id}>
+                                <TableCell>{invoice.invoiceNumber}</TableCell>
+                                <TableCell>{invoice.title}</TableCell>
+                                <TableCell>期限 {String(invoice.dueDate).slice(0, 10)}</TableCell>
+                                <TableCell>{invoice.daysPastDue > 0 ? `${invoice.daysPastDue}日超過` : '期日前'}</TableCell>
+                                <TableCell align="right">{formatCurrency(invoice.outstanding)} / {formatCurrency(invoice.amount)}</TableCell>
+                              </TableRow>
+                            ))}
+                          </TableBody>
+                        </Table>
+                      </Collapse>
+                    </TableCell>
+                  </TableRow>
+                </Fragment>
+              ))}
+              <TableRow>
+                <TableCell />
+                <TableCell sx={{ fontWeight: 'bold' }}>合計</TableCell>
+                {AGING_BUCKETS.map(bucket => (
+                  <TableCell key={bucket.key} align="right" sx={{ fontWeight: 'bold' }}>
+                    {formatCurrency(aging.totals.buckets[bucket.key])}
+                  </TableCell>
+                ))}
+                <TableCell align="right" sx={{ fontWeight: 'bold' }}>{formatCurrency(aging.totals.total)}</TableCell>
+              </TableRow>
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Box>
+  );
+};
+
+export default ReceivablesAging;
@@ -35,6 +35,17 @@ import {
   Delete as TrashIcon,
   Receipt as ReceiptIcon,
   Notifications as NotificationsIcon,
+  FactCheck as ApprovalIcon,
+  History as AuditIcon,
+  AccountBalanceWallet as ReimbursementIcon,
+  MenuBook as LedgerIcon,
+  EventRepeat as RecurringIcon,
+  Savings as BudgetIcon,
+  Percent as TaxIcon,
+  UploadFile as StatementImportIcon,
+  DocumentScanner as ReceiptQueueIcon,
+  Inventory2 as ReceiptArchiveIcon,
+  ShowChart as CashFlowIcon,
 } from '@mui/icons-material';
 import { motion, AnimatePresence } from 'framer-motion';
 
@@ -81,6 +92,48 @@ const menuItems = [
     gradient: 'linear-gradient(135deg, #43e97b 0%, #38f9d7 100%)',
     description: '収支の一覧と検索',
   },
+  {
+    text: '明細取込',
+    icon: <StatementImportIcon />,
+    path: '/statement-import',
+    gradient: 'linear-gradient(135deg, #4facfe 0%, #00f2fe 100%)',
+    description: '銀行・カード明細の取込と照合',
+  },
+  {
+    text: 'レシート一括読取',
+    icon: <ReceiptQueueIcon />,
+    path: '/receipt-queue',
+    gradient: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+    description: 'レシート・請求書のまとめて読み取り',
+  },
+  {
+    text: '証憑保存',
+    icon: <ReceiptArchiveIcon />,
+    path: '/receipt-archive',
+    gradient: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+    description: '電子帳簿保存法に沿った証憑の検索と出力',
+  },
+  {
+    text: '定期取引',
+    icon: <RecurringIcon />,
+    path: '/recurring',
+    gradient: 'linear-gradient(135deg, #30cfd0 0%, #330867 100%)',
+    description: '家賃・サブスクなどの自動登録',
+  },
+  {
+    text: '経費承認',
+    icon: <ApprovalIcon />,
+    path: '/approvals',
+    gradient: 'linear-gradient(135deg, #f6d365 0%, #fda085 100%)',
+    description: '経費申請の承認と精算',
+  },
+  {
+    text: '立替金精算',
+    icon: <ReimbursementIcon />,
+    path: '/reimbursements',
+    gradient: 'linear-gradient(135deg, #f093fb 0%, #f5576c 100%)',
+    description: '立替金の精算書と支払管理',
+  },
   {
     text: 'ユーザー管理',
     icon: <PeopleIcon />,
@@ -95,6 +148,34 @@ const menuItems = [
     gradient: 'linear-gradient(135deg, #a8edea 0%, #fed6e3 100%)',
     description: 'データ分析と可視化',
   },
+  {
+    text: '予算管理',
+    icon: <BudgetIcon />,
+    path: '/budgets',
+    gradient: 'linear-gradient(135deg, #f6d365 0%, #fda085 100%)',
+    description: '予算と実績の管理',
+  },
+  {
+    text: '消費税集計',
+    icon: <TaxIcon />,
+    path: '/tax-report',
+    gradient: 'linear-gradient(135deg, #84fab0 0%, #8fd3f4 100%)',
+    description: '仮受・仮払消費税の集計',
+  },
+  {
+    text: '資金繰り予測',
+    icon: <CashFlowIcon />,
+    path: '/cash-flow',
+    gradient: 'linear-gradient(135deg, #0ba360 0%, #3cba92 100%)',
+    description: '今後の資金残高の予測',
+  },
+  {
+    text: '帳簿',
+    icon: <LedgerIcon />,
+    path: '/ledger',
+    gradient: 'linear-gradient(135deg, #a1c4fd 0%, #c2e9fb 100%)',
+    description: '仕訳帳・総勘定元帳・試算表',
+  },
   {
     text: '請求書管理',
     icon: <ReceiptIcon />,
@@ -109,6 +190,13 @@ const menuItems = [
     gradient: 'linear-gradient(135deg, #fa709a 0%, #fee140 100%)',
     description: '期日通知とお知らせ',
   },
+  {
+    text: '監査ログ',
+    icon: <AuditIcon />,
+    path: '/audit',
+    gradient: 'linear-gradient(135deg, #c471f5 0%, #fa71cd 100%)',
+    description: '変更履歴の確認',
+  },
   {
     text: 'ゴミ箱',
     icon: <TrashIcon />,
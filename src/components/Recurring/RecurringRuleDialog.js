@@ -0,0 +1,378 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Grid,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  FormControlLabel,
+  Switch,
+  ToggleButton,
+  ToggleButtonGroup,
+  InputAdornment,
+  Typography,
+  Stack,
+  Chip,
+  Divider,
+  Alert,
+} from '@mui/material';
+import {
+  TrendingDown as ExpenseIcon,
+  TrendingUp as IncomeIcon,
+} from '@mui/icons-material';
+import {
+  RECURRENCE_FREQUENCIES,
+  RECURRENCE_END_TYPES,
+  listOccurrences,
+  describeRecurrence,
+  toDateString,
+} from '../../utils/recurrence';
+import { TAX_CATEGORIES, DEFAULT_TAX_CATEGORY } from '../../utils/consumptionTax';
+import { getCurrencySymbol } from '../../utils/currency';
+import { getBaseCurrency } from '../../services/exchangeRateService';
+
+const emptyForm = () => ({
+  type: 'expense',
+  amount: '',
+  description: '',
+  categoryId: '',
+  userId: '',
+  taxCategory: DEFAULT_TAX_CATEGORY,
+  memo: '',
+  isAdvancePayment: false,
+  frequency: 'monthly',
+  interval: 1,
+  dayOfMonth: '',
+  businessDay: 1,
+  startDate: toDateString(new Date()),
+  endType: 'never',
+  endDate: '',
+  maxOccurrences: 12,
+});
+
+// Form values for an existing rule
+const formFromRule = (rule) => ({
+  type: rule.type,
+  amount: String(rule.template.amount ?? ''),
+  description: rule.template.description || rule.template.source || '',
+  categoryId: rule.template.categoryId ?? '',
+  userId: rule.template.userId ?? '',
+  taxCategory: rule.template.taxCategory || DEFAULT_TAX_CATEGORY,
+  memo: rule.template.memo || '',
+  isAdvancePayment: Boolean(rule.template.isAdvancePayment),
+  frequency: rule.frequency,
+  interval: rule.interval || 1,
+  dayOfMonth: rule.dayOfMonth || '',
+  businessDay: rule.businessDay || 1,
+  startDate: rule.startDate,
+  endType: rule.endType || 'never',
+  endDate: rule.endDate || '',
+  maxOccurrences: rule.maxOccurrences || 12,
+});
+
+const RecurringRuleDialog = ({ open, rule = null, categories = [], users = [], onClose, onSave }) => {
+  const [formData, setFormData] = useState(emptyForm);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setFormData(rule ? formFromRule(rule) : emptyForm());
+      setError('');
+    }
+  }, [open, rule]);
+
+  const handleChange = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const schedule = {
+    frequency: formData.frequency,
+    interval: parseInt(formData.interval, 10) || 1,
+    dayOfMonth: formData.frequency === 'monthly' ? parseInt(formData.dayOfMonth, 10) || null : null,
+    businessDay: formData.frequency === 'business_day' ? parseInt(formData.businessDay, 10) || 1 : null,
+    startDate: formData.startDate,
+    endType: formData.endType,
+    endDate: formData.endType === 'date' ? formData.endDate : null,
+    maxOccurrences: formData.endType === 'count' ? parseInt(formData.maxOccurrences, 10) || 0 : null,
+  };
+
+  const preview = formData.startDate
+    ? listOccurrences(schedule, { after: rule?.lastProcessedDate || null, limit: 5 })
+    : [];
+
+  const handleSubmit = async () => {
+    const amount = parseFloat(formData.amount);
+    if (!formData.description.trim() || !formData.categoryId || !(amount > 0)) {
+      setError('説明、カテゴリ、金額は必須です。');
+      return;
+    }
+
+    const template = {
+      amount,
+      description: formData.description.trim(),
+      categoryId: formData.categoryId,
+      userId: formData.userId === '' ? null : formData.userId,
+      taxCategory: formData.taxCategory,
+      memo: formData.memo,
+      ...(formData.type === 'expense'
+        ? { isAdvancePayment: formData.isAdvancePayment }
+        : { source: formData.description.trim() }),
+    };
+
+    setSaving(true);
+    const result = await onSave({ type: formData.type, template, ...schedule });
+    setSaving(false);
+    if (result && !result.success) {
+      setError(result.error || '保存に失敗しました');
+    }
+  };
+
+  const filteredCategories = categories.filter(category => category.type === formData.type);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>{rule ? '定期取引の編集' : '定期取引の追加'}</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {rule && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            変更はこれから登録される回にのみ反映されます。登録済みの取引は変わりません。
+          </Alert>
+        )}
+
+        <Grid container spacing={2} sx={{ mt: 0 }}>
+          <Grid item xs={12}>
+            <ToggleButtonGroup
+              value={formData.type}
+              exclusive
+              disabled={Boolean(rule)}
+              onChange={(e, value) => value && setFormData(prev => ({ ...prev, type: value, categoryId: '' }))}
+              size="small"
+            >
+              <ToggleButton value="expense">
+                <ExpenseIcon sx={{ mr: 1 }} />
+                支出
+              </ToggleButton>
+              <ToggleButton value="income">
+                <IncomeIcon sx={{ mr: 1 }} />
+                収入
+              </ToggleButton>
+            </ToggleButtonGroup>
+          </Grid>
+
+          <Grid item xs={12} md={8}>
+            <TextField
+              label="説明"
+              value={formData.description}
+              onChange={handleChange('description')}
+              fullWidth
+              required
+              placeholder={formData.type === 'expense' ? '例：事務所家賃' : '例：顧問料'}
+            />
+          </Grid>
+          <Grid item xs={12} md={4}>
+            <TextField
+              label="金額（税込）"
+              type="number"
+              value={formData.amount}
+              onChange={handleChange('amount')}
+              fullWidth
+              required
+              InputProps={{
+                startAdornment: (
+                  <InputAdornment position="start">
+                    {getCurrencySymbol(rule?.template.currency || getBaseCurrency())}
+                  </InputAdornment>
+                ),
+              }}
+            />
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <FormControl fullWidth required>
+              <InputLabel>カテゴリ</InputLabel>
+              <Select value={formData.categoryId} label="カテゴリ" onChange={handleChange('categoryId')}>
+                {filteredCategories.map((category) => (
+                  <MenuItem key={category.id} value={category.id}>{category.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <FormControl fullWidth>
+              <InputLabel>担当者</InputLabel>
+              <Select value={formData.userId} label="担当者" onChange={handleChange('userId')}>
+                <MenuItem value="">未設定</MenuItem>
+                {users.map((user) => (
+                  <MenuItem key={user.id} value={user.id}>{user.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} md={4}>
+            <FormControl fullWidth>
+              <InputLabel>税区分</InputLabel>
+              <Select value={formData.taxCategory} label="税区分" onChange={handleChange('taxCategory')}>
+                {Object.entries(TAX_CATEGORIES).map(([value, { label }]) => (
+                  <MenuItem key={value} value={value}>{label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} md={8}>
+            <TextField
+              label="メモ"
+              value={formData.memo}
+              onChange={handleChange('memo')}
+              fullWidth
+            />
+          </Grid>
+          {formData.type === 'expense' && (
+            <Grid item xs={12}>
+              <FormControlLabel
+                control={<Switch checked={formData.isAdvancePayment} onChange={handleChange('isAdvancePayment')} />}
+                label="立替払い"
+              />
+            </Grid>
+          )}
+
+          <Grid item xs={12}>
+            <Divider />
+            <Typography variant="subtitle1" fontWeight="bold" sx={{ mt: 2 }}>
+              スケジュール
+            </Typography>
+          </Grid>
+
+          <Grid item xs={12} md={4}>
+            <FormControl fullWidth>
+              <InputLabel>繰り返し</InputLabel>
+              <Select value={formData.frequency} label="繰り返し" onChange={handleChange('frequency')}>
+                {Object.entries(RECURRENCE_FREQUENCIES).map(([value, label]) => (
+                  <MenuItem key={value} value={value}>{label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} md={4}>
+            <TextField
+              label="間隔"
+              type="number"
+              value={formData.interval}
+              onChange={handleChange('interval')}
+              fullWidth
+              inputProps={{ min: 1 }}
+              InputProps={{
+                endAdornment: (
+                  <InputAdornment position="end">
+                    {formData.frequency === 'weekly' ? '週ごと' : formData.frequency === 'yearly' ? '年ごと' : 'か月ごと'}
+                  </InputAdornment>
+                ),
+              }}
+            />
+          </Grid>
+          <Grid item xs={12} md={4}>
+            {formData.frequency === 'monthly' && (
+              <TextField
+                label="日付"
+                type="number"
+                value={formData.dayOfMonth}
+                onChange={handleChange('dayOfMonth')}
+                fullWidth
+                placeholder="開始日と同じ"
+                inputProps={{ min: 1, max: 31 }}
+                helperText="月末を超える日付はその月の末日になります"
+                InputProps={{ endAdornment: <InputAdornment position="end">日</InputAdornment> }}
+              />
+            )}
+            {formData.frequency === 'business_day' && (
+              <TextField
+                label="営業日"
+                type="number"
+                value={formData.businessDay}
+                onChange={handleChange('businessDay')}
+                fullWidth
+                inputProps={{ min: 1, max: 23 }}
+                helperText="土日・祝日を除いて数えます"
+                InputProps={{
+                  startAdornment: <InputAdornment position="start">第</InputAdornment>,
+                  endAdornment: <InputAdornment position="end">営業日</InputAdornment>,
+                }}
+              />
+            )}
+          </Grid>
+          <Grid item xs={12} md={4}>
+            <TextField
+              label="開始日"
+              type="date"
+              value={formData.startDate}
+              onChange={handleChange('startDate')}
+              fullWidth
+              required
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+          <Grid item xs={12} md={4}>
+            <FormControl fullWidth>
+              <InputLabel>終了条件</InputLabel>
+              <Select value={formData.endType} label="終了条件" onChange={handleChange('endType')}>
+                {Object.entries(RECURRENCE_END_TYPES).map(([value, label]) => (
+                  <MenuItem key={value} value={value}>{label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} md={4}>
+            {formData.endType === 'date' && (
+              <TextField
+                label="終了日"
+                type="date"
+                value={formData.endDate}
+                onChange={handleChange('endDate')}
+                fullWidth
+                InputLabelProps={{ shrink: true }}
+              />
+            )}
+            {formData.endType === 'count' && (
+              <TextField
+                label="回数"
+                type="number"
+                value={formData.maxOccurrences}
+                onChange={handleChange('maxOccurrences')}
+                fullWidth
+                inputProps={{ min: 1 }}
+                helperText="開始日からの通算回数"
+                InputProps={{ endAdornment: <InputAdornment position="end">回</InputAdornment> }}
+              />
+            )}
+          </Grid>
+
+          <Grid item xs={12}>
+            <Typography variant="body2" color="text.secondary" gutterBottom>
+              {describeRecurrence(schedule)} ・ 次の登録予定
+            </Typography>
+            <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap>
+              {preview.length > 0
+                ? preview.map(date => <Chip key={date} label={date} size="small" variant="outlined" />)
+                : <Typography variant="body2" color="text.secondary">予定はありません</Typography>}
+            </Stack>
+          </Grid>
+        </Grid>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>キャンセル</Button>
+        <Button onClick={handleSubmit} variant="contained" disabled={saving}>
+          {rule ? '更新' : '追加'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default RecurringRuleDialog;
@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  IconButton,
+  Chip,
+  Stack,
+  Typography,
+  Alert,
+  InputAdornment,
+} from '@mui/material';
+import {
+  SkipNext as SkipIcon,
+  Undo as UndoIcon,
+  Edit as EditIcon,
+  Check as SaveIcon,
+  Close as CancelIcon,
+  RestartAlt as ResetIcon,
+} from '@mui/icons-material';
+import recurringService from '../../services/recurringService';
+import { getBaseCurrency } from '../../services/exchangeRateService';
+import { formatMoney } from '../../utils/currency';
+
+const UpcomingOccurrencesDialog = ({ open, rule, onClose, onChanged }) => {
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState('');
+
+  if (!rule) return null;
+
+  const occurrences = recurringService.getUpcomingOccurrences(rule, 12);
+
+  // Apply a change and hand the updated rule back to the page
+  const apply = async (action) => {
+    setError('');
+    const result = await action();
+    if (result.success) {
+      setEditing(null);
+      onChanged(result.data);
+    } else {
+      setError(result.error || '更新に失敗しました');
+    }
+  };
+
+  const handleSaveOverride = () => {
+    const amount = parseFloat(editing.amount);
+    const values = {};
+    if (amount !== rule.template.amount) values.amount = amount;
+    if (editing.description !== (rule.template.description || '')) values.description = editing.description;
+    apply(() => recurringService.setOccurrenceOverride(rule.id, editing.date, values));
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>今後の予定</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          {rule.template.description || rule.template.source} ・ {rule.scheduleLabel}
+        </Typography>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {occurrences.length === 0 ? (
+          <Typography color="text.secondary" sx={{ textAlign: 'center', py: 4 }}>
+            今後の予定はありません
+          </Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>日付</TableCell>
+                <TableCell>説明</TableCell>
+                <TableCell align="right">金額</TableCell>
+                <TableCell>状態</TableCell>
+                <TableCell align="center">操作</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {occurrences.map((occurrence) => {
+                const isEditing = editing?.date === occurrence.date;
+                return (
+                  <TableRow key={occurrence.date} sx={{ opacity: occurrence.skipped ? 0.5 : 1 }}>
+                    <TableCell sx={{ whiteSpace: 'nowrap' }}>{occurrence.date}</TableCell>
+                    <TableCell>
+                      {isEditing ? (
+                        <TextField
+                          size="small"
+                          value={editing.description}
+                          onChange={(e) => setEditing(prev => ({ ...prev, description: e.target.value }))}
+                          fullWidth
+                        />
+                      ) : occurrence.description}
+                    </TableCell>
+                    <TableCell align="right">
+                      {isEditing ? (
+                        <TextField
+                          size="small"
+                          type="number"
+                          value={editing.amount}
+                          onChange={(e) => setEditing(prev => ({ ...prev, amount: e.target.value }))}
+                          sx={{ width: 140 }}
+                          InputProps={{ startAdornment: <InputAdornment position="start">¥</InputAdornment> }}
+                        />
+                      ) : formatMoney(occurrence.amount, rule.template.currency || getBaseCurrency())}
+                    </TableCell>
+                    <TableCell>
+                      {occurrence.skipped && <Chip label="スキップ" size="small" />}
+                      {!occurrence.skipped && occurrence.overridden && <Chip label="個別変更" size="small" color="info" />}
+                    </TableCell>
+                    <TableCell align="center">
+                      <Stack direction="row" spacing={0.5} justifyContent="center">
+                        {isEditing ? (
+                          <>
+                            <IconButton size="small" color="primary" onClick={handleSaveOverride} title="保存">
+                              <SaveIcon />
+                            </IconButton>
+                            <IconButton size="small" onClick={() => setEditing(null)} title="キャンセル">
+                              <CancelIcon />
+                            </IconButton>
+                          </>
+                        ) : occurrence.skipped ? (
+                          <IconButton
+                            size="small"
+                            onClick={() => apply(() => recurringService.unskipOccurrence(rule.id, occurrence.date))}
+                            title="スキップを取り消す"
+                          >
+                            <UndoIcon />
+                          </IconButton>
+                        ) : (
+                          <>
+                            <IconButton
+                              size="small"
+                              onClick={() => setEditing({
+                                date: occurrence.date,
+                                amount: String(occurrence.amount),
+                                description: occurrence.description || ''
+                              })}
+                              title="この回だけ変更"
+                            >
+                              <EditIcon />
+                            </IconButton>
+                            {occurrence.overridden && (
+                              <IconButton
+                                size="small"
+                                onClick={() => apply(() => recurringService.setOccurrenceOverride(rule.id, occurrence.date, null))}
+                                title="変更を元に戻す"
+                              >
+                                <ResetIcon />
+                              </IconButton>
+                            )}
+                            <IconButton
+                              size="small"
+                              color="warning"
+                              onClick={() => apply(() => recurringService.skipOccurrence(rule.id, occurrence.date))}
+                              title="この回をスキップ"
+                            >
+                              <SkipIcon />
+                            </IconButton>
+                          </>
+                        )}
+                      </Stack>
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>閉じる</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default UpcomingOccurrencesDialog;
@@ -7,59 +7,47 @@ import {
   Alert,
   CircularProgress,
   Divider,
+  IconButton,
+  Tooltip,
 } from '@mui/material';
 import {
   Psychology as AiIcon,
   AutoAwesome as MagicIcon,
   CheckCircle as CheckIcon,
+  Close as CloseIcon,
 } from '@mui/icons-material';
 import { motion } from 'framer-motion';
-import { suggestCategory } from '../../services/aiService';
+import { suggestCategory, learnFromSelection } from '../../services/aiService';
+
+const SOURCE_LABELS = {
+  ai: 'AI カテゴリ提案',
+  local_model: '取引履歴からの提案',
+  local_learning: '過去の選択からの提案'
+};
 
 const CategorySuggestion = ({ 
   description,
   type = 'expense',
   onCategorySelect,
-  availableCategories = []
+  availableCategories = [],
+  context = {}
 }) => {
   const [loading, setLoading] = useState(false);
   const [suggestion, setSuggestion] = useState(null);
   const [error, setError] = useState(null);
   const debounceTimerRef = useRef(null);
+  // Vendor, amount and date help the local model but should not trigger a new request
+  const contextRef = useRef(context);
+  contextRef.current = context;
 
   const getSuggestion = useCallback(async () => {
     setLoading(true);
     setError(null);
     
     try {
-      const result = await suggestCategory(description, type);
-      if (result.success && result.suggestion) {
-        // Parse the AI response to extract category information
-        const suggestionText = result.suggestion;
-        
-        // Try to extract category name from the response
-        const categoryMatch = suggestionText.match(/推奨カテゴリ[：:]\s*([^\n\r]+)/);
-        const reasonMatch = suggestionText.match(/理由[：:]\s*([^\n\r]+)/);
-        
-        if (categoryMatch) {
-          setSuggestion({
-            category: categoryMatch[1].trim(),
-            reasoning: reasonMatch ? reasonMatch[1].trim() : '',
-            confidence: 0.8 // Default confidence
-          });
-        } else {
-          // If pattern matching fails, try to use the raw suggestion as category name
-          const cleanSuggestion = suggestionText.replace(/^[^\w\u3040-\u309F\u30A0-\u30FF\u4E00-\u9FAF]+/, '').trim();
-          if (cleanSuggestion) {
-            setSuggestion({
-              category: cleanSuggestion.split('\n')[0].trim(),
-              reasoning: 'AI提案',
-              confidence: 0.6
-            });
-          } else {
-            setError('AI応答の解析に失敗しました');
-          }
-        }
+      const result = await suggestCategory(description, type, contextRef.current);
+      if (result.success) {
+        setSuggestion(result.suggestions.length > 0 ? result : null);
       } else {
         setError(result.error || 'AI提案の取得に失敗しました');
       }
@@ -99,6 +87,15 @@ const CategorySuggestion = ({
     onCategorySelect(categoryId);
   };
 
+  // Rejected suggestions are learned so they are not offered again for a similar description
+  const handleReject = (item) => {
+    learnFromSelection(description, item.categoryName, type, 'rejected');
+    setSuggestion(prev => ({
+      ...prev,
+      suggestions: prev.suggestions.filter(other => other.categoryId !== item.categoryId)
+    }));
+  };
+
   if (loading) {
     return (
       <motion.div
@@ -135,13 +132,16 @@ const CategorySuggestion = ({
     );
   }
 
-  if (!suggestion || !suggestion.category) {
+  // Only categories shown in the form's selector can be applied
+  const suggestions = (suggestion?.suggestions || []).filter(item =>
+    availableCategories.length === 0 || availableCategories.some(cat => cat.id === item.categoryId)
+  );
+
+  if (suggestions.length === 0) {
     return null;
   }
 
-  const matchedCategory = availableCategories.find(
-    cat => cat.name && suggestion.category && cat.name.toLowerCase() === suggestion.category.toLowerCase()
-  );
+  const [best, ...others] = suggestions;
 
   return (
     <motion.div
@@ -161,53 +161,61 @@ const CategorySuggestion = ({
         <Box>
           <Typography variant="body2" fontWeight="medium" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
             <MagicIcon fontSize="small" />
-            AI カテゴリ提案
+            {SOURCE_LABELS[suggestion.source] || SOURCE_LABELS.ai}
           </Typography>
           
           <Typography variant="body2" sx={{ mb: 2 }}>
             <strong>"{description}"</strong> に最適なカテゴリ:
           </Typography>
 
-          {matchedCategory ? (
-            <Box sx={{ mb: 2 }}>
-              <Button
-                variant="contained"
-                size="small"
-                startIcon={<CheckIcon />}
-                onClick={() => handleCategorySelect(matchedCategory.id)}
-                sx={{
-                  background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
-                  '&:hover': {
-                    background: 'linear-gradient(135deg, #5a6fd8 0%, #6a4190 100%)',
-                  },
-                  mr: 1
-                }}
-              >
-                {matchedCategory.name}
-              </Button>
-              <Typography variant="caption" color="text.secondary" sx={{ ml: 1 }}>
-                信頼度: {Math.round(suggestion.confidence * 100)}%
-              </Typography>
-            </Box>
-          ) : (
-            <Box sx={{ mb: 2 }}>
-              <Chip 
-                label={`${suggestion.category}（未登録カテゴリ）`}
-                color="warning"
-                variant="outlined"
-                size="small"
-              />
-              <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
-                このカテゴリは未登録です。手動で近いカテゴリを選択してください。
+          <Box sx={{ mb: 2, display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1 }}>
+            <Button
+              variant="contained"
+              size="small"
+              startIcon={<CheckIcon />}
+              onClick={() => handleCategorySelect(best.categoryId)}
+              sx={{
+                background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                '&:hover': {
+                  background: 'linear-gradient(135deg, #5a6fd8 0%, #6a4190 100%)',
+                },
+              }}
+            >
+              {best.categoryName}を適用
+            </Button>
+            <Typography variant="caption" color="text.secondary">
+              信頼度: {Math.round(best.confidence * 100)}%
+            </Typography>
+            <IconButton size="small" onClick={() => handleReject(best)} title="この提案を却下">
+              <CloseIcon fontSize="small" />
+            </IconButton>
+          </Box>
+
+          {others.length > 0 && (
+            <Box sx={{ mb: 1, display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1 }}>
+              <Typography variant="caption" color="text.secondary">
+                ほかの候補:
               </Typography>
+              {others.map(item => (
+                <Tooltip key={item.categoryId} title={item.reason || ''}>
+                  <Chip
+                    label={`${item.categoryName} ${Math.round(item.confidence * 100)}%`}
+                    size="small"
+                    variant="outlined"
+                    color="primary"
+                    onClick={() => handleCategorySelect(item.categoryId)}
+                    onDelete={() => handleReject(item)}
+                  />
+                </Tooltip>
+              ))}
             </Box>
           )}
 
-          {suggestion.reasoning && (
+          {best.reason && (
             <Box>
               <Divider sx={{ my: 1 }} />
               <Typography variant="caption" color="text.secondary">
-                <strong>理由:</strong> {suggestion.reasoning}
+                <strong>理由:</strong> {best.reason}
               </Typography>
             </Box>
           )}
@@ -0,0 +1,104 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Stack,
+  Box,
+  Typography,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  TextField,
+} from '@mui/material';
+import { CURRENCIES, convertAmount, formatMoney } from '../../utils/currency';
+import exchangeRateService from '../../services/exchangeRateService';
+
+// Unit shown after amount fields
+export const getAmountUnit = (currency) => (currency === 'JPY' ? '円' : currency);
+
+// Currency of a transaction and, for foreign currencies, the rate to the base currency
+// The stored rate of the transaction date is filled in whenever the currency or date changes.
+const CurrencyFields = ({ currency, amount, exchangeRate, date, baseCurrency, error, onChange }) => {
+  const [rateInfo, setRateInfo] = useState(null);
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+  // A rate loaded with an existing transaction is kept until its currency or date changes
+  const filledFor = useRef(exchangeRate ? `${currency}|${date}` : null);
+  const isForeign = currency !== baseCurrency;
+
+  useEffect(() => {
+    const key = `${currency}|${date}`;
+    if (!isForeign || !date || filledFor.current === key) {
+      if (!isForeign) setRateInfo(null);
+      return undefined;
+    }
+    let cancelled = false;
+    exchangeRateService.findExchangeRate(currency, date, baseCurrency).then(result => {
+      if (cancelled || !result.success) return;
+      filledFor.current = key;
+      setRateInfo(result.data ? result.data : { missing: true });
+      if (result.data) {
+        onChangeRef.current('exchangeRate', String(Number(result.data.rate.toFixed(6))));
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [currency, date, baseCurrency, isForeign]);
+
+  const value = parseFloat(amount);
+  const rate = parseFloat(exchangeRate);
+  const converted = isForeign && value > 0 && rate > 0 ? convertAmount(value, rate, baseCurrency) : null;
+
+  const rateHelper = () => {
+    if (error) return error;
+    if (!rateInfo) return ' ';
+    if (rateInfo.missing) return '登録済みのレートがありません。レートを入力してください';
+    return `${rateInfo.date} のレートを適用`;
+  };
+
+  return (
+    <Box>
+      <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems={{ sm: 'flex-start' }}>
+        <FormControl fullWidth size="small">
+          <InputLabel>通貨</InputLabel>
+          <Select
+            value={currency}
+            label="通貨"
+            onChange={(e) => {
+              filledFor.current = null;
+              onChange('currency', e.target.value);
+              onChange('exchangeRate', '');
+            }}
+          >
+            {Object.entries(CURRENCIES).map(([code, { label }]) => (
+              <MenuItem key={code} value={code}>{code} - {label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        {isForeign && (
+          <TextField
+            label={`為替レート（1 ${currency} あたりの${baseCurrency}）`}
+            type="number"
+            size="small"
+            value={exchangeRate}
+            onChange={(e) => onChange('exchangeRate', e.target.value)}
+            fullWidth
+            required
+            error={!!error}
+            helperText={rateHelper()}
+            inputProps={{ min: 0, step: 'any' }}
+          />
+        )}
+      </Stack>
+
+      {converted !== null && (
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+          {formatMoney(value, currency)} × {rate} ＝ {formatMoney(converted, baseCurrency)}（基準通貨で記帳）
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default CurrencyFields;
@@ -25,36 +25,74 @@ import {
   Description as DescriptionIcon,
   Add as AddIcon,
   Save as SaveIcon,
+  Drafts as DraftIcon,
 } from '@mui/icons-material';
 import { motion, AnimatePresence } from 'framer-motion';
 import CategorySuggestion from './CategorySuggestion';
 import FileUpload from './FileUpload';
-import OCRButton from './OCRButton';
+import OCRButton, { lowConfidenceProps } from './OCRButton';
+import { formatLineItems } from '../../services/ocrServiceNew';
 import categoryService from '../../services/categoryService';
 import userService from '../../services/userService';
 import { learnFromSelection } from '../../services/aiService';
+import { RECURRENCE_FREQUENCIES } from '../../utils/recurrence';
+import { DEFAULT_TAX_CATEGORY, TAX_ENTRY_MODES, calculateTax, inferTaxCategory } from '../../utils/consumptionTax';
+import taxService from '../../services/taxService';
+import TaxFields from './TaxFields';
+import CurrencyFields, { getAmountUnit } from './CurrencyFields';
+import exchangeRateService from '../../services/exchangeRateService';
+import { convertAmount } from '../../utils/currency';
+import { getLowConfidenceFields } from '../../utils/ocrConfidence';
+import VendorFields from './VendorFields';
+import vendorService, { findMatchingVendor } from '../../services/vendorService';
+import { getRegistrationNumberError } from '../../utils/invoiceRegistration';
+import paymentAccountService from '../../services/paymentAccountService';
+
+// Form fields filled from each OCR field
+const OCR_FORM_FIELDS = {
+  amount: 'amount',
+  date: 'date',
+  tax: 'taxCategory',
+  vendor: 'vendor'
+};
 
 const ExpenseForm = ({ onSubmit }) => {
   const [formData, setFormData] = useState({
     date: new Date().toISOString().split('T')[0],
     amount: '',
+    taxCategory: DEFAULT_TAX_CATEGORY,
+    taxEntryMode: 'inclusive',
+    currency: exchangeRateService.getBaseCurrency(),
+    exchangeRate: '',
+    vendor: '',
+    registrationNumber: '',
     description: '',
     categoryId: '',
     userId: '',
     tags: [],
     memo: '',
     isAdvancePayment: false,
+    paymentAccountId: '',
+    isRecurring: false,
+    recurrenceFrequency: 'monthly',
     files: [],
   });
 
   const [errors, setErrors] = useState({});
+  const baseCurrency = exchangeRateService.getBaseCurrency();
+  const isForeign = formData.currency !== baseCurrency;
   const [currentTag, setCurrentTag] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [categories, setCategories] = useState([]);
   const [categoryHierarchy, setCategoryHierarchy] = useState([]);
   const [users, setUsers] = useState([]);
+  const [vendors, setVendors] = useState([]);
+  const [paymentAccounts, setPaymentAccounts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showAiSuggestion, setShowAiSuggestion] = useState(false);
+  // Category applied from a suggestion; replacing it before saving counts as a rejection
+  const [appliedSuggestionId, setAppliedSuggestionId] = useState(null);
+  const [ocrReview, setOcrReview] = useState(null);
 
   // Load categories and users on component mount
   useEffect(() => {
@@ -62,9 +100,11 @@ const ExpenseForm = ({ onSubmit }) => {
       try {
         setLoading(true);
         
-        const [categoriesResult, usersResult] = await Promise.all([
+        const [categoriesResult, usersResult, vendorsResult, accountsResult] = await Promise.all([
           categoryService.getAllCategories(),
-          userService.getAllUsers()
+          userService.getAllUsers(),
+          vendorService.getAllVendors(),
+          paymentAccountService.getPaymentAccounts({ activeOnly: true })
         ]);
         
         if (categoriesResult.success) {
@@ -83,6 +123,14 @@ const ExpenseForm = ({ onSubmit }) => {
         if (usersResult.success) {
           setUsers(usersResult.data);
         }
+
+        if (vendorsResult.success) {
+          setVendors(vendorsResult.data);
+        }
+
+        if (accountsResult.success) {
+          setPaymentAccounts(accountsResult.data);
+        }
         
       } catch (error) {
         console.error('Failed to load data:', error);
@@ -117,6 +165,7 @@ const ExpenseForm = ({ onSubmit }) => {
       ...prev,
       categoryId
     }));
+    setAppliedSuggestionId(categoryId);
     setShowAiSuggestion(false);
     if (errors.categoryId) {
       setErrors(prev => ({ ...prev, categoryId: '' }));
@@ -149,13 +198,32 @@ const ExpenseForm = ({ onSubmit }) => {
 
   // Handle OCR data extraction
   const handleOCRData = (ocrData) => {
+    const taxCategory = inferTaxCategory(ocrData.amount, ocrData.tax);
+    const knownVendor = findMatchingVendor(vendors, ocrData.vendor);
     setFormData(prev => ({
       ...prev,
       amount: ocrData.amount ? ocrData.amount.toString() : prev.amount,
       date: ocrData.date || prev.date,
       description: ocrData.vendor || prev.description,
+      vendor: ocrData.vendor || prev.vendor,
+      registrationNumber: ocrData.registrationNumber || knownVendor?.registrationNumber || prev.registrationNumber,
+      // Receipt totals include tax; the printed tax tells the rate
+      taxEntryMode: ocrData.amount ? 'inclusive' : prev.taxEntryMode,
+      taxCategory: taxCategory || prev.taxCategory,
     }));
 
+    // Remember what was filled in so low-confidence fields stay highlighted until changed
+    const lowFields = getLowConfidenceFields(ocrData.fieldConfidence);
+    setOcrReview({
+      lowFields,
+      values: {
+        amount: ocrData.amount ? ocrData.amount.toString() : null,
+        date: ocrData.date,
+        tax: taxCategory,
+        vendor: ocrData.vendor
+      }
+    });
+
     // Try to find matching category
     if (ocrData.category) {
       const matchingCategory = categories.find(cat => 
@@ -166,13 +234,58 @@ const ExpenseForm = ({ onSubmit }) => {
       }
     }
 
-    // Add items as tags if found
+    // Add items as tags if found and keep every line item in the memo
     if (ocrData.items && ocrData.items.length > 0) {
       const itemTags = ocrData.items.slice(0, 3).map(item => item.name);
-      setFormData(prev => ({ ...prev, tags: [...prev.tags, ...itemTags] }));
+      setFormData(prev => ({
+        ...prev,
+        tags: [...prev.tags, ...itemTags],
+        memo: prev.memo || formatLineItems(ocrData.items)
+      }));
     }
 
-    setErrors({ success: 'レシートのデータを適用しました。内容を確認してください。' });
+    setErrors({
+      success: Object.keys(lowFields).length > 0
+        ? 'レシートのデータを適用しました。枠で示した項目は読み取りの信頼度が低いため、レシートと照らして確認してください。'
+        : 'レシートのデータを適用しました。内容を確認してください。'
+    });
+  };
+
+  // OCR fields read with low confidence whose value has not been changed since
+  const ocrLowFields = ocrReview
+    ? Object.fromEntries(Object.entries(ocrReview.lowFields)
+      .filter(([field]) => formData[OCR_FORM_FIELDS[field]] === ocrReview.values[field]))
+    : {};
+
+  // Amount entered in a foreign currency, converted to the base currency
+  const convertedAmount = () => convertAmount(parseFloat(formData.amount) || 0, parseFloat(formData.exchangeRate) || 0, baseCurrency);
+
+  // Amounts to save: the total including tax and its breakdown, in the base currency
+  const taxAmounts = () => {
+    if (isForeign) {
+      const { netAmount, taxAmount, grossAmount } = calculateTax(
+        convertedAmount(),
+        formData.taxCategory,
+        'inclusive',
+        taxService.getTaxRounding()
+      );
+      return {
+        amount: grossAmount,
+        netAmount,
+        taxAmount,
+        taxEntryMode: 'inclusive',
+        originalAmount: parseFloat(formData.amount),
+        exchangeRate: parseFloat(formData.exchangeRate)
+      };
+    }
+
+    const { netAmount, taxAmount, grossAmount } = calculateTax(
+      parseFloat(formData.amount),
+      formData.taxCategory,
+      formData.taxEntryMode,
+      taxService.getTaxRounding()
+    );
+    return { amount: grossAmount, netAmount, taxAmount };
   };
 
   const validateForm = () => {
@@ -181,11 +294,20 @@ const ExpenseForm = ({ onSubmit }) => {
     if (!formData.amount || parseFloat(formData.amount) <= 0) {
       newErrors.amount = '有効な金額を入力してください';
     }
+
+    if (isForeign && !(parseFloat(formData.exchangeRate) > 0)) {
+      newErrors.exchangeRate = '為替レートを入力してください';
+    }
     
     if (!formData.description.trim()) {
       newErrors.description = '説明を入力してください';
     }
     
+    const registrationNumberError = getRegistrationNumberError(formData.registrationNumber);
+    if (registrationNumberError) {
+      newErrors.registrationNumber = registrationNumberError;
+    }
+    
     if (!formData.categoryId) {
       newErrors.categoryId = 'カテゴリを選択してください';
     }
@@ -198,7 +320,8 @@ const ExpenseForm = ({ onSubmit }) => {
     return Object.keys(newErrors).length === 0;
   };
 
-  const handleSubmit = async (e) => {
+  // Drafts are saved without being submitted for approval
+  const handleSubmit = async (e, asDraft = false) => {
     e.preventDefault();
     
     if (!validateForm()) {
@@ -213,29 +336,52 @@ const ExpenseForm = ({ onSubmit }) => {
       if (selectedCategory) {
         learnFromSelection(formData.description, selectedCategory.name, 'expense');
       }
+      const appliedSuggestion = categories.find(cat => cat.id === appliedSuggestionId);
+      if (appliedSuggestion && appliedSuggestion.id !== formData.categoryId) {
+        learnFromSelection(formData.description, appliedSuggestion.name, 'expense', 'rejected');
+      }
 
       // Submit the data to parent component
       await onSubmit({
         type: 'expense',
         ...formData,
-        amount: parseFloat(formData.amount),
-        fileIds: formData.files.map(f => f.id)
+        ...taxAmounts(),
+        fileIds: formData.files.map(f => f.id),
+        status: asDraft ? 'draft' : 'submitted',
+        recurrence: formData.isRecurring ? { frequency: formData.recurrenceFrequency } : null
       });
       
       // Reset form
+      setOcrReview(null);
       setFormData({
         date: new Date().toISOString().split('T')[0],
         amount: '',
+        taxCategory: DEFAULT_TAX_CATEGORY,
+        taxEntryMode: 'inclusive',
+        currency: exchangeRateService.getBaseCurrency(),
+        exchangeRate: '',
+        vendor: '',
+        registrationNumber: '',
         description: '',
         categoryId: '',
         userId: '',
         tags: [],
         memo: '',
         isAdvancePayment: false,
+        paymentAccountId: '',
+        isRecurring: false,
+        recurrenceFrequency: 'monthly',
         files: [],
       });
       
       setShowAiSuggestion(false);
+      setAppliedSuggestionId(null);
+
+      // Pick up vendors remembered with this expense
+      const vendorsResult = await vendorService.getAllVendors();
+      if (vendorsResult.success) {
+        setVendors(vendorsResult.data);
+      }
       
     } catch (error) {
       console.error('Error submitting expense:', error);
@@ -275,6 +421,7 @@ const ExpenseForm = ({ onSubmit }) => {
               onChange={handleInputChange}
               fullWidth
               required
+              {...lowConfidenceProps(ocrLowFields, 'date')}
               InputLabelProps={{ shrink: true }}
               InputProps={{
                 startAdornment: (
@@ -286,7 +433,7 @@ const ExpenseForm = ({ onSubmit }) => {
             />
             
             <TextField
-              label="金額"
+              label={`金額（${TAX_ENTRY_MODES[isForeign ? 'inclusive' : formData.taxEntryMode]}）`}
               type="number"
               name="amount"
               value={formData.amount}
@@ -294,18 +441,62 @@ const ExpenseForm = ({ onSubmit }) => {
               fullWidth
               required
               error={!!errors.amount}
-              helperText={errors.amount}
+              {...lowConfidenceProps(ocrLowFields, 'amount', errors.amount)}
               InputProps={{
                 startAdornment: (
                   <InputAdornment position="start">
                     <MoneyIcon />
                   </InputAdornment>
                 ),
-                endAdornment: <InputAdornment position="end">円</InputAdornment>,
+                endAdornment: <InputAdornment position="end">{getAmountUnit(formData.currency)}</InputAdornment>,
               }}
             />
           </Stack>
 
+          {/* Currency */}
+          <CurrencyFields
+            currency={formData.currency}
+            amount={formData.amount}
+            exchangeRate={formData.exchangeRate}
+            date={formData.date}
+            baseCurrency={baseCurrency}
+            error={errors.exchangeRate}
+            onChange={(field, value) => setFormData(prev => ({ ...prev, [field]: value }))}
+          />
+
+          {/* Consumption Tax */}
+          <TaxFields
+            amount={isForeign ? convertedAmount() : formData.amount}
+            taxCategory={formData.taxCategory}
+            taxEntryMode={isForeign ? 'inclusive' : formData.taxEntryMode}
+            inclusiveOnly={isForeign}
+            lowConfidence={ocrLowFields}
+            onChange={(field, value) => setFormData(prev => ({ ...prev, [field]: value }))}
+          />
+
+          {/* Vendor and Invoice Registration Number */}
+          <VendorFields
+            vendor={formData.vendor}
+            registrationNumber={formData.registrationNumber}
+            taxCategory={formData.taxCategory}
+            date={formData.date}
+            vendors={vendors}
+            error={errors.registrationNumber}
+            lowConfidence={ocrLowFields}
+            onChange={(field, value) => {
+              setFormData(prev => ({ ...prev, [field]: value }));
+              if (field === 'registrationNumber' && errors.registrationNumber) {
+                setErrors(prev => ({ ...prev, registrationNumber: '' }));
+              }
+            }}
+            onVendorMatch={(known) => {
+              // The counterparty's usual category, unless one has been chosen already
+              if (categories.some(category => category.id === known.defaultCategoryId)) {
+                setFormData(prev => (prev.categoryId ? prev : { ...prev, categoryId: known.defaultCategoryId }));
+              }
+            }}
+          />
+
           {/* Description */}
           <TextField
             label="説明"
@@ -342,6 +533,7 @@ const ExpenseForm = ({ onSubmit }) => {
                   type="expense"
                   onCategorySelect={handleCategorySelect}
                   availableCategories={categories}
+                  context={{ vendor: formData.vendor, amount: formData.amount, date: formData.date }}
                 />
               </motion.div>
             )}
@@ -514,23 +706,89 @@ const ExpenseForm = ({ onSubmit }) => {
             label="立替払い"
           />
 
-          {/* Submit Button */}
-          <Button
-            type="submit"
-            variant="contained"
-            size="large"
-            disabled={isSubmitting}
-            startIcon={isSubmitting ? <CircularProgress size={20} /> : <SaveIcon />}
-            sx={{
-              background: 'linear-gradient(135deg, #fa709a 0%, #fee140 100%)',
-              '&:hover': {
-                background: 'linear-gradient(135deg, #ec4899 0%, #f59e0b 100%)',
-              },
-              py: 1.5,
-            }}
-          >
-            {isSubmitting ? '登録中...' : '支出を登録'}
-          </Button>
+          {/* Payment Account - advance payments are settled by reimbursement instead */}
+          {!formData.isAdvancePayment && (
+            <FormControl fullWidth>
+              <InputLabel>支払元</InputLabel>
+              <Select
+                name="paymentAccountId"
+                value={formData.paymentAccountId}
+                onChange={handleInputChange}
+                label="支払元"
+              >
+                <MenuItem value="">
+                  <em>既定の口座</em>
+                </MenuItem>
+                {paymentAccounts.map(account => (
+                  <MenuItem key={account.id} value={account.id}>
+                    {account.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+
+          {/* Recurring Toggle */}
+          <FormControlLabel
+            control={
+              <Switch
+                name="isRecurring"
+                checked={formData.isRecurring}
+                onChange={handleInputChange}
+              />
+            }
+            label="定期支出"
+          />
+
+          {formData.isRecurring && (
+            <FormControl fullWidth>
+              <InputLabel>繰り返し</InputLabel>
+              <Select
+                name="recurrenceFrequency"
+                value={formData.recurrenceFrequency}
+                onChange={handleInputChange}
+                label="繰り返し"
+              >
+                {Object.entries(RECURRENCE_FREQUENCIES).map(([value, label]) => (
+                  <MenuItem key={value} value={value}>{label}</MenuItem>
+                ))}
+              </Select>
+              <Typography variant="caption" color="text.secondary" sx={{ mt: 0.5 }}>
+                日付を開始日として定期取引に登録します。詳細な設定は定期取引の画面で変更できます。
+              </Typography>
+            </FormControl>
+          )}
+
+          {/* Submit Buttons */}
+          <Stack direction="row" spacing={2}>
+            <Button
+              variant="outlined"
+              size="large"
+              disabled={isSubmitting}
+              startIcon={<DraftIcon />}
+              onClick={(e) => handleSubmit(e, true)}
+              sx={{ py: 1.5, flexShrink: 0 }}
+            >
+              下書き保存
+            </Button>
+            <Button
+              type="submit"
+              variant="contained"
+              size="large"
+              fullWidth
+              disabled={isSubmitting}
+              startIcon={isSubmitting ? <CircularProgress size={20} /> : <SaveIcon />}
+              sx={{
+                background: 'linear-gradient(135deg, #fa709a 0%, #fee140 100%)',
+                '&:hover': {
+                  background: 'linear-gradient(135deg, #ec4899 0%, #f59e0b 100%)',
+                },
+                py: 1.5,
+              }}
+            >
+              {isSubmitting ? '登録中...' : '支出を登録して申請'}
+            </Button>
+          </Stack>
 
         </Stack>
       </Box>
@@ -22,17 +22,63 @@ import {
   Delete as DeleteIcon,
   Visibility as ViewIcon,
   Image as ImageIcon,
+  PictureAsPdf as PdfIcon,
   AttachFile as AttachIcon,
   Close as CloseIcon,
 } from '@mui/icons-material';
 import { motion, AnimatePresence } from 'framer-motion';
 import fileService from '../../services/fileService';
+import useFileUrl from '../../hooks/useFileUrl';
+
+// Card thumbnail that is only generated/loaded once the card is rendered
+// PDFs show their first page.
+const AttachmentThumbnail = ({ file, onClick }) => {
+  const hasThumbnail = fileService.isImageFile(file.mimeType) || fileService.isPdfFile(file.mimeType);
+  const { url } = useFileUrl(hasThumbnail ? file.id : null, { thumbnail: true });
+
+  if (!url) {
+    return (
+      <Box
+        sx={{
+          height: 120,
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          backgroundColor: 'grey.100',
+          cursor: 'pointer'
+        }}
+        onClick={onClick}
+      >
+        <AttachIcon sx={{ fontSize: 48, color: 'grey.400' }} />
+      </Box>
+    );
+  }
+
+  return (
+    <CardMedia
+      component="img"
+      height="120"
+      image={url}
+      alt={file.originalName}
+      sx={{ objectFit: 'cover', cursor: 'pointer' }}
+      onClick={onClick}
+      onError={(e) => {
+        console.error('Thumbnail load error:', e);
+        e.target.style.display = 'none';
+      }}
+    />
+  );
+};
 
 const FileUpload = ({ files = [], onFilesChange, maxFiles = 5 }) => {
   const [uploading, setUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState({});
   const [previewDialog, setPreviewDialog] = useState({ open: false, file: null });
   const [error, setError] = useState('');
+  const previewFile = previewDialog.file;
+  const { url: previewUrl, loading: previewLoading } = useFileUrl(
+    previewDialog.open && previewFile && fileService.isImageFile(previewFile.mimeType) ? previewFile.id : null
+  );
 
   // Handle file selection
   const handleFileSelect = useCallback(async (selectedFiles) => {
@@ -70,7 +116,10 @@ const FileUpload = ({ files = [], onFilesChange, maxFiles = 5 }) => {
         clearInterval(progressInterval);
         
         if (result.success) {
-          newFiles.push(result.data);
+          // Identical content is stored once; don't attach the same file twice
+          if (![...files, ...newFiles].some(existing => existing.id === result.data.id)) {
+            newFiles.push(result.data);
+          }
           setUploadProgress(prev => ({
             ...prev,
             [file.name]: 100
@@ -166,7 +215,7 @@ const FileUpload = ({ files = [], onFilesChange, maxFiles = 5 }) => {
         <input
           type="file"
           multiple
-          accept="image/*"
+          accept="image/*,application/pdf"
           onChange={handleInputChange}
           style={{ display: 'none' }}
           id="file-upload-input"
@@ -177,10 +226,10 @@ const FileUpload = ({ files = [], onFilesChange, maxFiles = 5 }) => {
           <Stack spacing={2} alignItems="center">
             <UploadIcon sx={{ fontSize: 48, color: 'primary.main' }} />
             <Typography variant="body1">
-              画像をドラッグ&ドロップまたはクリックしてアップロード
+              画像・PDFをドラッグ&ドロップまたはクリックしてアップロード
             </Typography>
             <Typography variant="caption" color="text.secondary">
-              JPEG、PNG、GIF、WebP形式対応（最大10MB）
+              JPEG、PNG、GIF、WebP、PDF形式対応（最大10MB）
             </Typography>
             {files.length >= maxFiles && (
               <Typography variant="caption" color="error">
@@ -232,34 +281,7 @@ const FileUpload = ({ files = [], onFilesChange, maxFiles = 5 }) => {
                     layout
                   >
                     <Card>
-                      {file.thumbnail ? (
-                        <CardMedia
-                          component="img"
-                          height="120"
-                          image={file.thumbnail}
-                          alt={file.originalName}
-                          sx={{ objectFit: 'cover', cursor: 'pointer' }}
-                          onClick={() => handlePreviewFile(file)}
-                          onError={(e) => {
-                            console.error('Thumbnail load error:', e);
-                            e.target.style.display = 'none';
-                          }}
-                        />
-                      ) : (
-                        <Box
-                          sx={{
-                            height: 120,
-                            display: 'flex',
-                            alignItems: 'center',
-                            justifyContent: 'center',
-                            backgroundColor: 'grey.100',
-                            cursor: 'pointer'
-                          }}
-                          onClick={() => handlePreviewFile(file)}
-                        >
-                          <AttachIcon sx={{ fontSize: 48, color: 'grey.400' }} />
-                        </Box>
-                      )}
+                      <AttachmentThumbnail file={file} onClick={() => handlePreviewFile(file)} />
                       
                       <CardContent sx={{ pb: 1 }}>
                         <Tooltip title={file.originalName}>
@@ -282,6 +304,15 @@ const FileUpload = ({ files = [], onFilesChange, maxFiles = 5 }) => {
                               variant="outlined"
                             />
                           )}
+                          {fileService.isPdfFile(file.mimeType) && (
+                            <Chip
+                              icon={<PdfIcon />}
+                              label="PDF"
+                              size="small"
+                              color="error"
+                              variant="outlined"
+                            />
+                          )}
                         </Stack>
                       </CardContent>
                       
@@ -326,9 +357,9 @@ const FileUpload = ({ files = [], onFilesChange, maxFiles = 5 }) => {
         <DialogContent>
           {previewDialog.file && (
             <Box sx={{ textAlign: 'center' }}>
-              {fileService.isImageFile(previewDialog.file.mimeType) && previewDialog.file.data ? (
+              {previewUrl ? (
                 <img
-                  src={previewDialog.file.data}
+                  src={previewUrl}
                   alt={previewDialog.file.originalName}
                   style={{
                     maxWidth: '100%',
@@ -344,7 +375,7 @@ const FileUpload = ({ files = [], onFilesChange, maxFiles = 5 }) => {
                 <Box sx={{ py: 4 }}>
                   <AttachIcon sx={{ fontSize: 64, color: 'grey.400', mb: 2 }} />
                   <Typography>
-                    {!previewDialog.file.data ? 'プレビューデータがありません' : 'プレビューできません'}
+                    {previewLoading ? '読み込み中...' : 'プレビューできません'}
                   </Typography>
                 </Box>
               )}
@@ -25,36 +25,71 @@ import {
   Description as DescriptionIcon,
   Add as AddIcon,
   Save as SaveIcon,
+  Business as BusinessIcon,
 } from '@mui/icons-material';
 import { motion, AnimatePresence } from 'framer-motion';
 import CategorySuggestion from './CategorySuggestion';
 import FileUpload from './FileUpload';
-import OCRButton from './OCRButton';
+import OCRButton, { lowConfidenceProps } from './OCRButton';
+import { formatLineItems } from '../../services/ocrServiceNew';
 import categoryService from '../../services/categoryService';
 import userService from '../../services/userService';
 import { learnFromSelection } from '../../services/aiService';
+import { RECURRENCE_FREQUENCIES } from '../../utils/recurrence';
+import { DEFAULT_TAX_CATEGORY, TAX_ENTRY_MODES, calculateTax, inferTaxCategory } from '../../utils/consumptionTax';
+import taxService from '../../services/taxService';
+import TaxFields from './TaxFields';
+import CurrencyFields, { getAmountUnit } from './CurrencyFields';
+import exchangeRateService from '../../services/exchangeRateService';
+import { convertAmount } from '../../utils/currency';
+import { getLowConfidenceFields } from '../../utils/ocrConfidence';
+import paymentAccountService from '../../services/paymentAccountService';
+import vendorService from '../../services/vendorService';
+import CounterpartyPicker from '../common/CounterpartyPicker';
+
+// Form fields filled from each OCR field
+const OCR_FORM_FIELDS = {
+  amount: 'amount',
+  date: 'date',
+  tax: 'taxCategory',
+  vendor: 'description'
+};
 
 const IncomeForm = ({ onSubmit }) => {
   const [formData, setFormData] = useState({
     date: new Date().toISOString().split('T')[0],
     amount: '',
+    taxCategory: DEFAULT_TAX_CATEGORY,
+    taxEntryMode: 'inclusive',
+    currency: exchangeRateService.getBaseCurrency(),
+    exchangeRate: '',
+    source: '',
     description: '',
     categoryId: '',
     userId: '',
     tags: [],
     memo: '',
+    paymentAccountId: '',
     isRecurring: false,
+    recurrenceFrequency: 'monthly',
     files: [],
   });
 
   const [errors, setErrors] = useState({});
+  const baseCurrency = exchangeRateService.getBaseCurrency();
+  const isForeign = formData.currency !== baseCurrency;
   const [currentTag, setCurrentTag] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [categories, setCategories] = useState([]);
   const [categoryHierarchy, setCategoryHierarchy] = useState([]);
   const [users, setUsers] = useState([]);
+  const [paymentAccounts, setPaymentAccounts] = useState([]);
+  const [vendors, setVendors] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showAiSuggestion, setShowAiSuggestion] = useState(false);
+  // Category applied from a suggestion; replacing it before saving counts as a rejection
+  const [appliedSuggestionId, setAppliedSuggestionId] = useState(null);
+  const [ocrReview, setOcrReview] = useState(null);
 
   // Load categories and users on component mount
   useEffect(() => {
@@ -62,9 +97,11 @@ const IncomeForm = ({ onSubmit }) => {
       try {
         setLoading(true);
         
-        const [categoriesResult, usersResult] = await Promise.all([
+        const [categoriesResult, usersResult, accountsResult, vendorsResult] = await Promise.all([
           categoryService.getAllCategories(),
-          userService.getAllUsers()
+          userService.getAllUsers(),
+          paymentAccountService.getPaymentAccounts({ activeOnly: true }),
+          vendorService.getAllVendors()
         ]);
         
         if (categoriesResult.success) {
@@ -83,6 +120,14 @@ const IncomeForm = ({ onSubmit }) => {
         if (usersResult.success) {
           setUsers(usersResult.data);
         }
+
+        if (accountsResult.success) {
+          setPaymentAccounts(accountsResult.data);
+        }
+
+        if (vendorsResult.success) {
+          setVendors(vendorsResult.data);
+        }
         
       } catch (error) {
         console.error('Failed to load data:', error);
@@ -117,6 +162,7 @@ const IncomeForm = ({ onSubmit }) => {
       ...prev,
       categoryId
     }));
+    setAppliedSuggestionId(categoryId);
     setShowAiSuggestion(false);
     if (errors.categoryId) {
       setErrors(prev => ({ ...prev, categoryId: '' }));
@@ -149,13 +195,29 @@ const IncomeForm = ({ onSubmit }) => {
 
   // Handle OCR data extraction
   const handleOCRData = (ocrData) => {
+    const taxCategory = inferTaxCategory(ocrData.amount, ocrData.tax);
     setFormData(prev => ({
       ...prev,
       amount: ocrData.amount ? ocrData.amount.toString() : prev.amount,
       date: ocrData.date || prev.date,
       description: ocrData.vendor || prev.description,
+      // Receipt totals include tax; the printed tax tells the rate
+      taxEntryMode: ocrData.amount ? 'inclusive' : prev.taxEntryMode,
+      taxCategory: taxCategory || prev.taxCategory,
     }));
 
+    // Remember what was filled in so low-confidence fields stay highlighted until changed
+    const lowFields = getLowConfidenceFields(ocrData.fieldConfidence);
+    setOcrReview({
+      lowFields,
+      values: {
+        amount: ocrData.amount ? ocrData.amount.toString() : null,
+        date: ocrData.date,
+        tax: taxCategory,
+        vendor: ocrData.vendor
+      }
+    });
+
     // Try to find matching category
     if (ocrData.category) {
       const matchingCategory = categories.find(cat => 
@@ -166,13 +228,58 @@ const IncomeForm = ({ onSubmit }) => {
       }
     }
 
-    // Add items as tags if found
+    // Add items as tags if found and keep every line item in the memo
     if (ocrData.items && ocrData.items.length > 0) {
       const itemTags = ocrData.items.slice(0, 3).map(item => item.name);
-      setFormData(prev => ({ ...prev, tags: [...prev.tags, ...itemTags] }));
+      setFormData(prev => ({
+        ...prev,
+        tags: [...prev.tags, ...itemTags],
+        memo: prev.memo || formatLineItems(ocrData.items)
+      }));
     }
 
-    setErrors({ success: 'レシートのデータを適用しました。内容を確認してください。' });
+    setErrors({
+      success: Object.keys(lowFields).length > 0
+        ? 'レシートのデータを適用しました。枠で示した項目は読み取りの信頼度が低いため、レシートと照らして確認してください。'
+        : 'レシートのデータを適用しました。内容を確認してください。'
+    });
+  };
+
+  // OCR fields read with low confidence whose value has not been changed since
+  const ocrLowFields = ocrReview
+    ? Object.fromEntries(Object.entries(ocrReview.lowFields)
+      .filter(([field]) => formData[OCR_FORM_FIELDS[field]] === ocrReview.values[field]))
+    : {};
+
+  // Amount entered in a foreign currency, converted to the base currency
+  const convertedAmount = () => convertAmount(parseFloat(formData.amount) || 0, parseFloat(formData.exchangeRate) || 0, baseCurrency);
+
+  // Amounts to save: the total including tax and its breakdown, in the base currency
+  const taxAmounts = () => {
+    if (isForeign) {
+      const { netAmount, taxAmount, grossAmount } = calculateTax(
+        convertedAmount(),
+        formData.taxCategory,
+        'inclusive',
+        taxService.getTaxRounding()
+      );
+      return {
+        amount: grossAmount,
+        netAmount,
+        taxAmount,
+        taxEntryMode: 'inclusive',
+        originalAmount: parseFloat(formData.amount),
+        exchangeRate: parseFloat(formData.exchangeRate)
+      };
+    }
+
+    const { netAmount, taxAmount, grossAmount } = calculateTax(
+      parseFloat(formData.amount),
+      formData.taxCategory,
+      formData.taxEntryMode,
+      taxService.getTaxRounding()
+    );
+    return { amount: grossAmount, netAmount, taxAmount };
   };
 
   const validateForm = () => {
@@ -181,6 +288,10 @@ const IncomeForm = ({ onSubmit }) => {
     if (!formData.amount || parseFloat(formData.amount) <= 0) {
       newErrors.amount = '有効な金額を入力してください';
     }
+
+    if (isForeign && !(parseFloat(formData.exchangeRate) > 0)) {
+      newErrors.exchangeRate = '為替レートを入力してください';
+    }
     
     if (!formData.description.trim()) {
       newErrors.description = '説明を入力してください';
@@ -213,29 +324,43 @@ const IncomeForm = ({ onSubmit }) => {
       if (selectedCategory) {
         learnFromSelection(formData.description, selectedCategory.name, 'income');
       }
+      const appliedSuggestion = categories.find(cat => cat.id === appliedSuggestionId);
+      if (appliedSuggestion && appliedSuggestion.id !== formData.categoryId) {
+        learnFromSelection(formData.description, appliedSuggestion.name, 'income', 'rejected');
+      }
 
       // Submit the data to parent component
       await onSubmit({
         type: 'income',
         ...formData,
-        amount: parseFloat(formData.amount),
-        fileIds: formData.files.map(f => f.id)
+        ...taxAmounts(),
+        fileIds: formData.files.map(f => f.id),
+        recurrence: formData.isRecurring ? { frequency: formData.recurrenceFrequency } : null
       });
       
       // Reset form
+      setOcrReview(null);
       setFormData({
         date: new Date().toISOString().split('T')[0],
         amount: '',
+        taxCategory: DEFAULT_TAX_CATEGORY,
+        taxEntryMode: 'inclusive',
+        currency: exchangeRateService.getBaseCurrency(),
+        exchangeRate: '',
+        source: '',
         description: '',
         categoryId: '',
         userId: '',
         tags: [],
         memo: '',
+        paymentAccountId: '',
         isRecurring: false,
+        recurrenceFrequency: 'monthly',
         files: [],
       });
       
       setShowAiSuggestion(false);
+      setAppliedSuggestionId(null);
       
     } catch (error) {
       console.error('Error submitting income:', error);
@@ -275,6 +400,7 @@ const IncomeForm = ({ onSubmit }) => {
               onChange={handleInputChange}
               fullWidth
               required
+              {...lowConfidenceProps(ocrLowFields, 'date')}
               InputLabelProps={{ shrink: true }}
               InputProps={{
                 startAdornment: (
@@ -286,7 +412,7 @@ const IncomeForm = ({ onSubmit }) => {
             />
             
             <TextField
-              label="金額"
+              label={`金額（${TAX_ENTRY_MODES[isForeign ? 'inclusive' : formData.taxEntryMode]}）`}
               type="number"
               name="amount"
               value={formData.amount}
@@ -294,18 +420,62 @@ const IncomeForm = ({ onSubmit }) => {
               fullWidth
               required
               error={!!errors.amount}
-              helperText={errors.amount}
+              {...lowConfidenceProps(ocrLowFields, 'amount', errors.amount)}
               InputProps={{
                 startAdornment: (
                   <InputAdornment position="start">
                     <MoneyIcon />
                   </InputAdornment>
                 ),
-                endAdornment: <InputAdornment position="end">円</InputAdornment>,
+                endAdornment: <InputAdornment position="end">{getAmountUnit(formData.currency)}</InputAdornment>,
               }}
             />
           </Stack>
 
+          {/* Currency */}
+          <CurrencyFields
+            currency={formData.currency}
+            amount={formData.amount}
+            exchangeRate={formData.exchangeRate}
+            date={formData.date}
+            baseCurrency={baseCurrency}
+            error={errors.exchangeRate}
+            onChange={(field, value) => setFormData(prev => ({ ...prev, [field]: value }))}
+          />
+
+          {/* Consumption Tax */}
+          <TaxFields
+            amount={isForeign ? convertedAmount() : formData.amount}
+            taxCategory={formData.taxCategory}
+            taxEntryMode={isForeign ? 'inclusive' : formData.taxEntryMode}
+            inclusiveOnly={isForeign}
+            lowConfidence={ocrLowFields}
+            onChange={(field, value) => setFormData(prev => ({ ...prev, [field]: value }))}
+          />
+
+          {/* Counterparty */}
+          <CounterpartyPicker
+            value={formData.source}
+            vendors={vendors}
+            label="取引先（任意）"
+            placeholder="入金元の会社名・氏名"
+            onChange={(source, known) => setFormData(prev => ({
+              ...prev,
+              source,
+              // The counterparty's usual category, unless one has been chosen already
+              categoryId: !prev.categoryId && categories.some(category => category.id === known?.defaultCategoryId)
+                ? known.defaultCategoryId
+                : prev.categoryId
+            }))}
+            InputProps={{
+              startAdornment: (
+                <InputAdornment position="start">
+                  <BusinessIcon />
+                </InputAdornment>
+              ),
+            }}
+          />
+
           {/* Description */}
           <TextField
             label="説明"
@@ -317,7 +487,7 @@ const IncomeForm = ({ onSubmit }) => {
             multiline
             rows={2}
             error={!!errors.description}
-            helperText={errors.description || "4文字以上入力するとAIがカテゴリを提案します"}
+            {...lowConfidenceProps(ocrLowFields, 'vendor', errors.description, '4文字以上入力するとAIがカテゴリを提案します')}
             placeholder="収入の詳細を入力してください（例：給与、副業収入、配当金）..."
             InputProps={{
               startAdornment: (
@@ -342,6 +512,7 @@ const IncomeForm = ({ onSubmit }) => {
                   type="income"
                   onCategorySelect={handleCategorySelect}
                   availableCategories={categories}
+                  context={{ amount: formData.amount, date: formData.date }}
                 />
               </motion.div>
             )}
@@ -502,6 +673,26 @@ const IncomeForm = ({ onSubmit }) => {
 
           <Divider />
 
+          {/* Payment Account */}
+          <FormControl fullWidth>
+            <InputLabel>入金先</InputLabel>
+            <Select
+              name="paymentAccountId"
+              value={formData.paymentAccountId}
+              onChange={handleInputChange}
+              label="入金先"
+            >
+              <MenuItem value="">
+                <em>既定の口座</em>
+              </MenuItem>
+              {paymentAccounts.map(account => (
+                <MenuItem key={account.id} value={account.id}>
+                  {account.name}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
           {/* Recurring Toggle */}
           <FormControlLabel
             control={
@@ -515,6 +706,25 @@ const IncomeForm = ({ onSubmit }) => {
             label="定期収入"
           />
 
+          {formData.isRecurring && (
+            <FormControl fullWidth>
+              <InputLabel>繰り返し</InputLabel>
+              <Select
+                name="recurrenceFrequency"
+                value={formData.recurrenceFrequency}
+                onChange={handleInputChange}
+                label="繰り返し"
+              >
+                {Object.entries(RECURRENCE_FREQUENCIES).map(([value, label]) => (
+                  <MenuItem key={value} value={value}>{label}</MenuItem>
+                ))}
+              </Select>
+              <Typography variant="caption" color="text.secondary" sx={{ mt: 0.5 }}>
+                日付を開始日として定期取引に登録します。詳細な設定は定期取引の画面で変更できます。
+              </Typography>
+            </FormControl>
+          )}
+
           {/* Submit Button */}
           <Button
             type="submit"
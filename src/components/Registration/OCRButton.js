@@ -23,12 +23,41 @@ import { motion } from 'framer-motion';
 import ocrService from '../../services/ocrServiceNew';
 import { formatDate } from '../../utils/formatters';
 import useSettings from '../../hooks/useSettings';
+import { formatRegistrationNumber } from '../../utils/invoiceRegistration';
+import { getBaseCurrency } from '../../services/exchangeRateService';
+import { isPdfFile } from '../../utils/pdfDocument';
+import { LOW_CONFIDENCE_THRESHOLD } from '../../utils/ocrConfidence';
+
+// Outline of a form field whose value was read with low confidence
+const LOW_CONFIDENCE_SX = {
+  '& .MuiOutlinedInput-notchedOutline': { borderColor: 'warning.main', borderWidth: 2 },
+  '& .MuiInputLabel-root': { color: 'warning.main' },
+  '& .MuiFormHelperText-root': { color: 'warning.main' },
+};
+
+/**
+ * Props that highlight a form field filled from a low-confidence OCR value
+ * @param {Object} lowFields - Scores of the low-confidence fields (getLowConfidenceFields)
+ * @param {string} field - amount, date, tax or vendor
+ * @param {string} error - Validation error of the field; shown instead of the warning
+ * @param {string} helperText - Usual helper text of the field
+ * @returns {Object} { sx, helperText }
+ */
+export const lowConfidenceProps = (lowFields, field, error, helperText) => {
+  const score = lowFields?.[field];
+  if (error || score === undefined) return { helperText: error || helperText };
+  return {
+    sx: LOW_CONFIDENCE_SX,
+    helperText: `読み取りの信頼度が低い項目です（${score}%）。レシートと照らして確認してください`
+  };
+};
 
 const OCRButton = ({ onDataExtracted, variant = 'contained' }) => {
   const { settings } = useSettings();
   const [open, setOpen] = useState(false);
   const [processing, setProcessing] = useState(false);
   const [progress, setProgress] = useState(0);
+  const [pageProgress, setPageProgress] = useState(null);
   const [result, setResult] = useState(null);
   const [error, setError] = useState('');
   const fileInputRef = useRef(null);
@@ -44,6 +73,7 @@ const OCRButton = ({ onDataExtracted, variant = 'contained' }) => {
     setOpen(false);
     setProcessing(false);
     setProgress(0);
+    setPageProgress(null);
     setResult(null);
     setError('');
   };
@@ -52,18 +82,22 @@ const OCRButton = ({ onDataExtracted, variant = 'contained' }) => {
     const file = event.target.files?.[0];
     if (!file) return;
 
-    // Check if file is an image
-    if (!file.type.startsWith('image/')) {
-      setError('画像ファイルを選択してください。');
+    // Check if file is an image or PDF
+    if (!file.type.startsWith('image/') && !isPdfFile(file)) {
+      setError('画像またはPDFファイルを選択してください。');
       return;
     }
 
     setProcessing(true);
+    setPageProgress(null);
     setError('');
 
     try {
       const ocrResult = await ocrService.processReceipt(file, (progressData) => {
         setProgress(progressData.progress || 0);
+        if (progressData.pageCount) {
+          setPageProgress({ page: progressData.page, pageCount: progressData.pageCount });
+        }
       });
 
       if (ocrResult.success && ocrResult.data) {
@@ -94,10 +128,31 @@ const OCRButton = ({ onDataExtracted, variant = 'contained' }) => {
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('ja-JP', {
       style: 'currency',
-      currency: 'JPY'
+      currency: getBaseCurrency()
     }).format(amount);
   };
 
+  // Caption of a result field with its confidence
+  const renderFieldLabel = (label, field) => {
+    const score = result.fieldConfidence?.[field];
+    return (
+      <Stack direction="row" spacing={1} alignItems="center">
+        <Typography variant="caption" color="text.secondary">
+          {label}
+        </Typography>
+        {score !== null && score !== undefined && (
+          <Chip
+            label={`信頼度 ${score}%`}
+            size="small"
+            variant="outlined"
+            color={score < LOW_CONFIDENCE_THRESHOLD ? 'warning' : 'success'}
+            sx={{ height: 20, fontSize: '0.7rem' }}
+          />
+        )}
+      </Stack>
+    );
+  };
+
   return (
     <>
       {variant === 'contained' ? (
@@ -136,14 +191,14 @@ const OCRButton = ({ onDataExtracted, variant = 'contained' }) => {
         <DialogContent>
           <Stack spacing={3}>
             <Typography variant="body2" color="text.secondary">
-              レシートや請求書の写真を選択すると、自動的に金額や日付などの情報を読み取ります。
+              レシートや請求書の写真・PDFを選択すると、自動的に金額や日付などの情報を読み取ります。
+              複数ページのPDFはすべてのページをまとめて1件の取引として読み取ります。
             </Typography>
 
             <input
               ref={fileInputRef}
               type="file"
-              accept="image/*"
-              capture="environment"
+              accept="image/*,application/pdf"
               style={{ display: 'none' }}
               onChange={handleFileSelect}
             />
@@ -169,7 +224,7 @@ const OCRButton = ({ onDataExtracted, variant = 'contained' }) => {
                       px: 4,
                     }}
                   >
-                    写真を選択
+                    写真・PDFを選択
                   </Button>
                 </motion.div>
               </Box>
@@ -180,6 +235,11 @@ const OCRButton = ({ onDataExtracted, variant = 'contained' }) => {
                 <Typography variant="body2" color="text.secondary" gutterBottom>
                   {progress < 70 ? 'レシートを読み取っています...' : 'AIで内容を解析しています...'}
                 </Typography>
+                {pageProgress && progress < 70 && (
+                  <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                    {pageProgress.pageCount}ページ中 {pageProgress.page}ページ目
+                  </Typography>
+                )}
                 <LinearProgress variant="determinate" value={progress} sx={{ mt: 2 }} />
                 <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
                   {progress}%
@@ -219,9 +279,7 @@ const OCRButton = ({ onDataExtracted, variant = 'contained' }) => {
                   <Stack spacing={2}>
                     {result.amount && (
                       <Box>
-                        <Typography variant="caption" color="text.secondary">
-                          金額
-                        </Typography>
+                        {renderFieldLabel('金額', 'amount')}
                         <Typography variant="h5" color="primary">
                           {formatCurrency(result.amount)}
                         </Typography>
@@ -230,22 +288,38 @@ const OCRButton = ({ onDataExtracted, variant = 'contained' }) => {
 
                     {result.date && (
                       <Box>
-                        <Typography variant="caption" color="text.secondary">
-                          日付
-                        </Typography>
+                        {renderFieldLabel('日付', 'date')}
                         <Typography>
                           {formatDate(result.date, settings.dateFormat)}
                         </Typography>
                       </Box>
                     )}
 
+                    {result.tax && (
+                      <Box>
+                        {renderFieldLabel('消費税', 'tax')}
+                        <Typography>
+                          {formatCurrency(result.tax)}
+                        </Typography>
+                      </Box>
+                    )}
+
                     {result.vendor && (
+                      <Box>
+                        {renderFieldLabel('店舗名', 'vendor')}
+                        <Typography>
+                          {result.vendor}
+                        </Typography>
+                      </Box>
+                    )}
+
+                    {result.registrationNumber && (
                       <Box>
                         <Typography variant="caption" color="text.secondary">
-                          店舗名
+                          登録番号
                         </Typography>
                         <Typography>
-                          {result.vendor}
+                          {formatRegistrationNumber(result.registrationNumber)}
                         </Typography>
                       </Box>
                     )}
@@ -287,6 +361,11 @@ const OCRButton = ({ onDataExtracted, variant = 'contained' }) => {
                         <Typography variant="caption" color="text.secondary">
                           読み取り精度: {Math.round(result.confidence || 0)}%
                         </Typography>
+                        {result.pages && (
+                          <Typography variant="caption" color="text.secondary">
+                            {result.pages.length}ページ（テキスト {result.pages.filter(page => page.source === 'text').length}・OCR {result.pages.filter(page => page.source === 'ocr').length}）
+                          </Typography>
+                        )}
                         {result.enhanced && (
                           <Chip 
                             label="AI解析済み" 
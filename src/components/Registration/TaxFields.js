@@ -0,0 +1,73 @@
+import React from 'react';
+import {
+  Stack,
+  Box,
+  Typography,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  FormHelperText,
+  ToggleButton,
+  ToggleButtonGroup,
+} from '@mui/material';
+import { TAX_CATEGORIES, TAX_ENTRY_MODES, calculateTax } from '../../utils/consumptionTax';
+import taxService from '../../services/taxService';
+import { lowConfidenceProps } from './OCRButton';
+
+const formatYen = (amount) => `¥${Number(amount || 0).toLocaleString()}`;
+
+// Tax category and entry mode of a transaction with the resulting breakdown
+// Foreign-currency amounts are always entered including tax (inclusiveOnly).
+// The category is highlighted when it was inferred from a tax read with low confidence.
+const TaxFields = ({ amount, taxCategory, taxEntryMode, inclusiveOnly = false, lowConfidence, onChange }) => {
+  const value = parseFloat(amount);
+  const breakdown = value > 0
+    ? calculateTax(value, taxCategory, taxEntryMode, taxService.getTaxRounding())
+    : null;
+  const { sx: highlightSx, helperText } = lowConfidenceProps(lowConfidence, 'tax');
+
+  return (
+    <Box>
+      <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems={{ sm: 'center' }}>
+        <FormControl fullWidth size="small" sx={highlightSx}>
+          <InputLabel>税区分</InputLabel>
+          <Select
+            value={taxCategory}
+            label="税区分"
+            onChange={(e) => onChange('taxCategory', e.target.value)}
+          >
+            {Object.entries(TAX_CATEGORIES).map(([key, { label }]) => (
+              <MenuItem key={key} value={key}>{label}</MenuItem>
+            ))}
+          </Select>
+          {helperText && <FormHelperText>{helperText}</FormHelperText>}
+        </FormControl>
+
+        {!inclusiveOnly && (
+          <ToggleButtonGroup
+            value={taxEntryMode}
+            exclusive
+            size="small"
+            onChange={(e, mode) => mode && onChange('taxEntryMode', mode)}
+            sx={{ flexShrink: 0 }}
+          >
+            {Object.entries(TAX_ENTRY_MODES).map(([key, label]) => (
+              <ToggleButton key={key} value={key}>
+                {label}で入力
+              </ToggleButton>
+            ))}
+          </ToggleButtonGroup>
+        )}
+      </Stack>
+
+      {breakdown && (
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+          税抜 {formatYen(breakdown.netAmount)} ／ 消費税 {formatYen(breakdown.taxAmount)} ／ 税込 {formatYen(breakdown.grossAmount)}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default TaxFields;
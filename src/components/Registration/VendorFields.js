@@ -0,0 +1,84 @@
+import React from 'react';
+import {
+  Stack,
+  Box,
+  TextField,
+  InputAdornment,
+  Alert,
+} from '@mui/material';
+import {
+  Store as StoreIcon,
+  VerifiedUser as VerifiedIcon,
+} from '@mui/icons-material';
+import CounterpartyPicker from '../common/CounterpartyPicker';
+import taxService from '../../services/taxService';
+import { isValidRegistrationNumber } from '../../utils/invoiceRegistration';
+import { lowConfidenceProps } from './OCRButton';
+
+// Vendor and インボイス registration number of an expense
+// Picking a vendor from the 取引先マスタ fills in its registration number.
+const VendorFields = ({ vendor, registrationNumber, taxCategory, date, vendors, error, lowConfidence, onChange, onVendorMatch }) => {
+  const handleVendorChange = (value, known) => {
+    onChange('vendor', value);
+    if (known?.registrationNumber) {
+      onChange('registrationNumber', known.registrationNumber);
+    }
+    if (known && onVendorMatch) {
+      onVendorMatch(known);
+    }
+  };
+
+  const expense = { taxCategory, date, registrationNumber };
+  const isValid = isValidRegistrationNumber(registrationNumber);
+  const showWarning = !error && taxService.needsRegistrationNumber(expense);
+  const deductionRate = taxService.getInputTaxDeductionRate(expense);
+
+  return (
+    <Box>
+      <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2}>
+        <CounterpartyPicker
+          value={vendor}
+          vendors={vendors}
+          onChange={handleVendorChange}
+          label="支払先（任意）"
+          placeholder="店舗名・会社名"
+          {...lowConfidenceProps(lowConfidence, 'vendor')}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <StoreIcon />
+              </InputAdornment>
+            ),
+          }}
+        />
+
+        <TextField
+          label="登録番号"
+          value={registrationNumber}
+          onChange={(e) => onChange('registrationNumber', e.target.value)}
+          fullWidth
+          placeholder="T1234567890123"
+          error={Boolean(error)}
+          helperText={error || '適格請求書発行事業者の登録番号（T＋13桁）'}
+          InputProps={{
+            endAdornment: isValid ? (
+              <InputAdornment position="end">
+                <VerifiedIcon color="success" titleAccess="有効な登録番号" />
+              </InputAdornment>
+            ) : null,
+          }}
+        />
+      </Stack>
+
+      {showWarning && (
+        <Alert severity="warning" sx={{ mt: 1 }}>
+          {deductionRate > 0
+            ? `登録番号がないため、この支出の消費税は経過措置により${deductionRate}%のみ仕入税額控除の対象となります。`
+            : '登録番号がないため、この支出の消費税は仕入税額控除の対象外です。'}
+        </Alert>
+      )}
+    </Box>
+  );
+};
+
+export default VendorFields;
@@ -0,0 +1,111 @@
+import React, { forwardRef } from 'react';
+import { BATCH_STATUS_LABELS, PAYMENT_METHODS } from '../../services/reimbursementService';
+import { formatDate } from '../../utils/formatters';
+
+// Plain markup with inline styles so the statement prints the same as it previews
+const styles = {
+  page: { background: '#fff', color: '#000', padding: '24px', fontSize: '12px', lineHeight: 1.6 },
+  title: { textAlign: 'center', fontSize: '22px', fontWeight: 'bold', letterSpacing: '0.5em', margin: '0 0 24px' },
+  meta: { width: '100%', borderCollapse: 'collapse', marginBottom: '16px' },
+  table: { width: '100%', borderCollapse: 'collapse', marginTop: '8px' },
+  th: { border: '1px solid #333', background: '#f0f0f0', padding: '4px 8px', textAlign: 'left' },
+  td: { border: '1px solid #333', padding: '4px 8px', verticalAlign: 'top' },
+  amount: { border: '1px solid #333', padding: '4px 8px', textAlign: 'right', whiteSpace: 'nowrap' },
+  total: { fontSize: '18px', fontWeight: 'bold', borderBottom: '2px solid #000', padding: '4px 0', display: 'inline-block', minWidth: '240px' },
+  stamps: { display: 'flex', justifyContent: 'flex-end', gap: '0', marginTop: '32px' },
+  stamp: { border: '1px solid #333', width: '72px', textAlign: 'center' },
+  stampLabel: { borderBottom: '1px solid #333', padding: '2px 0', fontSize: '11px' },
+  stampBox: { height: '56px' }
+};
+
+const yen = (amount) => `¥${Number(amount || 0).toLocaleString()}`;
+
+const SettlementStatement = forwardRef(({ batch, categories = [], dateFormat = 'YYYY-MM-DD' }, ref) => {
+  if (!batch) return null;
+
+  const expenses = batch.expenses || [];
+  const dates = expenses.map(expense => expense.date).filter(Boolean).sort();
+  const getCategoryName = (categoryId) => {
+    const category = categories.find(c => c.id === categoryId);
+    return category ? category.name : '';
+  };
+
+  return (
+    <div ref={ref} style={styles.page}>
+      <h1 style={styles.title}>立替金精算書</h1>
+
+      <table style={styles.meta}>
+        <tbody>
+          <tr>
+            <td style={{ width: '50%' }}>
+              <div style={{ fontSize: '16px', borderBottom: '1px solid #000', display: 'inline-block', minWidth: '200px' }}>
+                {batch.user ? batch.user.name : '不明'} 様
+              </div>
+              {batch.user?.department && <div>{batch.user.department}</div>}
+            </td>
+            <td style={{ textAlign: 'right' }}>
+              <div>精算番号: {batch.batchNumber}</div>
+              <div>作成日: {formatDate(batch.createdAt, dateFormat)}</div>
+              {dates.length > 0 && (
+                <div>対象期間: {formatDate(dates[0], dateFormat)} 〜 {formatDate(dates[dates.length - 1], dateFormat)}</div>
+              )}
+            </td>
+          </tr>
+        </tbody>
+      </table>
+
+      <div style={{ marginBottom: '8px' }}>下記の通り立替金を精算いたします。</div>
+      <div style={styles.total}>精算金額　{yen(batch.totalAmount)}</div>
+
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={{ ...styles.th, width: '32px' }}>No.</th>
+            <th style={styles.th}>日付</th>
+            <th style={styles.th}>内容</th>
+            <th style={styles.th}>勘定科目</th>
+            <th style={{ ...styles.th, textAlign: 'right' }}>金額</th>
+          </tr>
+        </thead>
+        <tbody>
+          {expenses.map((expense, index) => (
+            <tr key={expense.id}>
+              <td style={styles.td}>{index + 1}</td>
+              <td style={{ ...styles.td, whiteSpace: 'nowrap' }}>{formatDate(expense.date, dateFormat)}</td>
+              <td style={styles.td}>{expense.description}</td>
+              <td style={styles.td}>{getCategoryName(expense.categoryId)}</td>
+              <td style={styles.amount}>{yen(expense.amount)}</td>
+            </tr>
+          ))}
+          <tr>
+            <td style={{ ...styles.td, textAlign: 'right', fontWeight: 'bold' }} colSpan={4}>合計（{expenses.length}件）</td>
+            <td style={{ ...styles.amount, fontWeight: 'bold' }}>{yen(batch.totalAmount)}</td>
+          </tr>
+        </tbody>
+      </table>
+
+      <table style={{ ...styles.meta, marginTop: '16px' }}>
+        <tbody>
+          <tr>
+            <td>状態: {BATCH_STATUS_LABELS[batch.status] || batch.status}</td>
+            <td>支払日: {batch.paidAt ? formatDate(batch.paidAt, dateFormat) : '　　年　　月　　日'}</td>
+            <td>支払方法: {PAYMENT_METHODS[batch.paymentMethod] || '銀行振込 ・ 現金 ・ 給与と合算'}</td>
+          </tr>
+        </tbody>
+      </table>
+
+      <div style={styles.stamps}>
+        {['承認', '経理', '受領'].map(label => (
+          <div key={label} style={styles.stamp}>
+            <div style={styles.stampLabel}>{label}</div>
+            <div style={styles.stampBox} />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+});
+
+SettlementStatement.displayName = 'SettlementStatement';
+
+export default SettlementStatement;
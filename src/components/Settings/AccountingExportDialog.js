@@ -0,0 +1,318 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Alert,
+  Stack,
+  Tabs,
+  Tab,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+} from '@mui/material';
+import {
+  Download as DownloadIcon,
+  Save as SaveIcon,
+} from '@mui/icons-material';
+import PeriodPicker, { getPresetRange } from '../common/PeriodPicker';
+import accountingExportService, { EXPORT_PROFILES } from '../../services/accountingExportService';
+import { ACCOUNT_TYPES } from '../../services/journalService';
+
+const PREVIEW_ROWS = 10;
+const ERROR_ROWS = 20;
+
+// Journal CSV export for freee, マネーフォワード and 弥生 with account and tax code mapping
+const AccountingExportDialog = ({ open, onClose }) => {
+  const [profileId, setProfileId] = useState('freee');
+  const [tab, setTab] = useState('export');
+  const [preset, setPreset] = useState('year');
+  const [range, setRange] = useState(() => {
+    const { start, end } = getPresetRange('year');
+    return { start, end };
+  });
+  const [config, setConfig] = useState(null);
+  const [exportData, setExportData] = useState(null);
+  const [dirty, setDirty] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const profile = EXPORT_PROFILES[profileId];
+  const hasSubAccounts = profile.columns.some(column => column.name.includes('補助科目'));
+  const validRange = Boolean(range.start && range.end && range.start <= range.end);
+
+  const loadConfig = useCallback(async () => {
+    const result = await accountingExportService.getExportConfig(profileId);
+    if (result.success) {
+      setConfig(result.data);
+      setDirty(false);
+    } else {
+      setMessage({ severity: 'error', text: result.error || '設定の読み込みに失敗しました' });
+    }
+  }, [profileId]);
+
+  const buildExport = useCallback(async () => {
+    if (!validRange) return;
+    const result = await accountingExportService.buildAccountingExport(profileId, range.start, range.end);
+    if (result.success) {
+      setExportData(result.data);
+    } else {
+      setExportData(null);
+      setMessage({ severity: 'error', text: result.error || 'エクスポートの作成に失敗しました' });
+    }
+  }, [profileId, range, validRange]);
+
+  useEffect(() => {
+    if (open) {
+      setMessage(null);
+      loadConfig();
+    }
+  }, [open, loadConfig]);
+
+  useEffect(() => {
+    if (open) {
+      buildExport();
+    }
+  }, [open, buildExport]);
+
+  const handlePeriodChange = (value, nextRange) => {
+    setPreset(value);
+    setRange(nextRange);
+  };
+
+  const updateAccount = (key, field, value) => {
+    setConfig(prev => ({
+      ...prev,
+      accounts: prev.accounts.map(account => (account.key === key ? { ...account, [field]: value } : account))
+    }));
+    setDirty(true);
+  };
+
+  const updateTaxCode = (key, value) => {
+    setConfig(prev => ({
+      ...prev,
+      taxCodes: prev.taxCodes.map(item => (item.key === key ? { ...item, code: value } : item))
+    }));
+    setDirty(true);
+  };
+
+  const handleSave = async () => {
+    const result = await accountingExportService.saveExportConfig(profileId, config);
+    if (!result.success) {
+      setMessage({ severity: 'error', text: result.error || '保存に失敗しました' });
+      return;
+    }
+    setMessage({ severity: 'success', text: `${profile.label}の対応表を保存しました` });
+    await loadConfig();
+    buildExport();
+  };
+
+  const handleDownload = () => {
+    const blob = accountingExportService.createExportFile(profileId, exportData);
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = exportData.fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  const renderExport = () => {
+    if (!exportData) return null;
+    const { header, rows, errors, entryCount } = exportData;
+    return (
+      <Stack spacing={2}>
+        {errors.length > 0 ? (
+          <Alert severity="error">
+            <Typography variant="body2" fontWeight="bold" gutterBottom>
+              {profile.label}の列仕様に合わない箇所が{errors.length}件あります。対応表を修正してください。
+            </Typography>
+            {errors.slice(0, ERROR_ROWS).map((error, index) => (
+              <Typography key={index} variant="caption" display="block">
+                {error.row}行目{error.column ? `・${error.column}` : ''}: {error.message}
+              </Typography>
+            ))}
+          </Alert>
+        ) : (
+          <Alert severity={rows.length > 0 ? 'success' : 'info'}>
+            {rows.length > 0
+              ? `${entryCount}件の仕訳（${rows.length}行）を${profile.label}の列仕様で確認しました。`
+              : '期間内に仕訳がありません。'}
+          </Alert>
+        )}
+
+        {rows.length > 0 && (
+          <TableContainer sx={{ maxHeight: 360 }}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  {header.map(name => (
+                    <TableCell key={name} sx={{ whiteSpace: 'nowrap' }}>{name}</TableCell>
+                  ))}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {rows.slice(0, PREVIEW_ROWS).map((cells, index) => (
+                  <TableRow key={index}>
+                    {cells.map((cell, i) => (
+                      <TableCell key={i} sx={{ whiteSpace: 'nowrap' }}>{cell}</TableCell>
+                    ))}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+        {rows.length > PREVIEW_ROWS && (
+          <Typography variant="caption" color="text.secondary">
+            先頭{PREVIEW_ROWS}行を表示しています
+          </Typography>
+        )}
+      </Stack>
+    );
+  };
+
+  const renderAccounts = () => (
+    <TableContainer sx={{ maxHeight: 420 }}>
+      <Table size="small" stickyHeader>
+        <TableHead>
+          <TableRow>
+            <TableCell>コード</TableCell>
+            <TableCell>科目</TableCell>
+            <TableCell>区分</TableCell>
+            <TableCell>出力する勘定科目</TableCell>
+            {hasSubAccounts && <TableCell>補助科目</TableCell>}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {config.accounts.map(account => (
+            <TableRow key={account.key}>
+              <TableCell>{account.code}</TableCell>
+              <TableCell>{account.name}</TableCell>
+              <TableCell>
+                <Chip label={ACCOUNT_TYPES[account.type]} size="small" variant="outlined" />
+              </TableCell>
+              <TableCell>
+                <TextField
+                  size="small"
+                  value={account.title}
+                  placeholder={account.defaultTitle}
+                  onChange={(e) => updateAccount(account.key, 'title', e.target.value)}
+                  error={!account.title.trim()}
+                />
+              </TableCell>
+              {hasSubAccounts && (
+                <TableCell>
+                  <TextField
+                    size="small"
+                    value={account.subTitle}
+                    onChange={(e) => updateAccount(account.key, 'subTitle', e.target.value)}
+                  />
+                </TableCell>
+              )}
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+
+  const renderTaxCodes = () => (
+    <TableContainer>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>区分</TableCell>
+            <TableCell>{profile.label}の税区分</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {config.taxCodes.map(item => (
+            <TableRow key={item.key}>
+              <TableCell>{item.label}</TableCell>
+              <TableCell>
+                <TextField
+                  size="small"
+                  fullWidth
+                  value={item.code}
+                  placeholder={item.defaultCode}
+                  onChange={(e) => updateTaxCode(item.key, e.target.value)}
+                />
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>会計ソフト向け仕訳エクスポート</DialogTitle>
+      <DialogContent>
+        <Stack spacing={2} sx={{ mt: 1 }}>
+          <Stack direction={{ xs: 'column', md: 'row' }} spacing={2} alignItems={{ md: 'center' }}>
+            <FormControl size="small" sx={{ minWidth: 260 }}>
+              <InputLabel>出力形式</InputLabel>
+              <Select value={profileId} label="出力形式" onChange={(e) => setProfileId(e.target.value)}>
+                {Object.entries(EXPORT_PROFILES).map(([value, item]) => (
+                  <MenuItem key={value} value={value}>{item.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <Typography variant="body2" color="text.secondary">{profile.description}</Typography>
+          </Stack>
+          <PeriodPicker preset={preset} range={range} onChange={handlePeriodChange} />
+
+          {message && (
+            <Alert severity={message.severity} onClose={() => setMessage(null)}>{message.text}</Alert>
+          )}
+
+          <Box sx={{ borderBottom: 1, borderColor: 'divider' }}>
+            <Tabs value={tab} onChange={(e, value) => setTab(value)}>
+              <Tab value="export" label="確認" />
+              <Tab value="accounts" label="勘定科目の対応" />
+              <Tab value="taxCodes" label="税区分の対応" />
+            </Tabs>
+          </Box>
+
+          {tab === 'export' && renderExport()}
+          {tab === 'accounts' && config && renderAccounts()}
+          {tab === 'taxCodes' && config && renderTaxCodes()}
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>閉じる</Button>
+        {tab !== 'export' && (
+          <Button variant="outlined" startIcon={<SaveIcon />} onClick={handleSave} disabled={!dirty}>
+            対応表を保存
+          </Button>
+        )}
+        <Button
+          variant="contained"
+          startIcon={<DownloadIcon />}
+          onClick={handleDownload}
+          disabled={!exportData || exportData.rows.length === 0 || exportData.errors.length > 0 || dirty}
+        >
+          CSVをダウンロード
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AccountingExportDialog;
@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
 import {
   Box,
   Typography,
@@ -15,6 +15,14 @@ import {
   IconButton,
   LinearProgress,
   Chip,
+  MenuItem,
+  Autocomplete,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
 } from '@mui/material';
 import {
   Psychology as AiIcon,
@@ -25,29 +33,134 @@ import {
   Save as SaveIcon,
   Refresh as RefreshIcon,
   Help as HelpIcon,
+  CloudOff as OfflineIcon,
+  DeleteSweep as ClearIcon,
 } from '@mui/icons-material';
 import { motion } from 'framer-motion';
 import GlassCard, { GlassCardContent } from '../common/GlassCard';
+import {
+  LLM_PROVIDERS,
+  getProviderConfig,
+  getConfigError,
+  getUsageSummary,
+  clearUsage,
+} from '../../services/llmService';
+import {
+  MODEL_TYPES,
+  MIN_TRAINING_DOCUMENTS,
+  getCategoryModelStatus,
+  retrainCategoryModels,
+} from '../../services/categoryModelService';
+
+// Costs are small fractions of a dollar, so four decimals are shown
+const formatUsd = (cost) => `$${(cost || 0).toFixed(4)}`;
+
+const formatTokens = (tokens) => (tokens || 0).toLocaleString('ja-JP');
+
+const formatAccuracy = (value) => (value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`);
+
+// First day of the current month (ISO), the start of the usage summary
+const getMonthStart = () => {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), 1).toISOString();
+};
+
+// Password field with a visibility toggle
+const SecretField = ({ label, value, onChange, placeholder, helperText }) => {
+  const [visible, setVisible] = useState(false);
+  return (
+    <TextField
+      label={label}
+      type={visible ? 'text' : 'password'}
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value)}
+      fullWidth
+      placeholder={placeholder}
+      helperText={helperText}
+      InputProps={{
+        endAdornment: (
+          <InputAdornment position="end">
+            <IconButton onClick={() => setVisible(prev => !prev)} edge="end" title={visible ? '隠す' : '表示'}>
+              {visible ? <VisibilityOffIcon /> : <VisibilityIcon />}
+            </IconButton>
+          </InputAdornment>
+        ),
+      }}
+    />
+  );
+};
+
+// Model name with suggestions from the provider's list or the last connection test
+const ModelField = ({ label = 'モデル', value, options, onChange, helperText }) => (
+  <Autocomplete
+    freeSolo
+    fullWidth
+    options={options}
+    inputValue={value || ''}
+    onInputChange={(e, newValue) => onChange(newValue)}
+    renderInput={(params) => (
+      <TextField {...params} label={label} helperText={helperText} />
+    )}
+  />
+);
 
 const ApiSettings = ({ settings, updateSetting, hasChanges, saveSettings, testApiConnection }) => {
-  const [showApiKey, setShowApiKey] = useState(false);
   const [testing, setTesting] = useState(false);
   const [testResult, setTestResult] = useState(null);
+  const [fetchedModels, setFetchedModels] = useState({});
   const [saving, setSaving] = useState(false);
+  const [usage, setUsage] = useState(null);
+  const [modelStatus, setModelStatus] = useState(null);
+  const [retraining, setRetraining] = useState(false);
 
-  // Handle API key visibility toggle
-  const toggleApiKeyVisibility = useCallback(() => {
-    setShowApiKey(prev => !prev);
+  const provider = LLM_PROVIDERS[settings.llmProvider] ? settings.llmProvider : 'openai';
+  const configError = getConfigError(getProviderConfig(settings));
+  const modelOptions = fetchedModels[provider] || LLM_PROVIDERS[provider].models;
+
+  const loadUsage = useCallback(async () => {
+    const result = await getUsageSummary({ since: getMonthStart() });
+    if (result.success) {
+      setUsage(result.data);
+    }
   }, []);
 
+  useEffect(() => {
+    loadUsage();
+  }, [loadUsage]);
+
+  useEffect(() => {
+    getCategoryModelStatus().then(result => {
+      if (result.success) setModelStatus(result.data);
+    });
+  }, []);
+
+  // Handle retraining of the local category models
+  const handleRetrain = useCallback(async () => {
+    setRetraining(true);
+    const result = await retrainCategoryModels();
+    if (result.success) {
+      setModelStatus(result.data);
+    }
+    setRetraining(false);
+  }, []);
+
+  // Handle provider change
+  const handleProviderChange = useCallback((value) => {
+    updateSetting('llmProvider', value);
+    setTestResult(null);
+  }, [updateSetting]);
+
   // Handle test connection
   const handleTestConnection = useCallback(async () => {
     setTesting(true);
     setTestResult(null);
-    
+
     try {
       const result = await testApiConnection();
       setTestResult(result);
+      if (result.success && result.models?.length > 0) {
+        setFetchedModels(prev => ({ ...prev, [provider]: result.models }));
+      }
     } catch (error) {
       setTestResult({
         success: false,
@@ -55,8 +168,9 @@ const ApiSettings = ({ settings, updateSetting, hasChanges, saveSettings, testAp
       });
     } finally {
       setTesting(false);
+      loadUsage();
     }
-  }, [testApiConnection]);
+  }, [testApiConnection, provider, loadUsage]);
 
   // Handle save settings
   const handleSaveSettings = useCallback(async () => {
@@ -71,6 +185,13 @@ const ApiSettings = ({ settings, updateSetting, hasChanges, saveSettings, testAp
     }
   }, [saveSettings]);
 
+  // Handle clear usage
+  const handleClearUsage = useCallback(async () => {
+    if (!window.confirm('AIの利用履歴をすべて削除しますか？')) return;
+    await clearUsage();
+    loadUsage();
+  }, [loadUsage]);
+
   const itemVariants = {
     hidden: { opacity: 0, y: 20 },
     visible: {
@@ -83,6 +204,108 @@ const ApiSettings = ({ settings, updateSetting, hasChanges, saveSettings, testAp
     },
   };
 
+  const renderProviderFields = () => {
+    switch (provider) {
+      case 'azure':
+        return (
+          <>
+            <TextField
+              label="エンドポイント"
+              value={settings.azureEndpoint || ''}
+              onChange={(e) => updateSetting('azureEndpoint', e.target.value)}
+              fullWidth
+              placeholder="https://<リソース名>.openai.azure.com"
+              helperText="AzureポータルのAzure OpenAIリソースに表示されるエンドポイント"
+            />
+            <SecretField
+              label="APIキー"
+              value={settings.azureApiKey}
+              onChange={(value) => updateSetting('azureApiKey', value)}
+            />
+            <TextField
+              label="デプロイ名"
+              value={settings.azureDeployment || ''}
+              onChange={(e) => updateSetting('azureDeployment', e.target.value)}
+              fullWidth
+              helperText="デプロイ名がモデル名（gpt-4o-mini など）と同じ場合は利用料の概算も記録されます"
+            />
+            <TextField
+              label="APIバージョン"
+              value={settings.azureApiVersion || ''}
+              onChange={(e) => updateSetting('azureApiVersion', e.target.value)}
+              fullWidth
+            />
+          </>
+        );
+      case 'anthropic':
+        return (
+          <>
+            <SecretField
+              label="APIキー"
+              value={settings.anthropicApiKey}
+              onChange={(value) => updateSetting('anthropicApiKey', value)}
+              placeholder="sk-ant-..."
+              helperText="取得は https://console.anthropic.com で行えます。"
+            />
+            <ModelField
+              value={settings.anthropicModel}
+              options={modelOptions}
+              onChange={(value) => updateSetting('anthropicModel', value)}
+            />
+          </>
+        );
+      case 'local':
+        return (
+          <>
+            <TextField
+              label="ベースURL"
+              value={settings.localEndpoint || ''}
+              onChange={(e) => updateSetting('localEndpoint', e.target.value)}
+              fullWidth
+              placeholder="http://localhost:11434/v1"
+              helperText="Ollamaは http://localhost:11434/v1、llama.cppのサーバーは http://localhost:8080/v1 が既定です"
+            />
+            <ModelField
+              value={settings.localModel}
+              options={modelOptions}
+              onChange={(value) => updateSetting('localModel', value)}
+              helperText="接続テストに成功するとサーバーのモデル一覧から選べます"
+            />
+            <SecretField
+              label="APIキー（任意）"
+              value={settings.localApiKey}
+              onChange={(value) => updateSetting('localApiKey', value)}
+              helperText="サーバーをAPIキー付きで起動している場合のみ入力してください"
+            />
+          </>
+        );
+      default:
+        return (
+          <>
+            <SecretField
+              label="APIキー"
+              value={settings.openaiApiKey}
+              onChange={(value) => updateSetting('openaiApiKey', value)}
+              placeholder="sk-..."
+              helperText="OpenAIのAPIキーを入力してください。取得は https://platform.openai.com で行えます。"
+            />
+            <ModelField
+              value={settings.openaiModel}
+              options={modelOptions}
+              onChange={(value) => updateSetting('openaiModel', value)}
+            />
+            <TextField
+              label="APIエンドポイント"
+              value={settings.apiEndpoint ?? 'https://api.openai.com/v1/chat/completions'}
+              onChange={(e) => updateSetting('apiEndpoint', e.target.value)}
+              fullWidth
+              helperText="通常は変更不要です。カスタムエンドポイントを使用する場合のみ変更してください。"
+            />
+          </>
+        );
+    }
+  };
+
   return (
     <GlassCard>
       <GlassCardContent>
@@ -135,46 +358,71 @@ const ApiSettings = ({ settings, updateSetting, hasChanges, saveSettings, testAp
 
           {settings.aiSuggestions && (
             <>
+              {/* Offline Mode */}
+              <motion.div variants={itemVariants}>
+                <Card>
+                  <CardContent>
+                    <FormControlLabel
+                      control={
+                        <Switch
+                          checked={settings.offlineMode || false}
+                          onChange={(e) => updateSetting('offlineMode', e.target.checked)}
+                        />
+                      }
+                      label={
+                        <Box>
+                          <Typography variant="body1" fontWeight="medium">
+                            <OfflineIcon fontSize="small" sx={{ mr: 0.5, verticalAlign: 'text-bottom' }} />
+                            オフラインモード
+                          </Typography>
+                          <Typography variant="body2" color="text.secondary">
+                            このPC上のローカルサーバー（localhost）にのみ送信し、レシートの内容や説明文を外部に送信しません
+                          </Typography>
+                        </Box>
+                      }
+                    />
+                  </CardContent>
+                </Card>
+              </motion.div>
+
               {/* API Configuration */}
               <motion.div variants={itemVariants}>
                 <Typography variant="h6" gutterBottom>
-                  OpenAI API設定
+                  プロバイダー設定
                 </Typography>
-                
+
                 <Stack spacing={2}>
                   <TextField
-                    label="APIキー"
-                    type={showApiKey ? 'text' : 'password'}
-                    value={settings.openaiApiKey || ''}
-                    onChange={(e) => updateSetting('openaiApiKey', e.target.value)}
+                    select
+                    label="プロバイダー"
+                    value={provider}
+                    onChange={(e) => handleProviderChange(e.target.value)}
                     fullWidth
-                    placeholder="sk-..."
-                    helperText="OpenAIのAPIキーを入力してください。取得は https://platform.openai.com で行えます。"
-                    InputProps={{
-                      endAdornment: (
-                        <InputAdornment position="end">
-                          <IconButton onClick={toggleApiKeyVisibility} edge="end">
-                            {showApiKey ? <VisibilityOffIcon /> : <VisibilityIcon />}
-                          </IconButton>
-                        </InputAdornment>
-                      ),
-                    }}
-                  />
+                  >
+                    {Object.entries(LLM_PROVIDERS).map(([id, definition]) => (
+                      <MenuItem key={id} value={id}>
+                        {definition.label}
+                      </MenuItem>
+                    ))}
+                  </TextField>
 
-                  <TextField
-                    label="APIエンドポイント"
-                    value={settings.apiEndpoint || 'https://api.openai.com/v1/chat/completions'}
-                    onChange={(e) => updateSetting('apiEndpoint', e.target.value)}
-                    fullWidth
-                    helperText="通常は変更不要です。カスタムエンドポイントを使用する場合のみ変更してください。"
-                  />
+                  {renderProviderFields()}
+
+                  {configError && (
+                    <Alert severity={settings.offlineMode ? 'warning' : 'info'}>
+                      <Typography variant="body2">
+                        {configError}
+                        {settings.offlineMode && provider !== 'local' && ' プロバイダーを「ローカル（OpenAI互換）」に切り替えてください。'}
+                      </Typography>
+                    </Alert>
+                  )}
 
                   <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
                     <Button
                       variant="outlined"
                       startIcon={<RefreshIcon />}
                       onClick={handleTestConnection}
-                      disabled={testing || !settings.openaiApiKey}
+                      disabled={testing}
                     >
                       {testing ? '接続テスト中...' : '接続テスト'}
                     </Button>
@@ -218,7 +466,7 @@ const ApiSettings = ({ settings, updateSetting, hasChanges, saveSettings, testAp
                 <Typography variant="h6" gutterBottom>
                   詳細設定
                 </Typography>
-                
+
                 <Stack spacing={2}>
                   <TextField
                     label="最大リトライ回数"
@@ -235,13 +483,79 @@ const ApiSettings = ({ settings, updateSetting, hasChanges, saveSettings, testAp
                     value={settings.requestTimeout || 30000}
                     onChange={(e) => updateSetting('requestTimeout', parseInt(e.target.value))}
                     inputProps={{ min: 5000, max: 120000 }}
-                    helperText="APIリクエストのタイムアウト時間（5秒〜2分）"
+                    helperText="APIリクエストのタイムアウト時間（5秒〜2分）。ローカルモデルは応答に時間がかかる場合があります"
                   />
                 </Stack>
               </motion.div>
 
               <Divider />
 
+              {/* Usage */}
+              <motion.div variants={itemVariants}>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                  <Typography variant="h6">
+                    今月の利用状況
+                  </Typography>
+                  <Stack direction="row" spacing={1}>
+                    <IconButton size="small" onClick={loadUsage} title="更新">
+                      <RefreshIcon />
+                    </IconButton>
+                    <IconButton size="small" onClick={handleClearUsage} title="利用履歴を削除" disabled={!usage || usage.calls === 0}>
+                      <ClearIcon />
+                    </IconButton>
+                  </Stack>
+                </Box>
+
+                {usage && usage.calls > 0 ? (
+                  <>
+                    <Stack direction="row" spacing={1} sx={{ mb: 2, flexWrap: 'wrap', gap: 1 }}>
+                      <Chip label={`呼び出し ${usage.calls}回`} variant="outlined" />
+                      {usage.failures > 0 && (
+                        <Chip label={`失敗 ${usage.failures}回`} color="error" variant="outlined" />
+                      )}
+                      <Chip label={`入力 ${formatTokens(usage.inputTokens)} トークン`} variant="outlined" />
+                      <Chip label={`出力 ${formatTokens(usage.outputTokens)} トークン`} variant="outlined" />
+                      <Chip label={`概算 ${formatUsd(usage.cost)}`} color="primary" variant="outlined" />
+                    </Stack>
+                    <TableContainer>
+                      <Table size="small">
+                        <TableHead>
+                          <TableRow>
+                            <TableCell>プロバイダー</TableCell>
+                            <TableCell>モデル</TableCell>
+                            <TableCell align="right">回数</TableCell>
+                            <TableCell align="right">入力トークン</TableCell>
+                            <TableCell align="right">出力トークン</TableCell>
+                            <TableCell align="right">概算費用</TableCell>
+                          </TableRow>
+                        </TableHead>
+                        <TableBody>
+                          {usage.byModel.map(row => (
+                            <TableRow key={`${row.provider}:${row.model}`}>
+                              <TableCell>{LLM_PROVIDERS[row.provider]?.label || row.provider}</TableCell>
+                              <TableCell>{row.model}</TableCell>
+                              <TableCell align="right">{row.calls}</TableCell>
+                              <TableCell align="right">{formatTokens(row.inputTokens)}</TableCell>
+                              <TableCell align="right">{formatTokens(row.outputTokens)}</TableCell>
+                              <TableCell align="right">{row.unpriced ? '不明' : formatUsd(row.cost)}</TableCell>
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    </TableContainer>
+                    <Typography variant="caption" color="text.secondary">
+                      費用は各社の公表単価から計算した概算です。実際の請求額は各サービスの管理画面で確認してください。
+                    </Typography>
+                  </>
+                ) : (
+                  <Typography variant="body2" color="text.secondary">
+                    今月はまだAI機能を利用していません
+                  </Typography>
+                )}
+              </motion.div>
+
+              <Divider />
+
               {/* Usage Information */}
               <motion.div variants={itemVariants}>
                 <Alert severity="info" icon={<HelpIcon />}>
@@ -252,6 +566,7 @@ const ApiSettings = ({ settings, updateSetting, hasChanges, saveSettings, testAp
                     • <strong>カテゴリ提案</strong>: 支出・収入の説明から適切なカテゴリを提案<br/>
                     • <strong>経費分析</strong>: 税務上の扱いや必要書類についてアドバイス<br/>
                     • <strong>月次レポート</strong>: 収支データの分析と改善提案<br/>
+                    • <strong>レシート解析</strong>: OCRで読み取ったレシートの内容を整形<br/>
                     • <strong>学習機能</strong>: ユーザーの選択から学習して精度向上
                   </Typography>
                 </Alert>
@@ -259,22 +574,92 @@ const ApiSettings = ({ settings, updateSetting, hasChanges, saveSettings, testAp
 
               {/* Privacy Notice */}
               <motion.div variants={itemVariants}>
-                <Alert severity="warning">
+                <Alert severity={LLM_PROVIDERS[provider].local ? 'info' : 'warning'}>
                   <Typography variant="body2" fontWeight="medium" gutterBottom>
                     プライバシーについて
                   </Typography>
                   <Typography variant="body2">
-                    AI機能は入力された説明文や金額をOpenAIのAPIに送信します。
-                    機密性の高い情報を含む場合は、AI機能を無効にすることをお勧めします。
+                    {LLM_PROVIDERS[provider].local
+                      ? 'AI機能は入力された説明文や金額、レシートの読み取り結果を設定したサーバーに送信します。このPC以外のサーバーを指定した場合はそのサーバーに送信されます。'
+                      : `AI機能は入力された説明文や金額、レシートの読み取り結果を${LLM_PROVIDERS[provider].label}のAPIに送信します。機密性の高い情報を含む場合は、オフラインモードかAI機能の無効化をお勧めします。`}
                   </Typography>
                 </Alert>
               </motion.div>
             </>
           )}
+
+          <Divider />
+
+          {/* Local Category Model */}
+          <motion.div variants={itemVariants}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+              <Typography variant="h6">
+                ローカル分類モデル
+              </Typography>
+              <Button
+                variant="outlined"
+                size="small"
+                startIcon={<RefreshIcon />}
+                onClick={handleRetrain}
+                disabled={retraining}
+              >
+                {retraining ? '学習中...' : '再学習'}
+              </Button>
+            </Box>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              登録済みの取引から説明文・支払先・金額・曜日を学習し、APIキーなしでカテゴリを提案します。
+              新しい取引は自動で追加学習されます。精度は学習に使わない取引（約2割）で測定しています。
+            </Typography>
+
+            {retraining && <LinearProgress sx={{ mb: 2 }} />}
+
+            {modelStatus && (
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>種類</TableCell>
+                      <TableCell align="right">学習件数</TableCell>
+                      <TableCell align="right">カテゴリ数</TableCell>
+                      <TableCell align="right">正解率</TableCell>
+                      <TableCell align="right">上位3件に正解</TableCell>
+                      <TableCell align="right">評価件数</TableCell>
+                      <TableCell>評価日時</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {modelStatus.map(row => (
+                      <TableRow key={row.type}>
+                        <TableCell>
+                          {MODEL_TYPES[row.type]}
+                          {!row.ready && (
+                            <Chip label={`${MIN_TRAINING_DOCUMENTS}件以上で有効`} size="small" variant="outlined" sx={{ ml: 1 }} />
+                          )}
+                        </TableCell>
+                        <TableCell align="right">{row.documentCount}</TableCell>
+                        <TableCell align="right">{row.categoryCount}</TableCell>
+                        <TableCell align="right">{formatAccuracy(row.accuracy.top1)}</TableCell>
+                        <TableCell align="right">{formatAccuracy(row.accuracy.top3)}</TableCell>
+                        <TableCell align="right">{row.accuracy.holdoutSize}</TableCell>
+                        <TableCell>
+                          {new Date(row.evaluatedAt).toLocaleString('ja-JP')}
+                          {row.addedSinceEvaluation > 0 && (
+                            <Typography variant="caption" color="text.secondary" display="block">
+                              評価後に{row.addedSinceEvaluation}件追加
+                            </Typography>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )}
+          </motion.div>
         </Stack>
       </GlassCardContent>
     </GlassCard>
   );
 };
 
-export default ApiSettings;
\ No newline at end of file
+export default ApiSettings;
@@ -0,0 +1,196 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Divider,
+  MenuItem,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+  Alert,
+} from '@mui/material';
+import {
+  MergeType as MergeIcon,
+  PersonAdd as RegisterIcon,
+  Label as AliasIcon,
+} from '@mui/icons-material';
+import vendorService from '../../services/vendorService';
+
+/**
+ * Clean-up tools for the 取引先マスタ
+ * Entries that look like the same company can be merged, and names used on transactions that
+ * are not registered can be added as an alias of a similar entry or registered as new entries.
+ */
+const CounterpartyCleanup = ({ vendors, refreshKey, onChanged, onError, onRegister }) => {
+  const [duplicates, setDuplicates] = useState([]);
+  const [unregistered, setUnregistered] = useState([]);
+  const [targets, setTargets] = useState({});
+  const [mergeGroup, setMergeGroup] = useState(null);
+
+  useEffect(() => {
+    vendorService.findDuplicateVendors().then(result => {
+      if (result.success) setDuplicates(result.data);
+    });
+    vendorService.findUnregisteredCounterparties().then(result => {
+      if (result.success) setUnregistered(result.data);
+    });
+  }, [refreshKey]);
+
+  // The entry kept by default is the one with a registration number, then the oldest
+  const targetOf = (group, index) => targets[index]
+    ?? (group.vendors.find(vendor => vendor.registrationNumber) || group.vendors[0]).id;
+
+  const handleMerge = async () => {
+    const { group, index } = mergeGroup;
+    const targetId = targetOf(group, index);
+    const result = await vendorService.mergeVendors(targetId, group.vendors.map(vendor => vendor.id));
+    setMergeGroup(null);
+    setTargets({});
+    if (!result.success) {
+      onError(result.error);
+    }
+    onChanged();
+  };
+
+  const handleAddAlias = async (item) => {
+    const result = await vendorService.addVendorAlias(item.suggestion.id, item.name);
+    if (!result.success) {
+      onError(result.error);
+    }
+    onChanged();
+  };
+
+  if (vendors.length === 0 && unregistered.length === 0) return null;
+
+  return (
+    <Box sx={{ mt: 4 }}>
+      <Divider sx={{ mb: 3 }} />
+      <Typography variant="subtitle1" fontWeight="bold" sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <MergeIcon />
+        重複の可能性がある取引先
+      </Typography>
+      {duplicates.length === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+          重複の可能性がある取引先はありません
+        </Typography>
+      ) : (
+        <Stack spacing={1.5} sx={{ mb: 3 }}>
+          {duplicates.map((group, index) => (
+            <Box
+              key={group.vendors.map(vendor => vendor.id).join('-')}
+              sx={{ p: 1.5, border: '1px solid', borderColor: 'divider', borderRadius: 1 }}
+            >
+              <Stack direction="row" spacing={0.5} useFlexGap flexWrap="wrap" sx={{ mb: 1 }}>
+                {group.vendors.map(vendor => (
+                  <Chip key={vendor.id} size="small" label={vendor.name} />
+                ))}
+                {group.reasons.map(reason => (
+                  <Chip key={reason} size="small" variant="outlined" color="warning" label={reason} />
+                ))}
+              </Stack>
+              <Stack direction="row" spacing={1} alignItems="center">
+                <TextField
+                  label="統合先"
+                  select
+                  size="small"
+                  sx={{ minWidth: 240 }}
+                  value={targetOf(group, index)}
+                  onChange={(e) => setTargets(prev => ({ ...prev, [index]: e.target.value }))}
+                >
+                  {group.vendors.map(vendor => (
+                    <MenuItem key={vendor.id} value={vendor.id}>{vendor.name}</MenuItem>
+                  ))}
+                </TextField>
+                <Button size="small" variant="outlined" startIcon={<MergeIcon />} onClick={() => setMergeGroup({ group, index })}>
+                  統合
+                </Button>
+              </Stack>
+            </Box>
+          ))}
+        </Stack>
+      )}
+
+      <Typography variant="subtitle1" fontWeight="bold" sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <AliasIcon />
+        マスタにない取引先名
+      </Typography>
+      {unregistered.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          すべての取引先名がマスタに登録されています
+        </Typography>
+      ) : (
+        <TableContainer sx={{ maxHeight: 360 }}>
+          <Table size="small" stickyHeader>
+            <TableHead>
+              <TableRow>
+                <TableCell>取引先名</TableCell>
+                <TableCell align="right">件数</TableCell>
+                <TableCell>似ている取引先</TableCell>
+                <TableCell align="right">操作</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {unregistered.map(item => (
+                <TableRow key={item.name} hover>
+                  <TableCell>{item.name}</TableCell>
+                  <TableCell align="right">{item.count}</TableCell>
+                  <TableCell>
+                    {item.suggestion
+                      ? `${item.suggestion.name}（${Math.round(item.similarity * 100)}%）`
+                      : '—'}
+                  </TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    {item.suggestion && (
+                      <Button size="small" startIcon={<AliasIcon />} onClick={() => handleAddAlias(item)}>
+                        別名に追加
+                      </Button>
+                    )}
+                    <Button size="small" startIcon={<RegisterIcon />} onClick={() => onRegister(item.name)}>
+                      新規登録
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      {/* Merge Dialog */}
+      <Dialog open={Boolean(mergeGroup)} onClose={() => setMergeGroup(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>取引先の統合</DialogTitle>
+        <DialogContent>
+          {mergeGroup && (
+            <Alert severity="warning">
+              {mergeGroup.group.vendors
+                .filter(vendor => vendor.id !== targetOf(mergeGroup.group, mergeGroup.index))
+                .map(vendor => `「${vendor.name}」`)
+                .join('')}
+              を「{mergeGroup.group.vendors.find(vendor => vendor.id === targetOf(mergeGroup.group, mergeGroup.index))?.name}」に統合します。
+              統合した名前は別名として残り、これらの取引先の支出・収入は統合先の取引先名に変更されます（請求書は発行時の宛名のまま統合先に紐付きます）。
+            </Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setMergeGroup(null)}>キャンセル</Button>
+          <Button onClick={handleMerge} variant="contained" color="warning">
+            統合
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default CounterpartyCleanup;
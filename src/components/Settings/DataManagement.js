@@ -42,14 +42,31 @@ import {
   Visibility as VisibilityIcon,
   GetApp as GetAppIcon,
   Publish as PublishIcon,
-  Refresh as RefreshIcon
+  Refresh as RefreshIcon,
+  AccountBalance as AccountingIcon
 } from '@mui/icons-material';
 import GlassCard, { GlassCardContent } from '../common/GlassCard';
-import storage from '../../services/storage';
+import storage, { BACKUP_FORMAT } from '../../services/storage';
+import { getMigrationState, rollbackLegacyMigration } from '../../db/migrations';
 import settingsService from '../../services/settingsService';
+import AccountingExportDialog from './AccountingExportDialog';
+
+// Save content as a file through the browser's download
+const downloadFile = (content, filename, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
 
 const DataManagement = ({ settings, updateSetting, exportSettingsData, importSettingsData }) => {
   const [exportDialog, setExportDialog] = useState(false);
+  const [accountingExportDialog, setAccountingExportDialog] = useState(false);
   const [clearDataDialog, setClearDataDialog] = useState(false);
   const [integrityDialog, setIntegrityDialog] = useState(false);
   const [progress, setProgress] = useState(0);
@@ -60,16 +77,18 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
     users: true,
     categories: true,
     settings: true,
-    format: 'json',
+    format: 'backup',
     includeFiles: false
   });
   const [importResult, setImportResult] = useState(null);
   const [integrityResult, setIntegrityResult] = useState(null);
   const [storageInfo, setStorageInfo] = useState(null);
+  const [migrationState, setMigrationState] = useState(null);
   const fileInputRef = useRef(null);
 
   // Export formats
   const exportFormats = [
+    { value: 'backup', label: '完全バックアップ', description: 'すべてのデータと添付ファイル（復元用）' },
     { value: 'json', label: 'JSON', description: '構造化データ（推奨）' },
     { value: 'csv', label: 'CSV', description: 'スプレッドシート用' }
   ];
@@ -78,10 +97,10 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
   const getStorageInfo = useCallback(async () => {
     try {
       // Get storage statistics
-      const expenses = (storage.get('expenses') || []).length;
-      const income = (storage.get('income') || []).length;
-      const users = (storage.get('users') || []).length;
-      const categories = (storage.get('categories') || []).length;
+      const expenses = (await storage.getAll('expenses')).length;
+      const income = (await storage.getAll('income')).length;
+      const users = (await storage.getAll('users')).length;
+      const categories = (await storage.getAll('categories')).length;
       const settingsCount = 1; // Settings is a single object
       
       // Estimate storage usage
@@ -95,6 +114,7 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
         settings: settingsCount,
         estimatedSize
       });
+      setMigrationState({ ...getMigrationState(), backend: storage.backend });
     } catch (error) {
       console.error('Failed to get storage info:', error);
     }
@@ -129,6 +149,18 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
     setProgress(0);
     
     try {
+      const date = new Date().toISOString().split('T')[0];
+
+      // A full backup holds every table, including invoices, attachments and the audit log
+      if (exportOptions.format === 'backup') {
+        const backup = await storage.exportData();
+        setProgress(100);
+        downloadFile(JSON.stringify(backup), `atture_backup_${date}.json`, 'application/json');
+        setExportDialog(false);
+        alert('バックアップが完了しました');
+        return;
+      }
+
       const exportData = {
         exportedAt: new Date().toISOString(),
         version: '1.0',
@@ -139,25 +171,25 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
       // Export expenses
       if (exportOptions.expenses) {
         setProgress(20);
-        exportData.data.expenses = storage.get('expenses') || [];
+        exportData.data.expenses = await storage.getAll('expenses');
       }
 
       // Export income
       if (exportOptions.income) {
         setProgress(40);
-        exportData.data.income = storage.get('income') || [];
+        exportData.data.income = await storage.getAll('income');
       }
 
       // Export users
       if (exportOptions.users) {
         setProgress(60);
-        exportData.data.users = storage.get('users') || [];
+        exportData.data.users = await storage.getAll('users');
       }
 
       // Export categories
       if (exportOptions.categories) {
         setProgress(80);
-        exportData.data.categories = storage.get('categories') || [];
+        exportData.data.categories = await storage.getAll('categories');
       }
 
       // Export settings
@@ -170,7 +202,7 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
       setProgress(100);
 
       // Create and download file
-      const filename = `atture_export_${new Date().toISOString().split('T')[0]}.${exportOptions.format}`;
+      const filename = `atture_export_${date}.${exportOptions.format}`;
       let content, mimeType;
 
       switch (exportOptions.format) {
@@ -193,15 +225,7 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
           mimeType = 'application/json';
       }
 
-      const blob = new Blob([content], { type: mimeType });
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = filename;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      URL.revokeObjectURL(url);
+      downloadFile(content, filename, mimeType);
 
       setExportDialog(false);
       alert('データのエクスポートが完了しました');
@@ -224,7 +248,34 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
       reader.onload = async (e) => {
         try {
           const importData = JSON.parse(e.target.result);
-          
+
+          // Full backups replace the current data; the audit log and archived receipts are kept
+          if (importData.format === BACKUP_FORMAT) {
+            if (!window.confirm('バックアップから復元しますか？現在のデータはバックアップの内容に置き換えられます（監査ログと保存済みの証憑は保持されます）。')) {
+              return;
+            }
+            setProgress(50);
+            if (!await storage.importData(importData)) {
+              throw new Error('バックアップの復元に失敗しました');
+            }
+            const tables = importData.tables || {};
+            const count = (name) => (tables[name] || []).length;
+            setProgress(100);
+            setImportResult({
+              expenses: count('expenses'),
+              income: count('income'),
+              users: count('users'),
+              categories: count('categories'),
+              settings: Object.keys(importData.localStorage || {}).length,
+              other: Object.keys(tables)
+                .filter(name => !['expenses', 'income', 'users', 'categories'].includes(name))
+                .reduce((sum, name) => sum + count(name), 0),
+              errors: []
+            });
+            await getStorageInfo();
+            return;
+          }
+
           if (!importData.data) {
             throw new Error('Invalid import file format');
           }
@@ -244,7 +295,7 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
             for (const expense of importData.data.expenses) {
               try {
                 const { id, createdAt, updatedAt, ...expenseData } = expense;
-                storage.addItem('expenses', { ...expenseData, createdAt, updatedAt });
+                await storage.addItem('expenses', { ...expenseData, createdAt, updatedAt });
                 results.expenses++;
               } catch (error) {
                 results.errors.push(`Expense import error: ${error.message}`);
@@ -258,7 +309,7 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
             for (const incomeItem of importData.data.income) {
               try {
                 const { id, createdAt, updatedAt, ...incomeData } = incomeItem;
-                storage.addItem('income', { ...incomeData, createdAt, updatedAt });
+                await storage.addItem('income', { ...incomeData, createdAt, updatedAt });
                 results.income++;
               } catch (error) {
                 results.errors.push(`Income import error: ${error.message}`);
@@ -272,7 +323,7 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
             for (const user of importData.data.users) {
               try {
                 const { id, createdAt, updatedAt, ...userData } = user;
-                storage.addItem('users', { ...userData, createdAt, updatedAt });
+                await storage.addItem('users', { ...userData, createdAt, updatedAt });
                 results.users++;
                 // Already added above
               } catch (error) {
@@ -287,7 +338,7 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
             for (const category of importData.data.categories) {
               try {
                 const { id, createdAt, updatedAt, ...categoryData } = category;
-                storage.addItem('categories', { ...categoryData, createdAt, updatedAt });
+                await storage.addItem('categories', { ...categoryData, createdAt, updatedAt });
                 results.categories++;
               } catch (error) {
                 results.errors.push(`Category import error: ${error.message}`);
@@ -325,7 +376,7 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
       setProcessing(false);
       setProgress(0);
     }
-  }, []);
+  }, [getStorageInfo]);
 
 
   // Clear all data
@@ -333,10 +384,10 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
     try {
       setProcessing(true);
       
-      storage.set('expenses', []);
-      storage.set('income', []);
-      storage.set('users', []);
-      storage.set('categories', []);
+      await storage.setAll('expenses', []);
+      await storage.setAll('income', []);
+      await storage.setAll('users', []);
+      await storage.setAll('categories', []);
       // Settings are preserved unless explicitly requested
       
       await getStorageInfo();
@@ -355,8 +406,8 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
     try {
       setProcessing(true);
       
-      // Clear all data first
-      storage.clear();
+      // Clear all data first (default categories are re-seeded on reload)
+      await storage.clear();
       
       // Force reinitialization with new default categories
       storage.set('initialized', false);
@@ -376,6 +427,28 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
     }
   }, [getStorageInfo]);
 
+  // Restore the pre-migration localStorage data
+  const handleRollbackMigration = useCallback(async () => {
+    if (!window.confirm('IndexedDBへの移行前の状態に戻しますか？移行後に登録したデータは失われます。')) {
+      return;
+    }
+
+    try {
+      setProcessing(true);
+      const result = await rollbackLegacyMigration();
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      alert('移行前のデータに戻しました。アプリを再読み込みします。');
+      window.location.reload();
+    } catch (error) {
+      console.error('Migration rollback failed:', error);
+      alert('ロールバックに失敗しました: ' + error.message);
+    } finally {
+      setProcessing(false);
+    }
+  }, []);
+
   // Data integrity check
   const handleIntegrityCheck = useCallback(async () => {
     setProcessing(true);
@@ -391,7 +464,14 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
       };
 
       // Check expenses
-      const expenses = storage.get('expenses') || [];
+      const [expenses, income, users, categories] = await Promise.all([
+        storage.getAll('expenses'),
+        storage.getAll('income'),
+        storage.getAll('users'),
+        storage.getAll('categories')
+      ]);
+      const findUser = (id) => users.find(user => user.id === id);
+      const findCategory = (id) => categories.find(category => category.id === id);
       stats.expenses = expenses.length;
       
       for (const expense of expenses) {
@@ -399,13 +479,13 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
           issues.push(`Expense ${expense.id}: Missing required fields`);
         }
         // Check if referenced user exists
-        const user = storage.findById('users', expense.userId);
+        const user = findUser(expense.userId);
         if (!user) {
           issues.push(`Expense ${expense.id}: Referenced user ${expense.userId} not found`);
           stats.orphanedRecords++;
         }
         // Check if referenced category exists
-        const category = storage.findById('categories', expense.categoryId);
+        const category = findCategory(expense.categoryId);
         if (!category) {
           issues.push(`Expense ${expense.id}: Referenced category ${expense.categoryId} not found`);
           stats.orphanedRecords++;
@@ -413,7 +493,6 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
       }
 
       // Check income
-      const income = storage.get('income') || [];
       stats.income = income.length;
       
       for (const incomeItem of income) {
@@ -421,7 +500,7 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
           issues.push(`Income ${incomeItem.id}: Missing required fields`);
         }
         // Similar checks for income
-        const user = storage.findById('users', incomeItem.userId);
+        const user = findUser(incomeItem.userId);
         if (!user) {
           issues.push(`Income ${incomeItem.id}: Referenced user ${incomeItem.userId} not found`);
           stats.orphanedRecords++;
@@ -429,8 +508,8 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
       }
 
       // Check users and categories
-      stats.users = (storage.get('users') || []).length;
-      stats.categories = (storage.get('categories') || []).length;
+      stats.users = users.length;
+      stats.categories = categories.length;
 
       setIntegrityResult({
         stats,
@@ -534,6 +613,24 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
           </Grid>
         )}
 
+        {/* Storage Migration Status */}
+        {migrationState && (
+          <Alert
+            severity={migrationState.status === 'failed' ? 'error' : migrationState.backend === 'indexedDB' ? 'success' : 'warning'}
+            sx={{ mb: 3 }}
+            action={migrationState.snapshotId && migrationState.status === 'completed' && (
+              <Button color="inherit" size="small" onClick={handleRollbackMigration} disabled={processing}>
+                移行前に戻す
+              </Button>
+            )}
+          >
+            {migrationState.status === 'completed' && 'データはIndexedDBに保存されています。'}
+            {migrationState.status === 'failed' && `IndexedDBへの移行に失敗しました。次回起動時に再試行します: ${migrationState.error}`}
+            {migrationState.status === 'rolled_back' && '移行前のデータに戻しました。次回起動時に再度移行されます。'}
+            {(migrationState.status === 'pending' || migrationState.status === 'in_progress') && 'IndexedDBへのデータ移行が完了していません。'}
+          </Alert>
+        )}
+
         <Grid container spacing={3}>
           {/* Export Section */}
           <Grid item xs={12} md={6}>
@@ -589,11 +686,34 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
               </Button>
               
               <Alert severity="warning">
-                インポートは既存のデータに追加されます。重複するデータがある場合は注意してください。
+                完全バックアップは現在のデータを置き換えて復元します。それ以外のファイルは既存のデータに追加されます。重複するデータがある場合は注意してください。
               </Alert>
             </Stack>
           </Grid>
 
+          {/* Accounting Software Export Section */}
+          <Grid item xs={12} md={6}>
+            <Typography variant="subtitle1" fontWeight="bold" gutterBottom>
+              <AccountingIcon sx={{ mr: 1, verticalAlign: 'middle' }} />
+              会計ソフト向けエクスポート
+            </Typography>
+            
+            <Stack spacing={2}>
+              <Button
+                variant="outlined"
+                startIcon={<DownloadIcon />}
+                onClick={() => setAccountingExportDialog(true)}
+                fullWidth
+                disabled={processing}
+              >
+                仕訳CSVを出力
+              </Button>
+              
+              <Alert severity="info">
+                freee会計・マネーフォワード クラウド会計・弥生会計の仕訳インポート形式で出力します。勘定科目と税区分の対応は出力形式ごとに保存されます。
+              </Alert>
+            </Stack>
+          </Grid>
 
           {/* Clear Data Section */}
           <Grid item xs={12} md={6}>
@@ -642,6 +762,11 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
           </Box>
         )}
 
+        <AccountingExportDialog
+          open={accountingExportDialog}
+          onClose={() => setAccountingExportDialog(false)}
+        />
+
         {/* Export Dialog */}
         <Dialog open={exportDialog} onClose={() => setExportDialog(false)} maxWidth="md" fullWidth>
           <DialogTitle>データエクスポート設定</DialogTitle>
@@ -655,7 +780,8 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
                   <FormControlLabel
                     control={
                       <Checkbox
-                        checked={exportOptions.expenses}
+                        checked={exportOptions.format === 'backup' || exportOptions.expenses}
+                        disabled={exportOptions.format === 'backup'}
                         onChange={(e) => setExportOptions(prev => ({ ...prev, expenses: e.target.checked }))}
                       />
                     }
@@ -664,7 +790,8 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
                   <FormControlLabel
                     control={
                       <Checkbox
-                        checked={exportOptions.income}
+                        checked={exportOptions.format === 'backup' || exportOptions.income}
+                        disabled={exportOptions.format === 'backup'}
                         onChange={(e) => setExportOptions(prev => ({ ...prev, income: e.target.checked }))}
                       />
                     }
@@ -673,7 +800,8 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
                   <FormControlLabel
                     control={
                       <Checkbox
-                        checked={exportOptions.users}
+                        checked={exportOptions.format === 'backup' || exportOptions.users}
+                        disabled={exportOptions.format === 'backup'}
                         onChange={(e) => setExportOptions(prev => ({ ...prev, users: e.target.checked }))}
                       />
                     }
@@ -682,7 +810,8 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
                   <FormControlLabel
                     control={
                       <Checkbox
-                        checked={exportOptions.categories}
+                        checked={exportOptions.format === 'backup' || exportOptions.categories}
+                        disabled={exportOptions.format === 'backup'}
                         onChange={(e) => setExportOptions(prev => ({ ...prev, categories: e.target.checked }))}
                       />
                     }
@@ -691,7 +820,8 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
                   <FormControlLabel
                     control={
                       <Checkbox
-                        checked={exportOptions.settings}
+                        checked={exportOptions.format === 'backup' || exportOptions.settings}
+                        disabled={exportOptions.format === 'backup'}
                         onChange={(e) => setExportOptions(prev => ({ ...prev, settings: e.target.checked }))}
                       />
                     }
@@ -935,6 +1065,14 @@ const DataManagement = ({ settings, updateSetting, exportSettingsData, importSet
                   </ListItemIcon>
                   <ListItemText primary={`設定: ${importResult.settings}件`} />
                 </ListItem>
+                {importResult.other > 0 && (
+                  <ListItem>
+                    <ListItemIcon>
+                      <CheckCircleIcon color="success" />
+                    </ListItemIcon>
+                    <ListItemText primary={`その他（請求書・添付ファイルなど）: ${importResult.other}件`} />
+                  </ListItem>
+                )}
               </List>
               
               {importResult.errors.length > 0 && (
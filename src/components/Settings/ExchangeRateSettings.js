@@ -0,0 +1,319 @@
+import React, { useState, useCallback, useEffect, useRef } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  Stack,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import {
+  CurrencyExchange as ExchangeRateIcon,
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  UploadFile as UploadIcon,
+} from '@mui/icons-material';
+import GlassCard, { GlassCardContent } from '../common/GlassCard';
+import exchangeRateService, { RATE_SOURCES, getBaseCurrency } from '../../services/exchangeRateService';
+import { CURRENCIES } from '../../utils/currency';
+import { decodeStatementFile } from '../../utils/statementParsers';
+import { toDateString } from '../../utils/recurrence';
+
+const emptyForm = (baseCurrency) => ({
+  date: toDateString(new Date()),
+  currency: baseCurrency === 'USD' ? 'EUR' : 'USD',
+  rate: ''
+});
+
+// Exchange rates per date used to convert foreign-currency transactions into the base currency
+const ExchangeRateSettings = () => {
+  const baseCurrency = getBaseCurrency();
+  const [rates, setRates] = useState([]);
+  const [currencyFilter, setCurrencyFilter] = useState('');
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [form, setForm] = useState(() => emptyForm(baseCurrency));
+  const [formError, setFormError] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const loadRates = useCallback(async () => {
+    const result = await exchangeRateService.getExchangeRates({ currency: currencyFilter || undefined });
+    if (result.success) {
+      setRates(result.data);
+    } else {
+      setError('為替レートの読み込みに失敗しました');
+    }
+  }, [currencyFilter]);
+
+  useEffect(() => {
+    loadRates();
+  }, [loadRates]);
+
+  const openDialog = () => {
+    setForm(emptyForm(baseCurrency));
+    setFormError('');
+    setDialogOpen(true);
+  };
+
+  const handleSave = async () => {
+    const result = await exchangeRateService.saveExchangeRate({ ...form, quoteCurrency: baseCurrency });
+    if (!result.success) {
+      setFormError(result.error || '保存に失敗しました');
+      return;
+    }
+    setDialogOpen(false);
+    loadRates();
+  };
+
+  const handleFileSelect = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const text = decodeStatementFile(await file.arrayBuffer());
+      const parsed = exchangeRateService.parseExchangeRateCsv(text, baseCurrency);
+      setPreview({ fileName: file.name, ...parsed });
+    } catch (err) {
+      setError('ファイルの読み込みに失敗しました');
+    }
+  };
+
+  const handleImport = async () => {
+    const result = await exchangeRateService.importExchangeRates(preview.rates, { fileName: preview.fileName });
+    setPreview(null);
+    if (result.success) {
+      const { imported, updated } = result.data;
+      setError(null);
+      setMessage(`${imported}件のレートを追加し、${updated}件を更新しました`);
+    } else {
+      setError(result.error);
+    }
+    loadRates();
+  };
+
+  const handleDeleteConfirm = async () => {
+    const result = await exchangeRateService.deleteExchangeRate(deleteTarget.id);
+    setDeleteTarget(null);
+    setError(result.success ? null : result.error);
+    loadRates();
+  };
+
+  return (
+    <GlassCard>
+      <GlassCardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+          <Typography variant="h6" fontWeight="bold">
+            <ExchangeRateIcon sx={{ mr: 1, verticalAlign: 'middle' }} />
+            為替レート
+          </Typography>
+          <Stack direction="row" spacing={1}>
+            <Button
+              variant="outlined"
+              size="small"
+              startIcon={<UploadIcon />}
+              onClick={() => fileInputRef.current?.click()}
+            >
+              CSV取込
+            </Button>
+            <Button
+              variant="contained"
+              size="small"
+              startIcon={<AddIcon />}
+              onClick={openDialog}
+            >
+              レートを追加
+            </Button>
+          </Stack>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,.txt"
+            hidden
+            onChange={handleFileSelect}
+          />
+        </Box>
+
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          外貨建ての取引は、取引日以前で最も新しいレートで基準通貨（{baseCurrency}）に換算して記帳されます。
+          CSVは「日付,通貨,レート」の形式か、「日付,USD,EUR,…」のように通貨ごとの列を持つ形式に対応しています。
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        {message && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message}
+          </Alert>
+        )}
+
+        <TextField
+          label="通貨"
+          select
+          size="small"
+          value={currencyFilter}
+          onChange={(e) => setCurrencyFilter(e.target.value)}
+          sx={{ minWidth: 200, mb: 2 }}
+        >
+          <MenuItem value="">すべて</MenuItem>
+          {Object.entries(CURRENCIES)
+            .filter(([code]) => code !== baseCurrency)
+            .map(([code, { label }]) => (
+              <MenuItem key={code} value={code}>{code} - {label}</MenuItem>
+            ))}
+        </TextField>
+
+        <TableContainer sx={{ maxHeight: 480 }}>
+          <Table size="small" stickyHeader>
+            <TableHead>
+              <TableRow>
+                <TableCell>日付</TableCell>
+                <TableCell>通貨</TableCell>
+                <TableCell align="right">レート</TableCell>
+                <TableCell>登録方法</TableCell>
+                <TableCell align="center">操作</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rates.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={5} align="center">
+                    <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+                      登録されたレートはありません
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              ) : rates.map((rate) => (
+                <TableRow key={rate.id} hover>
+                  <TableCell>{rate.date}</TableCell>
+                  <TableCell>{rate.currency}/{rate.quoteCurrency}</TableCell>
+                  <TableCell align="right">{rate.rate.toLocaleString('ja-JP', { maximumFractionDigits: 6 })}</TableCell>
+                  <TableCell>{RATE_SOURCES[rate.source] || rate.source}</TableCell>
+                  <TableCell align="center">
+                    <IconButton size="small" color="error" onClick={() => setDeleteTarget(rate)} title="削除">
+                      <DeleteIcon />
+                    </IconButton>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+
+        {/* Rate Dialog */}
+        <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="sm" fullWidth>
+          <DialogTitle>レートの追加</DialogTitle>
+          <DialogContent>
+            <Stack spacing={2} sx={{ mt: 1 }}>
+              {formError && <Alert severity="error">{formError}</Alert>}
+              <TextField
+                label="日付"
+                type="date"
+                value={form.date}
+                onChange={(e) => setForm(prev => ({ ...prev, date: e.target.value }))}
+                fullWidth
+                InputLabelProps={{ shrink: true }}
+                helperText="同じ日付・通貨のレートは上書きされます"
+              />
+              <TextField
+                label="通貨"
+                select
+                value={form.currency}
+                onChange={(e) => setForm(prev => ({ ...prev, currency: e.target.value }))}
+                fullWidth
+              >
+                {Object.entries(CURRENCIES)
+                  .filter(([code]) => code !== baseCurrency)
+                  .map(([code, { label }]) => (
+                    <MenuItem key={code} value={code}>{code} - {label}</MenuItem>
+                  ))}
+              </TextField>
+              <TextField
+                label={`1 ${form.currency} あたりの${baseCurrency}`}
+                type="number"
+                value={form.rate}
+                onChange={(e) => setForm(prev => ({ ...prev, rate: e.target.value }))}
+                fullWidth
+                required
+                inputProps={{ min: 0, step: 'any' }}
+              />
+            </Stack>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setDialogOpen(false)}>キャンセル</Button>
+            <Button onClick={handleSave} variant="contained" disabled={!form.rate}>
+              保存
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        {/* Import Dialog */}
+        <Dialog open={Boolean(preview)} onClose={() => setPreview(null)} maxWidth="sm" fullWidth>
+          <DialogTitle>為替レートの取込</DialogTitle>
+          <DialogContent>
+            {preview && (
+              <Stack spacing={2} sx={{ mt: 1 }}>
+                <Typography variant="body2">
+                  {preview.fileName} から {preview.rates.length}件のレートを読み込みました。
+                  同じ日付・通貨のレートは上書きされます。
+                </Typography>
+                {preview.errors.length > 0 && (
+                  <Alert severity="warning">
+                    {preview.errors.length}件の行を読み込めませんでした
+                    {preview.errors.slice(0, 5).map(item => (
+                      <Typography key={`${item.row}-${item.message}`} variant="caption" sx={{ display: 'block' }}>
+                        {item.row}行目：{item.message}
+                      </Typography>
+                    ))}
+                  </Alert>
+                )}
+              </Stack>
+            )}
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setPreview(null)}>キャンセル</Button>
+            <Button onClick={handleImport} variant="contained" disabled={!preview?.rates.length}>
+              取り込む
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        {/* Delete Dialog */}
+        <Dialog open={Boolean(deleteTarget)} onClose={() => setDeleteTarget(null)} maxWidth="xs" fullWidth>
+          <DialogTitle>レートの削除</DialogTitle>
+          <DialogContent>
+            <Alert severity="warning">
+              登録済みの取引の換算額は変わりません。以後に登録する取引には、それより前の日付のレートが使われます。
+            </Alert>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setDeleteTarget(null)}>キャンセル</Button>
+            <Button onClick={handleDeleteConfirm} variant="contained" color="error">
+              削除
+            </Button>
+          </DialogActions>
+        </Dialog>
+      </GlassCardContent>
+    </GlassCard>
+  );
+};
+
+export default ExchangeRateSettings;
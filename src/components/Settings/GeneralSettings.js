@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
 import {
   Box,
   Typography,
@@ -27,13 +27,30 @@ import {
   Accessibility as AccessibilityIcon,
   VolumeUp as VolumeIcon,
   Cancel as CancelIcon,
-  Refresh as RefreshIcon
+  Refresh as RefreshIcon,
+  Person as PersonIcon,
+  EventNote as FiscalYearIcon,
+  Percent as TaxIcon,
+  CurrencyExchange as CurrencyIcon
 } from '@mui/icons-material';
 import GlassCard, { GlassCardContent } from '../common/GlassCard';
+import userService from '../../services/userService';
+import { TAX_ROUNDING_MODES } from '../../utils/consumptionTax';
+import { CURRENCIES, DEFAULT_BASE_CURRENCY } from '../../utils/currency';
 
 const GeneralSettings = ({ settings, updateSetting, hasChanges, isModified }) => {
   const [notificationTestOpen, setNotificationTestOpen] = useState(false);
   const [resetDialogOpen, setResetDialogOpen] = useState(false);
+  const [users, setUsers] = useState([]);
+
+  // Load users for the acting user selection
+  useEffect(() => {
+    const loadUsers = async () => {
+      const result = await userService.getAllUsers();
+      setUsers(result.success ? result.data : []);
+    };
+    loadUsers();
+  }, []);
 
 
   // Date format options
@@ -198,6 +215,151 @@ const GeneralSettings = ({ settings, updateSetting, hasChanges, isModified }) =>
             </Grid>
           </Grid>
 
+          {/* Acting User Settings */}
+          <Grid item xs={12}>
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="subtitle1" fontWeight="bold" gutterBottom>
+              <PersonIcon sx={{ mr: 1, verticalAlign: 'middle' }} />
+              操作ユーザー
+            </Typography>
+
+            <Grid container spacing={2}>
+              <Grid item xs={12} md={6}>
+                <FormControl fullWidth>
+                  <InputLabel>操作ユーザー</InputLabel>
+                  <Select
+                    value={settings.currentUserId ?? ''}
+                    onChange={(e) => updateSetting('currentUserId', e.target.value === '' ? null : e.target.value)}
+                    label="操作ユーザー"
+                  >
+                    <MenuItem value="">未選択</MenuItem>
+                    {users.map((user) => (
+                      <MenuItem key={user.id} value={user.id}>
+                        {user.name}{user.role ? `（${user.role}）` : ''}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+
+              <Grid item xs={12} md={6}>
+                <Alert severity="info">
+                  <Typography variant="body2">
+                    登録・変更・承認の操作はこのユーザーの名前で監査ログに記録されます。
+                  </Typography>
+                </Alert>
+              </Grid>
+            </Grid>
+          </Grid>
+
+          {/* Fiscal Year Settings */}
+          <Grid item xs={12}>
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="subtitle1" fontWeight="bold" gutterBottom>
+              <FiscalYearIcon sx={{ mr: 1, verticalAlign: 'middle' }} />
+              会計期間
+            </Typography>
+
+            <Grid container spacing={2}>
+              <Grid item xs={12} md={6}>
+                <FormControl fullWidth>
+                  <InputLabel>期首月</InputLabel>
+                  <Select
+                    value={settings.fiscalYearStartMonth || 4}
+                    onChange={(e) => updateSetting('fiscalYearStartMonth', e.target.value)}
+                    label="期首月"
+                  >
+                    {Array.from({ length: 12 }, (_, index) => index + 1).map((month) => (
+                      <MenuItem key={month} value={month}>
+                        {month}月
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+
+              <Grid item xs={12} md={6}>
+                <Alert severity="info">
+                  <Typography variant="body2">
+                    四半期・年度の予算はこの月を期首として集計されます。
+                  </Typography>
+                </Alert>
+              </Grid>
+            </Grid>
+          </Grid>
+
+          {/* Consumption Tax Settings */}
+          <Grid item xs={12}>
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="subtitle1" fontWeight="bold" gutterBottom>
+              <TaxIcon sx={{ mr: 1, verticalAlign: 'middle' }} />
+              消費税
+            </Typography>
+
+            <Grid container spacing={2}>
+              <Grid item xs={12} md={6}>
+                <FormControl fullWidth>
+                  <InputLabel>端数処理</InputLabel>
+                  <Select
+                    value={settings.taxRounding || 'floor'}
+                    onChange={(e) => updateSetting('taxRounding', e.target.value)}
+                    label="端数処理"
+                  >
+                    {Object.entries(TAX_ROUNDING_MODES).map(([value, label]) => (
+                      <MenuItem key={value} value={value}>
+                        {label}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+
+              <Grid item xs={12} md={6}>
+                <Alert severity="info">
+                  <Typography variant="body2">
+                    取引ごとの消費税額の1円未満の端数をこの方法で処理します。登録済みの取引は変わりません。
+                  </Typography>
+                </Alert>
+              </Grid>
+            </Grid>
+          </Grid>
+
+          {/* Currency Settings */}
+          <Grid item xs={12}>
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="subtitle1" fontWeight="bold" gutterBottom>
+              <CurrencyIcon sx={{ mr: 1, verticalAlign: 'middle' }} />
+              通貨
+            </Typography>
+
+            <Grid container spacing={2}>
+              <Grid item xs={12} md={6}>
+                <FormControl fullWidth>
+                  <InputLabel>基準通貨</InputLabel>
+                  <Select
+                    value={settings.currency || DEFAULT_BASE_CURRENCY}
+                    onChange={(e) => updateSetting('currency', e.target.value)}
+                    label="基準通貨"
+                  >
+                    {Object.entries(CURRENCIES).map(([code, { label }]) => (
+                      <MenuItem key={code} value={code}>
+                        {code} - {label}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+
+              <Grid item xs={12} md={6}>
+                <Alert severity="info">
+                  <Typography variant="body2">
+                    金額の表示と集計はこの通貨で行います。外貨の取引は為替レートで換算して記帳されます。登録済みの取引の金額は変わりません。
+                  </Typography>
+                </Alert>
+              </Grid>
+            </Grid>
+          </Grid>
+
           {/* Notification Settings */}
           <Grid item xs={12}>
             <Divider sx={{ my: 2 }} />
@@ -0,0 +1,246 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  IconButton,
+  TextField,
+  MenuItem,
+  Grid,
+  Stack,
+  Alert,
+  Divider,
+  InputAdornment,
+} from '@mui/material';
+import {
+  RequestQuote as InvoiceIcon,
+  Save as SaveIcon,
+  UploadFile as UploadIcon,
+  Delete as DeleteIcon,
+} from '@mui/icons-material';
+import GlassCard, { GlassCardContent } from '../common/GlassCard';
+import invoiceService, { BANK_ACCOUNT_TYPES, DEFAULT_ISSUER } from '../../services/invoiceService';
+import { getRegistrationNumberError } from '../../utils/invoiceRegistration';
+
+// Longest side of a stored logo or seal; they are kept in the settings as data URLs
+const MAX_IMAGE_SIZE = 320;
+
+const readImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(url);
+    resolve(canvas.toDataURL('image/png'));
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('画像を読み込めませんでした'));
+  };
+  image.src = url;
+});
+
+// Issuer details printed on the invoices we send: name, registration number, bank account, logo and seal
+const InvoiceIssuerSettings = () => {
+  const [form, setForm] = useState(DEFAULT_ISSUER);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const logoInputRef = useRef(null);
+  const sealInputRef = useRef(null);
+
+  useEffect(() => {
+    invoiceService.getIssuerProfile().then(result => {
+      if (result.success) {
+        setForm(result.data);
+      } else {
+        setError('発行者情報の読み込みに失敗しました');
+      }
+    });
+  }, []);
+
+  const setField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const handleImageSelect = (field) => async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const dataUrl = await readImage(file);
+      setForm(prev => ({ ...prev, [field]: dataUrl }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSave = async () => {
+    const result = await invoiceService.saveIssuerProfile(form);
+    if (result.success) {
+      setForm(result.data);
+      setError(null);
+      setMessage('発行者情報を保存しました');
+    } else {
+      setMessage(null);
+      setError(result.error);
+    }
+  };
+
+  const registrationError = getRegistrationNumberError(form.registrationNumber);
+
+  const renderImageField = (field, label, inputRef) => (
+    <Box>
+      <Typography variant="subtitle2" sx={{ mb: 1 }}>{label}</Typography>
+      <Stack direction="row" spacing={1} alignItems="center">
+        <Box
+          sx={{
+            width: 96,
+            height: 64,
+            border: '1px dashed',
+            borderColor: 'divider',
+            borderRadius: 1,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            bgcolor: '#fff',
+          }}
+        >
+          {form[field] ? (
+            <img src={form[field]} alt={label} style={{ maxWidth: '100%', maxHeight: '100%' }} />
+          ) : (
+            <Typography variant="caption" color="text.secondary">未設定</Typography>
+          )}
+        </Box>
+        <Button size="small" variant="outlined" startIcon={<UploadIcon />} onClick={() => inputRef.current?.click()}>
+          画像を選択
+        </Button>
+        {form[field] && (
+          <IconButton size="small" color="error" title="削除" onClick={() => setForm(prev => ({ ...prev, [field]: '' }))}>
+            <DeleteIcon fontSize="small" />
+          </IconButton>
+        )}
+      </Stack>
+      <input ref={inputRef} type="file" accept="image/*" hidden onChange={handleImageSelect(field)} />
+    </Box>
+  );
+
+  return (
+    <GlassCard>
+      <GlassCardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+          <Typography variant="h6" fontWeight="bold">
+            <InvoiceIcon sx={{ mr: 1, verticalAlign: 'middle' }} />
+            請求書発行
+          </Typography>
+          <Button variant="contained" size="small" startIcon={<SaveIcon />} onClick={handleSave}>
+            保存
+          </Button>
+        </Box>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+        {message && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage(null)}>{message}</Alert>}
+
+        <Typography variant="subtitle1" fontWeight="bold" sx={{ mb: 2 }}>発行者</Typography>
+        <Grid container spacing={2}>
+          <Grid item xs={12} md={6}>
+            <TextField label="発行者名（屋号・会社名）" fullWidth required value={form.name} onChange={setField('name')} />
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <TextField
+              label="適格請求書発行事業者登録番号"
+              fullWidth
+              placeholder="T1234567890123"
+              value={form.registrationNumber}
+              onChange={setField('registrationNumber')}
+              error={Boolean(registrationError)}
+              helperText={registrationError || '未登録の場合は空欄'}
+            />
+          </Grid>
+          <Grid item xs={12} md={3}>
+            <TextField label="郵便番号" fullWidth value={form.postalCode} onChange={setField('postalCode')} />
+          </Grid>
+          <Grid item xs={12} md={9}>
+            <TextField label="住所" fullWidth multiline value={form.address} onChange={setField('address')} />
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <TextField label="電話番号" fullWidth value={form.phone} onChange={setField('phone')} />
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <TextField label="メールアドレス" fullWidth value={form.email} onChange={setField('email')} />
+          </Grid>
+          <Grid item xs={12} md={6}>
+            {renderImageField('logo', 'ロゴ', logoInputRef)}
+          </Grid>
+          <Grid item xs={12} md={6}>
+            {renderImageField('seal', '社印（角印）', sealInputRef)}
+          </Grid>
+        </Grid>
+
+        <Divider sx={{ my: 3 }} />
+
+        <Typography variant="subtitle1" fontWeight="bold" sx={{ mb: 2 }}>振込先</Typography>
+        <Grid container spacing={2}>
+          <Grid item xs={12} md={4}>
+            <TextField label="銀行名" fullWidth value={form.bankName} onChange={setField('bankName')} />
+          </Grid>
+          <Grid item xs={12} md={4}>
+            <TextField label="支店名" fullWidth value={form.branchName} onChange={setField('branchName')} />
+          </Grid>
+          <Grid item xs={12} md={4}>
+            <TextField label="口座種別" fullWidth select value={form.accountType} onChange={setField('accountType')}>
+              {Object.entries(BANK_ACCOUNT_TYPES).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} md={4}>
+            <TextField label="口座番号" fullWidth value={form.accountNumber} onChange={setField('accountNumber')} />
+          </Grid>
+          <Grid item xs={12} md={8}>
+            <TextField label="口座名義（カナ）" fullWidth value={form.accountHolder} onChange={setField('accountHolder')} />
+          </Grid>
+        </Grid>
+
+        <Divider sx={{ my: 3 }} />
+
+        <Typography variant="subtitle1" fontWeight="bold" sx={{ mb: 2 }}>既定値</Typography>
+        <Grid container spacing={2}>
+          <Grid item xs={12} md={4}>
+            <TextField
+              label="請求書番号の接頭辞"
+              fullWidth
+              value={form.numberPrefix}
+              onChange={setField('numberPrefix')}
+              helperText={`例: ${form.numberPrefix}${new Date().getFullYear()}-0001`}
+            />
+          </Grid>
+          <Grid item xs={12} md={4}>
+            <TextField
+              label="支払期限"
+              fullWidth
+              type="number"
+              value={form.paymentTermDays}
+              onChange={setField('paymentTermDays')}
+              InputProps={{ endAdornment: <InputAdornment position="end">日後</InputAdornment> }}
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              label="備考の定型文"
+              fullWidth
+              multiline
+              rows={2}
+              placeholder="恐れ入りますが、振込手数料は貴社にてご負担ください。"
+              value={form.notes}
+              onChange={setField('notes')}
+            />
+          </Grid>
+        </Grid>
+      </GlassCardContent>
+    </GlassCard>
+  );
+};
+
+export default InvoiceIssuerSettings;
@@ -0,0 +1,285 @@
+import React, { useState, useCallback, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  Chip,
+  Stack,
+  Alert,
+  Switch,
+  FormControlLabel,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import {
+  AccountBalance as AccountIcon,
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+} from '@mui/icons-material';
+import GlassCard, { GlassCardContent } from '../common/GlassCard';
+import paymentAccountService, { PAYMENT_ACCOUNT_KINDS } from '../../services/paymentAccountService';
+import { toDateString } from '../../utils/recurrence';
+import { getBaseCurrency } from '../../services/exchangeRateService';
+
+const emptyForm = () => ({
+  name: '',
+  kind: 'bank',
+  openingBalance: 0,
+  openingDate: toDateString(new Date()),
+  memo: '',
+  isDefault: false
+});
+
+// Cash, bank and credit card accounts that journal entries post the money side to
+const PaymentAccountSettings = () => {
+  const [accounts, setAccounts] = useState([]);
+  const [dialog, setDialog] = useState({ open: false, account: null });
+  const [form, setForm] = useState(emptyForm);
+  const [formError, setFormError] = useState('');
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadAccounts = useCallback(async () => {
+    const result = await paymentAccountService.getPaymentAccounts();
+    if (result.success) {
+      setAccounts(result.data);
+    } else {
+      setError('口座の読み込みに失敗しました');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadAccounts();
+  }, [loadAccounts]);
+
+  const openDialog = (account = null) => {
+    setForm(account ? {
+      name: account.name,
+      kind: account.kind,
+      openingBalance: account.openingBalance || 0,
+      openingDate: account.openingDate || '',
+      memo: account.memo || '',
+      isDefault: Boolean(account.isDefault)
+    } : emptyForm());
+    setFormError('');
+    setDialog({ open: true, account });
+  };
+
+  const handleSave = async () => {
+    const result = dialog.account
+      ? await paymentAccountService.updatePaymentAccount(dialog.account.id, form)
+      : await paymentAccountService.createPaymentAccount(form);
+
+    if (!result.success) {
+      setFormError(result.error || '保存に失敗しました');
+      return;
+    }
+
+    setDialog({ open: false, account: null });
+    loadAccounts();
+  };
+
+  const handleToggleActive = async (account) => {
+    const result = await paymentAccountService.updatePaymentAccount(account.id, { isActive: account.isActive === false });
+    setError(result.success ? null : result.error);
+    loadAccounts();
+  };
+
+  const handleDeleteConfirm = async () => {
+    const result = await paymentAccountService.deletePaymentAccount(deleteTarget.id);
+    setDeleteTarget(null);
+    setError(result.success ? null : result.error);
+    loadAccounts();
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('ja-JP', {
+      style: 'currency',
+      currency: getBaseCurrency()
+    }).format(amount);
+  };
+
+  return (
+    <GlassCard>
+      <GlassCardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+          <Typography variant="h6" fontWeight="bold">
+            <AccountIcon sx={{ mr: 1, verticalAlign: 'middle' }} />
+            決済口座
+          </Typography>
+          <Button
+            variant="contained"
+            size="small"
+            startIcon={<AddIcon />}
+            onClick={() => openDialog()}
+          >
+            口座を追加
+          </Button>
+        </Box>
+
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          取引の支払元・入金先として仕訳に使われます。口座を指定しない取引は既定の口座で仕訳されます。
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>口座名</TableCell>
+                <TableCell>種類</TableCell>
+                <TableCell align="right">開始残高</TableCell>
+                <TableCell>開始日</TableCell>
+                <TableCell align="center">有効</TableCell>
+                <TableCell align="center">操作</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {accounts.map((account) => (
+                <TableRow key={account.id} hover sx={{ opacity: account.isActive === false ? 0.5 : 1 }}>
+                  <TableCell>
+                    <Stack direction="row" spacing={1} alignItems="center">
+                      <Typography variant="body2">{account.name}</Typography>
+                      {account.isDefault && <Chip label="既定" size="small" color="primary" />}
+                    </Stack>
+                  </TableCell>
+                  <TableCell>{PAYMENT_ACCOUNT_KINDS[account.kind]}</TableCell>
+                  <TableCell align="right">{formatCurrency(account.openingBalance || 0)}</TableCell>
+                  <TableCell>{account.openingDate}</TableCell>
+                  <TableCell align="center">
+                    <Switch
+                      checked={account.isActive !== false}
+                      onChange={() => handleToggleActive(account)}
+                      disabled={account.isDefault}
+                      size="small"
+                    />
+                  </TableCell>
+                  <TableCell align="center">
+                    <Stack direction="row" spacing={0.5} justifyContent="center">
+                      <IconButton size="small" onClick={() => openDialog(account)} title="編集">
+                        <EditIcon />
+                      </IconButton>
+                      <IconButton
+                        size="small"
+                        color="error"
+                        onClick={() => setDeleteTarget(account)}
+                        disabled={account.isDefault}
+                        title="削除"
+                      >
+                        <DeleteIcon />
+                      </IconButton>
+                    </Stack>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+
+        {/* Account Dialog */}
+        <Dialog open={dialog.open} onClose={() => setDialog({ open: false, account: null })} maxWidth="sm" fullWidth>
+          <DialogTitle>{dialog.account ? '口座の編集' : '口座の追加'}</DialogTitle>
+          <DialogContent>
+            <Stack spacing={2} sx={{ mt: 1 }}>
+              {formError && <Alert severity="error">{formError}</Alert>}
+              <TextField
+                label="口座名"
+                value={form.name}
+                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                fullWidth
+                required
+                placeholder="例：○○銀行 普通預金"
+              />
+              <TextField
+                label="種類"
+                select
+                value={form.kind}
+                onChange={(e) => setForm(prev => ({ ...prev, kind: e.target.value }))}
+                fullWidth
+              >
+                {Object.entries(PAYMENT_ACCOUNT_KINDS).map(([value, label]) => (
+                  <MenuItem key={value} value={value}>{label}</MenuItem>
+                ))}
+              </TextField>
+              <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2}>
+                <TextField
+                  label={form.kind === 'credit_card' ? '開始時点の未払残高' : '開始残高'}
+                  type="number"
+                  value={form.openingBalance}
+                  onChange={(e) => setForm(prev => ({ ...prev, openingBalance: e.target.value }))}
+                  fullWidth
+                  InputProps={{ endAdornment: '円' }}
+                />
+                <TextField
+                  label="開始日"
+                  type="date"
+                  value={form.openingDate}
+                  onChange={(e) => setForm(prev => ({ ...prev, openingDate: e.target.value }))}
+                  fullWidth
+                  InputLabelProps={{ shrink: true }}
+                />
+              </Stack>
+              <TextField
+                label="メモ"
+                value={form.memo}
+                onChange={(e) => setForm(prev => ({ ...prev, memo: e.target.value }))}
+                fullWidth
+              />
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={form.isDefault}
+                    onChange={(e) => setForm(prev => ({ ...prev, isDefault: e.target.checked }))}
+                    disabled={Boolean(dialog.account?.isDefault)}
+                  />
+                }
+                label="既定の口座にする"
+              />
+            </Stack>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setDialog({ open: false, account: null })}>キャンセル</Button>
+            <Button onClick={handleSave} variant="contained" disabled={!form.name.trim()}>
+              保存
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        {/* Delete Dialog */}
+        <Dialog open={Boolean(deleteTarget)} onClose={() => setDeleteTarget(null)} maxWidth="xs" fullWidth>
+          <DialogTitle>口座の削除</DialogTitle>
+          <DialogContent>
+            <Alert severity="warning">
+              取引で使用されている口座は削除できません。使わなくなった口座は無効にしてください。
+            </Alert>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setDeleteTarget(null)}>キャンセル</Button>
+            <Button onClick={handleDeleteConfirm} variant="contained" color="error">
+              削除
+            </Button>
+          </DialogActions>
+        </Dialog>
+      </GlassCardContent>
+    </GlassCard>
+  );
+};
+
+export default PaymentAccountSettings;
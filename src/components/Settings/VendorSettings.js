@@ -0,0 +1,334 @@
+import React, { useState, useCallback, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Chip,
+  Stack,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  MenuItem,
+  InputAdornment,
+} from '@mui/material';
+import {
+  Store as VendorIcon,
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+} from '@mui/icons-material';
+import GlassCard, { GlassCardContent } from '../common/GlassCard';
+import vendorService from '../../services/vendorService';
+import categoryService from '../../services/categoryService';
+import CounterpartyCleanup from './CounterpartyCleanup';
+import {
+  formatRegistrationNumber,
+  getRegistrationNumberError,
+  isValidRegistrationNumber
+} from '../../utils/invoiceRegistration';
+
+const EMPTY_FORM = {
+  name: '',
+  kana: '',
+  aliases: '',
+  registrationNumber: '',
+  address: '',
+  paymentTermDays: '',
+  defaultCategoryId: '',
+  memo: ''
+};
+
+const CATEGORY_TYPE_LABELS = { expense: '支出', income: '収入' };
+
+// 取引先マスタ: counterparties shared by expenses, income and invoices, with their インボイス registration numbers
+const VendorSettings = () => {
+  const [vendors, setVendors] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [dialog, setDialog] = useState({ open: false, vendor: null });
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState('');
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadVendors = useCallback(async () => {
+    const result = await vendorService.getAllVendors();
+    if (result.success) {
+      setVendors(result.data);
+      setRefreshKey(key => key + 1);
+      setError(null);
+    } else {
+      setError('取引先の読み込みに失敗しました');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadVendors();
+    categoryService.getAllCategories().then(result => {
+      if (result.success) setCategories(result.data);
+    });
+  }, [loadVendors]);
+
+  const openDialog = (vendor = null) => {
+    setForm(vendor ? {
+      name: vendor.name,
+      kana: vendor.kana || '',
+      aliases: (vendor.aliases || []).join('\n'),
+      registrationNumber: vendor.registrationNumber || '',
+      address: vendor.address || '',
+      paymentTermDays: vendor.paymentTermDays ?? '',
+      defaultCategoryId: vendor.defaultCategoryId || '',
+      memo: vendor.memo || ''
+    } : EMPTY_FORM);
+    setFormError('');
+    setDialog({ open: true, vendor });
+  };
+
+  const handleSave = async () => {
+    const result = dialog.vendor
+      ? await vendorService.updateVendor(dialog.vendor.id, form)
+      : await vendorService.createVendor(form);
+
+    if (!result.success) {
+      setFormError(result.error || '保存に失敗しました');
+      return;
+    }
+
+    setDialog({ open: false, vendor: null });
+    loadVendors();
+  };
+
+  const handleDeleteConfirm = async () => {
+    const result = await vendorService.deleteVendor(deleteTarget.id);
+    setDeleteTarget(null);
+    if (!result.success) {
+      setError(result.error || '削除に失敗しました');
+    }
+    loadVendors();
+  };
+
+  const numberError = getRegistrationNumberError(form.registrationNumber);
+  const categoryName = (id) => categories.find(category => category.id === id)?.name;
+  const setField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  return (
+    <GlassCard>
+      <GlassCardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+          <Typography variant="h6" fontWeight="bold">
+            <VendorIcon sx={{ mr: 1, verticalAlign: 'middle' }} />
+            取引先マスタ
+          </Typography>
+          <Button
+            variant="contained"
+            size="small"
+            startIcon={<AddIcon />}
+            onClick={() => openDialog()}
+          >
+            取引先を追加
+          </Button>
+        </Box>
+
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          支出・収入・請求書の取引先を一元管理します。表記ゆれは別名として登録すると同じ取引先として集計されます。
+          支出を登録すると支払先と適格請求書発行事業者の登録番号が記録され、次回から自動で入力されます。
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        {vendors.length === 0 ? (
+          <Box sx={{ textAlign: 'center', py: 4 }}>
+            <Typography color="text.secondary">
+              登録されている取引先はありません
+            </Typography>
+          </Box>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>取引先</TableCell>
+                  <TableCell>登録番号</TableCell>
+                  <TableCell>インボイス</TableCell>
+                  <TableCell>支払期限</TableCell>
+                  <TableCell>既定のカテゴリ</TableCell>
+                  <TableCell>メモ</TableCell>
+                  <TableCell align="center">操作</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {vendors.map((vendor) => (
+                  <TableRow key={vendor.id} hover>
+                    <TableCell>
+                      {vendor.name}
+                      {vendor.kana && (
+                        <Typography variant="caption" color="text.secondary" display="block">{vendor.kana}</Typography>
+                      )}
+                      {(vendor.aliases || []).length > 0 && (
+                        <Typography variant="caption" color="text.secondary" display="block">
+                          別名: {vendor.aliases.join('、')}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell sx={{ fontFamily: 'monospace' }}>
+                      {vendor.registrationNumber ? formatRegistrationNumber(vendor.registrationNumber) : '—'}
+                    </TableCell>
+                    <TableCell>
+                      {isValidRegistrationNumber(vendor.registrationNumber) ? (
+                        <Chip label="登録事業者" size="small" color="success" variant="outlined" />
+                      ) : (
+                        <Chip label="番号なし" size="small" color="warning" variant="outlined" />
+                      )}
+                    </TableCell>
+                    <TableCell>{vendor.paymentTermDays !== null && vendor.paymentTermDays !== undefined ? `${vendor.paymentTermDays}日` : '—'}</TableCell>
+                    <TableCell>{categoryName(vendor.defaultCategoryId) || '—'}</TableCell>
+                    <TableCell>{vendor.memo}</TableCell>
+                    <TableCell align="center">
+                      <Stack direction="row" spacing={0.5} justifyContent="center">
+                        <IconButton size="small" onClick={() => openDialog(vendor)} title="編集">
+                          <EditIcon />
+                        </IconButton>
+                        <IconButton size="small" color="error" onClick={() => setDeleteTarget(vendor)} title="削除">
+                          <DeleteIcon />
+                        </IconButton>
+                      </Stack>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+
+        <CounterpartyCleanup
+          vendors={vendors}
+          refreshKey={refreshKey}
+          onChanged={loadVendors}
+          onError={setError}
+          onRegister={(name) => {
+            openDialog();
+            setForm({ ...EMPTY_FORM, name });
+          }}
+        />
+
+        {/* Vendor Dialog */}
+        <Dialog open={dialog.open} onClose={() => setDialog({ open: false, vendor: null })} maxWidth="sm" fullWidth>
+          <DialogTitle>{dialog.vendor ? '取引先の編集' : '取引先の追加'}</DialogTitle>
+          <DialogContent>
+            <Stack spacing={2} sx={{ mt: 1 }}>
+              {formError && <Alert severity="error">{formError}</Alert>}
+              <TextField
+                label="取引先名"
+                value={form.name}
+                onChange={setField('name')}
+                fullWidth
+                required
+              />
+              <TextField
+                label="フリガナ"
+                value={form.kana}
+                onChange={setField('kana')}
+                fullWidth
+              />
+              <TextField
+                label="別名"
+                value={form.aliases}
+                onChange={setField('aliases')}
+                fullWidth
+                multiline
+                minRows={2}
+                helperText="レシートや振込名義での表記（1行に1つ）。「株式会社」「(株)」などの違いは自動で同一視されます"
+              />
+              <TextField
+                label="登録番号"
+                value={form.registrationNumber}
+                onChange={setField('registrationNumber')}
+                fullWidth
+                placeholder="T1234567890123"
+                error={Boolean(numberError)}
+                helperText={numberError || '適格請求書発行事業者でない場合は空欄'}
+              />
+              <TextField
+                label="住所"
+                value={form.address}
+                onChange={setField('address')}
+                fullWidth
+                multiline
+              />
+              <Stack direction="row" spacing={2}>
+                <TextField
+                  label="支払期限"
+                  type="number"
+                  value={form.paymentTermDays}
+                  onChange={setField('paymentTermDays')}
+                  fullWidth
+                  helperText="請求日からの日数。空欄の場合は発行者設定の値"
+                  InputProps={{ endAdornment: <InputAdornment position="end">日</InputAdornment> }}
+                />
+                <TextField
+                  label="既定のカテゴリ"
+                  select
+                  value={form.defaultCategoryId}
+                  onChange={setField('defaultCategoryId')}
+                  fullWidth
+                  helperText="取引先を選ぶとカテゴリが未選択の場合に入力されます"
+                >
+                  <MenuItem value=""><em>なし</em></MenuItem>
+                  {categories.map(category => (
+                    <MenuItem key={category.id} value={category.id}>
+                      {CATEGORY_TYPE_LABELS[category.type]}: {category.name}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              </Stack>
+              <TextField
+                label="メモ"
+                value={form.memo}
+                onChange={setField('memo')}
+                fullWidth
+              />
+            </Stack>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setDialog({ open: false, vendor: null })}>キャンセル</Button>
+            <Button onClick={handleSave} variant="contained" disabled={!form.name.trim() || Boolean(numberError)}>
+              保存
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        {/* Delete Dialog */}
+        <Dialog open={Boolean(deleteTarget)} onClose={() => setDeleteTarget(null)} maxWidth="xs" fullWidth>
+          <DialogTitle>取引先の削除</DialogTitle>
+          <DialogContent>
+            <Alert severity="warning">
+              登録済みの取引に記録された取引先名と登録番号は削除されず、取引先マスタとの紐付けだけが解除されます。
+            </Alert>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setDeleteTarget(null)}>キャンセル</Button>
+            <Button onClick={handleDeleteConfirm} variant="contained" color="error">
+              削除
+            </Button>
+          </DialogActions>
+        </Dialog>
+      </GlassCardContent>
+    </GlassCard>
+  );
+};
+
+export default VendorSettings;
@@ -0,0 +1,96 @@
+import React from 'react';
+import {
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import { summarizeTransactions, GROUP_BY_LABELS, TYPE_LABELS } from '../../utils/transactionQuery';
+
+// Short description of the filters for the answer sentence
+const describeFilters = (filters, { categories, users }) => {
+  const parts = [];
+  if (filters.dateFrom || filters.dateTo) parts.push(`${filters.dateFrom || ''}〜${filters.dateTo || ''}`);
+  filters.userIds.forEach(id => parts.push(`${users.find(u => u.id === id)?.name || `#${id}`}さん`));
+  filters.categoryIds.forEach(id => parts.push(categories.find(c => c.id === id)?.name || `#${id}`));
+  if (filters.minAmount !== null) parts.push(`¥${filters.minAmount.toLocaleString()}以上`);
+  if (filters.maxAmount !== null) parts.push(`¥${filters.maxAmount.toLocaleString()}以下`);
+  filters.keywords.forEach(keyword => parts.push(`「${keyword}」を含む`));
+  return parts.join('・');
+};
+
+/**
+ * Answer to a natural-language query: totals of the matching transactions and, when the query
+ * asked for it, a breakdown by category, user, month or counterparty
+ */
+const QueryAnswer = ({ filters, transactions, categories, users, formatCurrency }) => {
+  const summary = summarizeTransactions(transactions, filters.groupBy, {
+    category: id => categories.find(c => c.id === id)?.name || '不明',
+    user: id => users.find(u => u.id === id)?.name || '不明'
+  });
+
+  const types = [...new Set(transactions.map(t => t.type))];
+  const typeLabel = filters.type ? TYPE_LABELS[filters.type] : '取引';
+  const condition = describeFilters(filters, { categories, users });
+  const subject = condition ? `${condition}の${typeLabel}` : typeLabel;
+
+  if (summary.count === 0) {
+    return <Alert severity="info">{subject}は見つかりませんでした。</Alert>;
+  }
+
+  // Mixed expenses and income are answered as a net amount
+  const totalLabel = types.length > 1 ? '差引' : '合計';
+
+  return (
+    <>
+      <Alert severity="success" icon={false}>
+        <Typography variant="body1">
+          {subject}は <strong>{summary.count}件</strong>、{totalLabel} <strong>{formatCurrency(summary.total)}</strong> です。
+        </Typography>
+        {types.length === 1 && (
+          <Typography variant="body2" color="text.secondary">
+            平均 {formatCurrency(Math.round(summary.average))}・最大 {formatCurrency(summary.max.amount)}（{summary.max.description}）
+          </Typography>
+        )}
+        {types.length > 1 && (
+          <Typography variant="body2" color="text.secondary">
+            支出 {formatCurrency(summary.expense)}・収入 {formatCurrency(summary.income)}
+          </Typography>
+        )}
+      </Alert>
+
+      {summary.groups.length > 0 && (
+        <TableContainer sx={{ mt: 1 }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>{GROUP_BY_LABELS[filters.groupBy].replace(/別$/, '')}</TableCell>
+                <TableCell align="right">件数</TableCell>
+                <TableCell align="right">{totalLabel}</TableCell>
+                <TableCell align="right">構成比</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {summary.groups.map(group => (
+                <TableRow key={group.key}>
+                  <TableCell>{group.label}</TableCell>
+                  <TableCell align="right">{group.count}</TableCell>
+                  <TableCell align="right">{formatCurrency(group.total)}</TableCell>
+                  <TableCell align="right">
+                    {summary.total !== 0 ? `${((group.total / summary.total) * 100).toFixed(1)}%` : '—'}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </>
+  );
+};
+
+export default QueryAnswer;
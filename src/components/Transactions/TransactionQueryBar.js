@@ -0,0 +1,283 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  FormControl,
+  InputAdornment,
+  InputLabel,
+  MenuItem,
+  Popover,
+  Select,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+import {
+  Search as SearchIcon,
+  AutoAwesome as AIIcon,
+  Event as DateIcon,
+  Category as CategoryIcon,
+  Person as PersonIcon,
+  CurrencyYen as AmountIcon,
+  SwapVert as TypeIcon,
+  TextFields as KeywordIcon,
+  GroupWork as GroupIcon,
+} from '@mui/icons-material';
+import { interpretTransactionQuery } from '../../services/aiService';
+import { isLLMAvailable } from '../../services/llmService';
+import {
+  parseTransactionQuery,
+  createEmptyFilters,
+  GROUP_BY_LABELS,
+  TYPE_LABELS,
+} from '../../utils/transactionQuery';
+
+const EXAMPLES = ['先月の田中さんの交通費で1万円以上', '今年度の売上高 月別', 'Q2 consulting income by client'];
+
+const formatYen = (amount) => `¥${Number(amount).toLocaleString()}`;
+
+// Chips for the parts of a filter set; index is set for entries of list fields
+const toChips = (filters, { categories, users }) => {
+  const chips = [];
+  if (filters.dateFrom || filters.dateTo) {
+    chips.push({ field: 'date', icon: <DateIcon />, label: `${filters.dateFrom || ''}〜${filters.dateTo || ''}` });
+  }
+  if (filters.type) {
+    chips.push({ field: 'type', icon: <TypeIcon />, label: TYPE_LABELS[filters.type] });
+  }
+  filters.categoryIds.forEach((id, index) => {
+    const category = categories.find(c => c.id === id);
+    chips.push({ field: 'categoryIds', index, icon: <CategoryIcon />, label: category ? category.name : `#${id}` });
+  });
+  filters.userIds.forEach((id, index) => {
+    const user = users.find(u => u.id === id);
+    chips.push({ field: 'userIds', index, icon: <PersonIcon />, label: user ? user.name : `#${id}` });
+  });
+  if (filters.minAmount !== null || filters.maxAmount !== null) {
+    const parts = [];
+    if (filters.minAmount !== null) parts.push(`${formatYen(filters.minAmount)}以上`);
+    if (filters.maxAmount !== null) parts.push(`${formatYen(filters.maxAmount)}以下`);
+    chips.push({ field: 'amount', icon: <AmountIcon />, label: parts.join('・') });
+  }
+  filters.keywords.forEach((keyword, index) => {
+    chips.push({ field: 'keywords', index, icon: <KeywordIcon />, label: `「${keyword}」` });
+  });
+  if (filters.groupBy) {
+    chips.push({ field: 'groupBy', icon: <GroupIcon />, label: GROUP_BY_LABELS[filters.groupBy] });
+  }
+  return chips;
+};
+
+// Filters without the part a chip stands for
+const removeChip = (filters, { field, index }) => {
+  const empty = createEmptyFilters();
+  switch (field) {
+    case 'date':
+      return { ...filters, dateFrom: null, dateTo: null };
+    case 'amount':
+      return { ...filters, minAmount: null, maxAmount: null };
+    case 'categoryIds':
+    case 'userIds':
+    case 'keywords':
+      return { ...filters, [field]: filters[field].filter((_, i) => i !== index) };
+    default:
+      return { ...filters, [field]: empty[field] };
+  }
+};
+
+const toAmountValue = (value) => (value === '' || !Number.isFinite(Number(value)) ? null : Number(value));
+
+/**
+ * Natural-language query bar for the transaction list
+ * The query is parsed with local rules on every keystroke; the AI button asks the configured
+ * provider instead. The resulting filters are shown as chips that can be edited or removed.
+ */
+const TransactionQueryBar = ({ filters, onChange, categories, users, fiscalYearStartMonth, onError }) => {
+  const [query, setQuery] = useState('');
+  const [interpreting, setInterpreting] = useState(false);
+  const [editor, setEditor] = useState(null);
+
+  const context = { categories, users, today: new Date(), fiscalYearStartMonth };
+
+  const handleQueryChange = (value) => {
+    setQuery(value);
+    onChange(value.trim() ? parseTransactionQuery(value, context) : createEmptyFilters());
+  };
+
+  const handleInterpret = async () => {
+    setInterpreting(true);
+    const result = await interpretTransactionQuery(query, context);
+    setInterpreting(false);
+    if (result.success) {
+      onChange(result.data);
+    } else {
+      onError(result.error || 'AIによる解釈に失敗しました');
+    }
+  };
+
+  const updateFilters = (changes) => onChange({ ...filters, ...changes });
+
+  const updateListEntry = (field, index, value) => {
+    const list = [...filters[field]];
+    list[index] = value;
+    updateFilters({ [field]: list.filter((item, i) => list.indexOf(item) === i) });
+  };
+
+  const chips = toChips(filters, { categories, users });
+
+  const renderEditor = () => {
+    if (!editor) return null;
+    const { field, index } = editor;
+    switch (field) {
+      case 'date':
+        return (
+          <Stack direction="row" spacing={1}>
+            <TextField
+              type="date"
+              label="開始日"
+              size="small"
+              value={filters.dateFrom || ''}
+              onChange={(e) => updateFilters({ dateFrom: e.target.value || null })}
+              InputLabelProps={{ shrink: true }}
+            />
+            <TextField
+              type="date"
+              label="終了日"
+              size="small"
+              value={filters.dateTo || ''}
+              onChange={(e) => updateFilters({ dateTo: e.target.value || null })}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Stack>
+        );
+      case 'amount':
+        return (
+          <Stack direction="row" spacing={1}>
+            <TextField
+              type="number"
+              label="最小金額"
+              size="small"
+              value={filters.minAmount ?? ''}
+              onChange={(e) => updateFilters({ minAmount: toAmountValue(e.target.value) })}
+            />
+            <TextField
+              type="number"
+              label="最大金額"
+              size="small"
+              value={filters.maxAmount ?? ''}
+              onChange={(e) => updateFilters({ maxAmount: toAmountValue(e.target.value) })}
+            />
+          </Stack>
+        );
+      case 'keywords':
+        return (
+          <TextField
+            label="キーワード"
+            size="small"
+            value={filters.keywords[index] || ''}
+            onChange={(e) => updateListEntry('keywords', index, e.target.value)}
+            autoFocus
+          />
+        );
+      case 'type':
+      case 'groupBy':
+      case 'categoryIds':
+      case 'userIds': {
+        const options = {
+          type: Object.entries(TYPE_LABELS).map(([value, label]) => ({ value, label })),
+          groupBy: Object.entries(GROUP_BY_LABELS).map(([value, label]) => ({ value, label })),
+          categoryIds: categories.map(c => ({ value: c.id, label: `${c.name}（${TYPE_LABELS[c.type] || c.type}）` })),
+          userIds: users.map(u => ({ value: u.id, label: u.name }))
+        }[field];
+        const label = { type: '種類', groupBy: '集計単位', categoryIds: 'カテゴリ', userIds: 'ユーザー' }[field];
+        const value = index === undefined ? filters[field] : filters[field][index];
+        return (
+          <FormControl size="small" sx={{ minWidth: 220 }}>
+            <InputLabel>{label}</InputLabel>
+            <Select
+              value={value ?? ''}
+              label={label}
+              onChange={(e) => (index === undefined
+                ? updateFilters({ [field]: e.target.value })
+                : updateListEntry(field, index, e.target.value))}
+            >
+              {options.map(option => (
+                <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        );
+      }
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <Box>
+      <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1}>
+        <TextField
+          placeholder={`例: ${EXAMPLES.join(' / ')}`}
+          value={query}
+          onChange={(e) => handleQueryChange(e.target.value)}
+          fullWidth
+          size="small"
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <SearchIcon />
+              </InputAdornment>
+            ),
+          }}
+        />
+        {isLLMAvailable() && (
+          <Button
+            variant="outlined"
+            size="small"
+            startIcon={interpreting ? <CircularProgress size={16} /> : <AIIcon />}
+            onClick={handleInterpret}
+            disabled={!query.trim() || interpreting}
+            sx={{ whiteSpace: 'nowrap' }}
+          >
+            AIで解釈
+          </Button>
+        )}
+      </Stack>
+
+      {chips.length > 0 && (
+        <Stack direction="row" spacing={1} useFlexGap flexWrap="wrap" sx={{ mt: 1 }}>
+          {chips.map(chip => (
+            <Chip
+              key={`${chip.field}-${chip.index ?? ''}`}
+              icon={chip.icon}
+              label={chip.label}
+              size="small"
+              color="primary"
+              variant="outlined"
+              onClick={(e) => setEditor({ anchorEl: e.currentTarget, field: chip.field, index: chip.index })}
+              onDelete={() => onChange(removeChip(filters, chip))}
+            />
+          ))}
+        </Stack>
+      )}
+
+      <Popover
+        open={Boolean(editor)}
+        anchorEl={editor?.anchorEl}
+        onClose={() => setEditor(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'left' }}
+      >
+        <Box sx={{ p: 2 }}>
+          <Typography variant="caption" color="text.secondary" display="block" sx={{ mb: 1 }}>
+            条件を編集
+          </Typography>
+          {renderEditor()}
+        </Box>
+      </Popover>
+    </Box>
+  );
+};
+
+export default TransactionQueryBar;
@@ -36,6 +36,7 @@ import {
   TrendingUp as TrendingUpIcon,
   TrendingDown as TrendingDownIcon,
   Receipt as ReceiptIcon,
+  Payments as PaymentsIcon,
   Analytics as AnalyticsIcon,
   History as HistoryIcon,
 } from '@mui/icons-material';
@@ -469,6 +470,23 @@ const UserDialog = ({
                               </Typography>
                             </Box>
 
+                            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                                <PaymentsIcon color="warning" />
+                                <Box>
+                                  <Typography variant="body1">未精算立替金</Typography>
+                                  {(user?.pendingReimbursement || 0) > 0 && (
+                                    <Typography variant="caption" color="text.secondary">
+                                      承認待ち ¥{user.pendingReimbursement.toLocaleString()}
+                                    </Typography>
+                                  )}
+                                </Box>
+                              </Box>
+                              <Typography variant="h6" color="warning.main" fontWeight="bold">
+                                ¥{(user?.outstandingReimbursement || 0).toLocaleString()}
+                              </Typography>
+                            </Box>
+
                             <Divider />
 
                             <Box>
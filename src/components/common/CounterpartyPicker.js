@@ -0,0 +1,61 @@
+import React from 'react';
+import {
+  Autocomplete,
+  Box,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { findMatchingVendor, getVendorNames } from '../../services/vendorService';
+import { normalizeCounterpartyName } from '../../utils/counterpartyName';
+
+const toSearchText = (text) => normalizeCounterpartyName(text).toLowerCase();
+
+// Entries whose name, kana or an alias contains what has been typed
+const filterVendors = (vendors, { inputValue }) => {
+  const query = toSearchText(inputValue);
+  if (!query) return vendors;
+  return vendors.filter(vendor => (
+    [...getVendorNames(vendor), vendor.kana].some(text => toSearchText(text).includes(query))
+  ));
+};
+
+/**
+ * Counterparty field backed by the 取引先マスタ
+ * Names that are not registered can still be typed. onChange receives the typed name and the
+ * matching entry (by name or alias), or null.
+ */
+const CounterpartyPicker = ({ value, vendors, onChange, label = '取引先', placeholder, required, error, helperText, InputProps, ...textFieldProps }) => (
+  <Autocomplete
+    freeSolo
+    fullWidth
+    options={vendors}
+    filterOptions={filterVendors}
+    getOptionLabel={(option) => (typeof option === 'string' ? option : option.name)}
+    inputValue={value || ''}
+    onInputChange={(e, input) => onChange(input || '', findMatchingVendor(vendors, input))}
+    renderOption={(props, option) => (
+      <Box component="li" {...props} key={option.id}>
+        <Box>
+          <Typography variant="body2">{option.name}</Typography>
+          <Typography variant="caption" color="text.secondary">
+            {[option.kana, option.registrationNumber, ...(option.aliases || [])].filter(Boolean).join(' / ')}
+          </Typography>
+        </Box>
+      </Box>
+    )}
+    renderInput={(params) => (
+      <TextField
+        {...params}
+        {...textFieldProps}
+        label={label}
+        placeholder={placeholder}
+        required={required}
+        error={error}
+        helperText={helperText}
+        InputProps={{ ...params.InputProps, ...InputProps }}
+      />
+    )}
+  />
+);
+
+export default CounterpartyPicker;
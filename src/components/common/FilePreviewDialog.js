@@ -15,6 +15,7 @@ import {
   AttachFile as AttachIcon,
 } from '@mui/icons-material';
 import fileService from '../../services/fileService';
+import useFileUrl from '../../hooks/useFileUrl';
 
 const FilePreviewDialog = ({ open, onClose, fileIds = [] }) => {
   const [files, setFiles] = useState([]);
@@ -49,6 +50,8 @@ const FilePreviewDialog = ({ open, onClose, fileIds = [] }) => {
   }, [open, fileIds, loadFiles]);
 
   const currentFile = files[currentIndex];
+  const isImage = currentFile ? fileService.isImageFile(currentFile.mimeType) : false;
+  const { url: previewUrl, loading: previewLoading } = useFileUrl(open && isImage ? currentFile.id : null);
 
   const handleKeyDown = (e) => {
     if (e.key === 'ArrowLeft' && currentIndex > 0) {
@@ -94,9 +97,14 @@ const FilePreviewDialog = ({ open, onClose, fileIds = [] }) => {
         
         {!loading && !error && currentFile && (
           <Box sx={{ textAlign: 'center' }}>
-            {fileService.isImageFile(currentFile.mimeType) ? (
+            {isImage && previewLoading && (
+              <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+                <CircularProgress />
+              </Box>
+            )}
+            {isImage && previewUrl ? (
               <img
-                src={currentFile.data}
+                src={previewUrl}
                 alt={currentFile.originalName}
                 style={{
                   maxWidth: '100%',
@@ -104,7 +112,7 @@ const FilePreviewDialog = ({ open, onClose, fileIds = [] }) => {
                   objectFit: 'contain'
                 }}
               />
-            ) : (
+            ) : !previewLoading && (
               <Box sx={{ py: 4 }}>
                 <AttachIcon sx={{ fontSize: 64, color: 'grey.400', mb: 2 }} />
                 <Typography>プレビューできません</Typography>
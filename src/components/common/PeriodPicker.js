@@ -0,0 +1,76 @@
+import React from 'react';
+import {
+  Stack,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+} from '@mui/material';
+import { getPeriodRange } from '../../services/budgetService';
+import { toDateString } from '../../utils/recurrence';
+
+export const PERIOD_PRESETS = {
+  month: '今月',
+  quarter: '今四半期',
+  year: '今年度',
+  previous_year: '前年度'
+};
+
+// Period presets based on the fiscal year setting
+export const getPresetRange = (preset) => {
+  const today = new Date();
+  switch (preset) {
+    case 'month':
+      return getPeriodRange('monthly', today);
+    case 'quarter':
+      return getPeriodRange('quarterly', today);
+    case 'previous_year': {
+      const { start } = getPeriodRange('fiscal_year', today);
+      const [year, month] = start.split('-').map(Number);
+      return getPeriodRange('fiscal_year', toDateString(new Date(year - 1, month - 1, 1)));
+    }
+    default:
+      return getPeriodRange('fiscal_year', today);
+  }
+};
+
+// Preset buttons and start/end dates of a report period
+// onChange receives the selected preset (null for custom dates) and { start, end }.
+const PeriodPicker = ({ preset, range, onChange }) => {
+  const handlePresetChange = (e, value) => {
+    if (!value) return;
+    const { start, end } = getPresetRange(value);
+    onChange(value, { start, end });
+  };
+
+  const handleRangeChange = (field) => (e) => {
+    onChange(null, { ...range, [field]: e.target.value });
+  };
+
+  return (
+    <Stack direction={{ xs: 'column', md: 'row' }} spacing={2} alignItems={{ md: 'center' }}>
+      <ToggleButtonGroup value={preset} exclusive size="small" onChange={handlePresetChange}>
+        {Object.entries(PERIOD_PRESETS).map(([value, label]) => (
+          <ToggleButton key={value} value={value}>{label}</ToggleButton>
+        ))}
+      </ToggleButtonGroup>
+      <TextField
+        label="開始日"
+        type="date"
+        size="small"
+        value={range.start}
+        onChange={handleRangeChange('start')}
+        InputLabelProps={{ shrink: true }}
+      />
+      <TextField
+        label="終了日"
+        type="date"
+        size="small"
+        value={range.end}
+        onChange={handleRangeChange('end')}
+        InputLabelProps={{ shrink: true }}
+      />
+    </Stack>
+  );
+};
+
+export default PeriodPicker;
@@ -1,4 +1,5 @@
 import Dexie from 'dexie';
+import { createDefaultCategories } from './defaultCategories';
 
 // Create database instance
 const db = new Dexie('AttureExpenceDB');
@@ -14,6 +15,80 @@ db.version(1).stores({
   files: '++id, name, originalName, type, size, path, blob, entityType, entityId, userId, createdAt'
 });
 
+// Version 2: collections that previously lived only in localStorage
+db.version(2).stores({
+  invoices: '++id, title, client, dueDate, status, isRecurring, nextDueDate, createdAt, updatedAt',
+  trash: 'trashId, id, originalType, deletedAt',
+  notifications: '++id, type, relatedId, relatedType, priority, createdAt',
+  migrationSnapshots: '++id, version, createdAt'
+});
+
+// Version 3: receipt attachments are stored as Blobs and deduplicated by content hash
+db.version(3).stores({
+  files: '++id, name, originalName, type, size, path, entityType, entityId, userId, hash, uploadedAt, createdAt'
+});
+
+// Version 4: append-only audit log of workflow transitions and record changes
+db.version(4).stores({
+  auditLog: '++id, entityType, entityId, action, actorId, timestamp'
+});
+
+// Version 5: settlement batches that pay back advance-payment expenses
+db.version(5).stores({
+  reimbursementBatches: '++id, batchNumber, userId, status, paidAt, createdAt'
+});
+
+// Version 6: recurring expense and income rules
+db.version(6).stores({
+  recurringRules: '++id, type, status, frequency, nextRunDate, createdAt'
+});
+
+// Version 7: budgets per category, department and user
+db.version(7).stores({
+  budgets: '++id, scopeType, scopeId, periodType, isActive, createdAt'
+});
+
+// Version 8: vendor registry with インボイス registration numbers
+db.version(8).stores({
+  vendors: '++id, name, registrationNumber, createdAt'
+});
+
+// Version 9: payment accounts (cash, bank, credit card) for double-entry journals
+db.version(9).stores({
+  paymentAccounts: '++id, kind, isActive, createdAt'
+});
+
+// Version 10: imported bank and credit card statement lines awaiting reconciliation
+db.version(10).stores({
+  statementLines: '++id, paymentAccountId, importId, fingerprint, status, date, createdAt'
+});
+
+// Version 11: exchange rates per currency pair and date
+db.version(11).stores({
+  exchangeRates: '++id, currency, quoteCurrency, date, createdAt'
+});
+
+// Version 12: receipts waiting for or under review after batch OCR
+db.version(12).stores({
+  ocrQueue: '++id, status, fileId, createdAt'
+});
+
+// Version 13: token usage and estimated cost of each AI call
+db.version(13).stores({
+  aiUsage: '++id, provider, model, purpose, createdAt'
+});
+
+// Version 14: on-device category classifiers, one per transaction type
+db.version(14).stores({
+  categoryModels: 'id'
+});
+
+// Version 15: write-once receipt archive (電子帳簿保存法) and its correction/deletion history
+db.version(15).stores({
+  receiptArchive: '++id, fileId, hash, transactionType, transactionId, transactionDate, amount, counterparty, status, capturedAt',
+  receiptArchiveEvents: '++id, archiveId, action, timestamp'
+});
+
 // Initialize default data after database is opened
 const initializeDefaultData = async () => {
   try {
@@ -21,24 +96,7 @@ const initializeDefaultData = async () => {
     const categoryCount = await db.categories.count();
     if (categoryCount === 0) {
       const now = new Date().toISOString();
-      await db.categories.bulkAdd([
-        // Expense categories
-        { name: '交通費', type: 'expense', color: '#2196F3', icon: 'directions_car', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-        { name: '宿泊費', type: 'expense', color: '#4CAF50', icon: 'hotel', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-        { name: '会議費', type: 'expense', color: '#FF9800', icon: 'meeting_room', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-        { name: '接待交際費', type: 'expense', color: '#9C27B0', icon: 'restaurant', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-        { name: '消耗品費', type: 'expense', color: '#00BCD4', icon: 'shopping_cart', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-        { name: '通信費', type: 'expense', color: '#795548', icon: 'phone', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-        { name: '水道光熱費', type: 'expense', color: '#607D8B', icon: 'power', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-        { name: '家賃', type: 'expense', color: '#F44336', icon: 'home', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-        { name: 'その他', type: 'expense', color: '#9E9E9E', icon: 'more_horiz', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-        
-        // Income categories
-        { name: '売上', type: 'income', color: '#4CAF50', icon: 'attach_money', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-        { name: 'コンサルティング', type: 'income', color: '#2196F3', icon: 'business_center', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-        { name: '受託開発', type: 'income', color: '#FF9800', icon: 'code', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-        { name: 'その他収入', type: 'income', color: '#9C27B0', icon: 'account_balance_wallet', parentId: null, isActive: true, createdAt: now, updatedAt: now }
-      ]);
+      await db.categories.bulkAdd(createDefaultCategories(now));
     }
 
     // Initialize default settings
@@ -0,0 +1,282 @@
+import { db } from './database.js';
+
+/**
+ * Legacy Migration - Moves collections from the localStorage StorageService into IndexedDB
+ *
+ * The migration is resumable: progress is recorded per collection, so an interrupted run
+ * continues where it stopped on the next launch. Legacy keys are only removed once every
+ * collection has been copied, and a snapshot of the legacy data is kept in
+ * `migrationSnapshots` so the move can be rolled back.
+ */
+
+export const LEGACY_PREFIX = 'attureExpence_';
+export const MIGRATION_VERSION = 1;
+export const MIGRATED_COLLECTIONS = [
+  'users',
+  'categories',
+  'expenses',
+  'income',
+  'invoices',
+  'trash',
+  'notifications',
+  'files'
+];
+
+const STATE_KEY = `${LEGACY_PREFIX}migration`;
+
+// Collections whose IndexedDB table may already hold records that never lived in
+// localStorage (e.g. Blob attachments), so legacy records are merged instead of replacing them
+const MERGED_COLLECTIONS = ['files'];
+
+// Legacy localStorage helpers
+const readLegacy = (key) => {
+  try {
+    const data = localStorage.getItem(`${LEGACY_PREFIX}${key}`);
+    return data ? JSON.parse(data) : null;
+  } catch (error) {
+    console.error(`Error reading legacy ${key}:`, error);
+    return null;
+  }
+};
+
+const writeLegacy = (key, value) => {
+  localStorage.setItem(`${LEGACY_PREFIX}${key}`, JSON.stringify(value));
+};
+
+const removeLegacy = (key) => {
+  localStorage.removeItem(`${LEGACY_PREFIX}${key}`);
+};
+
+const saveState = (state) => {
+  localStorage.setItem(STATE_KEY, JSON.stringify(state));
+  return state;
+};
+
+/**
+ * Get the current migration state
+ * @returns {Object} Migration state
+ */
+export const getMigrationState = () => {
+  try {
+    const data = localStorage.getItem(STATE_KEY);
+    if (data) {
+      return JSON.parse(data);
+    }
+  } catch (error) {
+    console.error('Error reading migration state:', error);
+  }
+  return { version: 0, status: 'pending', completed: [], snapshotId: null };
+};
+
+/**
+ * Check whether the legacy collections have been moved into IndexedDB
+ * @returns {boolean} True when IndexedDB is the source of truth
+ */
+export const isMigrationComplete = () => {
+  const state = getMigrationState();
+  return state.status === 'completed' && state.version >= MIGRATION_VERSION;
+};
+
+// Make legacy records valid for their IndexedDB table
+const normalizeRecords = (collection, items) => {
+  if (!Array.isArray(items)) {
+    return [];
+  }
+
+  return items
+    .filter(item => item && typeof item === 'object')
+    .map(item => {
+      if (collection === 'trash' && !item.trashId) {
+        return {
+          ...item,
+          trashId: `trash_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+        };
+      }
+      if (collection !== 'trash' && (item.id === undefined || item.id === null)) {
+        const { id, ...rest } = item;
+        return rest;
+      }
+      return item;
+    });
+};
+
+// Save the legacy data before anything is written to IndexedDB
+const createSnapshot = async () => {
+  const collections = {};
+  MIGRATED_COLLECTIONS.forEach(collection => {
+    const items = readLegacy(collection);
+    if (items !== null) {
+      collections[collection] = items;
+    }
+  });
+
+  return db.migrationSnapshots.add({
+    version: MIGRATION_VERSION,
+    collections,
+    createdAt: new Date().toISOString()
+  });
+};
+
+// Copy one collection, replacing whatever the table held before (merged collections are upserted)
+const migrateCollection = async (collection) => {
+  const items = readLegacy(collection);
+  if (items === null) {
+    // Nothing stored under this key; keep the table (and its seed data) as is
+    return 0;
+  }
+
+  const records = normalizeRecords(collection, items);
+  const table = db.table(collection);
+  await db.transaction('rw', table, async () => {
+    if (!MERGED_COLLECTIONS.includes(collection)) {
+      await table.clear();
+    }
+    if (records.length > 0) {
+      await table.bulkPut(records);
+    }
+  });
+  return records.length;
+};
+
+// Remove what a migration wrote to a table
+const clearMigratedRecords = async (collection, legacyItems) => {
+  const table = db.table(collection);
+  if (!MERGED_COLLECTIONS.includes(collection)) {
+    await table.clear();
+    return;
+  }
+  const ids = (legacyItems || []).map(item => item.id).filter(id => id !== undefined && id !== null);
+  await table.bulkDelete(ids);
+};
+
+/**
+ * Run the localStorage → IndexedDB migration (safe to call on every start)
+ * @param {Function} onProgress - Optional callback receiving { collection, completed, total }
+ * @returns {Promise<Object>} Final migration state
+ */
+export const runLegacyMigration = async (onProgress = null) => {
+  let state = getMigrationState();
+  if (state.status === 'completed' && state.version >= MIGRATION_VERSION) {
+    return state;
+  }
+
+  const hasLegacyData = MIGRATED_COLLECTIONS.some(collection => readLegacy(collection) !== null);
+  if (!hasLegacyData) {
+    return saveState({
+      version: MIGRATION_VERSION,
+      status: 'completed',
+      completed: [...MIGRATED_COLLECTIONS],
+      snapshotId: state.snapshotId || null,
+      completedAt: new Date().toISOString()
+    });
+  }
+
+  try {
+    if (!state.snapshotId) {
+      const snapshotId = await createSnapshot();
+      state = saveState({ ...state, snapshotId });
+    }
+
+    state = saveState({
+      ...state,
+      status: 'in_progress',
+      startedAt: state.startedAt || new Date().toISOString(),
+      error: null
+    });
+
+    for (const collection of MIGRATED_COLLECTIONS) {
+      if (state.completed.includes(collection)) {
+        continue;
+      }
+
+      await migrateCollection(collection);
+      state = saveState({ ...state, completed: [...state.completed, collection] });
+
+      if (onProgress) {
+        onProgress({ collection, completed: state.completed.length, total: MIGRATED_COLLECTIONS.length });
+      }
+    }
+
+    // Every collection is in IndexedDB, so the legacy copies can go
+    MIGRATED_COLLECTIONS.forEach(collection => removeLegacy(collection));
+
+    return saveState({
+      ...state,
+      version: MIGRATION_VERSION,
+      status: 'completed',
+      completedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Migration failed, rolling back:', error);
+
+    // The legacy keys are still intact, so undoing the partial copy is enough
+    try {
+      await db.transaction('rw', MIGRATED_COLLECTIONS.map(collection => db.table(collection)), async () => {
+        for (const collection of state.completed) {
+          await clearMigratedRecords(collection, readLegacy(collection));
+        }
+      });
+    } catch (rollbackError) {
+      console.error('Error rolling back partial migration:', rollbackError);
+    }
+
+    return saveState({
+      ...state,
+      status: 'failed',
+      completed: [],
+      error: error.message,
+      failedAt: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Restore the legacy localStorage data from the migration snapshot
+ * The migration runs again on the next start.
+ * @returns {Promise<Object>} Result object
+ */
+export const rollbackLegacyMigration = async () => {
+  try {
+    const state = getMigrationState();
+    if (!state.snapshotId) {
+      return { success: false, error: '移行前のスナップショットが見つかりません。' };
+    }
+
+    const snapshot = await db.migrationSnapshots.get(state.snapshotId);
+    if (!snapshot) {
+      return { success: false, error: '移行前のスナップショットが見つかりません。' };
+    }
+
+    Object.entries(snapshot.collections).forEach(([collection, items]) => {
+      writeLegacy(collection, items);
+    });
+
+    await db.transaction('rw', MIGRATED_COLLECTIONS.map(collection => db.table(collection)), async () => {
+      for (const collection of MIGRATED_COLLECTIONS) {
+        await clearMigratedRecords(collection, snapshot.collections[collection]);
+      }
+    });
+
+    saveState({
+      version: 0,
+      status: 'rolled_back',
+      completed: [],
+      snapshotId: state.snapshotId,
+      rolledBackAt: new Date().toISOString()
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error rolling back migration:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const migrations = {
+  getMigrationState,
+  isMigrationComplete,
+  runLegacyMigration,
+  rollbackLegacyMigration
+};
+
+export default migrations;
@@ -1,14 +1,16 @@
 import { useState, useEffect, useMemo } from 'react';
 import expenseService from '../services/expenseService';
 import incomeService from '../services/incomeService';
-import userService from '../db/services/userService';
+import userService from '../services/userService';
+import exchangeRateService, { getBaseCurrency } from '../services/exchangeRateService';
 
 const useAnalytics = (filters = {}) => {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [rawData, setRawData] = useState({
     transactions: [],
-    users: []
+    users: [],
+    baseCurrency: getBaseCurrency()
   });
 
   // Load data from database
@@ -18,17 +20,20 @@ const useAnalytics = (filters = {}) => {
       setError(null);
 
       // Load expenses and income from database
-      const [expenseResult, incomeResult, usersResult] = await Promise.all([
+      const [expenseResult, incomeResult, usersResult, converter] = await Promise.all([
         expenseService.getAllExpenses(),
         incomeService.getAllIncome(),
-        userService.getAllUsers()
+        userService.getAllUsers(),
+        exchangeRateService.createBaseCurrencyConverter()
       ]);
 
-      // Transform data to unified format
+      // Transform data to unified format; every aggregate below works on base-currency amounts
       const expenseTransactions = (expenseResult.success ? expenseResult.data : []).map(expense => ({
         id: expense.id,
         type: 'expense',
-        amount: expense.amount,
+        amount: converter.toBaseAmount(expense),
+        currency: expense.currency || converter.baseCurrency,
+        originalAmount: expense.originalAmount ?? null,
         category: expense.category?.name || 'Unknown',
         user: expense.user?.name || 'Unknown',
         department: expense.user?.department || 'Unknown',
@@ -42,7 +47,9 @@ const useAnalytics = (filters = {}) => {
       const incomeTransactions = (incomeResult.success ? incomeResult.data : []).map(income => ({
         id: income.id,
         type: 'income',
-        amount: income.amount,
+        amount: converter.toBaseAmount(income),
+        currency: income.currency || converter.baseCurrency,
+        originalAmount: income.originalAmount ?? null,
         category: income.category?.name || 'Unknown',
         user: income.user?.name || 'Unknown',
         department: income.user?.department || 'Unknown',
@@ -58,7 +65,8 @@ const useAnalytics = (filters = {}) => {
 
       setRawData({
         transactions: allTransactions,
-        users: usersResult.success ? usersResult.data : []
+        users: usersResult.success ? usersResult.data : [],
+        baseCurrency: converter.baseCurrency
       });
     } catch (err) {
       console.error('Error loading analytics data:', err);
@@ -442,6 +450,7 @@ const useAnalytics = (filters = {}) => {
           transactions: totalTransactions,
           trend,
           efficiency: Math.min(100, Math.max(0, efficiency)),
+          outstandingReimbursement: user?.outstandingReimbursement || 0,
           rank: index + 1,
           badge: null // Will be set after sorting
         };
@@ -578,11 +587,11 @@ const useAnalytics = (filters = {}) => {
         return JSON.stringify(exportObj, null, 2);
       case 'csv':
         // Simple CSV export of transactions
-        const headers = ['Date', 'Type', 'Amount', 'Category', 'User', 'Department'];
+        const headers = ['Date', 'Type', 'Amount', 'Category', 'User', 'Department', 'Currency', 'OriginalAmount'];
         const csvContent = [
           headers.join(','),
           ...filteredData.map(t => 
-            [t.date, t.type, t.amount, t.category, t.user, t.department].join(',')
+            [t.date, t.type, t.amount, t.category, t.user, t.department, t.currency, t.originalAmount ?? ''].join(',')
           )
         ].join('\n');
         return csvContent;
@@ -618,6 +627,7 @@ const useAnalytics = (filters = {}) => {
     resetFilters,
     
     // Metadata
+    baseCurrency: rawData.baseCurrency,
     totalRecords: filteredData.length,
     appliedFilters: filters
   };
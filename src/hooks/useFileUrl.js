@@ -0,0 +1,63 @@
+import { useState, useEffect } from 'react';
+import fileService from '../services/fileService';
+
+/**
+ * Custom hook for displaying a stored file
+ * Resolves a file ID to an object URL and revokes it when the ID changes or the component unmounts
+ * @param {string|number} fileId - File ID (nothing is loaded while falsy)
+ * @param {Object} options - { thumbnail: load the lazily generated thumbnail instead of the original }
+ */
+const useFileUrl = (fileId, { thumbnail = false } = {}) => {
+  const [url, setUrl] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!fileId) {
+      setUrl(null);
+      setError(null);
+      setLoading(false);
+      return undefined;
+    }
+
+    let cancelled = false;
+    let objectUrl = null;
+
+    const load = async () => {
+      setLoading(true);
+      setError(null);
+
+      const result = thumbnail
+        ? await fileService.getThumbnailUrl(fileId)
+        : await fileService.getFileUrl(fileId);
+
+      if (cancelled) {
+        if (result.success) URL.revokeObjectURL(result.data);
+        return;
+      }
+
+      if (result.success) {
+        objectUrl = result.data;
+        setUrl(objectUrl);
+      } else {
+        setUrl(null);
+        setError(result.error);
+      }
+      setLoading(false);
+    };
+
+    load();
+
+    return () => {
+      cancelled = true;
+      setLoading(false);
+      if (objectUrl) {
+        URL.revokeObjectURL(objectUrl);
+      }
+    };
+  }, [fileId, thumbnail]);
+
+  return { url, loading, error };
+};
+
+export default useFileUrl;
@@ -1,6 +1,8 @@
 import { useState, useEffect, useCallback, useMemo } from 'react';
 import settingsService from '../services/settingsService';
 import aiService from '../services/aiService';
+import { DEFAULT_LLM_SETTINGS, LLM_PROVIDERS } from '../services/llmService';
+import { isKnownCurrency } from '../utils/currency';
 
 /**
  * Custom hook for managing application settings
@@ -30,6 +32,9 @@ export const useSettings = () => {
     
     // General settings
     dateFormat: 'YYYY-MM-DD',
+    fiscalYearStartMonth: 4,
+    taxRounding: 'floor',
+    currency: 'JPY',
     
     // Notifications
     notifications: true,
@@ -43,12 +48,9 @@ export const useSettings = () => {
     autoSave: true,
     autoSaveInterval: 30, // seconds
     
-    // AI settings
-    openaiApiKey: '',
-    apiEndpoint: 'https://api.openai.com/v1/chat/completions',
+    // AI settings (provider keys, models and endpoints: see llmService)
+    ...DEFAULT_LLM_SETTINGS,
     aiSuggestions: true,
-    maxRetries: 3,
-    requestTimeout: 30000,
     
     // Security
     sessionTimeout: 60, // minutes
@@ -71,6 +73,9 @@ export const useSettings = () => {
     fontSize: (value) => value >= 10 && value <= 24,
     glassIntensity: (value) => value >= 0 && value <= 1,
     dateFormat: (value) => ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'YYYY年MM月DD日', 'MM月DD日, YYYY年'].includes(value),
+    fiscalYearStartMonth: (value) => Number.isInteger(value) && value >= 1 && value <= 12,
+    taxRounding: (value) => ['floor', 'round', 'ceil'].includes(value),
+    currency: (value) => isKnownCurrency(value),
     notificationVolume: (value) => value >= 0 && value <= 100,
     dataRetentionDays: (value) => value >= 30 && value <= 2555, // 30 days to 7 years
     autoSaveInterval: (value) => value >= 10 && value <= 300, // 10 seconds to 5 minutes
@@ -78,15 +83,12 @@ export const useSettings = () => {
     maxRetries: (value) => value >= 1 && value <= 10,
     requestTimeout: (value) => value >= 5000 && value <= 120000, // 5 seconds to 2 minutes
     itemsPerPage: (value) => [10, 25, 50, 100].includes(value),
-    openaiApiKey: (value) => !value || value.startsWith('sk-'),
-    apiEndpoint: (value) => {
-      try {
-        new URL(value);
-        return true;
-      } catch {
-        return false;
-      }
-    }
+    llmProvider: (value) => Object.keys(LLM_PROVIDERS).includes(value),
+    // Endpoints are checked when a call is made (see getConfigError) so partial URLs can be typed
+    apiEndpoint: (value) => typeof value === 'string',
+    azureEndpoint: (value) => typeof value === 'string',
+    localEndpoint: (value) => typeof value === 'string',
+    offlineMode: (value) => typeof value === 'boolean'
   }), []);
 
   // Load settings from database
@@ -149,15 +151,7 @@ export const useSettings = () => {
     }));
     
     setHasChanges(true);
-
-    // Update AI service settings if they changed
-    if (key === 'openaiApiKey' || key === 'apiEndpoint') {
-      aiService.updateSettings(
-        key === 'openaiApiKey' ? value : settings.openaiApiKey,
-        key === 'apiEndpoint' ? value : settings.apiEndpoint
-      );
-    }
-  }, [validateSetting, settings]);
+  }, [validateSetting]);
 
   // Update multiple settings
   const updateSettings = useCallback((settingsUpdate) => {
@@ -189,15 +183,7 @@ export const useSettings = () => {
     }));
     
     setHasChanges(true);
-
-    // Update AI service settings if they changed
-    if (validUpdates.openaiApiKey || validUpdates.apiEndpoint) {
-      aiService.updateSettings(
-        validUpdates.openaiApiKey || settings.openaiApiKey,
-        validUpdates.apiEndpoint || settings.apiEndpoint
-      );
-    }
-  }, [validateSetting, settings]);
+  }, [validateSetting]);
 
   // Save pending changes to database
   const saveSettings = useCallback(async () => {
@@ -302,10 +288,10 @@ export const useSettings = () => {
     }
   }, [loadSettings]);
 
-  // Test API connection
+  // Test the AI provider with the current (possibly unsaved) settings
   const testApiConnection = useCallback(async () => {
-    return await aiService.testConnection();
-  }, []);
+    return await aiService.testConnection(settings);
+  }, [settings]);
 
   // Get setting value with fallback to default
   const getSetting = useCallback((key) => {
@@ -322,13 +308,6 @@ export const useSettings = () => {
     loadSettings();
   }, [loadSettings]);
 
-  // Update AI service when settings change
-  useEffect(() => {
-    if (settings.openaiApiKey || settings.apiEndpoint) {
-      aiService.updateSettings(settings.openaiApiKey, settings.apiEndpoint);
-    }
-  }, [settings.openaiApiKey, settings.apiEndpoint]);
-
   return {
     // State
     settings,
@@ -24,6 +24,7 @@ import FinancialSummary from '../components/Analytics/FinancialSummary';
 import ExpenseChart from '../components/Analytics/ExpenseChart';
 import IncomeChart from '../components/Analytics/IncomeChart';
 import UserRanking from '../components/Analytics/UserRanking';
+import BudgetBurnDown from '../components/Analytics/BudgetBurnDown';
 import FilterPanel from '../components/Analytics/FilterPanel';
 import useAnalytics from '../hooks/useAnalytics';
 import categoryService from '../services/categoryService';
@@ -71,6 +72,7 @@ const Analytics = () => {
     isLoading,
     error,
     exportData,
+    baseCurrency,
     totalRecords,
   } = useAnalytics(filters);
 
@@ -286,6 +288,7 @@ const Analytics = () => {
             <FinancialSummary
               data={financialSummary}
               period={filters.period}
+              currency={baseCurrency}
             />
           </Box>
         </motion.div>
@@ -298,6 +301,7 @@ const Analytics = () => {
               <ExpenseChart
                 data={expenseChartData}
                 period={filters.period}
+                currency={baseCurrency}
               />
             </motion.div>
           </Grid>
@@ -308,17 +312,26 @@ const Analytics = () => {
               <IncomeChart
                 data={incomeChartData}
                 period={filters.period}
+                currency={baseCurrency}
               />
             </motion.div>
           </Grid>
         </Grid>
 
+        {/* Budget Burn-down */}
+        <motion.div variants={itemVariants}>
+          <Box sx={{ mb: 4 }}>
+            <BudgetBurnDown referenceDate={filters.dateRange.endDate} currency={baseCurrency} />
+          </Box>
+        </motion.div>
+
         {/* User Rankings */}
         <motion.div variants={itemVariants}>
           <Box sx={{ mb: 4 }}>
             <UserRanking
               data={userRankingData}
               period={filters.period}
+              currency={baseCurrency}
             />
           </Box>
         </motion.div>
@@ -362,7 +375,7 @@ const Analytics = () => {
                         平均取引額
                       </Typography>
                       <Typography variant="body1" fontWeight="bold">
-                        {formatCurrency(statistics.averageTransactionAmount, true)}
+                        {formatCurrency(statistics.averageTransactionAmount, true, baseCurrency)}
                       </Typography>
                     </Box>
                   </Stack>
@@ -0,0 +1,621 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Button,
+  Stack,
+  Chip,
+  IconButton,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Snackbar,
+  Tooltip,
+  Tabs,
+  Tab,
+  Badge,
+  Checkbox,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  InputAdornment,
+} from '@mui/material';
+import {
+  CheckCircle as ApproveIcon,
+  Cancel as RejectIcon,
+  Payments as ReimburseIcon,
+  Tune as LimitIcon,
+  Inbox as InboxIcon,
+} from '@mui/icons-material';
+import { motion } from 'framer-motion';
+import GlassCard, { GlassCardContent } from '../components/common/GlassCard';
+import approvalService, { STATUS_LABELS, STATUS_COLORS } from '../services/approvalService';
+import auditService from '../services/auditService';
+import settingsService from '../services/settingsService';
+import userService from '../services/userService';
+import { formatDate as formatDateUtil } from '../utils/formatters';
+import useSettings from '../hooks/useSettings';
+import { getBaseCurrency } from '../services/exchangeRateService';
+
+const TABS = [
+  { key: 'submitted', label: '承認待ち' },
+  { key: 'approved', label: '精算待ち' },
+  { key: 'rejected', label: '却下' },
+  { key: 'reimbursed', label: '精算済み' },
+];
+
+const Approvals = () => {
+  const { settings } = useSettings();
+  const [users, setUsers] = useState([]);
+  const [approverId, setApproverId] = useState(() => auditService.getCurrentUserId());
+  const [inbox, setInbox] = useState({ submitted: [], approved: [], rejected: [], reimbursed: [], approvalLimit: 0 });
+  const [activeTab, setActiveTab] = useState(0);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [rejectDialog, setRejectDialog] = useState({ open: false, ids: [] });
+  const [rejectReason, setRejectReason] = useState('');
+  const [limitDialogOpen, setLimitDialogOpen] = useState(false);
+  const [limitDraft, setLimitDraft] = useState({});
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
+
+  const loadData = useCallback(async () => {
+    try {
+      const [usersResult, inboxResult] = await Promise.all([
+        userService.getAllUsers(),
+        approvalService.getApprovalInbox(approverId)
+      ]);
+
+      setUsers(usersResult.success ? usersResult.data : []);
+      if (inboxResult.success) {
+        setInbox(inboxResult.data);
+      }
+    } catch (error) {
+      console.error('Failed to load data:', error);
+    }
+  }, [approverId]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  const tabKey = TABS[activeTab].key;
+  const items = inbox[tabKey] || [];
+  const paginatedItems = items.slice(page * rowsPerPage, page * rowsPerPage + rowsPerPage);
+  const selectableIds = tabKey === 'submitted'
+    ? items.filter(item => item.canApprove).map(item => item.id)
+    : tabKey === 'approved' ? items.map(item => item.id) : [];
+
+  const handleTabChange = (e, newTab) => {
+    setActiveTab(newTab);
+    setSelectedIds([]);
+    setPage(0);
+  };
+
+  const handleApproverChange = async (e) => {
+    const id = e.target.value === '' ? null : e.target.value;
+    setApproverId(id);
+    setSelectedIds([]);
+    await settingsService.updateSetting('currentUserId', id);
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+  };
+
+  const toggleSelectAll = () => {
+    setSelectedIds(prev => (prev.length === selectableIds.length ? [] : selectableIds));
+  };
+
+  // Show the outcome of a single or bulk action
+  const reportResult = (result, successMessage) => {
+    if (result.success) {
+      setSnackbar({ open: true, message: successMessage, severity: 'success' });
+    } else if (result.data) {
+      const { succeeded, failed } = result.data;
+      setSnackbar({
+        open: true,
+        message: `${succeeded.length}件処理、${failed.length}件失敗しました（${failed[0].error}）`,
+        severity: 'warning'
+      });
+    } else {
+      setSnackbar({ open: true, message: result.error || '処理に失敗しました', severity: 'error' });
+    }
+    setSelectedIds([]);
+    loadData();
+  };
+
+  const handleApprove = async (ids) => {
+    try {
+      const result = await approvalService.bulkApprove(ids, approverId);
+      reportResult(result, `${ids.length}件を承認しました`);
+    } catch (error) {
+      setSnackbar({ open: true, message: '承認中にエラーが発生しました', severity: 'error' });
+    }
+  };
+
+  const handleRejectConfirm = async () => {
+    try {
+      const { ids } = rejectDialog;
+      const result = await approvalService.bulkReject(ids, approverId, rejectReason);
+      if (!result.success && !result.data) {
+        setSnackbar({ open: true, message: result.error, severity: 'error' });
+        return;
+      }
+      setRejectDialog({ open: false, ids: [] });
+      setRejectReason('');
+      reportResult(result, `${ids.length}件を却下しました`);
+    } catch (error) {
+      setSnackbar({ open: true, message: '却下中にエラーが発生しました', severity: 'error' });
+    }
+  };
+
+  const handleReimburse = async (ids) => {
+    try {
+      let failedResult = null;
+      for (const id of ids) {
+        const result = await approvalService.markReimbursed(id, approverId);
+        if (!result.success) {
+          failedResult = result;
+        }
+      }
+      reportResult(failedResult || { success: true }, `${ids.length}件を精算済みにしました`);
+    } catch (error) {
+      setSnackbar({ open: true, message: '精算処理中にエラーが発生しました', severity: 'error' });
+    }
+  };
+
+  // Approval limit settings
+  const openLimitDialog = () => {
+    const limits = approvalService.getApprovalLimits();
+    setLimitDraft(Object.keys(limits).reduce((acc, role) => {
+      acc[role] = limits[role] === null ? '' : String(limits[role]);
+      return acc;
+    }, {}));
+    setLimitDialogOpen(true);
+  };
+
+  const handleLimitSave = async () => {
+    const limits = Object.keys(limitDraft).reduce((acc, role) => {
+      const value = limitDraft[role].trim();
+      acc[role] = value === '' ? null : Math.max(0, parseInt(value, 10) || 0);
+      return acc;
+    }, {});
+
+    const result = await approvalService.updateApprovalLimits(limits);
+    if (result.success) {
+      setSnackbar({ open: true, message: '承認上限を更新しました', severity: 'success' });
+      setLimitDialogOpen(false);
+      loadData();
+    } else {
+      setSnackbar({ open: true, message: result.error || '更新に失敗しました', severity: 'error' });
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('ja-JP', {
+      style: 'currency',
+      currency: getBaseCurrency()
+    }).format(amount);
+  };
+
+  const formatDate = (dateString) => {
+    return formatDateUtil(dateString, settings.dateFormat);
+  };
+
+  const getUserName = (userId) => {
+    const user = users.find(u => u.id === userId);
+    return user ? user.name : '不明';
+  };
+
+  const formatLimit = (limit) => {
+    if (limit === null) return '上限なし';
+    if (limit === 0) return '承認権限なし';
+    return `${formatCurrency(limit)}まで`;
+  };
+
+  const containerVariants = {
+    hidden: { opacity: 0 },
+    visible: {
+      opacity: 1,
+      transition: { staggerChildren: 0.1 }
+    }
+  };
+
+  const itemVariants = {
+    hidden: { opacity: 0, y: 20 },
+    visible: {
+      opacity: 1,
+      y: 0,
+      transition: { duration: 0.5 }
+    }
+  };
+
+  return (
+    <Container maxWidth="xl">
+      <motion.div
+        variants={containerVariants}
+        initial="hidden"
+        animate="visible"
+      >
+        {/* Header */}
+        <motion.div variants={itemVariants}>
+          <Box sx={{ mb: 4 }}>
+            <Typography
+              variant="h3"
+              gutterBottom
+              sx={{
+                background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                WebkitBackgroundClip: 'text',
+                WebkitTextFillColor: 'transparent',
+                fontWeight: 700,
+                mb: 1,
+              }}
+            >
+              経費承認
+            </Typography>
+            <Typography variant="subtitle1" color="text.secondary">
+              申請された経費の承認・却下と精算
+            </Typography>
+          </Box>
+        </motion.div>
+
+        {/* Approver */}
+        <motion.div variants={itemVariants}>
+          <GlassCard sx={{ mb: 3 }}>
+            <GlassCardContent>
+              <Stack direction={{ xs: 'column', md: 'row' }} spacing={2} alignItems={{ md: 'center' }}>
+                <FormControl size="small" sx={{ minWidth: 240 }}>
+                  <InputLabel>承認者</InputLabel>
+                  <Select
+                    value={approverId ?? ''}
+                    label="承認者"
+                    onChange={handleApproverChange}
+                  >
+                    <MenuItem value="">未選択</MenuItem>
+                    {users.map((user) => (
+                      <MenuItem key={user.id} value={user.id}>
+                        {user.name}{user.role ? `（${user.role}）` : ''}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                {inbox.approver && (
+                  <Chip
+                    label={`承認上限: ${formatLimit(inbox.approvalLimit)}`}
+                    color={inbox.approvalLimit === 0 ? 'default' : 'primary'}
+                    variant="outlined"
+                  />
+                )}
+                <Box sx={{ flexGrow: 1 }} />
+                <Button
+                  variant="outlined"
+                  startIcon={<LimitIcon />}
+                  onClick={openLimitDialog}
+                >
+                  承認上限の設定
+                </Button>
+              </Stack>
+              {!inbox.approver && (
+                <Alert severity="info" sx={{ mt: 2 }}>
+                  承認・却下を行うには承認者を選択してください。
+                </Alert>
+              )}
+            </GlassCardContent>
+          </GlassCard>
+        </motion.div>
+
+        {/* Inbox */}
+        <motion.div variants={itemVariants}>
+          <GlassCard>
+            <Tabs value={activeTab} onChange={handleTabChange} sx={{ px: 2, pt: 1 }}>
+              {TABS.map((tab) => (
+                <Tab
+                  key={tab.key}
+                  label={
+                    <Badge badgeContent={(inbox[tab.key] || []).length} color={STATUS_COLORS[tab.key] === 'default' ? 'primary' : STATUS_COLORS[tab.key]} max={999}>
+                      <Box sx={{ pr: 2 }}>{tab.label}</Box>
+                    </Badge>
+                  }
+                />
+              ))}
+            </Tabs>
+
+            {selectableIds.length > 0 && (
+              <Box sx={{ px: 2, pt: 2 }}>
+                <Stack direction="row" spacing={2} alignItems="center">
+                  <Typography variant="body2" color="text.secondary">
+                    {selectedIds.length}件選択中
+                  </Typography>
+                  {tabKey === 'submitted' && (
+                    <>
+                      <Button
+                        variant="contained"
+                        color="success"
+                        size="small"
+                        startIcon={<ApproveIcon />}
+                        disabled={selectedIds.length === 0}
+                        onClick={() => handleApprove(selectedIds)}
+                      >
+                        一括承認
+                      </Button>
+                      <Button
+                        variant="outlined"
+                        color="error"
+                        size="small"
+                        startIcon={<RejectIcon />}
+                        disabled={selectedIds.length === 0}
+                        onClick={() => setRejectDialog({ open: true, ids: selectedIds })}
+                      >
+                        一括却下
+                      </Button>
+                    </>
+                  )}
+                  {tabKey === 'approved' && (
+                    <Button
+                      variant="contained"
+                      size="small"
+                      startIcon={<ReimburseIcon />}
+                      disabled={selectedIds.length === 0}
+                      onClick={() => handleReimburse(selectedIds)}
+                    >
+                      一括精算
+                    </Button>
+                  )}
+                </Stack>
+              </Box>
+            )}
+
+            {items.length === 0 ? (
+              <GlassCardContent>
+                <Box sx={{ textAlign: 'center', py: 8 }}>
+                  <InboxIcon sx={{ fontSize: 64, color: 'text.secondary', mb: 2 }} />
+                  <Typography variant="h6" color="text.secondary" gutterBottom>
+                    {TABS[activeTab].label}の経費はありません
+                  </Typography>
+                </Box>
+              </GlassCardContent>
+            ) : (
+              <>
+                <TableContainer>
+                  <Table>
+                    <TableHead>
+                      <TableRow>
+                        <TableCell padding="checkbox">
+                          {selectableIds.length > 0 && (
+                            <Checkbox
+                              indeterminate={selectedIds.length > 0 && selectedIds.length < selectableIds.length}
+                              checked={selectedIds.length > 0 && selectedIds.length === selectableIds.length}
+                              onChange={toggleSelectAll}
+                            />
+                          )}
+                        </TableCell>
+                        <TableCell>日付</TableCell>
+                        <TableCell>申請者</TableCell>
+                        <TableCell>説明</TableCell>
+                        <TableCell>カテゴリ</TableCell>
+                        <TableCell align="right">金額</TableCell>
+                        <TableCell>ステータス</TableCell>
+                        <TableCell>{tabKey === 'rejected' ? '却下理由' : '処理'}</TableCell>
+                        <TableCell align="center">操作</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {paginatedItems.map((item) => {
+                        const selectable = selectableIds.includes(item.id);
+                        return (
+                          <TableRow key={item.id} hover selected={selectedIds.includes(item.id)}>
+                            <TableCell padding="checkbox">
+                              <Tooltip title={!selectable && tabKey === 'submitted' ? item.blockedReason : ''}>
+                                <span>
+                                  <Checkbox
+                                    checked={selectedIds.includes(item.id)}
+                                    disabled={!selectable}
+                                    onChange={() => toggleSelected(item.id)}
+                                  />
+                                </span>
+                              </Tooltip>
+                            </TableCell>
+                            <TableCell>{formatDate(item.date)}</TableCell>
+                            <TableCell>
+                              <Chip label={item.user ? item.user.name : '不明'} size="small" variant="outlined" />
+                            </TableCell>
+                            <TableCell>{item.description}</TableCell>
+                            <TableCell>
+                              <Chip label={item.category ? item.category.name : '不明'} size="small" variant="outlined" />
+                            </TableCell>
+                            <TableCell align="right">
+                              <Typography variant="body2" fontWeight="bold">
+                                {formatCurrency(item.amount)}
+                              </Typography>
+                            </TableCell>
+                            <TableCell>
+                              <Chip label={STATUS_LABELS[item.status]} color={STATUS_COLORS[item.status]} size="small" />
+                            </TableCell>
+                            <TableCell>
+                              {tabKey === 'rejected' && item.rejectedReason && (
+                                <Tooltip title={item.rejectedReason}>
+                                  <Typography variant="body2" noWrap sx={{ maxWidth: 200 }}>
+                                    {item.rejectedReason}
+                                  </Typography>
+                                </Tooltip>
+                              )}
+                              {tabKey === 'approved' && item.approvedBy && (
+                                <Typography variant="body2" color="text.secondary">
+                                  {getUserName(item.approvedBy)}が承認
+                                </Typography>
+                              )}
+                              {tabKey === 'reimbursed' && item.reimbursedAt && (
+                                <Typography variant="body2" color="text.secondary">
+                                  {formatDate(item.reimbursedAt)}に精算
+                                </Typography>
+                              )}
+                              {tabKey === 'submitted' && !item.canApprove && (
+                                <Typography variant="body2" color="text.secondary">
+                                  {item.blockedReason}
+                                </Typography>
+                              )}
+                            </TableCell>
+                            <TableCell align="center">
+                              {tabKey === 'submitted' && (
+                                <Stack direction="row" spacing={1} justifyContent="center">
+                                  <IconButton
+                                    size="small"
+                                    color="success"
+                                    disabled={!item.canApprove}
+                                    onClick={() => handleApprove([item.id])}
+                                    title="承認"
+                                  >
+                                    <ApproveIcon />
+                                  </IconButton>
+                                  <IconButton
+                                    size="small"
+                                    color="error"
+                                    disabled={!item.canApprove}
+                                    onClick={() => setRejectDialog({ open: true, ids: [item.id] })}
+                                    title="却下"
+                                  >
+                                    <RejectIcon />
+                                  </IconButton>
+                                </Stack>
+                              )}
+                              {tabKey === 'approved' && (
+                                <IconButton
+                                  size="small"
+                                  color="primary"
+                                  onClick={() => handleReimburse([item.id])}
+                                  title="精算済みにする"
+                                >
+                                  <ReimburseIcon />
+                                </IconButton>
+                              )}
+                            </TableCell>
+                          </TableRow>
+                        );
+                      })}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+
+                <TablePagination
+                  component="div"
+                  count={items.length}
+                  page={page}
+                  onPageChange={(e, newPage) => setPage(newPage)}
+                  rowsPerPage={rowsPerPage}
+                  onRowsPerPageChange={(e) => {
+                    setRowsPerPage(parseInt(e.target.value, 10));
+                    setPage(0);
+                  }}
+                  rowsPerPageOptions={[10, 25, 50, 100]}
+                  labelRowsPerPage="表示件数："
+                  labelDisplayedRows={({ from, to, count }) =>
+                    `${from}-${to} / ${count}`
+                  }
+                />
+              </>
+            )}
+          </GlassCard>
+        </motion.div>
+
+        {/* Reject Dialog */}
+        <Dialog
+          open={rejectDialog.open}
+          onClose={() => setRejectDialog({ open: false, ids: [] })}
+          maxWidth="sm"
+          fullWidth
+        >
+          <DialogTitle>経費の却下</DialogTitle>
+          <DialogContent>
+            <Typography gutterBottom>
+              {rejectDialog.ids.length}件の経費を却下します。申請者に理由が通知されます。
+            </Typography>
+            <TextField
+              label="却下理由"
+              value={rejectReason}
+              onChange={(e) => setRejectReason(e.target.value)}
+              fullWidth
+              required
+              multiline
+              rows={3}
+              sx={{ mt: 2 }}
+              placeholder="例：領収書の添付がありません"
+            />
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setRejectDialog({ open: false, ids: [] })}>
+              キャンセル
+            </Button>
+            <Button
+              onClick={handleRejectConfirm}
+              variant="contained"
+              color="error"
+              disabled={!rejectReason.trim()}
+            >
+              却下
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        {/* Approval Limit Dialog */}
+        <Dialog open={limitDialogOpen} onClose={() => setLimitDialogOpen(false)} maxWidth="sm" fullWidth>
+          <DialogTitle>役職ごとの承認上限</DialogTitle>
+          <DialogContent>
+            <Alert severity="info" sx={{ mb: 2 }}>
+              空欄は上限なし、0は承認権限なしです。自分の申請はどの役職でも承認できません。
+            </Alert>
+            <Stack spacing={2}>
+              {Object.keys(limitDraft).map((role) => (
+                <TextField
+                  key={role}
+                  label={role}
+                  type="number"
+                  value={limitDraft[role]}
+                  onChange={(e) => setLimitDraft(prev => ({ ...prev, [role]: e.target.value }))}
+                  placeholder="上限なし"
+                  fullWidth
+                  InputProps={{
+                    startAdornment: <InputAdornment position="start">¥</InputAdornment>,
+                  }}
+                />
+              ))}
+            </Stack>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setLimitDialogOpen(false)}>キャンセル</Button>
+            <Button onClick={handleLimitSave} variant="contained">保存</Button>
+          </DialogActions>
+        </Dialog>
+
+        {/* Snackbar */}
+        <Snackbar
+          open={snackbar.open}
+          autoHideDuration={6000}
+          onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+        >
+          <Alert
+            onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+            severity={snackbar.severity}
+            sx={{ width: '100%' }}
+          >
+            {snackbar.message}
+          </Alert>
+        </Snackbar>
+      </motion.div>
+    </Container>
+  );
+};
+
+export default Approvals;
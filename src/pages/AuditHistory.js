@@ -0,0 +1,467 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Container,
+  Grid,
+  Typography,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  TextField,
+  Button,
+  Stack,
+  Chip,
+  IconButton,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Tooltip,
+} from '@mui/material';
+import {
+  FilterList as FilterIcon,
+  Refresh as RefreshIcon,
+  Visibility as ViewIcon,
+  VerifiedUser as VerifiedIcon,
+  GppBad as BrokenIcon,
+  History as HistoryIcon,
+} from '@mui/icons-material';
+import { motion } from 'framer-motion';
+import { LocalizationProvider, DatePicker } from '@mui/x-date-pickers';
+import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
+import { ja } from 'date-fns/locale';
+import GlassCard, { GlassCardContent } from '../components/common/GlassCard';
+import AuditChangeTable from '../components/Audit/AuditChangeTable';
+import auditService, { ENTITY_LABELS, ACTION_LABELS, ACTION_COLORS, FIELD_LABELS } from '../services/auditService';
+import userService from '../services/userService';
+import categoryService from '../services/categoryService';
+
+// Short human-readable name of the record an entry belongs to
+const getEntitySummary = (entry) => {
+  const record = entry.after || entry.before || {};
+  return record.description || record.title || record.name || record.source || '';
+};
+
+const AuditHistory = () => {
+  const [entries, setEntries] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [chainStatus, setChainStatus] = useState(null);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [selectedEntry, setSelectedEntry] = useState(null);
+
+  // Filters
+  const [entityFilter, setEntityFilter] = useState('all');
+  const [actionFilter, setActionFilter] = useState('all');
+  const [actorFilter, setActorFilter] = useState('all');
+  const [entityIdFilter, setEntityIdFilter] = useState('');
+  const [dateFrom, setDateFrom] = useState(null);
+  const [dateTo, setDateTo] = useState(null);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    try {
+      const [entriesResult, usersResult, categoriesResult, chainResult] = await Promise.all([
+        auditService.getAuditEntries(),
+        userService.getAllUsers(),
+        categoryService.getAllCategories(),
+        auditService.verifyAuditChain()
+      ]);
+
+      setEntries(entriesResult.success ? entriesResult.data : []);
+      setUsers(usersResult.success ? usersResult.data : []);
+      setCategories(categoriesResult.success ? categoriesResult.data : []);
+      setChainStatus(chainResult.success ? chainResult.data : null);
+    } catch (error) {
+      console.error('Failed to load data:', error);
+    }
+  };
+
+  // Filter entries
+  const filteredEntries = useMemo(() => {
+    return entries.filter(entry => {
+      if (entityFilter !== 'all' && entry.entityType !== entityFilter) {
+        return false;
+      }
+      if (actionFilter !== 'all' && entry.action !== actionFilter) {
+        return false;
+      }
+      if (actorFilter === 'none' && entry.actorId !== null && entry.actorId !== undefined) {
+        return false;
+      }
+      if (actorFilter !== 'all' && actorFilter !== 'none' && entry.actorId !== actorFilter) {
+        return false;
+      }
+      if (entityIdFilter && String(entry.entityId) !== entityIdFilter.trim()) {
+        return false;
+      }
+      if (dateFrom && new Date(entry.timestamp) < dateFrom) {
+        return false;
+      }
+      if (dateTo) {
+        const endOfDay = new Date(dateTo);
+        endOfDay.setHours(23, 59, 59, 999);
+        if (new Date(entry.timestamp) > endOfDay) {
+          return false;
+        }
+      }
+      return true;
+    });
+  }, [entries, entityFilter, actionFilter, actorFilter, entityIdFilter, dateFrom, dateTo]);
+
+  const paginatedEntries = useMemo(() => {
+    const start = page * rowsPerPage;
+    return filteredEntries.slice(start, start + rowsPerPage);
+  }, [filteredEntries, page, rowsPerPage]);
+
+  const getUserName = (userId) => {
+    if (userId === null || userId === undefined) return '不明なユーザー';
+    const user = users.find(u => u.id === userId);
+    return user ? user.name : `#${userId}`;
+  };
+
+  const resetFilters = () => {
+    setEntityFilter('all');
+    setActionFilter('all');
+    setActorFilter('all');
+    setEntityIdFilter('');
+    setDateFrom(null);
+    setDateTo(null);
+    setPage(0);
+  };
+
+  const containerVariants = {
+    hidden: { opacity: 0 },
+    visible: {
+      opacity: 1,
+      transition: { staggerChildren: 0.1 }
+    }
+  };
+
+  const itemVariants = {
+    hidden: { opacity: 0, y: 20 },
+    visible: {
+      opacity: 1,
+      y: 0,
+      transition: { duration: 0.5 }
+    }
+  };
+
+  return (
+    <LocalizationProvider dateAdapter={AdapterDateFns} adapterLocale={ja}>
+      <Container maxWidth="xl">
+        <motion.div
+          variants={containerVariants}
+          initial="hidden"
+          animate="visible"
+        >
+          {/* Header */}
+          <motion.div variants={itemVariants}>
+            <Box sx={{ mb: 4 }}>
+              <Typography
+                variant="h3"
+                gutterBottom
+                sx={{
+                  background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                  WebkitBackgroundClip: 'text',
+                  WebkitTextFillColor: 'transparent',
+                  fontWeight: 700,
+                  mb: 1,
+                }}
+              >
+                監査ログ
+              </Typography>
+              <Typography variant="subtitle1" color="text.secondary">
+                いつ・誰が・何を変更したかの記録
+              </Typography>
+            </Box>
+          </motion.div>
+
+          <Grid container spacing={3}>
+            {/* Filters */}
+            <Grid item xs={12}>
+              <motion.div variants={itemVariants}>
+                <GlassCard>
+                  <GlassCardContent>
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+                      <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <FilterIcon />
+                        フィルター
+                      </Typography>
+                      {chainStatus && (
+                        <Tooltip
+                          title={chainStatus.valid
+                            ? `${chainStatus.count}件の記録のハッシュチェーンを検証しました`
+                            : `記録 #${chainStatus.brokenAt} 以降が改ざんされている可能性があります`}
+                        >
+                          <Chip
+                            icon={chainStatus.valid ? <VerifiedIcon /> : <BrokenIcon />}
+                            label={chainStatus.valid ? '改ざんなし' : '整合性エラー'}
+                            color={chainStatus.valid ? 'success' : 'error'}
+                            variant="outlined"
+                          />
+                        </Tooltip>
+                      )}
+                    </Box>
+
+                    <Grid container spacing={2}>
+                      <Grid item xs={12} md={2}>
+                        <FormControl fullWidth size="small">
+                          <InputLabel>対象</InputLabel>
+                          <Select
+                            value={entityFilter}
+                            label="対象"
+                            onChange={(e) => { setEntityFilter(e.target.value); setPage(0); }}
+                          >
+                            <MenuItem value="all">すべて</MenuItem>
+                            {Object.entries(ENTITY_LABELS).map(([value, label]) => (
+                              <MenuItem key={value} value={value}>{label}</MenuItem>
+                            ))}
+                          </Select>
+                        </FormControl>
+                      </Grid>
+
+                      <Grid item xs={12} md={2}>
+                        <FormControl fullWidth size="small">
+                          <InputLabel>操作</InputLabel>
+                          <Select
+                            value={actionFilter}
+                            label="操作"
+                            onChange={(e) => { setActionFilter(e.target.value); setPage(0); }}
+                          >
+                            <MenuItem value="all">すべて</MenuItem>
+                            {Object.entries(ACTION_LABELS).map(([value, label]) => (
+                              <MenuItem key={value} value={value}>{label}</MenuItem>
+                            ))}
+                          </Select>
+                        </FormControl>
+                      </Grid>
+
+                      <Grid item xs={12} md={2}>
+                        <FormControl fullWidth size="small">
+                          <InputLabel>操作者</InputLabel>
+                          <Select
+                            value={actorFilter}
+                            label="操作者"
+                            onChange={(e) => { setActorFilter(e.target.value); setPage(0); }}
+                          >
+                            <MenuItem value="all">すべて</MenuItem>
+                            <MenuItem value="none">不明なユーザー</MenuItem>
+                            {users.map((user) => (
+                              <MenuItem key={user.id} value={user.id}>
+                                {user.name}
+                              </MenuItem>
+                            ))}
+                          </Select>
+                        </FormControl>
+                      </Grid>
+
+                      <Grid item xs={12} md={2}>
+                        <TextField
+                          label="対象ID"
+                          value={entityIdFilter}
+                          onChange={(e) => { setEntityIdFilter(e.target.value); setPage(0); }}
+                          fullWidth
+                          size="small"
+                        />
+                      </Grid>
+
+                      <Grid item xs={12} md={2}>
+                        <DatePicker
+                          label="開始日"
+                          value={dateFrom}
+                          onChange={(value) => { setDateFrom(value); setPage(0); }}
+                          slotProps={{
+                            textField: {
+                              size: 'small',
+                              fullWidth: true
+                            }
+                          }}
+                        />
+                      </Grid>
+
+                      <Grid item xs={12} md={2}>
+                        <DatePicker
+                          label="終了日"
+                          value={dateTo}
+                          onChange={(value) => { setDateTo(value); setPage(0); }}
+                          slotProps={{
+                            textField: {
+                              size: 'small',
+                              fullWidth: true
+                            }
+                          }}
+                        />
+                      </Grid>
+                    </Grid>
+
+                    <Stack direction="row" spacing={1} sx={{ mt: 2 }}>
+                      <Button
+                        variant="outlined"
+                        size="small"
+                        startIcon={<RefreshIcon />}
+                        onClick={resetFilters}
+                      >
+                        リセット
+                      </Button>
+                      <Button
+                        variant="outlined"
+                        size="small"
+                        startIcon={<HistoryIcon />}
+                        onClick={loadData}
+                      >
+                        再読み込み
+                      </Button>
+                    </Stack>
+                  </GlassCardContent>
+                </GlassCard>
+              </motion.div>
+            </Grid>
+
+            {/* Entries */}
+            <Grid item xs={12}>
+              <motion.div variants={itemVariants}>
+                <GlassCard>
+                  <TableContainer>
+                    <Table>
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>日時</TableCell>
+                          <TableCell>操作者</TableCell>
+                          <TableCell>対象</TableCell>
+                          <TableCell>操作</TableCell>
+                          <TableCell>変更項目</TableCell>
+                          <TableCell align="center">詳細</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {paginatedEntries.map((entry) => (
+                          <TableRow key={entry.id} hover>
+                            <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                              {new Date(entry.timestamp).toLocaleString('ja-JP')}
+                            </TableCell>
+                            <TableCell>{getUserName(entry.actorId)}</TableCell>
+                            <TableCell>
+                              <Stack direction="row" spacing={1} alignItems="center">
+                                <Chip
+                                  label={`${ENTITY_LABELS[entry.entityType] || entry.entityType} #${entry.entityId}`}
+                                  size="small"
+                                  variant="outlined"
+                                />
+                                <Typography variant="body2" noWrap sx={{ maxWidth: 200 }}>
+                                  {getEntitySummary(entry)}
+                                </Typography>
+                              </Stack>
+                            </TableCell>
+                            <TableCell>
+                              <Chip
+                                label={ACTION_LABELS[entry.action] || entry.action}
+                                color={ACTION_COLORS[entry.action] || 'default'}
+                                size="small"
+                              />
+                            </TableCell>
+                            <TableCell>
+                              <Typography variant="body2" noWrap sx={{ maxWidth: 300 }}>
+                                {(entry.changes || []).map(change => FIELD_LABELS[change.field] || change.field).join('、')}
+                              </Typography>
+                            </TableCell>
+                            <TableCell align="center">
+                              <IconButton size="small" onClick={() => setSelectedEntry(entry)}>
+                                <ViewIcon />
+                              </IconButton>
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+
+                  {filteredEntries.length === 0 && (
+                    <Box sx={{ textAlign: 'center', py: 4 }}>
+                      <Typography color="text.secondary">
+                        条件に一致する記録がありません
+                      </Typography>
+                    </Box>
+                  )}
+
+                  {filteredEntries.length > 0 && (
+                    <TablePagination
+                      component="div"
+                      count={filteredEntries.length}
+                      page={page}
+                      onPageChange={(e, newPage) => setPage(newPage)}
+                      rowsPerPage={rowsPerPage}
+                      onRowsPerPageChange={(e) => {
+                        setRowsPerPage(parseInt(e.target.value, 10));
+                        setPage(0);
+                      }}
+                      rowsPerPageOptions={[10, 25, 50, 100]}
+                      labelRowsPerPage="表示件数："
+                      labelDisplayedRows={({ from, to, count }) =>
+                        `${from}-${to} / ${count}`
+                      }
+                    />
+                  )}
+                </GlassCard>
+              </motion.div>
+            </Grid>
+          </Grid>
+
+          {/* Entry Detail Dialog */}
+          <Dialog open={Boolean(selectedEntry)} onClose={() => setSelectedEntry(null)} maxWidth="md" fullWidth>
+            <DialogTitle>変更内容</DialogTitle>
+            <DialogContent>
+              {selectedEntry && (
+                <Stack spacing={2}>
+                  <Stack direction="row" spacing={1} alignItems="center" flexWrap="wrap">
+                    <Chip
+                      label={ACTION_LABELS[selectedEntry.action] || selectedEntry.action}
+                      color={ACTION_COLORS[selectedEntry.action] || 'default'}
+                      size="small"
+                    />
+                    <Typography variant="body2">
+                      {ENTITY_LABELS[selectedEntry.entityType] || selectedEntry.entityType} #{selectedEntry.entityId}
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      {getUserName(selectedEntry.actorId)} ・ {new Date(selectedEntry.timestamp).toLocaleString('ja-JP')}
+                    </Typography>
+                  </Stack>
+                  {selectedEntry.details?.reason && (
+                    <Typography variant="body2">
+                      理由: {selectedEntry.details.reason}
+                    </Typography>
+                  )}
+                  <AuditChangeTable
+                    changes={selectedEntry.changes || []}
+                    users={users}
+                    categories={categories}
+                  />
+                  <Typography variant="caption" color="text.secondary" sx={{ wordBreak: 'break-all' }}>
+                    ハッシュ: {selectedEntry.hash || '—'}
+                  </Typography>
+                </Stack>
+              )}
+            </DialogContent>
+            <DialogActions>
+              <Button onClick={() => setSelectedEntry(null)}>閉じる</Button>
+            </DialogActions>
+          </Dialog>
+        </motion.div>
+      </Container>
+    </LocalizationProvider>
+  );
+};
+
+export default AuditHistory;
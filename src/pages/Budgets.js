@@ -0,0 +1,359 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Grid,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  Stack,
+  Chip,
+  IconButton,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Snackbar,
+  TextField,
+  Switch,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  Savings as BudgetIcon,
+} from '@mui/icons-material';
+import { motion } from 'framer-motion';
+import GlassCard, { GlassCardContent } from '../components/common/GlassCard';
+import BudgetDialog from '../components/Budget/BudgetDialog';
+import BudgetProgress from '../components/Budget/BudgetProgress';
+import budgetService, { PERIOD_TYPES, SCOPE_TYPES } from '../services/budgetService';
+import categoryService from '../services/categoryService';
+import userService from '../services/userService';
+import { getBaseCurrency } from '../services/exchangeRateService';
+
+const currentMonth = () => {
+  const today = new Date();
+  return `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const Budgets = () => {
+  const [month, setMonth] = useState(currentMonth);
+  const [budgets, setBudgets] = useState([]);
+  const [categoryHierarchy, setCategoryHierarchy] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [budgetDialog, setBudgetDialog] = useState({ open: false, budget: null });
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
+
+  const loadData = useCallback(async () => {
+    try {
+      const [budgetsResult, hierarchyResult, usersResult] = await Promise.all([
+        budgetService.getBudgetOverview(`${month}-01`, { activeOnly: false }),
+        categoryService.getCategoryHierarchy('expense'),
+        userService.getAllUsers()
+      ]);
+
+      setBudgets(budgetsResult.success ? budgetsResult.data : []);
+      setCategoryHierarchy(hierarchyResult.success ? hierarchyResult.data : []);
+      setUsers(usersResult.success ? usersResult.data : []);
+    } catch (error) {
+      console.error('Failed to load data:', error);
+    }
+  }, [month]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  const showResult = (result, successMessage) => {
+    if (result.success) {
+      setSnackbar({ open: true, message: successMessage, severity: 'success' });
+    } else {
+      setSnackbar({ open: true, message: result.error || '処理に失敗しました', severity: 'error' });
+    }
+    loadData();
+  };
+
+  const handleSave = async (budgetData) => {
+    const { budget } = budgetDialog;
+    const result = budget
+      ? await budgetService.updateBudget(budget.id, budgetData)
+      : await budgetService.createBudget(budgetData);
+    if (!result.success) return result;
+
+    setBudgetDialog({ open: false, budget: null });
+    showResult(result, `予算を${budget ? '更新' : '追加'}しました`);
+    return result;
+  };
+
+  const handleToggleActive = async (budget) => {
+    const isActive = budget.isActive === false;
+    const result = await budgetService.updateBudget(budget.id, { isActive });
+    showResult(result, isActive ? '予算を有効にしました' : '予算を停止しました');
+  };
+
+  const handleDeleteConfirm = async () => {
+    const result = await budgetService.deleteBudget(deleteTarget.id);
+    setDeleteTarget(null);
+    showResult(result, '予算を削除しました');
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('ja-JP', {
+      style: 'currency',
+      currency: getBaseCurrency()
+    }).format(amount);
+  };
+
+  const activeBudgets = budgets.filter(budget => budget.isActive !== false);
+  const summaryCards = [
+    { label: '有効な予算', value: `${activeBudgets.length}件`, color: 'primary.main' },
+    { label: '80%以上', value: `${activeBudgets.filter(budget => budget.level === 'warning').length}件`, color: 'warning.main' },
+    { label: '予算超過', value: `${activeBudgets.filter(budget => budget.level === 'over').length}件`, color: 'error.main' },
+    {
+      label: '着地見込みで超過',
+      value: `${activeBudgets.filter(budget => budget.level !== 'over' && budget.projected > budget.amount).length}件`,
+      color: 'text.primary'
+    },
+  ];
+
+  const containerVariants = {
+    hidden: { opacity: 0 },
+    visible: {
+      opacity: 1,
+      transition: { staggerChildren: 0.1 }
+    }
+  };
+
+  const itemVariants = {
+    hidden: { opacity: 0, y: 20 },
+    visible: {
+      opacity: 1,
+      y: 0,
+      transition: { duration: 0.5 }
+    }
+  };
+
+  return (
+    <Container maxWidth="xl">
+      <motion.div
+        variants={containerVariants}
+        initial="hidden"
+        animate="visible"
+      >
+        {/* Header */}
+        <motion.div variants={itemVariants}>
+          <Box sx={{ mb: 4, display: 'flex', alignItems: { md: 'flex-end' }, flexDirection: { xs: 'column', md: 'row' }, gap: 2 }}>
+            <Box sx={{ flexGrow: 1 }}>
+              <Typography
+                variant="h3"
+                gutterBottom
+                sx={{
+                  background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                  WebkitBackgroundClip: 'text',
+                  WebkitTextFillColor: 'transparent',
+                  fontWeight: 700,
+                  mb: 1,
+                }}
+              >
+                予算管理
+              </Typography>
+              <Typography variant="subtitle1" color="text.secondary">
+                カテゴリ・部署・ユーザーごとの予算と消化状況
+              </Typography>
+            </Box>
+            <Stack direction="row" spacing={2} alignItems="center">
+              <TextField
+                label="対象月"
+                type="month"
+                size="small"
+                value={month}
+                onChange={(e) => e.target.value && setMonth(e.target.value)}
+                InputLabelProps={{ shrink: true }}
+              />
+              <Button
+                variant="contained"
+                startIcon={<AddIcon />}
+                onClick={() => setBudgetDialog({ open: true, budget: null })}
+              >
+                予算を追加
+              </Button>
+            </Stack>
+          </Box>
+        </motion.div>
+
+        {/* Summary */}
+        <motion.div variants={itemVariants}>
+          <Grid container spacing={3} sx={{ mb: 4 }}>
+            {summaryCards.map((card) => (
+              <Grid item xs={6} md={3} key={card.label}>
+                <GlassCard>
+                  <GlassCardContent>
+                    <Typography variant="body2" color="text.secondary" gutterBottom>
+                      {card.label}
+                    </Typography>
+                    <Typography variant="h4" fontWeight="bold" color={card.color}>
+                      {card.value}
+                    </Typography>
+                  </GlassCardContent>
+                </GlassCard>
+              </Grid>
+            ))}
+          </Grid>
+        </motion.div>
+
+        {/* Budgets */}
+        <motion.div variants={itemVariants}>
+          <GlassCard>
+            {budgets.length === 0 ? (
+              <GlassCardContent>
+                <Box sx={{ textAlign: 'center', py: 8 }}>
+                  <BudgetIcon sx={{ fontSize: 64, color: 'text.secondary', mb: 2 }} />
+                  <Typography variant="h6" color="text.secondary" gutterBottom>
+                    予算はまだありません
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    消化率が80%と100%に達すると通知でお知らせします
+                  </Typography>
+                </Box>
+              </GlassCardContent>
+            ) : (
+              <TableContainer>
+                <Table>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>対象</TableCell>
+                      <TableCell>期間</TableCell>
+                      <TableCell sx={{ minWidth: 280 }}>消化状況</TableCell>
+                      <TableCell align="right">着地見込み</TableCell>
+                      <TableCell align="center">有効</TableCell>
+                      <TableCell align="center">操作</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {budgets.map((budget) => (
+                      <TableRow key={budget.id} hover sx={{ opacity: budget.isActive === false ? 0.5 : 1 }}>
+                        <TableCell>
+                          <Stack direction="row" spacing={1} alignItems="center">
+                            <Chip label={SCOPE_TYPES[budget.scopeType]} size="small" variant="outlined" />
+                            <Typography variant="body2" fontWeight="medium">
+                              {budget.scopeLabel}
+                            </Typography>
+                          </Stack>
+                          {budget.includesChildren && (
+                            <Typography variant="caption" color="text.secondary">
+                              配下のカテゴリを含む
+                            </Typography>
+                          )}
+                          {budget.memo && (
+                            <Typography variant="caption" color="text.secondary" display="block">
+                              {budget.memo}
+                            </Typography>
+                          )}
+                        </TableCell>
+                        <TableCell>
+                          <Typography variant="body2">{PERIOD_TYPES[budget.periodType]}</Typography>
+                          <Typography variant="caption" color="text.secondary">
+                            {budget.period.label}
+                          </Typography>
+                        </TableCell>
+                        <TableCell>
+                          <BudgetProgress status={budget} />
+                        </TableCell>
+                        <TableCell align="right">
+                          {budget.elapsedRatio > 0 && budget.elapsedRatio < 1 ? (
+                            <Typography
+                              variant="body2"
+                              color={budget.projected > budget.amount ? 'error.main' : 'text.primary'}
+                            >
+                              {formatCurrency(budget.projected)}
+                            </Typography>
+                          ) : '—'}
+                        </TableCell>
+                        <TableCell align="center">
+                          <Switch
+                            checked={budget.isActive !== false}
+                            onChange={() => handleToggleActive(budget)}
+                            size="small"
+                          />
+                        </TableCell>
+                        <TableCell align="center">
+                          <Stack direction="row" spacing={0.5} justifyContent="center">
+                            <IconButton
+                              size="small"
+                              onClick={() => setBudgetDialog({ open: true, budget })}
+                              title="編集"
+                            >
+                              <EditIcon />
+                            </IconButton>
+                            <IconButton
+                              size="small"
+                              color="error"
+                              onClick={() => setDeleteTarget(budget)}
+                              title="削除"
+                            >
+                              <DeleteIcon />
+                            </IconButton>
+                          </Stack>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )}
+          </GlassCard>
+        </motion.div>
+
+        <BudgetDialog
+          open={budgetDialog.open}
+          budget={budgetDialog.budget}
+          categoryHierarchy={categoryHierarchy}
+          users={users}
+          onClose={() => setBudgetDialog({ open: false, budget: null })}
+          onSave={handleSave}
+        />
+
+        {/* Delete Dialog */}
+        <Dialog open={Boolean(deleteTarget)} onClose={() => setDeleteTarget(null)} maxWidth="xs" fullWidth>
+          <DialogTitle>予算の削除</DialogTitle>
+          <DialogContent>
+            <Alert severity="warning">
+              予算を削除しても支出データは削除されません。
+            </Alert>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setDeleteTarget(null)}>キャンセル</Button>
+            <Button onClick={handleDeleteConfirm} variant="contained" color="error">
+              削除
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        {/* Snackbar */}
+        <Snackbar
+          open={snackbar.open}
+          autoHideDuration={6000}
+          onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+        >
+          <Alert
+            onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+            severity={snackbar.severity}
+            sx={{ width: '100%' }}
+          >
+            {snackbar.message}
+          </Alert>
+        </Snackbar>
+      </motion.div>
+    </Container>
+  );
+};
+
+export default Budgets;
@@ -0,0 +1,502 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Grid,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  Stack,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  InputAdornment,
+  Alert,
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import {
+  Download as DownloadIcon,
+  Print as PrintIcon,
+  Tune as TuneIcon,
+} from '@mui/icons-material';
+import { motion } from 'framer-motion';
+import { Line } from 'react-chartjs-2';
+import GlassCard, { GlassCardContent } from '../components/common/GlassCard';
+import CashFlowReport from '../components/Analytics/CashFlowReport';
+import CashFlowScenarioDialog from '../components/Analytics/CashFlowScenarioDialog';
+import cashFlowService, { FORECAST_HORIZONS, SCENARIOS, FLOW_SOURCES } from '../services/cashFlowService';
+import { getBaseCurrency } from '../services/exchangeRateService';
+import { formatCurrency as formatMoney } from '../utils/formatters';
+import { printElement } from '../utils/print';
+
+const SCENARIO_COLORS = {
+  best: 'rgba(67, 233, 123, 1)',
+  expected: 'rgba(102, 126, 234, 1)',
+  worst: 'rgba(250, 112, 154, 1)'
+};
+
+const INFLOW_KEYS = ['receivables', 'recurringInvoices', 'recurringIncome'];
+const OUTFLOW_KEYS = ['payables', 'recurringInvoices', 'recurringExpenses', 'runRate'];
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CashFlow = () => {
+  const theme = useTheme();
+  const reportRef = useRef(null);
+  const [months, setMonths] = useState(6);
+  const [scenario, setScenario] = useState('expected');
+  const [balanceInput, setBalanceInput] = useState('');
+  const [startingBalance, setStartingBalance] = useState('');
+  const [forecasts, setForecasts] = useState(null);
+  const [settings, setSettings] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadData = useCallback(async () => {
+    const [settingsResult, ...results] = await Promise.all([
+      cashFlowService.getCashFlowSettings(),
+      ...Object.keys(SCENARIOS).map(key => cashFlowService.getCashFlowForecast({ months, scenario: key, startingBalance }))
+    ]);
+    if (settingsResult.success) {
+      setSettings(settingsResult.data);
+    }
+    const failed = results.find(result => !result.success);
+    if (failed) {
+      setError(failed.error || '予測に失敗しました');
+      return;
+    }
+    setForecasts(Object.keys(SCENARIOS).reduce((acc, key, index) => ({ ...acc, [key]: results[index].data }), {}));
+    setError('');
+  }, [months, startingBalance]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  const forecast = forecasts?.[scenario];
+  const currency = getBaseCurrency();
+  const formatCurrency = (amount) => formatMoney(amount, false, currency);
+
+  const exportData = () => {
+    const csvContent = cashFlowService.buildForecastReportRows(forecast)
+      .map(row => row.map(csvCell).join(','))
+      .join('\n');
+    const blob = new Blob(['\uFEFF' + csvContent], { type: 'text/csv;charset=utf-8;' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `cash_flow_${forecast.scenario}_${forecast.startDate}_${forecast.endDate}.csv`;
+    link.click();
+  };
+
+  const applyBalance = () => setStartingBalance(balanceInput);
+
+  const shortfallIndex = forecast?.shortfallDate ? forecast.days.findIndex(day => day.date === forecast.shortfallDate) : -1;
+
+  const chartData = forecasts ? {
+    labels: forecast.days.map(day => day.date.slice(5).replace('-', '/')),
+    datasets: [
+      ...Object.keys(SCENARIOS).map(key => ({
+        label: `${SCENARIOS[key]}シナリオ`,
+        data: forecasts[key].days.map(day => day.balance),
+        borderColor: SCENARIO_COLORS[key],
+        backgroundColor: key === scenario ? SCENARIO_COLORS[key].replace(', 1)', ', 0.1)') : 'transparent',
+        borderWidth: key === scenario ? 3 : 1.5,
+        borderDash: key === scenario ? [] : [4, 4],
+        fill: key === scenario,
+        tension: 0.2,
+        // The first day under the minimum balance is marked on the selected scenario
+        pointRadius: key === scenario ? forecast.days.map((day, index) => (index === shortfallIndex ? 6 : 0)) : 0,
+        pointBackgroundColor: theme.palette.error.main,
+      })),
+      {
+        label: '最低残高',
+        data: forecast.days.map(() => forecast.minimumBalance),
+        borderColor: theme.palette.error.main,
+        borderDash: [6, 4],
+        borderWidth: 1.5,
+        pointRadius: 0,
+        fill: false,
+      },
+    ],
+  } : null;
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: {
+        position: 'top',
+        labels: {
+          color: theme.palette.text.primary,
+          usePointStyle: true,
+          pointStyle: 'line',
+        },
+      },
+      tooltip: {
+        callbacks: {
+          label: (context) => `${context.dataset.label}: ${formatMoney(context.parsed.y, true, currency)}`,
+        },
+      },
+    },
+    scales: {
+      x: {
+        grid: { display: false },
+        ticks: { color: theme.palette.text.secondary, maxTicksLimit: 12 },
+      },
+      y: {
+        grid: { color: theme.palette.divider },
+        ticks: {
+          color: theme.palette.text.secondary,
+          callback: (value) => formatMoney(value, true, currency),
+        },
+      },
+    },
+  };
+
+  const renderSourceRows = (keys, sign) => keys
+    .filter(key => forecast.rows.some(row => Math.sign(row.sources[key]) === sign))
+    .map(key => (
+      <TableRow key={`${key}-${sign}`}>
+        <TableCell sx={{ pl: 4 }}>{FLOW_SOURCES[key].label}</TableCell>
+        {forecast.rows.map(row => (
+          <TableCell key={row.month} align="right">
+            {Math.sign(row.sources[key]) === sign ? formatCurrency(Math.abs(row.sources[key])) : '—'}
+          </TableCell>
+        ))}
+      </TableRow>
+    ));
+
+  const balanceCell = (amount) => (
+    <TableCell align="right" sx={{ fontWeight: 'bold', color: amount < forecast.minimumBalance ? 'error.main' : undefined }}>
+      {formatCurrency(amount)}
+    </TableCell>
+  );
+
+  const containerVariants = {
+    hidden: { opacity: 0 },
+    visible: {
+      opacity: 1,
+      transition: { staggerChildren: 0.1 }
+    }
+  };
+
+  const itemVariants = {
+    hidden: { opacity: 0, y: 20 },
+    visible: {
+      opacity: 1,
+      y: 0,
+      transition: { duration: 0.5 }
+    }
+  };
+
+  return (
+    <Container maxWidth="xl">
+      <motion.div
+        variants={containerVariants}
+        initial="hidden"
+        animate="visible"
+      >
+        {/* Header */}
+        <motion.div variants={itemVariants}>
+          <Box sx={{ mb: 4, display: 'flex', alignItems: { md: 'flex-end' }, flexDirection: { xs: 'column', md: 'row' }, gap: 2 }}>
+            <Box sx={{ flexGrow: 1 }}>
+              <Typography
+                variant="h3"
+                gutterBottom
+                sx={{
+                  background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                  WebkitBackgroundClip: 'text',
+                  WebkitTextFillColor: 'transparent',
+                  fontWeight: 700,
+                  mb: 1,
+                }}
+              >
+                資金繰り予測
+              </Typography>
+              <Typography variant="subtitle1" color="text.secondary">
+                売掛金・請求書・定期取引とカテゴリ別の平均支出から今後の資金残高を予測
+              </Typography>
+            </Box>
+            <Stack direction="row" spacing={1}>
+              <Button variant="outlined" startIcon={<TuneIcon />} onClick={() => setDialogOpen(true)} disabled={!settings}>
+                予測の前提
+              </Button>
+              <Button variant="outlined" startIcon={<PrintIcon />} onClick={() => printElement(reportRef.current, `資金繰り予測_${forecast.startDate}`)} disabled={!forecast}>
+                印刷・PDF
+              </Button>
+              <Button variant="outlined" startIcon={<DownloadIcon />} onClick={exportData} disabled={!forecast}>
+                CSV出力
+              </Button>
+            </Stack>
+          </Box>
+        </motion.div>
+
+        {/* Options */}
+        <motion.div variants={itemVariants}>
+          <GlassCard sx={{ mb: 4 }}>
+            <GlassCardContent>
+              <Stack direction={{ xs: 'column', md: 'row' }} spacing={2} alignItems={{ md: 'center' }}>
+                <ToggleButtonGroup size="small" exclusive value={months} onChange={(e, value) => value && setMonths(value)}>
+                  {FORECAST_HORIZONS.map(value => (
+                    <ToggleButton key={value} value={value}>{value}か月</ToggleButton>
+                  ))}
+                </ToggleButtonGroup>
+                <ToggleButtonGroup size="small" exclusive value={scenario} onChange={(e, value) => value && setScenario(value)}>
+                  {Object.entries(SCENARIOS).map(([key, label]) => (
+                    <ToggleButton key={key} value={key}>{label}</ToggleButton>
+                  ))}
+                </ToggleButtonGroup>
+                <TextField
+                  label="開始残高"
+                  type="number"
+                  size="small"
+                  value={balanceInput}
+                  onChange={(e) => setBalanceInput(e.target.value)}
+                  onBlur={applyBalance}
+                  onKeyDown={(e) => e.key === 'Enter' && applyBalance()}
+                  placeholder={forecast && startingBalance === '' ? String(forecast.startingBalance) : ''}
+                  helperText="空欄の場合は決済口座の現在残高"
+                  InputProps={{ startAdornment: <InputAdornment position="start">¥</InputAdornment> }}
+                />
+              </Stack>
+            </GlassCardContent>
+          </GlassCard>
+        </motion.div>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 3 }}>{error}</Alert>
+        )}
+
+        {forecast && (
+          <>
+            {/* Summary */}
+            <motion.div variants={itemVariants}>
+              <Grid container spacing={3} sx={{ mb: 4 }}>
+                {[
+                  { label: '開始残高', value: forecast.startingBalance, note: forecast.startDate },
+                  { label: '期末残高', value: forecast.rows.at(-1)?.closingBalance ?? forecast.startingBalance, note: forecast.endDate },
+                  {
+                    label: '期間中の最少残高',
+                    value: forecast.lowest.balance,
+                    note: forecast.lowest.date,
+                    color: forecast.lowest.balance < forecast.minimumBalance ? 'error.main' : undefined
+                  },
+                ].map((card) => (
+                  <Grid item xs={12} md={4} key={card.label}>
+                    <GlassCard>
+                      <GlassCardContent>
+                        <Typography variant="body2" color="text.secondary" gutterBottom>
+                          {card.label}
+                        </Typography>
+                        <Typography variant="h4" fontWeight="bold" color={card.color}>
+                          {formatCurrency(card.value)}
+                        </Typography>
+                        <Typography variant="caption" color="text.secondary">
+                          {card.note}
+                        </Typography>
+                      </GlassCardContent>
+                    </GlassCard>
+                  </Grid>
+                ))}
+              </Grid>
+            </motion.div>
+
+            <motion.div variants={itemVariants}>
+              {forecast.shortfallDate ? (
+                <Alert severity="error" sx={{ mb: 3 }}>
+                  {SCENARIOS[scenario]}シナリオでは {forecast.shortfallDate} に残高が最低残高（{formatCurrency(forecast.minimumBalance)}）を下回る見込みです。
+                </Alert>
+              ) : (
+                <Alert severity="success" sx={{ mb: 3 }}>
+                  {SCENARIOS[scenario]}シナリオでは期間中、残高は最低残高（{formatCurrency(forecast.minimumBalance)}）を下回りません。
+                </Alert>
+              )}
+            </motion.div>
+
+            {/* Balance chart */}
+            <motion.div variants={itemVariants}>
+              <GlassCard sx={{ mb: 4 }}>
+                <GlassCardContent>
+                  <Typography variant="h6" fontWeight="bold" gutterBottom>
+                    残高の推移
+                  </Typography>
+                  <Box sx={{ height: 360 }}>
+                    <Line data={chartData} options={chartOptions} />
+                  </Box>
+                </GlassCardContent>
+              </GlassCard>
+            </motion.div>
+
+            {/* Monthly table */}
+            <motion.div variants={itemVariants}>
+              <GlassCard sx={{ mb: 4 }}>
+                <GlassCardContent>
+                  <Typography variant="h6" fontWeight="bold" gutterBottom>
+                    資金繰り表（{SCENARIOS[scenario]}）
+                  </Typography>
+                  <TableContainer>
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell />
+                          {forecast.rows.map(row => (
+                            <TableCell key={row.month} align="right">{row.month}</TableCell>
+                          ))}
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        <TableRow>
+                          <TableCell>月初残高</TableCell>
+                          {forecast.rows.map(row => (
+                            <TableCell key={row.month} align="right">{formatCurrency(row.openingBalance)}</TableCell>
+                          ))}
+                        </TableRow>
+                        <TableRow sx={{ '& td': { fontWeight: 'bold', color: 'success.main' } }}>
+                          <TableCell>収入</TableCell>
+                          {forecast.rows.map(row => (
+                            <TableCell key={row.month} align="right">{formatCurrency(row.inflow)}</TableCell>
+                          ))}
+                        </TableRow>
+                        {renderSourceRows(INFLOW_KEYS, 1)}
+                        <TableRow sx={{ '& td': { fontWeight: 'bold', color: 'error.main' } }}>
+                          <TableCell>支出</TableCell>
+                          {forecast.rows.map(row => (
+                            <TableCell key={row.month} align="right">{formatCurrency(row.outflow)}</TableCell>
+                          ))}
+                        </TableRow>
+                        {renderSourceRows(OUTFLOW_KEYS, -1)}
+                        <TableRow>
+                          <TableCell>収支</TableCell>
+                          {forecast.rows.map(row => (
+                            <TableCell key={row.month} align="right">{formatCurrency(row.net)}</TableCell>
+                          ))}
+                        </TableRow>
+                        <TableRow>
+                          <TableCell sx={{ fontWeight: 'bold' }}>月末残高</TableCell>
+                          {forecast.rows.map(row => (
+                            <React.Fragment key={row.month}>{balanceCell(row.closingBalance)}</React.Fragment>
+                          ))}
+                        </TableRow>
+                        <TableRow>
+                          <TableCell>月中最低残高</TableCell>
+                          {forecast.rows.map(row => (
+                            <React.Fragment key={row.month}>{balanceCell(row.lowestBalance)}</React.Fragment>
+                          ))}
+                        </TableRow>
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                </GlassCardContent>
+              </GlassCard>
+            </motion.div>
+
+            <motion.div variants={itemVariants}>
+              <Grid container spacing={3} sx={{ mb: 4 }}>
+                <Grid item xs={12} md={5}>
+                  <GlassCard>
+                    <GlassCardContent>
+                      <Typography variant="h6" fontWeight="bold" gutterBottom>
+                        カテゴリ別の平均支出
+                      </Typography>
+                      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                        過去{forecast.runRateMonths}か月の平均（定期取引を除く）に{forecast.assumptions.expenseRate}%を掛けた額を毎日均等に見込みます
+                      </Typography>
+                      {forecast.categories.length === 0 ? (
+                        <Typography color="text.secondary" sx={{ py: 3, textAlign: 'center' }}>
+                          対象期間の支出がありません
+                        </Typography>
+                      ) : (
+                        <Table size="small">
+                          <TableHead>
+                            <TableRow>
+                              <TableCell>カテゴリ</TableCell>
+                              <TableCell align="right">月平均</TableCell>
+                              <TableCell align="right">予測（月額）</TableCell>
+                            </TableRow>
+                          </TableHead>
+                          <TableBody>
+                            {forecast.categories.map(row => (
+                              <TableRow key={String(row.categoryId)}>
+                                <TableCell>{row.name}</TableCell>
+                                <TableCell align="right">{formatCurrency(row.monthlyAverage)}</TableCell>
+                                <TableCell align="right">{formatCurrency(row.projectedMonthly)}</TableCell>
+                              </TableRow>
+                            ))}
+                          </TableBody>
+                        </Table>
+                      )}
+                    </GlassCardContent>
+                  </GlassCard>
+                </Grid>
+                <Grid item xs={12} md={7}>
+                  <GlassCard>
+                    <GlassCardContent>
+                      <Typography variant="h6" fontWeight="bold" gutterBottom>
+                        予定されている入出金
+                      </Typography>
+                      {forecast.flows.length === 0 ? (
+                        <Typography color="text.secondary" sx={{ py: 3, textAlign: 'center' }}>
+                          期間中に予定されている入出金はありません
+                        </Typography>
+                      ) : (
+                        <TableContainer sx={{ maxHeight: 400 }}>
+                          <Table size="small" stickyHeader>
+                            <TableHead>
+                              <TableRow>
+                                <TableCell>予定日</TableCell>
+                                <TableCell>区分</TableCell>
+                                <TableCell>内容</TableCell>
+                                <TableCell align="right">金額</TableCell>
+                              </TableRow>
+                            </TableHead>
+                            <TableBody>
+                              {forecast.flows.map((flow, index) => (
+                                <TableRow key={index} hover>
+                                  <TableCell sx={{ whiteSpace: 'nowrap' }}>{flow.date}</TableCell>
+                                  <TableCell sx={{ whiteSpace: 'nowrap' }}>{FLOW_SOURCES[flow.source].label}</TableCell>
+                                  <TableCell>{flow.label}</TableCell>
+                                  <TableCell align="right" sx={{ color: flow.amount > 0 ? 'success.main' : 'error.main' }}>
+                                    {formatCurrency(flow.amount)}
+                                  </TableCell>
+                                </TableRow>
+                              ))}
+                            </TableBody>
+                          </Table>
+                        </TableContainer>
+                      )}
+                    </GlassCardContent>
+                  </GlassCard>
+                </Grid>
+              </Grid>
+            </motion.div>
+
+            <Box sx={{ display: 'none' }}>
+              <CashFlowReport ref={reportRef} forecast={forecast} />
+            </Box>
+          </>
+        )}
+
+        <CashFlowScenarioDialog
+          open={dialogOpen}
+          settings={settings}
+          onClose={() => setDialogOpen(false)}
+          onSaved={() => {
+            setDialogOpen(false);
+            loadData();
+          }}
+        />
+      </motion.div>
+    </Container>
+  );
+};
+
+export default CashFlow;
@@ -29,7 +29,11 @@ import GlassCard, { GlassCardContent, GlassCardPresets } from '../components/com
 import expenseService from '../services/expenseService';
 import incomeService from '../services/incomeService';
 import categoryService from '../services/categoryService';
-import { formatDate } from '../utils/formatters';
+import BudgetVsActualWidget from '../components/Budget/BudgetVsActualWidget';
+import CashFlowWidget from '../components/Analytics/CashFlowWidget';
+import { formatDate, formatCurrency } from '../utils/formatters';
+import { formatMoney } from '../utils/currency';
+import exchangeRateService, { getBaseCurrency } from '../services/exchangeRateService';
 import useSettings from '../hooks/useSettings';
 
 const Dashboard = () => {
@@ -61,6 +65,7 @@ const Dashboard = () => {
   });
 
   const [loading, setLoading] = useState(true);
+  const [baseCurrency, setBaseCurrency] = useState(getBaseCurrency);
 
   // Load data from storage
   useEffect(() => {
@@ -102,15 +107,20 @@ const Dashboard = () => {
         endOfPrevMonth.toISOString()
       );
 
+      // Amounts are summed in the base currency
+      const converter = await exchangeRateService.createBaseCurrencyConverter();
+      const { toBaseAmount } = converter;
+      setBaseCurrency(converter.baseCurrency);
+
       // Calculate totals
       const totalExpenses = currentExpenses.success ? 
-        currentExpenses.data.reduce((sum, exp) => sum + exp.amount, 0) : 0;
+        currentExpenses.data.reduce((sum, exp) => sum + toBaseAmount(exp), 0) : 0;
       const totalIncome = currentIncome.success ? 
-        currentIncome.data.reduce((sum, inc) => sum + inc.amount, 0) : 0;
+        currentIncome.data.reduce((sum, inc) => sum + toBaseAmount(inc), 0) : 0;
       const previousExpenses = prevExpenses.success ? 
-        prevExpenses.data.reduce((sum, exp) => sum + exp.amount, 0) : 0;
+        prevExpenses.data.reduce((sum, exp) => sum + toBaseAmount(exp), 0) : 0;
       const previousIncome = prevIncome.success ? 
-        prevIncome.data.reduce((sum, inc) => sum + inc.amount, 0) : 0;
+        prevIncome.data.reduce((sum, inc) => sum + toBaseAmount(inc), 0) : 0;
 
       setStats({
         totalIncome,
@@ -128,11 +138,12 @@ const Dashboard = () => {
         ...(currentExpenses.success ? currentExpenses.data.map(e => ({
           ...e,
           type: 'expense',
-          amount: -e.amount
+          amount: -toBaseAmount(e)
         })) : []),
         ...(currentIncome.success ? currentIncome.data.map(i => ({
           ...i,
-          type: 'income'
+          type: 'income',
+          amount: toBaseAmount(i)
         })) : [])
       ].sort((a, b) => new Date(b.date) - new Date(a.date)).slice(0, 5);
 
@@ -158,7 +169,7 @@ const Dashboard = () => {
         const expensesByCategory = {};
         currentExpenses.data.forEach(exp => {
           const categoryName = categoryMap[exp.categoryId]?.name || 'その他';
-          expensesByCategory[categoryName] = (expensesByCategory[categoryName] || 0) + exp.amount;
+          expensesByCategory[categoryName] = (expensesByCategory[categoryName] || 0) + toBaseAmount(exp);
         });
 
         const sortedCategories = Object.entries(expensesByCategory)
@@ -209,9 +220,9 @@ const Dashboard = () => {
         );
 
         expenseData.push(monthExpenses.success ? 
-          monthExpenses.data.reduce((sum, exp) => sum + exp.amount, 0) : 0);
+          monthExpenses.data.reduce((sum, exp) => sum + toBaseAmount(exp), 0) : 0);
         incomeData.push(monthIncome.success ? 
-          monthIncome.data.reduce((sum, inc) => sum + inc.amount, 0) : 0);
+          monthIncome.data.reduce((sum, inc) => sum + toBaseAmount(inc), 0) : 0);
       }
 
       setTrendData({
@@ -260,7 +271,7 @@ const Dashboard = () => {
         ticks: {
           color: theme.palette.text.secondary,
           callback: function(value) {
-            return '¥' + value.toLocaleString();
+            return formatCurrency(value, false, baseCurrency);
           },
         },
       },
@@ -370,7 +381,7 @@ const Dashboard = () => {
                         今月の収入
                       </Typography>
                       <Typography variant="h4" fontWeight="bold">
-                        ¥{stats.totalIncome.toLocaleString()}
+                        {formatCurrency(stats.totalIncome, false, baseCurrency)}
                       </Typography>
                       <Chip
                         icon={incomeChange.isPositive ? <ArrowUpwardIcon /> : <ArrowDownwardIcon />}
@@ -405,7 +416,7 @@ const Dashboard = () => {
                         今月の支出
                       </Typography>
                       <Typography variant="h4" fontWeight="bold">
-                        ¥{stats.totalExpenses.toLocaleString()}
+                        {formatCurrency(stats.totalExpenses, false, baseCurrency)}
                       </Typography>
                       <Chip
                         icon={expenseChange.isPositive ? <ArrowUpwardIcon /> : <ArrowDownwardIcon />}
@@ -440,7 +451,7 @@ const Dashboard = () => {
                         純利益
                       </Typography>
                       <Typography variant="h4" fontWeight="bold">
-                        ¥{stats.netProfit.toLocaleString()}
+                        {formatCurrency(stats.netProfit, false, baseCurrency)}
                       </Typography>
                       <Chip
                         icon={<AccountBalanceIcon />}
@@ -546,6 +557,24 @@ const Dashboard = () => {
           </Grid>
         </Grid>
 
+        {/* Budget vs Actual */}
+        <Grid container spacing={3} sx={{ mb: 4 }}>
+          <Grid item xs={12}>
+            <motion.div variants={itemVariants}>
+              <BudgetVsActualWidget />
+            </motion.div>
+          </Grid>
+        </Grid>
+
+        {/* Cash Flow Forecast */}
+        <Grid container spacing={3} sx={{ mb: 4 }}>
+          <Grid item xs={12}>
+            <motion.div variants={itemVariants}>
+              <CashFlowWidget />
+            </motion.div>
+          </Grid>
+        </Grid>
+
         {/* Recent Transactions */}
         <Grid container spacing={3}>
           <Grid item xs={12}>
@@ -601,7 +630,12 @@ const Dashboard = () => {
                               fontWeight="bold"
                               sx={{ ml: 2 }}
                             >
-                              ¥{Math.abs(transaction.amount).toLocaleString()}
+                              {formatCurrency(Math.abs(transaction.amount), false, baseCurrency)}
+                              {transaction.originalAmount > 0 && (
+                                <Typography variant="caption" color="text.secondary" component="span" sx={{ display: 'block', textAlign: 'right' }}>
+                                  {formatMoney(transaction.originalAmount, transaction.currency)}
+                                </Typography>
+                              )}
                             </Typography>
                           </ListItem>
                           {index < recentTransactions.length - 1 && <Divider />}
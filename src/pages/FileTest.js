@@ -20,9 +20,13 @@ const FileTest = () => {
     if (uploadResult.success) {
       // Test 2: Get file by ID
       const getResult = await fileService.getFileById(uploadResult.data.id);
-      addTestResult('Get File By ID', getResult.success, `Data present: ${!!getResult.data?.data}`);
+      addTestResult('Get File By ID', getResult.success, `Hash: ${getResult.data?.hash}`);
 
-      // Test 3: Get files by IDs
+      // Test 3: Get file blob
+      const blobResult = await fileService.getFileBlob(uploadResult.data.id);
+      addTestResult('Get File Blob', blobResult.success, `Blob size: ${blobResult.data?.size}`);
+
+      // Test 4: Get files by IDs
       const getMultipleResult = await fileService.getFilesByIds([uploadResult.data.id]);
       addTestResult('Get Files By IDs', getMultipleResult.success, `Files count: ${getMultipleResult.data?.length}`);
     }
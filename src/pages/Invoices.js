@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   Container,
   Grid,
@@ -25,6 +25,14 @@ import {
   Fab,
   Tooltip,
   Divider,
+  Tabs,
+  Tab,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
 } from '@mui/material';
 import {
   Receipt as ReceiptIcon,
@@ -40,17 +48,30 @@ import {
   Link as LinkIcon,
   Image as ImageIcon,
   Close as CloseIcon,
+  Print as PrintIcon,
+  Block as CancelIcon,
+  Settings as SettingsIcon,
 } from '@mui/icons-material';
 import { motion } from 'framer-motion';
+import { useNavigate } from 'react-router-dom';
 import GlassCard, { GlassCardContent, GlassCardPresets } from '../components/common/GlassCard';
-import invoiceService from '../services/invoiceService';
+import invoiceService, { INVOICE_DIRECTIONS, ISSUED_INVOICE_STATUSES, isIssuedInvoice } from '../services/invoiceService';
 import { formatDate } from '../utils/formatters';
 import useSettings from '../hooks/useSettings';
 import FileUpload from '../components/Registration/FileUpload';
 import FilePreviewDialog from '../components/common/FilePreviewDialog';
+import { getBaseCurrency } from '../services/exchangeRateService';
+import IssuedInvoiceDialog from '../components/Invoices/IssuedInvoiceDialog';
+import InvoicePaymentDialog from '../components/Invoices/InvoicePaymentDialog';
+import InvoiceDocument from '../components/Invoices/InvoiceDocument';
+import ReceivablesAging from '../components/Invoices/ReceivablesAging';
+import PaymentMatches from '../components/Invoices/PaymentMatches';
+import { printElement } from '../utils/print';
 
 const Invoices = () => {
   const { settings } = useSettings();
+  const navigate = useNavigate();
+  const [direction, setDirection] = useState('payable');
   const [invoices, setInvoices] = useState([]);
   const [stats, setStats] = useState({});
   const [loading, setLoading] = useState(true);
@@ -73,14 +94,21 @@ const Invoices = () => {
   const [previewDialogOpen, setPreviewDialogOpen] = useState(false);
   const [previewIndex, setPreviewIndex] = useState(0);
   const [error, setError] = useState('');
+  const [issuer, setIssuer] = useState(null);
+  const [issuedDialog, setIssuedDialog] = useState({ open: false, invoice: null });
+  const [documentInvoice, setDocumentInvoice] = useState(null);
+  const [paymentInvoiceId, setPaymentInvoiceId] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const documentRef = useRef(null);
 
   // Load invoices and stats
-  const loadData = async () => {
+  const loadData = useCallback(async () => {
     try {
-      setLoading(true);
-      const [invoicesResult, statsResult] = await Promise.all([
+      await invoiceService.refreshInvoiceStatuses();
+      const [invoicesResult, statsResult, issuerResult] = await Promise.all([
         invoiceService.getAllInvoices(),
-        invoiceService.getInvoiceStats()
+        invoiceService.getInvoiceStats(direction),
+        invoiceService.getIssuerProfile()
       ]);
 
       if (invoicesResult.success) {
@@ -89,17 +117,27 @@ const Invoices = () => {
       if (statsResult.success) {
         setStats(statsResult.data);
       }
+      if (issuerResult.success) {
+        setIssuer(issuerResult.data);
+      }
+      setRefreshKey(key => key + 1);
     } catch (error) {
       console.error('Failed to load data:', error);
       setError('データの読み込みに失敗しました。');
     } finally {
       setLoading(false);
     }
-  };
+  }, [direction]);
 
   useEffect(() => {
     loadData();
-  }, []);
+  }, [loadData]);
+
+  const visibleInvoices = invoices.filter(invoice => (invoice.direction || 'payable') === direction);
+  const issuedInvoices = visibleInvoices
+    .filter(isIssuedInvoice)
+    .sort((a, b) => b.invoiceNumber.localeCompare(a.invoiceNumber, undefined, { numeric: true }));
+  const paymentInvoice = invoices.find(invoice => invoice.id === paymentInvoiceId) || null;
 
   // Handle form submission
   const handleSubmit = async () => {
@@ -255,11 +293,27 @@ const Invoices = () => {
     }
   };
 
+  // Handle cancelling an issued invoice
+  const handleCancelIssued = async (invoice) => {
+    const reason = window.prompt(`請求書 ${invoice.invoiceNumber} を取り消します。理由を入力してください。`);
+    if (reason === null) return;
+    const result = await invoiceService.cancelIssuedInvoice(invoice.id, reason);
+    if (result.success) {
+      await loadData();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handlePrint = () => {
+    printElement(documentRef.current, `請求書_${documentInvoice.invoiceNumber}_${documentInvoice.client}`);
+  };
+
   // Format currency
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('ja-JP', {
       style: 'currency',
-      currency: 'JPY'
+      currency: getBaseCurrency()
     }).format(amount);
   };
 
@@ -267,7 +321,23 @@ const Invoices = () => {
   const getStatusInfo = (invoice) => {
     const now = new Date();
     const dueDate = new Date(invoice.dueDate);
-    
+
+    if (isIssuedInvoice(invoice)) {
+      const label = ISSUED_INVOICE_STATUSES[invoice.status] || ISSUED_INVOICE_STATUSES.sent;
+      switch (invoice.status) {
+        case 'cancelled':
+          return { color: 'default', icon: <CancelIcon />, label };
+        case 'paid':
+          return { color: 'success', icon: <CheckCircleIcon />, label };
+        case 'overdue':
+          return { color: 'error', icon: <WarningIcon />, label };
+        case 'partial':
+          return { color: 'info', icon: <PendingIcon />, label };
+        default:
+          return { color: 'warning', icon: <PendingIcon />, label };
+      }
+    }
+
     if (invoice.status === 'paid') {
       return { color: 'success', icon: <CheckCircleIcon />, label: '支払済' };
     } else if (dueDate < now) {
@@ -344,6 +414,14 @@ const Invoices = () => {
           </Alert>
         )}
 
+        <motion.div variants={itemVariants}>
+          <Tabs value={direction} onChange={(e, value) => setDirection(value)} sx={{ mb: 3 }}>
+            {Object.entries(INVOICE_DIRECTIONS).map(([value, label]) => (
+              <Tab key={value} value={value} label={label} />
+            ))}
+          </Tabs>
+        </motion.div>
+
         {/* Statistics Cards */}
         <motion.div variants={itemVariants}>
           <Grid container spacing={3} sx={{ mb: 4 }}>
@@ -379,7 +457,7 @@ const Invoices = () => {
                         {stats.pending || 0}
                       </Typography>
                       <Typography variant="caption" color="text.secondary">
-                        未払い
+                        {direction === 'issued' ? '未入金' : '未払い'}
                       </Typography>
                     </Box>
                   </Box>
@@ -399,7 +477,7 @@ const Invoices = () => {
                         {stats.overdue || 0}
                       </Typography>
                       <Typography variant="caption" color="text.secondary">
-                        期限切れ
+                        {direction === 'issued' ? '期限超過' : '期限切れ'}
                       </Typography>
                     </Box>
                   </Box>
@@ -419,7 +497,7 @@ const Invoices = () => {
                         {formatCurrency(stats.paidAmount || 0)}
                       </Typography>
                       <Typography variant="caption" color="text.secondary">
-                        支払済み金額
+                        {direction === 'issued' ? '入金済み金額' : '支払済み金額'}
                       </Typography>
                     </Box>
                   </Box>
@@ -436,23 +514,116 @@ const Invoices = () => {
               <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
                 <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                   <ReceiptIcon />
-                  請求書一覧
+                  {INVOICE_DIRECTIONS[direction]}一覧
                 </Typography>
-                <Button
-                  variant="contained"
-                  startIcon={<RefreshIcon />}
-                  onClick={loadData}
-                  sx={{
-                    background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
-                  }}
-                >
-                  更新
-                </Button>
+                <Stack direction="row" spacing={1}>
+                  {direction === 'issued' && (
+                    <Button
+                      variant="outlined"
+                      startIcon={<SettingsIcon />}
+                      onClick={() => navigate('/settings', { state: { tab: 'invoiceIssuer' } })}
+                    >
+                      発行者情報
+                    </Button>
+                  )}
+                  <Button
+                    variant="contained"
+                    startIcon={<RefreshIcon />}
+                    onClick={loadData}
+                    sx={{
+                      background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                    }}
+                  >
+                    更新
+                  </Button>
+                </Stack>
               </Box>
 
-              {invoices.length > 0 ? (
+              {direction === 'issued' && !issuer?.name && (
+                <Alert severity="info" sx={{ mb: 2 }}>
+                  請求書を発行するには、設定の「請求書発行」で発行者名・登録番号・振込先を登録してください。
+                </Alert>
+              )}
+
+              {direction === 'issued' ? (
+                issuedInvoices.length > 0 ? (
+                  <TableContainer>
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>請求番号</TableCell>
+                          <TableCell>請求先</TableCell>
+                          <TableCell>件名</TableCell>
+                          <TableCell>請求日</TableCell>
+                          <TableCell>支払期限</TableCell>
+                          <TableCell align="right">請求額</TableCell>
+                          <TableCell align="right">未入金</TableCell>
+                          <TableCell>状態</TableCell>
+                          <TableCell align="right">操作</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {issuedInvoices.map((invoice) => {
+                          const statusInfo = getStatusInfo(invoice);
+                          const editable = invoice.status !== 'cancelled' && !(invoice.payments || []).length;
+                          return (
+                            <TableRow key={invoice.id} hover>
+                              <TableCell sx={{ whiteSpace: 'nowrap' }}>{invoice.invoiceNumber}</TableCell>
+                              <TableCell>{invoice.client}</TableCell>
+                              <TableCell>{invoice.title}</TableCell>
+                              <TableCell sx={{ whiteSpace: 'nowrap' }}>{formatDate(invoice.issueDate, settings.dateFormat)}</TableCell>
+                              <TableCell sx={{ whiteSpace: 'nowrap' }}>{formatDate(invoice.dueDate, settings.dateFormat)}</TableCell>
+                              <TableCell align="right">{formatCurrency(invoice.amount)}</TableCell>
+                              <TableCell align="right">
+                                {invoice.status === 'cancelled' ? '—' : formatCurrency(invoiceService.getInvoiceOutstanding(invoice))}
+                              </TableCell>
+                              <TableCell>
+                                <Chip size="small" label={statusInfo.label} color={statusInfo.color} />
+                              </TableCell>
+                              <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                                <Tooltip title="表示・印刷">
+                                  <IconButton size="small" onClick={() => setDocumentInvoice(invoice)}>
+                                    <PrintIcon fontSize="small" />
+                                  </IconButton>
+                                </Tooltip>
+                                {invoice.status !== 'cancelled' && (
+                                  <Tooltip title="入金">
+                                    <IconButton size="small" color="success" onClick={() => setPaymentInvoiceId(invoice.id)}>
+                                      <PaymentIcon fontSize="small" />
+                                    </IconButton>
+                                  </Tooltip>
+                                )}
+                                {editable && (
+                                  <Tooltip title="編集">
+                                    <IconButton size="small" color="primary" onClick={() => setIssuedDialog({ open: true, invoice })}>
+                                      <EditIcon fontSize="small" />
+                                    </IconButton>
+                                  </Tooltip>
+                                )}
+                                {editable && (
+                                  <Tooltip title="取消">
+                                    <IconButton size="small" color="error" onClick={() => handleCancelIssued(invoice)}>
+                                      <CancelIcon fontSize="small" />
+                                    </IconButton>
+                                  </Tooltip>
+                                )}
+                              </TableCell>
+                            </TableRow>
+                          );
+                        })}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                ) : (
+                  <Box sx={{ textAlign: 'center', py: 4 }}>
+                    <Typography color="text.secondary">
+                      発行した請求書がありません
+                    </Typography>
+                  </Box>
+                )
+              ) : visibleInvoices.length > 0 ? (
                 <List>
-                  {invoices.map((invoice) => {
+                  {visibleInvoices.map((invoice) => {
                     const statusInfo = getStatusInfo(invoice);
                     return (
                       <ListItem
@@ -571,6 +742,34 @@ const Invoices = () => {
           </GlassCard>
         </motion.div>
 
+        {direction === 'issued' && (
+          <Grid container spacing={3} sx={{ mt: 1 }}>
+            <Grid item xs={12}>
+              <motion.div variants={itemVariants}>
+                <GlassCard>
+                  <GlassCardContent>
+                    <ReceivablesAging refreshKey={refreshKey} formatCurrency={formatCurrency} />
+                  </GlassCardContent>
+                </GlassCard>
+              </motion.div>
+            </Grid>
+            <Grid item xs={12}>
+              <motion.div variants={itemVariants}>
+                <GlassCard>
+                  <GlassCardContent>
+                    <PaymentMatches
+                      refreshKey={refreshKey}
+                      formatCurrency={formatCurrency}
+                      onChanged={loadData}
+                      onError={setError}
+                    />
+                  </GlassCardContent>
+                </GlassCard>
+              </motion.div>
+            </Grid>
+          </Grid>
+        )}
+
         {/* Floating Action Button */}
         <Fab
           color="primary"
@@ -581,7 +780,7 @@ const Invoices = () => {
             right: 16,
             background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
           }}
-          onClick={handleNewInvoice}
+          onClick={direction === 'issued' ? () => setIssuedDialog({ open: true, invoice: null }) : handleNewInvoice}
         >
           <AddIcon />
         </Fab>
@@ -810,6 +1009,52 @@ const Invoices = () => {
           </DialogActions>
         </Dialog>
 
+        {/* Issued Invoice Dialog */}
+        <IssuedInvoiceDialog
+          open={issuedDialog.open}
+          invoice={issuedDialog.invoice}
+          issuer={issuer}
+          onClose={() => setIssuedDialog({ open: false, invoice: null })}
+          onSaved={async (invoice) => {
+            setIssuedDialog({ open: false, invoice: null });
+            await loadData();
+            setDocumentInvoice(invoice);
+          }}
+        />
+
+        {/* Invoice Document Dialog */}
+        <Dialog
+          open={Boolean(documentInvoice)}
+          onClose={() => setDocumentInvoice(null)}
+          maxWidth="md"
+          fullWidth
+        >
+          <DialogTitle>請求書 {documentInvoice?.invoiceNumber}</DialogTitle>
+          <DialogContent>
+            <Box sx={{ border: '1px solid', borderColor: 'divider' }}>
+              <InvoiceDocument
+                ref={documentRef}
+                invoice={documentInvoice}
+                dateFormat={settings.dateFormat}
+              />
+            </Box>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setDocumentInvoice(null)}>閉じる</Button>
+            <Button onClick={handlePrint} variant="contained" startIcon={<PrintIcon />}>
+              印刷・PDF保存
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        {/* Payment Dialog */}
+        <InvoicePaymentDialog
+          open={Boolean(paymentInvoice)}
+          invoice={paymentInvoice}
+          onClose={() => setPaymentInvoiceId(null)}
+          onChanged={loadData}
+        />
+
         {/* File Preview Dialog */}
         <FilePreviewDialog
           open={previewDialogOpen}
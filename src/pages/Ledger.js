@@ -0,0 +1,376 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Tabs,
+  Tab,
+  Alert,
+  Chip,
+  Select,
+  MenuItem,
+  ListSubheader,
+  FormControl,
+  InputLabel,
+  Stack,
+} from '@mui/material';
+import { motion } from 'framer-motion';
+import GlassCard, { GlassCardContent } from '../components/common/GlassCard';
+import PeriodPicker, { getPresetRange } from '../components/common/PeriodPicker';
+import journalService, { ACCOUNT_TYPES, isDebitNormal } from '../services/journalService';
+import { getBaseCurrency } from '../services/exchangeRateService';
+
+const SOURCE_LABELS = {
+  expense: '支出',
+  reimbursement: '立替精算',
+  income: '収入',
+  invoice: '請求',
+  invoice_payment: '入金',
+  bill: '請求書受領',
+  bill_payment: '支払',
+  opening: '開始残高'
+};
+
+// Pair debit and credit lines side by side like a paper journal
+const journalRows = (entry) => {
+  const debits = entry.lines.filter(line => line.debit > 0);
+  const credits = entry.lines.filter(line => line.credit > 0);
+  return Array.from({ length: Math.max(debits.length, credits.length) }, (_, index) => ({
+    debit: debits[index] || null,
+    credit: credits[index] || null
+  }));
+};
+
+const Ledger = () => {
+  const [tab, setTab] = useState('trial');
+  const [preset, setPreset] = useState('year');
+  const [range, setRange] = useState(() => {
+    const { start, end } = getPresetRange('year');
+    return { start, end };
+  });
+  const [accounts, setAccounts] = useState([]);
+  const [accountKey, setAccountKey] = useState('');
+  const [trialBalance, setTrialBalance] = useState(null);
+  const [ledger, setLedger] = useState(null);
+  const [journal, setJournal] = useState([]);
+  const [error, setError] = useState('');
+
+  const validRange = Boolean(range.start && range.end && range.start <= range.end);
+
+  const loadData = useCallback(async () => {
+    if (!validRange) return;
+
+    const [accountsResult, trialResult, journalResult] = await Promise.all([
+      journalService.getAccounts(),
+      journalService.getTrialBalance(range.start, range.end),
+      journalService.getJournal(range.start, range.end)
+    ]);
+
+    if (!accountsResult.success || !trialResult.success || !journalResult.success) {
+      setError(accountsResult.error || trialResult.error || journalResult.error || '帳簿の読み込みに失敗しました');
+      return;
+    }
+
+    setAccounts(accountsResult.data);
+    setTrialBalance(trialResult.data);
+    setJournal(journalResult.data.entries);
+    setError('');
+    setAccountKey(prev => prev || trialResult.data.rows[0]?.key || accountsResult.data[0]?.key || '');
+  }, [range, validRange]);
+
+  const loadLedger = useCallback(async () => {
+    if (!validRange || !accountKey) return;
+    const result = await journalService.getLedger(accountKey, range.start, range.end);
+    if (result.success) {
+      setLedger(result.data);
+    } else {
+      setError(result.error || '総勘定元帳の読み込みに失敗しました');
+    }
+  }, [accountKey, range, validRange]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  useEffect(() => {
+    loadLedger();
+  }, [loadLedger]);
+
+  const handlePeriodChange = (value, nextRange) => {
+    setPreset(value);
+    setRange(nextRange);
+  };
+
+  const openLedger = (key) => {
+    setAccountKey(key);
+    setTab('ledger');
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('ja-JP', {
+      style: 'currency',
+      currency: getBaseCurrency()
+    }).format(amount);
+  };
+
+  const formatAmount = (amount) => (amount ? formatCurrency(amount) : '');
+
+  // Account select grouped by 資産・負債・純資産・収益・費用
+  const accountOptions = useMemo(() => Object.entries(ACCOUNT_TYPES).flatMap(([type, label]) => {
+    const items = accounts.filter(account => account.type === type);
+    if (items.length === 0) return [];
+    return [
+      <ListSubheader key={`header-${type}`}>{label}</ListSubheader>,
+      ...items.map(account => (
+        <MenuItem key={account.key} value={account.key}>
+          {account.code} {account.name}
+        </MenuItem>
+      ))
+    ];
+  }), [accounts]);
+
+  const containerVariants = {
+    hidden: { opacity: 0 },
+    visible: {
+      opacity: 1,
+      transition: { staggerChildren: 0.1 }
+    }
+  };
+
+  const itemVariants = {
+    hidden: { opacity: 0, y: 20 },
+    visible: {
+      opacity: 1,
+      y: 0,
+      transition: { duration: 0.5 }
+    }
+  };
+
+  const renderTrialBalance = () => (
+    <>
+      {!trialBalance.isBalanced && (
+        <Alert severity="error" sx={{ m: 2 }}>
+          借方と貸方の合計が一致していません。取引データを確認してください。
+        </Alert>
+      )}
+      {trialBalance.suspenseEntries > 0 && (
+        <Alert severity="warning" sx={{ m: 2 }}>
+          支払口座が見つからない取引が{trialBalance.suspenseEntries}件あり、仮払金に計上しています。取引の支払口座を設定してください。
+        </Alert>
+      )}
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>コード</TableCell>
+              <TableCell>勘定科目</TableCell>
+              <TableCell>区分</TableCell>
+              <TableCell align="right">前期繰越</TableCell>
+              <TableCell align="right">借方</TableCell>
+              <TableCell align="right">貸方</TableCell>
+              <TableCell align="right">借方残高</TableCell>
+              <TableCell align="right">貸方残高</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {trialBalance.rows.map((row) => (
+              <TableRow key={row.key} hover onClick={() => openLedger(row.key)} sx={{ cursor: 'pointer' }}>
+                <TableCell>{row.code}</TableCell>
+                <TableCell>{row.name}</TableCell>
+                <TableCell>
+                  <Chip label={ACCOUNT_TYPES[row.type]} size="small" variant="outlined" />
+                </TableCell>
+                <TableCell align="right">{formatAmount(row.openingBalance)}</TableCell>
+                <TableCell align="right">{formatAmount(row.debit)}</TableCell>
+                <TableCell align="right">{formatAmount(row.credit)}</TableCell>
+                <TableCell align="right">{isDebitNormal(row) ? formatAmount(row.closingBalance) : ''}</TableCell>
+                <TableCell align="right">{isDebitNormal(row) ? '' : formatAmount(row.closingBalance)}</TableCell>
+              </TableRow>
+            ))}
+            <TableRow sx={{ '& td': { fontWeight: 'bold' } }}>
+              <TableCell colSpan={4}>合計</TableCell>
+              <TableCell align="right">{formatCurrency(trialBalance.totals.debit)}</TableCell>
+              <TableCell align="right">{formatCurrency(trialBalance.totals.credit)}</TableCell>
+              <TableCell align="right">{formatCurrency(trialBalance.totals.debitBalance)}</TableCell>
+              <TableCell align="right">{formatCurrency(trialBalance.totals.creditBalance)}</TableCell>
+            </TableRow>
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </>
+  );
+
+  const renderLedger = () => (
+    <>
+      <Box sx={{ p: 2 }}>
+        <FormControl size="small" sx={{ minWidth: 280 }}>
+          <InputLabel>勘定科目</InputLabel>
+          <Select value={accountKey} label="勘定科目" onChange={(e) => setAccountKey(e.target.value)}>
+            {accountOptions}
+          </Select>
+        </FormControl>
+      </Box>
+      {ledger && (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>日付</TableCell>
+                <TableCell>摘要</TableCell>
+                <TableCell>相手勘定</TableCell>
+                <TableCell align="right">借方</TableCell>
+                <TableCell align="right">貸方</TableCell>
+                <TableCell align="right">残高</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              <TableRow>
+                <TableCell>{ledger.startDate}</TableCell>
+                <TableCell colSpan={4}>前期繰越</TableCell>
+                <TableCell align="right">{formatCurrency(ledger.openingBalance)}</TableCell>
+              </TableRow>
+              {ledger.rows.map((row) => (
+                <TableRow key={row.entryId} hover>
+                  <TableCell>{row.date}</TableCell>
+                  <TableCell>
+                    <Stack direction="row" spacing={1} alignItems="center">
+                      <Chip label={SOURCE_LABELS[row.sourceType] || row.sourceType} size="small" variant="outlined" />
+                      <Typography variant="body2">{row.description}</Typography>
+                    </Stack>
+                  </TableCell>
+                  <TableCell>{row.counterAccount}</TableCell>
+                  <TableCell align="right">{formatAmount(row.debit)}</TableCell>
+                  <TableCell align="right">{formatAmount(row.credit)}</TableCell>
+                  <TableCell align="right">{formatCurrency(row.balance)}</TableCell>
+                </TableRow>
+              ))}
+              <TableRow sx={{ '& td': { fontWeight: 'bold' } }}>
+                <TableCell>{ledger.endDate}</TableCell>
+                <TableCell colSpan={4}>次期繰越</TableCell>
+                <TableCell align="right">{formatCurrency(ledger.closingBalance)}</TableCell>
+              </TableRow>
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </>
+  );
+
+  const renderJournal = () => (
+    <TableContainer>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>日付</TableCell>
+            <TableCell>借方科目</TableCell>
+            <TableCell align="right">借方金額</TableCell>
+            <TableCell>貸方科目</TableCell>
+            <TableCell align="right">貸方金額</TableCell>
+            <TableCell>摘要</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {journal.map((entry) => journalRows(entry).map((row, index) => (
+            <TableRow key={`${entry.id}-${index}`} sx={index === 0 ? { '& td': { borderTop: '2px solid', borderTopColor: 'divider' } } : undefined}>
+              <TableCell>{index === 0 ? entry.date : ''}</TableCell>
+              <TableCell>{row.debit?.accountName}</TableCell>
+              <TableCell align="right">{row.debit ? formatCurrency(row.debit.debit) : ''}</TableCell>
+              <TableCell>{row.credit?.accountName}</TableCell>
+              <TableCell align="right">{row.credit ? formatCurrency(row.credit.credit) : ''}</TableCell>
+              <TableCell>
+                {index === 0 && (
+                  <Stack direction="row" spacing={1} alignItems="center">
+                    <Chip label={SOURCE_LABELS[entry.sourceType] || entry.sourceType} size="small" variant="outlined" />
+                    <Typography variant="body2">{entry.description}</Typography>
+                  </Stack>
+                )}
+              </TableCell>
+            </TableRow>
+          )))}
+          {journal.length === 0 && (
+            <TableRow>
+              <TableCell colSpan={6} align="center">
+                <Typography color="text.secondary" sx={{ py: 2 }}>
+                  期間内の仕訳はありません
+                </Typography>
+              </TableCell>
+            </TableRow>
+          )}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+
+  return (
+    <Container maxWidth="xl">
+      <motion.div
+        variants={containerVariants}
+        initial="hidden"
+        animate="visible"
+      >
+        {/* Header */}
+        <motion.div variants={itemVariants}>
+          <Box sx={{ mb: 4 }}>
+            <Typography
+              variant="h3"
+              gutterBottom
+              sx={{
+                background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                WebkitBackgroundClip: 'text',
+                WebkitTextFillColor: 'transparent',
+                fontWeight: 700,
+                mb: 1,
+              }}
+            >
+              帳簿
+            </Typography>
+            <Typography variant="subtitle1" color="text.secondary">
+              取引から自動で作成した仕訳の試算表・総勘定元帳・仕訳帳
+            </Typography>
+          </Box>
+        </motion.div>
+
+        {/* Period */}
+        <motion.div variants={itemVariants}>
+          <GlassCard sx={{ mb: 4 }}>
+            <GlassCardContent>
+              <PeriodPicker preset={preset} range={range} onChange={handlePeriodChange} />
+            </GlassCardContent>
+          </GlassCard>
+        </motion.div>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 3 }}>{error}</Alert>
+        )}
+
+        <motion.div variants={itemVariants}>
+          <GlassCard sx={{ mb: 4 }}>
+            <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ px: 2, borderBottom: 1, borderColor: 'divider' }}>
+              <Tab value="trial" label="試算表" />
+              <Tab value="ledger" label="総勘定元帳" />
+              <Tab value="journal" label={`仕訳帳（${journal.length}件）`} />
+            </Tabs>
+            {tab === 'trial' && trialBalance && renderTrialBalance()}
+            {tab === 'ledger' && renderLedger()}
+            {tab === 'journal' && renderJournal()}
+          </GlassCard>
+        </motion.div>
+
+        <motion.div variants={itemVariants}>
+          <Alert severity="info">
+            支出は承認待ち以降、請求書は発行時に売掛金として計上し、入金時に消し込みます。
+            同じ売上を収入としても登録すると二重に計上されます。決済口座は設定画面で変更できます。
+          </Alert>
+        </motion.div>
+      </motion.div>
+    </Container>
+  );
+};
+
+export default Ledger;
@@ -31,6 +31,7 @@ import {
   MarkEmailRead as MarkEmailReadIcon,
   Refresh as RefreshIcon,
   Receipt as ReceiptIcon,
+  Savings as BudgetIcon,
 } from '@mui/icons-material';
 import { motion } from 'framer-motion';
 import GlassCard, { GlassCardContent, GlassCardPresets } from '../components/common/GlassCard';
@@ -152,6 +153,17 @@ const Notifications = () => {
         return { icon: <CheckCircleIcon />, color: 'success', bgColor: 'success.main' };
       case 'expense_rejected':
         return { icon: <WarningIcon />, color: 'error', bgColor: 'error.main' };
+      case 'expense_submitted':
+        return { icon: <ScheduleIcon />, color: 'info', bgColor: 'info.main' };
+      case 'budget_warning':
+        return { icon: <BudgetIcon />, color: 'warning', bgColor: 'warning.main' };
+      case 'budget_exceeded':
+        return { icon: <BudgetIcon />, color: 'error', bgColor: 'error.main' };
+      case 'expense_reimbursed':
+      case 'reimbursement_paid':
+      case 'recurring_generated':
+      case 'ocr_completed':
+        return { icon: <CheckCircleIcon />, color: 'success', bgColor: 'success.main' };
       case 'system':
         return { icon: <InfoIcon />, color: 'info', bgColor: 'info.main' };
       default:
@@ -0,0 +1,538 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Container,
+  Grid,
+  Typography,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  TextField,
+  Button,
+  Stack,
+  Chip,
+  IconButton,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  InputAdornment,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Tooltip,
+  Alert,
+  Snackbar,
+} from '@mui/material';
+import {
+  Search as SearchIcon,
+  Refresh as RefreshIcon,
+  Download as ExportIcon,
+  Visibility as ViewIcon,
+  History as HistoryIcon,
+  VerifiedUser as VerifiedIcon,
+  GppBad as BrokenIcon,
+  Inventory2 as ArchiveIcon,
+} from '@mui/icons-material';
+import { motion } from 'framer-motion';
+import { LocalizationProvider, DatePicker } from '@mui/x-date-pickers';
+import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
+import { ja } from 'date-fns/locale';
+import GlassCard, { GlassCardContent } from '../components/common/GlassCard';
+import FilePreviewDialog from '../components/common/FilePreviewDialog';
+import receiptArchiveService, {
+  ARCHIVE_STATUS_LABELS,
+  ARCHIVE_ACTION_LABELS,
+  TRANSACTION_TYPE_LABELS,
+  INDEX_FIELD_LABELS,
+} from '../services/receiptArchiveService';
+import userService from '../services/userService';
+import { formatFileSize } from '../services/fileService';
+import { formatDate } from '../utils/formatters';
+
+const STATUS_COLORS = {
+  active: 'success',
+  detached: 'default',
+  deleted: 'error'
+};
+
+const ACTION_COLORS = {
+  capture: 'success',
+  correct: 'info',
+  detach: 'default',
+  delete: 'error',
+  restore: 'success'
+};
+
+const EMPTY_CRITERIA = {
+  dateFrom: null,
+  dateTo: null,
+  minAmount: '',
+  maxAmount: '',
+  counterparty: '',
+  transactionType: '',
+  status: 'active'
+};
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'amount') return `¥${Number(value).toLocaleString()}`;
+  return String(value);
+};
+
+const ReceiptArchive = () => {
+  const [entries, setEntries] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [criteria, setCriteria] = useState(EMPTY_CRITERIA);
+  const [verification, setVerification] = useState(null);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [selectedEntry, setSelectedEntry] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [previewFileIds, setPreviewFileIds] = useState([]);
+  const [exporting, setExporting] = useState(false);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
+
+  // Search criteria as the service expects them
+  const searchCriteria = useMemo(() => ({
+    ...criteria,
+    dateFrom: formatDate(criteria.dateFrom) || null,
+    dateTo: formatDate(criteria.dateTo) || null,
+    transactionType: criteria.transactionType || null
+  }), [criteria]);
+
+  useEffect(() => {
+    loadSupportData();
+  }, []);
+
+  useEffect(() => {
+    search(searchCriteria);
+  }, [searchCriteria]);
+
+  const loadSupportData = async () => {
+    const [usersResult, verifyResult] = await Promise.all([
+      userService.getAllUsers(),
+      receiptArchiveService.verifyArchive()
+    ]);
+    setUsers(usersResult.success ? usersResult.data : []);
+    setVerification(verifyResult.success ? verifyResult.data : null);
+  };
+
+  const search = async (values) => {
+    const result = await receiptArchiveService.searchArchive(values);
+    if (result.success) {
+      setEntries(result.data);
+      setPage(0);
+    } else {
+      setSnackbar({ open: true, message: result.error, severity: 'error' });
+    }
+  };
+
+  const updateCriteria = (field, value) => {
+    setCriteria(prev => ({ ...prev, [field]: value }));
+  };
+
+  const paginatedEntries = useMemo(() => {
+    const start = page * rowsPerPage;
+    return entries.slice(start, start + rowsPerPage);
+  }, [entries, page, rowsPerPage]);
+
+  const totalAmount = useMemo(() => entries.reduce((sum, entry) => sum + entry.amount, 0), [entries]);
+
+  const getUserName = (userId) => {
+    if (userId === null || userId === undefined) return '不明なユーザー';
+    const user = users.find(u => u.id === userId);
+    return user ? user.name : `#${userId}`;
+  };
+
+  const handleShowHistory = async (entry) => {
+    setSelectedEntry(entry);
+    const result = await receiptArchiveService.getArchiveHistory(entry.id);
+    setHistory(result.success ? result.data : []);
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    const result = await receiptArchiveService.exportArchivePackage(searchCriteria);
+    setExporting(false);
+    if (!result.success) {
+      setSnackbar({ open: true, message: result.error, severity: 'error' });
+      return;
+    }
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(result.data.blob);
+    link.download = result.data.fileName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    setSnackbar({ open: true, message: `${result.data.count}件の証憑を出力しました`, severity: 'success' });
+  };
+
+  const containerVariants = {
+    hidden: { opacity: 0 },
+    visible: {
+      opacity: 1,
+      transition: { staggerChildren: 0.1 }
+    }
+  };
+
+  const itemVariants = {
+    hidden: { opacity: 0, y: 20 },
+    visible: {
+      opacity: 1,
+      y: 0,
+      transition: { duration: 0.5 }
+    }
+  };
+
+  return (
+    <LocalizationProvider dateAdapter={AdapterDateFns} adapterLocale={ja}>
+      <Container maxWidth="xl">
+        <motion.div
+          variants={containerVariants}
+          initial="hidden"
+          animate="visible"
+        >
+          {/* Header */}
+          <motion.div variants={itemVariants}>
+            <Box sx={{ mb: 4 }}>
+              <Typography
+                variant="h3"
+                gutterBottom
+                sx={{
+                  background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                  WebkitBackgroundClip: 'text',
+                  WebkitTextFillColor: 'transparent',
+                  fontWeight: 700,
+                  mb: 1,
+                }}
+              >
+                証憑保存
+              </Typography>
+              <Typography variant="subtitle1" color="text.secondary">
+                電子帳簿保存法に沿って保存したレシート・請求書の検索と出力
+              </Typography>
+            </Box>
+          </motion.div>
+
+          <Grid container spacing={3}>
+            {/* Search */}
+            <Grid item xs={12}>
+              <motion.div variants={itemVariants}>
+                <GlassCard>
+                  <GlassCardContent>
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+                      <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <SearchIcon />
+                        検索
+                      </Typography>
+                      {verification && (
+                        <Tooltip
+                          title={verification.valid
+                            ? `${verification.checked}件のファイルのハッシュと訂正削除履歴を検証しました`
+                            : [
+                              verification.missing.length > 0 && `ファイルなし: #${verification.missing.join(', #')}`,
+                              verification.modified.length > 0 && `内容の不一致: #${verification.modified.join(', #')}`,
+                              !verification.chainValid && `履歴 #${verification.brokenAt} 以降が改ざんされている可能性があります`
+                            ].filter(Boolean).join(' / ')}
+                        >
+                          <Chip
+                            icon={verification.valid ? <VerifiedIcon /> : <BrokenIcon />}
+                            label={verification.valid ? '改ざんなし' : '整合性エラー'}
+                            color={verification.valid ? 'success' : 'error'}
+                            variant="outlined"
+                          />
+                        </Tooltip>
+                      )}
+                    </Box>
+
+                    <Grid container spacing={2}>
+                      <Grid item xs={12} md={2}>
+                        <DatePicker
+                          label="取引日（から）"
+                          value={criteria.dateFrom}
+                          onChange={(value) => updateCriteria('dateFrom', value)}
+                          slotProps={{ textField: { size: 'small', fullWidth: true } }}
+                        />
+                      </Grid>
+                      <Grid item xs={12} md={2}>
+                        <DatePicker
+                          label="取引日（まで）"
+                          value={criteria.dateTo}
+                          onChange={(value) => updateCriteria('dateTo', value)}
+                          slotProps={{ textField: { size: 'small', fullWidth: true } }}
+                        />
+                      </Grid>
+                      <Grid item xs={6} md={2}>
+                        <TextField
+                          label="金額（以上）"
+                          type="number"
+                          value={criteria.minAmount}
+                          onChange={(e) => updateCriteria('minAmount', e.target.value)}
+                          fullWidth
+                          size="small"
+                          InputProps={{ startAdornment: <InputAdornment position="start">¥</InputAdornment> }}
+                        />
+                      </Grid>
+                      <Grid item xs={6} md={2}>
+                        <TextField
+                          label="金額（以下）"
+                          type="number"
+                          value={criteria.maxAmount}
+                          onChange={(e) => updateCriteria('maxAmount', e.target.value)}
+                          fullWidth
+                          size="small"
+                          InputProps={{ startAdornment: <InputAdornment position="start">¥</InputAdornment> }}
+                        />
+                      </Grid>
+                      <Grid item xs={12} md={2}>
+                        <TextField
+                          label="取引先"
+                          value={criteria.counterparty}
+                          onChange={(e) => updateCriteria('counterparty', e.target.value)}
+                          fullWidth
+                          size="small"
+                        />
+                      </Grid>
+                      <Grid item xs={6} md={1}>
+                        <FormControl fullWidth size="small">
+                          <InputLabel>区分</InputLabel>
+                          <Select
+                            value={criteria.transactionType}
+                            label="区分"
+                            onChange={(e) => updateCriteria('transactionType', e.target.value)}
+                          >
+                            <MenuItem value="">すべて</MenuItem>
+                            {Object.entries(TRANSACTION_TYPE_LABELS).map(([value, label]) => (
+                              <MenuItem key={value} value={value}>{label}</MenuItem>
+                            ))}
+                          </Select>
+                        </FormControl>
+                      </Grid>
+                      <Grid item xs={6} md={1}>
+                        <FormControl fullWidth size="small">
+                          <InputLabel>状態</InputLabel>
+                          <Select
+                            value={criteria.status}
+                            label="状態"
+                            onChange={(e) => updateCriteria('status', e.target.value)}
+                          >
+                            <MenuItem value="all">すべて</MenuItem>
+                            {Object.entries(ARCHIVE_STATUS_LABELS).map(([value, label]) => (
+                              <MenuItem key={value} value={value}>{label}</MenuItem>
+                            ))}
+                          </Select>
+                        </FormControl>
+                      </Grid>
+                    </Grid>
+
+                    <Stack direction="row" spacing={1} alignItems="center" sx={{ mt: 2 }}>
+                      <Button
+                        variant="outlined"
+                        size="small"
+                        startIcon={<RefreshIcon />}
+                        onClick={() => setCriteria(EMPTY_CRITERIA)}
+                      >
+                        リセット
+                      </Button>
+                      <Button
+                        variant="contained"
+                        size="small"
+                        startIcon={<ExportIcon />}
+                        onClick={handleExport}
+                        disabled={entries.length === 0 || exporting}
+                      >
+                        {exporting ? '作成中...' : '税務調査用に出力'}
+                      </Button>
+                      <Typography variant="body2" color="text.secondary">
+                        {entries.length}件・合計 ¥{totalAmount.toLocaleString()}
+                      </Typography>
+                    </Stack>
+                  </GlassCardContent>
+                </GlassCard>
+              </motion.div>
+            </Grid>
+
+            {/* Entries */}
+            <Grid item xs={12}>
+              <motion.div variants={itemVariants}>
+                <GlassCard>
+                  <TableContainer>
+                    <Table>
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>管理番号</TableCell>
+                          <TableCell>取引年月日</TableCell>
+                          <TableCell align="right">取引金額</TableCell>
+                          <TableCell>取引先</TableCell>
+                          <TableCell>区分</TableCell>
+                          <TableCell>ファイル</TableCell>
+                          <TableCell>受領日時</TableCell>
+                          <TableCell>状態</TableCell>
+                          <TableCell align="center">操作</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {paginatedEntries.map((entry) => (
+                          <TableRow key={entry.id} hover>
+                            <TableCell>#{entry.id}</TableCell>
+                            <TableCell sx={{ whiteSpace: 'nowrap' }}>{entry.transactionDate}</TableCell>
+                            <TableCell align="right">¥{entry.amount.toLocaleString()}</TableCell>
+                            <TableCell>{entry.counterparty || '—'}</TableCell>
+                            <TableCell>
+                              {TRANSACTION_TYPE_LABELS[entry.transactionType]} #{entry.transactionId}
+                            </TableCell>
+                            <TableCell>
+                              <Typography variant="body2" noWrap sx={{ maxWidth: 200 }}>
+                                {entry.originalName}
+                              </Typography>
+                              <Typography variant="caption" color="text.secondary">
+                                {formatFileSize(entry.size || 0)}
+                              </Typography>
+                            </TableCell>
+                            <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                              {new Date(entry.capturedAt).toLocaleString('ja-JP')}
+                            </TableCell>
+                            <TableCell>
+                              <Chip
+                                label={ARCHIVE_STATUS_LABELS[entry.status]}
+                                color={STATUS_COLORS[entry.status]}
+                                size="small"
+                              />
+                            </TableCell>
+                            <TableCell align="center" sx={{ whiteSpace: 'nowrap' }}>
+                              <IconButton size="small" title="ファイルを表示" onClick={() => setPreviewFileIds([entry.fileId])}>
+                                <ViewIcon />
+                              </IconButton>
+                              <IconButton size="small" title="訂正削除履歴" onClick={() => handleShowHistory(entry)}>
+                                <HistoryIcon />
+                              </IconButton>
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+
+                  {entries.length === 0 && (
+                    <Box sx={{ textAlign: 'center', py: 4 }}>
+                      <ArchiveIcon sx={{ fontSize: 48, color: 'text.disabled' }} />
+                      <Typography color="text.secondary">
+                        条件に一致する証憑がありません
+                      </Typography>
+                    </Box>
+                  )}
+
+                  {entries.length > 0 && (
+                    <TablePagination
+                      component="div"
+                      count={entries.length}
+                      page={page}
+                      onPageChange={(e, newPage) => setPage(newPage)}
+                      rowsPerPage={rowsPerPage}
+                      onRowsPerPageChange={(e) => {
+                        setRowsPerPage(parseInt(e.target.value, 10));
+                        setPage(0);
+                      }}
+                      rowsPerPageOptions={[10, 25, 50, 100]}
+                      labelRowsPerPage="表示件数："
+                      labelDisplayedRows={({ from, to, count }) =>
+                        `${from}-${to} / ${count}`
+                      }
+                    />
+                  )}
+                </GlassCard>
+              </motion.div>
+            </Grid>
+          </Grid>
+
+          {/* History Dialog */}
+          <Dialog open={Boolean(selectedEntry)} onClose={() => setSelectedEntry(null)} maxWidth="md" fullWidth>
+            <DialogTitle>訂正削除履歴 #{selectedEntry?.id}</DialogTitle>
+            <DialogContent>
+              {selectedEntry && (
+                <Stack spacing={2}>
+                  <Alert severity="info">
+                    元のファイルは保存時のまま変更されません。取引の訂正・削除はこの履歴に追記されます。
+                  </Alert>
+                  <Typography variant="caption" color="text.secondary" sx={{ wordBreak: 'break-all' }}>
+                    SHA-256: {selectedEntry.hash}
+                  </Typography>
+                  <TableContainer>
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>日時</TableCell>
+                          <TableCell>操作</TableCell>
+                          <TableCell>操作者</TableCell>
+                          <TableCell>内容</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {history.map(event => (
+                          <TableRow key={event.id}>
+                            <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                              {new Date(event.timestamp).toLocaleString('ja-JP')}
+                            </TableCell>
+                            <TableCell>
+                              <Chip
+                                label={ARCHIVE_ACTION_LABELS[event.action]}
+                                color={ACTION_COLORS[event.action]}
+                                size="small"
+                              />
+                            </TableCell>
+                            <TableCell>{getUserName(event.actorId)}</TableCell>
+                            <TableCell>
+                              {event.changes.map(change => (
+                                <Typography key={change.field} variant="body2">
+                                  {INDEX_FIELD_LABELS[change.field]}: {formatValue(change.field, change.from)} → {formatValue(change.field, change.to)}
+                                </Typography>
+                              ))}
+                              {event.action === 'capture' && (
+                                <Typography variant="body2">
+                                  {event.details.originalName}（受領 {new Date(event.details.capturedAt).toLocaleString('ja-JP')}）
+                                </Typography>
+                              )}
+                              {event.details.reason && (
+                                <Typography variant="body2">理由: {event.details.reason}</Typography>
+                              )}
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                </Stack>
+              )}
+            </DialogContent>
+            <DialogActions>
+              <Button onClick={() => setSelectedEntry(null)}>閉じる</Button>
+            </DialogActions>
+          </Dialog>
+
+          <FilePreviewDialog
+            open={previewFileIds.length > 0}
+            onClose={() => setPreviewFileIds([])}
+            fileIds={previewFileIds}
+          />
+
+          <Snackbar
+            open={snackbar.open}
+            autoHideDuration={4000}
+            onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+          >
+            <Alert severity={snackbar.severity} onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}>
+              {snackbar.message}
+            </Alert>
+          </Snackbar>
+        </motion.div>
+      </Container>
+    </LocalizationProvider>
+  );
+};
+
+export default ReceiptArchive;
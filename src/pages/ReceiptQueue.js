@@ -0,0 +1,668 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Button,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Tabs,
+  Tab,
+  Alert,
+  Chip,
+  Select,
+  MenuItem,
+  TextField,
+  Stack,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  LinearProgress,
+  Snackbar,
+} from '@mui/material';
+import {
+  CloudUpload as UploadIcon,
+  CheckCircleOutline as AcceptIcon,
+  Edit as EditIcon,
+  Block as RejectIcon,
+  Undo as RestoreIcon,
+  Close as CancelIcon,
+  Replay as RetryIcon,
+  ClearAll as ClearIcon,
+  Description as DocumentIcon,
+} from '@mui/icons-material';
+import { motion } from 'framer-motion';
+import GlassCard, { GlassCardContent } from '../components/common/GlassCard';
+import FilePreviewDialog from '../components/common/FilePreviewDialog';
+import categoryService from '../services/categoryService';
+import fileService from '../services/fileService';
+import ocrQueueService, {
+  OCR_QUEUE_STATUSES,
+  OCR_QUEUE_STATUS_COLORS,
+  MAX_BATCH_SIZE,
+} from '../services/ocrQueueService';
+import { formatLineItems } from '../services/ocrServiceNew';
+import { getBaseCurrency } from '../services/exchangeRateService';
+import { TAX_CATEGORIES, inferTaxCategory, DEFAULT_TAX_CATEGORY } from '../utils/consumptionTax';
+import { getLowConfidenceFields } from '../utils/ocrConfidence';
+import { lowConfidenceProps } from '../components/Registration/OCRButton';
+import useFileUrl from '../hooks/useFileUrl';
+
+// Tabs of the queue and the item statuses shown in each
+const QUEUE_TABS = {
+  review: { label: '確認待ち', statuses: ['review'] },
+  processing: { label: '読み取り中', statuses: ['pending', 'processing'] },
+  failed: { label: '失敗・キャンセル', statuses: ['failed', 'cancelled'] },
+  done: { label: '完了', statuses: ['accepted', 'rejected'] }
+};
+
+const confidenceColor = (confidence) => {
+  if (confidence >= 80) return 'success';
+  if (confidence >= 60) return 'warning';
+  return 'error';
+};
+
+// Small receipt image; PDFs show their first page
+const ReceiptThumbnail = ({ item, onClick }) => {
+  const { url } = useFileUrl(item.fileId, { thumbnail: true });
+
+  return (
+    <Box
+      onClick={onClick}
+      sx={{
+        width: 56,
+        height: 56,
+        borderRadius: 1,
+        overflow: 'hidden',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        backgroundColor: 'grey.100',
+        cursor: 'pointer'
+      }}
+    >
+      {url ? (
+        <img src={url} alt={item.fileName} style={{ width: '100%', height: '100%', objectFit: 'cover' }} />
+      ) : (
+        <DocumentIcon sx={{ color: 'grey.400' }} />
+      )}
+    </Box>
+  );
+};
+
+// Receipt shown next to the edit form; images at full size, PDFs as their first page
+const ReceiptPreview = ({ item }) => {
+  const { url } = useFileUrl(item.fileId, { thumbnail: fileService.isPdfFile(item.mimeType) });
+  if (!url) {
+    return (
+      <Box sx={{ height: 280, display: 'flex', alignItems: 'center', justifyContent: 'center', backgroundColor: 'grey.100' }}>
+        <DocumentIcon sx={{ fontSize: 48, color: 'grey.400' }} />
+      </Box>
+    );
+  }
+  return <img src={url} alt={item.fileName} style={{ width: '100%', borderRadius: 8 }} />;
+};
+
+const ReceiptQueue = () => {
+  const [items, setItems] = useState([]);
+  const [progress, setProgress] = useState(() => ocrQueueService.getOCRQueueProgress());
+  const [categories, setCategories] = useState([]);
+  const [itemCategories, setItemCategories] = useState({});
+  const [tab, setTab] = useState('review');
+  const [dragOver, setDragOver] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [editDialog, setEditDialog] = useState({ open: false, item: null, form: null });
+  const [previewFileIds, setPreviewFileIds] = useState([]);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
+
+  const showMessage = (message, severity = 'success') => {
+    setSnackbar({ open: true, message, severity });
+  };
+
+  const loadQueue = useCallback(async () => {
+    const result = await ocrQueueService.getOCRQueueItems();
+    if (result.success) {
+      setItems(result.data);
+    } else {
+      showMessage('読み取りキューの読み込みに失敗しました', 'error');
+    }
+  }, []);
+
+  useEffect(() => {
+    const loadCategories = async () => {
+      const result = await categoryService.getCategoriesByType('expense');
+      if (result.success) {
+        setCategories(result.data);
+      }
+    };
+    loadCategories();
+    loadQueue();
+
+    return ocrQueueService.subscribeOCRQueue(({ changed, progress: next }) => {
+      setProgress(next);
+      if (changed) loadQueue();
+    });
+  }, [loadQueue]);
+
+  // Prefill the category of reviewed items from the category the receipt was read as
+  useEffect(() => {
+    setItemCategories(prev => {
+      const next = { ...prev };
+      items
+        .filter(item => item.status === 'review' && next[item.id] === undefined)
+        .forEach(item => {
+          const guess = item.result?.category;
+          const match = guess && categories.find(category => category.name.includes(guess) || guess.includes(category.name));
+          next[item.id] = match ? match.id : '';
+        });
+      return next;
+    });
+  }, [items, categories]);
+
+  const handleFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+
+    setUploading(true);
+    const result = await ocrQueueService.enqueueReceipts(files);
+    setUploading(false);
+
+    if (!result.success) {
+      showMessage(result.error || '追加に失敗しました', 'error');
+      return;
+    }
+    const { queued, errors } = result.data;
+    if (errors.length > 0) {
+      const failed = errors.map(error => `${error.fileName}（${error.message}）`).join('、');
+      showMessage(`${queued}件を追加しました。追加できなかったファイル：${failed}`, 'warning');
+    } else {
+      showMessage(`${queued}件を読み取りキューに追加しました`);
+    }
+    setTab('processing');
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragOver(false);
+    handleFiles(e.dataTransfer.files);
+  };
+
+  const handleAccept = async (item, fields) => {
+    const categoryId = fields?.categoryId || itemCategories[item.id];
+    if (!categoryId) {
+      showMessage('カテゴリを選択してください', 'warning');
+      return false;
+    }
+    const result = await ocrQueueService.acceptOCRQueueItem(item.id, { ...fields, categoryId });
+    if (result.success) {
+      showMessage('支出を登録しました');
+      return true;
+    }
+    showMessage(result.error || '登録に失敗しました', 'error');
+    return false;
+  };
+
+  const runItemAction = async (action, item, message) => {
+    const result = await action(item.id);
+    if (result.success) {
+      showMessage(message);
+    } else {
+      showMessage(result.error || '操作に失敗しました', 'error');
+    }
+  };
+
+  const handleClear = async () => {
+    const result = await ocrQueueService.clearFinishedOCRQueueItems();
+    if (result.success) {
+      showMessage(`${result.data.cleared}件をキューから削除しました`);
+    } else {
+      showMessage(result.error || '削除に失敗しました', 'error');
+    }
+  };
+
+  const openEditDialog = (item) => {
+    const result = item.result || {};
+    setEditDialog({
+      open: true,
+      item,
+      form: {
+        date: result.date || '',
+        amount: result.amount ?? '',
+        vendor: result.vendor || '',
+        registrationNumber: result.registrationNumber || '',
+        categoryId: itemCategories[item.id] || '',
+        taxCategory: inferTaxCategory(Number(result.amount), result.tax) || DEFAULT_TAX_CATEGORY,
+        memo: formatLineItems(result.items)
+      }
+    });
+  };
+
+  const closeEditDialog = () => setEditDialog({ open: false, item: null, form: null });
+
+  // Fields of the edited receipt that were read with low confidence
+  const editLowFields = getLowConfidenceFields(editDialog.item?.result?.fieldConfidence);
+
+  const updateForm = (field, value) => {
+    setEditDialog(prev => ({ ...prev, form: { ...prev.form, [field]: value } }));
+  };
+
+  const handleEditSave = async () => {
+    if (await handleAccept(editDialog.item, editDialog.form)) {
+      closeEditDialog();
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('ja-JP', {
+      style: 'currency',
+      currency: getBaseCurrency()
+    }).format(amount);
+  };
+
+  const tabCounts = Object.entries(QUEUE_TABS).reduce((acc, [key, { statuses }]) => {
+    acc[key] = items.filter(item => statuses.includes(item.status)).length;
+    return acc;
+  }, {});
+  const visibleItems = items.filter(item => QUEUE_TABS[tab].statuses.includes(item.status));
+  const finishedCount = items.filter(item => ['accepted', 'rejected', 'cancelled'].includes(item.status)).length;
+
+  const containerVariants = {
+    hidden: { opacity: 0 },
+    visible: {
+      opacity: 1,
+      transition: { staggerChildren: 0.1 }
+    }
+  };
+
+  const itemVariants = {
+    hidden: { opacity: 0, y: 20 },
+    visible: {
+      opacity: 1,
+      y: 0,
+      transition: { duration: 0.5 }
+    }
+  };
+
+  const renderResult = (item) => {
+    if (item.status === 'processing') {
+      const value = Math.round((progress[item.id] || 0) * 100);
+      return (
+        <Box sx={{ minWidth: 200 }}>
+          <LinearProgress variant="determinate" value={value} sx={{ mb: 0.5 }} />
+          <Typography variant="caption" color="text.secondary">{value}%</Typography>
+        </Box>
+      );
+    }
+    if (item.status === 'failed') {
+      return <Typography variant="body2" color="error">{item.error || '読み取りに失敗しました'}</Typography>;
+    }
+    if (!item.result) {
+      return <Typography variant="body2" color="text.secondary">—</Typography>;
+    }
+
+    const { amount, date, vendor, confidence } = item.result;
+    // Values read with low confidence are shown in the warning color
+    const lowFields = getLowConfidenceFields(item.result.fieldConfidence);
+    const fieldColor = (field, color) => (lowFields[field] !== undefined ? 'warning.main' : color);
+    return (
+      <Box>
+        <Stack direction="row" spacing={1} alignItems="center">
+          <Typography variant="body2" fontWeight="bold" color={amount ? fieldColor('amount', 'error.main') : 'text.secondary'}>
+            {amount ? formatCurrency(amount) : '金額不明'}
+          </Typography>
+          <Chip
+            label={`信頼度 ${Math.round(confidence || 0)}%`}
+            size="small"
+            color={confidenceColor(confidence || 0)}
+            variant="outlined"
+          />
+        </Stack>
+        <Typography variant="caption" color="text.secondary">
+          <Box component="span" sx={{ color: fieldColor('date') }}>{date || '日付不明'}</Box>
+          ・
+          <Box component="span" sx={{ color: fieldColor('vendor') }}>{vendor || '店名不明'}</Box>
+        </Typography>
+      </Box>
+    );
+  };
+
+  const renderActions = (item) => {
+    switch (item.status) {
+      case 'review':
+        return (
+          <Stack direction="row" spacing={0.5} justifyContent="flex-end">
+            <IconButton
+              size="small"
+              color="primary"
+              onClick={() => handleAccept(item)}
+              disabled={!item.result?.amount || !item.result?.date}
+              title="支出として登録"
+            >
+              <AcceptIcon />
+            </IconButton>
+            <IconButton size="small" onClick={() => openEditDialog(item)} title="修正して登録">
+              <EditIcon />
+            </IconButton>
+            <IconButton
+              size="small"
+              color="error"
+              onClick={() => runItemAction(ocrQueueService.rejectOCRQueueItem, item, '却下しました')}
+              title="却下"
+            >
+              <RejectIcon />
+            </IconButton>
+          </Stack>
+        );
+      case 'pending':
+      case 'processing':
+        return (
+          <IconButton
+            size="small"
+            onClick={() => runItemAction(ocrQueueService.cancelOCRQueueItem, item, 'キャンセルしました')}
+            title="キャンセル"
+          >
+            <CancelIcon />
+          </IconButton>
+        );
+      case 'failed':
+      case 'cancelled':
+        return (
+          <IconButton
+            size="small"
+            color="primary"
+            onClick={() => runItemAction(ocrQueueService.retryOCRQueueItem, item, 'もう一度読み取ります')}
+            title="再実行"
+          >
+            <RetryIcon />
+          </IconButton>
+        );
+      case 'rejected':
+        return (
+          <IconButton
+            size="small"
+            onClick={() => runItemAction(ocrQueueService.restoreOCRQueueItem, item, '確認待ちに戻しました')}
+            title="確認待ちに戻す"
+          >
+            <RestoreIcon />
+          </IconButton>
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <Container maxWidth="xl">
+      <motion.div
+        variants={containerVariants}
+        initial="hidden"
+        animate="visible"
+      >
+        {/* Header */}
+        <motion.div variants={itemVariants}>
+          <Box sx={{ mb: 4 }}>
+            <Typography
+              variant="h3"
+              gutterBottom
+              sx={{
+                background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                WebkitBackgroundClip: 'text',
+                WebkitTextFillColor: 'transparent',
+                fontWeight: 700,
+                mb: 1,
+              }}
+            >
+              レシート一括読取
+            </Typography>
+            <Typography variant="subtitle1" color="text.secondary">
+              まとめて追加したレシート・請求書をバックグラウンドで読み取り、確認してから支出として登録します
+            </Typography>
+          </Box>
+        </motion.div>
+
+        {/* Drop zone */}
+        <motion.div variants={itemVariants}>
+          <GlassCard sx={{ mb: 4 }}>
+            <GlassCardContent>
+              <Box
+                component="label"
+                onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
+                onDragLeave={() => setDragOver(false)}
+                onDrop={handleDrop}
+                sx={{
+                  display: 'block',
+                  p: 4,
+                  textAlign: 'center',
+                  border: '2px dashed',
+                  borderColor: dragOver ? 'primary.main' : 'divider',
+                  borderRadius: 2,
+                  backgroundColor: dragOver ? 'action.hover' : 'transparent',
+                  cursor: uploading ? 'default' : 'pointer',
+                  transition: 'all 0.2s'
+                }}
+              >
+                <input
+                  type="file"
+                  hidden
+                  multiple
+                  accept="image/*,application/pdf"
+                  disabled={uploading}
+                  onChange={(e) => { handleFiles(e.target.files); e.target.value = ''; }}
+                />
+                <UploadIcon sx={{ fontSize: 48, color: 'primary.main', mb: 1 }} />
+                <Typography variant="h6" gutterBottom>
+                  {uploading ? '追加しています…' : 'レシートをドロップ、またはクリックして選択'}
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  画像・PDFを一度に{MAX_BATCH_SIZE}件まで追加できます。読み取りはこの画面を離れても続きます。
+                </Typography>
+              </Box>
+            </GlassCardContent>
+          </GlassCard>
+        </motion.div>
+
+        {/* Review queue */}
+        <motion.div variants={itemVariants}>
+          <GlassCard>
+            <Stack
+              direction={{ xs: 'column', md: 'row' }}
+              justifyContent="space-between"
+              alignItems={{ md: 'center' }}
+              sx={{ px: 2, borderBottom: 1, borderColor: 'divider' }}
+            >
+              <Tabs value={tab} onChange={(e, value) => setTab(value)}>
+                {Object.entries(QUEUE_TABS).map(([value, { label }]) => (
+                  <Tab key={value} value={value} label={`${label}（${tabCounts[value]}）`} />
+                ))}
+              </Tabs>
+              <Box sx={{ py: 1 }}>
+                <Button size="small" startIcon={<ClearIcon />} onClick={handleClear} disabled={finishedCount === 0}>
+                  完了済みをクリア
+                </Button>
+              </Box>
+            </Stack>
+
+            {visibleItems.length === 0 ? (
+              <Box sx={{ p: 4, textAlign: 'center' }}>
+                <Typography color="text.secondary">
+                  {tab === 'review' ? '確認待ちのレシートはありません' : 'レシートはありません'}
+                </Typography>
+              </Box>
+            ) : (
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>画像</TableCell>
+                      <TableCell>ファイル</TableCell>
+                      <TableCell>読み取り結果</TableCell>
+                      <TableCell>{tab === 'review' ? 'カテゴリ' : '状態'}</TableCell>
+                      <TableCell align="right">操作</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {visibleItems.map(item => (
+                      <TableRow key={item.id} hover>
+                        <TableCell>
+                          <ReceiptThumbnail item={item} onClick={() => setPreviewFileIds([item.fileId])} />
+                        </TableCell>
+                        <TableCell sx={{ maxWidth: 220, wordBreak: 'break-all' }}>
+                          <Typography variant="body2">{item.fileName}</Typography>
+                          {fileService.isPdfFile(item.mimeType) && item.result?.pages?.length > 1 && (
+                            <Typography variant="caption" color="text.secondary">
+                              {item.result.pages.length}ページ
+                            </Typography>
+                          )}
+                        </TableCell>
+                        <TableCell>{renderResult(item)}</TableCell>
+                        <TableCell sx={{ minWidth: 200 }}>
+                          {item.status === 'review' ? (
+                            <Select
+                              size="small"
+                              fullWidth
+                              displayEmpty
+                              value={itemCategories[item.id] || ''}
+                              onChange={(e) => setItemCategories(prev => ({ ...prev, [item.id]: e.target.value }))}
+                            >
+                              <MenuItem value=""><em>カテゴリを選択</em></MenuItem>
+                              {categories.map(category => (
+                                <MenuItem key={category.id} value={category.id}>{category.name}</MenuItem>
+                              ))}
+                            </Select>
+                          ) : (
+                            <Chip
+                              label={OCR_QUEUE_STATUSES[item.status]}
+                              size="small"
+                              color={OCR_QUEUE_STATUS_COLORS[item.status]}
+                            />
+                          )}
+                        </TableCell>
+                        <TableCell align="right">{renderActions(item)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )}
+          </GlassCard>
+        </motion.div>
+
+        <motion.div variants={itemVariants}>
+          <Alert severity="info" sx={{ mt: 4 }}>
+            信頼度が低い項目は、画像を確認して金額・日付・店名を修正してから登録してください。
+            金額か日付を読み取れなかった項目は「修正して登録」から登録できます。
+          </Alert>
+        </motion.div>
+      </motion.div>
+
+      {/* Edit Dialog */}
+      <Dialog open={editDialog.open} onClose={closeEditDialog} maxWidth="md" fullWidth>
+        <DialogTitle>修正して登録</DialogTitle>
+        <DialogContent>
+          {editDialog.form && (
+            <Stack direction={{ xs: 'column', md: 'row' }} spacing={3} sx={{ mt: 1 }}>
+              <Box sx={{ width: { md: 280 }, flexShrink: 0 }}>
+                <ReceiptPreview item={editDialog.item} />
+              </Box>
+              <Stack spacing={2} sx={{ flex: 1 }}>
+                <TextField
+                  label="日付"
+                  {...lowConfidenceProps(editLowFields, 'date')}
+                  type="date"
+                  value={editDialog.form.date}
+                  onChange={(e) => updateForm('date', e.target.value)}
+                  InputLabelProps={{ shrink: true }}
+                  required
+                />
+                <TextField
+                  label="金額（税込）"
+                  {...lowConfidenceProps(editLowFields, 'amount')}
+                  type="number"
+                  value={editDialog.form.amount}
+                  onChange={(e) => updateForm('amount', e.target.value)}
+                  inputProps={{ min: 0 }}
+                  required
+                />
+                <TextField
+                  label="店名・取引先"
+                  {...lowConfidenceProps(editLowFields, 'vendor')}
+                  value={editDialog.form.vendor}
+                  onChange={(e) => updateForm('vendor', e.target.value)}
+                />
+                <TextField
+                  label="登録番号"
+                  value={editDialog.form.registrationNumber}
+                  onChange={(e) => updateForm('registrationNumber', e.target.value)}
+                  placeholder="T1234567890123"
+                />
+                <TextField
+                  label="カテゴリ"
+                  select
+                  value={editDialog.form.categoryId}
+                  onChange={(e) => updateForm('categoryId', e.target.value)}
+                  required
+                >
+                  {categories.map(category => (
+                    <MenuItem key={category.id} value={category.id}>{category.name}</MenuItem>
+                  ))}
+                </TextField>
+                <TextField
+                  label="税区分"
+                  {...lowConfidenceProps(editLowFields, 'tax')}
+                  select
+                  value={editDialog.form.taxCategory}
+                  onChange={(e) => updateForm('taxCategory', e.target.value)}
+                >
+                  {Object.entries(TAX_CATEGORIES).map(([value, { label }]) => (
+                    <MenuItem key={value} value={value}>{label}</MenuItem>
+                  ))}
+                </TextField>
+                <TextField
+                  label="メモ"
+                  value={editDialog.form.memo}
+                  onChange={(e) => updateForm('memo', e.target.value)}
+                  multiline
+                  rows={3}
+                />
+              </Stack>
+            </Stack>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeEditDialog}>キャンセル</Button>
+          <Button
+            onClick={handleEditSave}
+            variant="contained"
+            disabled={!editDialog.form?.date || !editDialog.form?.amount || !editDialog.form?.categoryId}
+          >
+            登録
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <FilePreviewDialog
+        open={previewFileIds.length > 0}
+        onClose={() => setPreviewFileIds([])}
+        fileIds={previewFileIds}
+      />
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+      >
+        <Alert severity={snackbar.severity} onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Container>
+  );
+};
+
+export default ReceiptQueue;
@@ -0,0 +1,373 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  Stack,
+  Chip,
+  IconButton,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Snackbar,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  Pause as PauseIcon,
+  PlayArrow as ResumeIcon,
+  EventNote as UpcomingIcon,
+  Sync as RunIcon,
+  EventRepeat as RecurringIcon,
+} from '@mui/icons-material';
+import { motion } from 'framer-motion';
+import GlassCard, { GlassCardContent } from '../components/common/GlassCard';
+import RecurringRuleDialog from '../components/Recurring/RecurringRuleDialog';
+import UpcomingOccurrencesDialog from '../components/Recurring/UpcomingOccurrencesDialog';
+import recurringService, { RULE_STATUS_LABELS, RULE_STATUS_COLORS } from '../services/recurringService';
+import categoryService from '../services/categoryService';
+import userService from '../services/userService';
+import { formatDate as formatDateUtil } from '../utils/formatters';
+import useSettings from '../hooks/useSettings';
+import { getBaseCurrency } from '../services/exchangeRateService';
+import { formatMoney } from '../utils/currency';
+
+const RecurringTransactions = () => {
+  const { settings } = useSettings();
+  const [rules, setRules] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [ruleDialog, setRuleDialog] = useState({ open: false, rule: null });
+  const [upcomingRule, setUpcomingRule] = useState(null);
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
+
+  const loadData = useCallback(async () => {
+    try {
+      const [rulesResult, categoriesResult, usersResult] = await Promise.all([
+        recurringService.getAllRules(),
+        categoryService.getAllCategories(),
+        userService.getAllUsers()
+      ]);
+
+      setRules(rulesResult.success ? rulesResult.data : []);
+      setCategories(categoriesResult.success ? categoriesResult.data : []);
+      setUsers(usersResult.success ? usersResult.data : []);
+    } catch (error) {
+      console.error('Failed to load data:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  const showResult = (result, successMessage) => {
+    if (result.success) {
+      setSnackbar({ open: true, message: successMessage, severity: 'success' });
+    } else {
+      setSnackbar({ open: true, message: result.error || '処理に失敗しました', severity: 'error' });
+    }
+    loadData();
+  };
+
+  const handleSave = async (ruleData) => {
+    const { rule } = ruleDialog;
+    const result = rule
+      ? await recurringService.updateRule(rule.id, ruleData)
+      : await recurringService.createRule(ruleData);
+    if (!result.success) return result;
+
+    setRuleDialog({ open: false, rule: null });
+    // Occurrences up to today are registered right away
+    const runResult = await recurringService.runDueRules();
+    const generated = runResult.success ? runResult.data.generated : 0;
+    showResult(result, `定期取引を${rule ? '更新' : '追加'}しました${generated > 0 ? `（${generated}件を登録）` : ''}`);
+    return result;
+  };
+
+  const handleTogglePause = async (rule) => {
+    const result = rule.status === 'paused'
+      ? await recurringService.resumeRule(rule.id)
+      : await recurringService.pauseRule(rule.id);
+    showResult(result, rule.status === 'paused' ? '再開しました' : '一時停止しました');
+  };
+
+  const handleRunNow = async () => {
+    const result = await recurringService.runDueRules();
+    showResult(result, result.success && result.data.generated > 0
+      ? `${result.data.generated}件の取引を登録しました`
+      : '登録が必要な取引はありません');
+  };
+
+  const handleDeleteConfirm = async () => {
+    const result = await recurringService.deleteRule(deleteTarget.id);
+    setDeleteTarget(null);
+    showResult(result, '定期取引を削除しました');
+  };
+
+  const handleOccurrencesChanged = (updatedRule) => {
+    setUpcomingRule(updatedRule);
+    loadData();
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('ja-JP', {
+      style: 'currency',
+      currency: getBaseCurrency()
+    }).format(amount);
+  };
+
+  const formatDate = (dateString) => {
+    return formatDateUtil(dateString, settings.dateFormat);
+  };
+
+  const getCategoryName = (categoryId) => {
+    const category = categories.find(c => c.id === categoryId);
+    return category ? category.name : '不明';
+  };
+
+  const describeEnd = (rule) => {
+    if (rule.endType === 'date') return `${formatDate(rule.endDate)}まで`;
+    if (rule.endType === 'count') return `全${rule.maxOccurrences}回`;
+    return '終了日なし';
+  };
+
+  const containerVariants = {
+    hidden: { opacity: 0 },
+    visible: {
+      opacity: 1,
+      transition: { staggerChildren: 0.1 }
+    }
+  };
+
+  const itemVariants = {
+    hidden: { opacity: 0, y: 20 },
+    visible: {
+      opacity: 1,
+      y: 0,
+      transition: { duration: 0.5 }
+    }
+  };
+
+  return (
+    <Container maxWidth="xl">
+      <motion.div
+        variants={containerVariants}
+        initial="hidden"
+        animate="visible"
+      >
+        {/* Header */}
+        <motion.div variants={itemVariants}>
+          <Box sx={{ mb: 4, display: 'flex', alignItems: { md: 'flex-end' }, flexDirection: { xs: 'column', md: 'row' }, gap: 2 }}>
+            <Box sx={{ flexGrow: 1 }}>
+              <Typography
+                variant="h3"
+                gutterBottom
+                sx={{
+                  background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                  WebkitBackgroundClip: 'text',
+                  WebkitTextFillColor: 'transparent',
+                  fontWeight: 700,
+                  mb: 1,
+                }}
+              >
+                定期取引
+              </Typography>
+              <Typography variant="subtitle1" color="text.secondary">
+                家賃・サブスクリプション・顧問料などを自動で登録
+              </Typography>
+            </Box>
+            <Stack direction="row" spacing={2}>
+              <Button variant="outlined" startIcon={<RunIcon />} onClick={handleRunNow}>
+                今すぐ実行
+              </Button>
+              <Button
+                variant="contained"
+                startIcon={<AddIcon />}
+                onClick={() => setRuleDialog({ open: true, rule: null })}
+              >
+                定期取引を追加
+              </Button>
+            </Stack>
+          </Box>
+        </motion.div>
+
+        {/* Rules */}
+        <motion.div variants={itemVariants}>
+          <GlassCard>
+            {rules.length === 0 ? (
+              <GlassCardContent>
+                <Box sx={{ textAlign: 'center', py: 8 }}>
+                  <RecurringIcon sx={{ fontSize: 64, color: 'text.secondary', mb: 2 }} />
+                  <Typography variant="h6" color="text.secondary" gutterBottom>
+                    定期取引はまだありません
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    登録した定期取引はアプリの起動時に自動で登録されます
+                  </Typography>
+                </Box>
+              </GlassCardContent>
+            ) : (
+              <TableContainer>
+                <Table>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>種類</TableCell>
+                      <TableCell>説明</TableCell>
+                      <TableCell>カテゴリ</TableCell>
+                      <TableCell align="right">金額</TableCell>
+                      <TableCell>スケジュール</TableCell>
+                      <TableCell>次回</TableCell>
+                      <TableCell align="right">登録済み</TableCell>
+                      <TableCell>状態</TableCell>
+                      <TableCell align="center">操作</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {rules.map((rule) => (
+                      <TableRow key={rule.id} hover>
+                        <TableCell>
+                          <Chip
+                            label={rule.type === 'expense' ? '支出' : '収入'}
+                            color={rule.type === 'expense' ? 'error' : 'success'}
+                            size="small"
+                            variant="outlined"
+                          />
+                        </TableCell>
+                        <TableCell>{rule.template.description || rule.template.source}</TableCell>
+                        <TableCell>
+                          <Chip label={getCategoryName(rule.template.categoryId)} size="small" variant="outlined" />
+                        </TableCell>
+                        <TableCell align="right">
+                          <Typography variant="body2" fontWeight="bold">
+                            {rule.template.currency && rule.template.currency !== getBaseCurrency()
+                              ? formatMoney(rule.template.amount, rule.template.currency)
+                              : formatCurrency(rule.template.amount)}
+                          </Typography>
+                        </TableCell>
+                        <TableCell>
+                          <Typography variant="body2">{rule.scheduleLabel}</Typography>
+                          <Typography variant="caption" color="text.secondary">
+                            {formatDate(rule.startDate)}から・{describeEnd(rule)}
+                          </Typography>
+                        </TableCell>
+                        <TableCell>
+                          {rule.status === 'active' && rule.nextRunDate ? formatDate(rule.nextRunDate) : '—'}
+                        </TableCell>
+                        <TableCell align="right">{rule.generatedCount || 0}件</TableCell>
+                        <TableCell>
+                          <Chip
+                            label={RULE_STATUS_LABELS[rule.status]}
+                            color={RULE_STATUS_COLORS[rule.status]}
+                            size="small"
+                          />
+                        </TableCell>
+                        <TableCell align="center">
+                          <Stack direction="row" spacing={0.5} justifyContent="center">
+                            <IconButton
+                              size="small"
+                              onClick={() => setUpcomingRule(rule)}
+                              disabled={rule.status === 'completed'}
+                              title="今後の予定"
+                            >
+                              <UpcomingIcon />
+                            </IconButton>
+                            {rule.status !== 'completed' && (
+                              <IconButton
+                                size="small"
+                                color={rule.status === 'paused' ? 'success' : 'warning'}
+                                onClick={() => handleTogglePause(rule)}
+                                title={rule.status === 'paused' ? '再開' : '一時停止'}
+                              >
+                                {rule.status === 'paused' ? <ResumeIcon /> : <PauseIcon />}
+                              </IconButton>
+                            )}
+                            <IconButton
+                              size="small"
+                              onClick={() => setRuleDialog({ open: true, rule })}
+                              title="編集"
+                            >
+                              <EditIcon />
+                            </IconButton>
+                            <IconButton
+                              size="small"
+                              color="error"
+                              onClick={() => setDeleteTarget(rule)}
+                              title="削除"
+                            >
+                              <DeleteIcon />
+                            </IconButton>
+                          </Stack>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )}
+          </GlassCard>
+        </motion.div>
+
+        <RecurringRuleDialog
+          open={ruleDialog.open}
+          rule={ruleDialog.rule}
+          categories={categories}
+          users={users}
+          onClose={() => setRuleDialog({ open: false, rule: null })}
+          onSave={handleSave}
+        />
+
+        <UpcomingOccurrencesDialog
+          open={Boolean(upcomingRule)}
+          rule={upcomingRule}
+          onClose={() => setUpcomingRule(null)}
+          onChanged={handleOccurrencesChanged}
+        />
+
+        {/* Delete Dialog */}
+        <Dialog open={Boolean(deleteTarget)} onClose={() => setDeleteTarget(null)} maxWidth="xs" fullWidth>
+          <DialogTitle>定期取引の削除</DialogTitle>
+          <DialogContent>
+            <Alert severity="warning">
+              今後の取引は登録されなくなります。登録済みの取引は削除されません。
+            </Alert>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setDeleteTarget(null)}>キャンセル</Button>
+            <Button onClick={handleDeleteConfirm} variant="contained" color="error">
+              削除
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        {/* Snackbar */}
+        <Snackbar
+          open={snackbar.open}
+          autoHideDuration={6000}
+          onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+        >
+          <Alert
+            onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+            severity={snackbar.severity}
+            sx={{ width: '100%' }}
+          >
+            {snackbar.message}
+          </Alert>
+        </Snackbar>
+      </motion.div>
+    </Container>
+  );
+};
+
+export default RecurringTransactions;
@@ -28,8 +28,10 @@ import ExpenseForm from '../components/Registration/ExpenseForm';
 import IncomeForm from '../components/Registration/IncomeForm';
 import expenseService from '../services/expenseService';
 import incomeService from '../services/incomeService';
+import recurringService from '../services/recurringService';
 import { formatDate } from '../utils/formatters';
 import useSettings from '../hooks/useSettings';
+import { getBaseCurrency } from '../services/exchangeRateService';
 
 const Registration = () => {
   const location = useLocation();
@@ -101,11 +103,16 @@ const Registration = () => {
 
   const handleTransactionSubmit = async (transactionData) => {
     try {
+      const { recurrence, recurrenceFrequency, isRecurring, ...data } = transactionData;
+
       // Save to database
-      if (transactionData.type === 'expense') {
-        await expenseService.createExpense(transactionData);
-      } else {
-        await incomeService.createIncome(transactionData);
+      const result = data.type === 'expense'
+        ? await expenseService.createExpense(data)
+        : await incomeService.createIncome(data);
+
+      // Recurring transactions continue from this one as the first occurrence
+      if (result.success && recurrence) {
+        await recurringService.createRuleFromTransaction(result.data, data.type, recurrence);
       }
       
       // Reload data to show the new transaction
@@ -133,7 +140,7 @@ const Registration = () => {
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('ja-JP', {
       style: 'currency',
-      currency: 'JPY'
+      currency: getBaseCurrency()
     }).format(amount);
   };
 
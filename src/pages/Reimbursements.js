@@ -0,0 +1,577 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Grid,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Button,
+  Stack,
+  Chip,
+  IconButton,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Snackbar,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Avatar,
+} from '@mui/material';
+import {
+  Payments as PayIcon,
+  PlaylistAdd as CreateBatchIcon,
+  Description as StatementIcon,
+  Print as PrintIcon,
+  Block as CancelIcon,
+  AccountBalanceWallet as WalletIcon,
+  HourglassTop as PendingIcon,
+  People as PeopleIcon,
+} from '@mui/icons-material';
+import { motion } from 'framer-motion';
+import GlassCard, { GlassCardContent } from '../components/common/GlassCard';
+import SettlementStatement from '../components/Reimbursement/SettlementStatement';
+import reimbursementService, {
+  BATCH_STATUS_LABELS,
+  BATCH_STATUS_COLORS,
+  PAYMENT_METHODS,
+} from '../services/reimbursementService';
+import auditService from '../services/auditService';
+import categoryService from '../services/categoryService';
+import { formatDate as formatDateUtil } from '../utils/formatters';
+import { printElement } from '../utils/print';
+import useSettings from '../hooks/useSettings';
+import { getBaseCurrency } from '../services/exchangeRateService';
+
+const todayString = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+const Reimbursements = () => {
+  const { settings } = useSettings();
+  const [balances, setBalances] = useState([]);
+  const [batches, setBatches] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(10);
+  const [statementBatch, setStatementBatch] = useState(null);
+  const [payDialog, setPayDialog] = useState({ open: false, batch: null });
+  const [payment, setPayment] = useState({ paidAt: todayString(), method: 'bank_transfer' });
+  const [cancelTarget, setCancelTarget] = useState(null);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
+  const statementRef = useRef(null);
+
+  const loadData = useCallback(async () => {
+    try {
+      const [balancesResult, batchesResult, categoriesResult] = await Promise.all([
+        reimbursementService.getOutstandingBalances(),
+        reimbursementService.getAllBatches(),
+        categoryService.getAllCategories()
+      ]);
+
+      setBalances(balancesResult.success ? balancesResult.data : []);
+      setBatches(batchesResult.success ? batchesResult.data : []);
+      setCategories(categoriesResult.success ? categoriesResult.data : []);
+    } catch (error) {
+      console.error('Failed to load data:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  const filteredBatches = statusFilter ? batches.filter(batch => batch.status === statusFilter) : batches;
+  const paginatedBatches = filteredBatches.slice(page * rowsPerPage, page * rowsPerPage + rowsPerPage);
+
+  const totalOutstanding = balances.reduce((sum, balance) => sum + balance.outstanding, 0);
+  const totalPending = balances.reduce((sum, balance) => sum + balance.pending, 0);
+  const unbatchedCount = balances.reduce((sum, balance) => sum + balance.unbatchedCount, 0);
+
+  const showResult = (result, successMessage) => {
+    if (result.success) {
+      setSnackbar({ open: true, message: successMessage, severity: 'success' });
+    } else {
+      setSnackbar({ open: true, message: result.error || '処理に失敗しました', severity: 'error' });
+    }
+    loadData();
+  };
+
+  const handleCreateBatch = async (userId) => {
+    try {
+      const result = await reimbursementService.createBatch(userId);
+      showResult(result, result.success ? `精算書 ${result.data.batchNumber} を作成しました` : '');
+    } catch (error) {
+      setSnackbar({ open: true, message: '精算書の作成中にエラーが発生しました', severity: 'error' });
+    }
+  };
+
+  const handleCreateAll = async () => {
+    try {
+      const result = await reimbursementService.createBatchesForAll();
+      if (!result.success && result.data) {
+        const { created, failed } = result.data;
+        setSnackbar({
+          open: true,
+          message: `${created.length}件作成、${failed.length}件失敗しました（${failed[0].error}）`,
+          severity: 'warning'
+        });
+        loadData();
+        return;
+      }
+      showResult(result, `${result.data?.created.length || 0}件の精算書を作成しました`);
+    } catch (error) {
+      setSnackbar({ open: true, message: '精算書の作成中にエラーが発生しました', severity: 'error' });
+    }
+  };
+
+  const openPayDialog = (batch) => {
+    setPayment({ paidAt: todayString(), method: 'bank_transfer' });
+    setPayDialog({ open: true, batch });
+  };
+
+  const handlePayConfirm = async () => {
+    try {
+      const { batch } = payDialog;
+      const result = await reimbursementService.markBatchPaid(batch.id, payment, auditService.getCurrentUserId());
+      if (result.success) {
+        setPayDialog({ open: false, batch: null });
+      }
+      showResult(result, `精算書 ${batch.batchNumber} を支払済みにしました`);
+    } catch (error) {
+      setSnackbar({ open: true, message: '支払処理中にエラーが発生しました', severity: 'error' });
+    }
+  };
+
+  const handleCancelConfirm = async () => {
+    try {
+      const result = await reimbursementService.cancelBatch(cancelTarget.id);
+      setCancelTarget(null);
+      showResult(result, `精算書 ${cancelTarget.batchNumber} を取り消しました`);
+    } catch (error) {
+      setSnackbar({ open: true, message: '取消中にエラーが発生しました', severity: 'error' });
+    }
+  };
+
+  const handlePrint = () => {
+    printElement(statementRef.current, `立替金精算書_${statementBatch.batchNumber}`);
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('ja-JP', {
+      style: 'currency',
+      currency: getBaseCurrency()
+    }).format(amount);
+  };
+
+  const formatDate = (dateString) => {
+    return formatDateUtil(dateString, settings.dateFormat);
+  };
+
+  const containerVariants = {
+    hidden: { opacity: 0 },
+    visible: {
+      opacity: 1,
+      transition: { staggerChildren: 0.1 }
+    }
+  };
+
+  const itemVariants = {
+    hidden: { opacity: 0, y: 20 },
+    visible: {
+      opacity: 1,
+      y: 0,
+      transition: { duration: 0.5 }
+    }
+  };
+
+  const summaryCards = [
+    { label: '未精算立替金', value: formatCurrency(totalOutstanding), icon: <WalletIcon />, color: '#f5576c' },
+    { label: '承認待ちの立替金', value: formatCurrency(totalPending), icon: <PendingIcon />, color: '#f6a623' },
+    { label: '精算対象のメンバー', value: `${balances.filter(balance => balance.outstandingCount > 0).length}名`, icon: <PeopleIcon />, color: '#667eea' },
+  ];
+
+  return (
+    <Container maxWidth="xl">
+      <motion.div
+        variants={containerVariants}
+        initial="hidden"
+        animate="visible"
+      >
+        {/* Header */}
+        <motion.div variants={itemVariants}>
+          <Box sx={{ mb: 4 }}>
+            <Typography
+              variant="h3"
+              gutterBottom
+              sx={{
+                background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                WebkitBackgroundClip: 'text',
+                WebkitTextFillColor: 'transparent',
+                fontWeight: 700,
+                mb: 1,
+              }}
+            >
+              立替金精算
+            </Typography>
+            <Typography variant="subtitle1" color="text.secondary">
+              メンバーが立て替えた経費の精算書作成と支払管理
+            </Typography>
+          </Box>
+        </motion.div>
+
+        {/* Summary */}
+        <motion.div variants={itemVariants}>
+          <Grid container spacing={3} sx={{ mb: 3 }}>
+            {summaryCards.map((card) => (
+              <Grid item xs={12} md={4} key={card.label}>
+                <GlassCard>
+                  <GlassCardContent>
+                    <Stack direction="row" spacing={2} alignItems="center">
+                      <Avatar sx={{ bgcolor: card.color }}>{card.icon}</Avatar>
+                      <Box>
+                        <Typography variant="body2" color="text.secondary">{card.label}</Typography>
+                        <Typography variant="h5" fontWeight="bold">{card.value}</Typography>
+                      </Box>
+                    </Stack>
+                  </GlassCardContent>
+                </GlassCard>
+              </Grid>
+            ))}
+          </Grid>
+        </motion.div>
+
+        {/* Outstanding balances */}
+        <motion.div variants={itemVariants}>
+          <GlassCard sx={{ mb: 3 }}>
+            <GlassCardContent>
+              <Stack direction="row" alignItems="center" sx={{ mb: 2 }}>
+                <Typography variant="h6" fontWeight="bold">メンバー別の未精算残高</Typography>
+                <Box sx={{ flexGrow: 1 }} />
+                <Button
+                  variant="contained"
+                  startIcon={<CreateBatchIcon />}
+                  disabled={unbatchedCount === 0}
+                  onClick={handleCreateAll}
+                >
+                  全員分の精算書を作成
+                </Button>
+              </Stack>
+
+              {balances.length === 0 ? (
+                <Box sx={{ textAlign: 'center', py: 6 }}>
+                  <WalletIcon sx={{ fontSize: 64, color: 'text.secondary', mb: 2 }} />
+                  <Typography variant="h6" color="text.secondary">
+                    未精算の立替金はありません
+                  </Typography>
+                </Box>
+              ) : (
+                <TableContainer>
+                  <Table>
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>メンバー</TableCell>
+                        <TableCell>部署</TableCell>
+                        <TableCell align="right">未精算残高</TableCell>
+                        <TableCell align="right">うち精算書未作成</TableCell>
+                        <TableCell align="right">承認待ち</TableCell>
+                        <TableCell align="center">操作</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {balances.map((balance) => (
+                        <TableRow key={balance.user.id} hover>
+                          <TableCell>
+                            <Stack direction="row" spacing={1} alignItems="center">
+                              <Avatar sx={{ width: 32, height: 32 }}>{balance.user.name.charAt(0)}</Avatar>
+                              <Typography variant="body2" fontWeight="bold">{balance.user.name}</Typography>
+                            </Stack>
+                          </TableCell>
+                          <TableCell>{balance.user.department}</TableCell>
+                          <TableCell align="right">
+                            <Typography variant="body2" fontWeight="bold" color="error.main">
+                              {formatCurrency(balance.outstanding)}
+                            </Typography>
+                            <Typography variant="caption" color="text.secondary">
+                              {balance.outstandingCount}件
+                            </Typography>
+                          </TableCell>
+                          <TableCell align="right">
+                            {formatCurrency(balance.unbatched)}（{balance.unbatchedCount}件）
+                          </TableCell>
+                          <TableCell align="right">
+                            {balance.pendingCount > 0
+                              ? `${formatCurrency(balance.pending)}（${balance.pendingCount}件）`
+                              : '—'}
+                          </TableCell>
+                          <TableCell align="center">
+                            <Button
+                              size="small"
+                              startIcon={<StatementIcon />}
+                              disabled={balance.unbatchedCount === 0}
+                              onClick={() => handleCreateBatch(balance.user.id)}
+                            >
+                              精算書を作成
+                            </Button>
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              )}
+            </GlassCardContent>
+          </GlassCard>
+        </motion.div>
+
+        {/* Batches */}
+        <motion.div variants={itemVariants}>
+          <GlassCard>
+            <GlassCardContent>
+              <Stack direction="row" alignItems="center" sx={{ mb: 2 }}>
+                <Typography variant="h6" fontWeight="bold">精算書</Typography>
+                <Box sx={{ flexGrow: 1 }} />
+                <FormControl size="small" sx={{ minWidth: 160 }}>
+                  <InputLabel>状態</InputLabel>
+                  <Select
+                    value={statusFilter}
+                    label="状態"
+                    onChange={(e) => {
+                      setStatusFilter(e.target.value);
+                      setPage(0);
+                    }}
+                  >
+                    <MenuItem value="">すべて</MenuItem>
+                    {Object.entries(BATCH_STATUS_LABELS).map(([value, label]) => (
+                      <MenuItem key={value} value={value}>{label}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Stack>
+
+              {filteredBatches.length === 0 ? (
+                <Typography color="text.secondary" sx={{ textAlign: 'center', py: 6 }}>
+                  精算書はまだありません
+                </Typography>
+              ) : (
+                <>
+                  <TableContainer>
+                    <Table>
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>精算番号</TableCell>
+                          <TableCell>作成日</TableCell>
+                          <TableCell>メンバー</TableCell>
+                          <TableCell align="right">件数</TableCell>
+                          <TableCell align="right">金額</TableCell>
+                          <TableCell>状態</TableCell>
+                          <TableCell>支払日</TableCell>
+                          <TableCell>支払方法</TableCell>
+                          <TableCell align="center">操作</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {paginatedBatches.map((batch) => (
+                          <TableRow key={batch.id} hover>
+                            <TableCell>
+                              <Typography variant="body2" fontWeight="bold">{batch.batchNumber}</Typography>
+                            </TableCell>
+                            <TableCell>{formatDate(batch.createdAt)}</TableCell>
+                            <TableCell>
+                              <Chip label={batch.user ? batch.user.name : '不明'} size="small" variant="outlined" />
+                            </TableCell>
+                            <TableCell align="right">{batch.expenseIds.length}</TableCell>
+                            <TableCell align="right">
+                              <Typography variant="body2" fontWeight="bold">
+                                {formatCurrency(batch.totalAmount)}
+                              </Typography>
+                            </TableCell>
+                            <TableCell>
+                              <Chip
+                                label={BATCH_STATUS_LABELS[batch.status]}
+                                color={BATCH_STATUS_COLORS[batch.status]}
+                                size="small"
+                              />
+                            </TableCell>
+                            <TableCell>{batch.paidAt ? formatDate(batch.paidAt) : '—'}</TableCell>
+                            <TableCell>{PAYMENT_METHODS[batch.paymentMethod] || '—'}</TableCell>
+                            <TableCell align="center">
+                              <Stack direction="row" spacing={1} justifyContent="center">
+                                <IconButton
+                                  size="small"
+                                  onClick={() => setStatementBatch(batch)}
+                                  title="精算書を表示"
+                                >
+                                  <StatementIcon />
+                                </IconButton>
+                                {batch.status === 'open' && (
+                                  <>
+                                    <IconButton
+                                      size="small"
+                                      color="primary"
+                                      onClick={() => openPayDialog(batch)}
+                                      title="支払済みにする"
+                                    >
+                                      <PayIcon />
+                                    </IconButton>
+                                    <IconButton
+                                      size="small"
+                                      color="error"
+                                      onClick={() => setCancelTarget(batch)}
+                                      title="取り消す"
+                                    >
+                                      <CancelIcon />
+                                    </IconButton>
+                                  </>
+                                )}
+                              </Stack>
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+
+                  <TablePagination
+                    component="div"
+                    count={filteredBatches.length}
+                    page={page}
+                    onPageChange={(e, newPage) => setPage(newPage)}
+                    rowsPerPage={rowsPerPage}
+                    onRowsPerPageChange={(e) => {
+                      setRowsPerPage(parseInt(e.target.value, 10));
+                      setPage(0);
+                    }}
+                    rowsPerPageOptions={[10, 25, 50]}
+                    labelRowsPerPage="表示件数："
+                    labelDisplayedRows={({ from, to, count }) =>
+                      `${from}-${to} / ${count}`
+                    }
+                  />
+                </>
+              )}
+            </GlassCardContent>
+          </GlassCard>
+        </motion.div>
+
+        {/* Statement Dialog */}
+        <Dialog
+          open={Boolean(statementBatch)}
+          onClose={() => setStatementBatch(null)}
+          maxWidth="md"
+          fullWidth
+        >
+          <DialogTitle>立替金精算書</DialogTitle>
+          <DialogContent>
+            <Box sx={{ border: '1px solid', borderColor: 'divider' }}>
+              <SettlementStatement
+                ref={statementRef}
+                batch={statementBatch}
+                categories={categories}
+                dateFormat={settings.dateFormat}
+              />
+            </Box>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setStatementBatch(null)}>閉じる</Button>
+            <Button onClick={handlePrint} variant="contained" startIcon={<PrintIcon />}>
+              印刷
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        {/* Payment Dialog */}
+        <Dialog
+          open={payDialog.open}
+          onClose={() => setPayDialog({ open: false, batch: null })}
+          maxWidth="xs"
+          fullWidth
+        >
+          <DialogTitle>支払の記録</DialogTitle>
+          <DialogContent>
+            {payDialog.batch && (
+              <Typography gutterBottom>
+                {payDialog.batch.user ? payDialog.batch.user.name : '不明'}さんへ
+                {formatCurrency(payDialog.batch.totalAmount)}（{payDialog.batch.expenseIds.length}件）を支払済みにします。
+              </Typography>
+            )}
+            <Stack spacing={2} sx={{ mt: 2 }}>
+              <TextField
+                label="支払日"
+                type="date"
+                value={payment.paidAt}
+                onChange={(e) => setPayment(prev => ({ ...prev, paidAt: e.target.value }))}
+                InputLabelProps={{ shrink: true }}
+                fullWidth
+                required
+              />
+              <FormControl fullWidth>
+                <InputLabel>支払方法</InputLabel>
+                <Select
+                  value={payment.method}
+                  label="支払方法"
+                  onChange={(e) => setPayment(prev => ({ ...prev, method: e.target.value }))}
+                >
+                  {Object.entries(PAYMENT_METHODS).map(([value, label]) => (
+                    <MenuItem key={value} value={value}>{label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Stack>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setPayDialog({ open: false, batch: null })}>キャンセル</Button>
+            <Button onClick={handlePayConfirm} variant="contained" disabled={!payment.paidAt}>
+              支払済みにする
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        {/* Cancel Dialog */}
+        <Dialog open={Boolean(cancelTarget)} onClose={() => setCancelTarget(null)} maxWidth="xs" fullWidth>
+          <DialogTitle>精算書の取消</DialogTitle>
+          <DialogContent>
+            <Typography>
+              精算書 {cancelTarget?.batchNumber} を取り消します。含まれる経費は未精算に戻り、再度精算書を作成できます。
+            </Typography>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setCancelTarget(null)}>キャンセル</Button>
+            <Button onClick={handleCancelConfirm} variant="contained" color="error">
+              取り消す
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        {/* Snackbar */}
+        <Snackbar
+          open={snackbar.open}
+          autoHideDuration={6000}
+          onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+        >
+          <Alert
+            onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+            severity={snackbar.severity}
+            sx={{ width: '100%' }}
+          >
+            {snackbar.message}
+          </Alert>
+        </Snackbar>
+      </motion.div>
+    </Container>
+  );
+};
+
+export default Reimbursements;
@@ -31,13 +31,22 @@ import {
   Save as SaveIcon,
   Undo as UndoIcon,
   RestartAlt as ResetIcon,
-  Refresh as RefreshIcon
+  Refresh as RefreshIcon,
+  Store as VendorIcon,
+  AccountBalance as PaymentAccountIcon,
+  CurrencyExchange as ExchangeRateIcon,
+  RequestQuote as InvoiceIssuerIcon
 } from '@mui/icons-material';
 import { motion, AnimatePresence } from 'framer-motion';
+import { useLocation } from 'react-router-dom';
 
 // Import all settings components
 import ThemeSettings from '../components/Settings/ThemeSettings';
 import CategorySettings from '../components/Settings/CategorySettings';
+import VendorSettings from '../components/Settings/VendorSettings';
+import PaymentAccountSettings from '../components/Settings/PaymentAccountSettings';
+import InvoiceIssuerSettings from '../components/Settings/InvoiceIssuerSettings';
+import ExchangeRateSettings from '../components/Settings/ExchangeRateSettings';
 import GeneralSettings from '../components/Settings/GeneralSettings';
 import DataManagement from '../components/Settings/DataManagement';
 import ApiSettings from '../components/Settings/ApiSettings';
@@ -66,6 +75,30 @@ const settingsTabs = [
     icon: <CategoryIcon />,
     description: 'カテゴリ管理と設定'
   },
+  {
+    id: 'vendors',
+    label: '取引先',
+    icon: <VendorIcon />,
+    description: '取引先マスタとインボイス登録番号'
+  },
+  {
+    id: 'accounts',
+    label: '決済口座',
+    icon: <PaymentAccountIcon />,
+    description: '現金・銀行口座・クレジットカード'
+  },
+  {
+    id: 'invoiceIssuer',
+    label: '請求書発行',
+    icon: <InvoiceIssuerIcon />,
+    description: '発行者情報・登録番号・振込先・ロゴと社印'
+  },
+  {
+    id: 'exchangeRates',
+    label: '為替レート',
+    icon: <ExchangeRateIcon />,
+    description: '外貨取引の換算レート'
+  },
   {
     id: 'api',
     label: 'AI設定',
@@ -87,7 +120,10 @@ const settingsTabs = [
 ];
 
 const Settings = () => {
-  const [activeTab, setActiveTab] = useState('general');
+  const location = useLocation();
+  const [activeTab, setActiveTab] = useState(
+    settingsTabs.some(tab => tab.id === location.state?.tab) ? location.state.tab : 'general'
+  );
   const [searchQuery, setSearchQuery] = useState('');
   const [showSaveDialog, setShowSaveDialog] = useState(false);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
@@ -212,6 +248,14 @@ const Settings = () => {
         return <ThemeSettings {...commonProps} />;
       case 'categories':
         return <CategorySettings {...commonProps} />;
+      case 'vendors':
+        return <VendorSettings />;
+      case 'accounts':
+        return <PaymentAccountSettings />;
+      case 'invoiceIssuer':
+        return <InvoiceIssuerSettings />;
+      case 'exchangeRates':
+        return <ExchangeRateSettings />;
       case 'api':
         return <ApiSettings {...commonProps} />;
       case 'data':
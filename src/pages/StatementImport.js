@@ -0,0 +1,669 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Button,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Tabs,
+  Tab,
+  Alert,
+  Chip,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  FormControlLabel,
+  Switch,
+  Stack,
+  Grid,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  List,
+  ListItemButton,
+  ListItemText,
+  Snackbar,
+} from '@mui/material';
+import {
+  UploadFile as UploadIcon,
+  AddCircleOutline as CreateIcon,
+  Link as MatchIcon,
+  LinkOff as UnmatchIcon,
+  VisibilityOff as IgnoreIcon,
+  Undo as RestoreIcon,
+  Delete as DeleteIcon,
+  Autorenew as RematchIcon,
+} from '@mui/icons-material';
+import { motion } from 'framer-motion';
+import GlassCard, { GlassCardContent } from '../components/common/GlassCard';
+import categoryService from '../services/categoryService';
+import expenseService from '../services/expenseService';
+import incomeService from '../services/incomeService';
+import paymentAccountService from '../services/paymentAccountService';
+import statementImportService, { STATEMENT_LINE_STATUSES, MATCH_METHODS } from '../services/statementImportService';
+import {
+  STATEMENT_FORMATS,
+  CSV_COLUMN_FIELDS,
+  CSV_AMOUNT_SIGNS,
+  decodeStatementFile,
+  detectStatementFormat,
+  parseCsvRows,
+  detectCsvMapping,
+  mapCsvRows,
+  parseOfx,
+  parseZengin,
+} from '../utils/statementParsers';
+import { getBaseCurrency } from '../services/exchangeRateService';
+
+const PREVIEW_ROWS = 5;
+
+const StatementImport = () => {
+  const [paymentAccounts, setPaymentAccounts] = useState([]);
+  const [accountId, setAccountId] = useState('');
+  const [file, setFile] = useState(null);
+  const [format, setFormat] = useState('csv');
+  const [csvRows, setCsvRows] = useState([]);
+  const [mapping, setMapping] = useState(null);
+  const [importing, setImporting] = useState(false);
+
+  const [statusTab, setStatusTab] = useState('pending');
+  const [filterAccountId, setFilterAccountId] = useState('');
+  const [lines, setLines] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [transactions, setTransactions] = useState({});
+  const [lineCategories, setLineCategories] = useState({});
+  const [matchDialog, setMatchDialog] = useState({ open: false, line: null, candidates: [] });
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
+
+  const showMessage = (message, severity = 'success') => {
+    setSnackbar({ open: true, message, severity });
+  };
+
+  const loadQueue = useCallback(async () => {
+    const [linesResult, categoriesResult, expensesResult, incomeResult] = await Promise.all([
+      statementImportService.getStatementLines(),
+      categoryService.getAllCategories(),
+      expenseService.getAllExpenses(),
+      incomeService.getAllIncome()
+    ]);
+
+    if (!linesResult.success) {
+      showMessage('明細の読み込みに失敗しました', 'error');
+      return;
+    }
+
+    const transactionMap = {};
+    (expensesResult.success ? expensesResult.data : []).forEach(item => { transactionMap[`expense:${item.id}`] = item; });
+    (incomeResult.success ? incomeResult.data : []).forEach(item => { transactionMap[`income:${item.id}`] = item; });
+
+    setLines(linesResult.data);
+    setCategories(categoriesResult.success ? categoriesResult.data : []);
+    setTransactions(transactionMap);
+
+    // Prefill categories of pending lines from the learned selections
+    const pending = linesResult.data.filter(line => line.status === 'pending');
+    const suggestions = await statementImportService.suggestCategories(pending);
+    setLineCategories(prev => ({ ...suggestions, ...prev }));
+  }, []);
+
+  useEffect(() => {
+    const loadAccounts = async () => {
+      const result = await paymentAccountService.getPaymentAccounts({ activeOnly: true });
+      if (result.success) {
+        setPaymentAccounts(result.data);
+        const preferred = result.data.find(account => account.kind !== 'cash') || result.data[0];
+        setAccountId(preferred ? preferred.id : '');
+      }
+    };
+    loadAccounts();
+    loadQueue();
+  }, [loadQueue]);
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files[0];
+    e.target.value = '';
+    if (!selected) return;
+
+    const text = decodeStatementFile(await selected.arrayBuffer());
+    const detected = detectStatementFormat(text);
+    const rows = detected === 'csv' ? parseCsvRows(text) : [];
+    setFile({ name: selected.name, text });
+    setFormat(detected);
+    setCsvRows(rows);
+    setMapping(detected === 'csv' ? detectCsvMapping(rows) : null);
+  };
+
+  const handleFormatChange = (value) => {
+    setFormat(value);
+    if (value === 'csv' && file) {
+      const rows = parseCsvRows(file.text);
+      setCsvRows(rows);
+      setMapping(detectCsvMapping(rows));
+    }
+  };
+
+  const parsed = useMemo(() => {
+    if (!file) return null;
+    if (format === 'csv') {
+      return mapping ? mapCsvRows(csvRows, mapping) : { lines: [], skipped: 0 };
+    }
+    return format === 'ofx' ? parseOfx(file.text) : parseZengin(file.text);
+  }, [file, format, csvRows, mapping]);
+
+  const handleImport = async () => {
+    setImporting(true);
+    const result = await statementImportService.importStatementLines(parsed.lines, {
+      paymentAccountId: accountId,
+      format,
+      fileName: file.name
+    });
+    setImporting(false);
+
+    if (!result.success) {
+      showMessage(result.error || '明細の取込に失敗しました', 'error');
+      return;
+    }
+
+    const { imported, duplicates, matched, pending } = result.data;
+    showMessage(`${imported}件を取り込みました（自動照合 ${matched}件・未処理 ${pending}件${duplicates ? `・重複のため除外 ${duplicates}件` : ''}）`);
+    setFile(null);
+    setMapping(null);
+    setCsvRows([]);
+    setStatusTab('pending');
+    loadQueue();
+  };
+
+  const handleRematch = async () => {
+    const result = await statementImportService.autoMatchPendingLines(filterAccountId || null);
+    if (result.success) {
+      showMessage(`${result.data.matched}件を照合しました`, result.data.matched ? 'success' : 'info');
+      loadQueue();
+    } else {
+      showMessage(result.error || '照合に失敗しました', 'error');
+    }
+  };
+
+  const handleCreate = async (line) => {
+    const categoryId = lineCategories[line.id];
+    if (!categoryId) {
+      showMessage('カテゴリを選択してください', 'warning');
+      return;
+    }
+    const result = await statementImportService.createTransactionFromLine(line.id, { categoryId });
+    if (result.success) {
+      showMessage(result.data.type === 'expense' ? '支出を登録しました' : '収入を登録しました');
+      loadQueue();
+    } else {
+      showMessage(result.error || '登録に失敗しました', 'error');
+    }
+  };
+
+  const openMatchDialog = async (line) => {
+    const result = await statementImportService.getMatchCandidates(line.id);
+    setMatchDialog({ open: true, line, candidates: result.success ? result.data : [] });
+  };
+
+  const handleMatch = async (transaction) => {
+    const result = await statementImportService.matchStatementLine(matchDialog.line.id, transaction.type, transaction.id);
+    setMatchDialog({ open: false, line: null, candidates: [] });
+    if (result.success) {
+      showMessage('取引と照合しました');
+      loadQueue();
+    } else {
+      showMessage(result.error || '照合に失敗しました', 'error');
+    }
+  };
+
+  const runLineAction = async (action, line, message) => {
+    const result = await action(line.id);
+    if (result.success) {
+      showMessage(message);
+      loadQueue();
+    } else {
+      showMessage(result.error || '操作に失敗しました', 'error');
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('ja-JP', {
+      style: 'currency',
+      currency: getBaseCurrency()
+    }).format(amount);
+  };
+
+  const accountName = (id) => paymentAccounts.find(account => String(account.id) === String(id))?.name || '—';
+
+  const visibleLines = lines
+    .filter(line => line.status === statusTab)
+    .filter(line => !filterAccountId || String(line.paymentAccountId) === String(filterAccountId));
+
+  const statusCounts = Object.keys(STATEMENT_LINE_STATUSES).reduce((acc, status) => {
+    acc[status] = lines.filter(line => line.status === status).length;
+    return acc;
+  }, {});
+
+  const columnOptions = (csvRows[0] || []).map((cell, index) => ({
+    index,
+    label: mapping?.hasHeader ? `${index + 1}: ${cell}` : `${index + 1}列目（${cell}）`
+  }));
+
+  const containerVariants = {
+    hidden: { opacity: 0 },
+    visible: {
+      opacity: 1,
+      transition: { staggerChildren: 0.1 }
+    }
+  };
+
+  const itemVariants = {
+    hidden: { opacity: 0, y: 20 },
+    visible: {
+      opacity: 1,
+      y: 0,
+      transition: { duration: 0.5 }
+    }
+  };
+
+  const renderAmount = (line) => (
+    <Typography
+      variant="body2"
+      fontWeight="bold"
+      color={line.direction === 'out' ? 'error.main' : 'success.main'}
+    >
+      {line.direction === 'out' ? '-' : '+'}{formatCurrency(line.amount)}
+    </Typography>
+  );
+
+  const renderMapping = () => (
+    <Box sx={{ mt: 2 }}>
+      <Typography variant="subtitle2" gutterBottom>列の割り当て</Typography>
+      <Grid container spacing={2}>
+        {Object.entries(CSV_COLUMN_FIELDS).map(([field, label]) => (
+          <Grid item xs={6} md={2} key={field}>
+            <FormControl fullWidth size="small">
+              <InputLabel>{label}</InputLabel>
+              <Select
+                value={mapping[field] ?? -1}
+                label={label}
+                onChange={(e) => setMapping(prev => ({ ...prev, [field]: e.target.value }))}
+              >
+                <MenuItem value={-1}><em>なし</em></MenuItem>
+                {columnOptions.map(option => (
+                  <MenuItem key={option.index} value={option.index}>{option.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+        ))}
+      </Grid>
+      <Stack direction={{ xs: 'column', md: 'row' }} spacing={2} alignItems={{ md: 'center' }} sx={{ mt: 2 }}>
+        <FormControlLabel
+          control={
+            <Switch
+              checked={mapping.hasHeader}
+              onChange={(e) => setMapping(prev => ({ ...prev, hasHeader: e.target.checked }))}
+            />
+          }
+          label="1行目は見出し"
+        />
+        {mapping.amount >= 0 && (
+          <FormControl size="small" sx={{ minWidth: 260 }}>
+            <InputLabel>金額の符号</InputLabel>
+            <Select
+              value={mapping.amountSign}
+              label="金額の符号"
+              onChange={(e) => setMapping(prev => ({ ...prev, amountSign: e.target.value }))}
+            >
+              {Object.entries(CSV_AMOUNT_SIGNS).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        )}
+      </Stack>
+    </Box>
+  );
+
+  const renderPreview = () => (
+    <Box sx={{ mt: 2 }}>
+      <Typography variant="subtitle2" gutterBottom>
+        プレビュー（{parsed.lines.length}件{parsed.skipped ? `・読み取れない行 ${parsed.skipped}件` : ''}）
+      </Typography>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>日付</TableCell>
+              <TableCell>摘要</TableCell>
+              <TableCell align="right">金額</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {parsed.lines.slice(0, PREVIEW_ROWS).map((line, index) => (
+              <TableRow key={index}>
+                <TableCell>{line.date}</TableCell>
+                <TableCell>{line.description}</TableCell>
+                <TableCell align="right">{renderAmount(line)}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+
+  const renderMatched = (line) => {
+    const transaction = transactions[`${line.matchedType}:${line.matchedId}`];
+    return (
+      <Box>
+        <Typography variant="body2">
+          {transaction ? transaction.description || transaction.source : '削除された取引'}
+        </Typography>
+        <Stack direction="row" spacing={1} alignItems="center">
+          <Typography variant="caption" color="text.secondary">
+            {transaction ? transaction.date?.split('T')[0] : ''} {line.matchedType === 'expense' ? '支出' : '収入'}
+          </Typography>
+          <Chip label={MATCH_METHODS[line.matchMethod]} size="small" variant="outlined" />
+          {line.matchMethod !== 'created' && line.matchScore !== null && (
+            <Typography variant="caption" color="text.secondary">
+              一致度 {Math.round(line.matchScore * 100)}%
+            </Typography>
+          )}
+        </Stack>
+      </Box>
+    );
+  };
+
+  const renderActions = (line) => {
+    if (line.status === 'pending') {
+      return (
+        <Stack direction="row" spacing={0.5} justifyContent="flex-end">
+          <IconButton size="small" color="primary" onClick={() => handleCreate(line)} title="取引として登録">
+            <CreateIcon />
+          </IconButton>
+          <IconButton size="small" onClick={() => openMatchDialog(line)} title="既存の取引と照合">
+            <MatchIcon />
+          </IconButton>
+          <IconButton
+            size="small"
+            onClick={() => runLineAction(statementImportService.ignoreStatementLine, line, '明細を除外しました')}
+            title="除外"
+          >
+            <IgnoreIcon />
+          </IconButton>
+        </Stack>
+      );
+    }
+    if (line.status === 'matched') {
+      return (
+        <IconButton
+          size="small"
+          onClick={() => runLineAction(statementImportService.resetStatementLine, line, '照合を解除しました')}
+          title="照合を解除"
+        >
+          <UnmatchIcon />
+        </IconButton>
+      );
+    }
+    return (
+      <Stack direction="row" spacing={0.5} justifyContent="flex-end">
+        <IconButton
+          size="small"
+          onClick={() => runLineAction(statementImportService.resetStatementLine, line, '未処理に戻しました')}
+          title="未処理に戻す"
+        >
+          <RestoreIcon />
+        </IconButton>
+        <IconButton
+          size="small"
+          color="error"
+          onClick={() => runLineAction(statementImportService.deleteStatementLine, line, '明細を削除しました')}
+          title="削除"
+        >
+          <DeleteIcon />
+        </IconButton>
+      </Stack>
+    );
+  };
+
+  return (
+    <Container maxWidth="xl">
+      <motion.div
+        variants={containerVariants}
+        initial="hidden"
+        animate="visible"
+      >
+        {/* Header */}
+        <motion.div variants={itemVariants}>
+          <Box sx={{ mb: 4 }}>
+            <Typography
+              variant="h3"
+              gutterBottom
+              sx={{
+                background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                WebkitBackgroundClip: 'text',
+                WebkitTextFillColor: 'transparent',
+                fontWeight: 700,
+                mb: 1,
+              }}
+            >
+              明細取込
+            </Typography>
+            <Typography variant="subtitle1" color="text.secondary">
+              銀行・クレジットカードの明細を取り込み、登録済みの取引と照合します
+            </Typography>
+          </Box>
+        </motion.div>
+
+        {/* Import */}
+        <motion.div variants={itemVariants}>
+          <GlassCard sx={{ mb: 4 }}>
+            <GlassCardContent>
+              <Typography variant="h6" fontWeight="bold" gutterBottom>
+                明細ファイルの取込
+              </Typography>
+              <Stack direction={{ xs: 'column', md: 'row' }} spacing={2} alignItems={{ md: 'center' }}>
+                <FormControl size="small" sx={{ minWidth: 220 }}>
+                  <InputLabel>取込先の口座</InputLabel>
+                  <Select value={accountId} label="取込先の口座" onChange={(e) => setAccountId(e.target.value)}>
+                    {paymentAccounts.map(account => (
+                      <MenuItem key={account.id} value={account.id}>{account.name}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <Button variant="outlined" component="label" startIcon={<UploadIcon />}>
+                  ファイルを選択
+                  <input type="file" hidden accept=".csv,.txt,.tsv,.ofx,.qfx,.dat" onChange={handleFileChange} />
+                </Button>
+                {file && (
+                  <>
+                    <Typography variant="body2" color="text.secondary">{file.name}</Typography>
+                    <FormControl size="small" sx={{ minWidth: 200 }}>
+                      <InputLabel>形式</InputLabel>
+                      <Select value={format} label="形式" onChange={(e) => handleFormatChange(e.target.value)}>
+                        {Object.entries(STATEMENT_FORMATS).map(([value, label]) => (
+                          <MenuItem key={value} value={value}>{label}</MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                  </>
+                )}
+              </Stack>
+
+              {!file && (
+                <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+                  CSV（列の割り当てが可能）、OFX/QFX、全銀協フォーマット（入出金取引明細・振込入金通知）に対応しています。
+                  同じ明細を再度取り込んでも重複は登録されません。
+                </Typography>
+              )}
+
+              {file && format === 'csv' && mapping && renderMapping()}
+              {parsed && renderPreview()}
+
+              {parsed && (
+                <Box sx={{ mt: 2, display: 'flex', justifyContent: 'flex-end', gap: 1 }}>
+                  <Button onClick={() => { setFile(null); setMapping(null); setCsvRows([]); }}>
+                    キャンセル
+                  </Button>
+                  <Button
+                    variant="contained"
+                    onClick={handleImport}
+                    disabled={importing || !accountId || parsed.lines.length === 0}
+                  >
+                    {parsed.lines.length}件を取り込む
+                  </Button>
+                </Box>
+              )}
+            </GlassCardContent>
+          </GlassCard>
+        </motion.div>
+
+        {/* Review queue */}
+        <motion.div variants={itemVariants}>
+          <GlassCard>
+            <Stack
+              direction={{ xs: 'column', md: 'row' }}
+              justifyContent="space-between"
+              alignItems={{ md: 'center' }}
+              sx={{ px: 2, borderBottom: 1, borderColor: 'divider' }}
+            >
+              <Tabs value={statusTab} onChange={(e, value) => setStatusTab(value)}>
+                {Object.entries(STATEMENT_LINE_STATUSES).map(([value, label]) => (
+                  <Tab key={value} value={value} label={`${label}（${statusCounts[value]}）`} />
+                ))}
+              </Tabs>
+              <Stack direction="row" spacing={2} alignItems="center" sx={{ py: 1 }}>
+                <FormControl size="small" sx={{ minWidth: 180 }}>
+                  <InputLabel>口座</InputLabel>
+                  <Select value={filterAccountId} label="口座" onChange={(e) => setFilterAccountId(e.target.value)}>
+                    <MenuItem value="">すべて</MenuItem>
+                    {paymentAccounts.map(account => (
+                      <MenuItem key={account.id} value={account.id}>{account.name}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <Button size="small" startIcon={<RematchIcon />} onClick={handleRematch} disabled={statusCounts.pending === 0}>
+                  再照合
+                </Button>
+              </Stack>
+            </Stack>
+
+            {visibleLines.length === 0 ? (
+              <Box sx={{ p: 4, textAlign: 'center' }}>
+                <Typography color="text.secondary">
+                  {statusTab === 'pending' ? '未処理の明細はありません' : '明細はありません'}
+                </Typography>
+              </Box>
+            ) : (
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>日付</TableCell>
+                      <TableCell>摘要</TableCell>
+                      <TableCell>口座</TableCell>
+                      <TableCell align="right">金額</TableCell>
+                      <TableCell>{statusTab === 'matched' ? '照合した取引' : 'カテゴリ'}</TableCell>
+                      <TableCell align="right">操作</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {visibleLines.map(line => (
+                      <TableRow key={line.id} hover>
+                        <TableCell>{line.date}</TableCell>
+                        <TableCell>{line.description || '—'}</TableCell>
+                        <TableCell>{accountName(line.paymentAccountId)}</TableCell>
+                        <TableCell align="right">{renderAmount(line)}</TableCell>
+                        <TableCell sx={{ minWidth: 200 }}>
+                          {line.status === 'matched' && renderMatched(line)}
+                          {line.status === 'pending' && (
+                            <Select
+                              size="small"
+                              fullWidth
+                              displayEmpty
+                              value={lineCategories[line.id] || ''}
+                              onChange={(e) => setLineCategories(prev => ({ ...prev, [line.id]: e.target.value }))}
+                            >
+                              <MenuItem value=""><em>カテゴリを選択</em></MenuItem>
+                              {categories
+                                .filter(category => category.type === (line.direction === 'out' ? 'expense' : 'income'))
+                                .map(category => (
+                                  <MenuItem key={category.id} value={category.id}>{category.name}</MenuItem>
+                                ))}
+                            </Select>
+                          )}
+                        </TableCell>
+                        <TableCell align="right">{renderActions(line)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )}
+          </GlassCard>
+        </motion.div>
+
+        <motion.div variants={itemVariants}>
+          <Alert severity="info" sx={{ mt: 4 }}>
+            金額が一致し、日付の差が3日以内で摘要が似ている取引と自動で照合します。
+            照合した取引に決済口座が設定されていない場合は、取込先の口座を設定します。
+          </Alert>
+        </motion.div>
+      </motion.div>
+
+      {/* Match Dialog */}
+      <Dialog
+        open={matchDialog.open}
+        onClose={() => setMatchDialog({ open: false, line: null, candidates: [] })}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>既存の取引と照合</DialogTitle>
+        <DialogContent>
+          {matchDialog.line && (
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              {matchDialog.line.date} {matchDialog.line.description} {formatCurrency(matchDialog.line.amount)}
+            </Typography>
+          )}
+          {matchDialog.candidates.length === 0 ? (
+            <Alert severity="info">金額が一致する取引が前後1か月以内に見つかりません。</Alert>
+          ) : (
+            <List dense>
+              {matchDialog.candidates.map(({ transaction, score }) => (
+                <ListItemButton key={`${transaction.type}-${transaction.id}`} onClick={() => handleMatch(transaction)}>
+                  <ListItemText
+                    primary={transaction.description || transaction.source}
+                    secondary={`${transaction.date.split('T')[0]}・${formatCurrency(transaction.amount)}・一致度 ${Math.round(score * 100)}%`}
+                  />
+                </ListItemButton>
+              ))}
+            </List>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setMatchDialog({ open: false, line: null, candidates: [] })}>閉じる</Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+      >
+        <Alert severity={snackbar.severity} onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Container>
+  );
+};
+
+export default StatementImport;
@@ -0,0 +1,280 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Grid,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  Alert,
+} from '@mui/material';
+import { Download as DownloadIcon } from '@mui/icons-material';
+import { motion } from 'framer-motion';
+import GlassCard, { GlassCardContent } from '../components/common/GlassCard';
+import PeriodPicker, { getPresetRange } from '../components/common/PeriodPicker';
+import taxService from '../services/taxService';
+import { NON_QUALIFIED_DEDUCTION_PERIODS } from '../utils/consumptionTax';
+import { getBaseCurrency } from '../services/exchangeRateService';
+
+const TaxReport = () => {
+  const [preset, setPreset] = useState('year');
+  const [range, setRange] = useState(() => {
+    const { start, end } = getPresetRange('year');
+    return { start, end };
+  });
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadData = useCallback(async () => {
+    if (!range.start || !range.end || range.start > range.end) {
+      setSummary(null);
+      return;
+    }
+    const result = await taxService.getTaxSummary(range.start, range.end);
+    if (result.success) {
+      setSummary(result.data);
+      setError('');
+    } else {
+      setError(result.error || '集計に失敗しました');
+    }
+  }, [range]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  const handlePeriodChange = (value, nextRange) => {
+    setPreset(value);
+    setRange(nextRange);
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('ja-JP', {
+      style: 'currency',
+      currency: getBaseCurrency()
+    }).format(amount);
+  };
+
+  const exportData = () => {
+    const rows = [
+      ['区分', '税区分', '件数', '税込金額', '税抜金額', '消費税額', 'うち国税', 'うち地方消費税', '控除対象税額'],
+      ...[['売上（仮受消費税）', summary.sales], ['仕入・経費（仮払消費税）', summary.purchases]].flatMap(([section, data]) => [
+        ...data.rows.map(row => [section, row.label, row.count, row.grossAmount, row.netAmount, row.taxAmount, row.nationalTax, row.localTax, row.deductibleTax]),
+        [section, '合計', data.total.count, data.total.grossAmount, data.total.netAmount, data.total.taxAmount, data.total.nationalTax, data.total.localTax, data.total.deductibleTax]
+      ]),
+      ['差引', '納付税額（△は還付）', '', '', '', summary.balance, '', '', '']
+    ];
+
+    const csvContent = rows.map(row => row.join(',')).join('\n');
+    const blob = new Blob(['\uFEFF' + csvContent], { type: 'text/csv;charset=utf-8;' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `consumption_tax_${summary.startDate}_${summary.endDate}.csv`;
+    link.click();
+  };
+
+  // Expenses carry the deductible part of their tax after the インボイス transitional measures
+  const renderSection = (title, taxLabel, data, showDeductible = false) => (
+    <GlassCard>
+      <GlassCardContent>
+        <Typography variant="h6" fontWeight="bold" gutterBottom>
+          {title}
+        </Typography>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>税区分</TableCell>
+                <TableCell align="right">件数</TableCell>
+                <TableCell align="right">税込金額</TableCell>
+                <TableCell align="right">税抜金額</TableCell>
+                <TableCell align="right">{taxLabel}</TableCell>
+                <TableCell align="right">うち国税</TableCell>
+                <TableCell align="right">うち地方消費税</TableCell>
+                {showDeductible && <TableCell align="right">控除対象税額</TableCell>}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {data.rows.map((row) => (
+                <TableRow key={row.taxCategory}>
+                  <TableCell>{row.label}</TableCell>
+                  <TableCell align="right">{row.count}件</TableCell>
+                  <TableCell align="right">{formatCurrency(row.grossAmount)}</TableCell>
+                  <TableCell align="right">{formatCurrency(row.netAmount)}</TableCell>
+                  <TableCell align="right">{formatCurrency(row.taxAmount)}</TableCell>
+                  <TableCell align="right">{formatCurrency(row.nationalTax)}</TableCell>
+                  <TableCell align="right">{formatCurrency(row.localTax)}</TableCell>
+                  {showDeductible && <TableCell align="right">{formatCurrency(row.deductibleTax)}</TableCell>}
+                </TableRow>
+              ))}
+              <TableRow sx={{ '& td': { fontWeight: 'bold' } }}>
+                <TableCell>合計</TableCell>
+                <TableCell align="right">{data.total.count}件</TableCell>
+                <TableCell align="right">{formatCurrency(data.total.grossAmount)}</TableCell>
+                <TableCell align="right">{formatCurrency(data.total.netAmount)}</TableCell>
+                <TableCell align="right">{formatCurrency(data.total.taxAmount)}</TableCell>
+                <TableCell align="right">{formatCurrency(data.total.nationalTax)}</TableCell>
+                <TableCell align="right">{formatCurrency(data.total.localTax)}</TableCell>
+                {showDeductible && <TableCell align="right">{formatCurrency(data.total.deductibleTax)}</TableCell>}
+              </TableRow>
+            </TableBody>
+          </Table>
+        </TableContainer>
+        {data.unclassified.count > 0 && (
+          <Alert severity="warning" sx={{ mt: 2 }}>
+            税区分が未設定の取引が{data.unclassified.count}件（{formatCurrency(data.unclassified.grossAmount)}）あり、集計に含まれていません。
+            取引履歴から税区分を設定してください。
+          </Alert>
+        )}
+        {showDeductible && data.nonQualified.count > 0 && (
+          <Alert severity="warning" sx={{ mt: 2 }}>
+            登録番号のない支払先への支出が{data.nonQualified.count}件（消費税 {formatCurrency(data.nonQualified.taxAmount)}）あります。
+            経過措置により {formatCurrency(data.nonQualified.deductibleTax)} のみ控除対象としています
+            （{NON_QUALIFIED_DEDUCTION_PERIODS.slice(1).map(period => `〜${period.until.replace(/-/g, '/')} ${period.rate}%`).join('、')}）。
+          </Alert>
+        )}
+      </GlassCardContent>
+    </GlassCard>
+  );
+
+  const containerVariants = {
+    hidden: { opacity: 0 },
+    visible: {
+      opacity: 1,
+      transition: { staggerChildren: 0.1 }
+    }
+  };
+
+  const itemVariants = {
+    hidden: { opacity: 0, y: 20 },
+    visible: {
+      opacity: 1,
+      y: 0,
+      transition: { duration: 0.5 }
+    }
+  };
+
+  return (
+    <Container maxWidth="xl">
+      <motion.div
+        variants={containerVariants}
+        initial="hidden"
+        animate="visible"
+      >
+        {/* Header */}
+        <motion.div variants={itemVariants}>
+          <Box sx={{ mb: 4, display: 'flex', alignItems: { md: 'flex-end' }, flexDirection: { xs: 'column', md: 'row' }, gap: 2 }}>
+            <Box sx={{ flexGrow: 1 }}>
+              <Typography
+                variant="h3"
+                gutterBottom
+                sx={{
+                  background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                  WebkitBackgroundClip: 'text',
+                  WebkitTextFillColor: 'transparent',
+                  fontWeight: 700,
+                  mb: 1,
+                }}
+              >
+                消費税集計
+              </Typography>
+              <Typography variant="subtitle1" color="text.secondary">
+                期間内の仮受消費税・仮払消費税を税率ごとに集計
+              </Typography>
+            </Box>
+            <Button
+              variant="outlined"
+              startIcon={<DownloadIcon />}
+              onClick={exportData}
+              disabled={!summary}
+            >
+              CSV出力
+            </Button>
+          </Box>
+        </motion.div>
+
+        {/* Period */}
+        <motion.div variants={itemVariants}>
+          <GlassCard sx={{ mb: 4 }}>
+            <GlassCardContent>
+              <PeriodPicker preset={preset} range={range} onChange={handlePeriodChange} />
+            </GlassCardContent>
+          </GlassCard>
+        </motion.div>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 3 }}>{error}</Alert>
+        )}
+
+        {summary && (
+          <>
+            {/* Summary */}
+            <motion.div variants={itemVariants}>
+              <Grid container spacing={3} sx={{ mb: 4 }}>
+                {[
+                  { label: '仮受消費税', value: summary.outputTax, color: 'success.main' },
+                  {
+                    label: '仮払消費税（控除対象）',
+                    value: summary.inputTax,
+                    color: 'error.main',
+                    note: summary.inputTaxPaid !== summary.inputTax
+                      ? `支払額 ${formatCurrency(summary.inputTaxPaid)} のうち ${formatCurrency(summary.inputTaxPaid - summary.inputTax)} は控除対象外`
+                      : null
+                  },
+                  {
+                    label: summary.balance >= 0 ? '納付税額（見込み）' : '還付税額（見込み）',
+                    value: Math.abs(summary.balance),
+                    color: 'primary.main'
+                  },
+                ].map((card) => (
+                  <Grid item xs={12} md={4} key={card.label}>
+                    <GlassCard>
+                      <GlassCardContent>
+                        <Typography variant="body2" color="text.secondary" gutterBottom>
+                          {card.label}
+                        </Typography>
+                        <Typography variant="h4" fontWeight="bold" color={card.color}>
+                          {formatCurrency(card.value)}
+                        </Typography>
+                        {card.note && (
+                          <Typography variant="caption" color="text.secondary">
+                            {card.note}
+                          </Typography>
+                        )}
+                      </GlassCardContent>
+                    </GlassCard>
+                  </Grid>
+                ))}
+              </Grid>
+            </motion.div>
+
+            <motion.div variants={itemVariants}>
+              <Box sx={{ mb: 4 }}>
+                {renderSection('売上（仮受消費税）', '仮受消費税', summary.sales)}
+              </Box>
+            </motion.div>
+
+            <motion.div variants={itemVariants}>
+              <Box sx={{ mb: 4 }}>
+                {renderSection('仕入・経費（仮払消費税）', '仮払消費税', summary.purchases, true)}
+              </Box>
+            </motion.div>
+
+            <motion.div variants={itemVariants}>
+              <Alert severity="info">
+                原則課税（一般課税）で、取引ごとに計算した税額を積み上げた金額です。申告の際は税理士にご確認ください。
+              </Alert>
+            </motion.div>
+          </>
+        )}
+      </motion.div>
+    </Container>
+  );
+};
+
+export default TaxReport;
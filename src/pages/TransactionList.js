@@ -18,7 +18,6 @@ import {
   Stack,
   Chip,
   IconButton,
-  InputAdornment,
   Select,
   MenuItem,
   FormControl,
@@ -33,7 +32,6 @@ import {
   Snackbar,
 } from '@mui/material';
 import {
-  Search as SearchIcon,
   FilterList as FilterIcon,
   TrendingUp as IncomeIcon,
   TrendingDown as ExpenseIcon,
@@ -46,6 +44,8 @@ import {
   Delete as DeleteIcon,
   MoreVert as MoreIcon,
   AttachFile as AttachFileIcon,
+  Send as SubmitIcon,
+  History as HistoryIcon,
 } from '@mui/icons-material';
 import { motion } from 'framer-motion';
 import { LocalizationProvider, DatePicker } from '@mui/x-date-pickers';
@@ -53,13 +53,24 @@ import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import { ja } from 'date-fns/locale';
 import GlassCard, { GlassCardContent } from '../components/common/GlassCard';
 import FilePreviewDialog from '../components/common/FilePreviewDialog';
+import AuditHistoryDrawer from '../components/Audit/AuditHistoryDrawer';
 import expenseService from '../services/expenseService';
 import incomeService from '../services/incomeService';
 import categoryService from '../services/categoryService';
 import userService from '../services/userService';
 import trashService from '../services/trashService';
+import approvalService, { STATUS_LABELS, STATUS_COLORS } from '../services/approvalService';
 import { formatDate } from '../utils/formatters';
+import { TAX_CATEGORIES } from '../utils/consumptionTax';
+import taxService from '../services/taxService';
+import paymentAccountService from '../services/paymentAccountService';
 import useSettings from '../hooks/useSettings';
+import { getBaseCurrency } from '../services/exchangeRateService';
+import { formatMoney } from '../utils/currency';
+import CurrencyFields from '../components/Registration/CurrencyFields';
+import TransactionQueryBar from '../components/Transactions/TransactionQueryBar';
+import QueryAnswer from '../components/Transactions/QueryAnswer';
+import { createEmptyFilters, filterTransactions, hasFilters } from '../utils/transactionQuery';
 
 const TransactionList = () => {
   const { settings } = useSettings();
@@ -70,7 +81,9 @@ const TransactionList = () => {
   const [rowsPerPage, setRowsPerPage] = useState(25);
   
   // Filters
-  const [searchQuery, setSearchQuery] = useState('');
+  const [queryFilters, setQueryFilters] = useState(createEmptyFilters());
+  // Changed to clear the query bar
+  const [queryBarKey, setQueryBarKey] = useState(0);
   const [dateFrom, setDateFrom] = useState(null);
   const [dateTo, setDateTo] = useState(null);
   const [typeFilter, setTypeFilter] = useState('all');
@@ -87,6 +100,8 @@ const TransactionList = () => {
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
   const [filePreviewOpen, setFilePreviewOpen] = useState(false);
   const [previewFileIds, setPreviewFileIds] = useState([]);
+  const [historyTarget, setHistoryTarget] = useState(null);
+  const [paymentAccounts, setPaymentAccounts] = useState([]);
 
   // Load data
   useEffect(() => {
@@ -95,11 +110,12 @@ const TransactionList = () => {
 
   const loadData = async () => {
     try {
-      const [expensesResult, incomeResult, categoriesResult, usersResult] = await Promise.all([
+      const [expensesResult, incomeResult, categoriesResult, usersResult, accountsResult] = await Promise.all([
         expenseService.getAllExpenses(),
         incomeService.getAllIncome(),
         categoryService.getAllCategories(),
-        userService.getAllUsers()
+        userService.getAllUsers(),
+        paymentAccountService.getPaymentAccounts()
       ]);
 
       const expenses = (expensesResult.success ? expensesResult.data : [])
@@ -113,6 +129,7 @@ const TransactionList = () => {
       setTransactions(allTransactions);
       setCategories(categoriesResult.success ? categoriesResult.data : []);
       setUsers(usersResult.success ? usersResult.data : []);
+      setPaymentAccounts(accountsResult.success ? accountsResult.data : []);
       
     } catch (error) {
       console.error('Failed to load data:', error);
@@ -121,12 +138,7 @@ const TransactionList = () => {
 
   // Filter transactions
   const filteredTransactions = useMemo(() => {
-    return transactions.filter(transaction => {
-      // Search filter
-      if (searchQuery && !transaction.description.toLowerCase().includes(searchQuery.toLowerCase())) {
-        return false;
-      }
-
+    return filterTransactions(transactions, queryFilters).filter(transaction => {
       // Date filters
       if (dateFrom && new Date(transaction.date) < dateFrom) {
         return false;
@@ -152,7 +164,7 @@ const TransactionList = () => {
 
       return true;
     });
-  }, [transactions, searchQuery, dateFrom, dateTo, typeFilter, categoryFilter, userFilter]);
+  }, [transactions, queryFilters, dateFrom, dateTo, typeFilter, categoryFilter, userFilter]);
 
   // Calculate totals
   const totals = useMemo(() => {
@@ -181,7 +193,7 @@ const TransactionList = () => {
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('ja-JP', {
       style: 'currency',
-      currency: 'JPY'
+      currency: getBaseCurrency()
     }).format(amount);
   };
 
@@ -195,8 +207,14 @@ const TransactionList = () => {
     return user ? user.name : '不明';
   };
 
+  const handleQueryFiltersChange = (filters) => {
+    setQueryFilters(filters);
+    setPage(0);
+  };
+
   const resetFilters = () => {
-    setSearchQuery('');
+    setQueryFilters(createEmptyFilters());
+    setQueryBarKey(key => key + 1);
     setDateFrom(null);
     setDateTo(null);
     setTypeFilter('all');
@@ -210,6 +228,13 @@ const TransactionList = () => {
       日付: formatDate(t.date, settings.dateFormat),
       種類: t.type === 'expense' ? '支出' : '収入',
       金額: t.amount,
+      通貨: t.currency || getBaseCurrency(),
+      外貨金額: t.originalAmount ?? '',
+      為替レート: t.exchangeRate ?? '',
+      税区分: TAX_CATEGORIES[t.taxCategory] ? TAX_CATEGORIES[t.taxCategory].label : '',
+      消費税額: t.taxAmount ?? '',
+      支払先: t.vendor || '',
+      登録番号: t.registrationNumber || '',
       説明: t.description,
       カテゴリ: getCategoryName(t.categoryId),
       ユーザー: getUserName(t.userId),
@@ -243,7 +268,9 @@ const TransactionList = () => {
   const handleEditClick = () => {
     setEditFormData({
       ...selectedTransaction,
-      date: selectedTransaction.date.split('T')[0] // Format for date input
+      date: selectedTransaction.date.split('T')[0], // Format for date input
+      currency: selectedTransaction.currency || getBaseCurrency(),
+      exchangeRate: selectedTransaction.exchangeRate ? String(selectedTransaction.exchangeRate) : ''
     });
     setEditDialogOpen(true);
     handleMenuClose();
@@ -251,7 +278,8 @@ const TransactionList = () => {
 
   const handleEditSave = async () => {
     try {
-      const { type, id, ...updateData } = editFormData;
+      // The rate date is set again from the rate that is saved
+      const { type, id, exchangeRateDate, ...updateData } = editFormData;
       
       let result;
       if (type === 'expense') {
@@ -299,6 +327,25 @@ const TransactionList = () => {
     }
   };
 
+  // History handlers
+  const handleHistoryClick = () => {
+    setHistoryTarget(selectedTransaction);
+    handleMenuClose();
+  };
+
+  // Submit a draft or rejected expense for approval
+  const handleSubmitForApproval = async () => {
+    const transaction = selectedTransaction;
+    handleMenuClose();
+    const result = await approvalService.submitExpense(transaction.id, transaction.userId ?? null);
+    if (result.success) {
+      setSnackbar({ open: true, message: '承認申請しました', severity: 'success' });
+      loadData();
+    } else {
+      setSnackbar({ open: true, message: result.error || '申請に失敗しました', severity: 'error' });
+    }
+  };
+
   const handleFilePreview = (fileIds) => {
     setPreviewFileIds(fileIds);
     setFilePreviewOpen(true);
@@ -363,26 +410,21 @@ const TransactionList = () => {
                     </Typography>
                     
                     <Grid container spacing={2}>
-                      {/* Search */}
-                      <Grid item xs={12} md={3}>
-                        <TextField
-                          placeholder="説明で検索..."
-                          value={searchQuery}
-                          onChange={(e) => setSearchQuery(e.target.value)}
-                          fullWidth
-                          size="small"
-                          InputProps={{
-                            startAdornment: (
-                              <InputAdornment position="start">
-                                <SearchIcon />
-                              </InputAdornment>
-                            ),
-                          }}
+                      {/* Natural-language query */}
+                      <Grid item xs={12}>
+                        <TransactionQueryBar
+                          key={queryBarKey}
+                          filters={queryFilters}
+                          onChange={handleQueryFiltersChange}
+                          categories={categories}
+                          users={users}
+                          fiscalYearStartMonth={settings.fiscalYearStartMonth}
+                          onError={(message) => setSnackbar({ open: true, message, severity: 'error' })}
                         />
                       </Grid>
 
                       {/* Date From */}
-                      <Grid item xs={12} md={2}>
+                      <Grid item xs={12} md={3}>
                         <DatePicker
                           label="開始日"
                           value={dateFrom}
@@ -397,7 +439,7 @@ const TransactionList = () => {
                       </Grid>
 
                       {/* Date To */}
-                      <Grid item xs={12} md={2}>
+                      <Grid item xs={12} md={3}>
                         <DatePicker
                           label="終了日"
                           value={dateTo}
@@ -447,7 +489,7 @@ const TransactionList = () => {
                       </Grid>
 
                       {/* User Filter */}
-                      <Grid item xs={12} md={1}>
+                      <Grid item xs={12} md={2}>
                         <FormControl fullWidth size="small">
                           <InputLabel>ユーザー</InputLabel>
                           <Select
@@ -490,6 +532,25 @@ const TransactionList = () => {
               </motion.div>
             </Grid>
 
+            {/* Query answer */}
+            {(hasFilters(queryFilters) || queryFilters.groupBy) && (
+              <Grid item xs={12}>
+                <motion.div variants={itemVariants}>
+                  <GlassCard>
+                    <GlassCardContent>
+                      <QueryAnswer
+                        filters={queryFilters}
+                        transactions={filteredTransactions}
+                        categories={categories}
+                        users={users}
+                        formatCurrency={formatCurrency}
+                      />
+                    </GlassCardContent>
+                  </GlassCard>
+                </motion.div>
+              </Grid>
+            )}
+
             {/* Summary */}
             <Grid item xs={12}>
               <motion.div variants={itemVariants}>
@@ -568,6 +629,7 @@ const TransactionList = () => {
                         <TableRow>
                           <TableCell>日付</TableCell>
                           <TableCell>種類</TableCell>
+                          <TableCell>ステータス</TableCell>
                           <TableCell>説明</TableCell>
                           <TableCell>カテゴリ</TableCell>
                           <TableCell>ユーザー</TableCell>
@@ -592,7 +654,31 @@ const TransactionList = () => {
                                 size="small"
                               />
                             </TableCell>
-                            <TableCell>{transaction.description}</TableCell>
+                            <TableCell>
+                              {transaction.type === 'expense' && (
+                                <Tooltip title={transaction.rejectedReason ? `却下理由: ${transaction.rejectedReason}` : ''}>
+                                  <Chip
+                                    label={STATUS_LABELS[approvalService.normalizeStatus(transaction.status)]}
+                                    color={STATUS_COLORS[approvalService.normalizeStatus(transaction.status)]}
+                                    size="small"
+                                  />
+                                </Tooltip>
+                              )}
+                            </TableCell>
+                            <TableCell>
+                              {transaction.description}
+                              {transaction.type === 'expense' && taxService.needsRegistrationNumber(transaction) && (
+                                <Tooltip title={`支払先の登録番号がないため、消費税の${taxService.getInputTaxDeductionRate(transaction)}%のみ仕入税額控除の対象です`}>
+                                  <Chip
+                                    label="登録番号なし"
+                                    size="small"
+                                    color="warning"
+                                    variant="outlined"
+                                    sx={{ ml: 1 }}
+                                  />
+                                </Tooltip>
+                              )}
+                            </TableCell>
                             <TableCell>
                               <Chip
                                 icon={<CategoryIcon />}
@@ -617,6 +703,11 @@ const TransactionList = () => {
                               >
                                 {formatCurrency(transaction.amount)}
                               </Typography>
+                              {transaction.originalAmount > 0 && (
+                                <Typography variant="caption" color="text.secondary">
+                                  {formatMoney(transaction.originalAmount, transaction.currency)}
+                                </Typography>
+                              )}
                             </TableCell>
                             <TableCell>
                               {transaction.memo && (
@@ -697,6 +788,17 @@ const TransactionList = () => {
               <EditIcon sx={{ mr: 1 }} />
               編集
             </MenuItem>
+            <MenuItem onClick={handleHistoryClick}>
+              <HistoryIcon sx={{ mr: 1 }} />
+              変更履歴
+            </MenuItem>
+            {selectedTransaction?.type === 'expense' &&
+              approvalService.canTransition(selectedTransaction.status, 'submitted') && (
+              <MenuItem onClick={handleSubmitForApproval}>
+                <SubmitIcon sx={{ mr: 1 }} />
+                承認申請
+              </MenuItem>
+            )}
             <MenuItem onClick={handleDeleteClick} sx={{ color: 'error.main' }}>
               <DeleteIcon sx={{ mr: 1 }} />
               削除
@@ -716,13 +818,61 @@ const TransactionList = () => {
                   fullWidth
                   InputLabelProps={{ shrink: true }}
                 />
-                <TextField
-                  label="金額"
-                  type="number"
-                  value={editFormData.amount || ''}
-                  onChange={(e) => setEditFormData(prev => ({ ...prev, amount: parseFloat(e.target.value) }))}
-                  fullWidth
+                {editFormData.currency && editFormData.currency !== getBaseCurrency() ? (
+                  <TextField
+                    label={`金額（税込・${editFormData.currency}）`}
+                    type="number"
+                    value={editFormData.originalAmount || ''}
+                    onChange={(e) => setEditFormData(prev => ({ ...prev, originalAmount: parseFloat(e.target.value) }))}
+                    fullWidth
+                  />
+                ) : (
+                  <TextField
+                    label="金額（税込）"
+                    type="number"
+                    value={editFormData.amount || ''}
+                    onChange={(e) => setEditFormData(prev => ({ ...prev, amount: parseFloat(e.target.value) }))}
+                    fullWidth
+                  />
+                )}
+                <CurrencyFields
+                  currency={editFormData.currency || getBaseCurrency()}
+                  amount={editFormData.originalAmount}
+                  exchangeRate={editFormData.exchangeRate || ''}
+                  date={editFormData.date}
+                  baseCurrency={getBaseCurrency()}
+                  onChange={(field, value) => setEditFormData(prev => ({ ...prev, [field]: value }))}
                 />
+                <FormControl fullWidth>
+                  <InputLabel>税区分</InputLabel>
+                  <Select
+                    value={editFormData.taxCategory || ''}
+                    label="税区分"
+                    onChange={(e) => setEditFormData(prev => ({ ...prev, taxCategory: e.target.value }))}
+                  >
+                    {!editFormData.taxCategory && <MenuItem value="">未設定</MenuItem>}
+                    {Object.entries(TAX_CATEGORIES).map(([value, { label }]) => (
+                      <MenuItem key={value} value={value}>{label}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                {editFormData.type === 'expense' && (
+                  <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2}>
+                    <TextField
+                      label="支払先"
+                      value={editFormData.vendor || ''}
+                      onChange={(e) => setEditFormData(prev => ({ ...prev, vendor: e.target.value }))}
+                      fullWidth
+                    />
+                    <TextField
+                      label="登録番号"
+                      value={editFormData.registrationNumber || ''}
+                      onChange={(e) => setEditFormData(prev => ({ ...prev, registrationNumber: e.target.value }))}
+                      fullWidth
+                      placeholder="T1234567890123"
+                    />
+                  </Stack>
+                )}
                 <TextField
                   label="説明"
                   value={editFormData.description || ''}
@@ -761,6 +911,27 @@ const TransactionList = () => {
                     ))}
                   </Select>
                 </FormControl>
+                {!(editFormData.type === 'expense' && editFormData.isAdvancePayment) && (
+                  <FormControl fullWidth>
+                    <InputLabel>{editFormData.type === 'expense' ? '支払元' : '入金先'}</InputLabel>
+                    <Select
+                      value={editFormData.paymentAccountId || ''}
+                      label={editFormData.type === 'expense' ? '支払元' : '入金先'}
+                      onChange={(e) => setEditFormData(prev => ({ ...prev, paymentAccountId: e.target.value }))}
+                    >
+                      <MenuItem value="">
+                        <em>既定の口座</em>
+                      </MenuItem>
+                      {paymentAccounts
+                        .filter(account => account.isActive !== false || account.id === editFormData.paymentAccountId)
+                        .map((account) => (
+                          <MenuItem key={account.id} value={account.id}>
+                            {account.name}
+                          </MenuItem>
+                        ))}
+                    </Select>
+                  </FormControl>
+                )}
                 <TextField
                   label="メモ"
                   value={editFormData.memo || ''}
@@ -821,6 +992,17 @@ const TransactionList = () => {
             message={snackbar.message}
           />
 
+          {/* History Drawer */}
+          <AuditHistoryDrawer
+            open={Boolean(historyTarget)}
+            onClose={() => setHistoryTarget(null)}
+            entityType={historyTarget?.type}
+            entityId={historyTarget?.id}
+            title={historyTarget ? `${formatDate(historyTarget.date, settings.dateFormat)} - ${historyTarget.description}` : ''}
+            users={users}
+            categories={categories}
+          />
+
           {/* File Preview Dialog */}
           <FilePreviewDialog
             open={filePreviewOpen}
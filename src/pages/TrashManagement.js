@@ -37,6 +37,7 @@ import categoryService from '../services/categoryService';
 import userService from '../services/userService';
 import { formatDate as formatDateUtil } from '../utils/formatters';
 import useSettings from '../hooks/useSettings';
+import { getBaseCurrency } from '../services/exchangeRateService';
 
 const TrashManagement = () => {
   const { settings } = useSettings();
@@ -73,7 +74,11 @@ const TrashManagement = () => {
     try {
       const result = await trashService.restoreFromTrash(trashId);
       if (result.success) {
-        setSnackbar({ open: true, message: '取引を復元しました', severity: 'success' });
+        setSnackbar({
+          open: true,
+          message: result.warning || '取引を復元しました',
+          severity: result.warning ? 'warning' : 'success'
+        });
         loadData();
       } else {
         setSnackbar({ open: true, message: result.error || '復元に失敗しました', severity: 'error' });
@@ -132,7 +137,7 @@ const TrashManagement = () => {
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('ja-JP', {
       style: 'currency',
-      currency: 'JPY'
+      currency: getBaseCurrency()
     }).format(amount);
   };
 
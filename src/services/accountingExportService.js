@@ -0,0 +1,576 @@
+import journalService from './journalService';
+import paymentAccountService from './paymentAccountService';
+import settingsService from './settingsService';
+import { encodeShiftJis, findUnencodableCharacters } from '../utils/shiftJis';
+
+/**
+ * Accounting Export Service - Journal CSVs for freee, マネーフォワード クラウド会計 and 弥生会計
+ * Exports are built from the journal (journalService). Consumption tax lines are folded back into
+ * the revenue or expense line they belong to, because the target software takes tax-inclusive
+ * amounts with a 税区分 and splits the tax itself. Opening balances are not exported; enter them
+ * as 開始残高 in the target software.
+ */
+
+const SETTING_KEY = 'accountingExport';
+
+// Tax situations a journal line can be in, mapped to a 税区分 by each profile
+export const TAX_CODE_KEYS = {
+  purchase_standard: '課税仕入 10%',
+  purchase_reduced: '課税仕入 軽減8%',
+  purchase_standard_80: '課税仕入 10%（適格請求書なし・80%控除）',
+  purchase_reduced_80: '課税仕入 軽減8%（適格請求書なし・80%控除）',
+  purchase_standard_50: '課税仕入 10%（適格請求書なし・50%控除）',
+  purchase_reduced_50: '課税仕入 軽減8%（適格請求書なし・50%控除）',
+  purchase_exempt: '非課税仕入',
+  sale_standard: '課税売上 10%',
+  sale_reduced: '課税売上 軽減8%',
+  sale_exempt: '非課税売上',
+  out_of_scope: '対象外（不課税・決済）'
+};
+
+const formatDate = (date) => date.replace(/-/g, '/');
+
+// Shift_JIS counts half-width characters as one byte and the rest as two
+const byteLength = (text) => [...String(text)].reduce((sum, char) => sum + (/[\x20-\x7E｡-ﾟ]/.test(char) ? 1 : 2), 0);
+
+/*
+ * Column specs. Each column is { name, type, required, maxLength, maxBytes, values };
+ * `value` reads the column from an export row (see buildRowData). `sides` lists the columns that
+ * must be filled together and `entryColumn` the column that groups rows into one 伝票.
+ */
+const side = (row, which) => row[which] || {};
+
+export const EXPORT_PROFILES = {
+  freee: {
+    label: 'freee会計',
+    description: '仕訳帳インポート（見出し行で列を対応付けます）',
+    encoding: 'utf-8',
+    hasHeader: true,
+    entryColumn: '伝票番号',
+    columns: [
+      { name: '発生日', type: 'date', required: true, value: row => formatDate(row.date) },
+      { name: '伝票番号', type: 'integer', value: row => row.entryNo },
+      { name: '借方勘定科目', value: row => side(row, 'debit').title },
+      { name: '借方税区分', value: row => side(row, 'debit').taxCode },
+      { name: '借方金額', type: 'integer', value: row => side(row, 'debit').amount },
+      { name: '借方税額', type: 'integer', value: row => side(row, 'debit').taxAmount },
+      { name: '貸方勘定科目', value: row => side(row, 'credit').title },
+      { name: '貸方税区分', value: row => side(row, 'credit').taxCode },
+      { name: '貸方金額', type: 'integer', value: row => side(row, 'credit').amount },
+      { name: '貸方税額', type: 'integer', value: row => side(row, 'credit').taxAmount },
+      { name: '取引先', maxLength: 255, value: row => row.partner },
+      { name: '摘要', maxLength: 255, value: row => row.description }
+    ],
+    sides: {
+      debit: ['借方勘定科目', '借方金額', '借方税区分'],
+      credit: ['貸方勘定科目', '貸方金額', '貸方税区分']
+    },
+    taxCodes: {
+      purchase_standard: '課対仕入10%',
+      purchase_reduced: '課対仕入8%（軽）',
+      purchase_standard_80: '課対仕入（控80）10%',
+      purchase_reduced_80: '課対仕入（控80）8%（軽）',
+      purchase_standard_50: '課対仕入（控50）10%',
+      purchase_reduced_50: '課対仕入（控50）8%（軽）',
+      purchase_exempt: '非課仕入',
+      sale_standard: '課税売上10%',
+      sale_reduced: '課税売上8%（軽）',
+      sale_exempt: '非課売上',
+      out_of_scope: '対象外'
+    }
+  },
+  moneyforward: {
+    label: 'マネーフォワード クラウド会計',
+    description: '仕訳帳インポート（27列・Shift_JIS）',
+    encoding: 'shift_jis',
+    hasHeader: true,
+    entryColumn: '取引No',
+    columns: [
+      { name: '取引No', type: 'integer', required: true, value: row => row.entryNo },
+      { name: '取引日', type: 'date', required: true, value: row => formatDate(row.date) },
+      { name: '借方勘定科目', value: row => side(row, 'debit').title },
+      { name: '借方補助科目', value: row => side(row, 'debit').subTitle },
+      { name: '借方部門', value: () => '' },
+      { name: '借方取引先', value: row => (row.debit ? row.partner : '') },
+      { name: '借方税区分', value: row => side(row, 'debit').taxCode },
+      { name: '借方インボイス', values: ['', '適格', '80%控除', '50%控除'], value: row => side(row, 'debit').invoice },
+      { name: '借方金額(円)', type: 'integer', value: row => side(row, 'debit').amount },
+      { name: '借方税額', type: 'integer', value: row => side(row, 'debit').taxAmount },
+      { name: '貸方勘定科目', value: row => side(row, 'credit').title },
+      { name: '貸方補助科目', value: row => side(row, 'credit').subTitle },
+      { name: '貸方部門', value: () => '' },
+      { name: '貸方取引先', value: row => (row.credit ? row.partner : '') },
+      { name: '貸方税区分', value: row => side(row, 'credit').taxCode },
+      { name: '貸方インボイス', values: ['', '適格', '80%控除', '50%控除'], value: row => side(row, 'credit').invoice },
+      { name: '貸方金額(円)', type: 'integer', value: row => side(row, 'credit').amount },
+      { name: '貸方税額', type: 'integer', value: row => side(row, 'credit').taxAmount },
+      { name: '摘要', maxLength: 200, value: row => row.description },
+      { name: '仕訳メモ', value: row => row.memo },
+      { name: 'タグ', value: () => '' },
+      { name: 'MF仕訳タイプ', value: () => '' },
+      { name: '決算整理仕訳', value: () => '' },
+      { name: '作成日時', value: () => '' },
+      { name: '作成者', value: () => '' },
+      { name: '最終更新日時', value: () => '' },
+      { name: '最終更新者', value: () => '' }
+    ],
+    sides: {
+      debit: ['借方勘定科目', '借方金額(円)', '借方税区分'],
+      credit: ['貸方勘定科目', '貸方金額(円)', '貸方税区分']
+    },
+    // The 経過措置 is given in the インボイス column, so the 税区分 is the regular one
+    taxCodes: {
+      purchase_standard: '課税仕入 10%',
+      purchase_reduced: '課税仕入 (軽)8%',
+      purchase_standard_80: '課税仕入 10%',
+      purchase_reduced_80: '課税仕入 (軽)8%',
+      purchase_standard_50: '課税仕入 10%',
+      purchase_reduced_50: '課税仕入 (軽)8%',
+      purchase_exempt: '非課仕入',
+      sale_standard: '課税売上 10%',
+      sale_reduced: '課税売上 (軽)8%',
+      sale_exempt: '非課売上',
+      out_of_scope: '対象外'
+    }
+  },
+  yayoi: {
+    label: '弥生会計',
+    description: '弥生インポート形式（25列・見出しなし・Shift_JIS）',
+    encoding: 'shift_jis',
+    hasHeader: false,
+    entryColumn: '伝票No',
+    columns: [
+      { name: '識別フラグ', required: true, values: ['2000', '2110', '2100', '2101'], value: row => row.flag },
+      { name: '伝票No', type: 'integer', value: row => row.entryNo },
+      { name: '決算', value: () => '' },
+      { name: '取引日付', type: 'date', required: true, value: row => formatDate(row.date) },
+      { name: '借方勘定科目', maxBytes: 24, value: row => side(row, 'debit').title },
+      { name: '借方補助科目', maxBytes: 24, value: row => side(row, 'debit').subTitle },
+      { name: '借方部門', value: () => '' },
+      { name: '借方税区分', value: row => side(row, 'debit').taxCode },
+      { name: '借方金額', type: 'integer', value: row => side(row, 'debit').amount },
+      { name: '借方税金額', type: 'integer', value: row => side(row, 'debit').taxAmount },
+      { name: '貸方勘定科目', maxBytes: 24, value: row => side(row, 'credit').title },
+      { name: '貸方補助科目', maxBytes: 24, value: row => side(row, 'credit').subTitle },
+      { name: '貸方部門', value: () => '' },
+      { name: '貸方税区分', value: row => side(row, 'credit').taxCode },
+      { name: '貸方金額', type: 'integer', value: row => side(row, 'credit').amount },
+      { name: '貸方税金額', type: 'integer', value: row => side(row, 'credit').taxAmount },
+      { name: '摘要', maxBytes: 64, value: row => row.description },
+      { name: '番号', value: () => '' },
+      { name: '期日', value: () => '' },
+      { name: 'タイプ', required: true, values: ['0'], value: () => '0' },
+      { name: '生成元', value: () => '' },
+      { name: '仕訳メモ', maxBytes: 180, value: row => row.memo },
+      { name: '付箋1', values: ['0'], value: () => '0' },
+      { name: '付箋2', values: ['0'], value: () => '0' },
+      { name: '調整', values: ['no'], value: () => 'no' }
+    ],
+    sides: {
+      debit: ['借方勘定科目', '借方金額', '借方税区分'],
+      credit: ['貸方勘定科目', '貸方金額', '貸方税区分']
+    },
+    taxCodes: {
+      purchase_standard: '課対仕入内10%',
+      purchase_reduced: '課対仕入内軽減8%',
+      purchase_standard_80: '課対仕入内10%区分80%',
+      purchase_reduced_80: '課対仕入内軽減8%区分80%',
+      purchase_standard_50: '課対仕入内10%区分50%',
+      purchase_reduced_50: '課対仕入内軽減8%区分50%',
+      purchase_exempt: '非課仕入',
+      sale_standard: '課税売上内10%',
+      sale_reduced: '課税売上内軽減8%',
+      sale_exempt: '非課売上',
+      out_of_scope: '対象外'
+    }
+  }
+};
+
+// Common account titles for categories whose names differ from the usual 勘定科目
+const CATEGORY_TITLE_ALIASES = {
+  家賃支払: '地代家賃',
+  接待費: '交際費',
+  事務用品費: '消耗品費',
+  顧問料: '支払報酬',
+  会費: '諸会費',
+  システム利用料: '支払手数料',
+  クラウドサービス費: '通信費',
+  返品減額収入: '雑収入'
+};
+
+const SYSTEM_ACCOUNT_TITLES = {
+  accounts_receivable: '売掛金',
+  input_tax: '仮払消費税',
+  suspense: '仮払金',
+  accounts_payable: '未払金',
+  employee_payable: '未払金',
+  output_tax: '仮受消費税',
+  opening_equity: '元入金',
+  retained_earnings: '繰越利益剰余金',
+  sales: '売上高',
+  uncategorized_revenue: '雑収入',
+  uncategorized_expense: '雑費'
+};
+
+const PAYMENT_KIND_TITLES = {
+  cash: '現金',
+  bank: '普通預金',
+  credit_card: '未払金'
+};
+
+// Default title and sub-account of an account in the chart of accounts
+const getDefaultTitle = (account, paymentAccounts) => {
+  if (account.paymentAccountId !== undefined) {
+    const paymentAccount = paymentAccounts.find(item => item.id === account.paymentAccountId);
+    const kind = paymentAccount ? paymentAccount.kind : 'cash';
+    return {
+      title: PAYMENT_KIND_TITLES[kind],
+      subTitle: kind === 'cash' ? '' : account.name
+    };
+  }
+  if (SYSTEM_ACCOUNT_TITLES[account.key]) {
+    return { title: SYSTEM_ACCOUNT_TITLES[account.key], subTitle: '' };
+  }
+  return { title: CATEGORY_TITLE_ALIASES[account.name] || account.name, subTitle: '' };
+};
+
+const getSavedConfig = async (profileId) => {
+  const result = await settingsService.getSetting(SETTING_KEY);
+  const saved = (result.success && result.data) || {};
+  return saved[profileId] || { accountTitles: {}, taxCodes: {} };
+};
+
+/**
+ * Account title and tax code mapping of a profile, with the defaults filled in
+ * @param {string} profileId - Key of EXPORT_PROFILES
+ * @returns {Promise<Object>} { success, data: { accounts, taxCodes } }
+ */
+export const getExportConfig = async (profileId) => {
+  try {
+    const profile = EXPORT_PROFILES[profileId];
+    if (!profile) {
+      return { success: false, error: 'エクスポート形式が見つかりません。' };
+    }
+
+    const [accountsResult, paymentAccountsResult, saved] = await Promise.all([
+      journalService.getAccounts(),
+      paymentAccountService.getPaymentAccounts(),
+      getSavedConfig(profileId)
+    ]);
+    if (!accountsResult.success || !paymentAccountsResult.success) {
+      return { success: false, error: accountsResult.error || paymentAccountsResult.error };
+    }
+
+    const accounts = accountsResult.data
+      .filter(account => account.key !== 'input_tax' && account.key !== 'output_tax')
+      .map(account => {
+        const defaults = getDefaultTitle(account, paymentAccountsResult.data);
+        const override = saved.accountTitles[account.key] || {};
+        return {
+          ...account,
+          defaultTitle: defaults.title,
+          defaultSubTitle: defaults.subTitle,
+          title: override.title || defaults.title,
+          subTitle: override.subTitle !== undefined ? override.subTitle : defaults.subTitle
+        };
+      });
+
+    const taxCodes = Object.entries(TAX_CODE_KEYS).map(([key, label]) => ({
+      key,
+      label,
+      defaultCode: profile.taxCodes[key],
+      code: saved.taxCodes[key] || profile.taxCodes[key]
+    }));
+
+    return { success: true, data: { accounts, taxCodes } };
+  } catch (error) {
+    console.error('Error getting export config:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Save the mapping of a profile; values equal to the defaults are not stored
+ * @param {string} profileId - Key of EXPORT_PROFILES
+ * @param {Object} config - { accounts, taxCodes } as returned by getExportConfig
+ */
+export const saveExportConfig = async (profileId, { accounts, taxCodes }) => {
+  try {
+    if (!EXPORT_PROFILES[profileId]) {
+      return { success: false, error: 'エクスポート形式が見つかりません。' };
+    }
+    const missing = accounts.find(account => !String(account.title || '').trim());
+    if (missing) {
+      return { success: false, error: `「${missing.name}」の勘定科目を入力してください。` };
+    }
+
+    const accountTitles = accounts.reduce((acc, account) => {
+      const title = account.title.trim();
+      const subTitle = String(account.subTitle || '').trim();
+      if (title !== account.defaultTitle || subTitle !== account.defaultSubTitle) {
+        acc[account.key] = { title, subTitle };
+      }
+      return acc;
+    }, {});
+    const codes = taxCodes.reduce((acc, item) => {
+      const code = String(item.code || '').trim();
+      if (code && code !== item.defaultCode) {
+        acc[item.key] = code;
+      }
+      return acc;
+    }, {});
+
+    const result = await settingsService.getSetting(SETTING_KEY);
+    const saved = (result.success && result.data) || {};
+    return await settingsService.updateSetting(SETTING_KEY, {
+      ...saved,
+      [profileId]: { accountTitles, taxCodes: codes }
+    });
+  } catch (error) {
+    console.error('Error saving export config:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Which TAX_CODE_KEYS entry a journal line falls under
+const getTaxCodeKey = (tax) => {
+  if (!tax) return 'out_of_scope';
+  if (tax.taxCategory === 'exempt') {
+    return tax.side === 'purchase' ? 'purchase_exempt' : 'sale_exempt';
+  }
+  if (tax.taxCategory !== 'standard' && tax.taxCategory !== 'reduced') {
+    return 'out_of_scope';
+  }
+  if (tax.side === 'sale') {
+    return `sale_${tax.taxCategory}`;
+  }
+  if (tax.deductionRate === 80 || tax.deductionRate === 50) {
+    return `purchase_${tax.taxCategory}_${tax.deductionRate}`;
+  }
+  return tax.deductionRate > 0 ? `purchase_${tax.taxCategory}` : 'out_of_scope';
+};
+
+// Value of the マネーフォワード インボイス column
+const getInvoiceLabel = (tax, date) => {
+  if (!tax || tax.side !== 'purchase' || getTaxCodeKey(tax) === 'out_of_scope' || tax.taxCategory === 'exempt') return '';
+  if (tax.deductionRate === 80 || tax.deductionRate === 50) return `${tax.deductionRate}%控除`;
+  return date >= '2023-10-01' ? '適格' : '';
+};
+
+// Put the 仮払消費税 / 仮受消費税 of an entry back on its revenue or expense line
+const foldTaxLines = (entry) => {
+  const lines = entry.lines.map(line => ({ ...line }));
+  const taxLines = lines.filter(line => line.accountKey === 'input_tax' || line.accountKey === 'output_tax');
+  const folded = new Set();
+
+  taxLines.forEach(taxLine => {
+    const isDebit = taxLine.debit > 0;
+    const carrier = lines.find(line =>
+      line.tax && !taxLines.includes(line) && (isDebit ? line.debit > 0 : line.credit > 0)
+    );
+    if (!carrier) return;
+    if (isDebit) {
+      carrier.debit += taxLine.debit;
+    } else {
+      carrier.credit += taxLine.credit;
+    }
+    folded.add(taxLine);
+  });
+
+  return lines.filter(line => !folded.has(line));
+};
+
+/*
+ * Turn journal entries into export rows; one row pairs the nth debit line with the nth credit line.
+ * Every row has { entryNo, flag, date, description, memo, partner, debit, credit }.
+ */
+const buildRowData = (entries, profile, accountMap, taxCodes) => {
+  const toSide = (line, amount, date) => {
+    const account = accountMap.get(line.accountKey) || { title: line.accountName, subTitle: '' };
+    return {
+      title: account.title,
+      subTitle: account.subTitle,
+      taxCode: taxCodes[getTaxCodeKey(line.tax)] || '',
+      invoice: getInvoiceLabel(line.tax, date),
+      amount,
+      taxAmount: line.tax ? line.tax.taxAmount : 0
+    };
+  };
+
+  return entries.flatMap((entry, index) => {
+    const lines = foldTaxLines(entry);
+    const debits = lines.filter(line => line.debit > 0);
+    const credits = lines.filter(line => line.credit > 0);
+    const count = Math.max(debits.length, credits.length);
+
+    return Array.from({ length: count }, (_, position) => {
+      let flag = '2000';
+      if (count > 1) {
+        flag = position === 0 ? '2110' : position === count - 1 ? '2101' : '2100';
+      }
+      return {
+        entryNo: index + 1,
+        flag,
+        date: entry.date,
+        description: entry.description,
+        memo: entry.id,
+        partner: entry.partner || '',
+        debit: debits[position] ? toSide(debits[position], debits[position].debit, entry.date) : null,
+        credit: credits[position] ? toSide(credits[position], credits[position].credit, entry.date) : null
+      };
+    });
+  });
+};
+
+/**
+ * Check rows against the column spec of a profile
+ * @returns {Array} Errors as { row, column, message }; row numbers start at 1
+ */
+export const validateExportRows = (profile, rows) => {
+  const errors = [];
+  const columnIndex = (name) => profile.columns.findIndex(column => column.name === name);
+  const amountOf = (cells, name) => Number(cells[columnIndex(name)]) || 0;
+  const totals = new Map();
+
+  rows.forEach((cells, index) => {
+    const rowNumber = index + 1;
+    const add = (column, message) => errors.push({ row: rowNumber, column, message });
+
+    if (cells.length !== profile.columns.length) {
+      add('', `列数が${profile.columns.length}列ではありません（${cells.length}列）`);
+      return;
+    }
+
+    profile.columns.forEach((column, i) => {
+      const value = String(cells[i] ?? '');
+      if (column.required && !value) {
+        add(column.name, '必須項目が空です');
+        return;
+      }
+      if (!value) return;
+      if (column.type === 'date' && !/^\d{4}\/\d{2}\/\d{2}$/.test(value)) {
+        add(column.name, `日付の形式が正しくありません（${value}）`);
+      }
+      if (column.type === 'integer' && !/^\d+$/.test(value)) {
+        add(column.name, `0以上の整数ではありません（${value}）`);
+      }
+      if (column.values && !column.values.includes(value)) {
+        add(column.name, `使用できない値です（${value}）`);
+      }
+      if (column.maxLength && value.length > column.maxLength) {
+        add(column.name, `${column.maxLength}文字を超えています`);
+      }
+      if (column.maxBytes && byteLength(value) > column.maxBytes) {
+        add(column.name, `${column.maxBytes}バイト（全角${column.maxBytes / 2}文字）を超えています`);
+      }
+      if (profile.encoding === 'shift_jis') {
+        const unsupported = findUnencodableCharacters(value);
+        if (unsupported.length > 0) {
+          add(column.name, `Shift_JISで表せない文字があります（${unsupported.join('')}）`);
+        }
+      }
+    });
+
+    // A side is either complete (科目・金額・税区分) or empty
+    Object.entries(profile.sides).forEach(([sideName, names]) => {
+      const filled = names.filter(name => cells[columnIndex(name)] !== '' && cells[columnIndex(name)] !== undefined);
+      if (filled.length > 0 && filled.length < names.length) {
+        names
+          .filter(name => !filled.includes(name))
+          .forEach(name => add(name, `${sideName === 'debit' ? '借方' : '貸方'}の${name}が空です`));
+      }
+    });
+
+    const entryKey = cells[columnIndex(profile.entryColumn)];
+    const total = totals.get(entryKey) || { debit: 0, credit: 0, row: rowNumber };
+    total.debit += amountOf(cells, profile.sides.debit[1]);
+    total.credit += amountOf(cells, profile.sides.credit[1]);
+    totals.set(entryKey, total);
+  });
+
+  totals.forEach((total, entryKey) => {
+    if (total.debit !== total.credit) {
+      errors.push({ row: total.row, column: '', message: `伝票${entryKey}の借方と貸方の合計が一致しません` });
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Build a journal export for a period and check it against the profile's column spec
+ * @param {string} profileId - Key of EXPORT_PROFILES
+ * @param {string} startDate - First day ('YYYY-MM-DD')
+ * @param {string} endDate - Last day ('YYYY-MM-DD')
+ * @returns {Promise<Object>} { success, data: { header, rows, errors, entryCount, fileName } }
+ */
+export const buildAccountingExport = async (profileId, startDate, endDate) => {
+  try {
+    const profile = EXPORT_PROFILES[profileId];
+    if (!profile) {
+      return { success: false, error: 'エクスポート形式が見つかりません。' };
+    }
+
+    const [journalResult, configResult] = await Promise.all([
+      journalService.getJournal(startDate, endDate),
+      getExportConfig(profileId)
+    ]);
+    if (!journalResult.success || !configResult.success) {
+      return { success: false, error: journalResult.error || configResult.error };
+    }
+
+    const accountMap = new Map(configResult.data.accounts.map(account => [account.key, account]));
+    const taxCodes = configResult.data.taxCodes.reduce((acc, item) => ({ ...acc, [item.key]: item.code }), {});
+    const entries = journalResult.data.entries.filter(entry => entry.sourceType !== 'opening');
+
+    const rows = buildRowData(entries, profile, accountMap, taxCodes)
+      .map(row => profile.columns.map(column => {
+        const value = column.value(row);
+        return value === null || value === undefined ? '' : String(value);
+      }));
+
+    return {
+      success: true,
+      data: {
+        header: profile.columns.map(column => column.name),
+        rows,
+        errors: validateExportRows(profile, rows),
+        entryCount: entries.length,
+        fileName: `journal_${profileId}_${startDate.replace(/-/g, '')}-${endDate.replace(/-/g, '')}.csv`
+      }
+    };
+  } catch (error) {
+    console.error('Error building accounting export:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const escapeCsvCell = (value) => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+/**
+ * Encode an export as a CSV file in the profile's character encoding
+ * @param {string} profileId - Key of EXPORT_PROFILES
+ * @param {Object} exportData - Data from buildAccountingExport
+ * @returns {Blob} CSV file
+ */
+export const createExportFile = (profileId, { header, rows }) => {
+  const profile = EXPORT_PROFILES[profileId];
+  const lines = (profile.hasHeader ? [header, ...rows] : rows)
+    .map(cells => cells.map(escapeCsvCell).join(','));
+  const text = `${lines.join('\r\n')}\r\n`;
+
+  if (profile.encoding === 'shift_jis') {
+    return new Blob([encodeShiftJis(text)], { type: 'text/csv;charset=shift_jis' });
+  }
+  return new Blob(['\uFEFF', text], { type: 'text/csv;charset=utf-8' });
+};
+
+const accountingExportService = {
+  getExportConfig,
+  saveExportConfig,
+  validateExportRows,
+  buildAccountingExport,
+  createExportFile
+};
+
+export default accountingExportService;
@@ -1,165 +1,237 @@
 import storage from './storage';
+import { chatCompletion, isLLMAvailable, testConnection as testProviderConnection } from './llmService';
+import { predictCategories } from './categoryModelService';
+import { sanitizeFilters, toDateString, GROUP_BY_LABELS } from '../utils/transactionQuery';
 
 /**
  * AI Service for expense management with category suggestions
- * Provides AI-powered features like category recommendation and expense analysis
+ * Provides AI-powered features like category recommendation and expense analysis.
+ * Requests go to the provider chosen in settings through llmService.
  */
-class AIService {
-  constructor() {
-    this.apiKey = this.getApiKey();
-    this.apiEndpoint = 'https://api.openai.com/v1/chat/completions';
-    this.requestTimeout = 30000;
-    this.maxRetries = 3;
-  }
+// Suggestions returned by suggestCategory
+const MAX_CATEGORY_SUGGESTIONS = 3;
+
+// Confidence of a category found in the learning data
+const LOCAL_CONFIDENCE = { high: 0.8, medium: 0.6 };
+
+// Model predictions below this probability are not suggested
+const MIN_MODEL_PROBABILITY = 0.2;
+
+const LOCAL_REASONS = {
+  local_model: 'この端末の取引履歴から学習したモデルによる予測です',
+  local_learning: '過去に同じような説明で選択したカテゴリです'
+};
+
+const buildCategoryMessages = (description, type, categories) => {
+  const label = type === 'expense' ? '支出' : '収入';
+  return [
+    {
+      role: 'system',
+      content: `あなたは日本の経費管理システムのAIアシスタントです。ユーザーが入力した${label}の説明に基づいて、登録済みのカテゴリから適切なものを選んでください。
+
+登録済みのカテゴリ（ID: 名前）:
+${categories.map(cat => `${cat.id}: ${cat.name}`).join('\n')}
+
+可能性の高い順に最大${MAX_CATEGORY_SUGGESTIONS}件、次のJSONだけを返してください：
+{
+  "suggestions": [
+    { "categoryId": カテゴリID（数値）, "confidence": 0から1の確信度, "reason": "簡潔な理由" }
+  ]
+}
 
-  /**
-   * Get API key from settings
-   */
-  getApiKey() {
-    try {
-      const settings = storage.get('settings') || {};
-      return settings.openaiApiKey || '';
-    } catch (error) {
-      console.error('Failed to get API key from settings:', error);
-      return '';
+上記以外のカテゴリIDは使わないでください。`
+    },
+    {
+      role: 'user',
+      content: `${label}の説明: "${description}"`
     }
+  ];
+};
+
+// Parse a JSON response; local models often wrap JSON in a code fence
+const parseJsonResponse = (content) => {
+  try {
+    return JSON.parse(String(content || '').trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch {
+    throw new Error('AI応答がJSONではありません');
   }
+};
 
+/**
+ * Validate a category suggestion response
+ * The response must be { suggestions: [{ categoryId, confidence, reason }] }. Entries naming a
+ * category that was not offered are dropped; confidences given in percent are scaled to 0-1.
+ * @param {string} content - Model response
+ * @param {Array} categories - Categories offered to the model
+ * @returns {Array} [{ categoryId, categoryName, confidence, reason }] ranked best first
+ * @throws {Error} When the response does not match or names no offered category
+ */
+export const parseCategorySuggestions = (content, categories) => {
+  const parsed = parseJsonResponse(content);
+  if (!parsed || !Array.isArray(parsed.suggestions)) {
+    throw new Error('AI応答の形式が正しくありません');
+  }
+
+  const suggestions = [];
+  parsed.suggestions.forEach(item => {
+    const category = categories.find(cat => String(cat.id) === String(item?.categoryId));
+    let confidence = Number(item?.confidence);
+    if (!category || !Number.isFinite(confidence) || suggestions.some(existing => existing.categoryId === category.id)) return;
+    if (confidence > 1 && confidence <= 100) confidence /= 100;
+    suggestions.push({
+      categoryId: category.id,
+      categoryName: category.name,
+      confidence: Math.min(1, Math.max(0, confidence)),
+      reason: typeof item.reason === 'string' ? item.reason.trim() : ''
+    });
+  });
+
+  if (suggestions.length === 0) {
+    throw new Error('AI応答に登録済みのカテゴリが含まれていません');
+  }
+  return suggestions
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, MAX_CATEGORY_SUGGESTIONS);
+};
+
+const buildTransactionQueryMessages = (query, { categories, users, today, fiscalYearStartMonth }) => [
+  {
+    role: 'system',
+    content: `あなたは経費管理システムの検索アシスタントです。ユーザーの質問を取引の検索条件に変換してください。
+
+今日の日付: ${toDateString(today)}
+会計年度の開始月: ${fiscalYearStartMonth}月（四半期・上期・下期・年度はこれを基準にします）
+
+カテゴリ（ID: 名前 / 種類）:
+${categories.map(cat => `${cat.id}: ${cat.name} / ${cat.type === 'income' ? '収入' : '支出'}`).join('\n')}
+
+ユーザー（ID: 名前）:
+${users.map(user => `${user.id}: ${user.name}`).join('\n')}
+
+次のJSONだけを返してください（該当しない項目は null または空配列）：
+{
+  "dateFrom": "YYYY-MM-DD",
+  "dateTo": "YYYY-MM-DD",
+  "type": "expense" または "income",
+  "categoryIds": [カテゴリID],
+  "userIds": [ユーザーID],
+  "minAmount": 最小金額（円）,
+  "maxAmount": 最大金額（円）,
+  "keywords": ["説明・取引先・メモに含まれる語"],
+  "groupBy": ${Object.keys(GROUP_BY_LABELS).map(key => `"${key}"`).join(' / ')} / null
+}`
+  },
+  {
+    role: 'user',
+    content: query
+  }
+];
+
+class AIService {
   /**
-   * Update API settings
+   * Test the configured provider
+   * @param {Object} settings - Settings to test (unsaved values included); the saved settings when omitted
    */
-  updateSettings(apiKey, endpoint = null) {
-    this.apiKey = apiKey;
-    if (endpoint) {
-      this.apiEndpoint = endpoint;
-    }
+  async testConnection(settings) {
+    return testProviderConnection(settings || storage.get('settings') || {});
   }
 
   /**
-   * Test API connection
+   * Send messages to the configured provider and return the reply text
    */
-  async testConnection() {
-    if (!this.apiKey) {
-      return { success: false, error: 'APIキーが設定されていません' };
-    }
-
-    try {
-      const response = await fetch(`${this.apiEndpoint.replace('/chat/completions', '')}/models`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        signal: AbortSignal.timeout(this.requestTimeout)
-      });
-
-      if (response.ok) {
-        return { success: true, message: 'API接続に成功しました' };
-      } else {
-        return { success: false, error: `API接続に失敗しました: ${response.status}` };
-      }
-    } catch (error) {
-      return { success: false, error: `API接続エラー: ${error.message}` };
-    }
+  async makeApiRequest(messages, purpose) {
+    const result = await chatCompletion(messages, { purpose });
+    return result.content;
   }
 
   /**
-   * Make API request with retry logic
+   * Suggest categories for a description
+   * The AI provider picks from the registered categories and answers in JSON, which is checked by
+   * parseCategorySuggestions. When AI is off, unavailable or answers badly, the local model
+   * (see getLocalCategorySuggestion) is used instead. Categories the user rejected for a similar
+   * description are never suggested again.
+   * @param {string} description - Transaction description
+   * @param {string} type - 'expense' or 'income'
+   * @param {Object} context - Optional { vendor, amount, date } used by the local model
+   * @returns {Promise<Object>} { success, source: 'ai' | 'local_model' | 'local_learning' | null,
+   *   suggestions: [{ categoryId, categoryName, confidence (0-1), reason }] } ranked best first,
+   *   or { success: false, error, suggestions: [] }
    */
-  async makeApiRequest(messages, retryCount = 0) {
-    if (!this.apiKey) {
-      throw new Error('APIキーが設定されていません');
-    }
-
+  async suggestCategory(description, type = 'expense', context = {}) {
     try {
-      const response = await fetch(this.apiEndpoint, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: 'gpt-4o-mini',
-          messages: messages,
-          max_tokens: 150,
-          temperature: 0.3
-        }),
-        signal: AbortSignal.timeout(this.requestTimeout)
-      });
+      const rejected = this.getRejectedCategories(description, type);
+      const categories = (await storage.getAll('categories'))
+        .filter(cat => cat.type === type && cat.isActive !== false && !rejected.includes(cat.name));
 
-      if (!response.ok) {
-        if (response.status === 429 && retryCount < this.maxRetries) {
-          // Rate limit exceeded, retry with exponential backoff
-          const delay = Math.pow(2, retryCount) * 1000;
-          await new Promise(resolve => setTimeout(resolve, delay));
-          return this.makeApiRequest(messages, retryCount + 1);
+      let aiError = null;
+      const settings = storage.get('settings') || {};
+      if (settings.aiSuggestions !== false && isLLMAvailable(settings) && categories.length > 0) {
+        try {
+          const { content } = await chatCompletion(buildCategoryMessages(description, type, categories), {
+            purpose: 'categorySuggestion',
+            maxTokens: 300,
+            json: true
+          });
+          return { success: true, source: 'ai', suggestions: parseCategorySuggestions(content, categories) };
+        } catch (error) {
+          console.error('Category suggestion failed:', error);
+          aiError = error.message;
         }
-        
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(`API Error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
       }
 
-      const data = await response.json();
-      return data.choices[0]?.message?.content || '';
-    } catch (error) {
-      if (retryCount < this.maxRetries && error.name !== 'AbortError') {
-        const delay = Math.pow(2, retryCount) * 1000;
-        await new Promise(resolve => setTimeout(resolve, delay));
-        return this.makeApiRequest(messages, retryCount + 1);
+      const local = await this.getLocalCategorySuggestion(description, type, context);
+      if (local.success) {
+        return {
+          success: true,
+          source: local.source,
+          suggestions: local.suggestions.slice(0, MAX_CATEGORY_SUGGESTIONS).map(item => ({
+            categoryId: item.category.id,
+            categoryName: item.category.name,
+            confidence: item.probability,
+            reason: LOCAL_REASONS[local.source]
+          }))
+        };
       }
-      throw error;
-    }
-  }
 
-  /**
-   * Suggest category based on description
-   */
-  async suggestCategory(description, type = 'expense') {
-    try {
-      // Get existing categories for context
-      const categories = storage.get('categories') || [];
-      const relevantCategories = categories
-        .filter(cat => cat.type === type && cat.isActive !== false)
-        .map(cat => cat.name)
-        .slice(0, 10); // Limit to avoid token limits
-
-      const messages = [
-        {
-          role: 'system',
-          content: `あなたは日本の経費管理システムのAIアシスタントです。ユーザーが入力した${type === 'expense' ? '支出' : '収入'}の説明に基づいて、最適なカテゴリを提案してください。
-          
-現在利用可能なカテゴリ: ${relevantCategories.length > 0 ? relevantCategories.join(', ') : 'なし'}
-
-回答は以下の形式で行ってください：
-- 推奨カテゴリ: [カテゴリ名]
-- 理由: [簡潔な説明]
-- 税務上の注意点: [該当する場合のみ]
-
-既存のカテゴリから選択することを優先しますが、適切なものがない場合は新しいカテゴリを提案してください。`
-        },
-        {
-          role: 'user',
-          content: `${type === 'expense' ? '支出' : '収入'}の説明: "${description}"`
-        }
-      ];
-
-      const response = await this.makeApiRequest(messages);
-      return {
-        success: true,
-        suggestion: response,
-        availableCategories: relevantCategories
-      };
+      if (aiError) {
+        return { success: false, error: aiError, suggestions: [] };
+      }
+      return { success: true, source: null, suggestions: [] };
 
     } catch (error) {
       console.error('Category suggestion failed:', error);
       return {
         success: false,
         error: error.message,
-        suggestion: null
+        suggestions: []
       };
     }
   }
 
+  /**
+   * Turn a natural-language transaction query into filters with the AI provider
+   * Used when the local rules in utils/transactionQuery miss something; the response is checked
+   * by sanitizeFilters so only registered categories and users come back.
+   * @param {string} query - Query such as 「先月の田中さんの交通費で1万円以上」
+   * @param {Object} context - { categories, users, today: Date, fiscalYearStartMonth }
+   * @returns {Promise<Object>} { success, data: filters } or { success: false, error }
+   */
+  async interpretTransactionQuery(query, { categories = [], users = [], today = new Date(), fiscalYearStartMonth = 4 } = {}) {
+    try {
+      if (!isLLMAvailable()) {
+        return { success: false, error: 'AIプロバイダーが設定されていないか、オフラインモードです。' };
+      }
+      const { content } = await chatCompletion(
+        buildTransactionQueryMessages(query, { categories, users, today, fiscalYearStartMonth }),
+        { purpose: 'transactionSearch', maxTokens: 300, temperature: 0, json: true }
+      );
+      return { success: true, data: sanitizeFilters(parseJsonResponse(content), { categories, users }) };
+    } catch (error) {
+      console.error('Transaction query interpretation failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Analyze expense for tax deduction eligibility
    */
@@ -189,7 +261,7 @@ class AIService {
         }
       ];
 
-      const response = await this.makeApiRequest(messages);
+      const response = await this.makeApiRequest(messages, 'expenseAnalysis');
       return {
         success: true,
         analysis: response
@@ -253,7 +325,7 @@ ${topCategories.map(([category, amount]) => `- ${category}: ${amount.toLocaleStr
         }
       ];
 
-      const response = await this.makeApiRequest(messages);
+      const response = await this.makeApiRequest(messages, 'monthlyInsights');
       return {
         success: true,
         insights: response
@@ -270,9 +342,15 @@ ${topCategories.map(([category, amount]) => `- ${category}: ${amount.toLocaleStr
   }
 
   /**
-   * Learn from user's category selection (for future improvements)
+   * Learn from user's category selection
+   * Rejected suggestions are stored too, so the category is not suggested again for a
+   * similar description until the user picks it.
+   * @param {string} description - Transaction description
+   * @param {string} selectedCategory - Category name
+   * @param {string} type - 'expense' or 'income'
+   * @param {string} outcome - 'accepted' or 'rejected'
    */
-  learnFromSelection(description, selectedCategory, type) {
+  learnFromSelection(description, selectedCategory, type, outcome = 'accepted') {
     try {
       // Store learning data for future improvements
       const learningData = storage.get('ai_learning') || [];
@@ -280,6 +358,7 @@ ${topCategories.map(([category, amount]) => `- ${category}: ${amount.toLocaleStr
         description: description.toLowerCase(),
         category: selectedCategory,
         type,
+        outcome,
         timestamp: new Date().toISOString()
       };
 
@@ -298,23 +377,66 @@ ${topCategories.map(([category, amount]) => `- ${category}: ${amount.toLocaleStr
     }
   }
 
+  // Learning entries of a type whose description contains or is contained in the given one, newest first
+  getMatchingEntries(description, type) {
+    const learningData = storage.get('ai_learning') || [];
+    const descLower = description.toLowerCase();
+    return learningData
+      .filter(entry => entry.type === type)
+      .filter(entry => {
+        const entryDesc = entry.description;
+        return entryDesc.includes(descLower) || descLower.includes(entryDesc);
+      })
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  // Names of categories whose latest entry for a similar description is a rejection
+  getRejectedCategories(description, type) {
+    const latestByCategory = {};
+    this.getMatchingEntries(description, type).forEach(entry => {
+      if (!latestByCategory[entry.category]) {
+        latestByCategory[entry.category] = entry;
+      }
+    });
+    return Object.values(latestByCategory)
+      .filter(entry => entry.outcome === 'rejected')
+      .map(entry => entry.category);
+  }
+
   /**
-   * Get category suggestions based on learned patterns
+   * Get category suggestions without AI
+   * The on-device model trained on past transactions (categoryModelService) is used once it has
+   * enough history; until then descriptions are matched against the learning data.
+   * @param {string} description - Transaction description
+   * @param {string} type - 'expense' or 'income'
+   * @param {Object} context - Optional { vendor, amount, date }
+   * @returns {Promise<Object>} { success, category, confidence: 'high' | 'medium',
+   *   source: 'local_model' | 'local_learning', suggestions: [{ category, probability }] }
    */
-  getLocalCategorySuggestion(description, type = 'expense') {
+  async getLocalCategorySuggestion(description, type = 'expense', context = {}) {
     try {
-      const learningData = storage.get('ai_learning') || [];
-      const categories = storage.get('categories') || [];
-      
-      // Find similar descriptions
-      const descLower = description.toLowerCase();
-      const matches = learningData
-        .filter(entry => entry.type === type)
-        .filter(entry => {
-          const entryDesc = entry.description;
-          return entryDesc.includes(descLower) || descLower.includes(entryDesc);
-        })
-        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+      const rejected = this.getRejectedCategories(description, type);
+      const categories = (await storage.getAll('categories'))
+        .filter(cat => cat.type === type && cat.isActive !== false && !rejected.includes(cat.name));
+
+      const predictions = (await predictCategories({ description, ...context }, type))
+        .filter(item => item.probability >= MIN_MODEL_PROBABILITY)
+        .map(item => ({ category: categories.find(cat => cat.id === item.categoryId), probability: item.probability }))
+        .filter(item => item.category);
+
+      if (predictions.length > 0) {
+        return {
+          success: true,
+          category: predictions[0].category,
+          confidence: predictions[0].probability >= LOCAL_CONFIDENCE.high ? 'high' : 'medium',
+          source: 'local_model',
+          suggestions: predictions
+        };
+      }
+
+      // Find similar descriptions that were accepted (entries from before outcomes were stored count as accepted)
+      const matches = this.getMatchingEntries(description, type)
+        .filter(entry => entry.outcome !== 'rejected' && !rejected.includes(entry.category));
 
       if (matches.length > 0) {
         // Return most recent matching category
@@ -322,11 +444,14 @@ ${topCategories.map(([category, amount]) => `- ${category}: ${amount.toLocaleStr
         const category = categories.find(cat => cat.name === suggestedCategoryName);
         
         if (category) {
+          const count = matches.filter(entry => entry.category === suggestedCategoryName).length;
+          const confidence = count > 1 ? 'high' : 'medium';
           return {
             success: true,
             category: category,
-            confidence: matches.length > 1 ? 'high' : 'medium',
-            source: 'local_learning'
+            confidence,
+            source: 'local_learning',
+            suggestions: [{ category, probability: LOCAL_CONFIDENCE[confidence] }]
           };
         }
       }
@@ -344,12 +469,12 @@ ${topCategories.map(([category, amount]) => `- ${category}: ${amount.toLocaleStr
 const aiService = new AIService();
 
 // Export individual functions for backward compatibility
-export const suggestCategory = (description, type) => aiService.suggestCategory(description, type);
+export const suggestCategory = (description, type, context) => aiService.suggestCategory(description, type, context);
 export const analyzeExpenseDeduction = (description, amount, category) => aiService.analyzeExpenseDeduction(description, amount, category);
 export const generateMonthlyInsights = (expenseData, incomeData) => aiService.generateMonthlyInsights(expenseData, incomeData);
-export const learnFromSelection = (description, selectedCategory, type) => aiService.learnFromSelection(description, selectedCategory, type);
-export const getLocalCategorySuggestion = (description, type) => aiService.getLocalCategorySuggestion(description, type);
-export const testApiConnection = () => aiService.testConnection();
-export const updateApiSettings = (apiKey, endpoint) => aiService.updateSettings(apiKey, endpoint);
+export const learnFromSelection = (description, selectedCategory, type, outcome) => aiService.learnFromSelection(description, selectedCategory, type, outcome);
+export const getLocalCategorySuggestion = (description, type, context) => aiService.getLocalCategorySuggestion(description, type, context);
+export const interpretTransactionQuery = (query, context) => aiService.interpretTransactionQuery(query, context);
+export const testApiConnection = (settings) => aiService.testConnection(settings);
 
 export default aiService;
\ No newline at end of file
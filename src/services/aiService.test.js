@@ -0,0 +1,61 @@
+import { parseCategorySuggestions } from './aiService';
+
+const categories = [
+  { id: 1, name: '旅費交通費' },
+  { id: 2, name: '会議費' },
+  { id: 3, name: '消耗品費' },
+  { id: 4, name: '通信費' }
+];
+
+const parse = (response) => parseCategorySuggestions(typeof response === 'string' ? response : JSON.stringify(response), categories);
+
+describe('parseCategorySuggestions', () => {
+  it('returns the offered categories ranked by confidence', () => {
+    expect(parse({
+      suggestions: [
+        { categoryId: 2, confidence: 0.3, reason: ' 打ち合わせ ' },
+        { categoryId: 1, confidence: 0.9, reason: 'タクシー' }
+      ]
+    })).toEqual([
+      { categoryId: 1, categoryName: '旅費交通費', confidence: 0.9, reason: 'タクシー' },
+      { categoryId: 2, categoryName: '会議費', confidence: 0.3, reason: '打ち合わせ' }
+    ]);
+  });
+
+  it('rejects responses that are not JSON or not in the schema', () => {
+    expect(() => parse('旅費交通費だと思います')).toThrow('AI応答がJSONではありません');
+    expect(() => parse({ categoryId: 1 })).toThrow('AI応答の形式が正しくありません');
+  });
+
+  it('drops unknown category ids and fails when none is left', () => {
+    expect(parse({ suggestions: [{ categoryId: 99, confidence: 0.9 }, { categoryId: '3', confidence: 0.5 }] }).map(item => item.categoryId)).toEqual([3]);
+    expect(() => parse({ suggestions: [{ categoryId: 99, confidence: 0.9 }] })).toThrow('AI応答に登録済みのカテゴリが含まれていません');
+  });
+
+  it('scales percentages and clamps confidences to 0-1', () => {
+    expect(parse({
+      suggestions: [
+        { categoryId: 1, confidence: 85 },
+        { categoryId: 2, confidence: -0.5 },
+        { categoryId: 3, confidence: 'high' }
+      ]
+    }).map(item => [item.categoryId, item.confidence])).toEqual([[1, 0.85], [2, 0]]);
+  });
+
+  it('keeps the first entry of a repeated category and at most three suggestions', () => {
+    expect(parse({
+      suggestions: [
+        { categoryId: 1, confidence: 0.4 },
+        { categoryId: 1, confidence: 0.9 },
+        { categoryId: 2, confidence: 0.3 },
+        { categoryId: 3, confidence: 0.2 },
+        { categoryId: 4, confidence: 0.1 }
+      ]
+    }).map(item => [item.categoryId, item.confidence])).toEqual([[1, 0.4], [2, 0.3], [3, 0.2]]);
+  });
+
+  it('reads JSON wrapped in a code fence', () => {
+    const content = '```json\n{ "suggestions": [{ "categoryId": 4, "confidence": 0.7, "reason": "携帯料金" }] }\n```';
+    expect(parse(content)).toEqual([{ categoryId: 4, categoryName: '通信費', confidence: 0.7, reason: '携帯料金' }]);
+  });
+});
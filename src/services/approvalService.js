@@ -0,0 +1,394 @@
+import storage from './storage';
+import notificationService from './notificationService';
+import auditService from './auditService';
+import categoryService from './categoryService';
+import settingsService from './settingsService';
+
+/**
+ * Approval Service - Handles the expense approval workflow
+ * draft → submitted → approved / rejected → reimbursed
+ * Every status change is written to the audit log and announced as a notification.
+ */
+
+export const EXPENSE_STATUSES = {
+  DRAFT: 'draft',
+  SUBMITTED: 'submitted',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  REIMBURSED: 'reimbursed'
+};
+
+export const STATUS_LABELS = {
+  draft: '下書き',
+  submitted: '承認待ち',
+  approved: '承認済み',
+  rejected: '却下',
+  reimbursed: '精算済み'
+};
+
+export const STATUS_COLORS = {
+  draft: 'default',
+  submitted: 'warning',
+  approved: 'info',
+  rejected: 'error',
+  reimbursed: 'success'
+};
+
+// Allowed transitions per status
+const STATUS_TRANSITIONS = {
+  draft: ['submitted'],
+  submitted: ['approved', 'rejected', 'draft'],
+  rejected: ['submitted', 'draft'],
+  approved: ['reimbursed'],
+  reimbursed: []
+};
+
+// Audit action and notification per target status
+const TRANSITION_EVENTS = {
+  submitted: { action: 'submit', type: 'expense_submitted', title: '経費申請', priority: 'medium' },
+  approved: { action: 'approve', type: 'expense_approved', title: '経費承認', priority: 'low' },
+  rejected: { action: 'reject', type: 'expense_rejected', title: '経費却下', priority: 'high' },
+  reimbursed: { action: 'reimburse', type: 'expense_reimbursed', title: '経費精算', priority: 'low' },
+  draft: { action: 'withdraw', type: 'expense_withdrawn', title: '経費申請取下げ', priority: 'low' }
+};
+
+// Default approval limit per role (null = unlimited, 0 = cannot approve)
+export const DEFAULT_APPROVAL_LIMITS = {
+  '代表取締役': null,
+  'マネージャー': 100000,
+  'スタッフ': 0,
+  'インターン': 0,
+  '契約社員': 0,
+  'パートタイム': 0
+};
+
+// Expenses created before the workflow existed were stored as 'pending'
+export const normalizeStatus = (status) => {
+  if (!status || status === 'pending') {
+    return EXPENSE_STATUSES.SUBMITTED;
+  }
+  return status;
+};
+
+// Check whether a status change is allowed
+export const canTransition = (fromStatus, toStatus) => {
+  const allowed = STATUS_TRANSITIONS[normalizeStatus(fromStatus)] || [];
+  return allowed.includes(toStatus);
+};
+
+const formatYen = (amount) => `¥${Number(amount || 0).toLocaleString()}`;
+
+// Get approval limits per role (settings override the defaults)
+export const getApprovalLimits = () => {
+  const settings = storage.get('settings') || {};
+  return { ...DEFAULT_APPROVAL_LIMITS, ...(settings.approvalLimits || {}) };
+};
+
+// Save approval limits per role
+export const updateApprovalLimits = async (limits) => {
+  try {
+    const result = await settingsService.updateSetting('approvalLimits', limits);
+    if (!result.success) return result;
+    return { success: true, data: getApprovalLimits() };
+  } catch (error) {
+    console.error('Error updating approval limits:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Get the approval limit of a user (null = unlimited)
+export const getApprovalLimit = (user) => {
+  if (!user) return 0;
+  const limits = getApprovalLimits();
+  return Object.prototype.hasOwnProperty.call(limits, user.role) ? limits[user.role] : 0;
+};
+
+// Check whether a user may approve or reject an expense
+export const canApprove = (approver, expense) => {
+  if (!approver) {
+    return { allowed: false, reason: '承認者を選択してください。' };
+  }
+  if (approver.status === 'inactive') {
+    return { allowed: false, reason: '無効なユーザーは承認できません。' };
+  }
+
+  // Segregation of duties: nobody approves their own expenses, whatever their limit
+  if (expense.userId !== null && expense.userId !== undefined && String(expense.userId) === String(approver.id)) {
+    return { allowed: false, reason: '自分の申請は承認できません。' };
+  }
+
+  const limit = getApprovalLimit(approver);
+  if (limit === 0) {
+    return { allowed: false, reason: `${approver.role || 'この役職'}には承認権限がありません。` };
+  }
+  if (limit !== null && expense.amount > limit) {
+    return { allowed: false, reason: `承認上限（${formatYen(limit)}）を超えています。` };
+  }
+  return { allowed: true, reason: null };
+};
+
+// Check whether an expense may be deleted; approved and reimbursed expenses are settled records,
+// and an expense in a reimbursement batch has to be taken out of the batch first
+export const canDeleteExpense = (expense) => {
+  if (expense.reimbursementBatchId) {
+    return { allowed: false, reason: '精算バッチに含まれている経費は削除できません。先にバッチから外してください。' };
+  }
+  const status = normalizeStatus(expense.status);
+  if (status === EXPENSE_STATUSES.APPROVED || status === EXPENSE_STATUSES.REIMBURSED) {
+    return { allowed: false, reason: `${STATUS_LABELS[status]}の経費は削除できません。` };
+  }
+  return { allowed: true, reason: null };
+};
+
+// Build the notification message for a transition
+const buildMessage = (expense, toStatus, reason) => {
+  const subject = `経費「${expense.description || '（説明なし）'}」（${formatYen(expense.amount)}）`;
+  switch (toStatus) {
+    case 'submitted':
+      return `${subject}が申請されました。`;
+    case 'approved':
+      return `${subject}が承認されました。`;
+    case 'rejected':
+      return `${subject}が却下されました。理由: ${reason}`;
+    case 'reimbursed':
+      return `${subject}の精算が完了しました。`;
+    case 'draft':
+      return `${subject}の申請が取り下げられました。`;
+    default:
+      return subject;
+  }
+};
+
+// Apply a status change, then write the audit entry and notification
+const transitionExpense = async (id, toStatus, { actorId = auditService.getCurrentUserId(), updates = {}, reason = null } = {}) => {
+  const expense = await storage.findById('expenses', id);
+  if (!expense) {
+    return { success: false, error: '経費が見つかりません。' };
+  }
+
+  const fromStatus = normalizeStatus(expense.status);
+  if (!canTransition(fromStatus, toStatus)) {
+    return {
+      success: false,
+      error: `「${STATUS_LABELS[fromStatus]}」から「${STATUS_LABELS[toStatus]}」には変更できません。`
+    };
+  }
+
+  const changes = { status: toStatus, ...updates };
+  const updatedExpense = await storage.updateItem('expenses', id, changes);
+
+  const before = Object.keys(changes).reduce((acc, key) => {
+    acc[key] = key === 'status' ? fromStatus : (expense[key] ?? null);
+    return acc;
+  }, {});
+
+  const event = TRANSITION_EVENTS[toStatus];
+  await auditService.logAuditEntry({
+    entityType: 'expense',
+    entityId: id,
+    action: event.action,
+    actorId,
+    before,
+    after: changes,
+    details: reason ? { reason } : {}
+  });
+
+  await notificationService.createNotification({
+    type: event.type,
+    title: event.title,
+    message: buildMessage(expense, toStatus, reason),
+    priority: event.priority,
+    relatedId: id,
+    relatedType: 'expense'
+  });
+
+  return { success: true, data: updatedExpense };
+};
+
+// Submit an expense for approval
+export const submitExpense = async (id, actorId) => {
+  try {
+    return await transitionExpense(id, EXPENSE_STATUSES.SUBMITTED, {
+      actorId,
+      updates: { submittedAt: new Date().toISOString(), rejectedReason: null }
+    });
+  } catch (error) {
+    console.error('Error submitting expense:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Withdraw a submitted or rejected expense back to draft
+export const withdrawExpense = async (id, actorId) => {
+  try {
+    return await transitionExpense(id, EXPENSE_STATUSES.DRAFT, { actorId });
+  } catch (error) {
+    console.error('Error withdrawing expense:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Approve an expense
+export const approveExpense = async (id, approverId) => {
+  try {
+    const [expense, approver] = await Promise.all([
+      storage.findById('expenses', id),
+      storage.findById('users', approverId)
+    ]);
+    if (!expense) {
+      return { success: false, error: '経費が見つかりません。' };
+    }
+
+    const check = canApprove(approver, expense);
+    if (!check.allowed) {
+      return { success: false, error: check.reason };
+    }
+
+    return await transitionExpense(id, EXPENSE_STATUSES.APPROVED, {
+      actorId: approverId,
+      updates: { approvedBy: approverId, approvedAt: new Date().toISOString() }
+    });
+  } catch (error) {
+    console.error('Error approving expense:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Reject an expense (a reason is required)
+export const rejectExpense = async (id, approverId, reason) => {
+  try {
+    if (!reason || !reason.trim()) {
+      return { success: false, error: '却下理由を入力してください。' };
+    }
+
+    const [expense, approver] = await Promise.all([
+      storage.findById('expenses', id),
+      storage.findById('users', approverId)
+    ]);
+    if (!expense) {
+      return { success: false, error: '経費が見つかりません。' };
+    }
+
+    const check = canApprove(approver, expense);
+    if (!check.allowed) {
+      return { success: false, error: check.reason };
+    }
+
+    return await transitionExpense(id, EXPENSE_STATUSES.REJECTED, {
+      actorId: approverId,
+      reason: reason.trim(),
+      updates: {
+        rejectedBy: approverId,
+        rejectedAt: new Date().toISOString(),
+        rejectedReason: reason.trim()
+      }
+    });
+  } catch (error) {
+    console.error('Error rejecting expense:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Mark an approved expense as paid back to the submitter
+export const markReimbursed = async (id, actorId, { paidAt = new Date().toISOString(), method = '' } = {}) => {
+  try {
+    return await transitionExpense(id, EXPENSE_STATUSES.REIMBURSED, {
+      actorId,
+      updates: { reimbursedAt: paidAt, reimbursedBy: actorId, reimbursementMethod: method }
+    });
+  } catch (error) {
+    console.error('Error marking expense as reimbursed:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Run an action for several expenses and collect per-item results
+const runBulk = async (ids, action) => {
+  const succeeded = [];
+  const failed = [];
+  for (const id of ids) {
+    const result = await action(id);
+    if (result.success) {
+      succeeded.push(result.data);
+    } else {
+      failed.push({ id, error: result.error });
+    }
+  }
+  return { success: failed.length === 0, data: { succeeded, failed } };
+};
+
+// Approve several expenses at once
+export const bulkApprove = async (ids, approverId) => {
+  return runBulk(ids, id => approveExpense(id, approverId));
+};
+
+// Reject several expenses at once with the same reason
+export const bulkReject = async (ids, approverId, reason) => {
+  if (!reason || !reason.trim()) {
+    return { success: false, error: '却下理由を入力してください。' };
+  }
+  return runBulk(ids, id => rejectExpense(id, approverId, reason));
+};
+
+// Get expenses grouped by workflow stage, with the approver's permission for each
+export const getApprovalInbox = async (approverId) => {
+  try {
+    const [expenses, users, categoriesResult] = await Promise.all([
+      storage.getAll('expenses'),
+      storage.getAll('users'),
+      categoryService.getAllCategories()
+    ]);
+    const categories = categoriesResult.success ? categoriesResult.data : [];
+    const approver = users.find(user => user.id === approverId) || null;
+
+    const populated = expenses
+      .map(expense => {
+        const status = normalizeStatus(expense.status);
+        const check = canApprove(approver, expense);
+        return {
+          ...expense,
+          status,
+          user: users.find(user => user.id === expense.userId) || null,
+          category: categories.find(category => category.id === expense.categoryId) || null,
+          canApprove: check.allowed,
+          blockedReason: check.reason
+        };
+      })
+      .sort((a, b) => new Date(a.submittedAt || a.createdAt) - new Date(b.submittedAt || b.createdAt));
+
+    return {
+      success: true,
+      data: {
+        approver,
+        approvalLimit: getApprovalLimit(approver),
+        submitted: populated.filter(expense => expense.status === EXPENSE_STATUSES.SUBMITTED),
+        approved: populated.filter(expense => expense.status === EXPENSE_STATUSES.APPROVED),
+        rejected: populated.filter(expense => expense.status === EXPENSE_STATUSES.REJECTED),
+        reimbursed: populated.filter(expense => expense.status === EXPENSE_STATUSES.REIMBURSED)
+      }
+    };
+  } catch (error) {
+    console.error('Error getting approval inbox:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const approvalService = {
+  normalizeStatus,
+  canTransition,
+  getApprovalLimits,
+  updateApprovalLimits,
+  getApprovalLimit,
+  canApprove,
+  canDeleteExpense,
+  submitExpense,
+  withdrawExpense,
+  approveExpense,
+  rejectExpense,
+  markReimbursed,
+  bulkApprove,
+  bulkReject,
+  getApprovalInbox
+};
+
+export default approvalService;
@@ -0,0 +1,340 @@
+import { db } from '../db/database';
+import storage from './storage';
+
+/**
+ * Audit Service - Append-only log of who changed what and when
+ * Entries are never updated or deleted once written. Each entry stores the hash of the
+ * previous one, so edits made outside the app can be detected with verifyAuditChain.
+ */
+
+export const ENTITY_LABELS = {
+  expense: '支出',
+  income: '収入',
+  invoice: '請求書',
+  user: 'ユーザー',
+  category: 'カテゴリ',
+  settings: '設定',
+  reimbursement: '立替金精算',
+  recurring: '定期取引',
+  budget: '予算',
+  vendor: '取引先',
+  paymentAccount: '決済口座',
+  statementImport: '明細取込',
+  exchangeRate: '為替レート',
+  exchangeRateImport: '為替レート取込'
+};
+
+export const ACTION_LABELS = {
+  create: '作成',
+  update: '更新',
+  delete: '削除',
+  restore: '復元',
+  purge: '完全削除',
+  submit: '申請',
+  withdraw: '取下げ',
+  approve: '承認',
+  reject: '却下',
+  reimburse: '精算'
+};
+
+export const ACTION_COLORS = {
+  create: 'success',
+  update: 'info',
+  delete: 'error',
+  restore: 'success',
+  purge: 'error',
+  submit: 'warning',
+  withdraw: 'default',
+  approve: 'success',
+  reject: 'error',
+  reimburse: 'primary'
+};
+
+export const FIELD_LABELS = {
+  date: '日付',
+  amount: '金額',
+  description: '説明',
+  categoryId: 'カテゴリ',
+  userId: 'ユーザー',
+  memo: 'メモ',
+  tags: 'タグ',
+  status: 'ステータス',
+  fileIds: '添付ファイル',
+  isAdvancePayment: '立替払い',
+  source: '収入源',
+  title: '件名',
+  client: '取引先',
+  dueDate: '期日',
+  paidAt: '入金日',
+  name: '名前',
+  email: 'メール',
+  phone: '電話番号',
+  role: '役職',
+  department: '部署',
+  type: '種類',
+  color: '色',
+  parentId: '親カテゴリ',
+  approvedBy: '承認者',
+  approvedAt: '承認日時',
+  rejectedReason: '却下理由',
+  submittedAt: '申請日時',
+  reimbursedAt: '精算日',
+  reimbursementMethod: '精算方法',
+  reimbursementBatchId: '精算バッチ',
+  batchNumber: '精算番号',
+  expenseIds: '対象経費',
+  totalAmount: '合計金額',
+  paymentMethod: '支払方法',
+  paidBy: '支払担当者',
+  createdBy: '作成者',
+  template: '取引内容',
+  frequency: '繰り返し',
+  interval: '間隔',
+  dayOfMonth: '日付指定',
+  businessDay: '営業日指定',
+  startDate: '開始日',
+  endType: '終了条件',
+  endDate: '終了日',
+  maxOccurrences: '回数',
+  skippedDates: 'スキップする日',
+  overrides: '個別変更',
+  pausedAt: '一時停止日時',
+  nextRunDate: '次回登録日',
+  recurringRuleId: '定期取引',
+  recurringDate: '発生日',
+  approvalLimits: '承認上限',
+  scopeType: '予算の対象',
+  scopeId: '対象',
+  periodType: '予算の期間',
+  alertsSent: '送信済みアラート',
+  isActive: '有効',
+  fiscalYearStartMonth: '期首月',
+  taxRounding: '消費税の端数処理',
+  taxCategory: '税区分',
+  taxEntryMode: '入力方式',
+  netAmount: '税抜金額',
+  taxAmount: '消費税額',
+  vendor: '支払先',
+  registrationNumber: '登録番号',
+  counterpartyId: '取引先マスタ',
+  kana: 'フリガナ',
+  aliases: '別名',
+  address: '住所',
+  paymentTermDays: '支払期限（日数）',
+  defaultCategoryId: '既定のカテゴリ',
+  paymentAccountId: '決済口座',
+  kind: '種類',
+  openingBalance: '開始残高',
+  openingDate: '開始日',
+  isDefault: '既定',
+  fileName: 'ファイル名',
+  format: '形式',
+  imported: '取込件数',
+  duplicates: '重複件数',
+  matched: '自動照合件数',
+  accountingExport: '会計ソフト出力設定',
+  currency: '通貨',
+  baseCurrency: '基準通貨',
+  originalAmount: '外貨金額',
+  exchangeRate: '為替レート',
+  exchangeRateDate: 'レート適用日',
+  quoteCurrency: '換算通貨',
+  rate: 'レート',
+  updated: '更新件数'
+};
+
+// Related records that services populate for display; never stored in the log
+const POPULATED_FIELDS = ['user', 'category'];
+
+// Fields that never count as a change
+const IGNORED_FIELDS = ['id', 'createdAt', 'updatedAt'];
+
+// Fields whose values are never written to the log
+const MASKED_FIELDS = ['openaiApiKey', 'azureApiKey', 'anthropicApiKey', 'localApiKey', 'apiKey', 'password'];
+const MASK = '********';
+
+// Get the acting user ID from settings (null when no user has been selected)
+export const getCurrentUserId = () => {
+  const settings = storage.get('settings') || {};
+  return settings.currentUserId ?? null;
+};
+
+// Copy a record for the log without populated relations or secrets
+const sanitize = (record) => {
+  if (!record || typeof record !== 'object') return record ?? null;
+  return Object.keys(record).reduce((acc, key) => {
+    if (POPULATED_FIELDS.includes(key)) return acc;
+    acc[key] = MASKED_FIELDS.includes(key) && record[key] ? MASK : record[key];
+    return acc;
+  }, {});
+};
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Compute the field-level differences between two versions of a record
+ * @param {Object|null} before - Previous version (null for creations)
+ * @param {Object|null} after - New version (null for deletions)
+ * @returns {Array} [{ field, from, to }]
+ */
+export const diffRecords = (before, after) => {
+  const previous = sanitize(before) || {};
+  const next = sanitize(after) || {};
+  const fields = Array.from(new Set([...Object.keys(previous), ...Object.keys(next)]));
+
+  return fields
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => !isEqual(previous[field], next[field]))
+    .map(field => ({
+      field,
+      from: previous[field] ?? null,
+      to: next[field] ?? null
+    }));
+};
+
+// SHA-256 of an entry's content chained to the previous hash
+const hashEntry = async (entry, prevHash) => {
+  const { entityType, entityId, action, actorId, before, after, changes, details, timestamp } = entry;
+  const payload = JSON.stringify([prevHash, entityType, entityId, action, actorId, before, after, changes, details, timestamp]);
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(payload));
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+// Read every entry in insertion order
+const getEntriesInOrder = async () => {
+  if (await storage.useIndexedDB()) {
+    return db.auditLog.orderBy('id').toArray();
+  }
+  const entries = await storage.getAll('auditLog');
+  return entries.sort((a, b) => a.id - b.id);
+};
+
+const getLastEntry = async () => {
+  if (await storage.useIndexedDB()) {
+    return db.auditLog.orderBy('id').last();
+  }
+  const entries = await getEntriesInOrder();
+  return entries[entries.length - 1];
+};
+
+// Appends run one at a time so each entry links to the one before it
+let appendQueue = Promise.resolve();
+
+/**
+ * Record an audit entry
+ * Updates without any field-level change are skipped.
+ * @param {Object} entry - { entityType, entityId, action, actorId, before, after, details }
+ * @returns {Promise<Object>} Result object
+ */
+export const logAuditEntry = async ({
+  entityType,
+  entityId,
+  action,
+  actorId = getCurrentUserId(),
+  before = null,
+  after = null,
+  details = {}
+}) => {
+  const changes = diffRecords(before, after);
+  if (action === 'update' && changes.length === 0) {
+    return { success: true, data: null };
+  }
+
+  const append = async () => {
+    const last = await getLastEntry();
+    const prevHash = last ? last.hash : null;
+    const entry = {
+      entityType,
+      entityId,
+      action,
+      actorId,
+      before: sanitize(before),
+      after: sanitize(after),
+      changes,
+      details,
+      timestamp: new Date().toISOString(),
+      prevHash
+    };
+    entry.hash = await hashEntry(entry, prevHash);
+    return storage.addItem('auditLog', entry);
+  };
+
+  try {
+    const result = appendQueue.then(append);
+    appendQueue = result.catch(() => {});
+    const saved = await result;
+    return { success: true, data: saved };
+  } catch (error) {
+    console.error('Error writing audit entry:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get audit entries (newest first)
+ * @param {Object} filters - { entityType, entityId, action, actorId, from, to }
+ * @returns {Promise<Object>} Result object
+ */
+export const getAuditEntries = async (filters = {}) => {
+  try {
+    const entries = await storage.getAll('auditLog');
+    const from = filters.from ? new Date(filters.from) : null;
+    const to = filters.to ? new Date(filters.to) : null;
+
+    const filtered = entries.filter(entry => {
+      if (filters.entityType && entry.entityType !== filters.entityType) return false;
+      if (filters.entityId !== undefined && entry.entityId !== filters.entityId) return false;
+      if (filters.action && entry.action !== filters.action) return false;
+      if (filters.actorId !== undefined && entry.actorId !== filters.actorId) return false;
+      if (from && new Date(entry.timestamp) < from) return false;
+      if (to && new Date(entry.timestamp) > to) return false;
+      return true;
+    });
+    // Sort by timestamp (newest first)
+    filtered.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp) || b.id - a.id);
+    return { success: true, data: filtered };
+  } catch (error) {
+    console.error('Error getting audit entries:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Get the history of a single record
+export const getEntityHistory = async (entityType, entityId) => {
+  return getAuditEntries({ entityType, entityId });
+};
+
+/**
+ * Recompute the hash chain and report the first entry that does not match
+ * @returns {Promise<Object>} { success, data: { valid, count, brokenAt } }
+ */
+export const verifyAuditChain = async () => {
+  try {
+    const entries = await getEntriesInOrder();
+    let prevHash = null;
+    for (const entry of entries) {
+      const expected = await hashEntry(entry, prevHash);
+      if (entry.prevHash !== prevHash || entry.hash !== expected) {
+        return { success: true, data: { valid: false, count: entries.length, brokenAt: entry.id } };
+      }
+      prevHash = entry.hash;
+    }
+    return { success: true, data: { valid: true, count: entries.length, brokenAt: null } };
+  } catch (error) {
+    console.error('Error verifying audit chain:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const auditService = {
+  getCurrentUserId,
+  diffRecords,
+  logAuditEntry,
+  getAuditEntries,
+  getEntityHistory,
+  verifyAuditChain
+};
+
+export default auditService;
@@ -0,0 +1,528 @@
+import storage from './storage';
+import categoryService from './categoryService';
+import auditService from './auditService';
+import notificationService from './notificationService';
+import { EXPENSE_STATUSES, normalizeStatus } from './approvalService';
+import { toDateString, parseDateString } from '../utils/recurrence';
+
+/**
+ * Budget Service - Handles budgets per category, department and user
+ * A budget sets the allowed spending of every period of its type (month, quarter or fiscal year).
+ * Actual spending is computed from the expenses in the period; alerts are sent once per period
+ * when spending reaches each threshold.
+ */
+
+export const PERIOD_TYPES = {
+  monthly: '月次',
+  quarterly: '四半期',
+  fiscal_year: '年度'
+};
+
+export const SCOPE_TYPES = {
+  category: 'カテゴリ',
+  department: '部署',
+  user: 'ユーザー'
+};
+
+// Alert thresholds in percent of the budget
+export const ALERT_THRESHOLDS = [80, 100];
+
+export const BUDGET_LEVEL_COLORS = {
+  ok: 'success',
+  warning: 'warning',
+  over: 'error'
+};
+
+const COLLECTION = 'budgets';
+
+const DEFAULT_FISCAL_YEAR_START_MONTH = 4;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatYen = (amount) => `¥${Number(amount || 0).toLocaleString()}`;
+
+const sameId = (a, b) => a !== null && a !== undefined && b !== null && b !== undefined && String(a) === String(b);
+
+// Drafts and rejected expenses are not spending
+const isCountedExpense = (expense) => {
+  const status = normalizeStatus(expense.status);
+  return status !== EXPENSE_STATUSES.DRAFT && status !== EXPENSE_STATUSES.REJECTED;
+};
+
+// Number of days from one 'YYYY-MM-DD' string to another, both included
+const countDays = (start, end) => {
+  return Math.round((parseDateString(end) - parseDateString(start)) / DAY_MS) + 1;
+};
+
+// Get the first month of the fiscal year from settings (1-12)
+export const getFiscalYearStartMonth = () => {
+  const settings = storage.get('settings') || {};
+  const month = parseInt(settings.fiscalYearStartMonth, 10);
+  return month >= 1 && month <= 12 ? month : DEFAULT_FISCAL_YEAR_START_MONTH;
+};
+
+/**
+ * Get the period of a budget type that contains a date
+ * @param {string} periodType - monthly, quarterly or fiscal_year
+ * @param {Date|string} date - Date within the period
+ * @param {number} startMonth - First month of the fiscal year (1-12)
+ * @returns {Object} { start, end, key, label } with 'YYYY-MM-DD' bounds
+ */
+export const getPeriodRange = (periodType, date = new Date(), startMonth = getFiscalYearStartMonth()) => {
+  const base = typeof date === 'string' ? parseDateString(date) : date;
+  const year = base.getFullYear();
+  const month = base.getMonth();
+  const fiscalYear = month >= startMonth - 1 ? year : year - 1;
+
+  switch (periodType) {
+    case 'monthly':
+      return {
+        start: toDateString(new Date(year, month, 1)),
+        end: toDateString(new Date(year, month + 1, 0)),
+        key: `${year}-${String(month + 1).padStart(2, '0')}`,
+        label: `${year}年${month + 1}月`
+      };
+    case 'quarterly': {
+      const quarter = Math.floor(((month - (startMonth - 1) + 12) % 12) / 3);
+      const start = new Date(fiscalYear, startMonth - 1 + quarter * 3, 1);
+      return {
+        start: toDateString(start),
+        end: toDateString(new Date(start.getFullYear(), start.getMonth() + 3, 0)),
+        key: `FY${fiscalYear}-Q${quarter + 1}`,
+        label: `${fiscalYear}年度 第${quarter + 1}四半期`
+      };
+    }
+    case 'fiscal_year':
+      return {
+        start: toDateString(new Date(fiscalYear, startMonth - 1, 1)),
+        end: toDateString(new Date(fiscalYear + 1, startMonth - 1, 0)),
+        key: `FY${fiscalYear}`,
+        label: `${fiscalYear}年度`
+      };
+    default:
+      throw new Error(`Unknown budget period: ${periodType}`);
+  }
+};
+
+// Budget level for a spending percentage
+export const getBudgetLevel = (percent) => {
+  if (percent >= ALERT_THRESHOLDS[1]) return 'over';
+  if (percent >= ALERT_THRESHOLDS[0]) return 'warning';
+  return 'ok';
+};
+
+// Share of a period that has passed by a date (0-1)
+const getElapsedRatio = (period, dateString) => {
+  if (dateString < period.start) return 0;
+  if (dateString >= period.end) return 1;
+  return countDays(period.start, dateString) / countDays(period.start, period.end);
+};
+
+// Load the records needed to match expenses to budgets
+const loadContext = async () => {
+  const [expenses, users, categories, hierarchyResult] = await Promise.all([
+    storage.getAll('expenses'),
+    storage.getAll('users'),
+    storage.getAll('categories'),
+    categoryService.getCategoryHierarchy('expense')
+  ]);
+
+  return {
+    expenses: expenses.filter(isCountedExpense),
+    users,
+    categories,
+    hierarchy: hierarchyResult.success ? hierarchyResult.data : [],
+    startMonth: getFiscalYearStartMonth()
+  };
+};
+
+// Build a predicate for the expenses a budget covers
+// A parent category budget also covers its child categories
+const createScopeMatcher = (budget, context) => {
+  switch (budget.scopeType) {
+    case 'category': {
+      const parent = context.hierarchy.find(category => sameId(category.id, budget.scopeId));
+      const categoryIds = new Set([budget.scopeId, ...(parent ? parent.children.map(child => child.id) : [])].map(String));
+      return (expense) => categoryIds.has(String(expense.categoryId));
+    }
+    case 'department': {
+      const userIds = new Set(context.users.filter(user => user.department === budget.scopeId).map(user => String(user.id)));
+      return (expense) => expense.userId !== null && expense.userId !== undefined && userIds.has(String(expense.userId));
+    }
+    case 'user':
+      return (expense) => sameId(expense.userId, budget.scopeId);
+    default:
+      return () => false;
+  }
+};
+
+// Display name of the budget target
+const getScopeLabel = (budget, context) => {
+  switch (budget.scopeType) {
+    case 'category': {
+      const category = context.categories.find(c => sameId(c.id, budget.scopeId));
+      return category ? category.name : '不明なカテゴリ';
+    }
+    case 'department':
+      return budget.scopeId;
+    case 'user': {
+      const user = context.users.find(u => sameId(u.id, budget.scopeId));
+      return user ? user.name : '不明なユーザー';
+    }
+    default:
+      return '';
+  }
+};
+
+// Expenses of a budget within a period, oldest first
+const getPeriodExpenses = (budget, context, period) => {
+  const matches = createScopeMatcher(budget, context);
+  return context.expenses
+    .filter(expense => {
+      const date = String(expense.date).slice(0, 10);
+      return date >= period.start && date <= period.end && matches(expense);
+    })
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+};
+
+// Budget with its spending in the period that contains the date
+const buildStatus = (budget, context, date, today) => {
+  const period = getPeriodRange(budget.periodType, date, context.startMonth);
+  const expenses = getPeriodExpenses(budget, context, period);
+  const actual = expenses.reduce((sum, expense) => sum + (expense.amount || 0), 0);
+  const percent = budget.amount > 0 ? (actual / budget.amount) * 100 : 0;
+  const elapsedRatio = getElapsedRatio(period, toDateString(today));
+
+  return {
+    ...budget,
+    scopeLabel: getScopeLabel(budget, context),
+    includesChildren: budget.scopeType === 'category'
+      && context.hierarchy.some(category => sameId(category.id, budget.scopeId) && category.children.length > 0),
+    period,
+    actual,
+    remaining: budget.amount - actual,
+    percent,
+    level: getBudgetLevel(percent),
+    expenseCount: expenses.length,
+    elapsedRatio,
+    // Spending at the end of the period if the current pace continues
+    projected: elapsedRatio > 0 && elapsedRatio < 1 ? Math.round(actual / elapsedRatio) : actual
+  };
+};
+
+// Validate a budget before saving
+const validateBudget = (budget) => {
+  if (!SCOPE_TYPES[budget.scopeType]) {
+    return '予算の対象を選択してください。';
+  }
+  if (budget.scopeId === null || budget.scopeId === undefined || budget.scopeId === '') {
+    return `${SCOPE_TYPES[budget.scopeType]}を選択してください。`;
+  }
+  if (!PERIOD_TYPES[budget.periodType]) {
+    return '予算の期間を選択してください。';
+  }
+  if (!(budget.amount > 0)) {
+    return '予算額は0より大きい値を入力してください。';
+  }
+  return null;
+};
+
+// Only one active budget per target and period type
+const findDuplicate = async (budget, excludeId = null) => {
+  const budgets = await storage.getAll(COLLECTION);
+  return budgets.find(other =>
+    !sameId(other.id, excludeId) &&
+    other.isActive !== false &&
+    other.scopeType === budget.scopeType &&
+    sameId(other.scopeId, budget.scopeId) &&
+    other.periodType === budget.periodType
+  );
+};
+
+const pickBudgetFields = (data) => {
+  return ['scopeType', 'scopeId', 'periodType', 'amount', 'memo', 'isActive'].reduce((acc, field) => {
+    if (data[field] !== undefined) acc[field] = data[field];
+    return acc;
+  }, {});
+};
+
+// Create a budget
+export const createBudget = async (budgetData) => {
+  try {
+    const fields = pickBudgetFields(budgetData);
+    const error = validateBudget(fields);
+    if (error) {
+      return { success: false, error };
+    }
+    if (await findDuplicate(fields)) {
+      return { success: false, error: 'この対象と期間の予算はすでに登録されています。' };
+    }
+
+    const budget = await storage.addItem(COLLECTION, {
+      memo: '',
+      ...fields,
+      isActive: true,
+      alertsSent: {}
+    });
+
+    await auditService.logAuditEntry({
+      entityType: 'budget',
+      entityId: budget.id,
+      action: 'create',
+      after: budget
+    });
+
+    await checkBudgetAlerts();
+    return { success: true, data: budget };
+  } catch (error) {
+    console.error('Error creating budget:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Update a budget
+export const updateBudget = async (id, updates) => {
+  try {
+    const budget = await storage.findById(COLLECTION, id);
+    if (!budget) {
+      return { success: false, error: '予算が見つかりません。' };
+    }
+
+    const changes = pickBudgetFields(updates);
+    const merged = { ...budget, ...changes };
+    const error = validateBudget(merged);
+    if (error) {
+      return { success: false, error };
+    }
+    if (merged.isActive !== false && await findDuplicate(merged, id)) {
+      return { success: false, error: 'この対象と期間の予算はすでに登録されています。' };
+    }
+
+    // A new amount or target starts the alerts over
+    const targetChanged = ['scopeType', 'scopeId', 'periodType', 'amount'].some(field => !sameId(merged[field], budget[field]));
+    if (targetChanged) {
+      changes.alertsSent = {};
+    }
+
+    const updatedBudget = await storage.updateItem(COLLECTION, id, changes);
+
+    await auditService.logAuditEntry({
+      entityType: 'budget',
+      entityId: id,
+      action: 'update',
+      before: budget,
+      after: updatedBudget
+    });
+
+    await checkBudgetAlerts();
+    return { success: true, data: updatedBudget };
+  } catch (error) {
+    console.error('Error updating budget:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Delete a budget
+export const deleteBudget = async (id) => {
+  try {
+    const budget = await storage.findById(COLLECTION, id);
+    if (!budget) {
+      return { success: false, error: '予算が見つかりません。' };
+    }
+
+    await storage.deleteItem(COLLECTION, id);
+
+    await auditService.logAuditEntry({
+      entityType: 'budget',
+      entityId: id,
+      action: 'delete',
+      before: budget
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting budget:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get budgets with their spending in the period that contains a date
+ * @param {Date|string} date - Date within the periods to show
+ * @param {Object} options - { activeOnly: skip inactive budgets, today: date used for the pace }
+ * @returns {Promise<Object>} Budgets sorted by usage, highest first
+ */
+export const getBudgetOverview = async (date = new Date(), { activeOnly = true, today = new Date() } = {}) => {
+  try {
+    const budgets = await storage.getAll(COLLECTION);
+    const targets = activeOnly ? budgets.filter(budget => budget.isActive !== false) : budgets;
+    if (targets.length === 0) {
+      return { success: true, data: [] };
+    }
+
+    const context = await loadContext();
+    const statuses = targets
+      .map(budget => buildStatus(budget, context, date, today))
+      .sort((a, b) => b.percent - a.percent);
+
+    return { success: true, data: statuses };
+  } catch (error) {
+    console.error('Error getting budget overview:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get the burn-down of a budget: remaining budget over the period
+ * Monthly and quarterly budgets are shown per day, fiscal-year budgets per month.
+ * @param {number} id - Budget ID
+ * @param {Date|string} date - Date within the period to show
+ * @param {Date} today - Last date with actual spending
+ * @returns {Promise<Object>} { budget, labels, ideal, actual, projected }
+ */
+export const getBurnDown = async (id, date = new Date(), today = new Date()) => {
+  try {
+    const budget = await storage.findById(COLLECTION, id);
+    if (!budget) {
+      return { success: false, error: '予算が見つかりません。' };
+    }
+
+    const context = await loadContext();
+    const status = buildStatus(budget, context, date, today);
+    const { period } = status;
+    const expenses = getPeriodExpenses(budget, context, period);
+    const todayString = toDateString(today);
+    const totalDays = countDays(period.start, period.end);
+
+    // Buckets of the chart: one per day or one per month
+    const buckets = [];
+    const start = parseDateString(period.start);
+    if (budget.periodType === 'fiscal_year') {
+      for (let i = 0; i < 12; i++) {
+        const first = new Date(start.getFullYear(), start.getMonth() + i, 1);
+        buckets.push({
+          start: toDateString(first),
+          end: toDateString(new Date(first.getFullYear(), first.getMonth() + 1, 0)),
+          label: `${first.getMonth() + 1}月`
+        });
+      }
+    } else {
+      for (let i = 0; i < totalDays; i++) {
+        const day = new Date(start.getFullYear(), start.getMonth(), start.getDate() + i);
+        const dateString = toDateString(day);
+        buckets.push({ start: dateString, end: dateString, label: `${day.getMonth() + 1}/${day.getDate()}` });
+      }
+    }
+
+    const spentBy = (dateString) => expenses
+      .filter(expense => String(expense.date).slice(0, 10) <= dateString)
+      .reduce((sum, expense) => sum + (expense.amount || 0), 0);
+
+    const isCurrentPeriod = todayString >= period.start && todayString <= period.end;
+    const dailyPace = status.elapsedRatio > 0 ? spentBy(todayString) / countDays(period.start, todayString) : 0;
+
+    const ideal = [];
+    const actual = [];
+    const projected = [];
+    buckets.forEach(bucket => {
+      ideal.push(Math.round(budget.amount * (1 - countDays(period.start, bucket.end) / totalDays)));
+
+      const hasStarted = bucket.start <= todayString;
+      const cutoff = bucket.end < todayString ? bucket.end : todayString;
+      actual.push(hasStarted ? budget.amount - spentBy(cutoff) : null);
+
+      // The projection continues from today at the current pace
+      projected.push(isCurrentPeriod && bucket.end >= todayString
+        ? Math.round(budget.amount - dailyPace * countDays(period.start, bucket.end))
+        : null);
+    });
+
+    return {
+      success: true,
+      data: {
+        budget: status,
+        labels: buckets.map(bucket => bucket.label),
+        ideal,
+        actual,
+        projected
+      }
+    };
+  } catch (error) {
+    console.error('Error getting budget burn-down:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Checks are serialized so two callers never send the same alert at once
+let alertQueue = Promise.resolve();
+
+/**
+ * Send alerts for budgets whose spending reached a threshold
+ * Each threshold is announced once per budget and period.
+ * @param {Date|string} date - Date within the periods to check
+ * @returns {Promise<Object>} Alerts that were sent
+ */
+export const checkBudgetAlerts = async (date = new Date()) => {
+  const check = async () => {
+    const budgets = (await storage.getAll(COLLECTION)).filter(budget => budget.isActive !== false);
+    if (budgets.length === 0) return [];
+
+    const context = await loadContext();
+    const alerts = [];
+
+    for (const budget of budgets) {
+      const status = buildStatus(budget, context, date, new Date());
+      const alertsSent = budget.alertsSent || {};
+      const sentThresholds = alertsSent[status.period.key] || [];
+      const reached = ALERT_THRESHOLDS.filter(threshold => status.percent >= threshold && !sentThresholds.includes(threshold));
+      if (reached.length === 0) continue;
+
+      // Only the highest threshold is announced when several are reached at once
+      const threshold = Math.max(...reached);
+      const exceeded = threshold >= ALERT_THRESHOLDS[1];
+      const target = `${status.scopeLabel}（${status.period.label}）`;
+
+      await notificationService.createNotification({
+        type: exceeded ? 'budget_exceeded' : 'budget_warning',
+        title: exceeded ? '予算超過' : '予算消化率',
+        message: exceeded
+          ? `${target}の支出が予算${formatYen(budget.amount)}を超えました（${formatYen(status.actual)}）`
+          : `${target}の支出が予算の${Math.floor(status.percent)}%に達しました（残り${formatYen(status.remaining)}）`,
+        priority: exceeded ? 'high' : 'medium',
+        relatedId: budget.id,
+        relatedType: 'budget'
+      });
+
+      await storage.updateItem(COLLECTION, budget.id, {
+        alertsSent: { ...alertsSent, [status.period.key]: [...sentThresholds, ...reached] }
+      });
+
+      alerts.push({ budgetId: budget.id, threshold, periodKey: status.period.key });
+    }
+    return alerts;
+  };
+
+  try {
+    const result = alertQueue.then(check);
+    alertQueue = result.catch(() => {});
+    const alerts = await result;
+    return { success: true, data: alerts };
+  } catch (error) {
+    console.error('Error checking budget alerts:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const budgetService = {
+  getFiscalYearStartMonth,
+  getPeriodRange,
+  getBudgetLevel,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  getBudgetOverview,
+  getBurnDown,
+  checkBudgetAlerts
+};
+
+export default budgetService;
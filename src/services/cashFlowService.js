@@ -0,0 +1,399 @@
+import storage from './storage';
+import settingsService from './settingsService';
+import journalService from './journalService';
+import { RULE_STATUSES } from './recurringService';
+import { createBaseCurrencyConverter } from './exchangeRateService';
+import {
+  isIssuedInvoice,
+  isOpenInvoice,
+  getInvoiceOutstanding,
+  calculateNextDueDate
+} from './invoiceService';
+import { listOccurrences, toDateString, parseDateString } from '../utils/recurrence';
+
+/**
+ * Cash Flow Service - Forward projection of the cash balance (資金繰り予測)
+ * The projection starts from today's balance of the payment accounts and adds:
+ * - open issued invoices on their due date (receivables) and open payable invoices (payables)
+ * - the next occurrences of recurring invoices and of recurring income and expense rules
+ * - the average monthly spend per category over the last complete months, spread over each day
+ * Scenarios adjust expected income, the run-rate spend and how late clients pay.
+ */
+
+const SETTING_KEY = 'cashFlowForecast';
+
+export const FORECAST_HORIZONS = [3, 6, 12];
+
+export const SCENARIOS = {
+  best: '楽観',
+  expected: '標準',
+  worst: '悲観'
+};
+
+// incomeRate and expenseRate are percentages; collectionDelayDays is added to receivable due dates
+export const DEFAULT_CASH_FLOW_SETTINGS = {
+  minimumBalance: 0,
+  runRateMonths: 3,
+  scenarios: {
+    best: { incomeRate: 100, expenseRate: 90, collectionDelayDays: 0 },
+    expected: { incomeRate: 100, expenseRate: 100, collectionDelayDays: 0 },
+    worst: { incomeRate: 80, expenseRate: 110, collectionDelayDays: 30 }
+  }
+};
+
+export const FLOW_SOURCES = {
+  receivables: { label: '売掛金の入金', direction: 'in' },
+  recurringInvoices: { label: '定期請求書', direction: null },
+  recurringIncome: { label: '定期収入', direction: 'in' },
+  payables: { label: '請求書の支払', direction: 'out' },
+  recurringExpenses: { label: '定期支出', direction: 'out' },
+  runRate: { label: '平均支出（カテゴリ別）', direction: 'out' }
+};
+
+// 'YYYY-MM-DD' of a stored date or ISO timestamp in local time
+const toDay = (value) => {
+  if (!value) return null;
+  const text = String(value);
+  return /^\d{4}-\d{2}-\d{2}$/.test(text) ? text : toDateString(new Date(text));
+};
+
+const addDays = (dateString, days) => {
+  const date = parseDateString(dateString);
+  date.setDate(date.getDate() + days);
+  return toDateString(date);
+};
+
+const monthKey = (dateString) => dateString.slice(0, 7);
+
+const daysInMonth = (dateString) => {
+  const [year, month] = dateString.split('-').map(Number);
+  return new Date(year, month, 0).getDate();
+};
+
+const toNumber = (value, fallback) => {
+  const number = Number(value);
+  return value === '' || value === null || value === undefined || isNaN(number) ? fallback : number;
+};
+
+// Fill missing values with the defaults and keep numbers in range
+const normalizeSettings = (settings = {}) => {
+  const scenarios = Object.keys(SCENARIOS).reduce((acc, key) => {
+    const defaults = DEFAULT_CASH_FLOW_SETTINGS.scenarios[key];
+    const values = settings.scenarios?.[key] || {};
+    acc[key] = {
+      incomeRate: Math.max(toNumber(values.incomeRate, defaults.incomeRate), 0),
+      expenseRate: Math.max(toNumber(values.expenseRate, defaults.expenseRate), 0),
+      collectionDelayDays: Math.max(Math.round(toNumber(values.collectionDelayDays, defaults.collectionDelayDays)), 0)
+    };
+    return acc;
+  }, {});
+
+  return {
+    minimumBalance: toNumber(settings.minimumBalance, DEFAULT_CASH_FLOW_SETTINGS.minimumBalance),
+    runRateMonths: Math.min(Math.max(Math.round(toNumber(settings.runRateMonths, DEFAULT_CASH_FLOW_SETTINGS.runRateMonths)), 1), 12),
+    scenarios
+  };
+};
+
+// Get the forecast settings
+export const getCashFlowSettings = async () => {
+  try {
+    const result = await settingsService.getSetting(SETTING_KEY);
+    return { success: true, data: normalizeSettings((result.success && result.data) || {}) };
+  } catch (error) {
+    console.error('Error getting cash flow settings:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Save the forecast settings
+export const saveCashFlowSettings = async (settings) => {
+  try {
+    const saved = normalizeSettings(settings);
+    const result = await settingsService.updateSetting(SETTING_KEY, saved);
+    return result.success ? { success: true, data: saved } : result;
+  } catch (error) {
+    console.error('Error saving cash flow settings:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Cash on hand at the end of a day: payment account balances less credit card balances
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {Promise<Object>} Result object with the balance
+ */
+export const getCashBalance = async (date) => {
+  const result = await journalService.getTrialBalance(date, date);
+  if (!result.success) return result;
+
+  const balance = result.data.rows
+    .filter(row => row.paymentAccountId !== undefined)
+    .reduce((sum, row) => sum + (row.type === 'liability' ? -row.closingBalance : row.closingBalance), 0);
+  return { success: true, data: balance };
+};
+
+/**
+ * Average monthly spend per category over the complete months before today
+ * Expenses generated by recurring rules are left out; the rules are projected on their own.
+ * @param {Array} expenses - Expenses
+ * @param {Array} categories - Categories
+ * @param {string} today - 'YYYY-MM-DD'
+ * @param {number} months - Number of months to average
+ * @returns {Array} [{ categoryId, name, total, monthlyAverage }] largest first
+ */
+export const getRunRateByCategory = (expenses, categories, today, months) => {
+  const end = parseDateString(`${monthKey(today)}-01`);
+  const start = new Date(end.getFullYear(), end.getMonth() - months, 1);
+  const startString = toDateString(start);
+  const endString = toDateString(end);
+
+  // Keyed by the id as a string, since older records may hold the category id as text
+  const totals = new Map();
+  expenses.forEach(expense => {
+    const date = toDay(expense.date);
+    if (!date || date < startString || date >= endString) return;
+    if (expense.recurringRuleId || expense.status === 'rejected') return;
+    const categoryId = expense.categoryId ?? null;
+    const key = String(categoryId);
+    if (!totals.has(key)) totals.set(key, { categoryId, total: 0 });
+    totals.get(key).total += Number(expense.amount) || 0;
+  });
+
+  return [...totals.values()]
+    .map(({ categoryId, total }) => ({
+      categoryId,
+      name: categories.find(category => String(category.id) === String(categoryId))?.name || '未分類',
+      total,
+      monthlyAverage: Math.round(total / months)
+    }))
+    .filter(row => row.monthlyAverage > 0)
+    .sort((a, b) => b.monthlyAverage - a.monthlyAverage);
+};
+
+/**
+ * Dated inflows and outflows expected after today
+ * @param {Object} books - { invoices, rules, toBaseAmount }
+ * @param {string} today - 'YYYY-MM-DD'
+ * @param {string} endDate - Last day of the forecast
+ * @param {Object} scenario - { incomeRate, expenseRate, collectionDelayDays }
+ * @returns {Array} [{ date, source, label, amount }] with inflows positive and outflows negative
+ */
+const buildScheduledFlows = ({ invoices, rules, toBaseAmount }, today, endDate, scenario) => {
+  const flows = [];
+  const tomorrow = addDays(today, 1);
+  const incomeRate = scenario.incomeRate / 100;
+  const add = (date, source, label, amount) => {
+    if (date <= endDate && amount) flows.push({ date, source, label, amount });
+  };
+
+  invoices.filter(isOpenInvoice).forEach(invoice => {
+    const dueDate = toDay(invoice.dueDate);
+    if (!dueDate) return;
+    const label = [invoice.invoiceNumber, invoice.client, invoice.title].filter(Boolean).join(' ');
+
+    // Overdue amounts are expected right away, late payers by the scenario's delay
+    if (isIssuedInvoice(invoice)) {
+      const date = addDays(dueDate > today ? dueDate : tomorrow, scenario.collectionDelayDays);
+      add(date, 'receivables', label, getInvoiceOutstanding(invoice) * incomeRate);
+    } else {
+      add(dueDate > today ? dueDate : tomorrow, 'payables', label, -(Number(invoice.amount) || 0));
+    }
+
+    // Recurring invoices repeat after the open one
+    if (invoice.isRecurring && invoice.nextDueDate) {
+      const sign = isIssuedInvoice(invoice) ? incomeRate : -1;
+      let next = invoice.nextDueDate;
+      for (let i = 0; i < 520 && toDay(next) <= endDate; i++) {
+        if (toDay(next) > today) {
+          add(toDay(next), 'recurringInvoices', label, (Number(invoice.amount) || 0) * sign);
+        }
+        next = calculateNextDueDate(next, invoice.recurringType);
+      }
+    }
+  });
+
+  rules.filter(rule => rule.status === RULE_STATUSES.ACTIVE).forEach(rule => {
+    const skipped = rule.skippedDates || [];
+    const overrides = rule.overrides || {};
+    const after = rule.lastProcessedDate && rule.lastProcessedDate > today ? rule.lastProcessedDate : today;
+    listOccurrences(rule, { after, until: endDate, limit: 1000 })
+      .filter(date => !skipped.includes(date))
+      .forEach(date => {
+        const amount = toBaseAmount({
+          amount: overrides[date]?.amount ?? rule.template.amount,
+          currency: rule.template.currency,
+          date: today
+        });
+        const label = overrides[date]?.description ?? rule.template.description;
+        if (rule.type === 'income') {
+          add(date, 'recurringIncome', label, amount * incomeRate);
+        } else {
+          add(date, 'recurringExpenses', label, -amount);
+        }
+      });
+  });
+
+  return flows.sort((a, b) => a.date.localeCompare(b.date));
+};
+
+const emptySources = () => Object.keys(FLOW_SOURCES).reduce((acc, key) => ({ ...acc, [key]: 0 }), {});
+
+/**
+ * Project the cash balance over the coming months
+ * Months run from the current month; the current month only counts the days after today.
+ * @param {Object} options - { months, scenario, startingBalance (today's balance when omitted), today }
+ * @returns {Promise<Object>} Result object with { rows, days, flows, categories, shortfallDate, lowest, ... }
+ */
+export const getCashFlowForecast = async ({ months = 6, scenario = 'expected', startingBalance, today = new Date() } = {}) => {
+  try {
+    if (!SCENARIOS[scenario]) {
+      return { success: false, error: 'シナリオが正しくありません。' };
+    }
+
+    const todayString = toDateString(today);
+    const settingsResult = await getCashFlowSettings();
+    if (!settingsResult.success) return settingsResult;
+    const settings = settingsResult.data;
+    const assumptions = settings.scenarios[scenario];
+
+    let balance = startingBalance;
+    if (balance === undefined || balance === null || balance === '') {
+      const balanceResult = await getCashBalance(todayString);
+      if (!balanceResult.success) return balanceResult;
+      balance = balanceResult.data;
+    }
+    balance = Number(balance) || 0;
+
+    const [expenses, categories, invoices, rules, converter] = await Promise.all([
+      storage.getAll('expenses'),
+      storage.getAll('categories'),
+      storage.getAll('invoices'),
+      storage.getAll('recurringRules'),
+      createBaseCurrencyConverter()
+    ]);
+
+    const firstMonth = parseDateString(`${monthKey(todayString)}-01`);
+    const endDate = toDateString(new Date(firstMonth.getFullYear(), firstMonth.getMonth() + months, 0));
+
+    const categoryRates = getRunRateByCategory(expenses, categories, todayString, settings.runRateMonths)
+      .map(row => ({ ...row, projectedMonthly: Math.round(row.monthlyAverage * assumptions.expenseRate / 100) }));
+    const monthlyRunRate = categoryRates.reduce((sum, row) => sum + row.projectedMonthly, 0);
+
+    const flows = buildScheduledFlows({ invoices, rules, toBaseAmount: converter.toBaseAmount }, todayString, endDate, assumptions)
+      .map(flow => ({ ...flow, amount: Math.round(flow.amount) }));
+
+    // Walk the days so the first day under the minimum can be found
+    const rows = new Map();
+    const days = [];
+    let running = balance;
+    let shortfallDate = running < settings.minimumBalance ? todayString : null;
+    let lowest = { date: todayString, balance: running };
+    let flowIndex = 0;
+
+    for (let date = addDays(todayString, 1); date <= endDate; date = addDays(date, 1)) {
+      const key = monthKey(date);
+      if (!rows.has(key)) {
+        rows.set(key, { month: key, openingBalance: running, sources: emptySources(), inflow: 0, outflow: 0, lowestBalance: running });
+      }
+      const row = rows.get(key);
+
+      const dayFlows = [];
+      while (flowIndex < flows.length && flows[flowIndex].date === date) {
+        dayFlows.push(flows[flowIndex]);
+        flowIndex += 1;
+      }
+      const runRate = monthlyRunRate / daysInMonth(date);
+      if (runRate > 0) dayFlows.push({ source: 'runRate', amount: -runRate });
+
+      for (const flow of dayFlows) {
+        row.sources[flow.source] += flow.amount;
+        if (flow.amount > 0) row.inflow += flow.amount;
+        else row.outflow -= flow.amount;
+        running += flow.amount;
+      }
+
+      row.closingBalance = running;
+      row.lowestBalance = Math.min(row.lowestBalance, running);
+      days.push({ date, balance: Math.round(running) });
+      if (running < lowest.balance) lowest = { date, balance: running };
+      if (!shortfallDate && running < settings.minimumBalance) shortfallDate = date;
+    }
+
+    const round = (row) => ({
+      ...row,
+      openingBalance: Math.round(row.openingBalance),
+      closingBalance: Math.round(row.closingBalance),
+      lowestBalance: Math.round(row.lowestBalance),
+      inflow: Math.round(row.inflow),
+      outflow: Math.round(row.outflow),
+      net: Math.round(row.inflow - row.outflow),
+      sources: Object.fromEntries(Object.entries(row.sources).map(([key, value]) => [key, Math.round(value)]))
+    });
+
+    return {
+      success: true,
+      data: {
+        scenario,
+        assumptions,
+        months,
+        startDate: todayString,
+        endDate,
+        startingBalance: Math.round(balance),
+        minimumBalance: settings.minimumBalance,
+        runRateMonths: settings.runRateMonths,
+        rows: [...rows.values()].map(round),
+        days,
+        flows,
+        categories: categoryRates,
+        shortfallDate,
+        lowest: { date: lowest.date, balance: Math.round(lowest.balance) }
+      }
+    };
+  } catch (error) {
+    console.error('Error forecasting cash flow:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Rows of the forecast report for CSV export
+ * @param {Object} forecast - Result of getCashFlowForecast
+ * @returns {Array} Rows of cells
+ */
+export const buildForecastReportRows = (forecast) => {
+  const sourceKeys = Object.keys(FLOW_SOURCES);
+  return [
+    ['資金繰り予測', `${SCENARIOS[forecast.scenario]}シナリオ`, `${forecast.startDate}〜${forecast.endDate}`],
+    ['開始残高', forecast.startingBalance, '最低残高', forecast.minimumBalance, '残高不足の予測日', forecast.shortfallDate || 'なし'],
+    [],
+    ['月', '月初残高', ...sourceKeys.map(key => FLOW_SOURCES[key].label), '収入計', '支出計', '収支', '月末残高', '月中最低残高'],
+    ...forecast.rows.map(row => [
+      row.month,
+      row.openingBalance,
+      ...sourceKeys.map(key => row.sources[key]),
+      row.inflow,
+      row.outflow,
+      row.net,
+      row.closingBalance,
+      row.lowestBalance
+    ]),
+    [],
+    [`カテゴリ別平均支出（過去${forecast.runRateMonths}か月）`, '月平均', '予測（月額）'],
+    ...forecast.categories.map(row => [row.name, row.monthlyAverage, row.projectedMonthly]),
+    [],
+    ['予定日', '区分', '内容', '金額'],
+    ...forecast.flows.map(flow => [flow.date, FLOW_SOURCES[flow.source].label, flow.label, flow.amount])
+  ];
+};
+
+const cashFlowService = {
+  getCashFlowSettings,
+  saveCashFlowSettings,
+  getCashBalance,
+  getRunRateByCategory,
+  getCashFlowForecast,
+  buildForecastReportRows
+};
+
+export default cashFlowService;
@@ -0,0 +1,50 @@
+import { getRunRateByCategory } from './cashFlowService';
+
+// Reached through the file service; pdf.js locates its worker with import.meta, which Jest cannot parse
+jest.mock('../utils/pdfDocument', () => ({}));
+
+describe('getRunRateByCategory', () => {
+  const categories = [
+    { id: 1, name: '旅費交通費' },
+    { id: 2, name: '消耗品費' },
+    { id: 3, name: '地代家賃' }
+  ];
+
+  it('averages the complete months before today, largest first', () => {
+    const expenses = [
+      { categoryId: 1, date: '2026-07-01', amount: 3000 },
+      { categoryId: 1, date: '2026-09-30', amount: 6000 },
+      { categoryId: 2, date: '2026-08-15', amount: 30000 },
+      { categoryId: '2', date: '2026-09-15T10:00:00', amount: '1500' },
+      { categoryId: null, date: '2026-08-01', amount: 1000 }
+    ];
+    expect(getRunRateByCategory(expenses, categories, '2026-10-18', 3)).toEqual([
+      { categoryId: 2, name: '消耗品費', total: 31500, monthlyAverage: 10500 },
+      { categoryId: 1, name: '旅費交通費', total: 9000, monthlyAverage: 3000 },
+      { categoryId: null, name: '未分類', total: 1000, monthlyAverage: 333 }
+    ]);
+  });
+
+  it('leaves out the current month and months before the window', () => {
+    const expenses = [
+      { categoryId: 1, date: '2026-06-30', amount: 9000 },
+      { categoryId: 1, date: '2026-10-01', amount: 9000 }
+    ];
+    expect(getRunRateByCategory(expenses, categories, '2026-10-18', 3)).toEqual([]);
+  });
+
+  it('leaves out recurring and rejected expenses', () => {
+    const expenses = [
+      { categoryId: 3, date: '2026-09-01', amount: 120000, recurringRuleId: 5 },
+      { categoryId: 1, date: '2026-09-02', amount: 5000, status: 'rejected' },
+      { categoryId: 1, date: '2026-09-03', amount: 2000, status: 'pending' }
+    ];
+    expect(getRunRateByCategory(expenses, categories, '2026-10-18', 1)).toEqual([
+      { categoryId: 1, name: '旅費交通費', total: 2000, monthlyAverage: 2000 }
+    ]);
+  });
+
+  it('drops categories that round to nothing', () => {
+    expect(getRunRateByCategory([{ categoryId: 1, date: '2026-09-01', amount: 1 }], categories, '2026-10-18', 3)).toEqual([]);
+  });
+});
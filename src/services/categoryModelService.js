@@ -0,0 +1,190 @@
+import storage from './storage';
+import {
+  CLASSIFIER_VERSION,
+  createModel,
+  addDocument,
+  predict,
+  evaluateHoldout,
+  documentSignature
+} from '../utils/categoryClassifier';
+
+/**
+ * Category Model Service - On-device category classifier per transaction type
+ * One model for expenses and one for income are trained on the stored transactions and kept in
+ * the categoryModels table. Before a prediction the model is brought up to date: new
+ * transactions are added to it incrementally, and it is retrained from scratch (with a fresh
+ * holdout evaluation) when a trained transaction was edited or deleted. No API key is needed.
+ */
+
+export const MODEL_TYPES = {
+  expense: '支出',
+  income: '収入'
+};
+
+const COLLECTION = 'categoryModels';
+
+const TRANSACTION_COLLECTIONS = {
+  expense: 'expenses',
+  income: 'income'
+};
+
+// Transactions are re-read at most this often for predictions
+const SYNC_INTERVAL_MS = 60 * 1000;
+
+// Models trained on fewer transactions are not used for suggestions
+export const MIN_TRAINING_DOCUMENTS = 10;
+
+// In-memory models and when they were last synced, per type
+const cache = {};
+const syncing = {};
+
+// Transactions of a type as training documents
+const loadDocuments = async (type) => {
+  const transactions = await storage.getAll(TRANSACTION_COLLECTIONS[type]);
+  return transactions
+    .filter(item => item.categoryId && (item.description || item.vendor || item.source))
+    .map(item => ({
+      id: item.id,
+      categoryId: item.categoryId,
+      description: item.description,
+      vendor: item.vendor || item.source,
+      amount: item.amount,
+      date: item.date
+    }));
+};
+
+const trainFromScratch = (type, documents) => {
+  const model = documents.reduce((trained, doc) => addDocument(trained, doc, doc.categoryId), createModel());
+  return {
+    id: type,
+    model,
+    signatures: Object.fromEntries(documents.map(doc => [doc.id, documentSignature(doc)])),
+    accuracy: evaluateHoldout(documents),
+    evaluatedAt: new Date().toISOString(),
+    addedSinceEvaluation: 0,
+    trainedAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Bring a model up to date with the stored transactions
+ * @param {string} type - 'expense' or 'income'
+ * @param {Object} options - { force: retrain from scratch }
+ * @returns {Promise<Object>} Stored model record
+ */
+const syncModel = async (type, { force = false } = {}) => {
+  const documents = await loadDocuments(type);
+  const stored = await storage.findById(COLLECTION, type);
+
+  const current = Object.fromEntries(documents.map(doc => [doc.id, documentSignature(doc)]));
+  const changed = stored && Object.entries(stored.signatures).some(([id, signature]) => current[id] !== signature);
+
+  let record;
+  if (force || !stored || stored.model.version !== CLASSIFIER_VERSION || changed) {
+    record = trainFromScratch(type, documents);
+  } else {
+    const added = documents.filter(doc => !(doc.id in stored.signatures));
+    if (added.length === 0) return stored;
+    added.forEach(doc => addDocument(stored.model, doc, doc.categoryId));
+    record = {
+      ...stored,
+      signatures: current,
+      addedSinceEvaluation: stored.addedSinceEvaluation + added.length,
+      trainedAt: new Date().toISOString()
+    };
+  }
+
+  await storage.putItem(COLLECTION, record);
+  return record;
+};
+
+// Sync a model unless it was synced recently; concurrent calls share one sync
+const getModel = async (type, { force = false } = {}) => {
+  const entry = cache[type];
+  if (!force && entry && Date.now() - entry.syncedAt < SYNC_INTERVAL_MS) {
+    return entry.record;
+  }
+  if (!syncing[type]) {
+    syncing[type] = syncModel(type, { force })
+      .then(record => {
+        cache[type] = { record, syncedAt: Date.now() };
+        return record;
+      })
+      .finally(() => {
+        delete syncing[type];
+      });
+  }
+  return syncing[type];
+};
+
+/**
+ * Rank categories for a transaction with the local model
+ * @param {Object} doc - { description, vendor, amount, date }
+ * @param {string} type - 'expense' or 'income'
+ * @returns {Promise<Array>} [{ categoryId, probability }] best first; empty while the model has
+ *   fewer than MIN_TRAINING_DOCUMENTS transactions
+ */
+export const predictCategories = async (doc, type = 'expense') => {
+  try {
+    const record = await getModel(type);
+    if (record.model.documentCount < MIN_TRAINING_DOCUMENTS) return [];
+    return predict(record.model, doc);
+  } catch (error) {
+    console.error('Error predicting category:', error);
+    return [];
+  }
+};
+
+const toStatus = (type, record) => ({
+  type,
+  documentCount: record.model.documentCount,
+  categoryCount: Object.keys(record.model.classes).length,
+  accuracy: record.accuracy,
+  evaluatedAt: record.evaluatedAt,
+  addedSinceEvaluation: record.addedSinceEvaluation,
+  trainedAt: record.trainedAt,
+  ready: record.model.documentCount >= MIN_TRAINING_DOCUMENTS
+});
+
+/**
+ * Training state and holdout accuracy of each model (models are synced first)
+ * @returns {Promise<Object>} { success, data: [{ type, documentCount, categoryCount, accuracy: { top1, top3, holdoutSize },
+ *   evaluatedAt, addedSinceEvaluation, trainedAt, ready }] }
+ */
+export const getCategoryModelStatus = async () => {
+  try {
+    const data = [];
+    for (const type of Object.keys(MODEL_TYPES)) {
+      data.push(toStatus(type, await getModel(type)));
+    }
+    return { success: true, data };
+  } catch (error) {
+    console.error('Error getting category model status:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Retrain every model from scratch and re-measure accuracy
+ * @returns {Promise<Object>} Same shape as getCategoryModelStatus
+ */
+export const retrainCategoryModels = async () => {
+  try {
+    const data = [];
+    for (const type of Object.keys(MODEL_TYPES)) {
+      data.push(toStatus(type, await getModel(type, { force: true })));
+    }
+    return { success: true, data };
+  } catch (error) {
+    console.error('Error retraining category models:', error);
+    return { success: false, error: '分類モデルの再学習に失敗しました。' };
+  }
+};
+
+const categoryModelService = {
+  predictCategories,
+  getCategoryModelStatus,
+  retrainCategoryModels
+};
+
+export default categoryModelService;
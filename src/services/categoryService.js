@@ -1,4 +1,5 @@
 import storage from './storage';
+import auditService from './auditService';
 
 /**
  * Category Service - Handles all category-related operations
@@ -7,7 +8,15 @@ import storage from './storage';
 // Create a new category
 export const createCategory = async (categoryData) => {
   try {
-    const newCategory = storage.addItem('categories', categoryData);
+    const newCategory = await storage.addItem('categories', categoryData);
+
+    await auditService.logAuditEntry({
+      entityType: 'category',
+      entityId: newCategory.id,
+      action: 'create',
+      after: newCategory
+    });
+
     return { success: true, data: newCategory };
   } catch (error) {
     console.error('Error creating category:', error);
@@ -18,7 +27,7 @@ export const createCategory = async (categoryData) => {
 // Get category by ID
 export const getCategoryById = async (id) => {
   try {
-    const category = storage.findById('categories', id);
+    const category = await storage.findById('categories', id);
     return { success: true, data: category };
   } catch (error) {
     console.error('Error getting category:', error);
@@ -29,7 +38,7 @@ export const getCategoryById = async (id) => {
 // Get all categories
 export const getAllCategories = async () => {
   try {
-    const categories = storage.get('categories') || [];
+    const categories = await storage.getAll('categories');
     return { success: true, data: categories };
   } catch (error) {
     console.error('Error getting categories:', error);
@@ -40,7 +49,7 @@ export const getAllCategories = async () => {
 // Get categories by type
 export const getCategoriesByType = async (type) => {
   try {
-    const categories = storage.findWhere('categories', { type, isActive: true });
+    const categories = await storage.findWhere('categories', { type, isActive: true });
     return { success: true, data: categories };
   } catch (error) {
     console.error('Error getting categories by type:', error);
@@ -48,10 +57,40 @@ export const getCategoriesByType = async (type) => {
   }
 };
 
+// Get categories of a type as parents with their child categories
+export const getCategoryHierarchy = async (type) => {
+  try {
+    const categories = await storage.findWhere('categories', { type });
+    const parents = categories.filter(category => !category.parentId);
+    const hierarchy = parents.map(parent => ({
+      ...parent,
+      children: categories.filter(category => category.parentId === parent.id)
+    }));
+    return { success: true, data: hierarchy };
+  } catch (error) {
+    console.error('Error getting category hierarchy:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 // Update category
 export const updateCategory = async (id, updates) => {
   try {
-    const updatedCategory = storage.updateItem('categories', id, updates);
+    const category = await storage.findById('categories', id);
+    if (!category) {
+      return { success: false, error: 'カテゴリが見つかりません。' };
+    }
+
+    const updatedCategory = await storage.updateItem('categories', id, updates);
+
+    await auditService.logAuditEntry({
+      entityType: 'category',
+      entityId: id,
+      action: 'update',
+      before: category,
+      after: updatedCategory
+    });
+
     return { success: true, data: updatedCategory };
   } catch (error) {
     console.error('Error updating category:', error);
@@ -63,8 +102,8 @@ export const updateCategory = async (id, updates) => {
 export const deleteCategory = async (id) => {
   try {
     // Check if category is in use
-    const expenses = storage.findWhere('expenses', { categoryId: id });
-    const income = storage.findWhere('income', { categoryId: id });
+    const expenses = await storage.findWhere('expenses', { categoryId: id });
+    const income = await storage.findWhere('income', { categoryId: id });
     
     if (expenses.length > 0 || income.length > 0) {
       return { 
@@ -73,7 +112,18 @@ export const deleteCategory = async (id) => {
       };
     }
     
-    storage.deleteItem('categories', id);
+    const category = await storage.findById('categories', id);
+    await storage.deleteItem('categories', id);
+
+    if (category) {
+      await auditService.logAuditEntry({
+        entityType: 'category',
+        entityId: id,
+        action: 'delete',
+        before: category
+      });
+    }
+
     return { success: true };
   } catch (error) {
     console.error('Error deleting category:', error);
@@ -84,8 +134,8 @@ export const deleteCategory = async (id) => {
 // Get category statistics
 export const getCategoryStats = async (categoryId) => {
   try {
-    const expenses = storage.findWhere('expenses', { categoryId });
-    const income = storage.findWhere('income', { categoryId });
+    const expenses = await storage.findWhere('expenses', { categoryId });
+    const income = await storage.findWhere('income', { categoryId });
     
     const expenseTotal = expenses.reduce((sum, item) => sum + item.amount, 0);
     const incomeTotal = income.reduce((sum, item) => sum + item.amount, 0);
@@ -112,6 +162,7 @@ const categoryService = {
   getCategoryById,
   getAllCategories,
   getCategoriesByType,
+  getCategoryHierarchy,
   updateCategory,
   deleteCategory,
   getCategoryStats
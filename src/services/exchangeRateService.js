@@ -0,0 +1,375 @@
+import storage from './storage';
+import auditService from './auditService';
+import {
+  DEFAULT_BASE_CURRENCY,
+  isKnownCurrency,
+  resolveExchangeRate,
+  convertAmount
+} from '../utils/currency';
+import { parseCsvRows, parseStatementDate, parseStatementAmount } from '../utils/statementParsers';
+
+/**
+ * Exchange Rate Service - Rates per date and the base-currency conversion of transactions
+ * Transactions in another currency keep the entered amount as originalAmount together with
+ * the rate used; `amount` always holds the converted base-currency amount, so journals,
+ * tax and budget totals work on one currency. Aggregates that may span a change of the base
+ * currency convert with toBaseAmount.
+ */
+
+const COLLECTION = 'exchangeRates';
+
+export const RATE_SOURCES = {
+  manual: '手入力',
+  csv: 'CSV取込'
+};
+
+// Fields that change the conversion of a transaction
+const CURRENCY_FIELDS = ['currency', 'originalAmount', 'exchangeRate', 'amount', 'date'];
+
+// Header names of the long CSV layout (date, currency, rate[, quote currency])
+const CSV_HEADERS = {
+  date: ['日付', '適用日', 'date'],
+  currency: ['通貨', '通貨コード', 'currency'],
+  rate: ['レート', '為替レート', '仲値', 'ttm', 'rate'],
+  quoteCurrency: ['基準通貨', '換算通貨', 'quote', 'quotecurrency']
+};
+
+// Get the base currency from settings
+export const getBaseCurrency = () => {
+  const settings = storage.get('settings') || {};
+  return isKnownCurrency(settings.currency) ? settings.currency : DEFAULT_BASE_CURRENCY;
+};
+
+const validateRate = ({ date, currency, quoteCurrency, rate }) => {
+  if (!parseStatementDate(date)) return '日付を入力してください。';
+  if (!isKnownCurrency(currency) || !isKnownCurrency(quoteCurrency)) return '通貨を選択してください。';
+  if (currency === quoteCurrency) return '同じ通貨どうしのレートは登録できません。';
+  if (!(Number(rate) > 0)) return 'レートは0より大きい値を入力してください。';
+  return null;
+};
+
+// Get stored rates, newest first
+export const getExchangeRates = async ({ currency } = {}) => {
+  try {
+    const rates = await storage.getAll(COLLECTION);
+    return {
+      success: true,
+      data: rates
+        .filter(rate => !currency || rate.currency === currency || rate.quoteCurrency === currency)
+        .sort((a, b) => b.date.localeCompare(a.date) || a.currency.localeCompare(b.currency))
+    };
+  } catch (error) {
+    console.error('Error getting exchange rates:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Insert a rate or replace the one stored for the same pair and date
+const upsertRate = async (existingRates, entry) => {
+  const existing = existingRates.find(rate =>
+    rate.date === entry.date && rate.currency === entry.currency && rate.quoteCurrency === entry.quoteCurrency
+  );
+  if (existing) {
+    if (existing.rate === entry.rate) return { saved: existing, created: false, changed: false };
+    const saved = await storage.updateItem(COLLECTION, existing.id, { rate: entry.rate, source: entry.source });
+    return { saved, before: existing, created: false, changed: true };
+  }
+  const saved = await storage.addItem(COLLECTION, entry);
+  existingRates.push(saved);
+  return { saved, created: true, changed: true };
+};
+
+/**
+ * Save the rate of a currency on a date
+ * A rate already stored for the same pair and date is replaced.
+ * @param {Object} rateData - { date, currency, quoteCurrency (defaults to the base currency), rate }
+ * @returns {Promise<Object>} Saved rate
+ */
+export const saveExchangeRate = async (rateData) => {
+  try {
+    const entry = {
+      date: parseStatementDate(rateData.date),
+      currency: rateData.currency,
+      quoteCurrency: rateData.quoteCurrency || getBaseCurrency(),
+      rate: Number(rateData.rate),
+      source: 'manual'
+    };
+    const validationError = validateRate({ ...entry, date: rateData.date });
+    if (validationError) {
+      return { success: false, error: validationError };
+    }
+
+    const { saved, before, created, changed } = await upsertRate(await storage.getAll(COLLECTION), entry);
+    if (changed) {
+      await auditService.logAuditEntry({
+        entityType: 'exchangeRate',
+        entityId: saved.id,
+        action: created ? 'create' : 'update',
+        before: before || null,
+        after: saved
+      });
+    }
+    return { success: true, data: saved };
+  } catch (error) {
+    console.error('Error saving exchange rate:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Delete a rate
+export const deleteExchangeRate = async (id) => {
+  try {
+    const rate = await storage.findById(COLLECTION, id);
+    if (!rate) {
+      return { success: false, error: '為替レートが見つかりません。' };
+    }
+    await storage.deleteItem(COLLECTION, id);
+    await auditService.logAuditEntry({
+      entityType: 'exchangeRate',
+      entityId: id,
+      action: 'delete',
+      before: rate
+    });
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting exchange rate:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const normalizeHeader = (value) => String(value || '').trim().toLowerCase().replace(/[\s_]/g, '');
+
+/**
+ * Read rates from CSV text
+ * Two layouts are accepted: one rate per row (日付, 通貨, レート and optionally 基準通貨), or one
+ * row per date with a column per currency code (日付, USD, EUR, ...), as published by banks.
+ * @param {string} text - CSV text
+ * @param {string} quoteCurrency - Currency the rates are quoted in when the file does not say
+ * @returns {Object} { rates, errors } where errors hold { row, message }
+ */
+export const parseExchangeRateCsv = (text, quoteCurrency = getBaseCurrency()) => {
+  const rows = parseCsvRows(text).filter(row => row.some(cell => String(cell).trim()));
+  if (rows.length < 2) {
+    return { rates: [], errors: [{ row: 0, message: 'データ行がありません' }] };
+  }
+
+  const header = rows[0].map(normalizeHeader);
+  const findColumn = (names) => header.findIndex(name => names.some(item => normalizeHeader(item) === name));
+  const dateColumn = findColumn(CSV_HEADERS.date) === -1 ? 0 : findColumn(CSV_HEADERS.date);
+  const currencyColumn = findColumn(CSV_HEADERS.currency);
+  const rateColumn = findColumn(CSV_HEADERS.rate);
+  const quoteColumn = findColumn(CSV_HEADERS.quoteCurrency);
+
+  const rates = [];
+  const errors = [];
+  const addRate = (rowNumber, date, currency, value, quote) => {
+    const rate = parseStatementAmount(value);
+    const entry = { date, currency, quoteCurrency: quote, rate, source: 'csv' };
+    const validationError = validateRate(entry);
+    if (validationError) {
+      errors.push({ row: rowNumber, message: validationError.replace(/。$/, '') });
+    } else {
+      rates.push(entry);
+    }
+  };
+
+  if (currencyColumn !== -1 && rateColumn !== -1) {
+    rows.slice(1).forEach((row, index) => {
+      const quote = quoteColumn !== -1 && row[quoteColumn] ? String(row[quoteColumn]).trim().toUpperCase() : quoteCurrency;
+      addRate(index + 2, parseStatementDate(row[dateColumn]), String(row[currencyColumn] || '').trim().toUpperCase(), row[rateColumn], quote);
+    });
+    return { rates, errors };
+  }
+
+  const currencyColumns = rows[0]
+    .map((cell, index) => ({ index, currency: String(cell).trim().toUpperCase() }))
+    .filter(column => column.index !== dateColumn && isKnownCurrency(column.currency));
+  if (currencyColumns.length === 0) {
+    return { rates: [], errors: [{ row: 1, message: '通貨コードの列が見つかりません' }] };
+  }
+
+  rows.slice(1).forEach((row, index) => {
+    const date = parseStatementDate(row[dateColumn]);
+    currencyColumns.forEach(column => {
+      // Banks leave holidays and unquoted currencies blank or write "-"
+      if (!String(row[column.index] || '').trim() || /^[-‐－]+$/.test(String(row[column.index]).trim())) return;
+      addRate(index + 2, date, column.currency, row[column.index], quoteCurrency);
+    });
+  });
+  return { rates, errors };
+};
+
+/**
+ * Import rates read by parseExchangeRateCsv
+ * @param {Array} rates - Rate entries
+ * @param {Object} options - { fileName }
+ * @returns {Promise<Object>} { imported, updated, unchanged }
+ */
+export const importExchangeRates = async (rates, { fileName = '' } = {}) => {
+  try {
+    const existingRates = await storage.getAll(COLLECTION);
+    const summary = { imported: 0, updated: 0, unchanged: 0 };
+    for (const entry of rates) {
+      const { created, changed } = await upsertRate(existingRates, entry);
+      if (created) summary.imported += 1;
+      else if (changed) summary.updated += 1;
+      else summary.unchanged += 1;
+    }
+
+    await auditService.logAuditEntry({
+      entityType: 'exchangeRateImport',
+      entityId: null,
+      action: 'create',
+      after: { fileName, imported: summary.imported, updated: summary.updated }
+    });
+
+    return { success: true, data: summary };
+  } catch (error) {
+    console.error('Error importing exchange rates:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Find the rate to convert a currency into the base currency on a date
+ * @param {string} currency - Transaction currency
+ * @param {string} date - Transaction date
+ * @returns {Promise<Object>} { rate, date } of the rate applied, or null when none is stored
+ */
+export const findExchangeRate = async (currency, date, quoteCurrency = getBaseCurrency()) => {
+  try {
+    const rates = await storage.getAll(COLLECTION);
+    return { success: true, data: resolveExchangeRate(rates, currency, quoteCurrency, date) };
+  } catch (error) {
+    console.error('Error finding exchange rate:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Fill in the base-currency amount of a transaction before it is saved
+ * Foreign-currency amounts are converted with the given rate, or with the stored rate of the
+ * transaction date when none is given. Foreign amounts are always entered including tax, so
+ * the tax breakdown is then taken from the converted total.
+ * @param {Object} data - Fields being saved
+ * @param {Object|null} existing - Stored transaction when updating
+ * @returns {Promise<Object>} Fields with currency, originalAmount, exchangeRate and amount filled in
+ */
+export const applyCurrencyConversion = async (data, existing = null) => {
+  try {
+    if (existing && !CURRENCY_FIELDS.some(field => data[field] !== undefined)) {
+      return { success: true, data };
+    }
+
+    const merged = { ...(existing || {}), ...data };
+    const baseCurrency = getBaseCurrency();
+    const currency = merged.currency || baseCurrency;
+
+    if (!isKnownCurrency(currency)) {
+      return { success: false, error: '通貨が正しくありません。' };
+    }
+
+    if (currency === baseCurrency) {
+      const { originalAmount, exchangeRate, exchangeRateDate, ...rest } = data;
+      const cleared = existing && existing.originalAmount !== undefined && existing.originalAmount !== null
+        ? { originalAmount: null, exchangeRate: null, exchangeRateDate: null }
+        : {};
+      // Switching back from a foreign currency without a new amount keeps the converted one
+      return { success: true, data: { ...rest, ...cleared, currency, baseCurrency } };
+    }
+
+    const originalAmount = Number(data.originalAmount ?? merged.originalAmount);
+    if (!(originalAmount > 0)) {
+      return { success: false, error: '外貨の金額を入力してください。' };
+    }
+
+    let rate = Number(data.exchangeRate);
+    let rateDate = data.exchangeRateDate || null;
+    const rateChanged = data.exchangeRate !== undefined && data.exchangeRate !== null && data.exchangeRate !== '';
+    const keyChanged = !existing
+      || (data.currency !== undefined && data.currency !== existing.currency)
+      || (data.date !== undefined && data.date !== existing.date);
+
+    if (!rateChanged) {
+      if (!keyChanged && existing.exchangeRate > 0) {
+        rate = existing.exchangeRate;
+        rateDate = existing.exchangeRateDate || null;
+      } else {
+        const rates = await storage.getAll(COLLECTION);
+        const found = resolveExchangeRate(rates, currency, baseCurrency, merged.date);
+        if (!found) {
+          return {
+            success: false,
+            error: `${merged.date}時点の${currency}の為替レートが登録されていません。レートを入力してください。`
+          };
+        }
+        rate = found.rate;
+        rateDate = found.date;
+      }
+    }
+
+    if (!(rate > 0)) {
+      return { success: false, error: '為替レートは0より大きい値を入力してください。' };
+    }
+
+    const { netAmount, ...rest } = data;
+    return {
+      success: true,
+      data: {
+        ...rest,
+        currency,
+        baseCurrency,
+        originalAmount,
+        exchangeRate: rate,
+        exchangeRateDate: rateDate || merged.date,
+        amount: convertAmount(originalAmount, rate, baseCurrency),
+        ...(merged.taxCategory ? { taxEntryMode: 'inclusive' } : {})
+      }
+    };
+  } catch (error) {
+    console.error('Error converting currency:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Amount of a record in the base currency
+export const toBaseAmount = (record, baseCurrency, rates = []) => {
+  const amount = Number(record.amount) || 0;
+  const recordBase = record.baseCurrency || record.currency || DEFAULT_BASE_CURRENCY;
+  if (recordBase === baseCurrency) return amount;
+  if (record.currency === baseCurrency && record.originalAmount > 0) return record.originalAmount;
+  const found = resolveExchangeRate(rates, recordBase, baseCurrency, record.date);
+  return found ? convertAmount(amount, found.rate, baseCurrency) : amount;
+};
+
+/**
+ * Create a converter from stored amounts to the current base currency
+ * Records saved under another base currency (before the setting changed) are converted with
+ * the rate table; when no rate is stored their amount is used as is.
+ * @returns {Promise<Object>} { baseCurrency, toBaseAmount(record) }
+ */
+export const createBaseCurrencyConverter = async () => {
+  const baseCurrency = getBaseCurrency();
+  let rates = [];
+  try {
+    rates = await storage.getAll(COLLECTION);
+  } catch (error) {
+    console.error('Error loading exchange rates:', error);
+  }
+  return { baseCurrency, toBaseAmount: (record) => toBaseAmount(record, baseCurrency, rates) };
+};
+
+const exchangeRateService = {
+  getBaseCurrency,
+  getExchangeRates,
+  saveExchangeRate,
+  deleteExchangeRate,
+  parseExchangeRateCsv,
+  importExchangeRates,
+  findExchangeRate,
+  applyCurrencyConversion,
+  createBaseCurrencyConverter,
+  toBaseAmount
+};
+
+export default exchangeRateService;
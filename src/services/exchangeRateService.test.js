@@ -0,0 +1,71 @@
+import { parseExchangeRateCsv, toBaseAmount } from './exchangeRateService';
+
+// Reached through the audit and file services; pdf.js locates its worker with import.meta, which Jest cannot parse
+jest.mock('../utils/pdfDocument', () => ({}));
+
+describe('parseExchangeRateCsv', () => {
+  it('reads one rate per row with Japanese headers', () => {
+    const text = '日付,通貨,レート\n2026/10/01,usd,"1,149.50"\nR8.10.2,EUR,162.3\n2026/10/03,GBP,abc\n2026/10/03,JPY,1';
+    expect(parseExchangeRateCsv(text, 'JPY')).toEqual({
+      rates: [
+        { date: '2026-10-01', currency: 'USD', quoteCurrency: 'JPY', rate: 1149.5, source: 'csv' },
+        { date: '2026-10-02', currency: 'EUR', quoteCurrency: 'JPY', rate: 162.3, source: 'csv' }
+      ],
+      errors: [
+        { row: 4, message: 'レートは0より大きい値を入力してください' },
+        { row: 5, message: '同じ通貨どうしのレートは登録できません' }
+      ]
+    });
+  });
+
+  it('reads the quote currency column of English headers', () => {
+    const { rates } = parseExchangeRateCsv('Date,Currency,TTM,Quote Currency\n2026-10-01,EUR,1.08,usd\n2026-10-01,GBP,190.5,', 'JPY');
+    expect(rates.map(rate => [rate.currency, rate.quoteCurrency, rate.rate])).toEqual([['EUR', 'USD', 1.08], ['GBP', 'JPY', 190.5]]);
+  });
+
+  it('reads a column per currency separated by tabs and skips blank quotes', () => {
+    const text = '適用日\tUSD\tEUR\tメモ\n2026/10/01\t149.5\t162.3\t\n2026/10/02\t-\t163\t祝日明け\n';
+    expect(parseExchangeRateCsv(text, 'JPY').rates.map(rate => [rate.date, rate.currency, rate.rate])).toEqual([
+      ['2026-10-01', 'USD', 149.5],
+      ['2026-10-01', 'EUR', 162.3],
+      ['2026-10-02', 'EUR', 163]
+    ]);
+  });
+
+  it('reports files without data or currency columns', () => {
+    expect(parseExchangeRateCsv('日付,USD', 'JPY').errors).toEqual([{ row: 0, message: 'データ行がありません' }]);
+    expect(parseExchangeRateCsv('日付,値\n2026/10/01,150', 'JPY').errors).toEqual([{ row: 1, message: '通貨コードの列が見つかりません' }]);
+  });
+});
+
+describe('toBaseAmount', () => {
+  const rates = [
+    { date: '2026-09-01', currency: 'USD', quoteCurrency: 'JPY', rate: 140 },
+    { date: '2026-10-01', currency: 'USD', quoteCurrency: 'JPY', rate: 150 },
+    { date: '2026-10-01', currency: 'EUR', quoteCurrency: 'USD', rate: 1.1 }
+  ];
+
+  it('keeps amounts already in the base currency', () => {
+    expect(toBaseAmount({ amount: 1000, baseCurrency: 'JPY' }, 'JPY', rates)).toBe(1000);
+    expect(toBaseAmount({ amount: 1000 }, 'JPY', rates)).toBe(1000);
+  });
+
+  it('uses the original amount when it was entered in the base currency', () => {
+    expect(toBaseAmount({ amount: 10, baseCurrency: 'USD', currency: 'JPY', originalAmount: 1500, date: '2026-10-05' }, 'JPY', rates)).toBe(1500);
+  });
+
+  it('converts with the latest rate on or before the date', () => {
+    expect(toBaseAmount({ amount: 10, baseCurrency: 'USD', date: '2026-10-05' }, 'JPY', rates)).toBe(1500);
+    expect(toBaseAmount({ amount: 10, baseCurrency: 'USD', date: '2026-09-15' }, 'JPY', rates)).toBe(1400);
+  });
+
+  it('crosses through a currency both are quoted against', () => {
+    expect(toBaseAmount({ amount: 10, baseCurrency: 'EUR', date: '2026-10-05' }, 'JPY', rates)).toBe(1650);
+    expect(toBaseAmount({ amount: 1650, baseCurrency: 'JPY', date: '2026-10-05' }, 'EUR', rates)).toBe(10);
+  });
+
+  it('keeps the amount as is when no rate applies', () => {
+    expect(toBaseAmount({ amount: 10, baseCurrency: 'USD', date: '2026-08-31' }, 'JPY', rates)).toBe(10);
+    expect(toBaseAmount({ amount: 10, baseCurrency: 'GBP', date: '2026-10-05' }, 'JPY', rates)).toBe(10);
+  });
+});
@@ -1,14 +1,29 @@
 import storage from './storage';
 import userService from './userService';
 import categoryService from './categoryService';
+import approvalService, { EXPENSE_STATUSES, normalizeStatus } from './approvalService';
+import auditService from './auditService';
+import budgetService from './budgetService';
+import taxService from './taxService';
+import vendorService from './vendorService';
+import exchangeRateService from './exchangeRateService';
+import receiptArchiveService from './receiptArchiveService';
+import { getRegistrationNumberError } from '../utils/invoiceRegistration';
 
 /**
  * Expense Service - Handles all expense-related operations
  */
 
 // Create a new expense
-export const createExpense = async (expenseData) => {
+export const createExpense = async (data) => {
   try {
+    // Foreign-currency amounts are converted to the base currency first
+    const conversion = await exchangeRateService.applyCurrencyConversion(data);
+    if (!conversion.success) {
+      return conversion;
+    }
+    const expenseData = conversion.data;
+
     // Validate required fields
     if (!expenseData.date || !expenseData.categoryId || !expenseData.amount) {
       return { 
@@ -25,15 +40,36 @@ export const createExpense = async (expenseData) => {
       };
     }
 
-    // Create expense
-    const newExpense = storage.addItem('expenses', {
-      ...expenseData,
-      status: expenseData.status || 'pending',
+    const numberError = getRegistrationNumberError(expenseData.registrationNumber);
+    if (numberError) {
+      return { success: false, error: `${numberError}。` };
+    }
+
+    // Every expense starts as a draft; unless saved as a draft it is submitted right away
+    const newExpense = await storage.addItem('expenses', {
+      ...taxService.applyConsumptionTax(await vendorService.applyVendorRegistration(expenseData)),
+      status: EXPENSE_STATUSES.DRAFT,
       tags: expenseData.tags || [],
       receiptIds: expenseData.receiptIds || []
     });
 
-    return { success: true, data: newExpense };
+    await auditService.logAuditEntry({
+      entityType: 'expense',
+      entityId: newExpense.id,
+      action: 'create',
+      after: newExpense
+    });
+
+    await receiptArchiveService.recordTransaction('expense', newExpense);
+    await vendorService.rememberVendor(newExpense.vendor, newExpense.registrationNumber);
+
+    if (expenseData.status === EXPENSE_STATUSES.DRAFT) {
+      return { success: true, data: newExpense };
+    }
+
+    const submitResult = await approvalService.submitExpense(newExpense.id, newExpense.userId ?? null);
+    await budgetService.checkBudgetAlerts(newExpense.date);
+    return submitResult.success ? submitResult : { success: true, data: newExpense };
   } catch (error) {
     console.error('Error creating expense:', error);
     return { success: false, error: error.message };
@@ -43,7 +79,7 @@ export const createExpense = async (expenseData) => {
 // Get expense by ID
 export const getExpenseById = async (id) => {
   try {
-    const expense = storage.findById('expenses', id);
+    const expense = await storage.findById('expenses', id);
     return { success: true, data: expense };
   } catch (error) {
     console.error('Error getting expense:', error);
@@ -68,7 +104,7 @@ const populateExpenseData = async (expense) => {
 // Get all expenses
 export const getAllExpenses = async () => {
   try {
-    const expenses = storage.get('expenses') || [];
+    const expenses = await storage.getAll('expenses');
     
     // Populate each expense with user and category data
     const populatedExpenses = await Promise.all(
@@ -85,7 +121,7 @@ export const getAllExpenses = async () => {
 // Get expenses by criteria
 export const getExpensesByCriteria = async (criteria) => {
   try {
-    const expenses = storage.findWhere('expenses', criteria);
+    const expenses = await storage.findWhere('expenses', criteria);
     return { success: true, data: expenses };
   } catch (error) {
     console.error('Error getting expenses by criteria:', error);
@@ -96,7 +132,7 @@ export const getExpensesByCriteria = async (criteria) => {
 // Get expenses by date range
 export const getExpensesByDateRange = async (startDate, endDate) => {
   try {
-    const expenses = storage.get('expenses') || [];
+    const expenses = await storage.getAll('expenses');
     const filtered = expenses.filter(expense => {
       const expenseDate = new Date(expense.date);
       return expenseDate >= new Date(startDate) && expenseDate <= new Date(endDate);
@@ -125,7 +161,70 @@ export const updateExpense = async (id, updates) => {
       };
     }
 
-    const updatedExpense = storage.updateItem('expenses', id, updates);
+    const expense = await storage.findById('expenses', id);
+    if (!expense) {
+      return { success: false, error: '経費が見つかりません。' };
+    }
+
+    const numberError = getRegistrationNumberError(updates.registrationNumber);
+    if (numberError) {
+      return { success: false, error: `${numberError}。` };
+    }
+
+    const conversion = await exchangeRateService.applyCurrencyConversion(updates, expense);
+    if (!conversion.success) {
+      return conversion;
+    }
+
+    updates = taxService.applyConsumptionTax(await vendorService.applyVendorRegistration(conversion.data, expense), expense);
+
+    // Status only changes through the approval workflow
+    const currentStatus = normalizeStatus(expense.status);
+    if (updates.status !== undefined && normalizeStatus(updates.status) !== currentStatus) {
+      return {
+        success: false,
+        error: 'ステータスは承認画面から変更してください。'
+      };
+    }
+
+    // Approved and reimbursed expenses keep the amount they were approved for
+    const isLocked = currentStatus === EXPENSE_STATUSES.APPROVED || currentStatus === EXPENSE_STATUSES.REIMBURSED;
+    if (isLocked && updates.amount !== undefined && updates.amount !== expense.amount) {
+      return {
+        success: false,
+        error: '承認済みの経費の金額は変更できません。'
+      };
+    }
+
+    // Expenses waiting in a settlement batch stay advance payments until the batch is paid or cancelled
+    if (expense.reimbursementBatchId && updates.isAdvancePayment !== undefined && !updates.isAdvancePayment) {
+      return {
+        success: false,
+        error: '精算中の経費の立替払い設定は変更できません。'
+      };
+    }
+
+    const { status, reimbursementBatchId, ...changes } = updates;
+    const updatedExpense = await storage.updateItem('expenses', id, changes);
+
+    await auditService.logAuditEntry({
+      entityType: 'expense',
+      entityId: id,
+      action: 'update',
+      before: expense,
+      after: updatedExpense
+    });
+
+    await receiptArchiveService.recordTransaction('expense', updatedExpense);
+
+    if (updates.vendor !== undefined || updates.registrationNumber !== undefined) {
+      await vendorService.rememberVendor(updatedExpense.vendor, updatedExpense.registrationNumber);
+    }
+
+    if (updates.amount !== undefined || updates.date !== undefined || updates.categoryId !== undefined || updates.userId !== undefined) {
+      await budgetService.checkBudgetAlerts(updatedExpense.date);
+    }
+
     return { success: true, data: updatedExpense };
   } catch (error) {
     console.error('Error updating expense:', error);
@@ -136,7 +235,25 @@ export const updateExpense = async (id, updates) => {
 // Delete expense
 export const deleteExpense = async (id) => {
   try {
-    storage.deleteItem('expenses', id);
+    const expense = await storage.findById('expenses', id);
+    if (expense) {
+      const check = approvalService.canDeleteExpense(expense);
+      if (!check.allowed) {
+        return { success: false, error: check.reason };
+      }
+    }
+    await storage.deleteItem('expenses', id);
+
+    if (expense) {
+      await auditService.logAuditEntry({
+        entityType: 'expense',
+        entityId: id,
+        action: 'delete',
+        before: expense
+      });
+      await receiptArchiveService.recordTransactionDeletion('expense', expense);
+    }
+
     return { success: true };
   } catch (error) {
     console.error('Error deleting expense:', error);
@@ -144,33 +261,14 @@ export const deleteExpense = async (id) => {
   }
 };
 
-// Approve expense
+// Approve expense (goes through the approval workflow)
 export const approveExpense = async (id, approvedBy) => {
-  try {
-    const updatedExpense = storage.updateItem('expenses', id, {
-      status: 'approved',
-      approvedBy,
-      approvedAt: new Date().toISOString()
-    });
-    return { success: true, data: updatedExpense };
-  } catch (error) {
-    console.error('Error approving expense:', error);
-    return { success: false, error: error.message };
-  }
+  return approvalService.approveExpense(id, approvedBy);
 };
 
-// Reject expense
+// Reject expense (goes through the approval workflow as the current user)
 export const rejectExpense = async (id, rejectedReason) => {
-  try {
-    const updatedExpense = storage.updateItem('expenses', id, {
-      status: 'rejected',
-      rejectedReason
-    });
-    return { success: true, data: updatedExpense };
-  } catch (error) {
-    console.error('Error rejecting expense:', error);
-    return { success: false, error: error.message };
-  }
+  return approvalService.rejectExpense(id, auditService.getCurrentUserId(), rejectedReason);
 };
 
 // Get expense statistics
@@ -197,14 +295,15 @@ export const getExpenseStats = async (startDate, endDate) => {
 
     // Group by status
     const byStatus = expenses.reduce((acc, expense) => {
-      if (!acc[expense.status]) {
-        acc[expense.status] = {
+      const status = normalizeStatus(expense.status);
+      if (!acc[status]) {
+        acc[status] = {
           count: 0,
           total: 0
         };
       }
-      acc[expense.status].count++;
-      acc[expense.status].total += expense.amount;
+      acc[status].count++;
+      acc[status].total += expense.amount;
       return acc;
     }, {});
 
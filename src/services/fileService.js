@@ -1,51 +1,62 @@
+import { db } from '../db/database';
 import storage from './storage';
+import { PDF_MIME_TYPE, createPdfThumbnail } from '../utils/pdfDocument';
 
 /**
  * File Service - Handles file uploads and management
+ * Files are stored as Blobs in the IndexedDB `files` table and deduplicated by SHA-256 hash.
+ * Thumbnails are generated lazily the first time they are requested.
  */
 
 // Supported image types
 const SUPPORTED_IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
+// Supported document types (emailed invoices)
+const SUPPORTED_DOCUMENT_TYPES = [PDF_MIME_TYPE];
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
 
-// Convert file to base64
-const fileToBase64 = (file) => {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.readAsDataURL(file);
-    reader.onload = () => resolve(reader.result);
-    reader.onerror = error => reject(error);
-  });
-};
-
 // Validate file
 const validateFile = (file) => {
   const errors = [];
-  
-  if (!SUPPORTED_IMAGE_TYPES.includes(file.type)) {
-    errors.push('サポートされていないファイル形式です。JPEG、PNG、GIF、WebPのみ対応しています。');
+
+  if (!SUPPORTED_IMAGE_TYPES.includes(file.type) && !SUPPORTED_DOCUMENT_TYPES.includes(file.type)) {
+    errors.push('サポートされていないファイル形式です。JPEG、PNG、GIF、WebP、PDFのみ対応しています。');
   }
-  
+
   if (file.size > MAX_FILE_SIZE) {
     errors.push('ファイルサイズが大きすぎます。10MB以下にしてください。');
   }
-  
+
   return errors;
 };
 
+// Calculate SHA-256 hash of a Blob as a hex string
+const calculateHash = async (blob) => {
+  const buffer = await blob.arrayBuffer();
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+// Convert a data URL (legacy base64 storage) to a Blob
+const dataUrlToBlob = async (dataUrl) => {
+  const response = await fetch(dataUrl);
+  return response.blob();
+};
+
 // Create thumbnail
-const createThumbnail = (file, maxWidth = 300, maxHeight = 300, quality = 0.8) => {
+const createThumbnail = (blob, maxWidth = 300, maxHeight = 300, quality = 0.8) => {
   return new Promise((resolve, reject) => {
     try {
       const canvas = document.createElement('canvas');
       const ctx = canvas.getContext('2d');
       const img = new Image();
-      
+
       img.onload = () => {
         try {
           // Calculate new dimensions
           let { width, height } = img;
-          
+
           if (width > height) {
             if (width > maxWidth) {
               height = (height * maxWidth) / width;
@@ -57,33 +68,37 @@ const createThumbnail = (file, maxWidth = 300, maxHeight = 300, quality = 0.8) =
               height = maxHeight;
             }
           }
-          
+
           canvas.width = width;
           canvas.height = height;
-          
+
           // Draw resized image
           ctx.drawImage(img, 0, 0, width, height);
-          
-          // Convert to base64
-          const thumbnail = canvas.toDataURL('image/jpeg', quality);
-          
+
           // Clean up object URL
           URL.revokeObjectURL(img.src);
-          
-          resolve(thumbnail);
+
+          // Convert to Blob
+          canvas.toBlob((thumbnail) => {
+            if (thumbnail) {
+              resolve(thumbnail);
+            } else {
+              reject(new Error('Failed to encode thumbnail'));
+            }
+          }, 'image/jpeg', quality);
         } catch (error) {
           console.error('Error creating thumbnail:', error);
           reject(error);
         }
       };
-      
+
       img.onerror = (error) => {
         console.error('Error loading image for thumbnail:', error);
         URL.revokeObjectURL(img.src);
         reject(error);
       };
-      
-      img.src = URL.createObjectURL(file);
+
+      img.src = URL.createObjectURL(blob);
     } catch (error) {
       console.error('Error in createThumbnail:', error);
       reject(error);
@@ -91,6 +106,53 @@ const createThumbnail = (file, maxWidth = 300, maxHeight = 300, quality = 0.8) =
   });
 };
 
+// Strip binary payloads so callers only get metadata
+const toFileMetadata = (record) => {
+  const { blob, thumbnailBlob, data, thumbnail, ...metadata } = record;
+  return {
+    ...metadata,
+    hasThumbnail: Boolean(thumbnailBlob)
+  };
+};
+
+// Load a raw file record, upgrading legacy base64 records to Blobs on first access
+const getFileRecord = async (id) => {
+  await storage.ready();
+  const record = await db.files.get(id);
+  if (!record || record.blob || !record.data) {
+    return record || null;
+  }
+
+  const { data, thumbnail, ...rest } = record;
+  const blob = await dataUrlToBlob(data);
+  const upgraded = {
+    ...rest,
+    blob,
+    thumbnailBlob: thumbnail && thumbnail !== data ? await dataUrlToBlob(thumbnail) : null,
+    hash: rest.hash || await calculateHash(blob)
+  };
+  await db.files.put(upgraded);
+  return upgraded;
+};
+
+// Find a stored file with identical content
+export const findFileByHash = async (hash) => {
+  try {
+    await storage.ready();
+    const file = await db.files.where('hash').equals(hash).first();
+    return {
+      success: true,
+      data: file ? toFileMetadata(file) : null
+    };
+  } catch (error) {
+    console.error('Error finding file by hash:', error);
+    return {
+      success: false,
+      error: 'ファイルの検索に失敗しました。'
+    };
+  }
+};
+
 // Upload file
 export const uploadFile = async (file, description = '') => {
   try {
@@ -102,54 +164,40 @@ export const uploadFile = async (file, description = '') => {
         error: validationErrors.join(' ')
       };
     }
-    
-    // Convert to base64
-    const base64Data = await fileToBase64(file);
-    
-    // Create thumbnail (with fallback)
-    let thumbnail = null;
-    try {
-      thumbnail = await createThumbnail(file);
-    } catch (error) {
-      console.warn('Failed to create thumbnail, using original:', error);
-      // If thumbnail creation fails, use the original image for small files
-      if (file.size < 500000) { // 500KB
-        thumbnail = base64Data;
-      }
+
+    // Reuse an existing record when the same content was uploaded before
+    const hash = await calculateHash(file);
+    const existing = await findFileByHash(hash);
+    if (existing.success && existing.data) {
+      return {
+        success: true,
+        data: { ...existing.data, duplicate: true }
+      };
     }
-    
+
     // Create file record
     const fileRecord = {
-      id: `file_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       originalName: file.name,
       fileName: `${Date.now()}_${file.name}`,
       mimeType: file.type,
       size: file.size,
       description: description,
-      data: base64Data,
-      thumbnail: thumbnail,
+      hash,
+      blob: file,
+      thumbnailBlob: null,
       uploadedAt: new Date().toISOString(),
-      uploadedBy: 'user'
+      uploadedBy: 'user',
+      createdAt: new Date().toISOString()
     };
-    
-    // Save to storage
-    const savedFile = storage.addItem('files', fileRecord);
-    
+
+    // Save to IndexedDB
+    const id = await db.files.add(fileRecord);
+
     return {
       success: true,
-      data: {
-        id: savedFile.id,
-        originalName: savedFile.originalName,
-        fileName: savedFile.fileName,
-        mimeType: savedFile.mimeType,
-        size: savedFile.size,
-        description: savedFile.description,
-        data: savedFile.data, // Include the full data for preview
-        thumbnail: savedFile.thumbnail,
-        uploadedAt: savedFile.uploadedAt
-      }
+      data: toFileMetadata({ ...fileRecord, id })
     };
-    
+
   } catch (error) {
     console.error('Error uploading file:', error);
     return {
@@ -162,17 +210,17 @@ export const uploadFile = async (file, description = '') => {
 // Get file by ID
 export const getFileById = async (id) => {
   try {
-    const file = storage.findById('files', id);
+    const file = await getFileRecord(id);
     if (!file) {
       return {
         success: false,
         error: 'ファイルが見つかりません。'
       };
     }
-    
+
     return {
       success: true,
-      data: file
+      data: toFileMetadata(file)
     };
   } catch (error) {
     console.error('Error getting file:', error);
@@ -193,7 +241,7 @@ export const getFilesByIds = async (ids) => {
         files.push(result.data);
       }
     }
-    
+
     return {
       success: true,
       data: files
@@ -207,10 +255,110 @@ export const getFilesByIds = async (ids) => {
   }
 };
 
+// Get the binary content of a file
+export const getFileBlob = async (id) => {
+  try {
+    const file = await getFileRecord(id);
+    if (!file || !file.blob) {
+      return {
+        success: false,
+        error: 'ファイルが見つかりません。'
+      };
+    }
+
+    return {
+      success: true,
+      data: file.blob
+    };
+  } catch (error) {
+    console.error('Error getting file blob:', error);
+    return {
+      success: false,
+      error: 'ファイルの取得に失敗しました。'
+    };
+  }
+};
+
+// Get an object URL for a file (caller must revoke it with URL.revokeObjectURL)
+export const getFileUrl = async (id) => {
+  const result = await getFileBlob(id);
+  if (!result.success) return result;
+
+  return {
+    success: true,
+    data: URL.createObjectURL(result.data)
+  };
+};
+
+// Get an object URL for a file's thumbnail, generating the thumbnail on first request
+export const getThumbnailUrl = async (id) => {
+  try {
+    const file = await getFileRecord(id);
+    if (!file || !file.blob) {
+      return {
+        success: false,
+        error: 'ファイルが見つかりません。'
+      };
+    }
+
+    let thumbnailBlob = file.thumbnailBlob;
+    if (!thumbnailBlob && (isImageFile(file.mimeType) || isPdfFile(file.mimeType))) {
+      try {
+        // PDFs are previewed by their first page
+        thumbnailBlob = isPdfFile(file.mimeType)
+          ? await createPdfThumbnail(file.blob)
+          : await createThumbnail(file.blob);
+        await db.files.update(id, { thumbnailBlob });
+      } catch (error) {
+        console.warn('Failed to create thumbnail, using original:', error);
+        // If thumbnail creation fails, use the original image for small files
+        if (isImageFile(file.mimeType) && file.size < 500000) { // 500KB
+          thumbnailBlob = file.blob;
+        }
+      }
+    }
+
+    if (!thumbnailBlob) {
+      return {
+        success: false,
+        error: 'サムネイルを作成できません。'
+      };
+    }
+
+    return {
+      success: true,
+      data: URL.createObjectURL(thumbnailBlob)
+    };
+  } catch (error) {
+    console.error('Error getting thumbnail:', error);
+    return {
+      success: false,
+      error: 'サムネイルの取得に失敗しました。'
+    };
+  }
+};
+
+// Mark a file as archived for the Electronic Bookkeeping Act; archived files can no longer be deleted
+export const markFileArchived = async (id) => {
+  await storage.ready();
+  const file = await db.files.get(id);
+  if (file && !file.archivedAt) {
+    await db.files.update(id, { archivedAt: new Date().toISOString() });
+  }
+};
+
 // Delete file
 export const deleteFile = async (id) => {
   try {
-    storage.deleteItem('files', id);
+    await storage.ready();
+    const file = await db.files.get(id);
+    if (file?.archivedAt) {
+      return {
+        success: false,
+        error: '電子帳簿保存の対象として保存済みのファイルは削除できません。'
+      };
+    }
+    await db.files.delete(id);
     return {
       success: true
     };
@@ -223,13 +371,14 @@ export const deleteFile = async (id) => {
   }
 };
 
-// Get all files
+// Get all files (metadata only)
 export const getAllFiles = async () => {
   try {
-    const files = storage.get('files') || [];
+    await storage.ready();
+    const files = await db.files.toArray();
     return {
       success: true,
-      data: files
+      data: files.map(toFileMetadata)
     };
   } catch (error) {
     console.error('Error getting all files:', error);
@@ -243,11 +392,11 @@ export const getAllFiles = async () => {
 // Format file size
 export const formatFileSize = (bytes) => {
   if (bytes === 0) return '0 Bytes';
-  
+
   const k = 1024;
   const sizes = ['Bytes', 'KB', 'MB', 'GB'];
   const i = Math.floor(Math.log(bytes) / Math.log(k));
-  
+
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 };
 
@@ -256,14 +405,25 @@ export const isImageFile = (mimeType) => {
   return SUPPORTED_IMAGE_TYPES.includes(mimeType);
 };
 
+// Check if file is PDF
+export const isPdfFile = (mimeType) => {
+  return mimeType === PDF_MIME_TYPE;
+};
+
 const fileService = {
   uploadFile,
+  findFileByHash,
   getFileById,
   getFilesByIds,
+  getFileBlob,
+  getFileUrl,
+  getThumbnailUrl,
+  markFileArchived,
   deleteFile,
   getAllFiles,
   formatFileSize,
-  isImageFile
+  isImageFile,
+  isPdfFile
 };
 
-export default fileService;
\ No newline at end of file
+export default fileService;
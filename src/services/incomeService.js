@@ -1,14 +1,27 @@
 import storage from './storage';
 import userService from './userService';
 import categoryService from './categoryService';
+import auditService from './auditService';
+import taxService from './taxService';
+import exchangeRateService from './exchangeRateService';
+import receiptArchiveService from './receiptArchiveService';
+import vendorService from './vendorService';
+import invoiceService from './invoiceService';
 
 /**
  * Income Service - Handles all income-related operations
  */
 
 // Create a new income
-export const createIncome = async (incomeData) => {
+export const createIncome = async (data) => {
   try {
+    // Foreign-currency amounts are converted to the base currency first
+    const conversion = await exchangeRateService.applyCurrencyConversion(data);
+    if (!conversion.success) {
+      return conversion;
+    }
+    const incomeData = conversion.data;
+
     // Validate required fields
     if (!incomeData.date || !incomeData.categoryId || !incomeData.amount || (!incomeData.source && !incomeData.description)) {
       return { 
@@ -26,13 +39,22 @@ export const createIncome = async (incomeData) => {
     }
 
     // Create income
-    const newIncome = storage.addItem('income', {
-      ...incomeData,
+    const newIncome = await storage.addItem('income', {
+      ...taxService.applyConsumptionTax(await vendorService.applyCounterparty(incomeData, 'source')),
       status: incomeData.status || 'confirmed',
       tags: incomeData.tags || [],
       fileIds: incomeData.fileIds || []
     });
 
+    await auditService.logAuditEntry({
+      entityType: 'income',
+      entityId: newIncome.id,
+      action: 'create',
+      after: newIncome
+    });
+
+    await receiptArchiveService.recordTransaction('income', newIncome);
+
     return { success: true, data: newIncome };
   } catch (error) {
     console.error('Error creating income:', error);
@@ -43,7 +65,7 @@ export const createIncome = async (incomeData) => {
 // Get income by ID
 export const getIncomeById = async (id) => {
   try {
-    const income = storage.findById('income', id);
+    const income = await storage.findById('income', id);
     return { success: true, data: income };
   } catch (error) {
     console.error('Error getting income:', error);
@@ -68,7 +90,7 @@ const populateIncomeData = async (income) => {
 // Get all income
 export const getAllIncome = async () => {
   try {
-    const income = storage.get('income') || [];
+    const income = await storage.getAll('income');
     
     // Populate each income with user and category data
     const populatedIncome = await Promise.all(
@@ -85,7 +107,7 @@ export const getAllIncome = async () => {
 // Get income by criteria
 export const getIncomeByCriteria = async (criteria) => {
   try {
-    const income = storage.findWhere('income', criteria);
+    const income = await storage.findWhere('income', criteria);
     return { success: true, data: income };
   } catch (error) {
     console.error('Error getting income by criteria:', error);
@@ -96,7 +118,7 @@ export const getIncomeByCriteria = async (criteria) => {
 // Get income by date range
 export const getIncomeByDateRange = async (startDate, endDate) => {
   try {
-    const income = storage.get('income') || [];
+    const income = await storage.getAll('income');
     const filtered = income.filter(item => {
       const incomeDate = new Date(item.date);
       return incomeDate >= new Date(startDate) && incomeDate <= new Date(endDate);
@@ -125,7 +147,44 @@ export const updateIncome = async (id, updates) => {
       };
     }
 
-    const updatedIncome = storage.updateItem('income', id, updates);
+    const income = await storage.findById('income', id);
+    if (!income) {
+      return { success: false, error: '収入が見つかりません。' };
+    }
+
+    const conversion = await exchangeRateService.applyCurrencyConversion(updates, income);
+    if (!conversion.success) {
+      return conversion;
+    }
+
+    // An income linked to an issued invoice can't be raised above what is still owed on it
+    const linkedIncome = { ...income, ...conversion.data };
+    if (linkedIncome.invoiceId && (linkedIncome.amount !== income.amount || String(linkedIncome.invoiceId) !== String(income.invoiceId))) {
+      const check = await invoiceService.checkIncomePayment(linkedIncome);
+      if (!check.success) {
+        return check;
+      }
+    }
+
+    const updatedIncome = await storage.updateItem('income', id, taxService.applyConsumptionTax(await vendorService.applyCounterparty(conversion.data, 'source'), income));
+
+    if (income.invoiceId && String(income.invoiceId) !== String(updatedIncome.invoiceId)) {
+      await invoiceService.syncIncomePayment(income, true);
+    }
+    if (updatedIncome.invoiceId) {
+      await invoiceService.syncIncomePayment(updatedIncome, false);
+    }
+
+    await auditService.logAuditEntry({
+      entityType: 'income',
+      entityId: id,
+      action: 'update',
+      before: income,
+      after: updatedIncome
+    });
+
+    await receiptArchiveService.recordTransaction('income', updatedIncome);
+
     return { success: true, data: updatedIncome };
   } catch (error) {
     console.error('Error updating income:', error);
@@ -136,7 +195,20 @@ export const updateIncome = async (id, updates) => {
 // Delete income
 export const deleteIncome = async (id) => {
   try {
-    storage.deleteItem('income', id);
+    const income = await storage.findById('income', id);
+    await storage.deleteItem('income', id);
+
+    if (income) {
+      await auditService.logAuditEntry({
+        entityType: 'income',
+        entityId: id,
+        action: 'delete',
+        before: income
+      });
+      await receiptArchiveService.recordTransactionDeletion('income', income);
+      await invoiceService.syncIncomePayment(income, true);
+    }
+
     return { success: true };
   } catch (error) {
     console.error('Error deleting income:', error);
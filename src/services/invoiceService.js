@@ -1,9 +1,80 @@
 import storage from './storage';
+import auditService from './auditService';
+import settingsService from './settingsService';
+import incomeService from './incomeService';
+import vendorService from './vendorService';
+import { getTaxRounding } from './taxService';
+import { TAX_CATEGORIES, DEFAULT_TAX_CATEGORY, roundYen } from '../utils/consumptionTax';
+import { getRegistrationNumberError, normalizeRegistrationNumber } from '../utils/invoiceRegistration';
+import { toDateString } from '../utils/recurrence';
+import { counterpartyNamesOverlap } from '../utils/counterpartyName';
 
 /**
  * Invoice Service - Handles all invoice-related operations
+ * Invoices are either bills we have to pay (direction 'payable', the default for older records)
+ * or invoices we issue to clients (direction 'issued').
  */
 
+export const INVOICE_DIRECTIONS = {
+  payable: '受取請求書',
+  issued: '発行請求書'
+};
+
+export const BANK_ACCOUNT_TYPES = {
+  ordinary: '普通',
+  checking: '当座',
+  savings: '貯蓄'
+};
+
+export const HONORIFICS = ['御中', '様'];
+
+const ISSUER_SETTING_KEY = 'invoiceIssuer';
+
+export const DEFAULT_ISSUER = {
+  name: '',
+  postalCode: '',
+  address: '',
+  phone: '',
+  email: '',
+  registrationNumber: '',
+  bankName: '',
+  branchName: '',
+  accountType: 'ordinary',
+  accountNumber: '',
+  accountHolder: '',
+  numberPrefix: 'INV-',
+  paymentTermDays: 30,
+  notes: '',
+  logo: '',
+  seal: ''
+};
+
+// Statuses of issued invoices; they follow the payments and the due date
+export const ISSUED_INVOICE_STATUSES = {
+  sent: '送付済',
+  partial: '一部入金',
+  paid: '入金済',
+  overdue: '期限超過',
+  cancelled: '取消'
+};
+
+// Days past due of each aging bucket; 'current' holds invoices that are not due yet
+export const AGING_BUCKETS = [
+  { key: 'current', label: '期日前', from: null, to: 0 },
+  { key: 'days0_30', label: '0〜30日', from: 1, to: 30 },
+  { key: 'days31_60', label: '31〜60日', from: 31, to: 60 },
+  { key: 'days61_90', label: '61〜90日', from: 61, to: 90 },
+  { key: 'days90_plus', label: '90日超', from: 91, to: null }
+];
+
+// 'pending' is the status of payable invoices and of issued invoices saved before statuses were tracked
+const OPEN_STATUSES = ['pending', 'sent', 'partial', 'overdue'];
+
+export const isIssuedInvoice = (invoice) => invoice?.direction === 'issued';
+
+// Whether an invoice still has to be paid
+export const isOpenInvoice = (invoice) => OPEN_STATUSES.includes(invoice.status);
+
 // Create a new invoice
 export const createInvoice = async (invoiceData) => {
   try {
@@ -33,8 +104,8 @@ export const createInvoice = async (invoiceData) => {
     }
 
     // Create invoice
-    const newInvoice = storage.addItem('invoices', {
-      ...invoiceData,
+    const newInvoice = await storage.addItem('invoices', {
+      ...await vendorService.applyCounterparty(invoiceData, 'client'),
       status: invoiceData.status || 'pending',
       isRecurring: invoiceData.isRecurring || false,
       recurringType: invoiceData.recurringType || 'monthly',
@@ -44,6 +115,13 @@ export const createInvoice = async (invoiceData) => {
       updatedAt: new Date().toISOString()
     });
 
+    await auditService.logAuditEntry({
+      entityType: 'invoice',
+      entityId: newInvoice.id,
+      action: 'create',
+      after: newInvoice
+    });
+
     return { success: true, data: newInvoice };
   } catch (error) {
     console.error('Error creating invoice:', error);
@@ -52,7 +130,7 @@ export const createInvoice = async (invoiceData) => {
 };
 
 // Calculate next due date for recurring invoices
-const calculateNextDueDate = (currentDueDate, recurringType) => {
+export const calculateNextDueDate = (currentDueDate, recurringType) => {
   const nextDate = new Date(currentDueDate);
   
   switch (recurringType) {
@@ -78,7 +156,7 @@ const calculateNextDueDate = (currentDueDate, recurringType) => {
 // Get invoice by ID
 export const getInvoiceById = async (id) => {
   try {
-    const invoice = storage.findById('invoices', id);
+    const invoice = await storage.findById('invoices', id);
     return { success: true, data: invoice };
   } catch (error) {
     console.error('Error getting invoice:', error);
@@ -89,7 +167,7 @@ export const getInvoiceById = async (id) => {
 // Get all invoices
 export const getAllInvoices = async () => {
   try {
-    const invoices = storage.get('invoices') || [];
+    const invoices = await storage.getAll('invoices');
     return { success: true, data: invoices };
   } catch (error) {
     console.error('Error getting invoices:', error);
@@ -100,7 +178,7 @@ export const getAllInvoices = async () => {
 // Get invoices by status
 export const getInvoicesByStatus = async (status) => {
   try {
-    const invoices = storage.findWhere('invoices', { status });
+    const invoices = await storage.findWhere('invoices', { status });
     return { success: true, data: invoices };
   } catch (error) {
     console.error('Error getting invoices by status:', error);
@@ -111,14 +189,14 @@ export const getInvoicesByStatus = async (status) => {
 // Get upcoming invoices (due within specified days)
 export const getUpcomingInvoices = async (daysAhead = 7) => {
   try {
-    const invoices = storage.get('invoices') || [];
+    const invoices = await storage.getAll('invoices');
     const now = new Date();
     const futureDate = new Date();
     futureDate.setDate(now.getDate() + daysAhead);
 
     const upcoming = invoices.filter(invoice => {
       const dueDate = new Date(invoice.dueDate);
-      return dueDate >= now && dueDate <= futureDate && invoice.status === 'pending';
+      return dueDate >= now && dueDate <= futureDate && isOpenInvoice(invoice);
     });
 
     return { success: true, data: upcoming };
@@ -131,12 +209,12 @@ export const getUpcomingInvoices = async (daysAhead = 7) => {
 // Get overdue invoices
 export const getOverdueInvoices = async () => {
   try {
-    const invoices = storage.get('invoices') || [];
+    const invoices = await storage.getAll('invoices');
     const now = new Date();
 
     const overdue = invoices.filter(invoice => {
       const dueDate = new Date(invoice.dueDate);
-      return dueDate < now && invoice.status === 'pending';
+      return dueDate < now && isOpenInvoice(invoice);
     });
 
     return { success: true, data: overdue };
@@ -157,11 +235,24 @@ export const updateInvoice = async (id, updates) => {
       };
     }
 
-    const updatedInvoice = storage.updateItem('invoices', id, {
-      ...updates,
+    const invoice = await storage.findById('invoices', id);
+    if (!invoice) {
+      return { success: false, error: '請求書が見つかりません。' };
+    }
+
+    const updatedInvoice = await storage.updateItem('invoices', id, {
+      ...await vendorService.applyCounterparty(updates, 'client'),
       updatedAt: new Date().toISOString()
     });
 
+    await auditService.logAuditEntry({
+      entityType: 'invoice',
+      entityId: id,
+      action: 'update',
+      before: invoice,
+      after: updatedInvoice
+    });
+
     return { success: true, data: updatedInvoice };
   } catch (error) {
     console.error('Error updating invoice:', error);
@@ -172,17 +263,25 @@ export const updateInvoice = async (id, updates) => {
 // Mark invoice as paid
 export const markInvoiceAsPaid = async (id) => {
   try {
-    const invoice = storage.findById('invoices', id);
+    const invoice = await storage.findById('invoices', id);
     if (!invoice) {
       return { success: false, error: '請求書が見つかりません。' };
     }
 
-    const updatedInvoice = storage.updateItem('invoices', id, {
+    const updatedInvoice = await storage.updateItem('invoices', id, {
       status: 'paid',
       paidAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     });
 
+    await auditService.logAuditEntry({
+      entityType: 'invoice',
+      entityId: id,
+      action: 'update',
+      before: invoice,
+      after: updatedInvoice
+    });
+
     // If it's a recurring invoice, create the next invoice
     if (invoice.isRecurring && invoice.nextDueDate) {
       const nextInvoice = {
@@ -210,7 +309,21 @@ export const markInvoiceAsPaid = async (id) => {
 // Delete invoice
 export const deleteInvoice = async (id) => {
   try {
-    storage.deleteItem('invoices', id);
+    const invoice = await storage.findById('invoices', id);
+    if (isIssuedInvoice(invoice)) {
+      return { success: false, error: '発行済みの請求書は削除できません。取り消してください。' };
+    }
+    await storage.deleteItem('invoices', id);
+
+    if (invoice) {
+      await auditService.logAuditEntry({
+        entityType: 'invoice',
+        entityId: id,
+        action: 'delete',
+        before: invoice
+      });
+    }
+
     return { success: true };
   } catch (error) {
     console.error('Error deleting invoice:', error);
@@ -218,27 +331,632 @@ export const deleteInvoice = async (id) => {
   }
 };
 
-// Get invoice statistics
-export const getInvoiceStats = async () => {
+// Amount received so far; payable invoices are either paid in full or not at all
+export const getInvoicePaidAmount = (invoice) => {
+  if (!isIssuedInvoice(invoice)) {
+    return invoice.status === 'paid' ? invoice.amount : 0;
+  }
+  return (invoice.payments || []).reduce((sum, payment) => sum + (Number(payment.amount) || 0), 0);
+};
+
+export const getInvoiceOutstanding = (invoice) => Math.max(invoice.amount - getInvoicePaidAmount(invoice), 0);
+
+/**
+ * Get the issuer profile printed on issued invoices
+ * @returns {Promise<Object>} { success, data } with DEFAULT_ISSUER filled in
+ */
+export const getIssuerProfile = async () => {
+  try {
+    const result = await settingsService.getSetting(ISSUER_SETTING_KEY);
+    return { success: true, data: { ...DEFAULT_ISSUER, ...((result.success && result.data) || {}) } };
+  } catch (error) {
+    console.error('Error getting issuer profile:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Save the issuer profile
+export const saveIssuerProfile = async (profile) => {
+  try {
+    const data = { ...DEFAULT_ISSUER, ...profile };
+    if (!String(data.name).trim()) {
+      return { success: false, error: '発行者名を入力してください。' };
+    }
+    const registrationError = getRegistrationNumberError(data.registrationNumber);
+    if (registrationError) {
+      return { success: false, error: `${registrationError}。` };
+    }
+    if (!/^[A-Za-z0-9-]*$/.test(data.numberPrefix)) {
+      return { success: false, error: '請求書番号の接頭辞は英数字とハイフンで入力してください。' };
+    }
+
+    const saved = {
+      ...data,
+      name: data.name.trim(),
+      registrationNumber: normalizeRegistrationNumber(data.registrationNumber) || '',
+      paymentTermDays: Math.max(parseInt(data.paymentTermDays, 10) || 0, 0)
+    };
+    const result = await settingsService.updateSetting(ISSUER_SETTING_KEY, saved);
+    return result.success ? { success: true, data: saved } : result;
+  } catch (error) {
+    console.error('Error saving issuer profile:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Totals of invoice line items
+ * Prices are entered without tax. As the qualified invoice rules require, tax is rounded once
+ * per rate on the sum of that rate's lines rather than on each line.
+ * @param {Array} lineItems - [{ description, quantity, unit, unitPrice, taxCategory }]
+ * @param {string} rounding - Key of TAX_ROUNDING_MODES
+ * @returns {Object} { lineItems, taxBreakdown, netAmount, taxAmount, amount }
+ */
+export const calculateInvoiceTotals = (lineItems = [], rounding = getTaxRounding()) => {
+  const lines = lineItems.map(item => {
+    const quantity = Number(item.quantity) || 0;
+    const unitPrice = Number(item.unitPrice) || 0;
+    return {
+      ...item,
+      quantity,
+      unitPrice,
+      taxCategory: TAX_CATEGORIES[item.taxCategory] ? item.taxCategory : DEFAULT_TAX_CATEGORY,
+      amount: Math.round(quantity * unitPrice)
+    };
+  });
+
+  const taxBreakdown = Object.keys(TAX_CATEGORIES)
+    .map(taxCategory => {
+      const netAmount = lines
+        .filter(line => line.taxCategory === taxCategory)
+        .reduce((sum, line) => sum + line.amount, 0);
+      const taxAmount = roundYen((netAmount * TAX_CATEGORIES[taxCategory].rate) / 100, rounding);
+      return { taxCategory, netAmount, taxAmount, grossAmount: netAmount + taxAmount };
+    })
+    .filter(row => lines.some(line => line.taxCategory === row.taxCategory));
+
+  const netAmount = taxBreakdown.reduce((sum, row) => sum + row.netAmount, 0);
+  const taxAmount = taxBreakdown.reduce((sum, row) => sum + row.taxAmount, 0);
+  return { lineItems: lines, taxBreakdown, netAmount, taxAmount, amount: netAmount + taxAmount };
+};
+
+// Next invoice number for the year, e.g. INV-2026-0007; issued invoices are never deleted,
+// so a number is never handed out twice
+const generateInvoiceNumber = async (prefix, date) => {
+  const head = `${prefix}${date.slice(0, 4)}-`;
+  const invoices = await storage.getAll('invoices');
+  const sequence = invoices
+    .filter(invoice => isIssuedInvoice(invoice) && invoice.invoiceNumber && invoice.invoiceNumber.startsWith(head))
+    .reduce((max, invoice) => Math.max(max, parseInt(invoice.invoiceNumber.slice(head.length), 10) || 0), 0);
+  return `${head}${String(sequence + 1).padStart(4, '0')}`;
+};
+
+// Validate and total the editable part of an issued invoice
+const buildIssuedInvoice = (data) => {
+  if (!String(data.client || '').trim()) {
+    return { error: '請求先を入力してください。' };
+  }
+  if (!data.issueDate || isNaN(new Date(data.issueDate).getTime())) {
+    return { error: '有効な請求日を入力してください。' };
+  }
+  if (!data.dueDate || isNaN(new Date(data.dueDate).getTime())) {
+    return { error: '有効な支払期限を入力してください。' };
+  }
+  if (data.dueDate < data.issueDate) {
+    return { error: '支払期限は請求日以降の日付を入力してください。' };
+  }
+
+  const items = (data.lineItems || []).filter(item => String(item.description || '').trim());
+  if (items.length === 0) {
+    return { error: '明細を1行以上入力してください。' };
+  }
+  if (items.some(item => !(Number(item.quantity) > 0) || !(Number(item.unitPrice) >= 0))) {
+    return { error: '明細の数量は0より大きく、単価は0以上で入力してください。' };
+  }
+
+  const totals = calculateInvoiceTotals(items);
+  if (!(totals.amount > 0)) {
+    return { error: '請求金額は0より大きくなるように入力してください。' };
+  }
+
+  return {
+    invoice: {
+      title: String(data.title || '').trim() || totals.lineItems[0].description,
+      client: data.client.trim(),
+      clientAddress: data.clientAddress || '',
+      honorific: HONORIFICS.includes(data.honorific) ? data.honorific : HONORIFICS[0],
+      issueDate: data.issueDate,
+      dueDate: data.dueDate,
+      notes: data.notes || '',
+      ...totals
+    }
+  };
+};
+
+/**
+ * Issue an invoice to a client
+ * The issuer profile is copied into the invoice, so reprints show what was sent even after the
+ * profile changes.
+ * @param {Object} data - { client, clientAddress, honorific, title, issueDate, dueDate, lineItems, notes }
+ */
+export const createIssuedInvoice = async (data) => {
+  try {
+    const issuerResult = await getIssuerProfile();
+    if (!issuerResult.success) {
+      return issuerResult;
+    }
+    const issuer = issuerResult.data;
+    if (!issuer.name) {
+      return { success: false, error: '設定の「請求書発行」で発行者情報を登録してください。' };
+    }
+
+    const { invoice, error } = buildIssuedInvoice(data);
+    if (error) {
+      return { success: false, error };
+    }
+
+    return await createInvoice({
+      ...invoice,
+      direction: 'issued',
+      status: getIssuedInvoiceStatus({ ...invoice, payments: [] }),
+      invoiceNumber: await generateInvoiceNumber(issuer.numberPrefix, invoice.issueDate),
+      issuer,
+      payments: []
+    });
+  } catch (error) {
+    console.error('Error creating issued invoice:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Edit an issued invoice that has not been paid or cancelled; the number stays the same
+export const updateIssuedInvoice = async (id, data) => {
+  try {
+    const existing = await storage.findById('invoices', id);
+    if (!isIssuedInvoice(existing)) {
+      return { success: false, error: '請求書が見つかりません。' };
+    }
+    if (existing.status === 'cancelled' || (existing.payments || []).length > 0) {
+      return { success: false, error: '入金済みまたは取消済みの請求書は編集できません。' };
+    }
+
+    const { invoice, error } = buildIssuedInvoice(data);
+    if (error) {
+      return { success: false, error };
+    }
+    return await updateInvoice(id, { ...invoice, status: getIssuedInvoiceStatus({ ...existing, ...invoice }) });
+  } catch (error) {
+    console.error('Error updating issued invoice:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Cancel an issued invoice; its number stays used
+export const cancelIssuedInvoice = async (id, reason = '') => {
+  try {
+    const invoice = await storage.findById('invoices', id);
+    if (!isIssuedInvoice(invoice)) {
+      return { success: false, error: '請求書が見つかりません。' };
+    }
+    if ((invoice.payments || []).length > 0) {
+      return { success: false, error: '入金が記録された請求書は取り消せません。先に入金の紐付けを解除してください。' };
+    }
+    return await updateInvoice(id, {
+      status: 'cancelled',
+      cancelledAt: new Date().toISOString(),
+      cancelReason: reason
+    });
+  } catch (error) {
+    console.error('Error cancelling invoice:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Status an issued invoice should have
+ * Paid in full wins over everything but cancellation; an unpaid balance after the due date
+ * is overdue even when part of it has been paid.
+ * @param {Object} invoice - Issued invoice
+ * @param {string} today - 'YYYY-MM-DD'
+ * @returns {string} Key of ISSUED_INVOICE_STATUSES
+ */
+export const getIssuedInvoiceStatus = (invoice, today = toDateString(new Date())) => {
+  if (invoice.status === 'cancelled') return 'cancelled';
+  const paid = getInvoicePaidAmount(invoice);
+  if (paid >= invoice.amount) return 'paid';
+  if (String(invoice.dueDate).slice(0, 10) < today) return 'overdue';
+  return paid > 0 ? 'partial' : 'sent';
+};
+
+// Store the payments of an issued invoice and settle its status
+const savePayments = async (invoice, payments) => {
+  const status = getIssuedInvoiceStatus({ ...invoice, payments });
+  const lastDate = payments.map(payment => payment.date).sort().pop();
+  return updateInvoice(invoice.id, {
+    payments,
+    status,
+    paidAt: status === 'paid' ? lastDate : null
+  });
+};
+
+/**
+ * Move issued invoices whose due date has passed to 'overdue'
+ * Run when invoices are listed and when due dates are checked for notifications.
+ * @returns {Promise<Object>} { success, data: number of invoices whose status changed }
+ */
+export const refreshInvoiceStatuses = async () => {
+  try {
+    const invoices = await storage.getAll('invoices');
+    const today = toDateString(new Date());
+    let changed = 0;
+    for (const invoice of invoices.filter(isIssuedInvoice)) {
+      const status = getIssuedInvoiceStatus(invoice, today);
+      if (status !== invoice.status) {
+        await updateInvoice(invoice.id, { status });
+        changed += 1;
+      }
+    }
+    return { success: true, data: changed };
+  } catch (error) {
+    console.error('Error refreshing invoice statuses:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Check that an income can be applied to an issued invoice
+const getPayableInvoice = async (invoiceId, amount) => {
+  const invoice = await storage.findById('invoices', invoiceId);
+  if (!isIssuedInvoice(invoice)) {
+    return { error: '請求書が見つかりません。' };
+  }
+  if (invoice.status === 'cancelled') {
+    return { error: '取消済みの請求書には入金を記録できません。' };
+  }
+  if (!(amount > 0) || amount > getInvoiceOutstanding(invoice)) {
+    return { error: `入金額は未入金額（¥${getInvoiceOutstanding(invoice).toLocaleString()}）以下で入力してください。` };
+  }
+  return { invoice };
+};
+
+/**
+ * Record a payment received for an issued invoice
+ * The income created for it carries no consumption tax: the invoice's output tax is counted
+ * when it is issued.
+ * @param {number} invoiceId - Issued invoice ID
+ * @param {Object} payment - { date, amount, categoryId, paymentAccountId, userId }
+ * @returns {Promise<Object>} { success, data: { invoice, income } }
+ */
+export const recordInvoicePayment = async (invoiceId, { date, amount, categoryId, paymentAccountId, userId }) => {
+  try {
+    const value = Number(amount);
+    const { invoice, error } = await getPayableInvoice(invoiceId, value);
+    if (error) {
+      return { success: false, error };
+    }
+    if (!date || !categoryId) {
+      return { success: false, error: '入金日とカテゴリは必須です。' };
+    }
+
+    const result = await incomeService.createIncome({
+      date,
+      amount: value,
+      categoryId,
+      paymentAccountId,
+      userId,
+      source: invoice.client,
+      description: `${invoice.invoiceNumber} ${invoice.title}`,
+      invoiceId
+    });
+    if (!result.success) {
+      return result;
+    }
+
+    const created = [{ incomeId: result.data.id, amount: result.data.amount, date }];
+    const updated = await savePayments(invoice, [...(invoice.payments || []), ...created]);
+    if (!updated.success) {
+      return updated;
+    }
+    return { success: true, data: { invoice: updated.data, income: created } };
+  } catch (error) {
+    console.error('Error recording invoice payment:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Link an income that was recorded on its own (e.g. imported from a bank statement)
+export const linkIncomeToInvoice = async (invoiceId, incomeId) => {
+  try {
+    const income = await storage.findById('income', incomeId);
+    if (!income) {
+      return { success: false, error: '収入が見つかりません。' };
+    }
+    if (income.invoiceId && String(income.invoiceId) !== String(invoiceId)) {
+      return { success: false, error: 'この収入は別の請求書に紐付いています。' };
+    }
+    const { invoice, error } = await getPayableInvoice(invoiceId, income.amount);
+    if (error) {
+      return { success: false, error };
+    }
+    if ((invoice.payments || []).some(payment => String(payment.incomeId) === String(incomeId))) {
+      return { success: false, error: 'この収入は既に紐付いています。' };
+    }
+
+    // updateIncome adds the payment to the invoice
+    const linked = await incomeService.updateIncome(incomeId, { invoiceId });
+    if (!linked.success) {
+      return linked;
+    }
+    return { success: true, data: await storage.findById('invoices', invoiceId) };
+  } catch (error) {
+    console.error('Error linking income to invoice:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Remove the link between an issued invoice and one of its income records
+export const unlinkIncomeFromInvoice = async (invoiceId, incomeId) => {
+  try {
+    const invoice = await storage.findById('invoices', invoiceId);
+    if (!isIssuedInvoice(invoice)) {
+      return { success: false, error: '請求書が見つかりません。' };
+    }
+    const income = await storage.findById('income', incomeId);
+    if (income) {
+      const result = await incomeService.updateIncome(incomeId, { invoiceId: null });
+      if (!result.success) {
+        return result;
+      }
+    }
+    // Also drops payments whose income no longer exists
+    const current = await storage.findById('invoices', invoiceId);
+    return await savePayments(current, (current.payments || []).filter(payment => String(payment.incomeId) !== String(incomeId)));
+  } catch (error) {
+    console.error('Error unlinking income from invoice:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Outstanding balance of an issued invoice before the given income was applied to it
+const getOutstandingWithout = (invoice, incomeId) => getInvoiceOutstanding({
+  ...invoice,
+  payments: (invoice.payments || []).filter(payment => String(payment.incomeId) !== String(incomeId))
+});
+
+/**
+ * Check that a linked income still fits its invoice
+ * Used before the amount of a linked income is changed or a linked income is restored.
+ * @param {Object} income - Income record with invoiceId
+ * @returns {Promise<Object>} { success } or { success: false, error }
+ */
+export const checkIncomePayment = async (income) => {
+  if (!income?.invoiceId) return { success: true };
+  const invoice = await storage.findById('invoices', income.invoiceId);
+  if (!isIssuedInvoice(invoice)) return { success: true };
+
+  const outstanding = getOutstandingWithout(invoice, income.id);
+  if (Number(income.amount) > outstanding) {
+    return {
+      success: false,
+      error: `入金額が請求書 ${invoice.invoiceNumber} の未入金額（¥${outstanding.toLocaleString()}）を超えています。`
+    };
+  }
+  return { success: true };
+};
+
+/**
+ * Keep an invoice's payments in step with a linked income
+ * Called when a linked income is edited, deleted, moved to the trash or restored.
+ * @param {Object} income - Income record
+ * @param {boolean} removed - true when the income no longer counts towards the invoice
+ * @returns {Promise<Object>} { success, data: invoice }
+ */
+export const syncIncomePayment = async (income, removed) => {
+  if (!income?.invoiceId) return { success: true, data: null };
+  const invoice = await storage.findById('invoices', income.invoiceId);
+  if (!isIssuedInvoice(invoice)) return { success: true, data: null };
+
+  const others = (invoice.payments || []).filter(payment => String(payment.incomeId) !== String(income.id));
+  const payments = removed
+    ? others
+    : [...others, { incomeId: income.id, amount: income.amount, date: String(income.date).slice(0, 10) }];
+  return savePayments(invoice, payments);
+};
+
+// Income records not linked to any invoice, as candidates for linking
+export const getUnlinkedIncome = async (client = '') => {
+  try {
+    const income = await storage.getAll('income');
+    const name = client.trim().toLowerCase();
+    const candidates = income
+      .filter(item => !item.invoiceId)
+      .sort((a, b) => {
+        // Income from the same client first, newest first
+        const aMatch = name && String(a.source || '').toLowerCase().includes(name) ? 0 : 1;
+        const bMatch = name && String(b.source || '').toLowerCase().includes(name) ? 0 : 1;
+        return aMatch - bMatch || new Date(b.date) - new Date(a.date);
+      });
+    return { success: true, data: candidates };
+  } catch (error) {
+    console.error('Error getting unlinked income:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const daysBetween = (from, to) => Math.round(
+  (new Date(`${to}T00:00:00`) - new Date(`${from}T00:00:00`)) / (1000 * 60 * 60 * 24)
+);
+
+const getAgingBucket = (daysPastDue) => AGING_BUCKETS.find(bucket => (
+  (bucket.from === null || daysPastDue >= bucket.from) && (bucket.to === null || daysPastDue <= bucket.to)
+)).key;
+
+const emptyBuckets = () => AGING_BUCKETS.reduce((acc, bucket) => ({ ...acc, [bucket.key]: 0 }), {});
+
+/**
+ * Accounts receivable aging (売掛金年齢表) per client
+ * Balances are taken as of the given date: invoices issued later and payments received later
+ * are left out, so the report can be rerun for a past month end.
+ * @param {string} asOfDate - 'YYYY-MM-DD'
+ * @returns {Promise<Object>} { success, data: { asOfDate, clients, totals } }
+ */
+export const getReceivablesAging = async (asOfDate = toDateString(new Date())) => {
+  try {
+    const invoices = await storage.getAll('invoices');
+    const clients = {};
+
+    invoices
+      .filter(invoice => isIssuedInvoice(invoice) && invoice.status !== 'cancelled' && invoice.issueDate <= asOfDate)
+      .forEach(invoice => {
+        const paid = (invoice.payments || [])
+          .filter(payment => payment.date <= asOfDate)
+          .reduce((sum, payment) => sum + payment.amount, 0);
+        const outstanding = invoice.amount - paid;
+        if (outstanding <= 0) return;
+
+        const daysPastDue = daysBetween(String(invoice.dueDate).slice(0, 10), asOfDate);
+        const bucket = getAgingBucket(daysPastDue);
+        if (!clients[invoice.client]) {
+          clients[invoice.client] = { client: invoice.client, total: 0, buckets: emptyBuckets(), invoices: [] };
+        }
+        const row = clients[invoice.client];
+        row.total += outstanding;
+        row.buckets[bucket] += outstanding;
+        row.invoices.push({
+          id: invoice.id,
+          invoiceNumber: invoice.invoiceNumber,
+          title: invoice.title,
+          issueDate: invoice.issueDate,
+          dueDate: invoice.dueDate,
+          amount: invoice.amount,
+          outstanding,
+          daysPastDue: Math.max(daysPastDue, 0),
+          bucket
+        });
+      });
+
+    const list = Object.values(clients).sort((a, b) => b.total - a.total);
+    const totals = list.reduce((acc, row) => {
+      AGING_BUCKETS.forEach(bucket => {
+        acc.buckets[bucket.key] += row.buckets[bucket.key];
+      });
+      acc.total += row.total;
+      return acc;
+    }, { total: 0, buckets: emptyBuckets() });
+
+    return { success: true, data: { asOfDate, clients: list, totals } };
+  } catch (error) {
+    console.error('Error getting receivables aging:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Suggest open issued invoices for income records that are not linked to any invoice
+ * A suggestion needs the amount to equal the unpaid balance, or the client name or invoice
+ * number to appear in the income. 'high' suggestions have both and can be linked in bulk.
+ * @returns {Promise<Object>} { success, data: [{ income, invoice, confidence, reasons }] }
+ */
+export const findPaymentMatches = async () => {
+  try {
+    const [invoices, income] = await Promise.all([
+      storage.getAll('invoices'),
+      storage.getAll('income')
+    ]);
+    const openInvoices = invoices.filter(invoice => isIssuedInvoice(invoice) && isOpenInvoice(invoice));
+    if (openInvoices.length === 0) {
+      return { success: true, data: [] };
+    }
+
+    const matches = income
+      .filter(item => !item.invoiceId && item.amount > 0)
+      .map(item => {
+        const text = [item.source, item.description].filter(Boolean).join(' ');
+        const candidates = openInvoices
+          .filter(invoice => String(item.date).slice(0, 10) >= invoice.issueDate && item.amount <= getInvoiceOutstanding(invoice))
+          .map(invoice => {
+            const reasons = [];
+            if (item.amount === getInvoiceOutstanding(invoice)) reasons.push('金額が未入金額と一致');
+            const sameCounterparty = Boolean(invoice.counterpartyId) && invoice.counterpartyId === item.counterpartyId;
+            if (sameCounterparty || counterpartyNamesOverlap(invoice.client, item.source) || counterpartyNamesOverlap(invoice.client, item.description)) reasons.push('請求先名が一致');
+            if (invoice.invoiceNumber && text.normalize('NFKC').includes(invoice.invoiceNumber)) reasons.push('請求番号を含む');
+            return { invoice, reasons };
+          })
+          .filter(candidate => candidate.reasons.length > 0)
+          .sort((a, b) => b.reasons.length - a.reasons.length || a.invoice.dueDate.localeCompare(b.invoice.dueDate));
+
+        if (candidates.length === 0) return null;
+        const [best, next] = candidates;
+        // Two equally good candidates (e.g. two invoices of the same amount) need a person to choose
+        const ambiguous = next && next.reasons.length === best.reasons.length;
+        return {
+          income: item,
+          invoice: best.invoice,
+          reasons: best.reasons,
+          confidence: best.reasons.length >= 2 && !ambiguous ? 'high' : 'low'
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => (a.confidence === b.confidence ? 0 : a.confidence === 'high' ? -1 : 1)
+        || new Date(b.income.date) - new Date(a.income.date));
+
+    return { success: true, data: matches };
+  } catch (error) {
+    console.error('Error finding payment matches:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Link every 'high' confidence match found by findPaymentMatches
+ * @returns {Promise<Object>} { success, data: { linked, failed } }
+ */
+export const applyPaymentMatches = async () => {
+  try {
+    const result = await findPaymentMatches();
+    if (!result.success) {
+      return result;
+    }
+    let linked = 0;
+    let failed = 0;
+    for (const match of result.data.filter(item => item.confidence === 'high')) {
+      // An earlier link may have used up the balance, which linkIncomeToInvoice reports as an error
+      const linkResult = await linkIncomeToInvoice(match.invoice.id, match.income.id);
+      if (linkResult.success) {
+        linked += 1;
+      } else {
+        failed += 1;
+      }
+    }
+    return { success: true, data: { linked, failed } };
+  } catch (error) {
+    console.error('Error applying payment matches:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Get invoice statistics of one direction
+export const getInvoiceStats = async (direction = 'payable') => {
   try {
-    const invoices = storage.get('invoices') || [];
+    const invoices = (await storage.getAll('invoices'))
+      .filter(invoice => (invoice.direction || 'payable') === direction && invoice.status !== 'cancelled');
     const now = new Date();
 
     const total = invoices.length;
-    const pending = invoices.filter(i => i.status === 'pending').length;
+    const pending = invoices.filter(isOpenInvoice).length;
     const paid = invoices.filter(i => i.status === 'paid').length;
     const overdue = invoices.filter(i => {
       const dueDate = new Date(i.dueDate);
-      return dueDate < now && i.status === 'pending';
+      return dueDate < now && isOpenInvoice(i);
     }).length;
 
     const totalAmount = invoices.reduce((sum, i) => sum + i.amount, 0);
     const pendingAmount = invoices
-      .filter(i => i.status === 'pending')
-      .reduce((sum, i) => sum + i.amount, 0);
-    const paidAmount = invoices
-      .filter(i => i.status === 'paid')
-      .reduce((sum, i) => sum + i.amount, 0);
+      .filter(isOpenInvoice)
+      .reduce((sum, i) => sum + getInvoiceOutstanding(i), 0);
+    const overdueAmount = invoices
+      .filter(i => new Date(i.dueDate) < now && isOpenInvoice(i))
+      .reduce((sum, i) => sum + getInvoiceOutstanding(i), 0);
+    const paidAmount = invoices.reduce((sum, i) => sum + getInvoicePaidAmount(i), 0);
 
     return {
       success: true,
@@ -249,6 +967,7 @@ export const getInvoiceStats = async () => {
         overdue,
         totalAmount,
         pendingAmount,
+        overdueAmount,
         paidAmount
       }
     };
@@ -259,6 +978,8 @@ export const getInvoiceStats = async () => {
 };
 
 const invoiceService = {
+  isIssuedInvoice,
+  isOpenInvoice,
   createInvoice,
   getInvoiceById,
   getAllInvoices,
@@ -268,6 +989,25 @@ const invoiceService = {
   updateInvoice,
   markInvoiceAsPaid,
   deleteInvoice,
+  getInvoicePaidAmount,
+  getInvoiceOutstanding,
+  getIssuerProfile,
+  saveIssuerProfile,
+  calculateInvoiceTotals,
+  createIssuedInvoice,
+  updateIssuedInvoice,
+  cancelIssuedInvoice,
+  recordInvoicePayment,
+  linkIncomeToInvoice,
+  unlinkIncomeFromInvoice,
+  checkIncomePayment,
+  syncIncomePayment,
+  getUnlinkedIncome,
+  getIssuedInvoiceStatus,
+  refreshInvoiceStatuses,
+  getReceivablesAging,
+  findPaymentMatches,
+  applyPaymentMatches,
   getInvoiceStats
 };
 
@@ -0,0 +1,177 @@
+import storage from './storage';
+import {
+  calculateInvoiceTotals,
+  getIssuedInvoiceStatus,
+  getInvoiceOutstanding,
+  getReceivablesAging,
+  findPaymentMatches
+} from './invoiceService';
+
+// Reached through the file service; pdf.js locates its worker with import.meta, which Jest cannot parse
+jest.mock('../utils/pdfDocument', () => ({}));
+
+describe('calculateInvoiceTotals', () => {
+  const lineItems = [
+    { description: '保守作業', quantity: 3, unitPrice: 333, taxCategory: 'standard' },
+    { description: '交通費', quantity: 1, unitPrice: 5, taxCategory: 'standard' },
+    { description: '弁当', quantity: '2', unitPrice: '625', taxCategory: 'reduced' }
+  ];
+
+  it('rounds tax once per rate on the sum of its lines', () => {
+    const totals = calculateInvoiceTotals(lineItems, 'floor');
+    expect(totals.taxBreakdown).toEqual([
+      { taxCategory: 'standard', netAmount: 1004, taxAmount: 100, grossAmount: 1104 },
+      { taxCategory: 'reduced', netAmount: 1250, taxAmount: 100, grossAmount: 1350 }
+    ]);
+    expect(totals).toMatchObject({ netAmount: 2254, taxAmount: 200, amount: 2454 });
+  });
+
+  it('follows the rounding mode', () => {
+    expect(calculateInvoiceTotals(lineItems, 'ceil').taxBreakdown[0].taxAmount).toBe(101);
+    expect(calculateInvoiceTotals(lineItems, 'round').taxBreakdown[0].taxAmount).toBe(100);
+  });
+
+  it('normalizes line items', () => {
+    const { lineItems: lines, taxBreakdown } = calculateInvoiceTotals([
+      { description: '調査', quantity: '1.5', unitPrice: '1001', taxCategory: 'unknown' },
+      { description: '印紙代', quantity: 1, unitPrice: 200, taxCategory: 'non_taxable' }
+    ], 'floor');
+    expect(lines.map(line => [line.quantity, line.unitPrice, line.taxCategory, line.amount])).toEqual([
+      [1.5, 1001, 'standard', 1502],
+      [1, 200, 'non_taxable', 200]
+    ]);
+    expect(taxBreakdown.map(row => [row.taxCategory, row.taxAmount])).toEqual([['standard', 150], ['non_taxable', 0]]);
+  });
+
+  it('returns zero totals without line items', () => {
+    expect(calculateInvoiceTotals([], 'floor')).toEqual({ lineItems: [], taxBreakdown: [], netAmount: 0, taxAmount: 0, amount: 0 });
+  });
+});
+
+describe('getIssuedInvoiceStatus', () => {
+  const invoice = { direction: 'issued', status: 'sent', amount: 11000, dueDate: '2026-10-31', payments: [] };
+
+  it('settles the status from the payments and the due date', () => {
+    expect(getIssuedInvoiceStatus(invoice, '2026-10-18')).toBe('sent');
+    expect(getIssuedInvoiceStatus({ ...invoice, payments: [{ amount: 5000 }] }, '2026-10-18')).toBe('partial');
+    expect(getIssuedInvoiceStatus({ ...invoice, payments: [{ amount: 5000 }] }, '2026-11-01')).toBe('overdue');
+    expect(getIssuedInvoiceStatus({ ...invoice, payments: [{ amount: 5000 }, { amount: 6000 }] }, '2026-11-01')).toBe('paid');
+    expect(getIssuedInvoiceStatus({ ...invoice, status: 'cancelled', payments: [{ amount: 11000 }] })).toBe('cancelled');
+  });
+
+  it('never reports a negative outstanding balance', () => {
+    expect(getInvoiceOutstanding({ ...invoice, payments: [{ amount: 4000 }] })).toBe(7000);
+    expect(getInvoiceOutstanding({ ...invoice, payments: [{ amount: 12000 }] })).toBe(0);
+  });
+});
+
+describe('getReceivablesAging', () => {
+  const issued = (id, dueDate, extra = {}) => ({
+    id, direction: 'issued', status: 'sent', client: 'ABC商事', issueDate: '2026-07-01', dueDate, amount: 1000, payments: [], ...extra
+  });
+  const aging = async (invoices, asOfDate) => {
+    jest.spyOn(storage, 'getAll').mockResolvedValue(invoices);
+    const result = await getReceivablesAging(asOfDate);
+    expect(result.success).toBe(true);
+    return result.data;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('puts the days past due on both sides of each bucket edge', async () => {
+    const { clients, totals } = await aging([
+      issued(1, '2026-10-31'),
+      issued(2, '2026-10-30'),
+      issued(3, '2026-10-01'),
+      issued(4, '2026-09-30'),
+      issued(5, '2026-09-01'),
+      issued(6, '2026-08-31'),
+      issued(7, '2026-08-02'),
+      issued(8, '2026-08-01')
+    ], '2026-10-31');
+
+    expect(clients[0].invoices.map(invoice => [invoice.id, invoice.daysPastDue, invoice.bucket])).toEqual([
+      [1, 0, 'current'],
+      [2, 1, 'days0_30'],
+      [3, 30, 'days0_30'],
+      [4, 31, 'days31_60'],
+      [5, 60, 'days31_60'],
+      [6, 61, 'days61_90'],
+      [7, 90, 'days61_90'],
+      [8, 91, 'days90_plus']
+    ]);
+    expect(totals).toEqual({
+      total: 8000,
+      buckets: { current: 1000, days0_30: 2000, days31_60: 2000, days61_90: 2000, days90_plus: 1000 }
+    });
+  });
+
+  it('counts only the invoices and payments dated up to the report date', async () => {
+    const invoices = [
+      issued(1, '2026-10-31', { amount: 10000, payments: [{ amount: 4000, date: '2026-10-15' }, { amount: 6000, date: '2026-11-05' }] }),
+      issued(2, '2026-11-30', { issueDate: '2026-11-01' })
+    ];
+
+    const october = await aging(invoices, '2026-10-31');
+    expect(october.clients[0].invoices.map(invoice => [invoice.id, invoice.outstanding])).toEqual([[1, 6000]]);
+
+    const november = await aging(invoices, '2026-11-30');
+    expect(november.clients[0].invoices.map(invoice => [invoice.id, invoice.outstanding])).toEqual([[2, 1000]]);
+  });
+
+  it('leaves out cancelled invoices and received bills', async () => {
+    const { clients, totals } = await aging([
+      issued(1, '2026-09-30', { status: 'cancelled' }),
+      { id: 2, client: 'ABC商事', status: 'pending', dueDate: '2026-09-30', amount: 1000 },
+      issued(3, '2026-09-30', { client: 'XYZ' })
+    ], '2026-10-31');
+
+    expect(clients.map(row => [row.client, row.total])).toEqual([['XYZ', 1000]]);
+    expect(totals.total).toBe(1000);
+  });
+});
+
+describe('findPaymentMatches', () => {
+  const issued = (id, client, dueDate, extra = {}) => ({
+    id, direction: 'issued', status: 'sent', invoiceNumber: `INV-2026-000${id}`, client,
+    issueDate: '2026-10-01', dueDate, amount: 11000, payments: [], ...extra
+  });
+  const matches = async (invoices, income) => {
+    jest.spyOn(storage, 'getAll').mockImplementation(async (collection) => (collection === 'invoices' ? invoices : income));
+    const result = await findPaymentMatches();
+    expect(result.success).toBe(true);
+    return result.data.map(match => [match.income.id, match.invoice.id, match.confidence]);
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('links a payment with a matching amount and client with high confidence', async () => {
+    expect(await matches(
+      [issued(1, '株式会社ABC', '2026-10-31'), issued(2, 'XYZ', '2026-10-31', { amount: 5000 })],
+      [
+        { id: 1, date: '2026-10-20', amount: 11000, source: 'カ)ABC' },
+        { id: 2, date: '2026-10-21', amount: 11000, source: '不明' },
+        { id: 3, date: '2026-10-22', amount: 11000, source: 'ABC', invoiceId: 1 },
+        { id: 4, date: '2026-09-30', amount: 11000, source: 'ABC' }
+      ]
+    )).toEqual([[1, 1, 'high'], [2, 1, 'low']]);
+  });
+
+  it('leaves the choice to a person when two invoices match equally well', async () => {
+    expect(await matches(
+      [issued(1, 'ABC商事', '2026-11-30'), issued(2, 'ABC商事', '2026-10-31')],
+      [{ id: 1, date: '2026-10-20', amount: 11000, source: 'ABC商事' }]
+    )).toEqual([[1, 2, 'low']]);
+  });
+
+  it('prefers the invoice whose number is in the payment', async () => {
+    expect(await matches(
+      [issued(1, 'ABC商事', '2026-11-30'), issued(2, 'ABC商事', '2026-10-31')],
+      [{ id: 1, date: '2026-10-20', amount: 11000, source: 'ABC商事', description: 'INV-2026-0001' }]
+    )).toEqual([[1, 1, 'high']]);
+  });
+});
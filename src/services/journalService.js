@@ -0,0 +1,513 @@
+import storage from './storage';
+import { EXPENSE_STATUSES, normalizeStatus } from './approvalService';
+import { getDeductibleInputTax, getInputTaxDeductionRate } from './taxService';
+import paymentAccountService, { LIABILITY_KINDS } from './paymentAccountService';
+import { toDateString } from '../utils/recurrence';
+
+/**
+ * Journal Service - Double-entry bookkeeping (複式簿記) derived from transactions
+ * Journal entries are generated from expenses, income, invoices and reimbursements every time
+ * they are read, so they always match the records they come from. Categories are the
+ * revenue and expense accounts (勘定科目); payment accounts hold the money side.
+ *
+ * - Expense: 費用 + 仮払消費税 / payment account (未払金 for advance payments)
+ * - Reimbursement of an advance payment: 未払金 / payment account
+ * - Income: payment account / 収益 + 仮受消費税
+ * - Invoice: 売掛金 / 売上高 when issued, payment account / 売掛金 when paid
+ * - Bill (payable invoice): 費用 / 未払金 when received, 未払金 / payment account when paid
+ */
+
+export const ACCOUNT_TYPES = {
+  asset: '資産',
+  liability: '負債',
+  equity: '純資産',
+  revenue: '収益',
+  expense: '費用'
+};
+
+// Accounts that are not categories or payment accounts
+export const SYSTEM_ACCOUNTS = {
+  accounts_receivable: { name: '売掛金', type: 'asset', code: '1300' },
+  input_tax: { name: '仮払消費税', type: 'asset', code: '1400' },
+  // Money moved through a payment account that no longer exists, until the transaction is fixed
+  suspense: { name: '仮払金', type: 'asset', code: '1900' },
+  accounts_payable: { name: '未払金', type: 'liability', code: '2100' },
+  employee_payable: { name: '未払金（立替経費）', type: 'liability', code: '2200' },
+  output_tax: { name: '仮受消費税', type: 'liability', code: '2300' },
+  opening_equity: { name: '元入金', type: 'equity', code: '3100' },
+  retained_earnings: { name: '繰越利益', type: 'equity', code: '3200' },
+  sales: { name: '売上高', type: 'revenue', code: '4000' },
+  uncategorized_revenue: { name: '未分類収益', type: 'revenue', code: '4999' },
+  uncategorized_expense: { name: '未分類費用', type: 'expense', code: '5999' }
+};
+
+// Balance sheet accounts carry their balance into the next period; the others start from zero
+const BALANCE_SHEET_TYPES = ['asset', 'liability', 'equity'];
+const DEBIT_NORMAL_TYPES = ['asset', 'expense'];
+
+// Reimbursement methods and the kind of account they are paid from
+const REIMBURSEMENT_ACCOUNT_KINDS = {
+  bank_transfer: 'bank',
+  cash: 'cash',
+  payroll: 'bank'
+};
+
+// Label of an entry whose other side has several accounts
+export const MULTIPLE_ACCOUNTS_LABEL = '諸口';
+
+// 'YYYY-MM-DD' of a stored date or ISO timestamp in local time
+const toDay = (value) => {
+  if (!value) return null;
+  const text = String(value);
+  return /^\d{4}-\d{2}-\d{2}$/.test(text) ? text : toDateString(new Date(text));
+};
+
+const paymentAccountKey = (account) => `payment:${account.id}`;
+const categoryAccountKey = (category) => `category:${category.id}`;
+
+export const isDebitNormal = (account) => DEBIT_NORMAL_TYPES.includes(account.type);
+export const isBalanceSheetAccount = (account) => BALANCE_SHEET_TYPES.includes(account.type);
+
+/**
+ * Build the chart of accounts (勘定科目一覧)
+ * @param {Array} categories - Categories
+ * @param {Array} paymentAccounts - Payment accounts
+ * @returns {Map} Accounts by key, each { key, code, name, type }
+ */
+export const buildChartOfAccounts = (categories, paymentAccounts) => {
+  const chart = new Map();
+
+  paymentAccounts.forEach(account => {
+    const isLiability = LIABILITY_KINDS.includes(account.kind);
+    const prefix = isLiability ? '21' : account.kind === 'cash' ? '11' : '12';
+    chart.set(paymentAccountKey(account), {
+      key: paymentAccountKey(account),
+      code: `${prefix}${String(account.id).padStart(2, '0')}`,
+      name: account.name,
+      type: isLiability ? 'liability' : 'asset',
+      paymentAccountId: account.id
+    });
+  });
+
+  Object.entries(SYSTEM_ACCOUNTS).forEach(([key, account]) => {
+    chart.set(key, { key, ...account });
+  });
+
+  categories.forEach(category => {
+    const type = category.type === 'income' ? 'revenue' : 'expense';
+    chart.set(categoryAccountKey(category), {
+      key: categoryAccountKey(category),
+      code: `${type === 'revenue' ? '4' : '5'}${String(category.id).padStart(3, '0')}`,
+      name: category.name,
+      type,
+      categoryId: category.id
+    });
+  });
+
+  return chart;
+};
+
+const sumLines = (lines, side) => lines.reduce((sum, line) => sum + line[side], 0);
+
+// Round each line to whole yen. When the entry balanced before rounding, the lines whose
+// rounding put it out of balance give the difference back a yen at a time.
+const roundLines = (lines) => {
+  const rounded = lines.map(line => ({ ...line, debit: Math.round(line.debit), credit: Math.round(line.credit) }));
+  if (Math.abs(sumLines(lines, 'debit') - sumLines(lines, 'credit')) >= 1e-6) return rounded;
+
+  let difference = sumLines(rounded, 'debit') - sumLines(rounded, 'credit');
+  while (difference !== 0) {
+    const step = Math.sign(difference);
+    const errors = rounded.map((line, i) => (line.debit - lines[i].debit) - (line.credit - lines[i].credit));
+    const index = errors.reduce((best, error, i) => (error * step > errors[best] * step ? i : best), 0);
+    if (!(errors[index] * step > 0)) break;
+    if (rounded[index].debit) {
+      rounded[index].debit -= step;
+    } else {
+      rounded[index].credit += step;
+    }
+    difference -= step;
+  }
+  return rounded;
+};
+
+// Lines are in whole yen; lines with a zero amount are dropped
+const makeEntry = (id, date, sourceType, sourceId, description, lines, partner = '') => ({
+  id,
+  date,
+  sourceType,
+  sourceId,
+  description,
+  partner,
+  lines: roundLines(lines).filter(line => line.debit > 0 || line.credit > 0)
+});
+
+// Revenue and expense lines carry the consumption tax of the transaction in `tax`
+// ({ side, taxCategory, taxAmount, deductionRate }) so exports can show the tax-inclusive amount.
+const debit = (accountKey, amount, tax = null) => ({ accountKey, debit: amount, credit: 0, tax });
+const credit = (accountKey, amount, tax = null) => ({ accountKey, debit: 0, credit: amount, tax });
+
+const taxInfo = (side, record, taxAmount, deductionRate = 100) => (
+  record.taxCategory ? { side, taxCategory: record.taxCategory, taxAmount, deductionRate } : null
+);
+
+const expenseEntries = (expense, ctx) => {
+  const status = normalizeStatus(expense.status);
+  const amount = Number(expense.amount) || 0;
+  if (status === EXPENSE_STATUSES.DRAFT || status === EXPENSE_STATUSES.REJECTED || !(amount > 0)) {
+    return [];
+  }
+
+  // Input tax that cannot be deducted stays part of the expense
+  const inputTax = expense.taxCategory ? Math.min(getDeductibleInputTax(expense), amount) : 0;
+  const description = expense.description || expense.vendor || '';
+  const entries = [
+    makeEntry(`expense-${expense.id}`, toDay(expense.date), 'expense', expense.id, description, [
+      debit(ctx.categoryAccount(expense.categoryId, 'expense'), amount - inputTax,
+        taxInfo('purchase', expense, Number(expense.taxAmount) || 0, getInputTaxDeductionRate(expense))),
+      debit('input_tax', inputTax),
+      credit(expense.isAdvancePayment ? 'employee_payable' : ctx.paymentAccount(expense.paymentAccountId), amount)
+    ], expense.vendor || '')
+  ];
+
+  if (expense.isAdvancePayment && status === EXPENSE_STATUSES.REIMBURSED && expense.reimbursedAt) {
+    const kind = REIMBURSEMENT_ACCOUNT_KINDS[expense.reimbursementMethod] || null;
+    entries.push(makeEntry(`expense-${expense.id}-reimbursement`, toDay(expense.reimbursedAt), 'reimbursement', expense.id, `立替金精算: ${description}`, [
+      debit('employee_payable', amount),
+      credit(ctx.paymentAccount(null, kind), amount)
+    ]));
+  }
+
+  return entries;
+};
+
+const incomeEntries = (income, ctx) => {
+  const amount = Number(income.amount) || 0;
+  if (!(amount > 0)) return [];
+
+  // Payments of issued invoices settle the receivable booked when the invoice was issued
+  if (income.invoiceId) {
+    return [
+      makeEntry(`income-${income.id}`, toDay(income.date), 'invoice_payment', income.invoiceId, `入金: ${income.description || income.source || ''}`, [
+        debit(ctx.paymentAccount(income.paymentAccountId, 'bank'), amount),
+        credit('accounts_receivable', amount)
+      ], income.source || '')
+    ];
+  }
+
+  const outputTax = income.taxCategory ? Math.min(Number(income.taxAmount) || 0, amount) : 0;
+  return [
+    makeEntry(`income-${income.id}`, toDay(income.date), 'income', income.id, income.description || income.source || '', [
+      debit(ctx.paymentAccount(income.paymentAccountId), amount),
+      credit(ctx.categoryAccount(income.categoryId, 'revenue'), amount - outputTax, taxInfo('sale', income, outputTax)),
+      credit('output_tax', outputTax)
+    ])
+  ];
+};
+
+// Bills we pay are booked as an expense owed when received and settled when marked paid
+const billEntries = (invoice, ctx) => {
+  const amount = Number(invoice.amount) || 0;
+  const description = [invoice.title, invoice.client].filter(Boolean).join(' / ');
+  const entries = [
+    makeEntry(`invoice-${invoice.id}`, toDay(invoice.createdAt || invoice.dueDate), 'bill', invoice.id, description, [
+      debit(ctx.categoryAccount(invoice.categoryId, 'expense'), amount),
+      credit('accounts_payable', amount)
+    ], invoice.client || '')
+  ];
+
+  if (invoice.status === 'paid' && invoice.paidAt) {
+    entries.push(makeEntry(`invoice-${invoice.id}-payment`, toDay(invoice.paidAt), 'bill_payment', invoice.id, `支払: ${description}`, [
+      debit('accounts_payable', amount),
+      credit(ctx.paymentAccount(invoice.paymentAccountId, 'bank'), amount)
+    ], invoice.client || ''));
+  }
+
+  return entries;
+};
+
+// Issued invoices are booked as receivables when issued; their payments are booked through the
+// income linked to them
+const invoiceEntries = (invoice, ctx) => {
+  const amount = Number(invoice.amount) || 0;
+  if (invoice.status === 'cancelled' || !(amount > 0)) return [];
+  if (invoice.direction !== 'issued') return billEntries(invoice, ctx);
+
+  const description = [invoice.invoiceNumber, invoice.title, invoice.client].filter(Boolean).join(' / ');
+  const salesLines = (invoice.taxBreakdown || []).flatMap(row => {
+    const record = { taxCategory: row.taxCategory };
+    return [
+      credit(ctx.salesAccount, row.netAmount, taxInfo('sale', record, row.taxAmount)),
+      credit('output_tax', row.taxAmount)
+    ];
+  });
+
+  return [
+    makeEntry(`invoice-${invoice.id}`, toDay(invoice.issueDate || invoice.createdAt), 'invoice', invoice.id, description, [
+      debit('accounts_receivable', amount),
+      ...salesLines
+    ], invoice.client || '')
+  ];
+};
+
+// Opening balances of payment accounts against 元入金
+const openingEntries = (account) => {
+  const balance = Number(account.openingBalance) || 0;
+  if (!balance) return [];
+
+  const key = paymentAccountKey(account);
+  const isLiability = LIABILITY_KINDS.includes(account.kind);
+  const lines = (balance > 0) !== isLiability
+    ? [debit(key, Math.abs(balance)), credit('opening_equity', Math.abs(balance))]
+    : [debit('opening_equity', Math.abs(balance)), credit(key, Math.abs(balance))];
+
+  return [makeEntry(`opening-${account.id}`, toDay(account.openingDate || account.createdAt), 'opening', account.id, `開始残高: ${account.name}`, lines)];
+};
+
+/**
+ * Build the chart of accounts and the journal entries of a set of records
+ * @param {Object} books - { categories, paymentAccounts, expenses, income, invoices }
+ * @returns {Object} { chart, entries } with entries sorted by date
+ */
+export const buildJournalEntries = ({ categories, paymentAccounts, expenses, income, invoices }) => {
+  const chart = buildChartOfAccounts(categories, paymentAccounts);
+  const salesCategory = categories.find(category => category.type === 'income' && category.name === SYSTEM_ACCOUNTS.sales.name);
+
+  const ctx = {
+    salesAccount: salesCategory ? categoryAccountKey(salesCategory) : 'sales',
+    categoryAccount: (categoryId, type) => {
+      const category = categories.find(item => String(item.id) === String(categoryId));
+      return category ? categoryAccountKey(category) : `uncategorized_${type}`;
+    },
+    paymentAccount: (accountId, kind = null) => {
+      const missing = accountId !== null && accountId !== undefined && accountId !== ''
+        && !paymentAccounts.some(account => String(account.id) === String(accountId));
+      const account = missing ? null : paymentAccountService.resolvePaymentAccount(paymentAccounts, accountId, kind);
+      return account ? paymentAccountKey(account) : 'suspense';
+    }
+  };
+
+  const entries = [
+    ...paymentAccounts.flatMap(openingEntries),
+    ...expenses.flatMap(expense => expenseEntries(expense, ctx)),
+    ...income.flatMap(item => incomeEntries(item, ctx)),
+    ...invoices.flatMap(invoice => invoiceEntries(invoice, ctx))
+  ]
+    .filter(entry => entry.date && entry.lines.length > 0)
+    .sort((a, b) => a.date.localeCompare(b.date) || a.id.localeCompare(b.id, undefined, { numeric: true }));
+
+  return { chart, entries };
+};
+
+// Load everything journal entries are built from
+const loadBooks = async () => {
+  const [categories, accountsResult, expenses, income, invoices] = await Promise.all([
+    storage.getAll('categories'),
+    paymentAccountService.getPaymentAccounts(),
+    storage.getAll('expenses'),
+    storage.getAll('income'),
+    storage.getAll('invoices')
+  ]);
+  if (!accountsResult.success) {
+    throw new Error(accountsResult.error);
+  }
+
+  return buildJournalEntries({ categories, paymentAccounts: accountsResult.data, expenses, income, invoices });
+};
+
+// Signed balance change of a line on the account's normal side
+const lineBalance = (account, line) => (
+  isDebitNormal(account) ? line.debit - line.credit : line.credit - line.debit
+);
+
+/**
+ * Get the journal (仕訳帳) of a period
+ * @param {string} startDate - First day ('YYYY-MM-DD')
+ * @param {string} endDate - Last day ('YYYY-MM-DD')
+ * @returns {Promise<Object>} { entries, accounts } where each line has its account name
+ */
+export const getJournal = async (startDate, endDate) => {
+  try {
+    const { chart, entries } = await loadBooks();
+    return {
+      success: true,
+      data: {
+        accounts: [...chart.values()],
+        entries: entries
+          .filter(entry => entry.date >= startDate && entry.date <= endDate)
+          .map(entry => ({
+            ...entry,
+            lines: entry.lines.map(line => ({ ...line, accountName: chart.get(line.accountKey)?.name || line.accountKey }))
+          }))
+      }
+    };
+  } catch (error) {
+    console.error('Error getting journal:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get the trial balance (残高試算表) of a period
+ * Balance sheet accounts start from their balance before the period; the net income before
+ * the period is carried in 繰越利益 so debit and credit balances agree.
+ * @param {string} startDate - First day ('YYYY-MM-DD')
+ * @param {string} endDate - Last day ('YYYY-MM-DD')
+ * @returns {Promise<Object>} { rows, totals, suspenseEntries, isBalanced }
+ */
+export const getTrialBalance = async (startDate, endDate) => {
+  try {
+    const { chart, entries } = await loadBooks();
+    const rows = new Map();
+    const rowFor = (account) => {
+      if (!rows.has(account.key)) {
+        rows.set(account.key, { ...account, openingBalance: 0, debit: 0, credit: 0, closingBalance: 0 });
+      }
+      return rows.get(account.key);
+    };
+
+    entries.filter(entry => entry.date <= endDate).forEach(entry => {
+      entry.lines.forEach(line => {
+        const account = chart.get(line.accountKey);
+        if (!account) return;
+        if (entry.date >= startDate) {
+          const row = rowFor(account);
+          row.debit += line.debit;
+          row.credit += line.credit;
+        } else if (isBalanceSheetAccount(account)) {
+          rowFor(account).openingBalance += lineBalance(account, line);
+        } else {
+          // Earlier revenue and expenses make up the earnings carried forward
+          const earnings = rowFor(chart.get('retained_earnings'));
+          earnings.openingBalance += line.credit - line.debit;
+        }
+      });
+    });
+
+    const list = [...rows.values()]
+      .map(row => ({
+        ...row,
+        closingBalance: row.openingBalance + (isDebitNormal(row) ? row.debit - row.credit : row.credit - row.debit)
+      }))
+      .sort((a, b) => a.code.localeCompare(b.code));
+
+    // Closing balances on the debit and credit side; lines are already in whole yen, so any
+    // difference is a real imbalance
+    const totals = list.reduce((acc, row) => {
+      const side = isDebitNormal(row) ? 'debitBalance' : 'creditBalance';
+      acc[side] += row.closingBalance;
+      acc.debit += row.debit;
+      acc.credit += row.credit;
+      return acc;
+    }, { debit: 0, credit: 0, debitBalance: 0, creditBalance: 0 });
+
+    // Entries of the period posted to 仮払金 because their payment account is missing
+    const suspenseEntries = entries
+      .filter(entry => entry.date >= startDate && entry.date <= endDate)
+      .filter(entry => entry.lines.some(line => line.accountKey === 'suspense'))
+      .length;
+
+    return {
+      success: true,
+      data: {
+        startDate,
+        endDate,
+        rows: list,
+        totals,
+        suspenseEntries,
+        isBalanced: totals.debit === totals.credit && totals.debitBalance === totals.creditBalance
+      }
+    };
+  } catch (error) {
+    console.error('Error getting trial balance:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get the general ledger (総勘定元帳) of one account with its running balance
+ * @param {string} accountKey - Account key from the chart of accounts
+ * @param {string} startDate - First day ('YYYY-MM-DD')
+ * @param {string} endDate - Last day ('YYYY-MM-DD')
+ * @returns {Promise<Object>} { account, openingBalance, rows, closingBalance }
+ */
+export const getLedger = async (accountKey, startDate, endDate) => {
+  try {
+    const { chart, entries } = await loadBooks();
+    const account = chart.get(accountKey);
+    if (!account) {
+      return { success: false, error: '勘定科目が見つかりません。' };
+    }
+
+    const ownLines = (entry) => entry.lines.filter(line => line.accountKey === accountKey);
+    const openingBalance = isBalanceSheetAccount(account)
+      ? entries
+        .filter(entry => entry.date < startDate)
+        .flatMap(ownLines)
+        .reduce((sum, line) => sum + lineBalance(account, line), 0)
+      : 0;
+
+    let balance = openingBalance;
+    const rows = [];
+    entries.filter(entry => entry.date >= startDate && entry.date <= endDate).forEach(entry => {
+      const own = ownLines(entry);
+      if (own.length === 0) return;
+
+      const debitAmount = own.reduce((sum, line) => sum + line.debit, 0);
+      const creditAmount = own.reduce((sum, line) => sum + line.credit, 0);
+      const others = [...new Set(entry.lines.filter(line => line.accountKey !== accountKey).map(line => line.accountKey))];
+      balance += lineBalance(account, { debit: debitAmount, credit: creditAmount });
+      rows.push({
+        entryId: entry.id,
+        date: entry.date,
+        sourceType: entry.sourceType,
+        sourceId: entry.sourceId,
+        description: entry.description,
+        counterAccount: others.length === 1 ? chart.get(others[0])?.name || others[0] : MULTIPLE_ACCOUNTS_LABEL,
+        debit: debitAmount,
+        credit: creditAmount,
+        balance
+      });
+    });
+
+    return {
+      success: true,
+      data: {
+        account,
+        startDate,
+        endDate,
+        openingBalance,
+        rows,
+        closingBalance: balance
+      }
+    };
+  } catch (error) {
+    console.error('Error getting ledger:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Get the chart of accounts
+export const getAccounts = async () => {
+  try {
+    const { chart } = await loadBooks();
+    return {
+      success: true,
+      data: [...chart.values()].sort((a, b) => a.code.localeCompare(b.code))
+    };
+  } catch (error) {
+    console.error('Error getting accounts:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const journalService = {
+  buildChartOfAccounts,
+  buildJournalEntries,
+  getAccounts,
+  getJournal,
+  getTrialBalance,
+  getLedger
+};
+
+export default journalService;
@@ -0,0 +1,142 @@
+import { buildJournalEntries } from './journalService';
+
+// Reached through the file service; pdf.js locates its worker with import.meta, which Jest cannot parse
+jest.mock('../utils/pdfDocument', () => ({}));
+
+const categories = [
+  { id: 1, name: '旅費交通費', type: 'expense' },
+  { id: 2, name: '売上高', type: 'income' },
+  { id: 3, name: '雑収入', type: 'income' },
+  { id: 4, name: '通信費', type: 'expense' }
+];
+const paymentAccounts = [
+  { id: 1, name: '現金', kind: 'cash', openingBalance: 50000, openingDate: '2026-04-01' },
+  { id: 2, name: '普通預金', kind: 'bank', isDefault: true }
+];
+
+const build = (records) => buildJournalEntries({
+  categories,
+  paymentAccounts,
+  expenses: [],
+  income: [],
+  invoices: [],
+  ...records
+}).entries;
+
+const total = (entry, side) => entry.lines.reduce((sum, line) => sum + line[side], 0);
+const amounts = (entry) => entry.lines.map(line => [line.accountKey, line.debit, line.credit]);
+
+const expectBalanced = (entries) => {
+  expect(entries.length).toBeGreaterThan(0);
+  entries.forEach(entry => {
+    expect(total(entry, 'debit')).toBe(total(entry, 'credit'));
+    entry.lines.forEach(line => {
+      expect(Number.isInteger(line.debit)).toBe(true);
+      expect(Number.isInteger(line.credit)).toBe(true);
+    });
+  });
+};
+
+describe('buildJournalEntries', () => {
+  it('books expenses with their deductible input tax', () => {
+    const entries = build({
+      expenses: [
+        { id: 1, date: '2026-10-01', categoryId: 1, amount: 1100, taxCategory: 'standard', taxAmount: 100, registrationNumber: 'T7000012050002', paymentAccountId: 1, status: 'approved' },
+        { id: 2, date: '2026-10-02', categoryId: 1, amount: 1100, taxCategory: 'standard', taxAmount: 100, paymentAccountId: 1, status: 'submitted' },
+        { id: 3, date: '2026-10-03', categoryId: 1, amount: 500, status: 'draft' }
+      ]
+    }).filter(entry => entry.sourceType === 'expense');
+
+    expectBalanced(entries);
+    expect(entries.map(amounts)).toEqual([
+      [['category:1', 1000, 0], ['input_tax', 100, 0], ['payment:1', 0, 1100]],
+      // Only half of the input tax paid to an unregistered vendor is deductible from October 2026
+      [['category:1', 1050, 0], ['input_tax', 50, 0], ['payment:1', 0, 1100]]
+    ]);
+  });
+
+  it('books advance payments as owed to the employee until reimbursed', () => {
+    const entries = build({
+      expenses: [{
+        id: 1, date: '2026-10-01', categoryId: 1, amount: 3000, isAdvancePayment: true,
+        status: 'reimbursed', reimbursedAt: '2026-10-25T09:00:00', reimbursementMethod: 'bank_transfer'
+      }]
+    }).filter(entry => entry.sourceType !== 'opening');
+
+    expectBalanced(entries);
+    expect(entries.map(entry => [entry.date, ...amounts(entry)])).toEqual([
+      ['2026-10-01', ['category:1', 3000, 0], ['employee_payable', 0, 3000]],
+      ['2026-10-25', ['employee_payable', 3000, 0], ['payment:2', 0, 3000]]
+    ]);
+  });
+
+  it('books income with its output tax', () => {
+    const [entry] = build({
+      income: [{ id: 1, date: '2026-10-01', categoryId: 3, amount: 11000, taxCategory: 'standard', taxAmount: 1000, paymentAccountId: 2 }]
+    }).filter(item => item.sourceType === 'income');
+
+    expectBalanced([entry]);
+    expect(amounts(entry)).toEqual([['payment:2', 11000, 0], ['category:3', 0, 10000], ['output_tax', 0, 1000]]);
+  });
+
+  it('books issued invoices on the issue date and their payments against the receivable', () => {
+    const entries = build({
+      invoices: [{
+        id: 7, direction: 'issued', status: 'partial', invoiceNumber: 'INV-2026-0001', issueDate: '2026-10-01', amount: 11810,
+        taxBreakdown: [
+          { taxCategory: 'standard', netAmount: 10000, taxAmount: 1000 },
+          { taxCategory: 'reduced', netAmount: 750, taxAmount: 60 }
+        ]
+      }, {
+        id: 8, direction: 'issued', status: 'cancelled', issueDate: '2026-10-01', amount: 5000, taxBreakdown: []
+      }],
+      income: [{ id: 1, date: '2026-10-31', amount: 5000, invoiceId: 7, paymentAccountId: 2 }]
+    }).filter(entry => entry.sourceType !== 'opening');
+
+    expectBalanced(entries);
+    expect(entries.map(entry => [entry.date, entry.sourceType, ...amounts(entry)])).toEqual([
+      ['2026-10-01', 'invoice', ['accounts_receivable', 11810, 0], ['category:2', 0, 10000], ['output_tax', 0, 1000], ['category:2', 0, 750], ['output_tax', 0, 60]],
+      ['2026-10-31', 'invoice_payment', ['payment:2', 5000, 0], ['accounts_receivable', 0, 5000]]
+    ]);
+  });
+
+  it('books bills as owed until they are paid', () => {
+    const entries = build({
+      invoices: [{ id: 3, title: 'サーバー代', client: 'ABC', amount: 5500, categoryId: 4, status: 'paid', createdAt: '2026-10-01', paidAt: '2026-10-20' }]
+    }).filter(entry => entry.sourceType !== 'opening');
+
+    expectBalanced(entries);
+    expect(entries.map(entry => [entry.date, entry.sourceType, ...amounts(entry)])).toEqual([
+      ['2026-10-01', 'bill', ['category:4', 5500, 0], ['accounts_payable', 0, 5500]],
+      ['2026-10-20', 'bill_payment', ['accounts_payable', 5500, 0], ['payment:2', 0, 5500]]
+    ]);
+  });
+
+  it('posts money of a missing payment account to the suspense account', () => {
+    const entries = build({
+      expenses: [{ id: 1, date: '2026-10-01', categoryId: 1, amount: 800, paymentAccountId: 99, status: 'approved' }],
+      income: [{ id: 1, date: '2026-10-02', categoryId: 3, amount: 1000, paymentAccountId: 99 }]
+    }).filter(entry => entry.sourceType !== 'opening');
+
+    expectBalanced(entries);
+    expect(entries.map(amounts)).toEqual([
+      [['category:1', 800, 0], ['suspense', 0, 800]],
+      [['suspense', 1000, 0], ['category:3', 0, 1000]]
+    ]);
+  });
+
+  it('rounds lines to whole yen without unbalancing the entry', () => {
+    const [entry] = build({
+      income: [{ id: 1, date: '2026-10-01', categoryId: 3, amount: 1000, taxCategory: 'standard', taxAmount: 90.5, paymentAccountId: 2 }]
+    }).filter(item => item.sourceType === 'income');
+
+    expectBalanced([entry]);
+    expect(amounts(entry)).toEqual([['payment:2', 1000, 0], ['category:3', 0, 909], ['output_tax', 0, 91]]);
+  });
+
+  it('books opening balances against 元入金', () => {
+    const entries = build({}).filter(entry => entry.sourceType === 'opening');
+    expectBalanced(entries);
+    expect(entries.map(amounts)).toEqual([[['payment:1', 50000, 0], ['opening_equity', 0, 50000]]]);
+  });
+});
@@ -0,0 +1,440 @@
+import storage from './storage';
+
+/**
+ * LLM Service - Chat completions through the provider chosen in settings
+ * OpenAI, Azure OpenAI, Anthropic and local OpenAI-compatible servers (Ollama, llama.cpp) are
+ * called through one chatCompletion function. Every call is recorded in the aiUsage table with
+ * its token counts and estimated cost. In offline mode only a server on this machine is called,
+ * so receipt text and descriptions never leave it.
+ */
+
+export const LLM_PROVIDERS = {
+  openai: {
+    label: 'OpenAI',
+    local: false,
+    models: ['gpt-4o-mini', 'gpt-4o', 'gpt-4.1-nano', 'gpt-4.1-mini', 'gpt-4.1']
+  },
+  azure: {
+    label: 'Azure OpenAI',
+    local: false,
+    models: []
+  },
+  anthropic: {
+    label: 'Anthropic',
+    local: false,
+    models: ['claude-3-5-haiku-latest', 'claude-sonnet-4-0', 'claude-3-7-sonnet-latest', 'claude-opus-4-0']
+  },
+  local: {
+    label: 'ローカル（OpenAI互換）',
+    local: true,
+    models: []
+  }
+};
+
+export const LLM_PURPOSES = {
+  categorySuggestion: 'カテゴリ提案',
+  expenseAnalysis: '経費分析',
+  monthlyInsights: '月次レポート',
+  receiptOCR: 'レシート解析',
+  transactionSearch: '取引検索',
+  connectionTest: '接続テスト'
+};
+
+export const DEFAULT_LLM_SETTINGS = {
+  llmProvider: 'openai',
+  openaiApiKey: '',
+  apiEndpoint: 'https://api.openai.com/v1/chat/completions',
+  openaiModel: 'gpt-4o-mini',
+  azureEndpoint: '',
+  azureApiKey: '',
+  azureDeployment: '',
+  azureApiVersion: '2024-10-21',
+  anthropicApiKey: '',
+  anthropicModel: 'claude-3-5-haiku-latest',
+  localEndpoint: 'http://localhost:11434/v1',
+  localApiKey: '',
+  localModel: '',
+  offlineMode: false,
+  maxRetries: 3,
+  requestTimeout: 30000
+};
+
+const ANTHROPIC_ENDPOINT = 'https://api.anthropic.com/v1';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// List prices in USD per million tokens (input, output); costs are estimates and models not
+// listed here are recorded without a cost. Longer names win, so gpt-4o-mini is not priced as gpt-4o.
+const MODEL_PRICES = {
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4o': [2.5, 10],
+  'gpt-4.1-nano': [0.1, 0.4],
+  'gpt-4.1-mini': [0.4, 1.6],
+  'gpt-4.1': [2, 8],
+  'claude-3-haiku': [0.25, 1.25],
+  'claude-3-5-haiku': [0.8, 4],
+  'claude-3-5-sonnet': [3, 15],
+  'claude-3-7-sonnet': [3, 15],
+  'claude-sonnet-4': [3, 15],
+  'claude-opus-4': [15, 75]
+};
+
+const USAGE_COLLECTION = 'aiUsage';
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]', '::1'];
+
+const isUrl = (value) => {
+  try {
+    new URL(value);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const trimSlash = (url) => String(url || '').trim().replace(/\/+$/, '');
+
+// Check whether an endpoint is served from this machine
+export const isLoopbackEndpoint = (endpoint) => {
+  try {
+    const { hostname } = new URL(endpoint);
+    return LOOPBACK_HOSTS.includes(hostname) || hostname.endsWith('.localhost') || /^127\./.test(hostname);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Provider settings for a call
+ * @param {Object} settings - App settings; the saved settings when omitted
+ * @returns {Object} { provider, model, endpoint, apiKey, apiVersion, offlineMode, maxRetries, requestTimeout }
+ */
+export const getProviderConfig = (settings = storage.get('settings') || {}) => {
+  const merged = { ...DEFAULT_LLM_SETTINGS, ...settings };
+  const provider = LLM_PROVIDERS[merged.llmProvider] ? merged.llmProvider : DEFAULT_LLM_SETTINGS.llmProvider;
+  const common = {
+    provider,
+    offlineMode: Boolean(merged.offlineMode),
+    maxRetries: merged.maxRetries,
+    requestTimeout: merged.requestTimeout
+  };
+
+  switch (provider) {
+    case 'azure':
+      return {
+        ...common,
+        model: merged.azureDeployment,
+        endpoint: trimSlash(merged.azureEndpoint),
+        apiKey: merged.azureApiKey,
+        apiVersion: merged.azureApiVersion
+      };
+    case 'anthropic':
+      return { ...common, model: merged.anthropicModel, endpoint: ANTHROPIC_ENDPOINT, apiKey: merged.anthropicApiKey };
+    case 'local':
+      return { ...common, model: merged.localModel, endpoint: trimSlash(merged.localEndpoint), apiKey: merged.localApiKey };
+    default:
+      return {
+        ...common,
+        model: merged.openaiModel,
+        endpoint: trimSlash(merged.apiEndpoint).replace(/\/chat\/completions$/, ''),
+        apiKey: merged.openaiApiKey
+      };
+  }
+};
+
+/**
+ * Check whether a provider can be called
+ * @param {Object} config - From getProviderConfig
+ * @returns {string|null} Why it cannot be called, or null when it can
+ */
+export const getConfigError = (config) => {
+  if (config.offlineMode && !(LLM_PROVIDERS[config.provider].local && isLoopbackEndpoint(config.endpoint))) {
+    return 'オフラインモードではこのPC上のローカルサーバー（localhost）以外には送信できません。';
+  }
+  if (!config.endpoint) return 'エンドポイントが設定されていません';
+  if (!isUrl(config.endpoint)) return 'エンドポイントのURLが正しくありません';
+  if (config.provider !== 'local' && !config.apiKey) return 'APIキーが設定されていません';
+  if (!config.model) {
+    return config.provider === 'azure' ? 'デプロイ名が設定されていません' : 'モデルが設定されていません';
+  }
+  return null;
+};
+
+// Check whether AI calls can be made with the saved settings
+export const isLLMAvailable = (settings) => getConfigError(getProviderConfig(settings)) === null;
+
+// Estimated cost in USD of a call, or null when the model has no known price
+export const estimateCost = (provider, model, inputTokens, outputTokens) => {
+  if (provider === 'local') return 0;
+  const name = String(model || '').toLowerCase();
+  const key = Object.keys(MODEL_PRICES)
+    .filter(prefix => name.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!key) return null;
+  const [inputPrice, outputPrice] = MODEL_PRICES[key];
+  return (inputTokens * inputPrice + outputTokens * outputPrice) / 1000000;
+};
+
+// Request of an OpenAI-compatible chat completion (OpenAI, Azure OpenAI, local servers)
+const buildOpenAIRequest = (config, messages, { maxTokens, temperature, json }) => {
+  const headers = { 'Content-Type': 'application/json' };
+  let url = `${config.endpoint}/chat/completions`;
+  if (config.provider === 'azure') {
+    url = `${config.endpoint}/openai/deployments/${encodeURIComponent(config.model)}/chat/completions?api-version=${config.apiVersion}`;
+    headers['api-key'] = config.apiKey;
+  } else if (config.apiKey) {
+    headers['Authorization'] = `Bearer ${config.apiKey}`;
+  }
+
+  return {
+    url,
+    headers,
+    body: {
+      ...(config.provider === 'azure' ? {} : { model: config.model }),
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      ...(json ? { response_format: { type: 'json_object' } } : {})
+    }
+  };
+};
+
+// Request of an Anthropic message; system messages move to the system field
+const buildAnthropicRequest = (config, messages, { maxTokens, temperature }) => ({
+  url: `${config.endpoint}/messages`,
+  headers: {
+    'Content-Type': 'application/json',
+    'x-api-key': config.apiKey,
+    'anthropic-version': ANTHROPIC_VERSION,
+    // Required for calls made from the renderer rather than a server
+    'anthropic-dangerous-direct-browser-access': 'true'
+  },
+  body: {
+    model: config.model,
+    system: messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n') || undefined,
+    messages: messages.filter(message => message.role !== 'system'),
+    max_tokens: maxTokens,
+    temperature
+  }
+});
+
+// Text and token counts of a response
+const parseResponse = (provider, data) => {
+  if (provider === 'anthropic') {
+    return {
+      content: (data.content || []).filter(block => block.type === 'text').map(block => block.text).join(''),
+      inputTokens: data.usage?.input_tokens || 0,
+      outputTokens: data.usage?.output_tokens || 0
+    };
+  }
+  return {
+    content: data.choices?.[0]?.message?.content || '',
+    inputTokens: data.usage?.prompt_tokens || 0,
+    outputTokens: data.usage?.completion_tokens || 0
+  };
+};
+
+const isRetryable = (error) => (
+  error.status === 429 || error.status >= 500 || (!error.status && error.name !== 'AbortError' && error.name !== 'TimeoutError')
+);
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const recordUsage = async (entry) => {
+  try {
+    await storage.addItem(USAGE_COLLECTION, {
+      ...entry,
+      cost: estimateCost(entry.provider, entry.model, entry.inputTokens, entry.outputTokens)
+    });
+  } catch (error) {
+    console.error('Error recording AI usage:', error);
+  }
+};
+
+/**
+ * Send a chat completion to the configured provider
+ * Rate limits, server errors and network errors are retried with exponential backoff.
+ * @param {Array} messages - [{ role: 'system' | 'user' | 'assistant', content }]
+ * @param {Object} options - { purpose (key of LLM_PURPOSES), maxTokens, temperature, json, settings }
+ * @returns {Promise<Object>} { content, inputTokens, outputTokens, cost, provider, model }
+ */
+export const chatCompletion = async (messages, {
+  purpose = 'categorySuggestion',
+  maxTokens = 150,
+  temperature = 0.3,
+  json = false,
+  settings
+} = {}) => {
+  const config = getProviderConfig(settings);
+  const configError = getConfigError(config);
+  if (configError) {
+    throw new Error(configError);
+  }
+
+  const request = config.provider === 'anthropic'
+    ? buildAnthropicRequest(config, messages, { maxTokens, temperature })
+    : buildOpenAIRequest(config, messages, { maxTokens, temperature, json });
+  const startedAt = Date.now();
+  const usage = { provider: config.provider, model: config.model, purpose };
+
+  for (let retryCount = 0; ; retryCount++) {
+    try {
+      const response = await fetch(request.url, {
+        method: 'POST',
+        headers: request.headers,
+        body: JSON.stringify(request.body),
+        signal: AbortSignal.timeout(config.requestTimeout)
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        const error = new Error(`API Error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      const result = parseResponse(config.provider, await response.json());
+      await recordUsage({
+        ...usage,
+        inputTokens: result.inputTokens,
+        outputTokens: result.outputTokens,
+        durationMs: Date.now() - startedAt,
+        success: true
+      });
+      return {
+        ...result,
+        ...usage,
+        cost: estimateCost(config.provider, config.model, result.inputTokens, result.outputTokens)
+      };
+    } catch (error) {
+      if (retryCount < config.maxRetries && isRetryable(error)) {
+        await wait(Math.pow(2, retryCount) * 1000);
+        continue;
+      }
+      await recordUsage({
+        ...usage,
+        inputTokens: 0,
+        outputTokens: 0,
+        durationMs: Date.now() - startedAt,
+        success: false,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+};
+
+// Model names offered by an OpenAI-compatible or Anthropic /models endpoint
+const fetchModels = async (config) => {
+  const headers = config.provider === 'anthropic'
+    ? buildAnthropicRequest(config, [], {}).headers
+    : buildOpenAIRequest(config, [], {}).headers;
+  const response = await fetch(`${config.endpoint}/models`, {
+    method: 'GET',
+    headers,
+    signal: AbortSignal.timeout(config.requestTimeout)
+  });
+  if (!response.ok) {
+    throw new Error(`API接続に失敗しました: ${response.status}`);
+  }
+  const data = await response.json();
+  return (data.data || data.models || []).map(model => model.id || model.name).filter(Boolean).sort();
+};
+
+/**
+ * Test a provider with the given (possibly unsaved) settings
+ * OpenAI, Anthropic and local servers are asked for their model list; Azure OpenAI, which has
+ * no list per deployment, is sent a one-token completion.
+ * @param {Object} settings - App settings
+ * @returns {Promise<Object>} { success, message, models } or { success: false, error }
+ */
+export const testConnection = async (settings) => {
+  const config = getProviderConfig(settings);
+  const label = LLM_PROVIDERS[config.provider].label;
+
+  try {
+    if (config.provider === 'azure') {
+      const configError = getConfigError(config);
+      if (configError) return { success: false, error: configError };
+      await chatCompletion([{ role: 'user', content: 'ping' }], { purpose: 'connectionTest', maxTokens: 1, settings });
+      return { success: true, message: `${label}（${config.model}）への接続に成功しました`, models: [] };
+    }
+
+    // The model is chosen after the test, so only the endpoint, key and offline mode are checked here
+    const configError = getConfigError({ ...config, model: config.model || 'unset' });
+    if (configError) return { success: false, error: configError };
+
+    const models = await fetchModels(config);
+    if (config.model && models.length > 0 && !models.includes(config.model)) {
+      return {
+        success: true,
+        message: `${label}に接続しましたが、モデル「${config.model}」が見つかりません`,
+        models
+      };
+    }
+    return { success: true, message: `${label}への接続に成功しました（モデル${models.length}件）`, models };
+  } catch (error) {
+    return { success: false, error: `API接続エラー: ${error.message}` };
+  }
+};
+
+/**
+ * Token and cost totals of recorded calls
+ * @param {Object} options - { since: ISO date string }
+ * @returns {Promise<Object>} { success, data: { calls, failures, inputTokens, outputTokens, cost, byModel } }
+ */
+export const getUsageSummary = async ({ since } = {}) => {
+  try {
+    const entries = (await storage.getAll(USAGE_COLLECTION))
+      .filter(entry => !since || entry.createdAt >= since);
+
+    const byModel = {};
+    const totals = { calls: 0, failures: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+    entries.forEach(entry => {
+      const key = `${entry.provider}:${entry.model}`;
+      if (!byModel[key]) {
+        byModel[key] = { provider: entry.provider, model: entry.model, calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpriced: false };
+      }
+      [totals, byModel[key]].forEach(target => {
+        target.calls += 1;
+        target.inputTokens += entry.inputTokens || 0;
+        target.outputTokens += entry.outputTokens || 0;
+        target.cost += entry.cost || 0;
+      });
+      if (!entry.success) totals.failures += 1;
+      if (entry.cost === null && entry.success) byModel[key].unpriced = true;
+    });
+
+    return {
+      success: true,
+      data: { ...totals, byModel: Object.values(byModel).sort((a, b) => b.calls - a.calls) }
+    };
+  } catch (error) {
+    console.error('Error getting AI usage:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Delete the usage records
+export const clearUsage = async () => {
+  try {
+    await storage.setAll(USAGE_COLLECTION, []);
+    return { success: true };
+  } catch (error) {
+    console.error('Error clearing AI usage:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const llmService = {
+  chatCompletion,
+  testConnection,
+  getProviderConfig,
+  getConfigError,
+  isLLMAvailable,
+  isLoopbackEndpoint,
+  estimateCost,
+  getUsageSummary,
+  clearUsage
+};
+
+export default llmService;
@@ -8,7 +8,7 @@ import invoiceService from './invoiceService';
 // Create a new notification
 export const createNotification = async (notificationData) => {
   try {
-    const newNotification = storage.addItem('notifications', {
+    const newNotification = await storage.addItem('notifications', {
       ...notificationData,
       isRead: false,
       createdAt: new Date().toISOString(),
@@ -24,7 +24,7 @@ export const createNotification = async (notificationData) => {
 // Get all notifications
 export const getAllNotifications = async () => {
   try {
-    const notifications = storage.get('notifications') || [];
+    const notifications = await storage.getAll('notifications');
     // Sort by creation date (newest first)
     notifications.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
     return { success: true, data: notifications };
@@ -37,7 +37,7 @@ export const getAllNotifications = async () => {
 // Get unread notifications
 export const getUnreadNotifications = async () => {
   try {
-    const notifications = storage.findWhere('notifications', { isRead: false });
+    const notifications = await storage.findWhere('notifications', { isRead: false });
     notifications.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
     return { success: true, data: notifications };
   } catch (error) {
@@ -49,7 +49,7 @@ export const getUnreadNotifications = async () => {
 // Mark notification as read
 export const markAsRead = async (notificationId) => {
   try {
-    const updatedNotification = storage.updateItem('notifications', notificationId, {
+    const updatedNotification = await storage.updateItem('notifications', notificationId, {
       isRead: true,
       readAt: new Date().toISOString()
     });
@@ -63,11 +63,11 @@ export const markAsRead = async (notificationId) => {
 // Mark all notifications as read
 export const markAllAsRead = async () => {
   try {
-    const notifications = storage.get('notifications') || [];
+    const notifications = await storage.getAll('notifications');
     const unreadNotifications = notifications.filter(n => !n.isRead);
     
     for (const notification of unreadNotifications) {
-      storage.updateItem('notifications', notification.id, {
+      await storage.updateItem('notifications', notification.id, {
         isRead: true,
         readAt: new Date().toISOString()
       });
@@ -83,7 +83,7 @@ export const markAllAsRead = async () => {
 // Delete notification
 export const deleteNotification = async (notificationId) => {
   try {
-    storage.deleteItem('notifications', notificationId);
+    await storage.deleteItem('notifications', notificationId);
     return { success: true };
   } catch (error) {
     console.error('Error deleting notification:', error);
@@ -94,7 +94,7 @@ export const deleteNotification = async (notificationId) => {
 // Clear all notifications
 export const clearAllNotifications = async () => {
   try {
-    storage.set('notifications', []);
+    await storage.setAll('notifications', []);
     return { success: true };
   } catch (error) {
     console.error('Error clearing notifications:', error);
@@ -105,6 +105,7 @@ export const clearAllNotifications = async () => {
 // Check for invoice due date notifications
 export const checkInvoiceDueDates = async () => {
   try {
+    await invoiceService.refreshInvoiceStatuses();
     const [upcomingResult, overdueResult] = await Promise.all([
       invoiceService.getUpcomingInvoices(3), // 3 days ahead
       invoiceService.getOverdueInvoices()
@@ -119,7 +120,7 @@ export const checkInvoiceDueDates = async () => {
           (new Date(invoice.dueDate) - new Date()) / (1000 * 60 * 60 * 24)
         );
 
-        const existingNotifications = storage.findWhere('notifications', {
+        const existingNotifications = await storage.findWhere('notifications', {
           type: 'invoice_due_soon',
           relatedId: invoice.id
         });
@@ -145,7 +146,7 @@ export const checkInvoiceDueDates = async () => {
           (new Date() - new Date(invoice.dueDate)) / (1000 * 60 * 60 * 24)
         );
 
-        const existingNotifications = storage.findWhere('notifications', {
+        const existingNotifications = await storage.findWhere('notifications', {
           type: 'invoice_overdue',
           relatedId: invoice.id
         });
@@ -155,7 +156,9 @@ export const checkInvoiceDueDates = async () => {
           await createNotification({
             type: 'invoice_overdue',
             title: '請求書期日超過',
-            message: `請求書「${invoice.title}」が${daysOverdue}日遅れています。`,
+            message: invoiceService.isIssuedInvoice(invoice)
+              ? `${invoice.client}への請求書 ${invoice.invoiceNumber} の入金が${daysOverdue}日遅れています。`
+              : `請求書「${invoice.title}」が${daysOverdue}日遅れています。`,
             priority: 'high',
             relatedId: invoice.id,
             relatedType: 'invoice'
@@ -174,7 +177,7 @@ export const checkInvoiceDueDates = async () => {
 // Get notification statistics
 export const getNotificationStats = async () => {
   try {
-    const notifications = storage.get('notifications') || [];
+    const notifications = await storage.getAll('notifications');
     
     const total = notifications.length;
     const unread = notifications.filter(n => !n.isRead).length;
@@ -0,0 +1,447 @@
+import storage from './storage';
+import fileService from './fileService';
+import expenseService from './expenseService';
+import auditService from './auditService';
+import notificationService from './notificationService';
+import { analyzeOCRText, formatLineItems } from './ocrServiceNew';
+import { learnFromSelection } from './aiService';
+import { isPdfFile, readPdfPages } from '../utils/pdfDocument';
+import { getOCRAssetPaths, mergeOCRPages } from '../utils/ocrEngine';
+import { DEFAULT_TAX_CATEGORY, inferTaxCategory } from '../utils/consumptionTax';
+
+/**
+ * OCR Queue Service - Batch receipt scanning
+ * Dropped receipts are stored as files and queued in IndexedDB, so the queue survives a restart.
+ * Items are read one at a time by a Web Worker (workers/ocrWorker.js) and then wait for review;
+ * accepting an item creates the expense with the receipt attached.
+ */
+
+export const OCR_QUEUE_STATUSES = {
+  pending: '待機中',
+  processing: '読み取り中',
+  review: '確認待ち',
+  failed: '失敗',
+  cancelled: 'キャンセル',
+  accepted: '登録済み',
+  rejected: '却下'
+};
+
+export const OCR_QUEUE_STATUS_COLORS = {
+  pending: 'default',
+  processing: 'info',
+  review: 'warning',
+  failed: 'error',
+  cancelled: 'default',
+  accepted: 'success',
+  rejected: 'default'
+};
+
+// Receipts accepted in one drop
+export const MAX_BATCH_SIZE = 50;
+
+const COLLECTION = 'ocrQueue';
+
+// Statuses whose items are finished and can be cleared from the queue
+const FINISHED_STATUSES = ['accepted', 'rejected', 'cancelled'];
+
+// State of the running queue; progress is only kept in memory
+const listeners = new Set();
+const progressById = {};
+let worker = null;
+let currentJob = null;
+let running = false;
+let rerunRequested = false;
+let recovered = false;
+
+const notify = (changed = true) => {
+  listeners.forEach(listener => listener({ changed, progress: { ...progressById } }));
+};
+
+/**
+ * Listen to queue changes
+ * @param {Function} listener - Called with { changed, progress } where progress maps item ids to 0-1
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeOCRQueue = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const terminateWorker = () => {
+  if (worker) {
+    worker.terminate();
+    worker = null;
+  }
+};
+
+const handleWorkerMessage = ({ data }) => {
+  if (!currentJob || data.jobId !== currentJob.jobId) return;
+  if (data.type === 'progress') {
+    // Recognition takes the 10-90% span of an item; reading the file and analysis share the rest
+    progressById[data.jobId] = 0.1 + data.progress * 0.8;
+    notify(false);
+  } else if (data.type === 'result') {
+    currentJob.resolve(data.pages);
+  } else if (data.type === 'error') {
+    currentJob.reject(new Error(data.message));
+  }
+};
+
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('../workers/ocrWorker.js', import.meta.url));
+    worker.addEventListener('message', handleWorkerMessage);
+    worker.addEventListener('error', (event) => {
+      if (currentJob) currentJob.reject(new Error(event.message || 'OCRワーカーでエラーが発生しました'));
+      terminateWorker();
+    });
+  }
+  return worker;
+};
+
+// Recognize images in the worker
+const recognizeInWorker = (jobId, images) => new Promise((resolve, reject) => {
+  currentJob = { jobId, resolve, reject };
+  getWorker().postMessage({ type: 'recognize', jobId, images, paths: getOCRAssetPaths() });
+}).finally(() => {
+  currentJob = null;
+});
+
+// Read a queued file into merged OCR pages; PDF pages with embedded text skip OCR
+const readQueueItem = async (item) => {
+  const blobResult = await fileService.getFileBlob(item.fileId);
+  if (!blobResult.success) {
+    throw new Error(blobResult.error);
+  }
+
+  const pages = isPdfFile(item.mimeType)
+    ? await readPdfPages(blobResult.data)
+    : [{ pageNumber: 1, source: 'ocr', image: blobResult.data }];
+  progressById[item.id] = 0.1;
+  notify(false);
+
+  const scannedPages = pages.filter(page => page.source === 'ocr');
+  if (scannedPages.length > 0) {
+    const results = await recognizeInWorker(item.id, scannedPages.map(page => page.image));
+    scannedPages.forEach((page, index) => Object.assign(page, results[index]));
+  }
+  return mergeOCRPages(pages);
+};
+
+// Update an item unless it was cancelled while it was being read
+const updateIfProcessing = async (id, updates) => {
+  const current = await storage.findById(COLLECTION, id);
+  if (current && current.status === 'processing') {
+    await storage.updateItem(COLLECTION, id, updates);
+  }
+};
+
+const processItem = async (item) => {
+  await storage.updateItem(COLLECTION, item.id, {
+    status: 'processing',
+    attempts: (item.attempts || 0) + 1,
+    error: null
+  });
+  progressById[item.id] = 0;
+  notify();
+
+  try {
+    const ocrData = await readQueueItem(item);
+    progressById[item.id] = 0.9;
+    notify(false);
+
+    const analysis = await analyzeOCRText(ocrData);
+    if (!analysis.success) {
+      throw new Error(analysis.error);
+    }
+    await updateIfProcessing(item.id, { status: 'review', result: analysis.data });
+    return true;
+  } catch (error) {
+    console.error('Error reading queued receipt:', error);
+    await updateIfProcessing(item.id, {
+      status: 'failed',
+      error: error.name === 'PasswordException' ? 'パスワードで保護されたPDFは読み取れません' : error.message
+    });
+    return false;
+  } finally {
+    delete progressById[item.id];
+    notify();
+  }
+};
+
+/**
+ * Read every pending receipt, oldest first
+ * Only one run is active at a time; a call made while running returns at once and the queue is
+ * read again when the current run ends. Items left in `processing` by an earlier session are
+ * queued again on the first run.
+ * @returns {Promise<Object>} { success, data: { processed } }
+ */
+export const startOCRQueue = async () => {
+  if (running) {
+    rerunRequested = true;
+    return { success: true, data: { processed: 0 } };
+  }
+  running = true;
+  rerunRequested = false;
+
+  try {
+    if (!recovered) {
+      recovered = true;
+      const interrupted = await storage.findWhere(COLLECTION, { status: 'processing' });
+      for (const item of interrupted) {
+        await storage.updateItem(COLLECTION, item.id, { status: 'pending' });
+      }
+    }
+
+    let processed = 0;
+    for (;;) {
+      const pending = (await storage.findWhere(COLLECTION, { status: 'pending' })).sort((a, b) => a.id - b.id);
+      if (pending.length === 0) break;
+      if (await processItem(pending[0])) processed += 1;
+    }
+
+    if (processed > 0) {
+      await notificationService.createNotification({
+        type: 'ocr_completed',
+        title: 'レシート一括読取',
+        message: `レシート${processed}件の読み取りが完了しました。内容を確認して登録してください。`,
+        priority: 'low',
+        relatedType: 'ocrQueue'
+      });
+    }
+    return { success: true, data: { processed } };
+  } catch (error) {
+    console.error('Error running OCR queue:', error);
+    return { success: false, error: error.message };
+  } finally {
+    running = false;
+    // Tesseract holds its language data in memory; release it once the queue is empty
+    terminateWorker();
+    if (rerunRequested) {
+      startOCRQueue();
+    }
+  }
+};
+
+/**
+ * Add receipts to the queue and start reading them
+ * @param {Array<File>} files - Images or PDFs
+ * @returns {Promise<Object>} { queued, errors: [{ fileName, message }] }
+ */
+export const enqueueReceipts = async (files) => {
+  try {
+    if (files.length > MAX_BATCH_SIZE) {
+      return { success: false, error: `一度に追加できるのは${MAX_BATCH_SIZE}件までです。` };
+    }
+
+    const errors = [];
+    let queued = 0;
+    for (const file of files) {
+      if (!fileService.isImageFile(file.type) && !isPdfFile(file)) {
+        errors.push({ fileName: file.name, message: '画像またはPDFではありません' });
+        continue;
+      }
+
+      const upload = await fileService.uploadFile(file);
+      if (!upload.success) {
+        errors.push({ fileName: file.name, message: upload.error });
+        continue;
+      }
+
+      await storage.addItem(COLLECTION, {
+        fileId: upload.data.id,
+        fileName: file.name,
+        mimeType: upload.data.mimeType,
+        status: 'pending',
+        attempts: 0,
+        result: null,
+        error: null,
+        expenseId: null
+      });
+      queued += 1;
+    }
+
+    notify();
+    if (queued > 0) {
+      startOCRQueue();
+    }
+    return { success: true, data: { queued, errors } };
+  } catch (error) {
+    console.error('Error queueing receipts:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Get queued receipts in the order they were added
+export const getOCRQueueItems = async () => {
+  try {
+    const items = await storage.getAll(COLLECTION);
+    return { success: true, data: items.sort((a, b) => a.id - b.id) };
+  } catch (error) {
+    console.error('Error getting OCR queue:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Get the progress of items being read (0-1 by item id)
+export const getOCRQueueProgress = () => ({ ...progressById });
+
+// Stop a receipt that is waiting or being read
+export const cancelOCRQueueItem = async (id) => {
+  try {
+    const item = await storage.findById(COLLECTION, id);
+    if (!item || !['pending', 'processing'].includes(item.status)) {
+      return { success: false, error: 'この項目はキャンセルできません。' };
+    }
+
+    await storage.updateItem(COLLECTION, id, { status: 'cancelled' });
+    // Tesseract cannot stop mid-page, so the worker is terminated and recreated for the next item
+    if (currentJob && currentJob.jobId === id) {
+      currentJob.reject(new Error('キャンセルされました'));
+      terminateWorker();
+    }
+    notify();
+    return { success: true };
+  } catch (error) {
+    console.error('Error cancelling OCR queue item:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Read a failed or cancelled receipt again
+export const retryOCRQueueItem = async (id) => {
+  try {
+    const item = await storage.findById(COLLECTION, id);
+    if (!item || !['failed', 'cancelled'].includes(item.status)) {
+      return { success: false, error: 'この項目は再実行できません。' };
+    }
+
+    await storage.updateItem(COLLECTION, id, { status: 'pending', error: null });
+    notify();
+    startOCRQueue();
+    return { success: true };
+  } catch (error) {
+    console.error('Error retrying OCR queue item:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Create the expense of a reviewed receipt
+ * Fields left out fall back to what was read from the receipt.
+ * @param {number} id - Queue item ID
+ * @param {Object} fields - { categoryId (required), date, amount, vendor, description, registrationNumber, taxCategory, memo, userId }
+ * @returns {Promise<Object>} Created expense
+ */
+export const acceptOCRQueueItem = async (id, fields = {}) => {
+  try {
+    const item = await storage.findById(COLLECTION, id);
+    if (!item || item.status !== 'review') {
+      return { success: false, error: 'この項目は登録できません。' };
+    }
+
+    const result = item.result || {};
+    const amount = Number(fields.amount ?? result.amount);
+    const vendor = (fields.vendor ?? result.vendor ?? '').trim();
+    const description = (fields.description ?? vendor).trim();
+
+    const expenseResult = await expenseService.createExpense({
+      date: fields.date ?? result.date,
+      amount,
+      // Receipt totals include tax; the printed tax tells the rate
+      taxCategory: fields.taxCategory || inferTaxCategory(amount, result.tax) || DEFAULT_TAX_CATEGORY,
+      taxEntryMode: 'inclusive',
+      description,
+      vendor,
+      registrationNumber: fields.registrationNumber ?? result.registrationNumber ?? '',
+      categoryId: fields.categoryId,
+      userId: fields.userId || auditService.getCurrentUserId() || '',
+      memo: fields.memo ?? formatLineItems(result.items),
+      tags: [],
+      fileIds: [item.fileId]
+    });
+    if (!expenseResult.success) {
+      return expenseResult;
+    }
+
+    await storage.updateItem(COLLECTION, id, { status: 'accepted', expenseId: expenseResult.data.id });
+
+    const category = await storage.findById('categories', fields.categoryId);
+    if (category && description) {
+      learnFromSelection(description, category.name, 'expense');
+    }
+
+    notify();
+    return { success: true, data: expenseResult.data };
+  } catch (error) {
+    console.error('Error accepting OCR queue item:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Dismiss a reviewed receipt without creating an expense
+export const rejectOCRQueueItem = async (id) => {
+  try {
+    const item = await storage.findById(COLLECTION, id);
+    if (!item || item.status !== 'review') {
+      return { success: false, error: 'この項目は却下できません。' };
+    }
+
+    await storage.updateItem(COLLECTION, id, { status: 'rejected' });
+    notify();
+    return { success: true };
+  } catch (error) {
+    console.error('Error rejecting OCR queue item:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Return a rejected receipt to review
+export const restoreOCRQueueItem = async (id) => {
+  try {
+    const item = await storage.findById(COLLECTION, id);
+    if (!item || item.status !== 'rejected') {
+      return { success: false, error: 'この項目は戻せません。' };
+    }
+
+    await storage.updateItem(COLLECTION, id, { status: 'review' });
+    notify();
+    return { success: true };
+  } catch (error) {
+    console.error('Error restoring OCR queue item:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Remove finished items (registered, rejected and cancelled) from the queue
+// The stored receipt files stay; registered expenses keep them attached.
+export const clearFinishedOCRQueueItems = async () => {
+  try {
+    const items = await storage.getAll(COLLECTION);
+    const finished = items.filter(item => FINISHED_STATUSES.includes(item.status));
+    for (const item of finished) {
+      await storage.deleteItem(COLLECTION, item.id);
+    }
+    notify();
+    return { success: true, data: { cleared: finished.length } };
+  } catch (error) {
+    console.error('Error clearing OCR queue:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const ocrQueueService = {
+  subscribeOCRQueue,
+  startOCRQueue,
+  enqueueReceipts,
+  getOCRQueueItems,
+  getOCRQueueProgress,
+  cancelOCRQueueItem,
+  retryOCRQueueItem,
+  acceptOCRQueueItem,
+  rejectOCRQueueItem,
+  restoreOCRQueueItem,
+  clearFinishedOCRQueueItems
+};
+
+export default ocrQueueService;
@@ -1,6 +1,18 @@
-import Tesseract from 'tesseract.js';
 import { preprocessImage, needsPreprocessing } from '../utils/imagePreprocessing';
-import storage from './storage';
+import { chatCompletion, isLLMAvailable } from './llmService';
+import { findRegistrationNumber } from '../utils/invoiceRegistration';
+import { isPdfFile, readPdfPages } from '../utils/pdfDocument';
+import { createOCRWorker, getOCRAssetPaths, recognizeImage, mergeOCRPages } from '../utils/ocrEngine';
+import {
+  CONFIDENCE_FIELDS,
+  recognitionConfidence,
+  isTaxConsistent,
+  isTotalLine,
+  amountAgreement,
+  dateAgreement,
+  vendorAgreement,
+  scoreField,
+} from '../utils/ocrConfidence';
 
 /**
  * OCR Service - Alternative implementation for Tesseract.js v5 with GPT enhancement
@@ -33,14 +45,7 @@ export const performOCR = async (imageFile, onProgress) => {
     }
 
     // Create a worker for better control over parameters
-    const worker = await Tesseract.createWorker('jpn+eng');
-    
-    // Set parameters for better Japanese recognition
-    await worker.setParameters({
-      tessedit_pageseg_mode: Tesseract.PSM.AUTO, // Automatic page segmentation
-      preserve_interword_spaces: '1',
-      // Remove whitelist to allow all characters
-    });
+    const worker = await createOCRWorker(getOCRAssetPaths());
     
     // Since we can't get progress updates without logger, simulate progress
     if (onProgress) {
@@ -51,11 +56,13 @@ export const performOCR = async (imageFile, onProgress) => {
     }
     
     // Perform recognition
-    const result = await worker.recognize(processedImage);
-    
-    
-    // Terminate worker
-    await worker.terminate();
+    let ocrData;
+    try {
+      ocrData = await recognizeImage(worker, processedImage);
+    } finally {
+      // Terminate worker
+      await worker.terminate();
+    }
     
     // Complete progress
     if (onProgress) {
@@ -65,57 +72,103 @@ export const performOCR = async (imageFile, onProgress) => {
       });
     }
 
-    // Extract and return data
-    const ocrData = {
-      text: result.data?.text || '',
-      confidence: result.data?.confidence || 0,
-      lines: []
+    return {
+      success: true,
+      data: ocrData
     };
+  } catch (error) {
+    console.error('OCR Error:', error);
+    return {
+      success: false,
+      error: `OCR処理中にエラーが発生しました: ${error.message}`
+    };
+  }
+};
 
-    // Process lines if available
-    if (result.data?.lines && Array.isArray(result.data.lines)) {
-      ocrData.lines = result.data.lines.map(line => ({
-        text: line.text || '',
-        confidence: line.confidence || 0,
-        bbox: line.bbox || null
-      }));
+/**
+ * Read every page of a PDF receipt or invoice
+ * Pages with an embedded text layer are read directly; only scanned pages are rendered and
+ * passed through Tesseract. The page texts are merged in page order so the document is
+ * extracted as one transaction.
+ * @param {File} pdfFile - PDF file
+ * @param {Function} onProgress - Receives { status, progress, page, pageCount }
+ * @returns {Promise<Object>} { text, confidence, lines, pages: [{ pageNumber, source, confidence }] }
+ */
+export const performPdfOCR = async (pdfFile, onProgress) => {
+  let worker = null;
+  try {
+    if (onProgress) {
+      onProgress({
+        status: 'initializing',
+        progress: 0
+      });
+    }
+
+    const pages = await readPdfPages(pdfFile, ({ page, pageCount }) => {
+      if (onProgress) {
+        onProgress({
+          status: 'processing',
+          progress: Math.round(((page - 1) / pageCount) * 30),
+          page,
+          pageCount
+        });
+      }
+    });
+
+    // Scanned pages: one worker is shared by all pages of the document
+    const scannedPages = pages.filter(page => page.source === 'ocr');
+    for (const [index, page] of scannedPages.entries()) {
+      if (onProgress) {
+        onProgress({
+          status: 'processing',
+          progress: 30 + Math.round((index / scannedPages.length) * 30),
+          page: page.pageNumber,
+          pageCount: pages.length
+        });
+      }
+      worker = worker || await createOCRWorker(getOCRAssetPaths());
+      const image = await needsPreprocessing(page.image) ? await preprocessImage(page.image) : page.image;
+      Object.assign(page, await recognizeImage(worker, image));
+    }
+
+    if (onProgress) {
+      onProgress({
+        status: 'completed',
+        progress: 100,
+        page: pages.length,
+        pageCount: pages.length
+      });
     }
 
     return {
       success: true,
-      data: ocrData
+      data: mergeOCRPages(pages)
     };
   } catch (error) {
-    console.error('OCR Error:', error);
+    console.error('PDF OCR Error:', error);
     return {
       success: false,
-      error: `OCR処理中にエラーが発生しました: ${error.message}`
+      error: error.name === 'PasswordException'
+        ? 'パスワードで保護されたPDFは読み取れません。'
+        : `PDFの読み取り中にエラーが発生しました: ${error.message}`
     };
+  } finally {
+    if (worker) await worker.terminate();
   }
 };
 
-// Enhance OCR text using GPT
-async function enhanceOCRWithGPT(ocrText) {
+// Enhance OCR text with the configured AI provider
+// In offline mode only a local server is called; without a usable provider the text is returned as is
+async function enhanceOCRWithLLM(ocrText) {
   try {
-    const settings = storage.get('settings') || {};
-    const apiKey = settings.openaiApiKey;
-    
-    if (!apiKey) {
+    if (!isLLMAvailable()) {
       return ocrText;
     }
-    
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o-mini',
-        messages: [
-          {
-            role: 'system',
-            content: `あなたは日本のレシートや領収書を解析するAIアシスタントです。
+
+    const { content } = await chatCompletion([
+      {
+        role: 'system',
+        content: `あなたは日本のレシートや領収書を解析するAIアシスタントです。
 与えられたOCRテキスト（文字認識の生データ）から、以下の情報を正確に抽出してください：
 
 1. 合計金額（税込）
@@ -124,6 +177,7 @@ async function enhanceOCRWithGPT(ocrText) {
 4. 商品明細（商品名と価格のリスト）
 5. 税額
 6. カテゴリ（食費、交通費、消耗品費など）
+7. 適格請求書発行事業者登録番号（「T」と13桁の数字）
 
 OCRの誤認識を修正し、日本語として正しい形に整形してください。
 情報が不明確な場合は、最も可能性の高い解釈をしてください。
@@ -136,26 +190,16 @@ OCRの誤認識を修正し、日本語として正しい形に整形してく
   "items": [{"name": "商品名", "price": 価格}],
   "tax": 税額（数値）,
   "category": "カテゴリ名",
+  "registrationNumber": "T1234567890123（記載がなければnull）",
   "originalText": "整形後のテキスト"
 }`
-          },
-          {
-            role: 'user',
-            content: `以下のOCRテキストからレシート情報を抽出してください：\n\n${ocrText}`
-          }
-        ],
-        max_tokens: 800,
-        temperature: 0.3
-      })
-    });
-    
-    if (!response.ok) {
-      return ocrText;
-    }
-    
-    const data = await response.json();
-    const content = data.choices[0]?.message?.content;
-    
+      },
+      {
+        role: 'user',
+        content: `以下のOCRテキストからレシート情報を抽出してください：\n\n${ocrText}`
+      }
+    ], { purpose: 'receiptOCR', maxTokens: 800, temperature: 0.3, json: true });
+
     if (!content) {
       return ocrText;
     }
@@ -173,8 +217,16 @@ OCRの誤認識を修正し、日本語として正しい形に整形してく
   }
 }
 
-// Extract expense/income data from OCR text
-export const extractTransactionData = (ocrText) => {
+/**
+ * Extract expense/income data from OCR text
+ * Each field gets a confidence score (data.fieldConfidence) from the Tesseract confidence of the
+ * words it was read from and how well it agrees with the rest of the receipt.
+ * @param {string} ocrText - Recognized text
+ * @param {Object} ocrData - Optional { lines, confidence } from the OCR; without it only the
+ *   pattern agreement is scored
+ * @returns {Object} { success, data, confidence }
+ */
+export const extractTransactionData = (ocrText, ocrData = {}) => {
   try {
     // Validate input
     if (!ocrText || typeof ocrText !== 'string') {
@@ -192,9 +244,19 @@ export const extractTransactionData = (ocrText) => {
       items: [],
       category: null,
       tax: null,
-      total: null
+      total: null,
+      registrationNumber: null,
+      fieldConfidence: { amount: null, date: null, tax: null, vendor: null }
     };
 
+    // Text of the line a match starts in
+    const lineOf = (index) => {
+      const start = ocrText.lastIndexOf('\n', index - 1) + 1;
+      const end = ocrText.indexOf('\n', index);
+      return ocrText.slice(start, end === -1 ? undefined : end);
+    };
+    const sources = {};
+
     // Extract amount (look for patterns like ¥1,234 or 1,234円)
     const amountPatterns = [
       /¥\s*([\d,]+)/g,
@@ -204,22 +266,26 @@ export const extractTransactionData = (ocrText) => {
       /計[：:]\s*([\d,]+)/g,
     ];
 
+    const amountMatches = [];
     for (const pattern of amountPatterns) {
       const matches = ocrText.matchAll(pattern);
       for (const match of matches) {
         const amount = parseInt(match[1].replace(/,/g, ''));
+        if (amount) {
+          amountMatches.push({ amount, text: match[0], line: lineOf(match.index) });
+        }
         if (amount && (!data.amount || amount > data.amount)) {
           data.amount = amount;
         }
       }
     }
 
-    // Extract date (various formats)
+    // Extract date (various formats); patterns are not global so match() returns the groups
     const datePatterns = [
-      /(\d{4})[年/-](\d{1,2})[月/-](\d{1,2})[日]?/g,
-      /(\d{1,2})[月/-](\d{1,2})[日/-](\d{4})/g,
-      /令和(\d+)年(\d{1,2})月(\d{1,2})日/g,
-      /R(\d+)\.(\d{1,2})\.(\d{1,2})/g,
+      /(\d{4})[年/-](\d{1,2})[月/-](\d{1,2})[日]?/,
+      /(\d{1,2})[月/-](\d{1,2})[日/-](\d{4})/,
+      /令和(\d+)年(\d{1,2})月(\d{1,2})日/,
+      /R(\d+)\.(\d{1,2})\.(\d{1,2})/,
     ];
 
     for (const pattern of datePatterns) {
@@ -243,6 +309,7 @@ export const extractTransactionData = (ocrText) => {
         }
         
         data.date = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+        sources.date = match[0];
         break;
       }
     }
@@ -252,23 +319,28 @@ export const extractTransactionData = (ocrText) => {
     if (lines.length > 0) {
       // First non-empty line is often the store name
       data.vendor = lines[0].trim();
+      sources.vendor = data.vendor;
     }
 
     // Extract tax information
     const taxPatterns = [
-      /消費税[：:]\s*([\d,]+)/g,
-      /税[：:]\s*([\d,]+)/g,
-      /内税[：:]\s*([\d,]+)/g,
+      /消費税[：:]\s*([\d,]+)/,
+      /税[：:]\s*([\d,]+)/,
+      /内税[：:]\s*([\d,]+)/,
     ];
 
     for (const pattern of taxPatterns) {
       const match = ocrText.match(pattern);
       if (match) {
         data.tax = parseInt(match[1].replace(/,/g, ''));
+        sources.tax = match[0];
         break;
       }
     }
 
+    // Extract the インボイス registration number (T + 13 digits with a valid check digit)
+    data.registrationNumber = findRegistrationNumber(ocrText);
+
     // Try to categorize based on vendor or items
     const categoryKeywords = {
       '交通費': ['JR', '鉄道', 'タクシー', 'バス', '交通', '駅', 'SUICA', 'PASMO'],
@@ -300,6 +372,30 @@ export const extractTransactionData = (ocrText) => {
       }
     }
 
+    // Score each field; text that cannot be traced to an OCR line falls back to the page confidence
+    const recognition = (text) => recognitionConfidence(text, ocrData.lines || []);
+    const pageConfidence = ocrData.confidence ?? 100;
+    const taxConsistent = isTaxConsistent(data.amount, data.tax);
+
+    if (data.amount) {
+      const totals = amountMatches.filter(match => match.amount === data.amount);
+      const agreement = amountAgreement({
+        labeled: totals.some(match => isTotalLine(match.line)),
+        occurrences: new Set(totals.map(match => match.line)).size,
+        taxConsistent
+      });
+      data.fieldConfidence.amount = scoreField(recognition(totals[0].text), agreement, pageConfidence);
+    }
+    if (data.date) {
+      data.fieldConfidence.date = scoreField(recognition(sources.date), dateAgreement(data.date), pageConfidence);
+    }
+    if (data.tax) {
+      data.fieldConfidence.tax = scoreField(recognition(sources.tax), taxConsistent ? 1 : 0.6, pageConfidence);
+    }
+    if (data.vendor) {
+      data.fieldConfidence.vendor = scoreField(recognition(sources.vendor), vendorAgreement(data.vendor), pageConfidence);
+    }
+
     return {
       success: true,
       data,
@@ -314,41 +410,45 @@ export const extractTransactionData = (ocrText) => {
   }
 };
 
-// Process receipt image and extract structured data
-export const processReceipt = async (imageFile, onProgress) => {
-  try {
-    // First perform OCR
-    const ocrResult = await performOCR(imageFile, onProgress);
-    
-    if (!ocrResult.success) {
-      return ocrResult;
-    }
-
-    // Update progress for GPT processing
-    if (onProgress) {
-      onProgress({
-        status: 'analyzing',
-        progress: 70
-      });
-    }
+// Line items read from a receipt or invoice as memo text, one item per line
+export const formatLineItems = (items = []) => (
+  items.map(item => `${item.name} ${Number(item.price || 0).toLocaleString('ja-JP')}`).join('\n')
+);
+
+// Score of a value the model read but the patterns did not; below the threshold so it is checked by hand
+const MODEL_ONLY_CONFIDENCE = 50;
+
+// Field scores of a GPT result: values matching the pattern extraction keep its score
+const scoreModelFields = (enhancedData, extracted) => CONFIDENCE_FIELDS.reduce((scores, field) => {
+  const value = enhancedData[field];
+  if (value === null || value === undefined || value === '') {
+    scores[field] = null;
+  } else if (extracted && String(value).replace(/\s/g, '') === String(extracted[field] ?? '').replace(/\s/g, '')) {
+    scores[field] = extracted.fieldConfidence[field];
+  } else {
+    scores[field] = MODEL_ONLY_CONFIDENCE;
+  }
+  return scores;
+}, {});
 
+/**
+ * Turn OCR output into transaction fields
+ * The AI provider is used when one is configured; otherwise the fields are extracted with patterns.
+ * @param {Object} ocrData - { text, confidence, lines, pages } from performOCR, performPdfOCR or the OCR worker
+ * @returns {Promise<Object>} Result with amount, date, vendor, items, tax, registrationNumber, confidence
+ *   and fieldConfidence
+ */
+export const analyzeOCRText = async (ocrData) => {
+  try {
     // Try to enhance with GPT if OCR text is available
     let enhancedData = null;
-    if (ocrResult.data.text) {
-      enhancedData = await enhanceOCRWithGPT(ocrResult.data.text);
+    if (ocrData.text) {
+      enhancedData = await enhanceOCRWithLLM(ocrData.text);
     }
 
     // If GPT returned structured data, use it
     if (enhancedData && typeof enhancedData === 'object' && enhancedData.amount) {
-      
-      // Complete progress
-      if (onProgress) {
-        onProgress({
-          status: 'completed',
-          progress: 100
-        });
-      }
-      
+      const extracted = extractTransactionData(ocrData.text, ocrData);
       return {
         success: true,
         data: {
@@ -358,37 +458,75 @@ export const processReceipt = async (imageFile, onProgress) => {
           items: enhancedData.items || [],
           category: enhancedData.category,
           tax: enhancedData.tax,
-          ocrText: enhancedData.originalText || ocrResult.data.text,
+          // The model may misread digits, so the number is only kept when its check digit matches
+          registrationNumber: findRegistrationNumber(enhancedData.registrationNumber)
+            || findRegistrationNumber(ocrData.text),
+          ocrText: enhancedData.originalText || ocrData.text,
           confidence: 85, // Higher confidence with GPT enhancement
+          fieldConfidence: scoreModelFields(enhancedData, extracted.success ? extracted.data : null),
+          pages: ocrData.pages,
           enhanced: true
         }
       };
     }
 
     // Fallback to traditional extraction if GPT enhancement failed
-    const extractResult = extractTransactionData(ocrResult.data.text);
+    const extractResult = extractTransactionData(ocrData.text, ocrData);
     
     if (!extractResult.success) {
       return extractResult;
     }
 
-    // Complete progress
-    if (onProgress) {
-      onProgress({
-        status: 'completed',
-        progress: 100
-      });
-    }
-
     return {
       success: true,
       data: {
         ...extractResult.data,
-        ocrText: ocrResult.data.text,
-        confidence: ocrResult.data.confidence,
+        ocrText: ocrData.text,
+        confidence: ocrData.confidence,
+        pages: ocrData.pages,
         enhanced: false
       }
     };
+  } catch (error) {
+    console.error('Error analyzing OCR text:', error);
+    return {
+      success: false,
+      error: 'レシート処理中にエラーが発生しました。'
+    };
+  }
+};
+
+// Process a receipt image or PDF and extract structured data
+export const processReceipt = async (file, onProgress) => {
+  try {
+    // First perform OCR; PDFs are read page by page and merged into one text
+    const ocrResult = isPdfFile(file)
+      ? await performPdfOCR(file, onProgress)
+      : await performOCR(file, onProgress);
+    
+    if (!ocrResult.success) {
+      return ocrResult;
+    }
+
+    // Update progress for GPT processing
+    if (onProgress) {
+      onProgress({
+        status: 'analyzing',
+        progress: 70
+      });
+    }
+
+    const analysis = await analyzeOCRText(ocrResult.data);
+
+    // Complete progress
+    if (analysis.success && onProgress) {
+      onProgress({
+        status: 'completed',
+        progress: 100
+      });
+    }
+
+    return analysis;
   } catch (error) {
     console.error('Error processing receipt:', error);
     return {
@@ -400,7 +538,10 @@ export const processReceipt = async (imageFile, onProgress) => {
 
 const ocrService = {
   performOCR,
+  performPdfOCR,
   extractTransactionData,
+  analyzeOCRText,
+  formatLineItems,
   processReceipt,
   cleanupWorker: async () => {} // No cleanup needed for this approach
 };
@@ -0,0 +1,241 @@
+import storage from './storage';
+import auditService from './auditService';
+import { toDateString } from '../utils/recurrence';
+
+/**
+ * Payment Account Service - Cash, bank and credit card accounts that transactions are paid from
+ * or received into. Every journal entry posts its money side to one of these accounts; the
+ * default account is used for transactions that do not name one.
+ */
+
+export const PAYMENT_ACCOUNT_KINDS = {
+  cash: '現金',
+  bank: '銀行口座',
+  credit_card: 'クレジットカード'
+};
+
+// Credit cards are paid later, so they are liabilities; the others are assets
+export const LIABILITY_KINDS = ['credit_card'];
+
+const COLLECTION = 'paymentAccounts';
+
+const DEFAULT_ACCOUNTS = [
+  { name: '現金', kind: 'cash', isDefault: true },
+  { name: '普通預金', kind: 'bank', isDefault: false },
+  { name: 'クレジットカード', kind: 'credit_card', isDefault: false }
+];
+
+// IDs from form selects may be strings
+const sameId = (a, b) => a !== null && a !== undefined && b !== null && b !== undefined && String(a) === String(b);
+
+// Seed the default accounts once; concurrent callers wait for the same run
+let seeding = null;
+const ensureDefaultAccounts = async () => {
+  if (!seeding) {
+    seeding = (async () => {
+      const accounts = await storage.getAll(COLLECTION);
+      if (accounts.length > 0) return;
+      const openingDate = toDateString(new Date());
+      for (const account of DEFAULT_ACCOUNTS) {
+        await storage.addItem(COLLECTION, { ...account, openingBalance: 0, openingDate, memo: '', isActive: true });
+      }
+    })();
+    seeding.catch(() => { seeding = null; });
+  }
+  return seeding;
+};
+
+// Get payment accounts (the default account first)
+export const getPaymentAccounts = async ({ activeOnly = false } = {}) => {
+  try {
+    await ensureDefaultAccounts();
+    const accounts = await storage.getAll(COLLECTION);
+    const kindOrder = Object.keys(PAYMENT_ACCOUNT_KINDS);
+    return {
+      success: true,
+      data: accounts
+        .filter(account => !activeOnly || account.isActive !== false)
+        .sort((a, b) =>
+          (b.isDefault ? 1 : 0) - (a.isDefault ? 1 : 0) ||
+          kindOrder.indexOf(a.kind) - kindOrder.indexOf(b.kind) ||
+          a.id - b.id
+        )
+    };
+  } catch (error) {
+    console.error('Error getting payment accounts:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Resolve the account a transaction is paid from
+ * @param {Array} accounts - Payment accounts
+ * @param {number|string|null} accountId - Account chosen on the transaction
+ * @param {string|null} kind - Preferred kind when no account was chosen (e.g. 'bank')
+ * @returns {Object|null} Payment account
+ */
+export const resolvePaymentAccount = (accounts, accountId = null, kind = null) => {
+  return accounts.find(account => sameId(account.id, accountId))
+    || (kind && accounts.find(account => account.kind === kind && account.isActive !== false))
+    || accounts.find(account => account.isDefault)
+    || accounts[0]
+    || null;
+};
+
+const validateAccount = (account) => {
+  if (!account.name || !account.name.trim()) {
+    return '口座名を入力してください。';
+  }
+  if (!PAYMENT_ACCOUNT_KINDS[account.kind]) {
+    return '口座の種類を選択してください。';
+  }
+  if (account.openingBalance !== undefined && Number.isNaN(Number(account.openingBalance))) {
+    return '開始残高は数値で入力してください。';
+  }
+  return null;
+};
+
+const pickAccountFields = (data) => {
+  return ['name', 'kind', 'openingBalance', 'openingDate', 'memo', 'isDefault', 'isActive'].reduce((acc, field) => {
+    if (data[field] !== undefined) acc[field] = data[field];
+    return acc;
+  }, {});
+};
+
+// Only one account is the default
+const clearOtherDefaults = async (id) => {
+  const accounts = await storage.getAll(COLLECTION);
+  for (const account of accounts) {
+    if (account.isDefault && !sameId(account.id, id)) {
+      await storage.updateItem(COLLECTION, account.id, { isDefault: false });
+    }
+  }
+};
+
+// Create a payment account
+export const createPaymentAccount = async (accountData) => {
+  try {
+    await ensureDefaultAccounts();
+    const fields = pickAccountFields(accountData);
+    const error = validateAccount(fields);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const account = await storage.addItem(COLLECTION, {
+      memo: '',
+      openingDate: toDateString(new Date()),
+      ...fields,
+      name: fields.name.trim(),
+      openingBalance: Number(fields.openingBalance) || 0,
+      isDefault: Boolean(fields.isDefault),
+      isActive: true
+    });
+
+    if (account.isDefault) {
+      await clearOtherDefaults(account.id);
+    }
+
+    await auditService.logAuditEntry({
+      entityType: 'paymentAccount',
+      entityId: account.id,
+      action: 'create',
+      after: account
+    });
+
+    return { success: true, data: account };
+  } catch (error) {
+    console.error('Error creating payment account:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Update a payment account
+export const updatePaymentAccount = async (id, updates) => {
+  try {
+    const account = await storage.findById(COLLECTION, id);
+    if (!account) {
+      return { success: false, error: '口座が見つかりません。' };
+    }
+
+    const changes = pickAccountFields(updates);
+    const error = validateAccount({ ...account, ...changes });
+    if (error) {
+      return { success: false, error };
+    }
+    if (changes.name !== undefined) {
+      changes.name = changes.name.trim();
+    }
+    if (changes.openingBalance !== undefined) {
+      changes.openingBalance = Number(changes.openingBalance) || 0;
+    }
+    if (account.isDefault && (changes.isDefault === false || changes.isActive === false)) {
+      return { success: false, error: '既定の口座は変更できません。先に別の口座を既定にしてください。' };
+    }
+
+    const updatedAccount = await storage.updateItem(COLLECTION, id, changes);
+    if (changes.isDefault) {
+      await clearOtherDefaults(id);
+    }
+
+    await auditService.logAuditEntry({
+      entityType: 'paymentAccount',
+      entityId: id,
+      action: 'update',
+      before: account,
+      after: updatedAccount
+    });
+
+    return { success: true, data: updatedAccount };
+  } catch (error) {
+    console.error('Error updating payment account:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Delete a payment account that no transaction uses
+export const deletePaymentAccount = async (id) => {
+  try {
+    const account = await storage.findById(COLLECTION, id);
+    if (!account) {
+      return { success: false, error: '口座が見つかりません。' };
+    }
+    if (account.isDefault) {
+      return { success: false, error: '既定の口座は削除できません。' };
+    }
+
+    const [expenses, income, invoices] = await Promise.all([
+      storage.getAll('expenses'),
+      storage.getAll('income'),
+      storage.getAll('invoices')
+    ]);
+    const inUse = [...expenses, ...income, ...invoices].some(item => sameId(item.paymentAccountId, id));
+    if (inUse) {
+      return { success: false, error: '取引で使用されている口座は削除できません。無効にしてください。' };
+    }
+
+    await storage.deleteItem(COLLECTION, id);
+
+    await auditService.logAuditEntry({
+      entityType: 'paymentAccount',
+      entityId: id,
+      action: 'delete',
+      before: account
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting payment account:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const paymentAccountService = {
+  getPaymentAccounts,
+  resolvePaymentAccount,
+  createPaymentAccount,
+  updatePaymentAccount,
+  deletePaymentAccount
+};
+
+export default paymentAccountService;
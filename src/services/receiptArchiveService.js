@@ -0,0 +1,430 @@
+import storage from './storage';
+import fileService from './fileService';
+import { getCurrentUserId } from './auditService';
+import { createZip } from '../utils/zipArchive';
+
+/**
+ * Receipt Archive Service - Receipts kept as required by the Electronic Bookkeeping Act (電子帳簿保存法)
+ * Every file attached to a transaction is archived with the SHA-256 hash and time it was captured
+ * (uploaded). Archived files are write-once: fileService refuses to delete them and the archive
+ * never replaces them. The transaction date, amount and counterparty are indexed for the search
+ * the law requires; when a transaction is corrected or deleted the index is updated and the
+ * change is appended to a hash-chained history that is never rewritten.
+ */
+
+export const ARCHIVE_STATUSES = {
+  ACTIVE: 'active',
+  DETACHED: 'detached',
+  DELETED: 'deleted'
+};
+
+export const ARCHIVE_STATUS_LABELS = {
+  active: '保存中',
+  detached: '添付解除',
+  deleted: '取引削除'
+};
+
+export const ARCHIVE_ACTION_LABELS = {
+  capture: '保存',
+  correct: '訂正',
+  detach: '添付解除',
+  delete: '削除',
+  restore: '復元'
+};
+
+export const TRANSACTION_TYPE_LABELS = {
+  expense: '支出',
+  income: '収入'
+};
+
+// Transaction fields copied into the archive index; changes to them are recorded as corrections
+export const INDEX_FIELD_LABELS = {
+  transactionDate: '取引年月日',
+  amount: '取引金額',
+  counterparty: '取引先',
+  registrationNumber: '登録番号',
+  description: '説明'
+};
+
+const COLLECTION = 'receiptArchive';
+const EVENTS = 'receiptArchiveEvents';
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer))
+  .map(byte => byte.toString(16).padStart(2, '0'))
+  .join('');
+
+const sha256 = async (data) => toHex(await crypto.subtle.digest('SHA-256', data));
+
+// Index fields of a transaction
+const toIndexFields = (transaction) => ({
+  transactionDate: String(transaction.date || '').slice(0, 10),
+  amount: Number(transaction.amount) || 0,
+  counterparty: transaction.vendor || transaction.source || transaction.client || '',
+  registrationNumber: transaction.registrationNumber || '',
+  description: transaction.description || ''
+});
+
+// Files attached to a transaction (expenses used receiptIds before fileIds)
+const attachedFileIds = (transaction) => [...new Set([
+  ...(transaction.fileIds || []),
+  ...(transaction.receiptIds || [])
+])];
+
+// SHA-256 of an event's content chained to the previous hash
+const hashEvent = (event, prevHash) => {
+  const { archiveId, action, actorId, changes, details, timestamp } = event;
+  const payload = JSON.stringify([prevHash, archiveId, action, actorId, changes, details, timestamp]);
+  return sha256(new TextEncoder().encode(payload));
+};
+
+const getEventsInOrder = async () => {
+  const events = await storage.getAll(EVENTS);
+  return events.sort((a, b) => a.id - b.id);
+};
+
+// Appends run one at a time so each event links to the one before it
+let appendQueue = Promise.resolve();
+
+const appendEvent = ({ archiveId, action, changes = [], details = {} }) => {
+  const append = async () => {
+    const events = await getEventsInOrder();
+    const prevHash = events.length > 0 ? events[events.length - 1].hash : null;
+    const event = {
+      archiveId,
+      action,
+      actorId: getCurrentUserId(),
+      changes,
+      details,
+      timestamp: new Date().toISOString(),
+      prevHash
+    };
+    event.hash = await hashEvent(event, prevHash);
+    return storage.addItem(EVENTS, event);
+  };
+  const result = appendQueue.then(append);
+  appendQueue = result.catch(() => {});
+  return result;
+};
+
+// Archive entries of a transaction
+const getTransactionEntries = async (type, transactionId) => {
+  const entries = await storage.getAll(COLLECTION);
+  return entries.filter(entry => entry.transactionType === type && entry.transactionId === transactionId);
+};
+
+// Archive one attached file
+const captureFile = async (type, transaction, fileId) => {
+  const file = await fileService.getFileById(fileId);
+  if (!file.success) return null;
+
+  const { hash, originalName, mimeType, size } = file.data;
+  const capturedAt = file.data.uploadedAt || file.data.createdAt;
+  const entry = await storage.addItem(COLLECTION, {
+    fileId,
+    hash,
+    originalName,
+    mimeType,
+    size,
+    capturedAt,
+    transactionType: type,
+    transactionId: transaction.id,
+    ...toIndexFields(transaction),
+    status: ARCHIVE_STATUSES.ACTIVE,
+    archivedAt: new Date().toISOString()
+  });
+  await fileService.markFileArchived(fileId);
+  await appendEvent({
+    archiveId: entry.id,
+    action: 'capture',
+    details: { fileId, hash, originalName, capturedAt, ...toIndexFields(transaction) }
+  });
+  return entry;
+};
+
+/**
+ * Bring the archive up to date with a created or updated transaction
+ * New attachments are archived, removed attachments are marked detached (the file stays), and
+ * changed index fields are recorded as corrections.
+ * @param {string} type - 'expense' or 'income'
+ * @param {Object} transaction - Stored transaction
+ * @returns {Promise<Object>} Result object
+ */
+export const recordTransaction = async (type, transaction) => {
+  try {
+    const entries = await getTransactionEntries(type, transaction.id);
+    const fileIds = attachedFileIds(transaction);
+    const fields = toIndexFields(transaction);
+
+    for (const fileId of fileIds) {
+      if (!entries.some(entry => entry.fileId === fileId)) {
+        await captureFile(type, transaction, fileId);
+      }
+    }
+
+    for (const entry of entries) {
+      if (!fileIds.includes(entry.fileId)) {
+        if (entry.status === ARCHIVE_STATUSES.ACTIVE) {
+          await storage.updateItem(COLLECTION, entry.id, { status: ARCHIVE_STATUSES.DETACHED });
+          await appendEvent({ archiveId: entry.id, action: 'detach' });
+        }
+        continue;
+      }
+
+      const changes = Object.keys(INDEX_FIELD_LABELS)
+        .filter(field => entry[field] !== fields[field])
+        .map(field => ({ field, from: entry[field] ?? null, to: fields[field] }));
+      const reattached = entry.status === ARCHIVE_STATUSES.DETACHED;
+      if (changes.length > 0 || reattached) {
+        await storage.updateItem(COLLECTION, entry.id, { ...fields, status: ARCHIVE_STATUSES.ACTIVE });
+        await appendEvent({
+          archiveId: entry.id,
+          action: reattached ? 'restore' : 'correct',
+          changes
+        });
+      }
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Error archiving receipts:', error);
+    return { success: false, error: '証憑の保存に失敗しました。' };
+  }
+};
+
+/**
+ * Record that a transaction was deleted; its receipts stay in the archive
+ * @param {string} type - 'expense' or 'income'
+ * @param {Object} transaction - Transaction before deletion
+ * @param {string} reason - Reason given for the deletion
+ * @returns {Promise<Object>} Result object
+ */
+export const recordTransactionDeletion = async (type, transaction, reason = '') => {
+  try {
+    const entries = await getTransactionEntries(type, transaction.id);
+    for (const entry of entries.filter(item => item.status === ARCHIVE_STATUSES.ACTIVE)) {
+      await storage.updateItem(COLLECTION, entry.id, { status: ARCHIVE_STATUSES.DELETED });
+      await appendEvent({ archiveId: entry.id, action: 'delete', details: reason ? { reason } : {} });
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Error recording receipt deletion:', error);
+    return { success: false, error: '証憑の削除履歴の記録に失敗しました。' };
+  }
+};
+
+/**
+ * Record that a deleted transaction was restored from the trash
+ * @param {string} type - 'expense' or 'income'
+ * @param {Object} transaction - Restored transaction
+ * @returns {Promise<Object>} Result object
+ */
+export const recordTransactionRestore = async (type, transaction) => {
+  try {
+    const entries = await getTransactionEntries(type, transaction.id);
+    for (const entry of entries.filter(item => item.status === ARCHIVE_STATUSES.DELETED)) {
+      await storage.updateItem(COLLECTION, entry.id, { status: ARCHIVE_STATUSES.ACTIVE });
+      await appendEvent({ archiveId: entry.id, action: 'restore' });
+    }
+    return recordTransaction(type, transaction);
+  } catch (error) {
+    console.error('Error recording receipt restore:', error);
+    return { success: false, error: '証憑の復元履歴の記録に失敗しました。' };
+  }
+};
+
+const normalizeText = (text) => String(text || '').normalize('NFKC').toLowerCase().replace(/\s+/g, '');
+
+/**
+ * Search the archive by the items the law requires (date range, amount range, counterparty)
+ * @param {Object} criteria - { dateFrom, dateTo ('YYYY-MM-DD'), minAmount, maxAmount, counterparty,
+ *   transactionType, status ('all' includes detached and deleted entries) }
+ * @returns {Promise<Object>} { success, data: entries } newest transaction first
+ */
+export const searchArchive = async (criteria = {}) => {
+  try {
+    const entries = await storage.getAll(COLLECTION);
+    const counterparty = normalizeText(criteria.counterparty);
+    const status = criteria.status || ARCHIVE_STATUSES.ACTIVE;
+    const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+    const results = entries.filter(entry => {
+      if (status !== 'all' && entry.status !== status) return false;
+      if (criteria.transactionType && entry.transactionType !== criteria.transactionType) return false;
+      if (criteria.dateFrom && entry.transactionDate < criteria.dateFrom) return false;
+      if (criteria.dateTo && entry.transactionDate > criteria.dateTo) return false;
+      if (isSet(criteria.minAmount) && entry.amount < Number(criteria.minAmount)) return false;
+      if (isSet(criteria.maxAmount) && entry.amount > Number(criteria.maxAmount)) return false;
+      if (counterparty && !normalizeText(entry.counterparty).includes(counterparty)) return false;
+      return true;
+    });
+    results.sort((a, b) => b.transactionDate.localeCompare(a.transactionDate) || b.id - a.id);
+    return { success: true, data: results };
+  } catch (error) {
+    console.error('Error searching receipt archive:', error);
+    return { success: false, error: '証憑の検索に失敗しました。' };
+  }
+};
+
+// Correction and deletion history of an archive entry (oldest first)
+export const getArchiveHistory = async (archiveId) => {
+  try {
+    const events = await getEventsInOrder();
+    return { success: true, data: events.filter(event => event.archiveId === archiveId) };
+  } catch (error) {
+    console.error('Error getting receipt history:', error);
+    return { success: false, error: '訂正削除履歴の取得に失敗しました。' };
+  }
+};
+
+/**
+ * Check the archive for tampering
+ * Every archived file is re-hashed and compared with the hash recorded at capture, and the
+ * history's hash chain is recomputed.
+ * @returns {Promise<Object>} { success, data: { valid, checked, missing: [archiveId], modified: [archiveId],
+ *   chainValid, brokenAt } }
+ */
+export const verifyArchive = async () => {
+  try {
+    const entries = await storage.getAll(COLLECTION);
+    const events = await getEventsInOrder();
+    const missing = [];
+    const modified = [];
+
+    for (const entry of entries) {
+      const capture = events.find(event => event.archiveId === entry.id && event.action === 'capture');
+      const blob = await fileService.getFileBlob(entry.fileId);
+      if (!blob.success) {
+        missing.push(entry.id);
+      } else if (await sha256(await blob.data.arrayBuffer()) !== entry.hash || capture?.details.hash !== entry.hash) {
+        modified.push(entry.id);
+      }
+    }
+
+    let prevHash = null;
+    let brokenAt = null;
+    for (const event of events) {
+      if (event.prevHash !== prevHash || event.hash !== await hashEvent(event, prevHash)) {
+        brokenAt = event.id;
+        break;
+      }
+      prevHash = event.hash;
+    }
+
+    return {
+      success: true,
+      data: {
+        valid: missing.length === 0 && modified.length === 0 && brokenAt === null,
+        checked: entries.length,
+        missing,
+        modified,
+        chainValid: brokenAt === null,
+        brokenAt
+      }
+    };
+  } catch (error) {
+    console.error('Error verifying receipt archive:', error);
+    return { success: false, error: '証憑の検証に失敗しました。' };
+  }
+};
+
+const escapeCsvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => `\uFEFF${rows.map(cells => cells.map(escapeCsvCell).join(',')).join('\r\n')}\r\n`;
+
+// Name of an archived file inside the export package
+const packageFileName = (entry) => `files/${String(entry.id).padStart(6, '0')}_${String(entry.originalName || 'receipt').replace(/[\\/:*?"<>|]/g, '_')}`;
+
+/**
+ * Build an export package for a tax audit
+ * A ZIP with the original files, index.csv (one row per receipt with its search items and hash)
+ * and history.csv (the correction and deletion history of those receipts).
+ * @param {Object} criteria - Same as searchArchive
+ * @returns {Promise<Object>} { success, data: { blob, fileName, count } }
+ */
+export const exportArchivePackage = async (criteria = {}) => {
+  try {
+    const search = await searchArchive(criteria);
+    if (!search.success) return search;
+    const entries = search.data;
+    if (entries.length === 0) {
+      return { success: false, error: '出力する証憑がありません。' };
+    }
+
+    const events = await getEventsInOrder();
+    const files = [];
+    const index = [[
+      '管理番号', '取引年月日', '取引金額', '取引先', '登録番号', '区分', '取引ID', '説明',
+      '状態', 'ファイル', '元のファイル名', 'SHA-256', '受領日時', '保存日時', '訂正削除回数'
+    ]];
+
+    for (const entry of entries) {
+      const blob = await fileService.getFileBlob(entry.fileId);
+      const name = packageFileName(entry);
+      if (blob.success) {
+        files.push({ name, data: blob.data, modifiedAt: new Date(entry.capturedAt) });
+      }
+      const history = events.filter(event => event.archiveId === entry.id && event.action !== 'capture');
+      index.push([
+        entry.id,
+        entry.transactionDate,
+        entry.amount,
+        entry.counterparty,
+        entry.registrationNumber,
+        TRANSACTION_TYPE_LABELS[entry.transactionType],
+        entry.transactionId,
+        entry.description,
+        ARCHIVE_STATUS_LABELS[entry.status],
+        blob.success ? name : '（ファイルなし）',
+        entry.originalName,
+        entry.hash,
+        entry.capturedAt,
+        entry.archivedAt,
+        history.length
+      ]);
+    }
+
+    const ids = entries.map(entry => entry.id);
+    const history = [['管理番号', '日時', '操作', '実行者ID', '項目', '変更前', '変更後', '理由', 'ハッシュ']];
+    events.filter(event => ids.includes(event.archiveId)).forEach(event => {
+      const changes = event.changes.length > 0 ? event.changes : [{ field: null, from: null, to: null }];
+      changes.forEach(change => {
+        history.push([
+          event.archiveId,
+          event.timestamp,
+          ARCHIVE_ACTION_LABELS[event.action],
+          event.actorId,
+          change.field ? INDEX_FIELD_LABELS[change.field] : '',
+          change.from,
+          change.to,
+          event.details.reason,
+          event.hash
+        ]);
+      });
+    });
+
+    const blob = await createZip([
+      { name: 'index.csv', data: toCsv(index) },
+      { name: 'history.csv', data: toCsv(history) },
+      ...files
+    ]);
+    const stamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    return { success: true, data: { blob, fileName: `receipt_archive_${stamp}.zip`, count: entries.length } };
+  } catch (error) {
+    console.error('Error exporting receipt archive:', error);
+    return { success: false, error: '証憑パッケージの作成に失敗しました。' };
+  }
+};
+
+const receiptArchiveService = {
+  recordTransaction,
+  recordTransactionDeletion,
+  recordTransactionRestore,
+  searchArchive,
+  getArchiveHistory,
+  verifyArchive,
+  exportArchivePackage
+};
+
+export default receiptArchiveService;
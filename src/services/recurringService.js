@@ -0,0 +1,555 @@
+import storage from './storage';
+import expenseService from './expenseService';
+import incomeService from './incomeService';
+import auditService from './auditService';
+import notificationService from './notificationService';
+import { getBaseCurrency } from './exchangeRateService';
+import {
+  RECURRENCE_FREQUENCIES,
+  listOccurrences,
+  describeRecurrence,
+  toDateString,
+  parseDateString
+} from '../utils/recurrence';
+
+/**
+ * Recurring Service - Handles recurring expense and income rules
+ * A rule holds a transaction template and a schedule. runDueRules creates every occurrence up
+ * to today that has not been processed yet; each generated transaction records its rule and
+ * occurrence date (recurringRuleId, recurringDate), so running it again never creates duplicates.
+ */
+
+export const RULE_STATUSES = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  COMPLETED: 'completed'
+};
+
+export const RULE_STATUS_LABELS = {
+  active: '有効',
+  paused: '一時停止',
+  completed: '終了'
+};
+
+export const RULE_STATUS_COLORS = {
+  active: 'success',
+  paused: 'warning',
+  completed: 'default'
+};
+
+const COLLECTION = 'recurringRules';
+
+// Template fields copied onto every generated transaction
+// `amount` is in the template currency; foreign amounts are converted at each occurrence's rate
+const TEMPLATE_FIELDS = ['amount', 'currency', 'description', 'source', 'categoryId', 'userId', 'tags', 'memo', 'isAdvancePayment', 'taxCategory', 'vendor', 'registrationNumber', 'paymentAccountId'];
+
+// Fields a single occurrence may override
+const OVERRIDE_FIELDS = ['amount', 'description', 'memo'];
+
+const pickFields = (data, fields) => fields.reduce((acc, field) => {
+  if (data[field] !== undefined) acc[field] = data[field];
+  return acc;
+}, {});
+
+const yesterdayString = (today) => {
+  const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+  return toDateString(date);
+};
+
+// Validate a rule before saving
+const validateRule = (rule) => {
+  if (!['expense', 'income'].includes(rule.type)) {
+    return '種類は支出または収入を選択してください。';
+  }
+  if (!rule.template || !rule.template.categoryId || !(rule.template.amount > 0)) {
+    return 'カテゴリと0より大きい金額は必須です。';
+  }
+  if (!rule.template.description && !rule.template.source) {
+    return '説明は必須です。';
+  }
+  if (!RECURRENCE_FREQUENCIES[rule.frequency]) {
+    return '繰り返しの種類を選択してください。';
+  }
+  if (!rule.startDate || isNaN(parseDateString(rule.startDate).getTime())) {
+    return '開始日は必須です。';
+  }
+  if (rule.endType === 'date' && (!rule.endDate || rule.endDate < rule.startDate)) {
+    return '終了日は開始日以降の日付を入力してください。';
+  }
+  if (rule.endType === 'count' && !(rule.maxOccurrences >= 1)) {
+    return '回数は1以上を入力してください。';
+  }
+  return null;
+};
+
+// Next date that will be generated (null when the schedule has ended)
+const computeNextRunDate = (rule) => {
+  const after = rule.lastProcessedDate || null;
+  const skipped = rule.skippedDates || [];
+  const next = listOccurrences(rule, { after, limit: 50 }).find(date => !skipped.includes(date));
+  return next || null;
+};
+
+/**
+ * Create a recurring rule
+ * @param {Object} ruleData - { type, template, frequency, interval, dayOfMonth, businessDay, startDate, endType, endDate, maxOccurrences }
+ * @returns {Promise<Object>} Result object
+ */
+export const createRule = async (ruleData) => {
+  try {
+    const rule = {
+      type: ruleData.type,
+      template: pickFields(ruleData.template || {}, TEMPLATE_FIELDS),
+      frequency: ruleData.frequency,
+      interval: Math.max(1, parseInt(ruleData.interval, 10) || 1),
+      dayOfMonth: ruleData.dayOfMonth || null,
+      businessDay: ruleData.businessDay || null,
+      startDate: String(ruleData.startDate || '').slice(0, 10),
+      endType: ruleData.endType || 'never',
+      endDate: ruleData.endType === 'date' ? String(ruleData.endDate || '').slice(0, 10) : null,
+      maxOccurrences: ruleData.endType === 'count' ? parseInt(ruleData.maxOccurrences, 10) || 0 : null,
+      status: RULE_STATUSES.ACTIVE,
+      skippedDates: [],
+      overrides: {},
+      lastProcessedDate: null,
+      generatedCount: 0
+    };
+
+    const error = validateRule(rule);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const newRule = await storage.addItem(COLLECTION, { ...rule, nextRunDate: computeNextRunDate(rule) });
+
+    await auditService.logAuditEntry({
+      entityType: 'recurring',
+      entityId: newRule.id,
+      action: 'create',
+      after: newRule
+    });
+
+    return { success: true, data: newRule };
+  } catch (error) {
+    console.error('Error creating recurring rule:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Turn a transaction entered on the registration page into a recurring rule
+ * The saved transaction counts as the first occurrence; later ones are generated from its date on.
+ * @param {Object} transaction - Saved expense or income
+ * @param {string} type - 'expense' or 'income'
+ * @param {Object} recurrence - { frequency, businessDay, endType, endDate, maxOccurrences }
+ * @returns {Promise<Object>} Result object
+ */
+export const createRuleFromTransaction = async (transaction, type, recurrence = {}) => {
+  try {
+    const result = await createRule({
+      type,
+      template: transaction.originalAmount > 0 ? { ...transaction, amount: transaction.originalAmount } : transaction,
+      frequency: recurrence.frequency || 'monthly',
+      businessDay: recurrence.businessDay,
+      startDate: transaction.date,
+      endType: recurrence.endType,
+      endDate: recurrence.endDate,
+      maxOccurrences: recurrence.maxOccurrences
+    });
+    if (!result.success) return result;
+
+    const rule = result.data;
+    const [firstDate] = listOccurrences(rule, { limit: 1 });
+    if (firstDate === rule.startDate) {
+      const collection = type === 'expense' ? 'expenses' : 'income';
+      await storage.updateItem(collection, transaction.id, { recurringRuleId: rule.id, recurringDate: firstDate });
+      const updated = { ...rule, lastProcessedDate: firstDate, generatedCount: 1 };
+      await storage.updateItem(COLLECTION, rule.id, {
+        lastProcessedDate: firstDate,
+        generatedCount: 1,
+        nextRunDate: computeNextRunDate(updated)
+      });
+    }
+
+    await runDueRules();
+    return getRuleById(rule.id);
+  } catch (error) {
+    console.error('Error creating recurring rule from transaction:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Get all rules (active first, then by next date)
+export const getAllRules = async () => {
+  try {
+    const rules = await storage.getAll(COLLECTION);
+    const order = { active: 0, paused: 1, completed: 2 };
+    rules.sort((a, b) =>
+      (order[a.status] - order[b.status]) ||
+      String(a.nextRunDate || '9999').localeCompare(String(b.nextRunDate || '9999'))
+    );
+    return { success: true, data: rules.map(rule => ({ ...rule, scheduleLabel: describeRecurrence(rule) })) };
+  } catch (error) {
+    console.error('Error getting recurring rules:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Get a rule by ID
+export const getRuleById = async (id) => {
+  try {
+    const rule = await storage.findById(COLLECTION, id);
+    if (!rule) {
+      return { success: false, error: '定期取引が見つかりません。' };
+    }
+    return { success: true, data: { ...rule, scheduleLabel: describeRecurrence(rule) } };
+  } catch (error) {
+    console.error('Error getting recurring rule:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Save changes to a rule and log them
+const saveRule = async (rule, changes) => {
+  const merged = { ...rule, ...changes };
+  const updated = await storage.updateItem(COLLECTION, rule.id, {
+    ...changes,
+    nextRunDate: merged.status === RULE_STATUSES.COMPLETED ? null : computeNextRunDate(merged)
+  });
+
+  await auditService.logAuditEntry({
+    entityType: 'recurring',
+    entityId: rule.id,
+    action: 'update',
+    before: rule,
+    after: updated
+  });
+
+  return { success: true, data: { ...updated, scheduleLabel: describeRecurrence(updated) } };
+};
+
+/**
+ * Update a rule
+ * Changes apply to occurrences that have not been generated yet; existing transactions stay as they are.
+ * @param {number} id - Rule ID
+ * @param {Object} updates - Template and schedule fields
+ * @returns {Promise<Object>} Result object
+ */
+export const updateRule = async (id, updates) => {
+  try {
+    const rule = await storage.findById(COLLECTION, id);
+    if (!rule) {
+      return { success: false, error: '定期取引が見つかりません。' };
+    }
+
+    const changes = pickFields(updates, ['frequency', 'dayOfMonth', 'businessDay', 'startDate', 'endType', 'endDate', 'maxOccurrences']);
+    if (updates.interval !== undefined) {
+      changes.interval = Math.max(1, parseInt(updates.interval, 10) || 1);
+    }
+    if (updates.template) {
+      changes.template = { ...rule.template, ...pickFields(updates.template, TEMPLATE_FIELDS) };
+    }
+    if (changes.endType && changes.endType !== 'date') changes.endDate = null;
+    if (changes.endType && changes.endType !== 'count') changes.maxOccurrences = null;
+
+    const error = validateRule({ ...rule, ...changes });
+    if (error) {
+      return { success: false, error };
+    }
+
+    // A completed rule whose schedule was extended becomes active again
+    if (rule.status === RULE_STATUSES.COMPLETED && computeNextRunDate({ ...rule, ...changes })) {
+      changes.status = RULE_STATUSES.ACTIVE;
+    }
+
+    return await saveRule(rule, changes);
+  } catch (error) {
+    console.error('Error updating recurring rule:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Pause a rule; occurrences while paused are not generated
+export const pauseRule = async (id) => {
+  try {
+    const rule = await storage.findById(COLLECTION, id);
+    if (!rule) {
+      return { success: false, error: '定期取引が見つかりません。' };
+    }
+    if (rule.status !== RULE_STATUSES.ACTIVE) {
+      return { success: false, error: '有効な定期取引のみ一時停止できます。' };
+    }
+    return await saveRule(rule, { status: RULE_STATUSES.PAUSED, pausedAt: new Date().toISOString() });
+  } catch (error) {
+    console.error('Error pausing recurring rule:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Resume a paused rule from today on
+export const resumeRule = async (id, today = new Date()) => {
+  try {
+    const rule = await storage.findById(COLLECTION, id);
+    if (!rule) {
+      return { success: false, error: '定期取引が見つかりません。' };
+    }
+    if (rule.status !== RULE_STATUSES.PAUSED) {
+      return { success: false, error: '一時停止中の定期取引ではありません。' };
+    }
+
+    // Occurrences that fell within the pause are passed over, not caught up
+    const yesterday = yesterdayString(today);
+    const lastProcessedDate = !rule.lastProcessedDate || rule.lastProcessedDate < yesterday
+      ? yesterday
+      : rule.lastProcessedDate;
+
+    const result = await saveRule(rule, { status: RULE_STATUSES.ACTIVE, pausedAt: null, lastProcessedDate });
+    await runDueRules(today);
+    return result.success ? getRuleById(id) : result;
+  } catch (error) {
+    console.error('Error resuming recurring rule:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Skip a single future occurrence
+export const skipOccurrence = async (id, date) => {
+  try {
+    const rule = await storage.findById(COLLECTION, id);
+    if (!rule) {
+      return { success: false, error: '定期取引が見つかりません。' };
+    }
+    if (rule.lastProcessedDate && date <= rule.lastProcessedDate) {
+      return { success: false, error: '登録済みの回はスキップできません。' };
+    }
+    const skippedDates = Array.from(new Set([...(rule.skippedDates || []), date])).sort();
+    return await saveRule(rule, { skippedDates });
+  } catch (error) {
+    console.error('Error skipping occurrence:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Undo a skip
+export const unskipOccurrence = async (id, date) => {
+  try {
+    const rule = await storage.findById(COLLECTION, id);
+    if (!rule) {
+      return { success: false, error: '定期取引が見つかりません。' };
+    }
+    if (rule.lastProcessedDate && date <= rule.lastProcessedDate) {
+      return { success: false, error: '処理済みの回は元に戻せません。' };
+    }
+    return await saveRule(rule, { skippedDates: (rule.skippedDates || []).filter(skipped => skipped !== date) });
+  } catch (error) {
+    console.error('Error unskipping occurrence:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Change the amount, description or memo of a single future occurrence
+ * @param {number} id - Rule ID
+ * @param {string} date - Occurrence date ('YYYY-MM-DD')
+ * @param {Object|null} values - Overrides, or null to clear them
+ * @returns {Promise<Object>} Result object
+ */
+export const setOccurrenceOverride = async (id, date, values) => {
+  try {
+    const rule = await storage.findById(COLLECTION, id);
+    if (!rule) {
+      return { success: false, error: '定期取引が見つかりません。' };
+    }
+    if (rule.lastProcessedDate && date <= rule.lastProcessedDate) {
+      return { success: false, error: '登録済みの回は取引一覧から編集してください。' };
+    }
+
+    const override = values ? pickFields(values, OVERRIDE_FIELDS) : {};
+    if (override.amount !== undefined && !(override.amount > 0)) {
+      return { success: false, error: '金額は0より大きい値を入力してください。' };
+    }
+
+    const overrides = { ...(rule.overrides || {}) };
+    if (Object.keys(override).length > 0) {
+      overrides[date] = override;
+    } else {
+      delete overrides[date];
+    }
+    return await saveRule(rule, { overrides });
+  } catch (error) {
+    console.error('Error setting occurrence override:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * List the upcoming occurrences of a rule with their skip state and effective values
+ * @param {Object} rule - Rule record
+ * @param {number} count - Number of occurrences to list
+ * @returns {Array} [{ date, skipped, overridden, amount, description, memo }]
+ */
+export const getUpcomingOccurrences = (rule, count = 12) => {
+  if (rule.status === RULE_STATUSES.COMPLETED) return [];
+  const skipped = rule.skippedDates || [];
+  const overrides = rule.overrides || {};
+
+  return listOccurrences(rule, { after: rule.lastProcessedDate || null, limit: count }).map(date => ({
+    date,
+    skipped: skipped.includes(date),
+    overridden: Boolean(overrides[date]),
+    amount: overrides[date]?.amount ?? rule.template.amount,
+    description: overrides[date]?.description ?? rule.template.description,
+    memo: overrides[date]?.memo ?? rule.template.memo
+  }));
+};
+
+// Delete a rule (transactions already generated are kept)
+export const deleteRule = async (id) => {
+  try {
+    const rule = await storage.findById(COLLECTION, id);
+    await storage.deleteItem(COLLECTION, id);
+
+    if (rule) {
+      await auditService.logAuditEntry({
+        entityType: 'recurring',
+        entityId: id,
+        action: 'delete',
+        before: rule
+      });
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting recurring rule:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Get the transactions generated by a rule
+export const getGeneratedTransactions = async (rule) => {
+  try {
+    const collection = rule.type === 'expense' ? 'expenses' : 'income';
+    const transactions = await storage.findWhere(collection, { recurringRuleId: rule.id });
+    transactions.sort((a, b) => String(b.recurringDate).localeCompare(String(a.recurringDate)));
+    return { success: true, data: transactions };
+  } catch (error) {
+    console.error('Error getting generated transactions:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Create the transaction of one occurrence unless it already exists
+const generateOccurrence = async (rule, date) => {
+  const collection = rule.type === 'expense' ? 'expenses' : 'income';
+  const existing = await storage.findWhere(collection, { recurringRuleId: rule.id, recurringDate: date });
+  if (existing.length > 0) {
+    return { success: true, data: null };
+  }
+
+  const { amount, ...fields } = {
+    ...rule.template,
+    ...((rule.overrides || {})[date] || {}),
+    date,
+    recurringRuleId: rule.id,
+    recurringDate: date
+  };
+  const transaction = fields.currency && fields.currency !== getBaseCurrency()
+    ? { ...fields, originalAmount: amount }
+    : { ...fields, amount };
+  return rule.type === 'expense'
+    ? expenseService.createExpense(transaction)
+    : incomeService.createIncome(transaction);
+};
+
+// Generate the due occurrences of a single rule
+const runRule = async (rule, todayString) => {
+  const skipped = rule.skippedDates || [];
+  const dueDates = listOccurrences(rule, { after: rule.lastProcessedDate || null, until: todayString, limit: 1000 });
+  let current = rule;
+  let generated = 0;
+
+  for (const date of dueDates) {
+    if (!skipped.includes(date)) {
+      const result = await generateOccurrence(current, date);
+      if (!result.success) {
+        console.error(`Error generating recurring transaction for rule ${rule.id} on ${date}:`, result.error);
+        break;
+      }
+      if (result.data) generated += 1;
+    }
+    // Progress is saved per occurrence so an interrupted run resumes where it stopped
+    current = await storage.updateItem(COLLECTION, rule.id, {
+      lastProcessedDate: date,
+      generatedCount: (current.generatedCount || 0) + (skipped.includes(date) ? 0 : 1)
+    });
+  }
+
+  const nextRunDate = computeNextRunDate(current);
+  const hasMore = listOccurrences(current, { after: current.lastProcessedDate || null, limit: 1 }).length > 0;
+  await storage.updateItem(COLLECTION, rule.id, {
+    nextRunDate,
+    ...(!hasMore ? { status: RULE_STATUSES.COMPLETED } : {})
+  });
+
+  return generated;
+};
+
+// Runs are serialized so two callers never generate the same occurrence at once
+let runQueue = Promise.resolve();
+
+/**
+ * Generate every occurrence up to today that has not been processed yet
+ * Safe to call repeatedly (e.g. on every app start); already processed dates are never generated again.
+ * @param {Date} today - Reference date
+ * @returns {Promise<Object>} { success, data: { generated } }
+ */
+export const runDueRules = async (today = new Date()) => {
+  const run = async () => {
+    const todayString = toDateString(today);
+    const rules = await storage.getAll(COLLECTION);
+    let generated = 0;
+    for (const rule of rules.filter(item => item.status === RULE_STATUSES.ACTIVE)) {
+      generated += await runRule(rule, todayString);
+    }
+
+    if (generated > 0) {
+      await notificationService.createNotification({
+        type: 'recurring_generated',
+        title: '定期取引',
+        message: `定期取引を${generated}件登録しました。`,
+        priority: 'low',
+        relatedType: 'recurring'
+      });
+    }
+    return generated;
+  };
+
+  try {
+    const result = runQueue.then(run);
+    runQueue = result.catch(() => {});
+    const generated = await result;
+    return { success: true, data: { generated } };
+  } catch (error) {
+    console.error('Error running recurring rules:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const recurringService = {
+  createRule,
+  createRuleFromTransaction,
+  getAllRules,
+  getRuleById,
+  updateRule,
+  pauseRule,
+  resumeRule,
+  skipOccurrence,
+  unskipOccurrence,
+  setOccurrenceOverride,
+  getUpcomingOccurrences,
+  deleteRule,
+  getGeneratedTransactions,
+  runDueRules
+};
+
+export default recurringService;
@@ -0,0 +1,382 @@
+import storage from './storage';
+import approvalService, { EXPENSE_STATUSES, normalizeStatus } from './approvalService';
+import auditService from './auditService';
+import notificationService from './notificationService';
+
+/**
+ * Reimbursement Service - Pays back expenses that members advanced out of pocket (立替金精算)
+ * Approved advance-payment expenses are grouped per user into settlement batches.
+ * Paying a batch marks every expense in it as reimbursed through the approval workflow.
+ */
+
+export const BATCH_STATUSES = {
+  OPEN: 'open',
+  PAID: 'paid',
+  CANCELLED: 'cancelled'
+};
+
+export const BATCH_STATUS_LABELS = {
+  open: '未払い',
+  paid: '支払済み',
+  cancelled: '取消'
+};
+
+export const BATCH_STATUS_COLORS = {
+  open: 'warning',
+  paid: 'success',
+  cancelled: 'default'
+};
+
+export const PAYMENT_METHODS = {
+  bank_transfer: '銀行振込',
+  cash: '現金',
+  payroll: '給与と合算'
+};
+
+const COLLECTION = 'reimbursementBatches';
+
+// An advance payment the company still owes (approved, not yet paid back)
+export const isOutstandingAdvance = (expense) => {
+  return Boolean(expense.isAdvancePayment) && normalizeStatus(expense.status) === EXPENSE_STATUSES.APPROVED;
+};
+
+// An advance payment still waiting for approval
+export const isPendingAdvance = (expense) => {
+  return Boolean(expense.isAdvancePayment) && normalizeStatus(expense.status) === EXPENSE_STATUSES.SUBMITTED;
+};
+
+/**
+ * Sum a user's advance payments
+ * @param {Array} expenses - Expenses of a single user
+ * @returns {Object} { outstanding, outstandingCount, pending, pendingCount }
+ */
+export const summarizeAdvances = (expenses) => {
+  return expenses.reduce((acc, expense) => {
+    if (isOutstandingAdvance(expense)) {
+      acc.outstanding += expense.amount;
+      acc.outstandingCount += 1;
+    } else if (isPendingAdvance(expense)) {
+      acc.pending += expense.amount;
+      acc.pendingCount += 1;
+    }
+    return acc;
+  }, { outstanding: 0, outstandingCount: 0, pending: 0, pendingCount: 0 });
+};
+
+// Next batch number for the month, e.g. R-202610-003
+const generateBatchNumber = async (date = new Date()) => {
+  const prefix = `R-${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}-`;
+  const batches = await storage.getAll(COLLECTION);
+  const sequence = batches
+    .filter(batch => batch.batchNumber && batch.batchNumber.startsWith(prefix))
+    .reduce((max, batch) => Math.max(max, parseInt(batch.batchNumber.slice(prefix.length), 10) || 0), 0);
+  return `${prefix}${String(sequence + 1).padStart(3, '0')}`;
+};
+
+// Attach the user and expenses to a batch
+const populateBatch = (batch, users, expenses) => {
+  const batchExpenses = batch.expenseIds
+    .map(id => expenses.find(expense => expense.id === id))
+    .filter(Boolean)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  return {
+    ...batch,
+    user: users.find(user => user.id === batch.userId) || null,
+    expenses: batchExpenses
+  };
+};
+
+// Get approved advance payments that are not yet in an open batch
+export const getOutstandingAdvances = async (userId) => {
+  try {
+    const expenses = userId !== undefined
+      ? await storage.findWhere('expenses', { userId })
+      : await storage.getAll('expenses');
+    const outstanding = expenses
+      .filter(isOutstandingAdvance)
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+    return { success: true, data: outstanding };
+  } catch (error) {
+    console.error('Error getting outstanding advances:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get every member's outstanding reimbursement balance
+ * @returns {Promise<Object>} { success, data: [{ user, outstanding, outstandingCount, pending, pendingCount, unbatched, unbatchedCount }] }
+ */
+export const getOutstandingBalances = async () => {
+  try {
+    const [users, expenses] = await Promise.all([
+      storage.getAll('users'),
+      storage.getAll('expenses')
+    ]);
+
+    const balances = users
+      .map(user => {
+        const userExpenses = expenses.filter(expense => expense.userId === user.id);
+        const unbatched = userExpenses.filter(expense => isOutstandingAdvance(expense) && !expense.reimbursementBatchId);
+        return {
+          user,
+          ...summarizeAdvances(userExpenses),
+          unbatched: unbatched.reduce((sum, expense) => sum + expense.amount, 0),
+          unbatchedCount: unbatched.length
+        };
+      })
+      .filter(balance => balance.outstandingCount > 0 || balance.pendingCount > 0)
+      .sort((a, b) => b.outstanding - a.outstanding);
+
+    return { success: true, data: balances };
+  } catch (error) {
+    console.error('Error getting outstanding balances:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Group a user's outstanding advance payments into a settlement batch
+ * @param {number} userId - Member to pay back
+ * @param {Array} expenseIds - Expenses to include (defaults to all unbatched outstanding advances)
+ * @returns {Promise<Object>} Result object
+ */
+export const createBatch = async (userId, expenseIds = null, actorId = auditService.getCurrentUserId()) => {
+  try {
+    const user = await storage.findById('users', userId);
+    if (!user) {
+      return { success: false, error: 'ユーザーが見つかりません。' };
+    }
+
+    const expenses = await storage.findWhere('expenses', { userId });
+    const candidates = expenses.filter(expense => isOutstandingAdvance(expense) && !expense.reimbursementBatchId);
+    const selected = expenseIds
+      ? candidates.filter(expense => expenseIds.includes(expense.id))
+      : candidates;
+
+    if (expenseIds && selected.length !== expenseIds.length) {
+      return { success: false, error: '承認済みで未精算の立替経費のみ精算できます。' };
+    }
+    if (selected.length === 0) {
+      return { success: false, error: '精算対象の立替経費がありません。' };
+    }
+
+    const now = new Date().toISOString();
+    const batch = await storage.addItem(COLLECTION, {
+      batchNumber: await generateBatchNumber(),
+      userId,
+      expenseIds: selected.map(expense => expense.id),
+      totalAmount: selected.reduce((sum, expense) => sum + expense.amount, 0),
+      status: BATCH_STATUSES.OPEN,
+      paidAt: null,
+      paymentMethod: null,
+      paidBy: null,
+      createdBy: actorId,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    for (const expense of selected) {
+      await storage.updateItem('expenses', expense.id, { reimbursementBatchId: batch.id });
+    }
+
+    await auditService.logAuditEntry({
+      entityType: 'reimbursement',
+      entityId: batch.id,
+      action: 'create',
+      actorId,
+      after: batch
+    });
+
+    return { success: true, data: batch };
+  } catch (error) {
+    console.error('Error creating reimbursement batch:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Create one batch per member with unbatched outstanding advances
+export const createBatchesForAll = async (actorId = auditService.getCurrentUserId()) => {
+  try {
+    const balancesResult = await getOutstandingBalances();
+    if (!balancesResult.success) return balancesResult;
+
+    const created = [];
+    const failed = [];
+    for (const balance of balancesResult.data.filter(item => item.unbatchedCount > 0)) {
+      const result = await createBatch(balance.user.id, null, actorId);
+      if (result.success) {
+        created.push(result.data);
+      } else {
+        failed.push({ userId: balance.user.id, error: result.error });
+      }
+    }
+    return { success: failed.length === 0, data: { created, failed } };
+  } catch (error) {
+    console.error('Error creating reimbursement batches:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Mark a batch as paid and every expense in it as reimbursed
+ * @param {number} batchId - Batch ID
+ * @param {Object} payment - { paidAt, method }
+ * @returns {Promise<Object>} Result object
+ */
+export const markBatchPaid = async (batchId, { paidAt, method } = {}, actorId = auditService.getCurrentUserId()) => {
+  try {
+    if (!paidAt) {
+      return { success: false, error: '支払日を入力してください。' };
+    }
+    if (!PAYMENT_METHODS[method]) {
+      return { success: false, error: '支払方法を選択してください。' };
+    }
+
+    const batch = await storage.findById(COLLECTION, batchId);
+    if (!batch) {
+      return { success: false, error: '精算バッチが見つかりません。' };
+    }
+    if (batch.status !== BATCH_STATUSES.OPEN) {
+      return { success: false, error: `「${BATCH_STATUS_LABELS[batch.status]}」の精算バッチは支払処理できません。` };
+    }
+
+    // Expenses already reimbursed elsewhere are skipped; anything else must still be approved
+    const expenses = await Promise.all(batch.expenseIds.map(id => storage.findById('expenses', id)));
+    const invalid = expenses.find(expense =>
+      !expense || ![EXPENSE_STATUSES.APPROVED, EXPENSE_STATUSES.REIMBURSED].includes(normalizeStatus(expense.status))
+    );
+    if (invalid !== undefined) {
+      return { success: false, error: '精算できない経費が含まれています。バッチを取り消して作り直してください。' };
+    }
+
+    for (const expense of expenses) {
+      if (normalizeStatus(expense.status) === EXPENSE_STATUSES.APPROVED) {
+        const result = await approvalService.markReimbursed(expense.id, actorId, { paidAt, method });
+        if (!result.success) return result;
+      }
+    }
+
+    const changes = {
+      status: BATCH_STATUSES.PAID,
+      paidAt,
+      paymentMethod: method,
+      paidBy: actorId
+    };
+    const updatedBatch = await storage.updateItem(COLLECTION, batchId, changes);
+
+    await auditService.logAuditEntry({
+      entityType: 'reimbursement',
+      entityId: batchId,
+      action: 'reimburse',
+      actorId,
+      before: batch,
+      after: updatedBatch
+    });
+
+    await notificationService.createNotification({
+      type: 'reimbursement_paid',
+      title: '立替金精算',
+      message: `精算書 ${batch.batchNumber}（¥${batch.totalAmount.toLocaleString()}）を${PAYMENT_METHODS[method]}で支払いました。`,
+      priority: 'low',
+      relatedId: batchId,
+      relatedType: 'reimbursement'
+    });
+
+    return { success: true, data: updatedBatch };
+  } catch (error) {
+    console.error('Error marking reimbursement batch as paid:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Cancel an unpaid batch and release its expenses
+export const cancelBatch = async (batchId, actorId = auditService.getCurrentUserId()) => {
+  try {
+    const batch = await storage.findById(COLLECTION, batchId);
+    if (!batch) {
+      return { success: false, error: '精算バッチが見つかりません。' };
+    }
+    if (batch.status !== BATCH_STATUSES.OPEN) {
+      return { success: false, error: '支払済みの精算バッチは取り消せません。' };
+    }
+
+    for (const id of batch.expenseIds) {
+      const expense = await storage.findById('expenses', id);
+      if (expense && expense.reimbursementBatchId === batchId) {
+        await storage.updateItem('expenses', id, { reimbursementBatchId: null });
+      }
+    }
+
+    const updatedBatch = await storage.updateItem(COLLECTION, batchId, { status: BATCH_STATUSES.CANCELLED });
+
+    await auditService.logAuditEntry({
+      entityType: 'reimbursement',
+      entityId: batchId,
+      action: 'update',
+      actorId,
+      before: batch,
+      after: updatedBatch
+    });
+
+    return { success: true, data: updatedBatch };
+  } catch (error) {
+    console.error('Error cancelling reimbursement batch:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Get all batches (newest first) with user and expenses
+export const getAllBatches = async (filters = {}) => {
+  try {
+    const [batches, users, expenses] = await Promise.all([
+      storage.getAll(COLLECTION),
+      storage.getAll('users'),
+      storage.getAll('expenses')
+    ]);
+
+    const filtered = batches
+      .filter(batch => filters.userId === undefined || batch.userId === filters.userId)
+      .filter(batch => !filters.status || batch.status === filters.status)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(batch => populateBatch(batch, users, expenses));
+
+    return { success: true, data: filtered };
+  } catch (error) {
+    console.error('Error getting reimbursement batches:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Get a single batch with user and expenses
+export const getBatchById = async (batchId) => {
+  try {
+    const batch = await storage.findById(COLLECTION, batchId);
+    if (!batch) {
+      return { success: false, error: '精算バッチが見つかりません。' };
+    }
+    const [users, expenses] = await Promise.all([
+      storage.getAll('users'),
+      storage.getAll('expenses')
+    ]);
+    return { success: true, data: populateBatch(batch, users, expenses) };
+  } catch (error) {
+    console.error('Error getting reimbursement batch:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const reimbursementService = {
+  isOutstandingAdvance,
+  isPendingAdvance,
+  summarizeAdvances,
+  getOutstandingAdvances,
+  getOutstandingBalances,
+  createBatch,
+  createBatchesForAll,
+  markBatchPaid,
+  cancelBatch,
+  getAllBatches,
+  getBatchById
+};
+
+export default reimbursementService;
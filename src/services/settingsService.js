@@ -1,9 +1,34 @@
 import storage from './storage';
+import auditService from './auditService';
 
 /**
  * Settings Service - Handles all settings-related operations
  */
 
+// Per-session keys that are not recorded in the audit log
+const UNAUDITED_KEYS = ['currentUserId'];
+
+const withoutUnauditedKeys = (settings) => {
+  return Object.keys(settings).reduce((acc, key) => {
+    if (!UNAUDITED_KEYS.includes(key)) {
+      acc[key] = settings[key];
+    }
+    return acc;
+  }, {});
+};
+
+// Persist settings and record what changed
+const saveSettings = async (before, after) => {
+  storage.set('settings', after);
+  await auditService.logAuditEntry({
+    entityType: 'settings',
+    entityId: 'settings',
+    action: 'update',
+    before: withoutUnauditedKeys(before),
+    after: withoutUnauditedKeys(after)
+  });
+};
+
 // Get all settings
 export const getAllSettings = async () => {
   try {
@@ -29,10 +54,13 @@ export const getSetting = async (key) => {
 // Update setting
 export const updateSetting = async (key, value) => {
   try {
-    const settings = storage.get('settings') || {};
-    settings[key] = value;
-    settings.updatedAt = new Date().toISOString();
-    storage.set('settings', settings);
+    const previous = storage.get('settings') || {};
+    const settings = {
+      ...previous,
+      [key]: value,
+      updatedAt: new Date().toISOString()
+    };
+    await saveSettings(previous, settings);
     return { success: true, data: settings };
   } catch (error) {
     console.error('Error updating setting:', error);
@@ -43,12 +71,13 @@ export const updateSetting = async (key, value) => {
 // Update multiple settings
 export const updateSettings = async (updates) => {
   try {
-    const settings = storage.get('settings') || {};
-    Object.keys(updates).forEach(key => {
-      settings[key] = updates[key];
-    });
-    settings.updatedAt = new Date().toISOString();
-    storage.set('settings', settings);
+    const previous = storage.get('settings') || {};
+    const settings = {
+      ...previous,
+      ...updates,
+      updatedAt: new Date().toISOString()
+    };
+    await saveSettings(previous, settings);
     return { success: true, data: settings };
   } catch (error) {
     console.error('Error updating settings:', error);
@@ -62,6 +91,8 @@ export const resetSettings = async () => {
     const defaultSettings = {
       currency: 'JPY',
       dateFormat: 'YYYY-MM-DD',
+      fiscalYearStartMonth: 4,
+      taxRounding: 'floor',
       timeFormat: '24h',
       theme: 'light',
       language: 'ja',
@@ -69,7 +100,7 @@ export const resetSettings = async () => {
       maxFileSize: 10485760, // 10MB
       updatedAt: new Date().toISOString()
     };
-    storage.set('settings', defaultSettings);
+    await saveSettings(storage.get('settings') || {}, defaultSettings);
     return { success: true, data: defaultSettings };
   } catch (error) {
     console.error('Error resetting settings:', error);
@@ -108,7 +139,7 @@ export const importSettings = async (importData) => {
       ...importData.settings,
       updatedAt: new Date().toISOString()
     };
-    storage.set('settings', settings);
+    await saveSettings(storage.get('settings') || {}, settings);
     return { success: true, data: settings };
   } catch (error) {
     console.error('Error importing settings:', error);
@@ -0,0 +1,500 @@
+import storage from './storage';
+import expenseService from './expenseService';
+import incomeService from './incomeService';
+import { EXPENSE_STATUSES, normalizeStatus } from './approvalService';
+import auditService from './auditService';
+import { getLocalCategorySuggestion, learnFromSelection } from './aiService';
+import { parseDateString } from '../utils/recurrence';
+import { DEFAULT_TAX_CATEGORY } from '../utils/consumptionTax';
+
+/**
+ * Statement Import Service - Bank and credit card statement lines imported into a payment account
+ * Imported lines are matched against existing expenses (money out) and income (money in).
+ * Lines without a match wait in the review queue until a transaction is created for them,
+ * they are matched by hand, or they are ignored.
+ */
+
+export const STATEMENT_LINE_STATUSES = {
+  pending: '未処理',
+  matched: '照合済',
+  ignored: '除外'
+};
+
+export const MATCH_METHODS = {
+  auto: '自動照合',
+  manual: '手動照合',
+  created: '明細から登録'
+};
+
+// Days a transaction date may differ from the statement date (card charges post late)
+export const MATCH_DATE_WINDOW_DAYS = 3;
+
+// Minimum score for an automatic match
+export const MATCH_SCORE_THRESHOLD = 0.5;
+
+// Minimum description similarity for an automatic match; the date alone can reach the
+// score threshold, so an unrelated line of the same amount on the same day is left for review
+export const MATCH_MIN_SIMILARITY = 0.25;
+
+const COLLECTION = 'statementLines';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sameId = (a, b) => a !== null && a !== undefined && b !== null && b !== undefined && String(a) === String(b);
+
+// Normalize descriptions so half-width katakana and full-width letters compare equal
+export const normalizeDescription = (text) => {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\s\-_.,・、。()（）「」[\]/\\*＊]/g, '');
+};
+
+/**
+ * Similarity of two descriptions (Dice coefficient of character bigrams)
+ * @param {string} a - Description
+ * @param {string} b - Description
+ * @returns {number} 0 (nothing in common) to 1 (identical)
+ */
+export const descriptionSimilarity = (a, b) => {
+  const left = normalizeDescription(a);
+  const right = normalizeDescription(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  if (left.includes(right) || right.includes(left)) {
+    return Math.min(left.length, right.length) / Math.max(left.length, right.length) * 0.5 + 0.5;
+  }
+
+  const bigrams = (text) => {
+    const grams = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+      const gram = text.slice(i, i + 2);
+      grams.set(gram, (grams.get(gram) || 0) + 1);
+    }
+    return grams;
+  };
+  const leftGrams = bigrams(left);
+  const rightGrams = bigrams(right);
+  let overlap = 0;
+  leftGrams.forEach((count, gram) => {
+    overlap += Math.min(count, rightGrams.get(gram) || 0);
+  });
+  const total = Math.max(left.length - 1, 0) + Math.max(right.length - 1, 0);
+  return total > 0 ? (2 * overlap) / total : 0;
+};
+
+const daysBetween = (a, b) => Math.round(Math.abs(parseDateString(a) - parseDateString(b)) / DAY_MS);
+
+const toDay = (value) => String(value || '').split('T')[0];
+
+// How closely the line's description matches the transaction's description or counterparty
+export const matchSimilarity = (line, transaction) => Math.max(
+  descriptionSimilarity(line.description, transaction.description),
+  descriptionSimilarity(line.description, transaction.vendor || transaction.source)
+);
+
+/**
+ * Score how well a transaction explains a statement line
+ * The amount must be equal and the date inside the window; closer dates and similar
+ * descriptions score higher.
+ * @returns {number|null} Score from 0 to 1, or null when the transaction cannot match
+ */
+export const scoreMatch = (line, transaction, windowDays = MATCH_DATE_WINDOW_DAYS) => {
+  if (Math.round(Number(transaction.amount) || 0) !== Math.round(line.amount)) return null;
+  const diff = daysBetween(line.date, toDay(transaction.date));
+  if (diff > windowDays) return null;
+  const dateScore = 1 - diff / (windowDays * 2);
+  return Math.round((dateScore * 0.6 + matchSimilarity(line, transaction) * 0.4) * 100) / 100;
+};
+
+// Transactions a line from this account may match
+const getCandidates = async (direction, paymentAccountId, claimed) => {
+  if (direction === 'out') {
+    const expenses = await storage.getAll('expenses');
+    return expenses
+      .filter(expense => !expense.isAdvancePayment)
+      .filter(expense => normalizeStatus(expense.status) !== EXPENSE_STATUSES.REJECTED)
+      .filter(expense => !expense.paymentAccountId || sameId(expense.paymentAccountId, paymentAccountId))
+      .filter(expense => !claimed.has(`expense:${expense.id}`))
+      .map(expense => ({ ...expense, type: 'expense' }));
+  }
+
+  const income = await storage.getAll('income');
+  return income
+    .filter(item => !item.paymentAccountId || sameId(item.paymentAccountId, paymentAccountId))
+    .filter(item => !claimed.has(`income:${item.id}`))
+    .map(item => ({ ...item, type: 'income' }));
+};
+
+// Transactions that already explain another statement line
+const getClaimedTransactions = async () => {
+  const lines = await storage.getAll(COLLECTION);
+  return new Set(lines
+    .filter(line => line.status === 'matched')
+    .map(line => `${line.matchedType}:${line.matchedId}`));
+};
+
+// Record the statement account on a matched transaction that did not name one
+const assignPaymentAccount = async (type, transaction, paymentAccountId) => {
+  if (transaction.paymentAccountId) return;
+  if (type === 'expense') {
+    await expenseService.updateExpense(transaction.id, { paymentAccountId });
+  } else {
+    await incomeService.updateIncome(transaction.id, { paymentAccountId });
+  }
+};
+
+/**
+ * Match pending lines against existing transactions
+ * Each transaction explains at most one line; the best scoring pairs are taken first.
+ * @param {number|string|null} paymentAccountId - Limit to one account (all accounts when null)
+ * @returns {Promise<Object>} { success, data: { matched } }
+ */
+export const autoMatchPendingLines = async (paymentAccountId = null) => {
+  try {
+    const lines = (await storage.getAll(COLLECTION))
+      .filter(line => line.status === 'pending')
+      .filter(line => paymentAccountId === null || sameId(line.paymentAccountId, paymentAccountId));
+    const claimed = await getClaimedTransactions();
+
+    const pairs = [];
+    const candidateCache = new Map();
+    for (const line of lines) {
+      const cacheKey = `${line.direction}:${line.paymentAccountId}`;
+      if (!candidateCache.has(cacheKey)) {
+        candidateCache.set(cacheKey, await getCandidates(line.direction, line.paymentAccountId, claimed));
+      }
+      candidateCache.get(cacheKey).forEach((transaction) => {
+        const score = scoreMatch(line, transaction);
+        if (score !== null && score >= MATCH_SCORE_THRESHOLD && matchSimilarity(line, transaction) >= MATCH_MIN_SIMILARITY) {
+          pairs.push({ line, transaction, score });
+        }
+      });
+    }
+
+    pairs.sort((a, b) => b.score - a.score);
+    const matchedLines = new Set();
+    let matched = 0;
+    for (const { line, transaction, score } of pairs) {
+      const key = `${transaction.type}:${transaction.id}`;
+      if (matchedLines.has(line.id) || claimed.has(key)) continue;
+      matchedLines.add(line.id);
+      claimed.add(key);
+
+      await storage.updateItem(COLLECTION, line.id, {
+        status: 'matched',
+        matchedType: transaction.type,
+        matchedId: transaction.id,
+        matchScore: score,
+        matchMethod: 'auto'
+      });
+      await assignPaymentAccount(transaction.type, transaction, line.paymentAccountId);
+      matched++;
+    }
+
+    return { success: true, data: { matched } };
+  } catch (error) {
+    console.error('Error matching statement lines:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Identify a line so importing the same statement twice does not duplicate it
+const buildFingerprint = (paymentAccountId, line, occurrence) => {
+  if (line.externalId) {
+    return `${paymentAccountId}|id:${line.externalId}`;
+  }
+  return [paymentAccountId, line.date, line.direction, line.amount, normalizeDescription(line.description), occurrence].join('|');
+};
+
+/**
+ * Import parsed statement lines into a payment account and match them
+ * @param {Array} lines - Lines from utils/statementParsers
+ * @param {Object} options - { paymentAccountId, format, fileName }
+ * @returns {Promise<Object>} { success, data: { imported, duplicates, matched, pending } }
+ */
+export const importStatementLines = async (lines, { paymentAccountId, format, fileName = '' }) => {
+  try {
+    if (!paymentAccountId) {
+      return { success: false, error: '取込先の口座を選択してください。' };
+    }
+    if (!lines || lines.length === 0) {
+      return { success: false, error: '取り込める明細がありません。' };
+    }
+
+    const existing = new Set((await storage.getAll(COLLECTION)).map(line => line.fingerprint));
+    const importId = new Date().toISOString();
+    const occurrences = new Map();
+    let imported = 0;
+    let duplicates = 0;
+
+    for (const line of lines) {
+      const baseKey = buildFingerprint(paymentAccountId, line, '');
+      const occurrence = occurrences.get(baseKey) || 0;
+      occurrences.set(baseKey, occurrence + 1);
+
+      const fingerprint = buildFingerprint(paymentAccountId, line, occurrence);
+      if (existing.has(fingerprint)) {
+        duplicates++;
+        continue;
+      }
+      existing.add(fingerprint);
+
+      await storage.addItem(COLLECTION, {
+        ...line,
+        paymentAccountId,
+        format,
+        fileName,
+        importId,
+        fingerprint,
+        status: 'pending',
+        matchedType: null,
+        matchedId: null,
+        matchScore: null,
+        matchMethod: null
+      });
+      imported++;
+    }
+
+    const matchResult = await autoMatchPendingLines(paymentAccountId);
+    const matched = matchResult.success ? matchResult.data.matched : 0;
+
+    await auditService.logAuditEntry({
+      entityType: 'statementImport',
+      entityId: importId,
+      action: 'create',
+      after: { fileName, format, paymentAccountId, imported, duplicates, matched }
+    });
+
+    const pending = (await storage.getAll(COLLECTION))
+      .filter(line => line.importId === importId && line.status === 'pending')
+      .length;
+
+    return { success: true, data: { imported, duplicates, matched, pending } };
+  } catch (error) {
+    console.error('Error importing statement:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Get statement lines, newest first
+export const getStatementLines = async ({ status = null, paymentAccountId = null } = {}) => {
+  try {
+    const lines = await storage.getAll(COLLECTION);
+    return {
+      success: true,
+      data: lines
+        .filter(line => !status || line.status === status)
+        .filter(line => !paymentAccountId || sameId(line.paymentAccountId, paymentAccountId))
+        .sort((a, b) => b.date.localeCompare(a.date) || b.id - a.id)
+    };
+  } catch (error) {
+    console.error('Error getting statement lines:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Transactions a pending line could be matched to by hand
+ * Same direction and amount within a month, best scoring first.
+ */
+export const getMatchCandidates = async (lineId) => {
+  try {
+    const line = await storage.findById(COLLECTION, lineId);
+    if (!line) {
+      return { success: false, error: '明細が見つかりません。' };
+    }
+    const claimed = await getClaimedTransactions();
+    const candidates = await getCandidates(line.direction, line.paymentAccountId, claimed);
+    return {
+      success: true,
+      data: candidates
+        .map(transaction => ({ transaction, score: scoreMatch(line, transaction, 31) }))
+        .filter(candidate => candidate.score !== null)
+        .sort((a, b) => b.score - a.score)
+    };
+  } catch (error) {
+    console.error('Error getting match candidates:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Match a line to a transaction by hand
+export const matchStatementLine = async (lineId, type, transactionId) => {
+  try {
+    const line = await storage.findById(COLLECTION, lineId);
+    if (!line) {
+      return { success: false, error: '明細が見つかりません。' };
+    }
+    // A matched line has to be put back into the queue first, so the earlier match isn't orphaned
+    if (line.status === 'matched') {
+      return { success: false, error: 'この明細は照合済みです。' };
+    }
+    if (type !== (line.direction === 'out' ? 'expense' : 'income')) {
+      return { success: false, error: '出金の明細は支出と、入金の明細は収入と照合してください。' };
+    }
+    const transaction = await storage.findById(type === 'expense' ? 'expenses' : 'income', transactionId);
+    if (!transaction) {
+      return { success: false, error: '取引が見つかりません。' };
+    }
+    const claimed = await getClaimedTransactions();
+    if (claimed.has(`${type}:${transaction.id}`)) {
+      return { success: false, error: 'この取引は別の明細と照合済みです。' };
+    }
+
+    const updatedLine = await storage.updateItem(COLLECTION, lineId, {
+      status: 'matched',
+      matchedType: type,
+      matchedId: transaction.id,
+      matchScore: scoreMatch(line, transaction, 31),
+      matchMethod: 'manual'
+    });
+    await assignPaymentAccount(type, transaction, line.paymentAccountId);
+
+    return { success: true, data: updatedLine };
+  } catch (error) {
+    console.error('Error matching statement line:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Put a matched or ignored line back into the review queue
+export const resetStatementLine = async (lineId) => {
+  try {
+    const updatedLine = await storage.updateItem(COLLECTION, lineId, {
+      status: 'pending',
+      matchedType: null,
+      matchedId: null,
+      matchScore: null,
+      matchMethod: null
+    });
+    return { success: true, data: updatedLine };
+  } catch (error) {
+    console.error('Error resetting statement line:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Leave a line out of the review queue (e.g. transfers between own accounts)
+export const ignoreStatementLine = async (lineId) => {
+  try {
+    const updatedLine = await storage.updateItem(COLLECTION, lineId, { status: 'ignored' });
+    return { success: true, data: updatedLine };
+  } catch (error) {
+    console.error('Error ignoring statement line:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Delete an imported line that has not been matched
+export const deleteStatementLine = async (lineId) => {
+  try {
+    const line = await storage.findById(COLLECTION, lineId);
+    if (line && line.status === 'matched') {
+      return { success: false, error: '照合済みの明細は削除できません。先に照合を解除してください。' };
+    }
+    await storage.deleteItem(COLLECTION, lineId);
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting statement line:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Suggest a category for each line with the local model and learned selections
+ * @param {Array} lines - Statement lines
+ * @returns {Promise<Object>} Map of line id to category id
+ */
+export const suggestCategories = async (lines) => {
+  const suggestions = {};
+  for (const line of lines) {
+    if (!normalizeDescription(line.description)) continue;
+    const result = await getLocalCategorySuggestion(
+      line.description,
+      line.direction === 'out' ? 'expense' : 'income',
+      { amount: line.amount, date: line.date }
+    );
+    if (result.success && result.category) {
+      suggestions[line.id] = result.category.id;
+    }
+  }
+  return suggestions;
+};
+
+/**
+ * Create an expense or income from a pending line and match them
+ * @param {number} lineId - Statement line
+ * @param {Object} fields - { categoryId, description, userId, taxCategory }
+ */
+export const createTransactionFromLine = async (lineId, fields) => {
+  try {
+    const line = await storage.findById(COLLECTION, lineId);
+    if (!line) {
+      return { success: false, error: '明細が見つかりません。' };
+    }
+    if (line.status === 'matched') {
+      return { success: false, error: 'この明細は照合済みです。' };
+    }
+
+    const type = line.direction === 'out' ? 'expense' : 'income';
+    const description = (fields.description || line.description || '').trim();
+    const transactionData = {
+      date: line.date,
+      amount: line.amount,
+      taxCategory: fields.taxCategory || DEFAULT_TAX_CATEGORY,
+      taxEntryMode: 'inclusive',
+      description,
+      categoryId: fields.categoryId,
+      userId: fields.userId || auditService.getCurrentUserId() || '',
+      paymentAccountId: line.paymentAccountId,
+      memo: `明細取込: ${line.description}`,
+      tags: []
+    };
+
+    const result = type === 'expense'
+      ? await expenseService.createExpense(transactionData)
+      : await incomeService.createIncome({ ...transactionData, source: description });
+    if (!result.success) {
+      return result;
+    }
+
+    await storage.updateItem(COLLECTION, lineId, {
+      status: 'matched',
+      matchedType: type,
+      matchedId: result.data.id,
+      matchScore: 1,
+      matchMethod: 'created'
+    });
+
+    // Teach the local suggestions the bank's wording for this category
+    const category = await storage.findById('categories', fields.categoryId);
+    if (category && line.description) {
+      learnFromSelection(line.description, category.name, type);
+    }
+
+    return { success: true, data: { type, transaction: result.data } };
+  } catch (error) {
+    console.error('Error creating transaction from statement line:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const statementImportService = {
+  normalizeDescription,
+  descriptionSimilarity,
+  matchSimilarity,
+  scoreMatch,
+  autoMatchPendingLines,
+  importStatementLines,
+  getStatementLines,
+  getMatchCandidates,
+  matchStatementLine,
+  resetStatementLine,
+  ignoreStatementLine,
+  deleteStatementLine,
+  suggestCategories,
+  createTransactionFromLine
+};
+
+export default statementImportService;
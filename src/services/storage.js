@@ -1,11 +1,83 @@
+import { db, openDatabase } from '../db/database';
+import { isMigrationComplete, runLegacyMigration } from '../db/migrations';
+
 /**
- * Simple storage service using localStorage
- * This provides a reliable, synchronous storage solution
+ * Storage service
+ * Collections (users, expenses, income, ...) live in IndexedDB via Dexie once the
+ * legacy migration has completed; until then they are read from localStorage.
+ * Small scalar keys such as settings stay in localStorage and remain synchronous.
  */
 
+// Tables left out of backups: bookkeeping of the localStorage migration itself
+const INTERNAL_TABLES = ['migrationSnapshots'];
+
+// Append-only records (audit trail, 電子帳簿保存法 archive) that a reset keeps and a restore only adds to
+const WRITE_ONCE_TABLES = ['auditLog', 'receiptArchive', 'receiptArchiveEvents'];
+
+// localStorage keys left out of backups: the migration state belongs to this device's database
+const INTERNAL_KEYS = ['migration'];
+
+// Marks a Blob field (receipt files, thumbnails) encoded as base64 in a backup file
+const BLOB_MARKER = '__blob';
+
+export const BACKUP_FORMAT = 'atture-expence-backup';
+
+// Every IndexedDB table that holds user data, so tables added in later schema versions are included
+export const getBackupTables = () => db.tables
+  .map(table => table.name)
+  .filter(name => !INTERNAL_TABLES.includes(name));
+
+const encodeBlob = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return { [BLOB_MARKER]: btoa(binary), type: blob.type };
+};
+
+const decodeBlob = (value) => {
+  const binary = atob(value[BLOB_MARKER]);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: value.type });
+};
+
+const isEncodedBlob = (value) => Boolean(value) && typeof value === 'object' && typeof value[BLOB_MARKER] === 'string';
+
+// Blobs are stored as top-level fields of a record (files.blob, files.thumbnailBlob)
+const encodeRecord = async (record) => {
+  const encoded = { ...record };
+  for (const [field, value] of Object.entries(record)) {
+    if (value instanceof Blob) {
+      encoded[field] = await encodeBlob(value);
+    }
+  }
+  return encoded;
+};
+
+const decodeRecord = (record) => Object.fromEntries(
+  Object.entries(record).map(([field, value]) => [field, isEncodedBlob(value) ? decodeBlob(value) : value])
+);
+
+// Remove what a reset removes from one table
+const resetTable = async (name) => {
+  if (WRITE_ONCE_TABLES.includes(name)) return;
+  // Receipts archived for the Electronic Bookkeeping Act are write-once and survive a reset
+  if (name === 'files') {
+    await db.files.filter(file => !file.archivedAt).delete();
+  } else {
+    await db.table(name).clear();
+  }
+};
+
 class StorageService {
   constructor() {
     this.prefix = 'attureExpence_';
+    this.backend = 'localStorage';
+    this.readyPromise = null;
     this.initializeDefaultData();
   }
 
@@ -47,8 +119,8 @@ class StorageService {
     }
   }
 
-  // Clear all data
-  clear() {
+  // Clear all data (localStorage keys and IndexedDB collections)
+  async clear() {
     try {
       const keys = Object.keys(localStorage);
       keys.forEach(key => {
@@ -56,6 +128,12 @@ class StorageService {
           localStorage.removeItem(key);
         }
       });
+      const collections = getBackupTables();
+      await db.transaction('rw', collections.map(collection => db.table(collection)), async () => {
+        for (const collection of collections) {
+          await resetTable(collection);
+        }
+      });
       return true;
     } catch (error) {
       console.error('Error clearing storage:', error);
@@ -64,6 +142,7 @@ class StorageService {
   }
 
   // Initialize with default data if empty
+  // Default categories are seeded into IndexedDB by openDatabase
   initializeDefaultData() {
     // Check if already initialized
     if (this.get('initialized')) {
@@ -72,93 +151,6 @@ class StorageService {
 
     const now = new Date().toISOString();
 
-    // Default categories with proper Japanese tax accounting structure
-    const defaultCategories = [
-      // Income categories (収益勘定)
-      { id: 1, name: '売上高', type: 'income', color: '#4CAF50', icon: 'salary', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 2, name: '受取手数料', type: 'income', color: '#2196F3', icon: 'work', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 3, name: '受取利息', type: 'income', color: '#00BCD4', icon: 'investment', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 4, name: '受取配当金', type: 'income', color: '#009688', icon: 'investment', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 5, name: '雑収入', type: 'income', color: '#795548', icon: 'category', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 6, name: '有価証券売却益', type: 'income', color: '#607D8B', icon: 'investment', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 7, name: '固定資産売却益', type: 'income', color: '#455A64', icon: 'investment', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 8, name: '為替差益', type: 'income', color: '#37474F', icon: 'investment', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 9, name: '保険差益', type: 'income', color: '#263238', icon: 'health', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 10, name: '補助金収入', type: 'income', color: '#4CAF50', icon: 'category', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 11, name: '助成金収入', type: 'income', color: '#43A047', icon: 'category', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 12, name: '受取家賃', type: 'income', color: '#388E3C', icon: 'home', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 13, name: '受託収益', type: 'income', color: '#2E7D32', icon: 'work', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 14, name: '工事収益', type: 'income', color: '#1B5E20', icon: 'work', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 15, name: '役務収益', type: 'income', color: '#33691E', icon: 'work', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 16, name: '保守料収入', type: 'income', color: '#827717', icon: 'work', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 17, name: '会費収入', type: 'income', color: '#F57F17', icon: 'category', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 18, name: 'ロイヤリティ収入', type: 'income', color: '#F57C00', icon: 'work', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 19, name: '広告収入', type: 'income', color: '#EF6C00', icon: 'work', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 20, name: 'サブスクリプション収入', type: 'income', color: '#E65100', icon: 'work', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 21, name: 'ライセンス収入', type: 'income', color: '#BF360C', icon: 'work', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 22, name: 'キャンセル料収入', type: 'income', color: '#3E2723', icon: 'category', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 23, name: '返品減額収入', type: 'income', color: '#5D4037', icon: 'category', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-
-      // Expense categories with groups (費用勘定)
-      // 人件費 (Personnel Expenses) - Parent Category
-      { id: 24, name: '人件費', type: 'expense', color: '#F44336', icon: 'category', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 25, name: '給与手当', type: 'expense', color: '#F44336', icon: 'salary', parentId: 24, isActive: true, createdAt: now, updatedAt: now },
-      { id: 26, name: '法定福利費', type: 'expense', color: '#F44336', icon: 'health', parentId: 24, isActive: true, createdAt: now, updatedAt: now },
-      { id: 27, name: '福利厚生費', type: 'expense', color: '#F44336', icon: 'health', parentId: 24, isActive: true, createdAt: now, updatedAt: now },
-      { id: 28, name: '役員報酬', type: 'expense', color: '#F44336', icon: 'salary', parentId: 24, isActive: true, createdAt: now, updatedAt: now },
-      { id: 29, name: '教育研修費', type: 'expense', color: '#F44336', icon: 'education', parentId: 24, isActive: true, createdAt: now, updatedAt: now },
-      { id: 30, name: '採用費', type: 'expense', color: '#F44336', icon: 'work', parentId: 24, isActive: true, createdAt: now, updatedAt: now },
-
-      // 売上原価 (Cost of Sales) - Parent Category
-      { id: 31, name: '売上原価', type: 'expense', color: '#E91E63', icon: 'category', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 32, name: '仕入高', type: 'expense', color: '#E91E63', icon: 'shopping', parentId: 31, isActive: true, createdAt: now, updatedAt: now },
-      { id: 33, name: '外注費', type: 'expense', color: '#E91E63', icon: 'work', parentId: 31, isActive: true, createdAt: now, updatedAt: now },
-      { id: 34, name: '材料費', type: 'expense', color: '#E91E63', icon: 'shopping', parentId: 31, isActive: true, createdAt: now, updatedAt: now },
-      { id: 35, name: '加工費', type: 'expense', color: '#E91E63', icon: 'work', parentId: 31, isActive: true, createdAt: now, updatedAt: now },
-
-      // 販売費 (Selling Expenses) - Parent Category
-      { id: 36, name: '販売費', type: 'expense', color: '#9C27B0', icon: 'category', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 37, name: '広告宣伝費', type: 'expense', color: '#9C27B0', icon: 'entertainment', parentId: 36, isActive: true, createdAt: now, updatedAt: now },
-      { id: 38, name: '販売促進費', type: 'expense', color: '#9C27B0', icon: 'entertainment', parentId: 36, isActive: true, createdAt: now, updatedAt: now },
-      { id: 39, name: '営業費', type: 'expense', color: '#9C27B0', icon: 'work', parentId: 36, isActive: true, createdAt: now, updatedAt: now },
-      { id: 40, name: '展示会費', type: 'expense', color: '#9C27B0', icon: 'entertainment', parentId: 36, isActive: true, createdAt: now, updatedAt: now },
-
-      // 一般管理費 (General Administrative Expenses) - Parent Category
-      { id: 41, name: '一般管理費', type: 'expense', color: '#3F51B5', icon: 'category', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 42, name: '通信費', type: 'expense', color: '#3F51B5', icon: 'utilities', parentId: 41, isActive: true, createdAt: now, updatedAt: now },
-      { id: 43, name: '旅費交通費', type: 'expense', color: '#3F51B5', icon: 'transport', parentId: 41, isActive: true, createdAt: now, updatedAt: now },
-      { id: 44, name: '会議費', type: 'expense', color: '#3F51B5', icon: 'work', parentId: 41, isActive: true, createdAt: now, updatedAt: now },
-      { id: 45, name: '交際費', type: 'expense', color: '#3F51B5', icon: 'food', parentId: 41, isActive: true, createdAt: now, updatedAt: now },
-      { id: 46, name: '接待費', type: 'expense', color: '#3F51B5', icon: 'food', parentId: 41, isActive: true, createdAt: now, updatedAt: now },
-      { id: 47, name: '水道光熱費', type: 'expense', color: '#3F51B5', icon: 'utilities', parentId: 41, isActive: true, createdAt: now, updatedAt: now },
-      { id: 48, name: '家賃支払', type: 'expense', color: '#3F51B5', icon: 'home', parentId: 41, isActive: true, createdAt: now, updatedAt: now },
-      { id: 49, name: '消耗品費', type: 'expense', color: '#3F51B5', icon: 'shopping', parentId: 41, isActive: true, createdAt: now, updatedAt: now },
-      { id: 50, name: '事務用品費', type: 'expense', color: '#3F51B5', icon: 'shopping', parentId: 41, isActive: true, createdAt: now, updatedAt: now },
-      { id: 51, name: '新聞図書費', type: 'expense', color: '#3F51B5', icon: 'education', parentId: 41, isActive: true, createdAt: now, updatedAt: now },
-      { id: 52, name: '租税公課', type: 'expense', color: '#3F51B5', icon: 'category', parentId: 41, isActive: true, createdAt: now, updatedAt: now },
-      { id: 53, name: '支払手数料', type: 'expense', color: '#3F51B5', icon: 'category', parentId: 41, isActive: true, createdAt: now, updatedAt: now },
-      { id: 54, name: '保険料', type: 'expense', color: '#3F51B5', icon: 'health', parentId: 41, isActive: true, createdAt: now, updatedAt: now },
-      { id: 55, name: '修繕費', type: 'expense', color: '#3F51B5', icon: 'work', parentId: 41, isActive: true, createdAt: now, updatedAt: now },
-      { id: 56, name: '車両費', type: 'expense', color: '#3F51B5', icon: 'transport', parentId: 41, isActive: true, createdAt: now, updatedAt: now },
-      { id: 57, name: '運搬費', type: 'expense', color: '#3F51B5', icon: 'transport', parentId: 41, isActive: true, createdAt: now, updatedAt: now },
-      { id: 58, name: '雑費', type: 'expense', color: '#3F51B5', icon: 'category', parentId: 41, isActive: true, createdAt: now, updatedAt: now },
-
-      // 減価償却・金融費用 (Depreciation & Financial Expenses) - Parent Category
-      { id: 59, name: '減価償却・金融費用', type: 'expense', color: '#FF9800', icon: 'category', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 60, name: '減価償却費', type: 'expense', color: '#FF9800', icon: 'investment', parentId: 59, isActive: true, createdAt: now, updatedAt: now },
-      { id: 61, name: '支払利息', type: 'expense', color: '#FF9800', icon: 'investment', parentId: 59, isActive: true, createdAt: now, updatedAt: now },
-      { id: 62, name: '貸倒損失', type: 'expense', color: '#FF9800', icon: 'investment', parentId: 59, isActive: true, createdAt: now, updatedAt: now },
-      { id: 63, name: '為替差損', type: 'expense', color: '#FF9800', icon: 'investment', parentId: 59, isActive: true, createdAt: now, updatedAt: now },
-
-      // その他費用 (Other Expenses) - Parent Category
-      { id: 64, name: 'その他費用', type: 'expense', color: '#795548', icon: 'category', parentId: null, isActive: true, createdAt: now, updatedAt: now },
-      { id: 65, name: '寄付金', type: 'expense', color: '#795548', icon: 'gift', parentId: 64, isActive: true, createdAt: now, updatedAt: now },
-      { id: 66, name: '顧問料', type: 'expense', color: '#795548', icon: 'work', parentId: 64, isActive: true, createdAt: now, updatedAt: now },
-      { id: 67, name: 'システム利用料', type: 'expense', color: '#795548', icon: 'freelance', parentId: 64, isActive: true, createdAt: now, updatedAt: now },
-      { id: 68, name: 'クラウドサービス費', type: 'expense', color: '#795548', icon: 'freelance', parentId: 64, isActive: true, createdAt: now, updatedAt: now },
-      { id: 69, name: '会費', type: 'expense', color: '#795548', icon: 'category', parentId: 64, isActive: true, createdAt: now, updatedAt: now }
-    ];
-
     // Default settings
     const defaultSettings = {
       currency: 'JPY',
@@ -171,19 +163,69 @@ class StorageService {
     };
 
     // Initialize storage
-    this.set('categories', defaultCategories);
     this.set('settings', defaultSettings);
-    this.set('users', []);
-    this.set('expenses', []);
-    this.set('income', []);
     this.set('tags', []);
-    this.set('files', []);
     this.set('initialized', true);
 
     console.log('Storage initialized with default data');
   }
 
-  // Get next ID for a collection
+  /**
+   * Open the database and run the legacy migration once
+   * Every collection method waits for this, so callers never see a half-migrated state.
+   * @returns {Promise<string>} Active backend ('indexedDB' or 'localStorage')
+   */
+  ready() {
+    if (!this.readyPromise) {
+      this.readyPromise = (async () => {
+        try {
+          await openDatabase();
+          await runLegacyMigration();
+        } catch (error) {
+          console.error('Error preparing IndexedDB storage:', error);
+        }
+        this.backend = isMigrationComplete() ? 'indexedDB' : 'localStorage';
+        return this.backend;
+      })();
+    }
+    return this.readyPromise;
+  }
+
+  // Check if IndexedDB is the active backend
+  async useIndexedDB() {
+    await this.ready();
+    return this.backend === 'indexedDB';
+  }
+
+  // Primary key field of a collection
+  getPrimaryKey(collection) {
+    return collection === 'trash' ? 'trashId' : 'id';
+  }
+
+  // Get all items of a collection
+  async getAll(collection) {
+    if (await this.useIndexedDB()) {
+      return db.table(collection).toArray();
+    }
+    return this.get(collection) || [];
+  }
+
+  // Replace all items of a collection
+  async setAll(collection, items) {
+    if (await this.useIndexedDB()) {
+      const table = db.table(collection);
+      await db.transaction('rw', table, async () => {
+        await table.clear();
+        if (items.length > 0) {
+          await table.bulkPut(items);
+        }
+      });
+      return true;
+    }
+    return this.set(collection, items);
+  }
+
+  // Get next ID for a legacy collection (IndexedDB assigns its own keys)
   getNextId(collection) {
     const items = this.get(collection) || [];
     if (items.length === 0) return 1;
@@ -192,76 +234,182 @@ class StorageService {
   }
 
   // Add item to a collection
-  addItem(collection, item) {
+  async addItem(collection, item) {
+    const now = new Date().toISOString();
+
+    if (await this.useIndexedDB()) {
+      const { id, ...rest } = item;
+      const newItem = {
+        ...rest,
+        ...(id !== undefined && id !== null ? { id } : {}),
+        createdAt: item.createdAt || now,
+        updatedAt: now
+      };
+      const key = await db.table(collection).add(newItem);
+      return { ...newItem, [this.getPrimaryKey(collection)]: key };
+    }
+
     const items = this.get(collection) || [];
     const newItem = {
       ...item,
       id: item.id || this.getNextId(collection),
-      createdAt: item.createdAt || new Date().toISOString(),
-      updatedAt: new Date().toISOString()
+      createdAt: item.createdAt || now,
+      updatedAt: now
     };
     items.push(newItem);
     this.set(collection, items);
     return newItem;
   }
 
+  // Insert or replace an item as-is (no timestamps are touched)
+  async putItem(collection, item) {
+    if (await this.useIndexedDB()) {
+      await db.table(collection).put(item);
+      return item;
+    }
+
+    const primaryKey = this.getPrimaryKey(collection);
+    const items = (this.get(collection) || []).filter(existing => existing[primaryKey] !== item[primaryKey]);
+    items.push(item);
+    this.set(collection, items);
+    return item;
+  }
+
   // Update item in a collection
-  updateItem(collection, id, updates) {
+  async updateItem(collection, id, updates) {
+    const merge = (existing) => ({
+      ...existing,
+      ...updates,
+      id: existing.id, // Preserve ID
+      createdAt: existing.createdAt, // Preserve creation date
+      updatedAt: new Date().toISOString()
+    });
+
+    if (await this.useIndexedDB()) {
+      const table = db.table(collection);
+      return db.transaction('rw', table, async () => {
+        const existing = await table.get(id);
+        if (!existing) return null;
+        const updated = merge(existing);
+        await table.put(updated);
+        return updated;
+      });
+    }
+
     const items = this.get(collection) || [];
     const index = items.findIndex(item => item.id === id);
     if (index === -1) return null;
 
-    items[index] = {
-      ...items[index],
-      ...updates,
-      id: items[index].id, // Preserve ID
-      createdAt: items[index].createdAt, // Preserve creation date
-      updatedAt: new Date().toISOString()
-    };
+    items[index] = merge(items[index]);
     this.set(collection, items);
     return items[index];
   }
 
   // Delete item from a collection
-  deleteItem(collection, id) {
+  async deleteItem(collection, id) {
+    if (await this.useIndexedDB()) {
+      await db.table(collection).delete(id);
+      return true;
+    }
+
+    const primaryKey = this.getPrimaryKey(collection);
     const items = this.get(collection) || [];
-    const filtered = items.filter(item => item.id !== id);
+    const filtered = items.filter(item => item[primaryKey] !== id);
     this.set(collection, filtered);
     return true;
   }
 
   // Find item by ID
-  findById(collection, id) {
+  async findById(collection, id) {
+    if (id === undefined || id === null) return null;
+
+    if (await this.useIndexedDB()) {
+      return (await db.table(collection).get(id)) || null;
+    }
+
+    const primaryKey = this.getPrimaryKey(collection);
     const items = this.get(collection) || [];
-    return items.find(item => item.id === id) || null;
+    return items.find(item => item[primaryKey] === id) || null;
   }
 
   // Find items by criteria
-  findWhere(collection, criteria) {
+  async findWhere(collection, criteria) {
+    const matches = (item) => Object.keys(criteria).every(key => item[key] === criteria[key]);
+
+    if (await this.useIndexedDB()) {
+      return db.table(collection).filter(matches).toArray();
+    }
+
     const items = this.get(collection) || [];
-    return items.filter(item => {
-      return Object.keys(criteria).every(key => item[key] === criteria[key]);
-    });
+    return items.filter(matches);
   }
 
-  // Export all data
-  exportData() {
-    const data = {};
-    const keys = Object.keys(localStorage);
-    keys.forEach(key => {
-      if (key.startsWith(this.prefix)) {
-        const cleanKey = key.replace(this.prefix, '');
-        data[cleanKey] = this.get(cleanKey);
+  /**
+   * Back up every table and localStorage key
+   * Blob fields are encoded as base64 so attachments survive JSON.
+   * @returns {Promise<Object>} { format, version, exportedAt, localStorage, tables }
+   */
+  async exportData() {
+    const local = {};
+    Object.keys(localStorage).forEach(key => {
+      const cleanKey = key.replace(this.prefix, '');
+      if (key.startsWith(this.prefix) && !INTERNAL_KEYS.includes(cleanKey)) {
+        local[cleanKey] = this.get(cleanKey);
       }
     });
-    return data;
+
+    const tables = {};
+    for (const collection of getBackupTables()) {
+      const items = await this.getAll(collection);
+      tables[collection] = await Promise.all(items.map(encodeRecord));
+    }
+
+    return {
+      format: BACKUP_FORMAT,
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      localStorage: local,
+      tables
+    };
   }
 
-  // Import data
-  importData(data) {
+  /**
+   * Restore a backup made by exportData
+   * Each table loses what a reset removes and gets back the backed-up records it no longer has,
+   * so records a reset keeps are never replaced.
+   * @param {Object} backup - Backup object
+   * @returns {Promise<boolean>} Whether the backup was restored
+   */
+  async importData(backup) {
     try {
-      Object.keys(data).forEach(key => {
-        this.set(key, data[key]);
+      if (!backup || backup.format !== BACKUP_FORMAT) {
+        throw new Error('Not a backup file');
+      }
+
+      Object.entries(backup.localStorage || {}).forEach(([key, value]) => {
+        if (!INTERNAL_KEYS.includes(key)) {
+          this.set(key, value);
+        }
+      });
+
+      const collections = getBackupTables().filter(collection => Array.isArray(backup.tables?.[collection]));
+      if (!await this.useIndexedDB()) {
+        collections.forEach(collection => this.set(collection, backup.tables[collection]));
+        return true;
+      }
+
+      await db.transaction('rw', collections.map(collection => db.table(collection)), async () => {
+        for (const collection of collections) {
+          const table = db.table(collection);
+          await resetTable(collection);
+          const existing = new Set(await table.toCollection().primaryKeys());
+          const missing = backup.tables[collection]
+            .filter(item => !existing.has(item[table.schema.primKey.keyPath]))
+            .map(decodeRecord);
+          if (missing.length > 0) {
+            await table.bulkAdd(missing);
+          }
+        }
       });
       return true;
     } catch (error) {
@@ -274,4 +422,4 @@ class StorageService {
 // Create singleton instance
 const storage = new StorageService();
 
-export default storage;
\ No newline at end of file
+export default storage;
@@ -0,0 +1,230 @@
+import storage from './storage';
+import { EXPENSE_STATUSES, normalizeStatus } from './approvalService';
+import {
+  TAX_CATEGORIES,
+  DEFAULT_TAX_ROUNDING,
+  TAX_ROUNDING_MODES,
+  calculateTax,
+  splitNationalTax,
+  roundYen,
+  getNonQualifiedDeductionRate
+} from '../utils/consumptionTax';
+import { isValidRegistrationNumber } from '../utils/invoiceRegistration';
+
+/**
+ * Tax Service - Handles the consumption tax (消費税) breakdown of transactions
+ * `amount` always holds the tax-inclusive total; transactions with a tax category also store
+ * netAmount and taxAmount. Transactions registered before tax handling have no category and
+ * are reported separately as 区分未設定.
+ * Input tax on expenses without a valid インボイス registration number is only partly deductible
+ * under the transitional measures.
+ */
+
+// First day of the qualified invoice system
+export const INVOICE_SYSTEM_START_DATE = '2023-10-01';
+
+// Fields that change the tax breakdown of a transaction
+const TAX_FIELDS = ['amount', 'netAmount', 'taxCategory', 'taxEntryMode'];
+
+// Get the rounding of fractional yen from settings
+export const getTaxRounding = () => {
+  const settings = storage.get('settings') || {};
+  return TAX_ROUNDING_MODES[settings.taxRounding] ? settings.taxRounding : DEFAULT_TAX_ROUNDING;
+};
+
+/**
+ * Fill in the tax breakdown of a transaction before it is saved
+ * Tax-exclusive entries are computed from netAmount unless the total itself was edited.
+ * @param {Object} data - Fields being saved
+ * @param {Object|null} existing - Stored transaction when updating
+ * @returns {Object} Fields with amount, netAmount and taxAmount filled in
+ */
+export const applyConsumptionTax = (data, existing = null) => {
+  if (existing && !TAX_FIELDS.some(field => data[field] !== undefined)) {
+    return data;
+  }
+
+  const merged = { ...(existing || {}), ...data };
+  if (!merged.taxCategory || !TAX_CATEGORIES[merged.taxCategory]) {
+    return data;
+  }
+
+  const entryMode = merged.taxEntryMode === 'exclusive' ? 'exclusive' : 'inclusive';
+  const totalEdited = Boolean(existing) && data.amount !== undefined && data.amount !== existing.amount;
+  const netEdited = data.netAmount !== undefined && (!existing || data.netAmount !== existing.netAmount);
+  const fromNet = entryMode === 'exclusive' && merged.netAmount > 0 && (netEdited || !totalEdited);
+
+  const { netAmount, taxAmount, grossAmount } = fromNet
+    ? calculateTax(merged.netAmount, merged.taxCategory, 'exclusive', getTaxRounding())
+    : calculateTax(merged.amount, merged.taxCategory, 'inclusive', getTaxRounding());
+
+  return {
+    ...data,
+    taxCategory: merged.taxCategory,
+    taxEntryMode: entryMode,
+    amount: grossAmount,
+    netAmount,
+    taxAmount
+  };
+};
+
+// Whether an expense has a valid qualified invoice registration number
+export const isQualifiedInvoice = (expense) => isValidRegistrationNumber(expense.registrationNumber);
+
+// Whether an expense pays taxable consumption tax to a vendor without a registration number
+export const needsRegistrationNumber = (expense) => {
+  const category = TAX_CATEGORIES[expense.taxCategory];
+  return Boolean(category && category.rate > 0)
+    && String(expense.date).slice(0, 10) >= INVOICE_SYSTEM_START_DATE
+    && !isQualifiedInvoice(expense);
+};
+
+// Deductible percentage of the input tax of an expense
+export const getInputTaxDeductionRate = (expense) => (
+  isQualifiedInvoice(expense) ? 100 : getNonQualifiedDeductionRate(expense.date)
+);
+
+// Deductible part of the input tax of an expense
+export const getDeductibleInputTax = (expense) => (
+  roundYen(((expense.taxAmount || 0) * getInputTaxDeductionRate(expense)) / 100, 'floor')
+);
+
+// Empty totals row for a tax category
+const emptyRow = (taxCategory) => ({
+  taxCategory,
+  label: TAX_CATEGORIES[taxCategory].label,
+  count: 0,
+  grossAmount: 0,
+  netAmount: 0,
+  taxAmount: 0,
+  nationalTax: 0,
+  localTax: 0,
+  deductibleTax: 0
+});
+
+// Sum transactions per tax category; expenses also get the deductible part of their tax
+const summarize = (transactions, isPurchase = false) => {
+  const rows = Object.keys(TAX_CATEGORIES).reduce((acc, key) => {
+    acc[key] = emptyRow(key);
+    return acc;
+  }, {});
+  const unclassified = { count: 0, grossAmount: 0 };
+  const nonQualified = { count: 0, taxAmount: 0, deductibleTax: 0 };
+
+  transactions.forEach(transaction => {
+    const row = rows[transaction.taxCategory];
+    if (!row) {
+      unclassified.count += 1;
+      unclassified.grossAmount += transaction.amount || 0;
+      return;
+    }
+    row.count += 1;
+    row.grossAmount += transaction.amount || 0;
+    row.netAmount += transaction.netAmount ?? transaction.amount ?? 0;
+    row.taxAmount += transaction.taxAmount || 0;
+
+    const deductibleTax = isPurchase ? getDeductibleInputTax(transaction) : transaction.taxAmount || 0;
+    row.deductibleTax += deductibleTax;
+
+    if (isPurchase && needsRegistrationNumber(transaction)) {
+      nonQualified.count += 1;
+      nonQualified.taxAmount += transaction.taxAmount || 0;
+      nonQualified.deductibleTax += deductibleTax;
+    }
+  });
+
+  Object.values(rows).forEach(row => {
+    Object.assign(row, splitNationalTax(row.taxAmount, row.taxCategory));
+  });
+
+  const list = Object.values(rows);
+  return {
+    rows: list,
+    unclassified,
+    nonQualified,
+    total: list.reduce((acc, row) => ({
+      count: acc.count + row.count,
+      grossAmount: acc.grossAmount + row.grossAmount,
+      netAmount: acc.netAmount + row.netAmount,
+      taxAmount: acc.taxAmount + row.taxAmount,
+      nationalTax: acc.nationalTax + row.nationalTax,
+      localTax: acc.localTax + row.localTax,
+      deductibleTax: acc.deductibleTax + row.deductibleTax
+    }), { count: 0, grossAmount: 0, netAmount: 0, taxAmount: 0, nationalTax: 0, localTax: 0, deductibleTax: 0 })
+  };
+};
+
+// Issued invoices as one sale per tax rate, dated on the day they were issued
+const invoiceSales = (invoices) => invoices
+  .filter(invoice => invoice.direction === 'issued' && invoice.status !== 'cancelled')
+  .flatMap(invoice => (invoice.taxBreakdown || []).map(row => ({
+    date: invoice.issueDate || invoice.createdAt,
+    taxCategory: row.taxCategory,
+    amount: row.grossAmount,
+    netAmount: row.netAmount,
+    taxAmount: row.taxAmount
+  })));
+
+/**
+ * Get the consumption tax summary of a period for filing
+ * Sales give 仮受消費税 and purchases give 仮払消費税; draft and rejected expenses are left out.
+ * Issued invoices count as sales on their issue date, matching the journal, so the income
+ * recorded when they are paid is left out.
+ * inputTax is the deductible part of 仮払消費税 after the transitional measures.
+ * @param {string} startDate - First day ('YYYY-MM-DD')
+ * @param {string} endDate - Last day ('YYYY-MM-DD')
+ * @returns {Promise<Object>} { sales, purchases, outputTax, inputTaxPaid, inputTax, balance }
+ */
+export const getTaxSummary = async (startDate, endDate) => {
+  try {
+    const inPeriod = (transaction) => {
+      const date = String(transaction.date).slice(0, 10);
+      return date >= startDate && date <= endDate;
+    };
+
+    const [income, expenses, invoices] = await Promise.all([
+      storage.getAll('income'),
+      storage.getAll('expenses'),
+      storage.getAll('invoices')
+    ]);
+
+    const sales = summarize([
+      ...income.filter(item => !item.invoiceId),
+      ...invoiceSales(invoices)
+    ].filter(inPeriod));
+    const purchases = summarize(expenses.filter(expense => {
+      const status = normalizeStatus(expense.status);
+      return inPeriod(expense) && status !== EXPENSE_STATUSES.DRAFT && status !== EXPENSE_STATUSES.REJECTED;
+    }), true);
+
+    return {
+      success: true,
+      data: {
+        startDate,
+        endDate,
+        sales,
+        purchases,
+        outputTax: sales.total.taxAmount,
+        inputTaxPaid: purchases.total.taxAmount,
+        inputTax: purchases.total.deductibleTax,
+        // Positive: tax to pay, negative: refund
+        balance: sales.total.taxAmount - purchases.total.deductibleTax
+      }
+    };
+  } catch (error) {
+    console.error('Error getting tax summary:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const taxService = {
+  getTaxRounding,
+  applyConsumptionTax,
+  isQualifiedInvoice,
+  needsRegistrationNumber,
+  getInputTaxDeductionRate,
+  getDeductibleInputTax,
+  getTaxSummary
+};
+
+export default taxService;
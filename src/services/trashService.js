@@ -1,4 +1,8 @@
 import storage from './storage';
+import auditService from './auditService';
+import receiptArchiveService from './receiptArchiveService';
+import invoiceService from './invoiceService';
+import { canDeleteExpense } from './approvalService';
 
 /**
  * Trash Service - Handles soft deletion and recovery of transactions
@@ -7,26 +11,21 @@ import storage from './storage';
 // Move item to trash (soft delete)
 export const moveToTrash = async (type, id, reason = '') => {
   try {
-    let item;
-    if (type === 'expense') {
-      const expenses = storage.get('expenses') || [];
-      item = expenses.find(e => e.id === id);
-      if (item) {
-        // Remove from expenses
-        storage.set('expenses', expenses.filter(e => e.id !== id));
-      }
-    } else if (type === 'income') {
-      const income = storage.get('income') || [];
-      item = income.find(i => i.id === id);
-      if (item) {
-        // Remove from income
-        storage.set('income', income.filter(i => i.id !== id));
-      }
-    }
+    const collection = type === 'expense' ? 'expenses' : type === 'income' ? 'income' : null;
+    const item = collection ? await storage.findById(collection, id) : null;
 
     if (!item) {
       return { success: false, error: 'アイテムが見つかりません' };
     }
+    if (type === 'expense') {
+      const check = canDeleteExpense(item);
+      if (!check.allowed) {
+        return { success: false, error: check.reason };
+      }
+    }
+
+    // Remove from original collection
+    await storage.deleteItem(collection, id);
 
     // Add to trash
     const trashItem = {
@@ -37,9 +36,19 @@ export const moveToTrash = async (type, id, reason = '') => {
       trashId: `trash_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
     };
 
-    const trash = storage.get('trash') || [];
-    trash.push(trashItem);
-    storage.set('trash', trash);
+    await storage.putItem('trash', trashItem);
+
+    await auditService.logAuditEntry({
+      entityType: type,
+      entityId: id,
+      action: 'delete',
+      before: item,
+      details: reason ? { reason } : {}
+    });
+    await receiptArchiveService.recordTransactionDeletion(type, item, reason);
+    if (type === 'income') {
+      await invoiceService.syncIncomePayment(item, true);
+    }
 
     return { success: true, data: trashItem };
   } catch (error) {
@@ -48,10 +57,22 @@ export const moveToTrash = async (type, id, reason = '') => {
   }
 };
 
+// Record that a trashed item is gone for good
+const logPurge = async (trashItem) => {
+  const { originalType, deletedAt, deletedReason, trashId, ...originalItem } = trashItem;
+  await auditService.logAuditEntry({
+    entityType: originalType,
+    entityId: originalItem.id,
+    action: 'purge',
+    before: originalItem,
+    details: { deletedAt, deletedReason }
+  });
+};
+
 // Get all trash items
 export const getAllTrash = async () => {
   try {
-    const trash = storage.get('trash') || [];
+    const trash = await storage.getAll('trash');
     // Sort by deletion date (newest first)
     const sortedTrash = trash.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
     return { success: true, data: sortedTrash };
@@ -64,32 +85,47 @@ export const getAllTrash = async () => {
 // Restore item from trash
 export const restoreFromTrash = async (trashId) => {
   try {
-    const trash = storage.get('trash') || [];
-    const itemIndex = trash.findIndex(item => item.trashId === trashId);
+    const trashItem = await storage.findById('trash', trashId);
     
-    if (itemIndex === -1) {
+    if (!trashItem) {
       return { success: false, error: 'ゴミ箱にアイテムが見つかりません' };
     }
 
-    const trashItem = trash[itemIndex];
-    const { originalType, deletedAt, deletedReason, trashId: _, ...originalItem } = trashItem;
+    const { originalType, deletedAt, deletedReason, trashId: _, ...restoredItem } = trashItem;
+    let originalItem = restoredItem;
+    let warning = null;
+
+    // The invoice may have been paid by other income in the meantime
+    if (originalType === 'income' && originalItem.invoiceId) {
+      const check = await invoiceService.checkIncomePayment(originalItem);
+      if (!check.success) {
+        originalItem = { ...originalItem, invoiceId: null };
+        warning = `${check.error}請求書との紐付けを解除して復元しました。`;
+      }
+    }
 
     // Restore to original collection
     if (originalType === 'expense') {
-      const expenses = storage.get('expenses') || [];
-      expenses.push(originalItem);
-      storage.set('expenses', expenses);
+      await storage.putItem('expenses', originalItem);
     } else if (originalType === 'income') {
-      const income = storage.get('income') || [];
-      income.push(originalItem);
-      storage.set('income', income);
+      await storage.putItem('income', originalItem);
     }
 
     // Remove from trash
-    trash.splice(itemIndex, 1);
-    storage.set('trash', trash);
+    await storage.deleteItem('trash', trashId);
 
-    return { success: true, data: originalItem };
+    await auditService.logAuditEntry({
+      entityType: originalType,
+      entityId: originalItem.id,
+      action: 'restore',
+      after: originalItem
+    });
+    await receiptArchiveService.recordTransactionRestore(originalType, originalItem);
+    if (originalType === 'income') {
+      await invoiceService.syncIncomePayment(originalItem, false);
+    }
+
+    return { success: true, data: originalItem, warning };
   } catch (error) {
     console.error('Error restoring from trash:', error);
     return { success: false, error: error.message };
@@ -99,14 +135,14 @@ export const restoreFromTrash = async (trashId) => {
 // Permanently delete item from trash
 export const permanentlyDelete = async (trashId) => {
   try {
-    const trash = storage.get('trash') || [];
-    const filteredTrash = trash.filter(item => item.trashId !== trashId);
+    const trashItem = await storage.findById('trash', trashId);
     
-    if (filteredTrash.length === trash.length) {
+    if (!trashItem) {
       return { success: false, error: 'ゴミ箱にアイテムが見つかりません' };
     }
 
-    storage.set('trash', filteredTrash);
+    await storage.deleteItem('trash', trashId);
+    await logPurge(trashItem);
     return { success: true };
   } catch (error) {
     console.error('Error permanently deleting:', error);
@@ -117,7 +153,11 @@ export const permanentlyDelete = async (trashId) => {
 // Empty trash (delete all)
 export const emptyTrash = async () => {
   try {
-    storage.set('trash', []);
+    const trash = await storage.getAll('trash');
+    await storage.setAll('trash', []);
+    for (const trashItem of trash) {
+      await logPurge(trashItem);
+    }
     return { success: true };
   } catch (error) {
     console.error('Error emptying trash:', error);
@@ -128,7 +168,7 @@ export const emptyTrash = async () => {
 // Auto-cleanup old trash items (older than 30 days)
 export const cleanupOldTrash = async (daysOld = 30) => {
   try {
-    const trash = storage.get('trash') || [];
+    const trash = await storage.getAll('trash');
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - daysOld);
 
@@ -137,7 +177,10 @@ export const cleanupOldTrash = async (daysOld = 30) => {
       return deletedDate > cutoffDate;
     });
 
-    storage.set('trash', filteredTrash);
+    await storage.setAll('trash', filteredTrash);
+    for (const trashItem of trash.filter(item => !filteredTrash.includes(item))) {
+      await logPurge(trashItem);
+    }
     
     const deletedCount = trash.length - filteredTrash.length;
     return { 
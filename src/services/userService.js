@@ -1,4 +1,6 @@
 import storage from './storage';
+import auditService from './auditService';
+import { summarizeAdvances } from './reimbursementService';
 
 /**
  * User Service - Handles all user-related operations
@@ -16,6 +18,49 @@ const validatePhone = (phone) => {
   return phoneRegex.test(phone);
 };
 
+// Attach transaction totals and last activity to a user record
+const withTransactionData = (user, expenses, income) => {
+  const totalExpenses = expenses.reduce((sum, expense) => sum + expense.amount, 0);
+  const totalIncome = income.reduce((sum, inc) => sum + inc.amount, 0);
+  
+  // Calculate transaction count
+  const transactionCount = expenses.length + income.length;
+  
+  // Get last activity date
+  const allTransactions = [...expenses, ...income];
+  let lastActivity = null;
+  if (allTransactions.length > 0) {
+    const sortedTransactions = allTransactions.sort((a, b) => 
+      new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt)
+    );
+    lastActivity = sortedTransactions[0].updatedAt || sortedTransactions[0].createdAt;
+  }
+
+  // Advance payments the company still owes this user
+  const advances = summarizeAdvances(expenses);
+  
+  return {
+    ...user,
+    totalExpenses,
+    totalIncome,
+    transactionCount,
+    lastActivity,
+    outstandingReimbursement: advances.outstanding,
+    outstandingReimbursementCount: advances.outstandingCount,
+    pendingReimbursement: advances.pending,
+    isActive: user.status === 'active'
+  };
+};
+
+// Load a single user's transactions
+const getUserTransactions = async (userId) => {
+  const [expenses, income] = await Promise.all([
+    storage.findWhere('expenses', { userId }),
+    storage.findWhere('income', { userId })
+  ]);
+  return { expenses, income };
+};
+
 // Create a new user
 export const createUser = async (userData) => {
   try {
@@ -44,7 +89,7 @@ export const createUser = async (userData) => {
     }
 
     // Check if email already exists
-    const existingUser = storage.findWhere('users', { email: userData.email });
+    const existingUser = await storage.findWhere('users', { email: userData.email });
     if (existingUser.length > 0) {
       return { 
         success: false, 
@@ -53,12 +98,19 @@ export const createUser = async (userData) => {
     }
 
     // Create user
-    const newUser = storage.addItem('users', {
+    const newUser = await storage.addItem('users', {
       ...userData,
       status: userData.status || 'active',
       avatar: userData.avatar || null
     });
 
+    await auditService.logAuditEntry({
+      entityType: 'user',
+      entityId: newUser.id,
+      action: 'create',
+      after: newUser
+    });
+
     // New users have no transactions
     const userWithTransactionData = {
       ...newUser,
@@ -66,6 +118,9 @@ export const createUser = async (userData) => {
       totalIncome: 0,
       transactionCount: 0,
       lastActivity: null,
+      outstandingReimbursement: 0,
+      outstandingReimbursementCount: 0,
+      pendingReimbursement: 0,
       isActive: newUser.status === 'active'
     };
 
@@ -79,40 +134,13 @@ export const createUser = async (userData) => {
 // Get user by ID
 export const getUserById = async (id) => {
   try {
-    const user = storage.findById('users', id);
+    const user = await storage.findById('users', id);
     if (!user) {
       return { success: false, error: 'User not found' };
     }
     
-    // Get user's expenses
-    const expenses = storage.findWhere('expenses', { userId: user.id });
-    const totalExpenses = expenses.reduce((sum, expense) => sum + expense.amount, 0);
-    
-    // Get user's income
-    const income = storage.findWhere('income', { userId: user.id });
-    const totalIncome = income.reduce((sum, inc) => sum + inc.amount, 0);
-    
-    // Calculate transaction count
-    const transactionCount = expenses.length + income.length;
-    
-    // Get last activity date
-    const allTransactions = [...expenses, ...income];
-    let lastActivity = null;
-    if (allTransactions.length > 0) {
-      const sortedTransactions = allTransactions.sort((a, b) => 
-        new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt)
-      );
-      lastActivity = sortedTransactions[0].updatedAt || sortedTransactions[0].createdAt;
-    }
-    
-    const userWithTransactionData = {
-      ...user,
-      totalExpenses,
-      totalIncome,
-      transactionCount,
-      lastActivity,
-      isActive: user.status === 'active'
-    };
+    const { expenses, income } = await getUserTransactions(user.id);
+    const userWithTransactionData = withTransactionData(user, expenses, income);
     
     return { success: true, data: userWithTransactionData };
   } catch (error) {
@@ -124,40 +152,18 @@ export const getUserById = async (id) => {
 // Get all users
 export const getAllUsers = async () => {
   try {
-    const users = storage.get('users') || [];
+    const [users, expenses, income] = await Promise.all([
+      storage.getAll('users'),
+      storage.getAll('expenses'),
+      storage.getAll('income')
+    ]);
     
     // Calculate transaction data for each user
-    const usersWithTransactionData = users.map(user => {
-      // Get user's expenses
-      const expenses = storage.findWhere('expenses', { userId: user.id });
-      const totalExpenses = expenses.reduce((sum, expense) => sum + expense.amount, 0);
-      
-      // Get user's income
-      const income = storage.findWhere('income', { userId: user.id });
-      const totalIncome = income.reduce((sum, inc) => sum + inc.amount, 0);
-      
-      // Calculate transaction count
-      const transactionCount = expenses.length + income.length;
-      
-      // Get last activity date
-      const allTransactions = [...expenses, ...income];
-      let lastActivity = null;
-      if (allTransactions.length > 0) {
-        const sortedTransactions = allTransactions.sort((a, b) => 
-          new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt)
-        );
-        lastActivity = sortedTransactions[0].updatedAt || sortedTransactions[0].createdAt;
-      }
-      
-      return {
-        ...user,
-        totalExpenses,
-        totalIncome,
-        transactionCount,
-        lastActivity,
-        isActive: user.status === 'active'
-      };
-    });
+    const usersWithTransactionData = users.map(user => withTransactionData(
+      user,
+      expenses.filter(expense => expense.userId === user.id),
+      income.filter(inc => inc.userId === user.id)
+    ));
     
     return { success: true, data: usersWithTransactionData };
   } catch (error) {
@@ -187,7 +193,7 @@ export const updateUser = async (id, updates) => {
 
     // Check if email already exists (excluding current user)
     if (updates.email) {
-      const existingUser = storage.findWhere('users', { email: updates.email });
+      const existingUser = await storage.findWhere('users', { email: updates.email });
       if (existingUser.length > 0 && existingUser[0].id !== id) {
         return { 
           success: false, 
@@ -196,34 +202,24 @@ export const updateUser = async (id, updates) => {
       }
     }
 
-    const updatedUser = storage.updateItem('users', id, updates);
-    
-    // Get transaction data for the updated user
-    const expenses = storage.findWhere('expenses', { userId: updatedUser.id });
-    const totalExpenses = expenses.reduce((sum, expense) => sum + expense.amount, 0);
-    
-    const income = storage.findWhere('income', { userId: updatedUser.id });
-    const totalIncome = income.reduce((sum, inc) => sum + inc.amount, 0);
-    
-    const transactionCount = expenses.length + income.length;
-    
-    const allTransactions = [...expenses, ...income];
-    let lastActivity = null;
-    if (allTransactions.length > 0) {
-      const sortedTransactions = allTransactions.sort((a, b) => 
-        new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt)
-      );
-      lastActivity = sortedTransactions[0].updatedAt || sortedTransactions[0].createdAt;
+    const user = await storage.findById('users', id);
+    if (!user) {
+      return { success: false, error: 'ユーザーが見つかりません。' };
     }
+
+    const updatedUser = await storage.updateItem('users', id, updates);
+
+    await auditService.logAuditEntry({
+      entityType: 'user',
+      entityId: id,
+      action: 'update',
+      before: user,
+      after: updatedUser
+    });
     
-    const userWithTransactionData = {
-      ...updatedUser,
-      totalExpenses,
-      totalIncome,
-      transactionCount,
-      lastActivity,
-      isActive: updatedUser.status === 'active'
-    };
+    // Get transaction data for the updated user
+    const { expenses, income } = await getUserTransactions(updatedUser.id);
+    const userWithTransactionData = withTransactionData(updatedUser, expenses, income);
     
     return { success: true, data: userWithTransactionData };
   } catch (error) {
@@ -236,8 +232,7 @@ export const updateUser = async (id, updates) => {
 export const deleteUser = async (id) => {
   try {
     // Check if user has any transactions
-    const expenses = storage.findWhere('expenses', { userId: id });
-    const income = storage.findWhere('income', { userId: id });
+    const { expenses, income } = await getUserTransactions(id);
     
     if (expenses.length > 0 || income.length > 0) {
       return { 
@@ -246,7 +241,18 @@ export const deleteUser = async (id) => {
       };
     }
     
-    storage.deleteItem('users', id);
+    const user = await storage.findById('users', id);
+    await storage.deleteItem('users', id);
+
+    if (user) {
+      await auditService.logAuditEntry({
+        entityType: 'user',
+        entityId: id,
+        action: 'delete',
+        before: user
+      });
+    }
+
     return { success: true };
   } catch (error) {
     console.error('Error deleting user:', error);
@@ -257,40 +263,25 @@ export const deleteUser = async (id) => {
 // Toggle user active status
 export const toggleUserActive = async (id) => {
   try {
-    const user = storage.findById('users', id);
+    const user = await storage.findById('users', id);
     if (!user) {
       return { success: false, error: 'ユーザーが見つかりません。' };
     }
     
     const newStatus = user.status === 'active' ? 'inactive' : 'active';
-    const updatedUser = storage.updateItem('users', id, { status: newStatus });
+    const updatedUser = await storage.updateItem('users', id, { status: newStatus });
+
+    await auditService.logAuditEntry({
+      entityType: 'user',
+      entityId: id,
+      action: 'update',
+      before: user,
+      after: updatedUser
+    });
     
     // Get transaction data for the updated user
-    const expenses = storage.findWhere('expenses', { userId: updatedUser.id });
-    const totalExpenses = expenses.reduce((sum, expense) => sum + expense.amount, 0);
-    
-    const income = storage.findWhere('income', { userId: updatedUser.id });
-    const totalIncome = income.reduce((sum, inc) => sum + inc.amount, 0);
-    
-    const transactionCount = expenses.length + income.length;
-    
-    const allTransactions = [...expenses, ...income];
-    let lastActivity = null;
-    if (allTransactions.length > 0) {
-      const sortedTransactions = allTransactions.sort((a, b) => 
-        new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt)
-      );
-      lastActivity = sortedTransactions[0].updatedAt || sortedTransactions[0].createdAt;
-    }
-    
-    const userWithTransactionData = {
-      ...updatedUser,
-      totalExpenses,
-      totalIncome,
-      transactionCount,
-      lastActivity,
-      isActive: updatedUser.status === 'active'
-    };
+    const { expenses, income } = await getUserTransactions(updatedUser.id);
+    const userWithTransactionData = withTransactionData(updatedUser, expenses, income);
     
     return { success: true, data: userWithTransactionData };
   } catch (error) {
@@ -302,8 +293,7 @@ export const toggleUserActive = async (id) => {
 // Get user statistics
 export const getUserStats = async (userId) => {
   try {
-    const expenses = storage.findWhere('expenses', { userId });
-    const income = storage.findWhere('income', { userId });
+    const { expenses, income } = await getUserTransactions(userId);
     
     const expenseTotal = expenses.reduce((sum, item) => sum + item.amount, 0);
     const incomeTotal = income.reduce((sum, item) => sum + item.amount, 0);
@@ -0,0 +1,559 @@
+import storage from './storage';
+import auditService from './auditService';
+import receiptArchiveService from './receiptArchiveService';
+import {
+  normalizeRegistrationNumber,
+  getRegistrationNumberError
+} from '../utils/invoiceRegistration';
+import {
+  normalizeCounterpartyName,
+  toCounterpartyKey,
+  isSameCounterparty,
+  counterpartyNameSimilarity
+} from '../utils/counterpartyName';
+
+/**
+ * Vendor Service - Counterparty master (取引先マスタ) shared by expenses, income and invoices
+ * Each entry has a name, aliases it is also written as, its インボイス registration number,
+ * address, payment terms and a default category. Transactions whose counterparty matches an
+ * entry are saved with the entry's name and counterpartyId, so analytics count one company once.
+ * Vendors are remembered when expenses are saved so the registration number is filled in
+ * automatically the next time the same vendor is used.
+ */
+
+const COLLECTION = 'vendors';
+
+// Counterparty field of each kind of transaction; invoices keep the name they were issued to
+const TRANSACTION_FIELDS = [
+  { collection: 'expenses', type: 'expense', field: 'vendor' },
+  { collection: 'income', type: 'income', field: 'source' },
+  { collection: 'invoices', type: 'invoice', field: 'client', keepName: true }
+];
+
+// Names at or above this similarity are offered as duplicates
+export const DUPLICATE_SIMILARITY = 0.75;
+
+// Normalize a vendor name for display (full-width letters, repeated spaces)
+export const normalizeVendorName = normalizeCounterpartyName;
+
+// Whether two vendor names refer to the same vendor, regardless of width and legal-form words
+export const isSameVendor = (a, b) => isSameCounterparty(a, b);
+
+// Name and aliases of an entry
+export const getVendorNames = (vendor) => [vendor.name, ...(vendor.aliases || [])];
+
+/**
+ * Find the entry a name refers to, by its name or one of its aliases
+ * @param {Array} vendors - Master entries
+ * @param {string} name - Name as written on a transaction
+ * @returns {Object|null} Matching entry
+ */
+export const findMatchingVendor = (vendors, name) => {
+  const key = toCounterpartyKey(name);
+  if (!key) return null;
+  return vendors.find(vendor => getVendorNames(vendor).some(item => toCounterpartyKey(item) === key)) || null;
+};
+
+const findByName = async (name) => findMatchingVendor(await storage.getAll(COLLECTION), name);
+
+const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(/[\n,、]/));
+
+// Validate and normalize the editable fields of an entry
+const sanitizeVendor = (data, vendors, id = null) => {
+  const name = normalizeVendorName(data.name);
+  if (!name) {
+    return { error: '取引先名は必須です。' };
+  }
+
+  const numberError = getRegistrationNumberError(data.registrationNumber);
+  if (numberError) {
+    return { error: `${numberError}。` };
+  }
+
+  const keys = [toCounterpartyKey(name)];
+  const aliases = toList(data.aliases)
+    .map(normalizeVendorName)
+    .filter(alias => {
+      const key = toCounterpartyKey(alias);
+      if (!key || keys.includes(key)) return false;
+      keys.push(key);
+      return true;
+    });
+
+  const others = vendors.filter(vendor => vendor.id !== id);
+  for (const key of keys) {
+    const owner = others.find(vendor => getVendorNames(vendor).some(item => toCounterpartyKey(item) === key));
+    if (owner) {
+      return { error: `この取引先名または別名は「${owner.name}」に登録されています。` };
+    }
+  }
+
+  const paymentTermDays = data.paymentTermDays === '' || data.paymentTermDays === null || data.paymentTermDays === undefined
+    ? null
+    : Math.max(parseInt(data.paymentTermDays, 10) || 0, 0);
+
+  return {
+    vendor: {
+      name,
+      kana: normalizeVendorName(data.kana),
+      aliases,
+      registrationNumber: normalizeRegistrationNumber(data.registrationNumber),
+      address: String(data.address || '').trim(),
+      paymentTermDays,
+      defaultCategoryId: data.defaultCategoryId || null,
+      memo: data.memo || ''
+    }
+  };
+};
+
+// Get all vendors sorted by name
+export const getAllVendors = async () => {
+  try {
+    const vendors = await storage.getAll(COLLECTION);
+    return {
+      success: true,
+      data: [...vendors].sort((a, b) => a.name.localeCompare(b.name, 'ja'))
+    };
+  } catch (error) {
+    console.error('Error getting vendors:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Find a vendor by name
+export const findVendorByName = async (name) => {
+  try {
+    return { success: true, data: await findByName(name) };
+  } catch (error) {
+    console.error('Error finding vendor:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Point the transactions of an entry at it
+ * Transactions already linked to the entry (or to the merged entries in previousIds) and those
+ * whose counterparty matches its name or an alias get the entry's counterpartyId, and expenses
+ * and income also its name.
+ * @param {Object} vendor - Master entry
+ * @param {Array} previousIds - Ids of entries merged into this one
+ * @returns {Promise<number>} Number of transactions updated
+ */
+const relinkTransactions = async (vendor, previousIds = []) => {
+  const linkedIds = [vendor.id, ...previousIds];
+  let count = 0;
+
+  for (const { collection, type, field, keepName } of TRANSACTION_FIELDS) {
+    const records = await storage.getAll(collection);
+    for (const record of records) {
+      const belongs = linkedIds.includes(record.counterpartyId) || findMatchingVendor([vendor], record[field]);
+      const name = keepName ? record[field] : vendor.name;
+      if (!belongs || (record[field] === name && record.counterpartyId === vendor.id)) continue;
+
+      const updated = await storage.updateItem(collection, record.id, { [field]: name, counterpartyId: vendor.id });
+      await auditService.logAuditEntry({
+        entityType: type,
+        entityId: record.id,
+        action: 'update',
+        before: record,
+        after: updated,
+        details: { counterpartyId: vendor.id }
+      });
+      if (type !== 'invoice') {
+        await receiptArchiveService.recordTransaction(type, updated);
+      }
+      count += 1;
+    }
+  }
+  return count;
+};
+
+// Clear the link of transactions to a deleted entry; they keep the name they were saved with
+const unlinkTransactions = async (vendorId) => {
+  let count = 0;
+  for (const { collection, type } of TRANSACTION_FIELDS) {
+    const records = await storage.getAll(collection);
+    for (const record of records.filter(item => item.counterpartyId === vendorId)) {
+      const updated = await storage.updateItem(collection, record.id, { counterpartyId: null });
+      await auditService.logAuditEntry({
+        entityType: type,
+        entityId: record.id,
+        action: 'update',
+        before: record,
+        after: updated,
+        details: { counterpartyId: null }
+      });
+      if (type !== 'invoice') {
+        await receiptArchiveService.recordTransaction(type, updated);
+      }
+      count += 1;
+    }
+  }
+  return count;
+};
+
+// Create a vendor
+export const createVendor = async (vendorData) => {
+  try {
+    const { vendor: fields, error } = sanitizeVendor(vendorData, await storage.getAll(COLLECTION));
+    if (error) {
+      return { success: false, error };
+    }
+
+    const vendor = await storage.addItem(COLLECTION, fields);
+
+    await auditService.logAuditEntry({
+      entityType: 'vendor',
+      entityId: vendor.id,
+      action: 'create',
+      after: vendor
+    });
+
+    await relinkTransactions(vendor);
+
+    return { success: true, data: vendor };
+  } catch (error) {
+    console.error('Error creating vendor:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Update a vendor
+export const updateVendor = async (id, updates) => {
+  try {
+    const vendor = await storage.findById(COLLECTION, id);
+    if (!vendor) {
+      return { success: false, error: '取引先が見つかりません。' };
+    }
+
+    const { vendor: changes, error } = sanitizeVendor({ ...vendor, ...updates }, await storage.getAll(COLLECTION), id);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const updatedVendor = await storage.updateItem(COLLECTION, id, changes);
+
+    await auditService.logAuditEntry({
+      entityType: 'vendor',
+      entityId: id,
+      action: 'update',
+      before: vendor,
+      after: updatedVendor
+    });
+
+    // A new name or alias changes which transactions belong to the entry
+    const namesChanged = getVendorNames(vendor).join('\n') !== getVendorNames(updatedVendor).join('\n');
+    if (namesChanged) {
+      await relinkTransactions(updatedVendor);
+    }
+
+    return { success: true, data: updatedVendor };
+  } catch (error) {
+    console.error('Error updating vendor:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Delete a vendor (transactions keep the name and number they were saved with, but lose the link)
+export const deleteVendor = async (id) => {
+  try {
+    const vendor = await storage.findById(COLLECTION, id);
+    if (!vendor) {
+      return { success: false, error: '取引先が見つかりません。' };
+    }
+
+    await unlinkTransactions(vendor.id);
+    await storage.deleteItem(COLLECTION, id);
+
+    await auditService.logAuditEntry({
+      entityType: 'vendor',
+      entityId: id,
+      action: 'delete',
+      before: vendor
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting vendor:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Fill in the vendor fields of an expense before it is saved
+ * The registration number is normalized, and taken from the registry when the vendor is known
+ * and none was entered.
+ * @param {Object} data - Fields being saved
+ * @param {Object|null} existing - Stored expense when updating
+ * @returns {Promise<Object>} Fields with vendor and registrationNumber normalized
+ */
+export const applyVendorRegistration = async (data, existing = null) => {
+  if (data.vendor === undefined && data.registrationNumber === undefined) {
+    return data;
+  }
+
+  const merged = { ...(existing || {}), ...data };
+  const known = await findByName(merged.vendor);
+  const vendor = known ? known.name : normalizeVendorName(merged.vendor);
+  let registrationNumber = normalizeRegistrationNumber(merged.registrationNumber);
+
+  if (known && !registrationNumber && data.registrationNumber === undefined) {
+    registrationNumber = known.registrationNumber || null;
+  }
+
+  return { ...data, vendor, registrationNumber, counterpartyId: known ? known.id : null };
+};
+
+/**
+ * Fill in the counterparty of income or an invoice before it is saved
+ * A name found in the master is replaced by the entry's name and linked by counterpartyId.
+ * @param {Object} data - Fields being saved
+ * @param {string} field - 'source' for income, 'client' for invoices
+ * @returns {Promise<Object>} Fields with the counterparty normalized
+ */
+export const applyCounterparty = async (data, field) => {
+  if (data[field] === undefined) {
+    return data;
+  }
+  const known = await findByName(data[field]);
+  return {
+    ...data,
+    [field]: known ? known.name : normalizeVendorName(data[field]),
+    counterpartyId: known ? known.id : null
+  };
+};
+
+/**
+ * Remember the vendor of a saved expense
+ * New vendors are added; a known vendor only gets a registration number when it has none yet.
+ * @param {string} name - Vendor name
+ * @param {string|null} registrationNumber - Registration number on the receipt
+ * @returns {Promise<Object|null>} Registry entry, or null when nothing was remembered
+ */
+export const rememberVendor = async (name, registrationNumber = null) => {
+  try {
+    if (!normalizeVendorName(name)) return null;
+
+    const vendor = await findByName(name);
+    if (!vendor) {
+      const result = await createVendor({ name, registrationNumber });
+      return result.success ? result.data : null;
+    }
+
+    const number = normalizeRegistrationNumber(registrationNumber);
+    if (number && !vendor.registrationNumber) {
+      const result = await updateVendor(vendor.id, { registrationNumber: number });
+      return result.success ? result.data : vendor;
+    }
+
+    return vendor;
+  } catch (error) {
+    console.error('Error remembering vendor:', error);
+    return null;
+  }
+};
+
+/**
+ * Add a name the entry is also written as, and link the transactions that use it
+ * @param {number} id - Entry id
+ * @param {string} alias - Name as written on transactions
+ * @returns {Promise<Object>} Result object with the updated entry
+ */
+export const addVendorAlias = async (id, alias) => {
+  const vendor = await storage.findById(COLLECTION, id);
+  if (!vendor) {
+    return { success: false, error: '取引先が見つかりません。' };
+  }
+  return updateVendor(id, { aliases: [...(vendor.aliases || []), alias] });
+};
+
+/**
+ * Entries that look like the same counterparty
+ * Entries sharing a registration number or with similar names are grouped together.
+ * @param {number} threshold - Minimum name similarity
+ * @returns {Promise<Object>} Result object with groups of { vendors, reasons }
+ */
+export const findDuplicateVendors = async (threshold = DUPLICATE_SIMILARITY) => {
+  try {
+    const vendors = await storage.getAll(COLLECTION);
+    const parent = vendors.map((_, index) => index);
+    const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+    const pairs = [];
+
+    for (let i = 0; i < vendors.length; i++) {
+      for (let j = i + 1; j < vendors.length; j++) {
+        const pairReasons = [];
+        if (vendors[i].registrationNumber && vendors[i].registrationNumber === vendors[j].registrationNumber) {
+          pairReasons.push('登録番号が一致');
+        }
+        const similarity = Math.max(...getVendorNames(vendors[i]).flatMap(a => (
+          getVendorNames(vendors[j]).map(b => counterpartyNameSimilarity(a, b))
+        )));
+        if (similarity >= threshold) {
+          pairReasons.push(`名前が類似（${Math.round(similarity * 100)}%）`);
+        }
+        if (pairReasons.length === 0) continue;
+
+        parent[find(j)] = find(i);
+        pairs.push({ index: i, reasons: pairReasons });
+      }
+    }
+
+    const groups = new Map();
+    vendors.forEach((vendor, index) => {
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, { vendors: [], reasons: new Set() });
+      groups.get(root).vendors.push(vendor);
+    });
+    pairs.forEach(pair => {
+      pair.reasons.forEach(reason => groups.get(find(pair.index)).reasons.add(reason));
+    });
+
+    const data = [...groups.values()]
+      .filter(group => group.vendors.length > 1)
+      .map(group => ({ vendors: group.vendors, reasons: [...group.reasons] }));
+    return { success: true, data };
+  } catch (error) {
+    console.error('Error finding duplicate vendors:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Counterparty names used on transactions that are not in the master
+ * Each name comes with how often it is used and the most similar entry, if any.
+ * @returns {Promise<Object>} Result object with [{ name, count, suggestion, similarity }]
+ */
+export const findUnregisteredCounterparties = async () => {
+  try {
+    const vendors = await storage.getAll(COLLECTION);
+    const names = new Map();
+
+    for (const { collection, field } of TRANSACTION_FIELDS) {
+      const records = await storage.getAll(collection);
+      records.forEach(record => {
+        const name = normalizeVendorName(record[field]);
+        const key = toCounterpartyKey(name);
+        if (!key || findMatchingVendor(vendors, name)) return;
+        if (!names.has(key)) names.set(key, { name, count: 0 });
+        names.get(key).count += 1;
+      });
+    }
+
+    const data = [...names.values()].map(item => {
+      let suggestion = null;
+      let similarity = 0;
+      vendors.forEach(vendor => {
+        getVendorNames(vendor).forEach(name => {
+          const score = counterpartyNameSimilarity(item.name, name);
+          if (score > similarity) {
+            similarity = score;
+            suggestion = vendor;
+          }
+        });
+      });
+      return similarity >= 0.5 ? { ...item, suggestion, similarity } : { ...item, suggestion: null, similarity: 0 };
+    });
+
+    data.sort((a, b) => b.count - a.count || a.name.localeCompare(b.name, 'ja'));
+    return { success: true, data };
+  } catch (error) {
+    console.error('Error finding unregistered counterparties:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Merge entries into one
+ * The merged entries' names become aliases of the target, empty fields of the target are filled
+ * from them, and their transactions are relinked to the target before they are deleted.
+ * @param {number} targetId - Entry that is kept
+ * @param {Array} sourceIds - Entries merged into it
+ * @returns {Promise<Object>} Result object with { vendor, relinked }
+ */
+export const mergeVendors = async (targetId, sourceIds) => {
+  try {
+    const target = await storage.findById(COLLECTION, targetId);
+    if (!target) {
+      return { success: false, error: '統合先の取引先が見つかりません。' };
+    }
+
+    const sources = [];
+    for (const id of sourceIds.filter(sourceId => sourceId !== targetId)) {
+      const source = await storage.findById(COLLECTION, id);
+      if (!source) {
+        return { success: false, error: '統合する取引先が見つかりません。' };
+      }
+      sources.push(source);
+    }
+    if (sources.length === 0) {
+      return { success: false, error: '統合する取引先を選択してください。' };
+    }
+
+    const firstOf = (field) => [target, ...sources].map(vendor => vendor[field]).find(value => value !== null && value !== undefined && value !== '') ?? null;
+    const merged = {
+      ...target,
+      aliases: [...(target.aliases || []), ...sources.flatMap(getVendorNames)],
+      kana: firstOf('kana'),
+      registrationNumber: firstOf('registrationNumber'),
+      address: firstOf('address'),
+      paymentTermDays: firstOf('paymentTermDays'),
+      defaultCategoryId: firstOf('defaultCategoryId'),
+      memo: [target, ...sources].map(vendor => vendor.memo).filter(Boolean).join('\n')
+    };
+
+    const otherVendors = (await storage.getAll(COLLECTION)).filter(vendor => !sourceIds.includes(vendor.id));
+    const { vendor: changes, error } = sanitizeVendor(merged, otherVendors, targetId);
+    if (error) {
+      return { success: false, error };
+    }
+
+    // The sources are only deleted once the target holds their names and their transactions,
+    // so a merge that stops part-way loses nothing and can be run again
+    const vendor = await storage.updateItem(COLLECTION, targetId, changes);
+    await auditService.logAuditEntry({
+      entityType: 'vendor',
+      entityId: targetId,
+      action: 'update',
+      before: target,
+      after: vendor,
+      details: { merged: sources.map(source => source.id) }
+    });
+
+    const relinked = await relinkTransactions(vendor, sources.map(source => source.id));
+
+    for (const source of sources) {
+      await storage.deleteItem(COLLECTION, source.id);
+      await auditService.logAuditEntry({
+        entityType: 'vendor',
+        entityId: source.id,
+        action: 'delete',
+        before: source,
+        details: { mergedInto: targetId }
+      });
+    }
+
+    return { success: true, data: { vendor, relinked } };
+  } catch (error) {
+    console.error('Error merging vendors:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const vendorService = {
+  getAllVendors,
+  findVendorByName,
+  createVendor,
+  updateVendor,
+  deleteVendor,
+  addVendorAlias,
+  findDuplicateVendors,
+  findUnregisteredCounterparties,
+  mergeVendors,
+  applyVendorRegistration,
+  applyCounterparty,
+  rememberVendor,
+  findMatchingVendor
+};
+
+export default vendorService;
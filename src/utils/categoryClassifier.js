@@ -0,0 +1,202 @@
+/**
+ * Category classifier trained on the user's own transactions
+ * A multinomial Naive Bayes model over TF-IDF weighted features: character 1-3-grams of the
+ * description (Japanese has no word boundaries, so n-grams stand in for words), the vendor,
+ * an amount band and the weekday. The model is a plain object of counts, so documents can be
+ * added one at a time and the model stored as JSON.
+ */
+
+// Bumped when features change; stored models of another version are retrained
+export const CLASSIFIER_VERSION = 1;
+
+// Additive smoothing of feature likelihoods
+const SMOOTHING = 0.1;
+
+const MAX_NGRAM = 3;
+
+// Amount of evidence (in IDF-weighted features) a prediction is scaled to, see predict
+const EVIDENCE_WEIGHT = 2;
+
+// Share of transactions kept out of training to measure accuracy (1 in HOLDOUT_MODULUS)
+const HOLDOUT_MODULUS = 5;
+
+const normalizeText = (text) => String(text || '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Character n-grams of each space-separated token
+const characterNgrams = (text, prefix) => {
+  const grams = [];
+  normalizeText(text).split(' ').filter(Boolean).forEach(token => {
+    const chars = Array.from(token);
+    for (let size = 1; size <= MAX_NGRAM; size++) {
+      for (let start = 0; start + size <= chars.length; start++) {
+        grams.push(`${prefix}${chars.slice(start, start + size).join('')}`);
+      }
+    }
+  });
+  return grams;
+};
+
+// Amount band on a half-decade log scale (1,000-3,161 and 3,162-9,999 are separate bands)
+const amountBand = (amount) => {
+  const value = Math.abs(Number(amount));
+  return value >= 1 ? Math.floor(Math.log10(value) * 2) : null;
+};
+
+const weekday = (date) => {
+  const [year, month, day] = String(date || '').slice(0, 10).split('-').map(Number);
+  if (!year || !month || !day) return null;
+  return new Date(year, month - 1, day).getDay();
+};
+
+/**
+ * Features of a transaction with their term frequencies
+ * @param {Object} doc - { description, vendor, amount, date }
+ * @returns {Object} Map of feature to (sublinear) term frequency
+ */
+export const extractFeatures = ({ description, vendor, amount, date }) => {
+  const counts = {};
+  const add = (feature) => {
+    counts[feature] = (counts[feature] || 0) + 1;
+  };
+
+  characterNgrams(description, 'd:').forEach(add);
+  const vendorName = normalizeText(vendor).replace(/ /g, '');
+  if (vendorName) {
+    add(`v:${vendorName}`);
+    // Bigrams and trigrams match other branches of a chain; single characters say little
+    characterNgrams(vendorName, 'vn:').filter(gram => Array.from(gram).length > 'vn:'.length + 1).forEach(add);
+  }
+  const band = amountBand(amount);
+  if (band !== null) add(`a:${band}`);
+  const day = weekday(date);
+  if (day !== null) add(`w:${day}`);
+
+  // Long descriptions repeat n-grams; damp the repeats
+  return Object.keys(counts).reduce((features, feature) => {
+    features[feature] = 1 + Math.log(counts[feature]);
+    return features;
+  }, {});
+};
+
+// Create an empty model
+export const createModel = () => ({
+  version: CLASSIFIER_VERSION,
+  documentCount: 0,
+  documentFrequency: {},
+  classes: {}
+});
+
+/**
+ * Add a labelled transaction to a model (in place)
+ * @param {Object} model - From createModel
+ * @param {Object} doc - { description, vendor, amount, date }
+ * @param {number|string} categoryId - Label
+ * @returns {Object} The model
+ */
+export const addDocument = (model, doc, categoryId) => {
+  const features = extractFeatures(doc);
+  const key = String(categoryId);
+  if (!model.classes[key]) {
+    model.classes[key] = { categoryId, documents: 0, total: 0, features: {} };
+  }
+  const target = model.classes[key];
+
+  model.documentCount += 1;
+  target.documents += 1;
+  Object.entries(features).forEach(([feature, weight]) => {
+    model.documentFrequency[feature] = (model.documentFrequency[feature] || 0) + 1;
+    target.features[feature] = (target.features[feature] || 0) + weight;
+    target.total += weight;
+  });
+  return model;
+};
+
+const inverseDocumentFrequency = (model, feature) => (
+  Math.log((model.documentCount + 1) / ((model.documentFrequency[feature] || 0) + 1)) + 1
+);
+
+/**
+ * Rank categories for a transaction
+ * Features never seen in training are ignored; the rest are weighted by their IDF so common
+ * n-grams such as 「の」 count for little.
+ * @param {Object} model - Trained model
+ * @param {Object} doc - { description, vendor, amount, date }
+ * @returns {Array} [{ categoryId, probability }] best first; empty when the model is empty
+ */
+export const predict = (model, doc) => {
+  const classes = Object.values(model.classes);
+  if (classes.length === 0) return [];
+
+  const vocabularySize = Object.keys(model.documentFrequency).length;
+  const features = Object.entries(extractFeatures(doc))
+    .filter(([feature]) => model.documentFrequency[feature])
+    .map(([feature, weight]) => [feature, weight * inverseDocumentFrequency(model, feature)]);
+
+  // Naive Bayes treats overlapping n-grams as independent evidence, which drives probabilities
+  // to 0 or 1; scaling the likelihood to a fixed amount of evidence keeps them usable as confidence
+  const totalWeight = features.reduce((sum, [, weight]) => sum + weight, 0);
+  const scale = totalWeight > 0 ? EVIDENCE_WEIGHT / totalWeight : 0;
+
+  const scores = classes.map(target => {
+    const denominator = target.total + SMOOTHING * vocabularySize;
+    const likelihood = features.reduce((sum, [feature, weight]) => (
+      sum + weight * Math.log(((target.features[feature] || 0) + SMOOTHING) / denominator)
+    ), 0);
+    const prior = Math.log((target.documents + 1) / (model.documentCount + classes.length));
+    return { categoryId: target.categoryId, score: prior + likelihood * scale };
+  });
+
+  // Softmax over the log scores
+  const best = Math.max(...scores.map(item => item.score));
+  const exps = scores.map(item => Math.exp(item.score - best));
+  const sum = exps.reduce((total, value) => total + value, 0);
+  return scores
+    .map((item, index) => ({ categoryId: item.categoryId, probability: exps[index] / sum }))
+    .sort((a, b) => b.probability - a.probability);
+};
+
+// Check whether a transaction belongs to the holdout set (stable for a given id)
+export const isHoldout = (id) => {
+  const text = String(id);
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+  }
+  return hash % HOLDOUT_MODULUS === 0;
+};
+
+/**
+ * Train on all but the holdout transactions and measure accuracy on the holdout
+ * @param {Array} docs - [{ id, categoryId, description, vendor, amount, date }]
+ * @returns {Object} { top1, top3, holdoutSize } with accuracies 0-1, null when there is no holdout
+ */
+export const evaluateHoldout = (docs) => {
+  const holdout = docs.filter(doc => isHoldout(doc.id));
+  const model = docs
+    .filter(doc => !isHoldout(doc.id))
+    .reduce((trained, doc) => addDocument(trained, doc, doc.categoryId), createModel());
+
+  if (holdout.length === 0 || model.documentCount === 0) {
+    return { top1: null, top3: null, holdoutSize: holdout.length };
+  }
+
+  let top1 = 0;
+  let top3 = 0;
+  holdout.forEach(doc => {
+    const ranked = predict(model, doc).map(item => String(item.categoryId));
+    const rank = ranked.indexOf(String(doc.categoryId));
+    if (rank === 0) top1 += 1;
+    if (rank >= 0 && rank < 3) top3 += 1;
+  });
+  return { top1: top1 / holdout.length, top3: top3 / holdout.length, holdoutSize: holdout.length };
+};
+
+// Short signature of the fields a transaction is trained on, to notice edits
+export const documentSignature = (doc) => {
+  const text = [doc.categoryId, doc.description, doc.vendor, doc.amount, doc.date].join('|');
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619) >>> 0;
+  }
+  return hash.toString(36);
+};
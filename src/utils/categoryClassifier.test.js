@@ -0,0 +1,90 @@
+import {
+  extractFeatures,
+  createModel,
+  addDocument,
+  predict,
+  isHoldout,
+  evaluateHoldout,
+  documentSignature
+} from './categoryClassifier';
+
+const TRAINING = [
+  [1, { description: 'タクシー 渋谷', vendor: '日本交通', amount: 1800, date: '2026-10-01' }],
+  [1, { description: 'タクシー 新宿', vendor: '日本交通', amount: 2400, date: '2026-10-02' }],
+  [1, { description: '電車 定期券', vendor: 'JR東日本', amount: 12000, date: '2026-10-03' }],
+  [2, { description: 'コピー用紙', vendor: 'アスクル', amount: 980, date: '2026-10-01' }],
+  [2, { description: 'ボールペン', vendor: 'アスクル', amount: 450, date: '2026-10-05' }],
+  [2, { description: 'プリンタートナー', vendor: 'ヨドバシカメラ', amount: 8800, date: '2026-10-06' }],
+  [3, { description: '打ち合わせ コーヒー', vendor: 'スターバックス', amount: 1200, date: '2026-10-07' }],
+  [3, { description: '会食', vendor: '居酒屋 和', amount: 15000, date: '2026-10-08' }]
+];
+
+const train = () => TRAINING.reduce((model, [categoryId, doc]) => addDocument(model, doc, categoryId), createModel());
+
+describe('extractFeatures', () => {
+  it('uses description n-grams, the vendor, an amount band and the weekday', () => {
+    const features = extractFeatures({ description: 'ＡＢ', vendor: 'Ｓｈｏｐ Ａ', amount: 1500, date: '2026-10-18' });
+    expect(Object.keys(features).sort()).toEqual(['a:6', 'd:a', 'd:ab', 'd:b', 'v:shopa', 'vn:ho', 'vn:hop', 'vn:op', 'vn:opa', 'vn:pa', 'vn:sh', 'vn:sho', 'w:0'].sort());
+  });
+
+  it('damps repeated n-grams', () => {
+    expect(extractFeatures({ description: 'あ あ あ' })['d:あ']).toBeCloseTo(1 + Math.log(3));
+  });
+
+  it('puts amounts on a half-decade scale', () => {
+    expect(Object.keys(extractFeatures({ amount: 3100 }))).toEqual(['a:6']);
+    expect(Object.keys(extractFeatures({ amount: 3200 }))).toEqual(['a:7']);
+    expect(extractFeatures({ amount: 0 })).toEqual({});
+  });
+});
+
+describe('predict', () => {
+  it('ranks the category of similar transactions first', () => {
+    const model = train();
+    expect(predict(model, { description: 'タクシー 品川', vendor: '日本交通', amount: 2000 })[0].categoryId).toBe(1);
+    expect(predict(model, { description: 'ボールペン 黒', vendor: 'アスクル', amount: 300 })[0].categoryId).toBe(2);
+    expect(predict(model, { description: 'コーヒー', vendor: 'スターバックス 渋谷店', amount: 700 })[0].categoryId).toBe(3);
+  });
+
+  it('returns probabilities that add up to one', () => {
+    const ranked = predict(train(), { description: '不明な取引' });
+    expect(ranked).toHaveLength(3);
+    expect(ranked.reduce((sum, item) => sum + item.probability, 0)).toBeCloseTo(1);
+  });
+
+  it('returns nothing for an empty model', () => {
+    expect(predict(createModel(), { description: 'タクシー' })).toEqual([]);
+  });
+});
+
+describe('holdout evaluation', () => {
+  it('assigns ids to the holdout set deterministically', () => {
+    const ids = Array.from({ length: 100 }, (_, i) => i + 1);
+    const holdout = ids.filter(isHoldout);
+    expect(holdout.length).toBeGreaterThan(0);
+    expect(holdout.length).toBeLessThan(100);
+    expect(ids.filter(isHoldout)).toEqual(holdout);
+  });
+
+  it('measures accuracy on the holdout transactions only', () => {
+    const docs = [...TRAINING, ...TRAINING].map(([categoryId, doc], index) => ({ ...doc, categoryId, id: index + 1 }));
+    const result = evaluateHoldout(docs);
+    expect(result.holdoutSize).toBe(docs.filter(doc => isHoldout(doc.id)).length);
+    expect(result.top1).toBeGreaterThanOrEqual(0.5);
+    expect(result.top3).toBe(1);
+  });
+
+  it('reports null accuracy without a holdout', () => {
+    const docs = TRAINING.map(([categoryId, doc], index) => ({ ...doc, categoryId, id: index }))
+      .filter(doc => !isHoldout(doc.id));
+    expect(evaluateHoldout(docs)).toEqual({ top1: null, top3: null, holdoutSize: 0 });
+  });
+});
+
+describe('documentSignature', () => {
+  it('changes when a trained field changes', () => {
+    const doc = { categoryId: 1, description: 'タクシー', vendor: '日本交通', amount: 1800, date: '2026-10-01' };
+    expect(documentSignature(doc)).toBe(documentSignature({ ...doc }));
+    expect(documentSignature(doc)).not.toBe(documentSignature({ ...doc, categoryId: 2 }));
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Japanese consumption tax (消費税) calculation
+ * Rates are kept as percentages so amounts are computed with integer arithmetic where possible.
+ */
+
+export const TAX_CATEGORIES = {
+  standard: { label: '10%', rate: 10 },
+  reduced: { label: '軽減8%', rate: 8 },
+  exempt: { label: '非課税', rate: 0 },
+  non_taxable: { label: '不課税', rate: 0 }
+};
+
+export const DEFAULT_TAX_CATEGORY = 'standard';
+
+export const TAX_ENTRY_MODES = {
+  inclusive: '税込',
+  exclusive: '税抜'
+};
+
+export const TAX_ROUNDING_MODES = {
+  floor: '切り捨て',
+  round: '四捨五入',
+  ceil: '切り上げ'
+};
+
+export const DEFAULT_TAX_ROUNDING = 'floor';
+
+// National part of each rate (the rest is 地方消費税)
+const NATIONAL_TAX_RATES = {
+  standard: 7.8,
+  reduced: 6.24
+};
+
+// Round a yen amount; tiny float errors (e.g. 99.99999999) are removed first
+export const roundYen = (value, rounding = DEFAULT_TAX_ROUNDING) => {
+  const cleaned = Math.round(value * 1e6) / 1e6;
+  switch (rounding) {
+    case 'ceil':
+      return Math.ceil(cleaned);
+    case 'round':
+      return Math.round(cleaned);
+    default:
+      return Math.floor(cleaned);
+  }
+};
+
+/**
+ * Split an amount into net, tax and gross
+ * @param {number} amount - Entered amount
+ * @param {string} taxCategory - Key of TAX_CATEGORIES
+ * @param {string} entryMode - 'inclusive' when the amount includes tax, 'exclusive' when it does not
+ * @param {string} rounding - Key of TAX_ROUNDING_MODES
+ * @returns {Object} { netAmount, taxAmount, grossAmount }
+ */
+export const calculateTax = (amount, taxCategory = DEFAULT_TAX_CATEGORY, entryMode = 'inclusive', rounding = DEFAULT_TAX_ROUNDING) => {
+  const value = Number(amount) || 0;
+  const rate = TAX_CATEGORIES[taxCategory] ? TAX_CATEGORIES[taxCategory].rate : 0;
+
+  if (entryMode === 'exclusive') {
+    const taxAmount = roundYen((value * rate) / 100, rounding);
+    return { netAmount: value, taxAmount, grossAmount: value + taxAmount };
+  }
+
+  const taxAmount = roundYen((value * rate) / (100 + rate), rounding);
+  return { netAmount: value - taxAmount, taxAmount, grossAmount: value };
+};
+
+/**
+ * Split a tax amount into 国税 and 地方消費税
+ * @param {number} taxAmount - Consumption tax
+ * @param {string} taxCategory - Key of TAX_CATEGORIES
+ * @returns {Object} { nationalTax, localTax }
+ */
+export const splitNationalTax = (taxAmount, taxCategory) => {
+  const nationalRate = NATIONAL_TAX_RATES[taxCategory];
+  if (!nationalRate) return { nationalTax: 0, localTax: 0 };
+  const nationalTax = roundYen((taxAmount * nationalRate) / TAX_CATEGORIES[taxCategory].rate, 'floor');
+  return { nationalTax, localTax: taxAmount - nationalTax };
+};
+
+/**
+ * Guess the tax category of a receipt from its total and tax
+ * @param {number} total - Tax-inclusive total
+ * @param {number} tax - Consumption tax printed on the receipt
+ * @returns {string|null} Tax category, or null when it cannot be told
+ */
+export const inferTaxCategory = (total, tax) => {
+  if (!(total > 0) || !(tax > 0) || tax >= total) return null;
+  const ratio = (tax / (total - tax)) * 100;
+  if (Math.abs(ratio - TAX_CATEGORIES.reduced.rate) < 0.5) return 'reduced';
+  if (Math.abs(ratio - TAX_CATEGORIES.standard.rate) < 0.5) return 'standard';
+  return null;
+};
+
+// Deductible share of input tax on purchases without a qualified invoice (インボイス制度の経過措置)
+export const NON_QUALIFIED_DEDUCTION_PERIODS = [
+  { until: '2023-09-30', rate: 100, label: 'インボイス制度開始前' },
+  { until: '2026-09-30', rate: 80, label: '経過措置80%' },
+  { until: '2029-09-30', rate: 50, label: '経過措置50%' }
+];
+
+/**
+ * Get the deductible rate of input tax paid to an unregistered vendor
+ * @param {string} date - Transaction date ('YYYY-MM-DD')
+ * @returns {number} Deductible percentage (0 after the transitional measures end)
+ */
+export const getNonQualifiedDeductionRate = (date) => {
+  const day = String(date || '').slice(0, 10);
+  const period = NON_QUALIFIED_DEDUCTION_PERIODS.find(({ until }) => day <= until);
+  return period ? period.rate : 0;
+};
@@ -0,0 +1,63 @@
+import {
+  roundYen,
+  calculateTax,
+  splitNationalTax,
+  inferTaxCategory,
+  getNonQualifiedDeductionRate
+} from './consumptionTax';
+
+describe('roundYen', () => {
+  it('rounds with each mode', () => {
+    expect(roundYen(90.9)).toBe(90);
+    expect(roundYen(90.5, 'round')).toBe(91);
+    expect(roundYen(90.1, 'ceil')).toBe(91);
+  });
+
+  it('removes float noise before rounding', () => {
+    expect(roundYen(99.99999999999)).toBe(100);
+    expect(roundYen(100.0000000001, 'ceil')).toBe(100);
+  });
+});
+
+describe('calculateTax', () => {
+  it('extracts tax from tax-inclusive amounts', () => {
+    expect(calculateTax(1100, 'standard', 'inclusive')).toEqual({ netAmount: 1000, taxAmount: 100, grossAmount: 1100 });
+    expect(calculateTax(1080, 'reduced', 'inclusive')).toEqual({ netAmount: 1000, taxAmount: 80, grossAmount: 1080 });
+  });
+
+  it('adds tax to tax-exclusive amounts', () => {
+    expect(calculateTax(999, 'standard', 'exclusive')).toEqual({ netAmount: 999, taxAmount: 99, grossAmount: 1098 });
+    expect(calculateTax(999, 'standard', 'exclusive', 'round')).toEqual({ netAmount: 999, taxAmount: 100, grossAmount: 1099 });
+  });
+
+  it('has no tax for exempt and unknown categories', () => {
+    expect(calculateTax(500, 'exempt')).toEqual({ netAmount: 500, taxAmount: 0, grossAmount: 500 });
+    expect(calculateTax(500, 'unknown')).toEqual({ netAmount: 500, taxAmount: 0, grossAmount: 500 });
+  });
+});
+
+describe('splitNationalTax', () => {
+  it('splits tax into national and local parts', () => {
+    expect(splitNationalTax(1000, 'standard')).toEqual({ nationalTax: 780, localTax: 220 });
+    expect(splitNationalTax(800, 'reduced')).toEqual({ nationalTax: 624, localTax: 176 });
+    expect(splitNationalTax(100, 'exempt')).toEqual({ nationalTax: 0, localTax: 0 });
+  });
+});
+
+describe('inferTaxCategory', () => {
+  it('tells the rate from the total and the tax', () => {
+    expect(inferTaxCategory(1100, 100)).toBe('standard');
+    expect(inferTaxCategory(1080, 80)).toBe('reduced');
+    expect(inferTaxCategory(1000, 30)).toBeNull();
+    expect(inferTaxCategory(100, 100)).toBeNull();
+  });
+});
+
+describe('getNonQualifiedDeductionRate', () => {
+  it('follows the transitional periods', () => {
+    expect(getNonQualifiedDeductionRate('2023-09-30')).toBe(100);
+    expect(getNonQualifiedDeductionRate('2023-10-01')).toBe(80);
+    expect(getNonQualifiedDeductionRate('2026-10-01')).toBe(50);
+    expect(getNonQualifiedDeductionRate('2029-10-01')).toBe(0);
+  });
+});
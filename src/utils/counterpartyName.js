@@ -0,0 +1,67 @@
+/**
+ * Counterparty (取引先) name matching
+ * The same company is written in many ways: "株式会社ABC", "ABC(株)", "ＡＢＣ㈱" on receipts and
+ * "カ)ABC" on bank transfers. Names are compared by a key without legal-form words, honorifics,
+ * punctuation and spacing.
+ */
+
+const CORPORATE_WORDS = /株式会社|有限会社|合同会社|合資会社|合名会社|一般社団法人|一般財団法人|\(株\)|㈱|\(有\)|㈲|\(同\)|カブシキガイシヤ|カブシキガイシャ|ユウゲンガイシヤ|ユウゲンガイシャ|御中|様|\([カユド]\)?|[カユド]\)|\b(?:co\.?,?\s*ltd|inc|llc|corp|k\.k)\b\.?/gi;
+
+// Normalize a name for display (full-width letters, repeated spaces)
+export const normalizeCounterpartyName = (name) => String(name || '').normalize('NFKC').replace(/\s+/g, ' ').trim();
+
+/**
+ * Comparison key of a counterparty name
+ * @param {string} name - Name as written
+ * @returns {string} Lower-case key, e.g. "abc" for "株式会社ＡＢＣ"
+ */
+export const toCounterpartyKey = (name) => normalizeCounterpartyName(name)
+  .replace(CORPORATE_WORDS, '')
+  .replace(/[\s・.,、。()「」'’"-]/g, '')
+  .toLowerCase();
+
+// Whether two names refer to the same counterparty
+export const isSameCounterparty = (a, b) => {
+  const key = toCounterpartyKey(a);
+  return Boolean(key) && key === toCounterpartyKey(b);
+};
+
+// Whether one name contains the other, e.g. a transfer memo that contains the client's name
+export const counterpartyNamesOverlap = (a, b) => {
+  const keyA = toCounterpartyKey(a);
+  const keyB = toCounterpartyKey(b);
+  return keyA.length >= 2 && keyB.length >= 2 && (keyA.includes(keyB) || keyB.includes(keyA));
+};
+
+const bigrams = (key) => {
+  if (key.length < 2) return [key];
+  const grams = [];
+  for (let i = 0; i < key.length - 1; i++) {
+    grams.push(key.slice(i, i + 2));
+  }
+  return grams;
+};
+
+/**
+ * Similarity of two names by the character pairs their keys share (Dice coefficient)
+ * @returns {number} 0 to 1; 1 when the keys are equal
+ */
+export const counterpartyNameSimilarity = (a, b) => {
+  const keyA = toCounterpartyKey(a);
+  const keyB = toCounterpartyKey(b);
+  if (!keyA || !keyB) return 0;
+  if (keyA === keyB) return 1;
+
+  const gramsA = bigrams(keyA);
+  const remaining = [...bigrams(keyB)];
+  const total = gramsA.length + remaining.length;
+  let shared = 0;
+  gramsA.forEach(gram => {
+    const index = remaining.indexOf(gram);
+    if (index !== -1) {
+      shared += 1;
+      remaining.splice(index, 1);
+    }
+  });
+  return (2 * shared) / total;
+};
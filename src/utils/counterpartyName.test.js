@@ -0,0 +1,57 @@
+import {
+  normalizeCounterpartyName,
+  toCounterpartyKey,
+  isSameCounterparty,
+  counterpartyNamesOverlap,
+  counterpartyNameSimilarity
+} from './counterpartyName';
+
+describe('normalizeCounterpartyName', () => {
+  it('converts full-width letters and collapses spaces', () => {
+    expect(normalizeCounterpartyName('  ＡＢＣ　 商事 ')).toBe('ABC 商事');
+    expect(normalizeCounterpartyName(null)).toBe('');
+  });
+});
+
+describe('toCounterpartyKey', () => {
+  it('removes legal forms, honorifics and punctuation', () => {
+    expect(toCounterpartyKey('株式会社ＡＢＣ')).toBe('abc');
+    expect(toCounterpartyKey('ABC(株) 御中')).toBe('abc');
+    expect(toCounterpartyKey('ＡＢＣ㈱')).toBe('abc');
+    expect(toCounterpartyKey('ｶ)ABC')).toBe('abc');
+    expect(toCounterpartyKey('ABC Co., Ltd.')).toBe('abc');
+    expect(toCounterpartyKey('山田・太郎 様')).toBe('山田太郎');
+  });
+});
+
+describe('isSameCounterparty', () => {
+  it('matches names with the same key', () => {
+    expect(isSameCounterparty('株式会社ABC', 'カ)ABC')).toBe(true);
+    expect(isSameCounterparty('ABC', 'ABD')).toBe(false);
+  });
+
+  it('never matches names without a key', () => {
+    expect(isSameCounterparty('株式会社', '㈱')).toBe(false);
+    expect(isSameCounterparty('', '')).toBe(false);
+  });
+});
+
+describe('counterpartyNamesOverlap', () => {
+  it('finds a name inside a transfer memo', () => {
+    expect(counterpartyNamesOverlap('フリコミ ABC 10月分', '株式会社ABC')).toBe(true);
+    expect(counterpartyNamesOverlap('ABC', 'XYZ')).toBe(false);
+  });
+
+  it('ignores keys shorter than two characters', () => {
+    expect(counterpartyNamesOverlap('A', 'ABC')).toBe(false);
+  });
+});
+
+describe('counterpartyNameSimilarity', () => {
+  it('scores the shared character pairs of the keys', () => {
+    expect(counterpartyNameSimilarity('株式会社ABC', 'ABC㈱')).toBe(1);
+    expect(counterpartyNameSimilarity('ABCD', 'ABCE')).toBeCloseTo(2 / 3);
+    expect(counterpartyNameSimilarity('ABC', 'XYZ')).toBe(0);
+    expect(counterpartyNameSimilarity('ABC', '')).toBe(0);
+  });
+});
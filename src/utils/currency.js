@@ -0,0 +1,111 @@
+/**
+ * Currencies and exchange rate arithmetic
+ * A rate is stored as "1 unit of currency = rate units of quoteCurrency" and applies from its
+ * date until a newer rate for the same pair exists.
+ */
+
+export const CURRENCIES = {
+  JPY: { label: '日本円', symbol: '¥', decimals: 0 },
+  USD: { label: '米ドル', symbol: '$', decimals: 2 },
+  EUR: { label: 'ユーロ', symbol: '€', decimals: 2 },
+  GBP: { label: '英ポンド', symbol: '£', decimals: 2 },
+  CNY: { label: '人民元', symbol: 'CN¥', decimals: 2 },
+  KRW: { label: '韓国ウォン', symbol: '₩', decimals: 0 },
+  TWD: { label: '台湾ドル', symbol: 'NT$', decimals: 2 },
+  HKD: { label: '香港ドル', symbol: 'HK$', decimals: 2 },
+  SGD: { label: 'シンガポールドル', symbol: 'S$', decimals: 2 },
+  THB: { label: 'タイバーツ', symbol: '฿', decimals: 2 },
+  AUD: { label: '豪ドル', symbol: 'A$', decimals: 2 },
+  CAD: { label: 'カナダドル', symbol: 'CA$', decimals: 2 },
+  CHF: { label: 'スイスフラン', symbol: 'CHF ', decimals: 2 }
+};
+
+export const DEFAULT_BASE_CURRENCY = 'JPY';
+
+export const isKnownCurrency = (currency) => Boolean(CURRENCIES[currency]);
+
+// Number of minor unit digits of a currency
+export const getCurrencyDecimals = (currency) => (
+  CURRENCIES[currency] ? CURRENCIES[currency].decimals : 2
+);
+
+// Round an amount to the minor unit of a currency
+export const roundCurrency = (amount, currency = DEFAULT_BASE_CURRENCY) => {
+  const factor = 10 ** getCurrencyDecimals(currency);
+  return Math.round((Number(amount) || 0) * factor) / factor;
+};
+
+// Symbol of a currency as shown before amounts
+export const getCurrencySymbol = (currency) => (
+  CURRENCIES[currency] ? CURRENCIES[currency].symbol : `${currency} `
+);
+
+/**
+ * Format an amount with the symbol of its currency
+ * @param {number} amount - Amount to format
+ * @param {string} currency - ISO 4217 code
+ * @returns {string} Formatted amount, e.g. ¥1,200 or -$12.50
+ */
+export const formatMoney = (amount, currency = DEFAULT_BASE_CURRENCY) => {
+  const value = Number(amount) || 0;
+  const decimals = getCurrencyDecimals(currency);
+  const digits = Math.abs(value).toLocaleString('ja-JP', {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  });
+  return `${value < 0 ? '-' : ''}${getCurrencySymbol(currency)}${digits}`;
+};
+
+// Latest rate of a pair on or before a date, as { rate, date }
+const findPairRate = (rates, currency, quoteCurrency, date) => {
+  let best = null;
+  rates.forEach(entry => {
+    if (entry.date > date || !(entry.rate > 0)) return;
+    let rate = null;
+    if (entry.currency === currency && entry.quoteCurrency === quoteCurrency) {
+      rate = entry.rate;
+    } else if (entry.currency === quoteCurrency && entry.quoteCurrency === currency) {
+      rate = 1 / entry.rate;
+    }
+    if (rate !== null && (!best || entry.date > best.date)) {
+      best = { rate, date: entry.date };
+    }
+  });
+  return best;
+};
+
+/**
+ * Rate to convert one currency into another on a date
+ * Direct and inverse quotes are used first; otherwise the pair is crossed through a currency
+ * both are quoted against.
+ * @param {Array} rates - Stored rate entries
+ * @param {string} currency - Currency to convert from
+ * @param {string} quoteCurrency - Currency to convert into
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object|null} { rate, date } where date is the oldest rate date used, or null
+ */
+export const resolveExchangeRate = (rates, currency, quoteCurrency, date) => {
+  if (currency === quoteCurrency) {
+    return { rate: 1, date };
+  }
+  const day = String(date || '').slice(0, 10);
+
+  const direct = findPairRate(rates, currency, quoteCurrency, day);
+  if (direct) return direct;
+
+  const pivots = new Set(rates.flatMap(entry => [entry.currency, entry.quoteCurrency]));
+  for (const pivot of pivots) {
+    if (pivot === currency || pivot === quoteCurrency) continue;
+    const from = findPairRate(rates, currency, pivot, day);
+    const to = from && findPairRate(rates, quoteCurrency, pivot, day);
+    if (from && to) {
+      return { rate: from.rate / to.rate, date: from.date < to.date ? from.date : to.date };
+    }
+  }
+  return null;
+};
+
+// Convert an amount with a rate and round it to the target currency
+export const convertAmount = (amount, rate, quoteCurrency = DEFAULT_BASE_CURRENCY) => (
+  roundCurrency((Number(amount) || 0) * (Number(rate) || 0), quoteCurrency)
+);
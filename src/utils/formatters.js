@@ -1,3 +1,5 @@
+import { DEFAULT_BASE_CURRENCY, getCurrencySymbol, getCurrencyDecimals } from './currency';
+
 /**
  * Format large numbers with abbreviations (K, M, B)
  * @param {number} num - The number to format
@@ -26,16 +28,19 @@ export const formatLargeNumber = (num, digits = 1) => {
  * Format currency with proper Japanese formatting
  * @param {number} amount - The amount to format
  * @param {boolean} abbreviated - Whether to abbreviate large numbers
+ * @param {string} currency - ISO 4217 code; the base currency setting where one is available
  * @returns {string} Formatted currency string
  */
-export const formatCurrency = (amount, abbreviated = false) => {
-  if (!amount || isNaN(amount)) return '¥0';
+export const formatCurrency = (amount, abbreviated = false, currency = DEFAULT_BASE_CURRENCY) => {
+  const symbol = getCurrencySymbol(currency);
+  if (!amount || isNaN(amount)) return `${symbol}0`;
   
   if (abbreviated && Math.abs(amount) >= 10000) {
-    return `¥${formatLargeNumber(amount)}`;
+    return `${symbol}${formatLargeNumber(amount)}`;
   }
   
-  return `¥${amount.toLocaleString('ja-JP')}`;
+  const decimals = getCurrencyDecimals(currency);
+  return `${symbol}${amount.toLocaleString('ja-JP', { minimumFractionDigits: decimals, maximumFractionDigits: decimals })}`;
 };
 
 /**
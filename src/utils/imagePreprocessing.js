@@ -2,6 +2,38 @@
  * Image preprocessing utilities for better OCR results
  */
 
+// Images wider than this are scaled down before OCR
+export const MAX_OCR_WIDTH = 2000;
+
+/**
+ * Convert RGBA pixels to high-contrast grayscale in place
+ * Shared by the main thread and the OCR worker (which draws on an OffscreenCanvas).
+ * @param {Uint8ClampedArray} data - ImageData pixels
+ */
+export const enhanceImageData = (data) => {
+  for (let i = 0; i < data.length; i += 4) {
+    // Convert to grayscale
+    const gray = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    
+    // Increase contrast
+    let value = gray;
+    value = ((value - 128) * 1.5) + 128; // 1.5 is contrast factor
+    value = Math.max(0, Math.min(255, value));
+    
+    // Apply threshold for better text recognition
+    // This helps with receipts that might have poor lighting
+    if (value > 180) {
+      value = 255; // White
+    } else if (value < 80) {
+      value = 0; // Black
+    }
+    
+    data[i] = value;
+    data[i + 1] = value;
+    data[i + 2] = value;
+  }
+};
+
 /**
  * Preprocess image for better OCR recognition
  * @param {File|Blob} imageFile - The image file to preprocess
@@ -21,7 +53,7 @@ export const preprocessImage = async (imageFile) => {
         // Scale image if too large (max 2000px width)
         let width = img.width;
         let height = img.height;
-        const maxWidth = 2000;
+        const maxWidth = MAX_OCR_WIDTH;
         
         if (width > maxWidth) {
           height = (maxWidth / width) * height;
@@ -39,27 +71,7 @@ export const preprocessImage = async (imageFile) => {
         const data = imageData.data;
         
         // Convert to grayscale and increase contrast
-        for (let i = 0; i < data.length; i += 4) {
-          // Convert to grayscale
-          const gray = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
-          
-          // Increase contrast
-          let value = gray;
-          value = ((value - 128) * 1.5) + 128; // 1.5 is contrast factor
-          value = Math.max(0, Math.min(255, value));
-          
-          // Apply threshold for better text recognition
-          // This helps with receipts that might have poor lighting
-          if (value > 180) {
-            value = 255; // White
-          } else if (value < 80) {
-            value = 0; // Black
-          }
-          
-          data[i] = value;
-          data[i + 1] = value;
-          data[i + 2] = value;
-        }
+        enhanceImageData(data);
         
         // Put the processed image data back
         ctx.putImageData(imageData, 0, 0);
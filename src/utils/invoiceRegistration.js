@@ -0,0 +1,97 @@
+/**
+ * Qualified invoice (インボイス制度) registration numbers
+ * A 適格請求書発行事業者登録番号 is "T" followed by 13 digits. The first digit is a check digit
+ * computed the same way as the 法人番号 from the other 12 digits.
+ */
+
+const DIGITS_LENGTH = 13;
+
+// Convert full-width digits and letters (e.g. "Ｔ１２３") to half-width
+const toHalfWidth = (value) => String(value).replace(/[Ａ-Ｚａ-ｚ０-９]/g, (char) =>
+  String.fromCharCode(char.charCodeAt(0) - 0xFEE0)
+);
+
+/**
+ * Compute the check digit of a registration number
+ * @param {string} baseDigits - The 12 digits after the check digit
+ * @returns {number} Check digit
+ */
+export const computeCheckDigit = (baseDigits) => {
+  // Digits are weighted 1, 2, 1, 2, ... from the rightmost one
+  const sum = baseDigits
+    .split('')
+    .reverse()
+    .reduce((acc, digit, index) => acc + Number(digit) * (index % 2 === 0 ? 1 : 2), 0);
+  return 9 - (sum % 9);
+};
+
+/**
+ * Normalize user or OCR input to the "T" + 13 digits form
+ * Spaces, hyphens and full-width characters are accepted; the "T" may be omitted.
+ * @param {string} value - Entered registration number
+ * @returns {string|null} Normalized number, or null when it is not 13 digits
+ */
+export const normalizeRegistrationNumber = (value) => {
+  if (!value) return null;
+  const cleaned = toHalfWidth(value).toUpperCase().replace(/[\s\-－ー‐]/g, '');
+  const match = cleaned.match(/^T?(\d{13})$/);
+  return match ? `T${match[1]}` : null;
+};
+
+/**
+ * Check the format and check digit of a registration number
+ * @param {string} value - Registration number
+ * @returns {boolean} True when the number is valid
+ */
+export const isValidRegistrationNumber = (value) => {
+  const normalized = normalizeRegistrationNumber(value);
+  if (!normalized) return false;
+  const digits = normalized.slice(1);
+  return Number(digits[0]) === computeCheckDigit(digits.slice(1, DIGITS_LENGTH));
+};
+
+/**
+ * Validate a registration number entered in a form
+ * @param {string} value - Entered registration number
+ * @returns {string} Error message, or an empty string when the value is empty or valid
+ */
+export const getRegistrationNumberError = (value) => {
+  if (!value || !String(value).trim()) return '';
+  if (!normalizeRegistrationNumber(value)) {
+    return '登録番号は「T」と13桁の数字で入力してください';
+  }
+  if (!isValidRegistrationNumber(value)) {
+    return '登録番号のチェックデジットが一致しません';
+  }
+  return '';
+};
+
+/**
+ * Find a registration number in OCR text
+ * OCR often reads "T" as "Ｔ" or splits the digits with spaces or hyphens.
+ * @param {string} text - OCR text
+ * @returns {string|null} First valid registration number in the text
+ */
+export const findRegistrationNumber = (text) => {
+  if (!text) return null;
+  const candidates = toHalfWidth(text).matchAll(/T[\s:：-]*((?:\d[\s-]?){12}\d)/gi);
+  for (const match of candidates) {
+    const normalized = normalizeRegistrationNumber(match[1]);
+    if (normalized && isValidRegistrationNumber(normalized)) {
+      return normalized;
+    }
+  }
+  return null;
+};
+
+/**
+ * Format a registration number for display (T1-2345-6789-0123)
+ * @param {string} value - Registration number
+ * @returns {string} Formatted number, or the value as-is when it is not valid
+ */
+export const formatRegistrationNumber = (value) => {
+  const normalized = normalizeRegistrationNumber(value);
+  if (!normalized) return value || '';
+  const digits = normalized.slice(1);
+  return `T${digits.slice(0, 1)}-${digits.slice(1, 5)}-${digits.slice(5, 9)}-${digits.slice(9)}`;
+};
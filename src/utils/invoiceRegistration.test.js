@@ -0,0 +1,68 @@
+import {
+  computeCheckDigit,
+  normalizeRegistrationNumber,
+  isValidRegistrationNumber,
+  getRegistrationNumberError,
+  findRegistrationNumber,
+  formatRegistrationNumber
+} from './invoiceRegistration';
+
+// 国税庁's own corporate number
+const VALID = 'T7000012050002';
+
+describe('computeCheckDigit', () => {
+  it('matches the check digit of a real corporate number', () => {
+    expect(computeCheckDigit('000012050002')).toBe(7);
+  });
+
+  it('gives 9 when the weighted sum is a multiple of 9', () => {
+    expect(computeCheckDigit('000000000000')).toBe(9);
+  });
+});
+
+describe('normalizeRegistrationNumber', () => {
+  it('accepts full-width characters, separators and a missing T', () => {
+    expect(normalizeRegistrationNumber('Ｔ７０００ ０１２０-５０００２')).toBe(VALID);
+    expect(normalizeRegistrationNumber('7000012050002')).toBe(VALID);
+    expect(normalizeRegistrationNumber('t7000012050002')).toBe(VALID);
+  });
+
+  it('rejects numbers that are not 13 digits', () => {
+    expect(normalizeRegistrationNumber('T700001205000')).toBeNull();
+    expect(normalizeRegistrationNumber('')).toBeNull();
+  });
+});
+
+describe('isValidRegistrationNumber', () => {
+  it('checks the check digit', () => {
+    expect(isValidRegistrationNumber(VALID)).toBe(true);
+    expect(isValidRegistrationNumber('T8000012050002')).toBe(false);
+  });
+});
+
+describe('getRegistrationNumberError', () => {
+  it('reports format and check digit errors', () => {
+    expect(getRegistrationNumberError('')).toBe('');
+    expect(getRegistrationNumberError(VALID)).toBe('');
+    expect(getRegistrationNumberError('T123')).toMatch('13桁');
+    expect(getRegistrationNumberError('T8000012050002')).toMatch('チェックデジット');
+  });
+});
+
+describe('findRegistrationNumber', () => {
+  it('finds a valid number in OCR text', () => {
+    expect(findRegistrationNumber('登録番号：Ｔ 7000-0120-50002\n合計 ¥1,100')).toBe(VALID);
+  });
+
+  it('skips numbers with a wrong check digit', () => {
+    expect(findRegistrationNumber('T8000012050002 T7000012050002')).toBe(VALID);
+    expect(findRegistrationNumber('T8000012050002')).toBeNull();
+  });
+});
+
+describe('formatRegistrationNumber', () => {
+  it('groups the digits', () => {
+    expect(formatRegistrationNumber('7000012050002')).toBe('T7-0000-1205-0002');
+    expect(formatRegistrationNumber('abc')).toBe('abc');
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Japanese national holidays (国民の祝日) under the current Holiday Act
+ * Includes substitute holidays (振替休日) and sandwiched national holidays (国民の休日).
+ * Equinox days use the standard approximation, valid for 1980-2099.
+ * One-off moves such as the 2020/2021 Olympic schedule are not covered.
+ */
+
+const pad = (value) => String(value).padStart(2, '0');
+const key = (year, month, day) => `${year}-${pad(month)}-${pad(day)}`;
+
+// Day of month of the nth given weekday (0 = Sunday)
+const nthWeekday = (year, month, n, weekday) => {
+  const first = new Date(year, month - 1, 1).getDay();
+  return 1 + ((weekday - first + 7) % 7) + (n - 1) * 7;
+};
+
+const vernalEquinox = (year) => Math.floor(20.8431 + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+const autumnalEquinox = (year) => Math.floor(23.2488 + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+
+const cache = {};
+
+/**
+ * Get the holidays of a year
+ * @param {number} year - Calendar year
+ * @returns {Object} Map of 'YYYY-MM-DD' to holiday name
+ */
+export const getHolidaysOfYear = (year) => {
+  if (cache[year]) return cache[year];
+
+  const holidays = {
+    [key(year, 1, 1)]: '元日',
+    [key(year, 1, nthWeekday(year, 1, 2, 1))]: '成人の日',
+    [key(year, 2, 11)]: '建国記念の日',
+    [key(year, 2, 23)]: '天皇誕生日',
+    [key(year, 3, vernalEquinox(year))]: '春分の日',
+    [key(year, 4, 29)]: '昭和の日',
+    [key(year, 5, 3)]: '憲法記念日',
+    [key(year, 5, 4)]: 'みどりの日',
+    [key(year, 5, 5)]: 'こどもの日',
+    [key(year, 7, nthWeekday(year, 7, 3, 1))]: '海の日',
+    [key(year, 8, 11)]: '山の日',
+    [key(year, 9, nthWeekday(year, 9, 3, 1))]: '敬老の日',
+    [key(year, 9, autumnalEquinox(year))]: '秋分の日',
+    [key(year, 10, nthWeekday(year, 10, 2, 1))]: 'スポーツの日',
+    [key(year, 11, 3)]: '文化の日',
+    [key(year, 11, 23)]: '勤労感謝の日'
+  };
+
+  const dates = Object.keys(holidays).sort();
+
+  // A weekday between two holidays is also a holiday
+  dates.forEach(date => {
+    const next = new Date(`${date}T00:00:00`);
+    next.setDate(next.getDate() + 2);
+    const afterNext = key(next.getFullYear(), next.getMonth() + 1, next.getDate());
+    next.setDate(next.getDate() - 1);
+    const between = key(next.getFullYear(), next.getMonth() + 1, next.getDate());
+    if (holidays[afterNext] && !holidays[between] && next.getDay() !== 0) {
+      holidays[between] = '国民の休日';
+    }
+  });
+
+  // A holiday on Sunday moves to the next day that is not a holiday
+  dates.forEach(date => {
+    const day = new Date(`${date}T00:00:00`);
+    if (day.getDay() !== 0) return;
+    do {
+      day.setDate(day.getDate() + 1);
+    } while (holidays[key(day.getFullYear(), day.getMonth() + 1, day.getDate())]);
+    holidays[key(day.getFullYear(), day.getMonth() + 1, day.getDate())] = '振替休日';
+  });
+
+  cache[year] = holidays;
+  return holidays;
+};
+
+// Get the holiday name of a date, or null
+export const getHolidayName = (date) => {
+  return getHolidaysOfYear(date.getFullYear())[key(date.getFullYear(), date.getMonth() + 1, date.getDate())] || null;
+};
+
+// Check whether a date is a national holiday
+export const isHoliday = (date) => getHolidayName(date) !== null;
+
+// Check whether a date is a business day (not a weekend or national holiday)
+export const isBusinessDay = (date) => {
+  const weekday = date.getDay();
+  return weekday !== 0 && weekday !== 6 && !isHoliday(date);
+};
@@ -0,0 +1,43 @@
+import { getHolidaysOfYear, getHolidayName, isHoliday, isBusinessDay } from './japaneseHolidays';
+
+describe('getHolidaysOfYear', () => {
+  it('places the Happy Monday holidays on the right Mondays', () => {
+    const holidays = getHolidaysOfYear(2026);
+    expect(holidays['2026-01-12']).toBe('成人の日');
+    expect(holidays['2026-07-20']).toBe('海の日');
+    expect(holidays['2026-09-21']).toBe('敬老の日');
+    expect(holidays['2026-10-12']).toBe('スポーツの日');
+  });
+
+  it('computes the equinox days', () => {
+    expect(getHolidaysOfYear(2026)['2026-03-20']).toBe('春分の日');
+    expect(getHolidaysOfYear(2026)['2026-09-23']).toBe('秋分の日');
+    expect(getHolidaysOfYear(2024)['2024-09-22']).toBe('秋分の日');
+  });
+
+  it('moves a holiday on Sunday to the next day that is not a holiday', () => {
+    // 憲法記念日 2026 is a Sunday, and 5/4 and 5/5 are holidays already
+    expect(getHolidaysOfYear(2026)['2026-05-06']).toBe('振替休日');
+    expect(getHolidaysOfYear(2025)['2025-02-24']).toBe('振替休日');
+  });
+
+  it('marks a weekday between two holidays as 国民の休日', () => {
+    expect(getHolidaysOfYear(2026)['2026-09-22']).toBe('国民の休日');
+    expect(getHolidaysOfYear(2025)['2025-09-22']).toBeUndefined();
+  });
+});
+
+describe('isBusinessDay', () => {
+  it('excludes weekends and holidays', () => {
+    expect(isBusinessDay(new Date(2026, 0, 1))).toBe(false);
+    expect(isBusinessDay(new Date(2026, 0, 2))).toBe(true);
+    expect(isBusinessDay(new Date(2026, 0, 3))).toBe(false);
+    expect(isBusinessDay(new Date(2026, 4, 6))).toBe(false);
+  });
+
+  it('names holidays and returns null for other days', () => {
+    expect(getHolidayName(new Date(2026, 10, 3))).toBe('文化の日');
+    expect(getHolidayName(new Date(2026, 10, 4))).toBeNull();
+    expect(isHoliday(new Date(2026, 1, 23))).toBe(true);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Per-field confidence of values read from a receipt
+ * A field's score (0-100) combines how sure Tesseract was of the words the value came from with
+ * how well the value agrees with the rest of the receipt (a 合計 label, the printed tax, a real
+ * calendar date). Fields below LOW_CONFIDENCE_THRESHOLD are highlighted for manual checking.
+ */
+
+export const LOW_CONFIDENCE_THRESHOLD = 60;
+
+// Fields that get a confidence score
+export const CONFIDENCE_FIELDS = ['amount', 'date', 'tax', 'vendor'];
+
+// Labels printed next to the total of a receipt or invoice
+const TOTAL_LABEL_PATTERN = /合計|総額|総計|お会計|お買上|ご請求|請求金額|TOTAL/i;
+
+// Words that mark a line as a store or company name
+const VENDOR_NAME_PATTERN = /株式会社|有限会社|合同会社|[(（]株[)）]|店|堂|屋|商店|ストア|マート|薬局|ホテル|駅/;
+
+// Rates that a printed consumption tax may be charged at
+const TAX_RATES = [10, 8];
+
+const normalize = (text) => String(text || '').replace(/\s/g, '');
+
+/**
+ * Tesseract confidence of the text a value was read from
+ * Uses the words of the first OCR line containing the text, or the line itself when word
+ * confidences are not available (e.g. PDF text layers, which are read at 100).
+ * @param {string} matchedText - Text the value was read from
+ * @param {Array} lines - OCR lines [{ text, confidence, words: [{ text, confidence }] }]
+ * @returns {number|null} 0-100, or null when the text is not found in any line
+ */
+export const recognitionConfidence = (matchedText, lines = []) => {
+  const target = normalize(matchedText);
+  if (!target) return null;
+
+  const line = lines.find(item => normalize(item.text).includes(target));
+  if (!line) return null;
+
+  const words = (line.words || []).filter(word => {
+    const text = normalize(word.text);
+    return text && (target.includes(text) || text.includes(target));
+  });
+  if (words.length === 0) return line.confidence;
+  return words.reduce((sum, word) => sum + word.confidence, 0) / words.length;
+};
+
+// Check whether a printed tax matches a tax-inclusive total at one of the rates
+export const isTaxConsistent = (amount, tax) => {
+  if (!(amount > 0) || !(tax > 0)) return false;
+  return TAX_RATES.some(rate => {
+    const expected = (amount * rate) / (100 + rate);
+    return Math.abs(expected - tax) <= 1;
+  });
+};
+
+// Agreement (0-1) of the chosen total with the other amounts on the receipt
+export const amountAgreement = ({ labeled, occurrences, taxConsistent }) => {
+  let agreement = 0.6;
+  if (labeled) agreement += 0.2;
+  if (occurrences > 1 || taxConsistent) agreement += 0.2;
+  return agreement;
+};
+
+// Agreement (0-1) of a YYYY-MM-DD date: a real calendar date within the last three years
+export const dateAgreement = (date, today = new Date()) => {
+  const [year, month, day] = String(date || '').split('-').map(Number);
+  const parsed = new Date(year, month - 1, day);
+  if (!year || parsed.getFullYear() !== year || parsed.getMonth() !== month - 1 || parsed.getDate() !== day) {
+    return 0.3;
+  }
+
+  const earliest = new Date(today.getFullYear() - 3, today.getMonth(), today.getDate());
+  const latest = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+  return parsed >= earliest && parsed <= latest ? 1 : 0.7;
+};
+
+// Agreement (0-1) of a vendor line: mostly letters, ideally with a store or company word
+export const vendorAgreement = (vendor) => {
+  const text = normalize(vendor);
+  if (text.length < 2) return 0.3;
+
+  // Lines of digits and symbols are dates, phone numbers or totals rather than names
+  const symbols = (text.match(/[0-9０-９!-/:-@[-`{-~¥￥：]/g) || []).length;
+  if (symbols / text.length > 0.5) return 0.3;
+  return VENDOR_NAME_PATTERN.test(text) ? 1 : 0.7;
+};
+
+// Check whether a total is labeled as such on its line
+export const isTotalLine = (line) => TOTAL_LABEL_PATTERN.test(line || '');
+
+/**
+ * Combine recognition and agreement into a field score
+ * @param {number|null} recognition - Tesseract confidence (0-100); null when unknown
+ * @param {number} agreement - Pattern agreement (0-1)
+ * @param {number} fallback - Recognition used when unknown (the page confidence)
+ * @returns {number} 0-100
+ */
+export const scoreField = (recognition, agreement, fallback = 100) => (
+  Math.round((recognition ?? fallback) * agreement)
+);
+
+/**
+ * Fields to highlight for manual checking
+ * @param {Object} fieldConfidence - { amount, date, tax, vendor } scores; missing fields are null
+ * @returns {Object} Scores of the fields below LOW_CONFIDENCE_THRESHOLD
+ */
+export const getLowConfidenceFields = (fieldConfidence = {}) => (
+  Object.entries(fieldConfidence || {}).reduce((low, [field, score]) => {
+    if (score !== null && score !== undefined && score < LOW_CONFIDENCE_THRESHOLD) {
+      low[field] = score;
+    }
+    return low;
+  }, {})
+);
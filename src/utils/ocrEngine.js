@@ -0,0 +1,96 @@
+import Tesseract from 'tesseract.js';
+
+/**
+ * Tesseract setup shared by the OCR service and the background OCR worker
+ * The worker script, core and language data are bundled in public/tesseract
+ * (scripts/copy-ocr-assets.js), so OCR works without a network connection.
+ * Apart from getOCRAssetPaths, nothing here touches the DOM or storage, so it runs in a Web
+ * Worker as well.
+ */
+
+/**
+ * Locations of the bundled Tesseract assets; call on the main thread
+ * A Web Worker cannot resolve them itself, so they are passed along with its jobs.
+ * @returns {Object} { assetPath, langPath }
+ */
+export const getOCRAssetPaths = () => {
+  const assetPath = new URL(`${process.env.PUBLIC_URL}/tesseract/`, document.baseURI).href;
+  return {
+    assetPath,
+    // fetch() cannot read file:// URLs; the packaged app serves language data over ocr-data:// (main.js)
+    langPath: window.location.protocol === 'file:' ? 'ocr-data://tessdata' : assetPath
+  };
+};
+
+/**
+ * Create a Tesseract worker tuned for Japanese receipts
+ * @param {Object} paths - { assetPath, langPath } from getOCRAssetPaths
+ * @param {Function} logger - Optional Tesseract progress logger
+ * @returns {Promise<Object>} Tesseract worker; call terminate() when done
+ */
+export const createOCRWorker = async ({ assetPath, langPath }, logger) => {
+  const worker = await Tesseract.createWorker('jpn+eng', Tesseract.OEM.LSTM_ONLY, {
+    workerPath: `${assetPath}worker.min.js`,
+    corePath: assetPath,
+    langPath,
+    // A blob: worker cannot importScripts() file:// URLs in the packaged app
+    workerBlobURL: false,
+    ...(logger ? { logger } : {})
+  });
+
+  // Set parameters for better Japanese recognition
+  await worker.setParameters({
+    tessedit_pageseg_mode: Tesseract.PSM.AUTO, // Automatic page segmentation
+    preserve_interword_spaces: '1',
+    // Remove whitelist to allow all characters
+  });
+
+  return worker;
+};
+
+/**
+ * Recognize one image
+ * Lines keep their word confidences so extracted fields can be scored (utils/ocrConfidence).
+ * @param {Object} worker - Tesseract worker
+ * @param {Blob|HTMLCanvasElement} image - Image to read
+ * @returns {Promise<Object>} { text, confidence, lines: [{ text, confidence, bbox, words: [{ text, confidence }] }] }
+ */
+export const recognizeImage = async (worker, image) => {
+  // Lines and words are only returned as part of the block tree
+  const result = await worker.recognize(image, {}, { text: true, blocks: true });
+
+  const ocrData = {
+    text: result.data?.text || '',
+    confidence: result.data?.confidence || 0,
+    lines: []
+  };
+
+  (result.data?.blocks || []).forEach(block => {
+    (block.paragraphs || []).forEach(paragraph => {
+      (paragraph.lines || []).forEach(line => {
+        ocrData.lines.push({
+          text: (line.text || '').trim(),
+          confidence: line.confidence || 0,
+          bbox: line.bbox || null,
+          words: (line.words || []).map(word => ({ text: word.text || '', confidence: word.confidence || 0 }))
+        });
+      });
+    });
+  });
+
+  return ocrData;
+};
+
+/**
+ * Merge the pages of one document into a single OCR result
+ * @param {Array} pages - [{ pageNumber, source, text, confidence, lines }] in page order
+ * @returns {Object} { text, confidence, lines, pages: [{ pageNumber, source, confidence }] }
+ */
+export const mergeOCRPages = (pages) => ({
+  text: pages.map(page => page.text.trim()).filter(Boolean).join('\n'),
+  confidence: pages.length > 0
+    ? pages.reduce((sum, page) => sum + page.confidence, 0) / pages.length
+    : 0,
+  lines: pages.flatMap(page => page.lines.map(line => ({ ...line, pageNumber: page.pageNumber }))),
+  pages: pages.map(({ pageNumber, source, confidence }) => ({ pageNumber, source, confidence }))
+});
@@ -0,0 +1,163 @@
+import * as pdfjsLib from 'pdfjs-dist';
+
+/**
+ * PDF utilities for receipt and invoice ingestion
+ * Pages are read one at a time: the embedded text layer is used when a page has one, and the
+ * page is rendered to a canvas for OCR when it is a scan.
+ */
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.min.js', import.meta.url).toString();
+
+export const PDF_MIME_TYPE = 'application/pdf';
+
+// Pages with fewer readable characters than this are treated as scans
+const MIN_TEXT_LENGTH = 10;
+
+// Scale pages are rendered at for OCR (72dpi * 3 ≒ 216dpi)
+const OCR_RENDER_SCALE = 3;
+
+// Check if a file (or MIME type) is a PDF
+export const isPdfFile = (fileOrMimeType) => {
+  if (!fileOrMimeType) return false;
+  if (typeof fileOrMimeType === 'string') return fileOrMimeType === PDF_MIME_TYPE;
+  return fileOrMimeType.type === PDF_MIME_TYPE || /\.pdf$/i.test(fileOrMimeType.name || '');
+};
+
+/**
+ * Open a PDF
+ * @param {File|Blob} file - PDF file
+ * @returns {Promise<Object>} pdf.js document; call destroy() when done
+ */
+export const loadPdfDocument = async (file) => {
+  const data = new Uint8Array(await file.arrayBuffer());
+  return pdfjsLib.getDocument({ data, isEvalSupported: false }).promise;
+};
+
+/**
+ * Text layer of a page with its reading order restored
+ * Text items on the same baseline are joined into one line, left to right, so amounts stay
+ * on the line of their label as they do in OCR output.
+ * @param {Object} page - pdf.js page
+ * @returns {Promise<string>} Page text, one line per row
+ */
+export const extractPageText = async (page) => {
+  const content = await page.getTextContent();
+  const rows = [];
+
+  content.items.forEach(item => {
+    if (!item.str || !item.str.trim()) return;
+    const [, , , , x, y] = item.transform;
+    const tolerance = Math.max(2, (item.height || 10) / 2);
+    let row = rows.find(candidate => Math.abs(candidate.y - y) <= tolerance);
+    if (!row) {
+      row = { y, items: [] };
+      rows.push(row);
+    }
+    row.items.push({ x, width: item.width || 0, text: item.str });
+  });
+
+  return rows
+    .sort((a, b) => b.y - a.y)
+    .map(row => {
+      const items = row.items.sort((a, b) => a.x - b.x);
+      return items.reduce((line, item, index) => {
+        if (index === 0) return item.text;
+        const previous = items[index - 1];
+        // Keep a space where there is a visible gap so "品名 1,200" stays two tokens
+        const gap = item.x - (previous.x + previous.width);
+        return `${line}${gap > 1 ? ' ' : ''}${item.text}`;
+      }, '');
+    })
+    .join('\n');
+};
+
+/**
+ * Check whether extracted text is real text rather than an empty or broken layer
+ * Japanese fonts without a ToUnicode map come out as empty strings or U+FFFD, and those pages
+ * are better read by OCR.
+ * @param {string} text - Extracted page text
+ * @returns {boolean} True when the text can be used as is
+ */
+export const hasUsableText = (text) => {
+  const characters = String(text || '').replace(/\s/g, '');
+  if (characters.length < MIN_TEXT_LENGTH) return false;
+  const broken = (characters.match(/\uFFFD/g) || []).length;
+  return broken / characters.length < 0.1;
+};
+
+/**
+ * Render a page to a canvas
+ * @param {Object} page - pdf.js page
+ * @param {number} scale - Render scale (1 = 72dpi)
+ * @returns {Promise<HTMLCanvasElement>} Canvas with the page drawn on a white background
+ */
+export const renderPageToCanvas = async (page, scale = OCR_RENDER_SCALE) => {
+  const viewport = page.getViewport({ scale });
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(viewport.width);
+  canvas.height = Math.ceil(viewport.height);
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  await page.render({ canvasContext: context, viewport }).promise;
+  return canvas;
+};
+
+// Convert a canvas to an image Blob
+export const canvasToBlob = (canvas, type = 'image/png', quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('画像への変換に失敗しました'))), type, quality);
+});
+
+/**
+ * Read every page of a PDF for OCR
+ * Pages with usable embedded text come back as text (confidence 100); scanned pages come back
+ * as a rendered image to be passed through OCR.
+ * @param {File|Blob} file - PDF file
+ * @param {Function} onPage - Called with { page, pageCount } before each page is read
+ * @returns {Promise<Array>} [{ pageNumber, source: 'text', text, confidence, lines } | { pageNumber, source: 'ocr', image }]
+ */
+export const readPdfPages = async (file, onPage) => {
+  const pdf = await loadPdfDocument(file);
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      if (onPage) onPage({ page: pageNumber, pageCount: pdf.numPages });
+
+      const page = await pdf.getPage(pageNumber);
+      const text = await extractPageText(page);
+      if (hasUsableText(text)) {
+        pages.push({
+          pageNumber,
+          source: 'text',
+          text,
+          confidence: 100,
+          lines: text.split('\n').map(line => ({ text: line, confidence: 100, bbox: null }))
+        });
+      } else {
+        pages.push({ pageNumber, source: 'ocr', image: await canvasToBlob(await renderPageToCanvas(page)) });
+      }
+      page.cleanup();
+    }
+    return pages;
+  } finally {
+    pdf.destroy();
+  }
+};
+
+/**
+ * Render the first page of a PDF as a thumbnail
+ * @param {Blob} blob - PDF file
+ * @param {number} maxSize - Longest side in pixels
+ * @returns {Promise<Blob>} JPEG thumbnail
+ */
+export const createPdfThumbnail = async (blob, maxSize = 300) => {
+  const pdf = await loadPdfDocument(blob);
+  try {
+    const page = await pdf.getPage(1);
+    const { width, height } = page.getViewport({ scale: 1 });
+    const canvas = await renderPageToCanvas(page, maxSize / Math.max(width, height));
+    return await canvasToBlob(canvas, 'image/jpeg', 0.8);
+  } finally {
+    pdf.destroy();
+  }
+};
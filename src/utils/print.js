@@ -0,0 +1,53 @@
+/**
+ * Print an element on its own, without the app chrome around it
+ * The element's markup is copied into a hidden iframe, so it should rely on inline styles.
+ * @param {HTMLElement} element - Element to print
+ * @param {string} title - Document title (used as the default PDF file name)
+ */
+export const printElement = (element, title = '') => {
+  if (!element) return;
+
+  const iframe = document.createElement('iframe');
+  iframe.style.position = 'fixed';
+  iframe.style.width = '0';
+  iframe.style.height = '0';
+  iframe.style.border = '0';
+  document.body.appendChild(iframe);
+
+  const doc = iframe.contentDocument;
+  doc.open();
+  doc.write(`<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="utf-8">
+<title>${title.replace(/</g, '&lt;')}</title>
+<style>
+  @page { size: A4; margin: 15mm; }
+  body { margin: 0; font-family: "Hiragino Kaku Gothic ProN", "Yu Gothic", "Meiryo", sans-serif; color: #000; }
+</style>
+</head>
+<body>${element.outerHTML}</body>
+</html>`);
+  doc.close();
+
+  const cleanup = () => {
+    setTimeout(() => {
+      if (iframe.parentNode) iframe.parentNode.removeChild(iframe);
+    }, 1000);
+  };
+  iframe.contentWindow.onafterprint = cleanup;
+
+  // Logos and seals have to be loaded before the print dialog renders the page
+  const pending = Array.from(doc.images)
+    .filter(image => !image.complete)
+    .map(image => new Promise(resolve => {
+      image.onload = resolve;
+      image.onerror = resolve;
+    }));
+  Promise.all(pending).then(() => {
+    iframe.contentWindow.focus();
+    iframe.contentWindow.print();
+  });
+  // Some browsers never fire afterprint for iframes
+  setTimeout(cleanup, 60000);
+};
@@ -0,0 +1,151 @@
+import { isBusinessDay } from './japaneseHolidays';
+
+/**
+ * Recurrence schedules for recurring transactions
+ * Dates are handled as local 'YYYY-MM-DD' strings so occurrences never drift with time zones.
+ */
+
+export const RECURRENCE_FREQUENCIES = {
+  weekly: '毎週',
+  monthly: '毎月',
+  month_end: '毎月末',
+  business_day: '毎月第N営業日',
+  yearly: '毎年'
+};
+
+export const RECURRENCE_END_TYPES = {
+  never: '終了日なし',
+  date: '終了日を指定',
+  count: '回数を指定'
+};
+
+const WEEKDAY_LABELS = ['日', '月', '火', '水', '木', '金', '土'];
+
+// Safety limit for schedule iteration
+const MAX_PERIODS = 5000;
+
+/**
+ * Format a Date as 'YYYY-MM-DD' in local time
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ */
+export const toDateString = (date) => {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Parse a 'YYYY-MM-DD' (or ISO) string as a local date
+ * @param {string} value - Date string
+ * @returns {Date} Local date at midnight
+ */
+export const parseDateString = (value) => {
+  const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const daysInMonth = (year, monthIndex) => new Date(year, monthIndex + 1, 0).getDate();
+
+// Nth business day of a month; months with fewer business days fall back to the last one
+const nthBusinessDay = (year, monthIndex, n) => {
+  let found = null;
+  let count = 0;
+  for (let day = 1; day <= daysInMonth(year, monthIndex); day++) {
+    const date = new Date(year, monthIndex, day);
+    if (isBusinessDay(date)) {
+      found = date;
+      count += 1;
+      if (count === n) break;
+    }
+  }
+  return found;
+};
+
+// Occurrence date of the kth period counted from the start date
+const getPeriodDate = (rule, start, k) => {
+  const interval = Math.max(1, rule.interval || 1);
+  const step = k * interval;
+
+  switch (rule.frequency) {
+    case 'weekly':
+      return new Date(start.getFullYear(), start.getMonth(), start.getDate() + step * 7);
+    case 'monthly': {
+      const month = new Date(start.getFullYear(), start.getMonth() + step, 1);
+      const day = Math.min(rule.dayOfMonth || start.getDate(), daysInMonth(month.getFullYear(), month.getMonth()));
+      return new Date(month.getFullYear(), month.getMonth(), day);
+    }
+    case 'month_end': {
+      const month = new Date(start.getFullYear(), start.getMonth() + step, 1);
+      return new Date(month.getFullYear(), month.getMonth(), daysInMonth(month.getFullYear(), month.getMonth()));
+    }
+    case 'business_day': {
+      const month = new Date(start.getFullYear(), start.getMonth() + step, 1);
+      return nthBusinessDay(month.getFullYear(), month.getMonth(), Math.max(1, rule.businessDay || 1));
+    }
+    case 'yearly': {
+      const year = start.getFullYear() + step;
+      const day = Math.min(start.getDate(), daysInMonth(year, start.getMonth()));
+      return new Date(year, start.getMonth(), day);
+    }
+    default:
+      throw new Error(`Unknown recurrence frequency: ${rule.frequency}`);
+  }
+};
+
+/**
+ * List the scheduled occurrence dates of a rule
+ * The end date and occurrence count of the rule are applied; skipped dates are still listed.
+ * @param {Object} rule - { frequency, interval, dayOfMonth, businessDay, startDate, endType, endDate, maxOccurrences }
+ * @param {Object} options - { after: only dates later than this, until: last date to include, limit: max results }
+ * @returns {Array} 'YYYY-MM-DD' strings in order
+ */
+export const listOccurrences = (rule, { after = null, until = null, limit = 100 } = {}) => {
+  const start = parseDateString(rule.startDate);
+  if (isNaN(start.getTime())) return [];
+  const startString = toDateString(start);
+  const endString = rule.endType === 'date' && rule.endDate ? String(rule.endDate).slice(0, 10) : null;
+  const maxCount = rule.endType === 'count' ? Math.max(0, rule.maxOccurrences || 0) : Infinity;
+
+  const dates = [];
+  let count = 0;
+  for (let k = 0; k < MAX_PERIODS && dates.length < limit && count < maxCount; k++) {
+    const date = getPeriodDate(rule, start, k);
+    if (!date) continue;
+    const dateString = toDateString(date);
+    // The first period of month-based schedules can fall before the start date
+    if (dateString < startString) continue;
+    if (endString && dateString > endString) break;
+    if (until && dateString > until) break;
+
+    count += 1;
+    if (!after || dateString > after) {
+      dates.push(dateString);
+    }
+  }
+  return dates;
+};
+
+/**
+ * Describe a schedule in Japanese, e.g. 毎月25日 or 毎月第3営業日
+ * @param {Object} rule - Recurrence rule
+ * @returns {string} Description
+ */
+export const describeRecurrence = (rule) => {
+  const start = parseDateString(rule.startDate);
+  if (!rule.startDate || isNaN(start.getTime())) return RECURRENCE_FREQUENCIES[rule.frequency] || '';
+  const interval = Math.max(1, rule.interval || 1);
+
+  switch (rule.frequency) {
+    case 'weekly':
+      return `${interval > 1 ? `${interval}週ごと` : '毎週'}${WEEKDAY_LABELS[start.getDay()]}曜日`;
+    case 'monthly':
+      return `${interval > 1 ? `${interval}か月ごと` : '毎月'}${rule.dayOfMonth || start.getDate()}日`;
+    case 'month_end':
+      return interval > 1 ? `${interval}か月ごとの月末` : '毎月末';
+    case 'business_day':
+      return `${interval > 1 ? `${interval}か月ごと` : '毎月'}第${rule.businessDay || 1}営業日`;
+    case 'yearly':
+      return `${interval > 1 ? `${interval}年ごと` : '毎年'}${start.getMonth() + 1}月${start.getDate()}日`;
+    default:
+      return '';
+  }
+};
@@ -0,0 +1,65 @@
+import { toDateString, parseDateString, listOccurrences, describeRecurrence } from './recurrence';
+
+describe('date strings', () => {
+  it('round-trips local dates', () => {
+    expect(toDateString(parseDateString('2026-03-09'))).toBe('2026-03-09');
+    expect(toDateString(parseDateString('2026-03-09T23:30:00.000Z'))).toBe('2026-03-09');
+  });
+});
+
+describe('listOccurrences', () => {
+  it('clamps the day of month to short months', () => {
+    const rule = { frequency: 'monthly', startDate: '2026-01-31', dayOfMonth: 31 };
+    expect(listOccurrences(rule, { limit: 4 })).toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+  });
+
+  it('lists month ends and yearly dates on leap days', () => {
+    expect(listOccurrences({ frequency: 'month_end', startDate: '2028-01-15' }, { limit: 2 }))
+      .toEqual(['2028-01-31', '2028-02-29']);
+    expect(listOccurrences({ frequency: 'yearly', startDate: '2028-02-29' }, { limit: 2 }))
+      .toEqual(['2028-02-29', '2029-02-28']);
+  });
+
+  it('skips weekends and holidays for business-day schedules', () => {
+    const rule = { frequency: 'business_day', businessDay: 1, startDate: '2026-01-01' };
+    // 1/1 is a holiday; 5/1 is a Friday
+    expect(listOccurrences(rule, { limit: 5 })).toEqual(['2026-01-02', '2026-02-02', '2026-03-02', '2026-04-01', '2026-05-01']);
+  });
+
+  it('applies the interval to weekly schedules', () => {
+    expect(listOccurrences({ frequency: 'weekly', interval: 2, startDate: '2026-10-05' }, { limit: 3 }))
+      .toEqual(['2026-10-05', '2026-10-19', '2026-11-02']);
+  });
+
+  it('leaves out a first period that falls before the start date', () => {
+    expect(listOccurrences({ frequency: 'monthly', dayOfMonth: 10, startDate: '2026-10-20' }, { limit: 1 }))
+      .toEqual(['2026-11-10']);
+  });
+
+  it('stops at the end date or the occurrence count', () => {
+    const byDate = { frequency: 'monthly', startDate: '2026-01-10', endType: 'date', endDate: '2026-03-10' };
+    expect(listOccurrences(byDate)).toEqual(['2026-01-10', '2026-02-10', '2026-03-10']);
+
+    const byCount = { frequency: 'monthly', startDate: '2026-01-10', endType: 'count', maxOccurrences: 2 };
+    expect(listOccurrences(byCount)).toEqual(['2026-01-10', '2026-02-10']);
+  });
+
+  it('counts occurrences before `after` towards the occurrence limit', () => {
+    const rule = { frequency: 'monthly', startDate: '2026-01-10', endType: 'count', maxOccurrences: 3 };
+    expect(listOccurrences(rule, { after: '2026-01-10' })).toEqual(['2026-02-10', '2026-03-10']);
+    expect(listOccurrences(rule, { until: '2026-02-28' })).toEqual(['2026-01-10', '2026-02-10']);
+  });
+
+  it('returns nothing for an invalid start date', () => {
+    expect(listOccurrences({ frequency: 'monthly', startDate: 'invalid' })).toEqual([]);
+  });
+});
+
+describe('describeRecurrence', () => {
+  it('describes each frequency in Japanese', () => {
+    expect(describeRecurrence({ frequency: 'monthly', dayOfMonth: 25, startDate: '2026-01-25' })).toBe('毎月25日');
+    expect(describeRecurrence({ frequency: 'weekly', interval: 2, startDate: '2026-10-05' })).toBe('2週ごと月曜日');
+    expect(describeRecurrence({ frequency: 'business_day', businessDay: 3, startDate: '2026-01-01' })).toBe('毎月第3営業日');
+    expect(describeRecurrence({ frequency: 'yearly', startDate: '2026-04-01' })).toBe('毎年4月1日');
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Shift_JIS (Windows-31J) encoding
+ * Browsers can decode Shift_JIS but TextEncoder only writes UTF-8, so the encoding table is
+ * built once by decoding every double-byte code with TextDecoder and inverting the result.
+ */
+
+const REPLACEMENT_BYTE = 0x3F; // '?'
+
+let encodeTable = null;
+
+const isLeadByte = (byte) => (byte >= 0x81 && byte <= 0x9F) || (byte >= 0xE0 && byte <= 0xFC);
+const isTrailByte = (byte) => (byte >= 0x40 && byte <= 0x7E) || (byte >= 0x80 && byte <= 0xFC);
+
+const buildEncodeTable = () => {
+  const decoder = new TextDecoder('shift_jis');
+  const table = new Map();
+
+  // ASCII and half-width katakana are single bytes
+  for (let byte = 0x00; byte <= 0xDF; byte++) {
+    if (byte > 0x7F && byte < 0xA1) continue;
+    const char = decoder.decode(new Uint8Array([byte]));
+    if (!table.has(char)) table.set(char, [byte]);
+  }
+
+  // The first code wins where several decode to the same character (NEC and IBM extensions)
+  for (let lead = 0x81; lead <= 0xFC; lead++) {
+    if (!isLeadByte(lead)) continue;
+    for (let trail = 0x40; trail <= 0xFC; trail++) {
+      if (!isTrailByte(trail)) continue;
+      const char = decoder.decode(new Uint8Array([lead, trail]));
+      if (char.length === 1 && char !== '\uFFFD' && !table.has(char)) {
+        table.set(char, [lead, trail]);
+      }
+    }
+  }
+
+  return table;
+};
+
+const getEncodeTable = () => {
+  if (!encodeTable) {
+    encodeTable = buildEncodeTable();
+  }
+  return encodeTable;
+};
+
+/**
+ * Characters of a text that Shift_JIS cannot represent
+ * @param {string} text - Text to check
+ * @returns {Array<string>} Unsupported characters, without duplicates
+ */
+export const findUnencodableCharacters = (text) => {
+  const table = getEncodeTable();
+  return [...new Set([...String(text)].filter(char => !table.has(char)))];
+};
+
+/**
+ * Encode text as Shift_JIS
+ * Characters that cannot be represented are written as '?'.
+ * @param {string} text - Text to encode
+ * @returns {Uint8Array} Encoded bytes
+ */
+export const encodeShiftJis = (text) => {
+  const table = getEncodeTable();
+  const bytes = [];
+  for (const char of String(text)) {
+    const code = table.get(char);
+    if (code) {
+      bytes.push(...code);
+    } else {
+      bytes.push(REPLACEMENT_BYTE);
+    }
+  }
+  return new Uint8Array(bytes);
+};
@@ -0,0 +1,34 @@
+/**
+ * @jest-environment node
+ */
+// The encoding table is built with TextDecoder, which jsdom does not provide
+import { encodeShiftJis, findUnencodableCharacters } from './shiftJis';
+
+describe('encodeShiftJis', () => {
+  it('writes ASCII and half-width katakana as single bytes', () => {
+    expect([...encodeShiftJis('A1,')]).toEqual([0x41, 0x31, 0x2C]);
+    expect([...encodeShiftJis('ｱｲ')]).toEqual([0xB1, 0xB2]);
+  });
+
+  it('writes kana, kanji and NEC extensions as double bytes', () => {
+    expect([...encodeShiftJis('あ')]).toEqual([0x82, 0xA0]);
+    expect([...encodeShiftJis('経費')]).toEqual([0x8C, 0x6F, 0x94, 0xEF]);
+    expect([...encodeShiftJis('①')]).toEqual([0x87, 0x40]);
+  });
+
+  it('round-trips through the Shift_JIS decoder', () => {
+    const text = '2026/10/01,消耗品費,ｺﾋﾟｰ用紙,"1,100"\r\n';
+    expect(new TextDecoder('shift_jis').decode(encodeShiftJis(text))).toBe(text);
+  });
+
+  it('replaces characters Shift_JIS cannot represent', () => {
+    expect([...encodeShiftJis('a😀b')]).toEqual([0x61, 0x3F, 0x62]);
+  });
+});
+
+describe('findUnencodableCharacters', () => {
+  it('lists each unsupported character once', () => {
+    expect(findUnencodableCharacters('Café 😀 😀 髙')).toEqual(['é', '😀']);
+    expect(findUnencodableCharacters('株式会社')).toEqual([]);
+  });
+});
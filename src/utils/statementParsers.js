@@ -0,0 +1,381 @@
+import { toDateString } from './recurrence';
+
+/**
+ * Bank and credit card statement parsers
+ * Every parser returns statement lines of the same shape:
+ *   { date: 'YYYY-MM-DD', description, amount, direction: 'out' | 'in', externalId, balance }
+ * `amount` is always positive; `direction` tells money leaving ('out') from money coming in ('in').
+ * Card charges are 'out' and refunds are 'in'.
+ */
+
+export const STATEMENT_FORMATS = {
+  csv: 'CSV',
+  ofx: 'OFX / QFX',
+  zengin: '全銀協フォーマット'
+};
+
+export const CSV_COLUMN_FIELDS = {
+  date: '日付',
+  description: '摘要',
+  amount: '金額',
+  withdrawal: '出金額',
+  deposit: '入金額',
+  balance: '残高'
+};
+
+// How a single amount column is signed
+export const CSV_AMOUNT_SIGNS = {
+  positive_out: 'プラスが支払（カード明細）',
+  negative_out: 'マイナスが支払（通帳）'
+};
+
+const ZENGIN_RECORD_LENGTH = 200;
+
+// Convert full-width digits and symbols (e.g. "１，０００") to half-width
+const toHalfWidth = (value) => String(value).replace(/[！-～]/g, (char) =>
+  String.fromCharCode(char.charCodeAt(0) - 0xFEE0)
+);
+
+/**
+ * Decode a statement file, falling back to Shift_JIS for files from Japanese banks
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {string} Text
+ */
+export const decodeStatementFile = (buffer) => {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+  } catch (error) {
+    return new TextDecoder('shift_jis').decode(buffer);
+  }
+};
+
+/**
+ * Parse an amount such as "1,000", "￥1,000", "-1000", "△1,000" or "(1,000)"
+ * @param {string|number} value - Amount text
+ * @returns {number|null} Signed amount, or null when empty or not a number
+ */
+export const parseStatementAmount = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (value === null || value === undefined) return null;
+  let text = toHalfWidth(value).trim().replace(/[¥￥円,\s]/g, '');
+  if (!text) return null;
+
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  if (/^[-△▲]/.test(text)) {
+    sign = -sign;
+    text = text.slice(1);
+  }
+  if (!/^\d+(\.\d+)?$/.test(text)) return null;
+  return sign * Number(text);
+};
+
+// Gregorian start year of each 和暦 era, newest first
+const ERAS = [
+  { names: ['R', '令和'], offset: 2018, start: '2019-05-01' },
+  { names: ['H', '平成'], offset: 1988, start: '1989-01-08' }
+];
+
+/**
+ * Parse a statement date
+ * Accepts 2026/10/01, 2026-10-01, 2026.10.1, 20261001, 2026年10月1日 and 和暦 such as R8.10.1 or 令和8年10月1日.
+ * @param {string} value - Date text
+ * @returns {string|null} 'YYYY-MM-DD', or null when it cannot be read
+ */
+export const parseStatementDate = (value) => {
+  if (!value) return null;
+  const text = toHalfWidth(value).trim();
+
+  const build = (year, month, day) => {
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+      return null;
+    }
+    return toDateString(date);
+  };
+
+  let match = text.match(/^(\d{4})[/\-.年](\d{1,2})[/\-.月](\d{1,2})日?/);
+  if (match) return build(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  match = text.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (match) return build(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  match = text.match(/^(R|H|令和|平成)(\d{1,2}|元)[/\-.年](\d{1,2})[/\-.月](\d{1,2})日?/i);
+  if (match) {
+    const era = ERAS.find(item => item.names.includes(match[1].toUpperCase()));
+    const eraYear = match[2] === '元' ? 1 : Number(match[2]);
+    return build(era.offset + eraYear, Number(match[3]), Number(match[4]));
+  }
+
+  return null;
+};
+
+// 和暦 YYMMDD without an era, as used by 全銀協 files; the newest era that is not in the future wins
+const parseEraDate = (yymmdd) => {
+  if (!/^\d{6}$/.test(yymmdd)) return null;
+  const today = toDateString(new Date());
+  for (const era of ERAS) {
+    const date = parseStatementDate(`${era.offset + Number(yymmdd.slice(0, 2))}${yymmdd.slice(2)}`);
+    if (date && date >= era.start && date <= today) return date;
+  }
+  return parseStatementDate(`${ERAS[0].offset + Number(yymmdd.slice(0, 2))}${yymmdd.slice(2)}`);
+};
+
+const toLine = ({ date, description, signedAmount, externalId = null, balance = null }) => {
+  if (!date || !signedAmount) return null;
+  return {
+    date,
+    description: (description || '').replace(/\s+/g, ' ').trim(),
+    amount: Math.abs(signedAmount),
+    direction: signedAmount < 0 ? 'out' : 'in',
+    externalId: externalId || null,
+    balance
+  };
+};
+
+/**
+ * Split CSV (or tab separated) text into rows of cells
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows
+ */
+export const parseCsvRows = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const delimiter = (firstLine.match(/\t/g) || []).length > (firstLine.match(/,/g) || []).length ? '\t' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows
+    .map(cells => cells.map(value => value.trim()))
+    .filter(cells => cells.some(Boolean));
+};
+
+// Header names used by Japanese banks and card companies
+const COLUMN_PATTERNS = {
+  date: /日付|取引日|利用日|年月日|date/i,
+  withdrawal: /出金|お支払|お引出|引出|支払金額|払戻|withdrawal|debit/i,
+  deposit: /入金|お預り|預入|deposit|credit/i,
+  balance: /残高|balance/i,
+  amount: /金額|amount/i,
+  description: /摘要|内容|利用店|ご利用先|店名|取引先|明細|description|memo|payee|name/i
+};
+
+/**
+ * Guess the column mapping from the first row
+ * @param {Array<Array<string>>} rows - CSV rows
+ * @returns {Object} Mapping of field to column index (-1 when absent), hasHeader and amountSign
+ */
+export const detectCsvMapping = (rows) => {
+  const header = rows[0] || [];
+  const mapping = { hasHeader: false, amountSign: 'positive_out' };
+  const used = new Set();
+
+  Object.entries(COLUMN_PATTERNS).forEach(([field, pattern]) => {
+    const index = header.findIndex((name, i) => !used.has(i) && pattern.test(name));
+    mapping[field] = index;
+    if (index >= 0) {
+      used.add(index);
+      mapping.hasHeader = true;
+    }
+  });
+
+  if (!mapping.hasHeader) {
+    // Without a header, assume the common 日付, 摘要, 金額 order
+    return { ...mapping, date: 0, description: 1, amount: 2 };
+  }
+  // Bank books sign withdrawals negative when there is a single amount column
+  if (mapping.amount >= 0 && mapping.balance >= 0) {
+    mapping.amountSign = 'negative_out';
+  }
+  return mapping;
+};
+
+/**
+ * Convert CSV rows to statement lines
+ * @param {Array<Array<string>>} rows - CSV rows
+ * @param {Object} mapping - Column indexes from detectCsvMapping (possibly edited by the user)
+ * @returns {Object} { lines, skipped } where skipped counts rows without a date or amount
+ */
+export const mapCsvRows = (rows, mapping) => {
+  const cell = (cells, field) => (mapping[field] >= 0 ? cells[mapping[field]] : undefined);
+  const dataRows = mapping.hasHeader ? rows.slice(1) : rows;
+  const lines = [];
+  let skipped = 0;
+
+  dataRows.forEach((cells) => {
+    let signedAmount = null;
+    const withdrawal = parseStatementAmount(cell(cells, 'withdrawal'));
+    const deposit = parseStatementAmount(cell(cells, 'deposit'));
+    if (withdrawal) {
+      signedAmount = -Math.abs(withdrawal);
+    } else if (deposit) {
+      signedAmount = Math.abs(deposit);
+    } else {
+      const amount = parseStatementAmount(cell(cells, 'amount'));
+      if (amount) {
+        signedAmount = mapping.amountSign === 'negative_out' ? amount : -amount;
+      }
+    }
+
+    const line = toLine({
+      date: parseStatementDate(cell(cells, 'date')),
+      description: cell(cells, 'description'),
+      signedAmount,
+      balance: parseStatementAmount(cell(cells, 'balance'))
+    });
+    if (line) {
+      lines.push(line);
+    } else {
+      skipped++;
+    }
+  });
+
+  return { lines, skipped };
+};
+
+/**
+ * Parse an OFX / QFX statement (SGML or XML)
+ * @param {string} text - OFX text
+ * @returns {Object} { lines, skipped }
+ */
+export const parseOfx = (text) => {
+  const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+  const tag = (block, name) => {
+    const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim() : '';
+  };
+
+  const lines = [];
+  let skipped = 0;
+  blocks.forEach((block) => {
+    const name = tag(block, 'NAME');
+    const memo = tag(block, 'MEMO');
+    const line = toLine({
+      date: parseStatementDate(tag(block, 'DTPOSTED').slice(0, 8)),
+      description: memo && memo !== name ? `${name} ${memo}` : name || memo,
+      signedAmount: parseStatementAmount(tag(block, 'TRNAMT')),
+      externalId: tag(block, 'FITID')
+    });
+    if (line) {
+      lines.push(line);
+    } else {
+      skipped++;
+    }
+  });
+
+  return { lines, skipped };
+};
+
+// Split fixed-width text into 200-character records, with or without line breaks
+const toZenginRecords = (text) => {
+  return text
+    .split(/\r?\n/)
+    .flatMap(line => {
+      const records = [];
+      for (let i = 0; i < line.length; i += ZENGIN_RECORD_LENGTH) {
+        records.push(line.slice(i, i + ZENGIN_RECORD_LENGTH));
+      }
+      return records;
+    })
+    .filter(record => record.trim());
+};
+
+/**
+ * Parse a 全銀協 fixed-width file
+ * Supports 入出金取引明細 (種別コード 03) and 振込入金通知 (種別コード 01).
+ * Files are Shift_JIS with half-width katakana, so decode them with decodeStatementFile first.
+ * @param {string} text - File contents
+ * @returns {Object} { lines, skipped }
+ */
+export const parseZengin = (text) => {
+  const lines = [];
+  let skipped = 0;
+  let typeCode = '03';
+
+  toZenginRecords(text).forEach((record) => {
+    const field = (start, length) => record.slice(start, start + length).trim();
+
+    if (record[0] === '1') {
+      typeCode = field(1, 2);
+      return;
+    }
+    if (record[0] !== '2') return;
+
+    let line;
+    if (typeCode === '01') {
+      // 振込入金通知: every record is a deposit
+      line = toLine({
+        date: parseEraDate(field(7, 6)),
+        description: field(49, 48),
+        signedAmount: parseStatementAmount(field(19, 10)),
+        externalId: field(1, 6)
+      });
+    } else {
+      const amount = parseStatementAmount(field(24, 12));
+      line = toLine({
+        date: parseEraDate(field(9, 6)),
+        description: [field(159, 20), field(81, 48)].filter(Boolean).join(' '),
+        signedAmount: field(21, 1) === '2' ? -amount : amount,
+        externalId: field(1, 8)
+      });
+    }
+
+    if (line) {
+      lines.push(line);
+    } else {
+      skipped++;
+    }
+  });
+
+  return { lines, skipped };
+};
+
+/**
+ * Guess the format of a statement file from its contents
+ * @param {string} text - File contents
+ * @returns {string} Key of STATEMENT_FORMATS
+ */
+export const detectStatementFormat = (text) => {
+  if (/OFXHEADER|<OFX>/i.test(text)) return 'ofx';
+  const first = text.split(/\r?\n/).find(line => line.trim()) || '';
+  if (/^1\d{2}/.test(first) && first.length >= ZENGIN_RECORD_LENGTH - 10 && !first.includes(',')) {
+    return 'zengin';
+  }
+  return 'csv';
+};
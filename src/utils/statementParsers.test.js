@@ -0,0 +1,151 @@
+import {
+  parseStatementAmount,
+  parseStatementDate,
+  parseCsvRows,
+  detectCsvMapping,
+  mapCsvRows,
+  parseOfx,
+  parseZengin,
+  detectStatementFormat
+} from './statementParsers';
+
+// Fixed-width 全銀協 record with the given fields ({ start: value }) in a blank 200-character line
+const zenginRecord = (fields) => {
+  const chars = ' '.repeat(200).split('');
+  Object.entries(fields).forEach(([start, value]) => {
+    String(value).split('').forEach((char, i) => {
+      chars[Number(start) + i] = char;
+    });
+  });
+  return chars.join('');
+};
+
+describe('parseStatementAmount', () => {
+  it('reads Japanese amount notations', () => {
+    expect(parseStatementAmount('1,000')).toBe(1000);
+    expect(parseStatementAmount('￥１，２００円')).toBe(1200);
+    expect(parseStatementAmount('△1,000')).toBe(-1000);
+    expect(parseStatementAmount('(500)')).toBe(-500);
+    expect(parseStatementAmount('-12.5')).toBe(-12.5);
+  });
+
+  it('returns null for empty or non-numeric text', () => {
+    expect(parseStatementAmount('')).toBeNull();
+    expect(parseStatementAmount(undefined)).toBeNull();
+    expect(parseStatementAmount('abc')).toBeNull();
+  });
+});
+
+describe('parseStatementDate', () => {
+  it('reads Gregorian dates', () => {
+    expect(parseStatementDate('2026/10/1')).toBe('2026-10-01');
+    expect(parseStatementDate('2026.10.01')).toBe('2026-10-01');
+    expect(parseStatementDate('20261001')).toBe('2026-10-01');
+    expect(parseStatementDate('2026年10月1日')).toBe('2026-10-01');
+  });
+
+  it('reads 和暦 dates', () => {
+    expect(parseStatementDate('R8.10.1')).toBe('2026-10-01');
+    expect(parseStatementDate('令和元年5月1日')).toBe('2019-05-01');
+    expect(parseStatementDate('H31/4/30')).toBe('2019-04-30');
+  });
+
+  it('rejects impossible dates', () => {
+    expect(parseStatementDate('2026/02/30')).toBeNull();
+    expect(parseStatementDate('yesterday')).toBeNull();
+  });
+});
+
+describe('CSV statements', () => {
+  it('splits quoted cells and tab separated rows', () => {
+    expect(parseCsvRows('日付,摘要\n2026/10/01,"ABC, Inc. ""本社"""\n')).toEqual([
+      ['日付', '摘要'],
+      ['2026/10/01', 'ABC, Inc. "本社"']
+    ]);
+    expect(parseCsvRows('a\tb\r\nc\td')).toEqual([['a', 'b'], ['c', 'd']]);
+  });
+
+  it('maps bank book columns with separate withdrawals and deposits', () => {
+    const rows = parseCsvRows([
+      '取引日,摘要,お引出し,お預入れ,差引残高',
+      '2026/10/01,ﾃﾞﾝｷﾀﾞｲ,5500,,94500',
+      '2026/10/02,ｷﾕｳﾖ,,300000,394500',
+      '合計,,,,'
+    ].join('\n'));
+    const mapping = detectCsvMapping(rows);
+    expect(mapping).toMatchObject({ hasHeader: true, date: 0, description: 1, withdrawal: 2, deposit: 3, balance: 4 });
+
+    const { lines, skipped } = mapCsvRows(rows, mapping);
+    expect(skipped).toBe(1);
+    expect(lines).toEqual([
+      { date: '2026-10-01', description: 'ﾃﾞﾝｷﾀﾞｲ', amount: 5500, direction: 'out', externalId: null, balance: 94500 },
+      { date: '2026-10-02', description: 'ｷﾕｳﾖ', amount: 300000, direction: 'in', externalId: null, balance: 394500 }
+    ]);
+  });
+
+  it('treats positive single amounts as charges on card statements', () => {
+    const rows = parseCsvRows('利用日,利用店名,利用金額\n2026/10/03,AMAZON,1980\n2026/10/04,AMAZON 返品,-1980');
+    const { lines } = mapCsvRows(rows, detectCsvMapping(rows));
+    expect(lines.map(line => [line.amount, line.direction])).toEqual([[1980, 'out'], [1980, 'in']]);
+  });
+
+  it('assumes 日付, 摘要, 金額 when there is no header', () => {
+    const rows = parseCsvRows('2026/10/05,COFFEE,450');
+    expect(mapCsvRows(rows, detectCsvMapping(rows)).lines[0]).toMatchObject({ date: '2026-10-05', amount: 450, direction: 'out' });
+  });
+});
+
+describe('parseOfx', () => {
+  it('reads SGML transactions', () => {
+    const text = [
+      'OFXHEADER:100',
+      '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>',
+      '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20261001120000[+9:JST]<TRNAMT>-1200<FITID>A1<NAME>STARBUCKS<MEMO>SHIBUYA',
+      '<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20261002<TRNAMT>5000<FITID>A2<NAME>REFUND',
+      '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>'
+    ].join('\n');
+    expect(parseOfx(text)).toEqual({
+      lines: [
+        { date: '2026-10-01', description: 'STARBUCKS SHIBUYA', amount: 1200, direction: 'out', externalId: 'A1', balance: null },
+        { date: '2026-10-02', description: 'REFUND', amount: 5000, direction: 'in', externalId: 'A2', balance: null }
+      ],
+      skipped: 0
+    });
+  });
+});
+
+describe('parseZengin', () => {
+  it('reads 入出金取引明細 records', () => {
+    const text = [
+      zenginRecord({ 0: '103' }),
+      zenginRecord({ 0: '2', 1: '00000001', 9: '071001', 21: '2', 24: '000000005500', 81: 'ﾃﾞﾝｷﾀﾞｲ' }),
+      zenginRecord({ 0: '2', 1: '00000002', 9: '071002', 21: '1', 24: '000000300000', 81: 'ｷﾕｳﾖ', 159: 'ﾌﾘｺﾐ' }),
+      zenginRecord({ 0: '8' }),
+      zenginRecord({ 0: '9' })
+    ].join('\r\n');
+
+    expect(detectStatementFormat(text)).toBe('zengin');
+    expect(parseZengin(text).lines).toEqual([
+      { date: '2025-10-01', description: 'ﾃﾞﾝｷﾀﾞｲ', amount: 5500, direction: 'out', externalId: '00000001', balance: null },
+      { date: '2025-10-02', description: 'ﾌﾘｺﾐ ｷﾕｳﾖ', amount: 300000, direction: 'in', externalId: '00000002', balance: null }
+    ]);
+  });
+
+  it('reads 振込入金通知 records as deposits', () => {
+    const text = [
+      zenginRecord({ 0: '101' }),
+      zenginRecord({ 0: '2', 1: '000001', 7: '071003', 19: '0000110000', 49: 'ｶ)ｴｰﾋﾞｰｼｰ' })
+    ].join('');
+
+    expect(parseZengin(text).lines).toEqual([
+      { date: '2025-10-03', description: 'ｶ)ｴｰﾋﾞｰｼｰ', amount: 110000, direction: 'in', externalId: '000001', balance: null }
+    ]);
+  });
+});
+
+describe('detectStatementFormat', () => {
+  it('falls back to CSV', () => {
+    expect(detectStatementFormat('<OFX>')).toBe('ofx');
+    expect(detectStatementFormat('日付,摘要,金額')).toBe('csv');
+  });
+});
@@ -0,0 +1,412 @@
+/**
+ * Natural-language transaction queries
+ * parseTransactionQuery turns a query such as 「先月の田中さんの交通費で1万円以上」 or
+ * "Q2 consulting income by client" into structured filters with local rules; words it does not
+ * recognise are kept as a keyword search. The filters are applied with filterTransactions and
+ * summarized (optionally grouped) with summarizeTransactions.
+ */
+
+export const GROUP_BY_LABELS = {
+  category: 'カテゴリ別',
+  user: 'ユーザー別',
+  month: '月別',
+  counterparty: '取引先別'
+};
+
+export const TYPE_LABELS = {
+  expense: '支出',
+  income: '収入'
+};
+
+// Empty filter set; every field is optional
+export const createEmptyFilters = () => ({
+  dateFrom: null,
+  dateTo: null,
+  type: null,
+  categoryIds: [],
+  userIds: [],
+  minAmount: null,
+  maxAmount: null,
+  keywords: [],
+  groupBy: null
+});
+
+// English words for account titles, matched against the Japanese category names
+const CATEGORY_ALIASES = [
+  [/\b(travel|transport(ation)?|taxi|train|fares?)\b/i, ['交通']],
+  [/\bconsult(ing|ancy)?\b/i, ['コンサル', '受託', '役務']],
+  [/\bmeetings?\b/i, ['会議']],
+  [/\b(entertainment|hospitality)\b/i, ['交際', '接待']],
+  [/\b(office\s+)?supplies\b/i, ['消耗品', '事務用品']],
+  [/\b(communications?|phone|internet|postage)\b/i, ['通信']],
+  [/\brent\b/i, ['家賃']],
+  [/\b(advertising|ads|marketing)\b/i, ['広告']],
+  [/\butilities\b/i, ['水道光熱']],
+  [/\b(salary|salaries|payroll|wages)\b/i, ['給与', '人件']],
+  [/\boutsourc(ing|ed)\b/i, ['外注']],
+  [/\bbooks?\b/i, ['図書']],
+  [/\bfees\b/i, ['手数料']],
+  [/\binsurance\b/i, ['保険']],
+  [/\bsales\b/i, ['売上']],
+  [/\b(subscriptions?|saas)\b/i, ['サブスクリプション', 'システム利用', 'クラウド']]
+];
+
+const TYPE_PATTERNS = [
+  [/(支出|経費|出費|expenses?|spending|costs?)/i, 'expense'],
+  [/(収入|収益|入金|income|revenue|earnings)/i, 'income']
+];
+
+const GROUP_PATTERNS = [
+  [/(カテゴリ|科目|勘定科目)(別|ごと)|\b(by|per)\s+(category|account)\b/i, 'category'],
+  [/(ユーザー|担当者|社員|メンバー|人)(別|ごと)|\b(by|per)\s+(user|person|employee|member)\b/i, 'user'],
+  [/(月|月次)(別|ごと)|毎月|\b(by|per)\s+month\b|\bmonthly\b/i, 'month'],
+  [/(取引先|クライアント|顧客|得意先|支払先|仕入先|店舗)(別|ごと)|\b(by|per)\s+(client|customer|vendor|counterparty|payee)\b/i, 'counterparty']
+];
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Honorifics after a person's name
+const HONORIFIC = '(?:さん|様|さま|氏|くん|君|ちゃん)?';
+
+// Particles and filler words left over once filters are taken out of a query
+const STOP_WORDS = /^(の|で|を|に|と|は|が|や|から|まで|について|合計|総額|いくら|何件|件数|教えて|見せて|表示|一覧|全部|すべて|全て|show|me|list|all|the|of|in|for|from|with|and|by|what|was|were|is|how|much|many|total|my|our|to)$/i;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+export const toDateString = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const monthRange = (year, month) => ({
+  dateFrom: toDateString(new Date(year, month - 1, 1)),
+  dateTo: toDateString(new Date(year, month, 0))
+});
+
+const spanRange = (year, startMonth, months) => ({
+  dateFrom: toDateString(new Date(year, startMonth - 1, 1)),
+  dateTo: toDateString(new Date(year, startMonth - 1 + months, 0))
+});
+
+// Fiscal year that contains a date, named by the calendar year it starts in
+const fiscalYearOf = (date, startMonth) => (
+  date.getMonth() + 1 >= startMonth ? date.getFullYear() : date.getFullYear() - 1
+);
+
+// Months without a year mean the most recent such month
+const recentYearOfMonth = (month, today) => (
+  month > today.getMonth() + 1 ? today.getFullYear() - 1 : today.getFullYear()
+);
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const weekRange = (today, offsetWeeks) => {
+  // Weeks start on Monday
+  const monday = addDays(today, -((today.getDay() + 6) % 7) + offsetWeeks * 7);
+  return { dateFrom: toDateString(monday), dateTo: toDateString(addDays(monday, 6)) };
+};
+
+const UNIT_MULTIPLIERS = { '万': 10000, '千': 1000, 'k': 1000, '百万': 1000000, 'm': 1000000 };
+
+const AMOUNT = '(\\d+(?:,\\d{3})*(?:\\.\\d+)?)\\s*(百万|万|千|k|m)?\\s*(?:円|yen|jpy)?';
+
+const toAmount = (number, unit) => {
+  const value = parseFloat(number.replace(/,/g, ''));
+  return Math.round(value * (UNIT_MULTIPLIERS[(unit || '').toLowerCase()] || 1));
+};
+
+/**
+ * Date rules, tried in order; each returns { dateFrom, dateTo } for its match
+ * @param {Date} today - Reference date
+ * @param {number} startMonth - First month of the fiscal year
+ */
+const dateRules = (today, startMonth) => {
+  const year = today.getFullYear();
+  const month = today.getMonth() + 1;
+  const fiscalYear = fiscalYearOf(today, startMonth);
+  const quarter = (fyStart, number) => spanRange(fyStart, startMonth + (number - 1) * 3, 3);
+  const lastPeriod = (count, unit) => {
+    const days = { day: count, week: count * 7 }[unit];
+    const from = days !== undefined
+      ? addDays(today, -days + 1)
+      : new Date(year - (unit === 'year' ? count : 0), today.getMonth() - (unit === 'month' ? count : 0), today.getDate() + 1);
+    return { dateFrom: toDateString(from), dateTo: toDateString(today) };
+  };
+  const periodUnit = (word) => {
+    if (/^(日|days?)$/i.test(word)) return 'day';
+    if (/^(週間?|weeks?)$/i.test(word)) return 'week';
+    if (/^(年間?|years?)$/i.test(word)) return 'year';
+    return 'month';
+  };
+
+  return [
+    [/(\d{4})\s*年度\s*(?:第\s*([1-4])\s*四半期|q([1-4]))/i, m => quarter(Number(m[1]), Number(m[2] || m[3]))],
+    [/(\d{4})\s*q([1-4])\b/i, m => quarter(Number(m[1]), Number(m[2]))],
+    [/(?:第\s*([1-4])\s*四半期|\bq([1-4])\b)/i, m => quarter(fiscalYear, Number(m[1] || m[2]))],
+    [/(上半期|上期|\bh1\b)/i, () => spanRange(fiscalYear, startMonth, 6)],
+    [/(下半期|下期|\bh2\b)/i, () => spanRange(fiscalYear, startMonth + 6, 6)],
+    [/(\d{4})\s*[年/-]\s*(\d{1,2})\s*月?/, m => monthRange(Number(m[1]), Number(m[2]))],
+    [/(\d{4})\s*年度|\bfy\s*(\d{4})\b/i, m => spanRange(Number(m[1] || m[2]), startMonth, 12)],
+    [/(\d{4})\s*年|\bin\s+(\d{4})\b/i, m => spanRange(Number(m[1] || m[2]), 1, 12)],
+    [new RegExp(`\\b(${MONTH_NAMES.join('|')})\\b(?:\\s+(\\d{4}))?`, 'i'), m => {
+      const monthNumber = MONTH_NAMES.indexOf(m[1].toLowerCase()) + 1;
+      return monthRange(m[2] ? Number(m[2]) : recentYearOfMonth(monthNumber, today), monthNumber);
+    }],
+    [/(\d{1,2})\s*月/, m => monthRange(recentYearOfMonth(Number(m[1]), today), Number(m[1]))],
+    [/(?:直近|過去|最近|\blast|\bpast)\s*(\d+)\s*(日|週間|週|か月|ヶ月|カ月|ヵ月|ケ月|年間|年|days?|weeks?|months?|years?)/i,
+      m => lastPeriod(Number(m[1]), periodUnit(m[2]))],
+    [/(今日|本日|\btoday\b)/i, () => ({ dateFrom: toDateString(today), dateTo: toDateString(today) })],
+    [/(昨日|\byesterday\b)/i, () => ({ dateFrom: toDateString(addDays(today, -1)), dateTo: toDateString(addDays(today, -1)) })],
+    [/(今週|\bthis\s+week\b)/i, () => weekRange(today, 0)],
+    [/(先週|\blast\s+week\b)/i, () => weekRange(today, -1)],
+    [/(今月|\bthis\s+month\b)/i, () => monthRange(year, month)],
+    [/(先々月)/, () => monthRange(new Date(year, month - 3, 1).getFullYear(), new Date(year, month - 3, 1).getMonth() + 1)],
+    [/(先月|前月|\blast\s+month\b)/i, () => monthRange(new Date(year, month - 2, 1).getFullYear(), new Date(year, month - 2, 1).getMonth() + 1)],
+    [/(今年度|本年度|今期|\bthis\s+fiscal\s+year\b)/i, () => spanRange(fiscalYear, startMonth, 12)],
+    [/(前年度|昨年度|前期|\blast\s+fiscal\s+year\b)/i, () => spanRange(fiscalYear - 1, startMonth, 12)],
+    [/(今年|本年|\bthis\s+year\b)/i, () => spanRange(year, 1, 12)],
+    [/(去年|昨年|前年|\blast\s+year\b)/i, () => spanRange(year - 1, 1, 12)]
+  ];
+};
+
+// Amount rules; each returns { minAmount?, maxAmount? }
+const AMOUNT_RULES = [
+  [new RegExp(`${AMOUNT}\\s*(?:〜|~|～|-|から)\\s*${AMOUNT}\\s*(?:まで|の間)?`, 'i'), m => ({ minAmount: toAmount(m[1], m[2]), maxAmount: toAmount(m[3], m[4]) })],
+  [new RegExp(`\\bbetween\\s+${AMOUNT}\\s+and\\s+${AMOUNT}`, 'i'), m => ({ minAmount: toAmount(m[1], m[2]), maxAmount: toAmount(m[3], m[4]) })],
+  [new RegExp(`${AMOUNT}\\s*(以上|超え?|を超える|より(?:多い|大きい|上))`, 'i'), m => ({ minAmount: toAmount(m[1], m[2]) + (/^超|を超える|より/.test(m[3]) ? 1 : 0) })],
+  [new RegExp(`${AMOUNT}\\s*(以下|未満|まで|より(?:少ない|小さい|下))`, 'i'), m => ({ maxAmount: toAmount(m[1], m[2]) - (/^未満|より/.test(m[3]) ? 1 : 0) })],
+  [new RegExp(`(?:\\bover|\\babove|\\bmore\\s+than|\\bat\\s+least|>=?)\\s*${AMOUNT}`, 'i'), m => ({ minAmount: toAmount(m[1], m[2]) })],
+  [new RegExp(`(?:\\bunder|\\bbelow|\\bless\\s+than|\\bat\\s+most|<=?)\\s*${AMOUNT}`, 'i'), m => ({ maxAmount: toAmount(m[1], m[2]) })]
+];
+
+const compact = (text) => String(text || '').normalize('NFKC').replace(/\s+/g, '').toLowerCase();
+
+// Names a user may be referred to by: the full name and each part of it
+const userNames = (user) => {
+  const parts = String(user.name || '').normalize('NFKC').trim().split(/\s+/).filter(part => part.length >= 2);
+  return [...new Set([compact(user.name), ...parts.map(compact)])].filter(Boolean);
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parse a query into filters with local rules
+ * @param {string} query - Japanese or English query
+ * @param {Object} context - { categories, users, today: Date, fiscalYearStartMonth }
+ * @returns {Object} Filters (see createEmptyFilters)
+ */
+export const parseTransactionQuery = (query, { categories = [], users = [], today = new Date(), fiscalYearStartMonth = 4 } = {}) => {
+  const filters = createEmptyFilters();
+  let rest = ` ${String(query || '').normalize('NFKC')} `;
+
+  // Replace the first match of a pattern with a space and hand the match to a handler
+  const take = (pattern, handler) => {
+    const match = rest.match(pattern);
+    if (!match) return false;
+    rest = `${rest.slice(0, match.index)} ${rest.slice(match.index + match[0].length)}`;
+    handler(match);
+    return true;
+  };
+
+  for (const [pattern, toRange] of dateRules(today, fiscalYearStartMonth)) {
+    if (take(pattern, match => Object.assign(filters, toRange(match)))) break;
+  }
+
+  AMOUNT_RULES.forEach(([pattern, toAmounts]) => {
+    take(pattern, match => {
+      const amounts = toAmounts(match);
+      if (amounts.minAmount !== undefined && filters.minAmount === null) filters.minAmount = amounts.minAmount;
+      if (amounts.maxAmount !== undefined && filters.maxAmount === null) filters.maxAmount = amounts.maxAmount;
+    });
+  });
+
+  GROUP_PATTERNS.forEach(([pattern, groupBy]) => {
+    take(pattern, () => {
+      if (!filters.groupBy) filters.groupBy = groupBy;
+    });
+  });
+
+  // Users by name, longest names first so 「田中太郎」 wins over 「田中」
+  users
+    .flatMap(user => userNames(user).map(name => ({ user, name })))
+    .sort((a, b) => b.name.length - a.name.length)
+    .forEach(({ user, name }) => {
+      const pattern = new RegExp(`${escapeRegExp(name).split('').join('\\s*')}${HONORIFIC}(?:'s)?`, 'i');
+      take(pattern, () => {
+        if (!filters.userIds.includes(user.id)) filters.userIds.push(user.id);
+      });
+    });
+
+  // Categories named in full, longest first
+  [...categories]
+    .sort((a, b) => b.name.length - a.name.length)
+    .forEach(category => {
+      take(new RegExp(escapeRegExp(category.name.normalize('NFKC')), 'i'), () => {
+        if (!filters.categoryIds.includes(category.id)) filters.categoryIds.push(category.id);
+      });
+    });
+
+  // English words for account titles
+  CATEGORY_ALIASES.forEach(([pattern, fragments]) => {
+    take(pattern, () => {
+      categories
+        .filter(category => fragments.some(fragment => category.name.includes(fragment)))
+        .forEach(category => {
+          if (!filters.categoryIds.includes(category.id)) filters.categoryIds.push(category.id);
+        });
+    });
+  });
+
+  TYPE_PATTERNS.forEach(([pattern, type]) => {
+    take(pattern, () => {
+      if (!filters.type) filters.type = type;
+    });
+  });
+
+  // Remaining words: part of a category name (「交通費」 → 旅費交通費) or a keyword
+  rest
+    .split(/[\s、。,.!?？！「」『』]+|(?:の|で|を|に|と|は|が|や|から|まで)(?=[^ぁ-ん]|$)/)
+    .map(word => word.trim())
+    .filter(word => word && !STOP_WORDS.test(word))
+    .forEach(word => {
+      const matches = word.length >= 2
+        ? categories.filter(category => category.name.includes(word))
+        : [];
+      if (matches.length > 0) {
+        matches.forEach(category => {
+          if (!filters.categoryIds.includes(category.id)) filters.categoryIds.push(category.id);
+        });
+      } else {
+        filters.keywords.push(word);
+      }
+    });
+
+  // A category implies its type when all named categories share one
+  const categoryTypes = [...new Set(categories.filter(category => filters.categoryIds.includes(category.id)).map(category => category.type))];
+  if (!filters.type && categoryTypes.length === 1) {
+    filters.type = categoryTypes[0];
+  }
+
+  return filters;
+};
+
+// Check whether any filter is set
+export const hasFilters = (filters) => Boolean(filters) && Object.entries(filters).some(([key, value]) => (
+  key !== 'groupBy' && (Array.isArray(value) ? value.length > 0 : value !== null)
+));
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check filters that came from outside this module (e.g. an AI response)
+ * Unknown category and user ids, malformed dates and non-numeric amounts are dropped.
+ * @param {Object} raw - Filters in the shape of createEmptyFilters
+ * @param {Object} context - { categories, users }
+ * @returns {Object} Filters
+ */
+export const sanitizeFilters = (raw, { categories = [], users = [] } = {}) => {
+  const filters = createEmptyFilters();
+  if (!raw || typeof raw !== 'object') return filters;
+
+  const pickIds = (ids, items) => (Array.isArray(ids) ? ids : [])
+    .map(id => items.find(item => String(item.id) === String(id))?.id)
+    .filter((id, index, list) => id !== undefined && list.indexOf(id) === index);
+  const toNumber = (value) => (value === null || value === undefined || value === '' || !Number.isFinite(Number(value)) ? null : Number(value));
+
+  ['dateFrom', 'dateTo'].forEach(key => {
+    if (typeof raw[key] === 'string' && DATE_PATTERN.test(raw[key])) filters[key] = raw[key];
+  });
+  if (raw.type in TYPE_LABELS) filters.type = raw.type;
+  filters.categoryIds = pickIds(raw.categoryIds, categories);
+  filters.userIds = pickIds(raw.userIds, users);
+  filters.minAmount = toNumber(raw.minAmount);
+  filters.maxAmount = toNumber(raw.maxAmount);
+  filters.keywords = (Array.isArray(raw.keywords) ? raw.keywords : [])
+    .filter(keyword => typeof keyword === 'string' && keyword.trim())
+    .map(keyword => keyword.trim());
+  if (raw.groupBy in GROUP_BY_LABELS) filters.groupBy = raw.groupBy;
+  return filters;
+};
+
+// Counterparty of a transaction: the vendor of an expense, the client or source of income
+export const getCounterparty = (transaction) => (
+  transaction.vendor || transaction.client || transaction.source || ''
+);
+
+/**
+ * Apply filters to transactions
+ * @param {Array} transactions - Transactions with type ('expense' | 'income')
+ * @param {Object} filters - From parseTransactionQuery
+ * @returns {Array} Matching transactions
+ */
+export const filterTransactions = (transactions, filters) => {
+  if (!filters) return transactions;
+  const keywords = filters.keywords.map(compact);
+  return transactions.filter(transaction => {
+    const date = String(transaction.date || '').slice(0, 10);
+    if (filters.dateFrom && date < filters.dateFrom) return false;
+    if (filters.dateTo && date > filters.dateTo) return false;
+    if (filters.type && transaction.type !== filters.type) return false;
+    if (filters.categoryIds.length > 0 && !filters.categoryIds.includes(transaction.categoryId)) return false;
+    if (filters.userIds.length > 0 && !filters.userIds.includes(transaction.userId)) return false;
+    if (filters.minAmount !== null && transaction.amount < filters.minAmount) return false;
+    if (filters.maxAmount !== null && transaction.amount > filters.maxAmount) return false;
+    if (keywords.length > 0) {
+      const text = compact([transaction.description, getCounterparty(transaction), transaction.memo, ...(transaction.tags || [])].join(' '));
+      if (!keywords.every(keyword => text.includes(keyword))) return false;
+    }
+    return true;
+  });
+};
+
+/**
+ * Aggregate numbers for an answer
+ * @param {Array} transactions - Filtered transactions
+ * @param {string|null} groupBy - Key of GROUP_BY_LABELS
+ * @param {Object} labels - { category: id => name, user: id => name }
+ * @returns {Object} { count, expense, income, net, average, max, groups: [{ key, label, count, total }] }
+ */
+export const summarizeTransactions = (transactions, groupBy = null, labels = {}) => {
+  const signed = (transaction) => (transaction.type === 'income' ? transaction.amount : -transaction.amount);
+  const expense = transactions.filter(t => t.type === 'expense').reduce((sum, t) => sum + t.amount, 0);
+  const income = transactions.filter(t => t.type === 'income').reduce((sum, t) => sum + t.amount, 0);
+  // With one type the answer is about amounts, so totals and averages are unsigned
+  const singleType = new Set(transactions.map(t => t.type)).size <= 1;
+  const value = (transaction) => (singleType ? transaction.amount : signed(transaction));
+
+  const groupKey = {
+    category: t => t.categoryId,
+    user: t => t.userId,
+    month: t => String(t.date || '').slice(0, 7),
+    counterparty: t => getCounterparty(t)
+  }[groupBy];
+  const groupLabel = {
+    category: key => (labels.category ? labels.category(key) : key),
+    user: key => (labels.user ? labels.user(key) : key),
+    month: key => key,
+    counterparty: key => key || '（未設定）'
+  }[groupBy];
+
+  const groups = {};
+  if (groupKey) {
+    transactions.forEach(transaction => {
+      const key = groupKey(transaction) ?? '';
+      if (!groups[key]) {
+        groups[key] = { key, label: groupLabel(key), count: 0, total: 0 };
+      }
+      groups[key].count += 1;
+      groups[key].total += value(transaction);
+    });
+  }
+
+  const total = transactions.reduce((sum, transaction) => sum + value(transaction), 0);
+  return {
+    count: transactions.length,
+    expense,
+    income,
+    net: income - expense,
+    total,
+    average: transactions.length > 0 ? total / transactions.length : 0,
+    max: transactions.reduce((best, t) => (!best || t.amount > best.amount ? t : best), null),
+    groups: Object.values(groups).sort((a, b) => (
+      groupBy === 'month' ? a.key.localeCompare(b.key) : Math.abs(b.total) - Math.abs(a.total)
+    ))
+  };
+};
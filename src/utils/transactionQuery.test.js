@@ -0,0 +1,134 @@
+import {
+  parseTransactionQuery,
+  hasFilters,
+  sanitizeFilters,
+  filterTransactions,
+  summarizeTransactions,
+  createEmptyFilters
+} from './transactionQuery';
+
+const categories = [
+  { id: 1, name: '旅費交通費', type: 'expense' },
+  { id: 2, name: '会議費', type: 'expense' },
+  { id: 3, name: 'コンサルティング収入', type: 'income' },
+  { id: 4, name: '消耗品費', type: 'expense' }
+];
+const users = [
+  { id: 10, name: '田中 太郎' },
+  { id: 11, name: '佐藤 花子' }
+];
+// A Sunday
+const today = new Date(2026, 9, 18);
+
+const parse = (query, options = {}) => parseTransactionQuery(query, { categories, users, today, ...options });
+
+describe('parseTransactionQuery', () => {
+  it('parses a Japanese query into filters', () => {
+    expect(parse('先月の田中さんの交通費で1万円以上')).toEqual({
+      ...createEmptyFilters(),
+      dateFrom: '2026-09-01',
+      dateTo: '2026-09-30',
+      type: 'expense',
+      categoryIds: [1],
+      userIds: [10],
+      minAmount: 10000
+    });
+  });
+
+  it('parses an English query with a fiscal quarter and grouping', () => {
+    expect(parse('Q2 consulting income by client')).toMatchObject({
+      dateFrom: '2026-07-01',
+      dateTo: '2026-09-30',
+      type: 'income',
+      categoryIds: [3],
+      groupBy: 'counterparty',
+      keywords: []
+    });
+  });
+
+  it('follows the fiscal year start month', () => {
+    expect(parse('今年度')).toMatchObject({ dateFrom: '2026-04-01', dateTo: '2027-03-31' });
+    expect(parse('今年度', { fiscalYearStartMonth: 1 })).toMatchObject({ dateFrom: '2026-01-01', dateTo: '2026-12-31' });
+    expect(parse('2026年度第1四半期')).toMatchObject({ dateFrom: '2026-04-01', dateTo: '2026-06-30' });
+  });
+
+  it('reads relative periods', () => {
+    expect(parse('先週')).toMatchObject({ dateFrom: '2026-10-05', dateTo: '2026-10-11' });
+    expect(parse('last 30 days')).toMatchObject({ dateFrom: '2026-09-19', dateTo: '2026-10-18' });
+    expect(parse('12月の会議費')).toMatchObject({ dateFrom: '2025-12-01', dateTo: '2025-12-31', categoryIds: [2] });
+  });
+
+  it('reads amount bounds and ranges', () => {
+    expect(parse('5000円未満')).toMatchObject({ minAmount: null, maxAmount: 4999 });
+    expect(parse('3千〜5千円')).toMatchObject({ minAmount: 3000, maxAmount: 5000 });
+    expect(parse('over 20k')).toMatchObject({ minAmount: 20000 });
+  });
+
+  it('keeps unknown words as keywords', () => {
+    expect(parse('アマゾン 消耗品費')).toMatchObject({ categoryIds: [4], keywords: ['アマゾン'] });
+  });
+});
+
+describe('sanitizeFilters', () => {
+  it('drops unknown ids, malformed dates and non-numeric amounts', () => {
+    expect(sanitizeFilters({
+      dateFrom: '2026-10-01',
+      dateTo: '10/31',
+      type: 'transfer',
+      categoryIds: ['1', 99],
+      userIds: [11],
+      minAmount: '1000',
+      maxAmount: 'lots',
+      keywords: [' 東京 ', 3, ''],
+      groupBy: 'month'
+    }, { categories, users })).toEqual({
+      ...createEmptyFilters(),
+      dateFrom: '2026-10-01',
+      categoryIds: [1],
+      userIds: [11],
+      minAmount: 1000,
+      keywords: ['東京'],
+      groupBy: 'month'
+    });
+  });
+
+  it('returns empty filters for anything that is not an object', () => {
+    expect(sanitizeFilters(null)).toEqual(createEmptyFilters());
+    expect(hasFilters(createEmptyFilters())).toBe(false);
+    expect(hasFilters({ ...createEmptyFilters(), groupBy: 'month' })).toBe(false);
+    expect(hasFilters({ ...createEmptyFilters(), keywords: ['x'] })).toBe(true);
+  });
+});
+
+describe('filterTransactions and summarizeTransactions', () => {
+  const transactions = [
+    { id: 1, type: 'expense', date: '2026-09-03', categoryId: 1, userId: 10, amount: 12000, description: '新幹線', vendor: 'JR東海' },
+    { id: 2, type: 'expense', date: '2026-09-10', categoryId: 1, userId: 11, amount: 800, description: 'タクシー' },
+    { id: 3, type: 'expense', date: '2026-10-02', categoryId: 4, userId: 10, amount: 3000, description: 'アマゾン 文具', tags: ['備品'] },
+    { id: 4, type: 'income', date: '2026-09-30', categoryId: 3, userId: 10, amount: 500000, source: 'ABC商事' }
+  ];
+
+  it('applies every filter', () => {
+    const filters = parse('先月の田中さんの交通費で1万円以上');
+    expect(filterTransactions(transactions, filters).map(t => t.id)).toEqual([1]);
+    expect(filterTransactions(transactions, { ...createEmptyFilters(), keywords: ['備品'] }).map(t => t.id)).toEqual([3]);
+    expect(filterTransactions(transactions, { ...createEmptyFilters(), keywords: ['abc'] }).map(t => t.id)).toEqual([4]);
+  });
+
+  it('totals one type as unsigned amounts and groups them', () => {
+    const expenses = transactions.filter(t => t.type === 'expense');
+    const summary = summarizeTransactions(expenses, 'category', { category: id => `#${id}` });
+    expect(summary).toMatchObject({ count: 3, expense: 15800, income: 0, total: 15800 });
+    expect(summary.max.id).toBe(1);
+    expect(summary.groups).toEqual([
+      { key: 1, label: '#1', count: 2, total: 12800 },
+      { key: 4, label: '#4', count: 1, total: 3000 }
+    ]);
+  });
+
+  it('nets income against expenses when both types are present', () => {
+    const summary = summarizeTransactions(transactions, 'month');
+    expect(summary).toMatchObject({ net: 484200, total: 484200 });
+    expect(summary.groups.map(group => [group.key, group.total])).toEqual([['2026-09', 487200], ['2026-10', -3000]]);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * @jest-environment node
+ */
+// jsdom's Blob cannot be read back, so this runs in the node environment with Node's Blob
+import { Blob } from 'buffer';
+import { crc32, createZip } from './zipArchive';
+
+global.Blob = Blob;
+
+// Read the entries of a stored (uncompressed) ZIP through its central directory
+const readZip = (buffer) => {
+  const view = new DataView(buffer);
+  const decoder = new TextDecoder();
+  const endOffset = buffer.byteLength - 22;
+  expect(view.getUint32(endOffset, true)).toBe(0x06054b50);
+
+  const count = view.getUint16(endOffset + 10, true);
+  let position = view.getUint32(endOffset + 16, true);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(position, true)).toBe(0x02014b50);
+    const size = view.getUint32(position + 20, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const localOffset = view.getUint32(position + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, position + 46, nameLength));
+
+    expect(view.getUint32(localOffset, true)).toBe(0x04034b50);
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+    const data = new Uint8Array(buffer, dataStart, size);
+    entries.push({
+      name,
+      data,
+      crc: view.getUint32(position + 16, true),
+      flags: view.getUint16(position + 8, true),
+      time: view.getUint16(position + 12, true),
+      date: view.getUint16(position + 14, true)
+    });
+    position += 46 + nameLength;
+  }
+  return entries;
+};
+
+describe('crc32', () => {
+  it('matches the standard check value', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+    expect(crc32(new Uint8Array())).toBe(0);
+  });
+});
+
+describe('createZip', () => {
+  it('stores each file unchanged with a UTF-8 name', async () => {
+    const image = new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+    const zip = await createZip([
+      { name: '領収書/2026-10-01_タクシー.jpg', data: new Blob([image]), modifiedAt: new Date(2026, 9, 1, 13, 45, 30) },
+      { name: 'index.csv', data: '日付,金額\n2026-10-01,1800\n' }
+    ]);
+    expect(zip.type).toBe('application/zip');
+
+    const entries = readZip(await zip.arrayBuffer());
+    expect(entries.map(entry => entry.name)).toEqual(['領収書/2026-10-01_タクシー.jpg', 'index.csv']);
+    expect([...entries[0].data]).toEqual([...image]);
+    expect(new TextDecoder().decode(entries[1].data)).toBe('日付,金額\n2026-10-01,1800\n');
+    expect(entries[0].crc).toBe(crc32(image));
+    expect(entries[0].flags).toBe(0x0800);
+  });
+
+  it('writes the modification time as an MS-DOS date and time', async () => {
+    const zip = await createZip([{ name: 'a.txt', data: 'a', modifiedAt: new Date(2026, 9, 1, 13, 45, 30) }]);
+    const [entry] = readZip(await zip.arrayBuffer());
+    expect(entry.date).toBe(((2026 - 1980) << 9) | (10 << 5) | 1);
+    expect(entry.time).toBe((13 << 11) | (45 << 5) | 15);
+  });
+
+  it('writes an empty archive', async () => {
+    const zip = await createZip([]);
+    expect(zip.size).toBe(22);
+    expect(readZip(await zip.arrayBuffer())).toEqual([]);
+  });
+});
@@ -0,0 +1,67 @@
+import { createOCRWorker, recognizeImage } from '../utils/ocrEngine';
+import { enhanceImageData, MAX_OCR_WIDTH } from '../utils/imagePreprocessing';
+
+/**
+ * OCR Worker - preprocesses and recognizes receipt images off the main thread
+ * Messages in:  { type: 'recognize', jobId, images: [Blob], paths: { assetPath, langPath } }
+ * Messages out: { type: 'progress', jobId, progress (0-1) }
+ *               { type: 'result', jobId, pages: [{ text, confidence, lines }] }
+ *               { type: 'error', jobId, message }
+ * Jobs are cancelled by terminating the worker.
+ */
+
+// The worker's global scope (DedicatedWorkerGlobalScope)
+const scope = globalThis;
+
+let currentJob = null;
+let tesseractPromise = null;
+
+// The Tesseract worker (and its language data) is loaded once and reused across jobs
+const getTesseract = (paths) => {
+  if (!tesseractPromise) {
+    tesseractPromise = createOCRWorker(paths, (message) => {
+      if (currentJob && message.status === 'recognizing text') {
+        const progress = (currentJob.index + message.progress) / currentJob.total;
+        scope.postMessage({ type: 'progress', jobId: currentJob.jobId, progress });
+      }
+    });
+  }
+  return tesseractPromise;
+};
+
+// Grayscale, contrast and downscale on an OffscreenCanvas (see preprocessImage)
+const preprocess = async (blob) => {
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(1, MAX_OCR_WIDTH / bitmap.width);
+  const canvas = new OffscreenCanvas(Math.round(bitmap.width * scale), Math.round(bitmap.height * scale));
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+  enhanceImageData(imageData.data);
+  context.putImageData(imageData, 0, 0);
+  return canvas.convertToBlob({ type: 'image/png' });
+};
+
+const recognize = async ({ jobId, images, paths }) => {
+  try {
+    const tesseract = await getTesseract(paths);
+    const pages = [];
+    for (const [index, image] of images.entries()) {
+      currentJob = { jobId, index, total: images.length };
+      pages.push(await recognizeImage(tesseract, await preprocess(image)));
+    }
+    scope.postMessage({ type: 'result', jobId, pages });
+  } catch (error) {
+    scope.postMessage({ type: 'error', jobId, message: error.message || String(error) });
+  } finally {
+    currentJob = null;
+  }
+};
+
+scope.addEventListener('message', (event) => {
+  if (event.data?.type === 'recognize') {
+    recognize(event.data);
+  }
+});